@@ -16,10 +16,45 @@ const httpMethods = new Set(Object.values(HTTP_METHODS).map(toSchemaMethod));
 const requiredOperations = [
   [APP_ROUTES.DASHBOARD, [toSchemaMethod(HTTP_METHODS.GET)]],
   [APP_ROUTES.WEBHOOK, [toSchemaMethod(HTTP_METHODS.POST)]],
+  [
+    APP_ROUTES.WEBHOOKS,
+    [toSchemaMethod(HTTP_METHODS.GET), toSchemaMethod(HTTP_METHODS.POST)],
+  ],
+  [
+    APP_ROUTES.WEBHOOK_DETAIL,
+    [toSchemaMethod(HTTP_METHODS.PATCH), toSchemaMethod(HTTP_METHODS.DELETE)],
+  ],
+  [
+    APP_ROUTES.WEBHOOK_CONFIG,
+    [
+      toSchemaMethod(HTTP_METHODS.GET),
+      toSchemaMethod(HTTP_METHODS.PUT),
+      toSchemaMethod(HTTP_METHODS.PATCH),
+    ],
+  ],
+  [APP_ROUTES.WEBHOOK_CONFIG_VALIDATE, [toSchemaMethod(HTTP_METHODS.POST)]],
+  [APP_ROUTES.WEBHOOK_SEQUENCE_RESET, [toSchemaMethod(HTTP_METHODS.POST)]],
+  [
+    APP_ROUTES.MOCK_RULES,
+    [toSchemaMethod(HTTP_METHODS.GET), toSchemaMethod(HTTP_METHODS.POST)],
+  ],
+  [
+    APP_ROUTES.MOCK_RULE_DETAIL,
+    [
+      toSchemaMethod(HTTP_METHODS.PUT),
+      toSchemaMethod(HTTP_METHODS.PATCH),
+      toSchemaMethod(HTTP_METHODS.DELETE),
+    ],
+  ],
+  [APP_ROUTES.MOCK_RULES_REORDER, [toSchemaMethod(HTTP_METHODS.POST)]],
+  [APP_ROUTES.MOCK_RULES_SIMULATE, [toSchemaMethod(HTTP_METHODS.POST)]],
   [APP_ROUTES.INFO, [toSchemaMethod(HTTP_METHODS.GET)]],
   [APP_ROUTES.LOGS, [toSchemaMethod(HTTP_METHODS.GET)]],
   [APP_ROUTES.LOG_DETAIL, [toSchemaMethod(HTTP_METHODS.GET)]],
   [APP_ROUTES.LOG_PAYLOAD, [toSchemaMethod(HTTP_METHODS.GET)]],
+  [APP_ROUTES.LOG_DELIVERIES, [toSchemaMethod(HTTP_METHODS.GET)]],
+  [APP_ROUTES.DEAD_LETTERS, [toSchemaMethod(HTTP_METHODS.GET)]],
+  [APP_ROUTES.DEAD_LETTER_REDRIVE, [toSchemaMethod(HTTP_METHODS.POST)]],
   [APP_ROUTES.REPLAY, [toSchemaMethod(HTTP_METHODS.POST)]],
   [APP_ROUTES.LOG_STREAM, [toSchemaMethod(HTTP_METHODS.GET)]],
   [APP_ROUTES.SYSTEM_METRICS, [toSchemaMethod(HTTP_METHODS.GET)]],
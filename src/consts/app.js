@@ -14,6 +14,9 @@ const inputSchema = require("../../.actor/input_schema.json");
 export const DEFAULT_ID_LENGTH = getInt("DEFAULT_ID_LENGTH", 21);
 export const WEBHOOK_ID_PREFIX = "wh_";
 export const REQUEST_ID_PREFIX = "req_";
+export const MOCK_RULE_ID_PREFIX = "rule_";
+export const OUTBOX_ENTRY_ID_PREFIX = "obx_";
+export const REPLAY_JOB_ID_PREFIX = "rpj_";
 export const MAX_SSE_CLIENTS = getInt("MAX_SSE_CLIENTS", 100);
 
 export const EVENT_MAX_LISTENERS = getInt("EVENT_MAX_LISTENERS", 20);
@@ -109,6 +112,12 @@ export const APP_CONSTS = Object.freeze({
   DEFAULT_MASK_SENSITIVE_DATA: inputSchema.properties.maskSensitiveData.default,
   DEFAULT_ENABLE_JSON_PARSING: inputSchema.properties.enableJSONParsing.default,
   DEFAULT_FORWARD_HEADERS: inputSchema.properties.forwardHeaders.default,
+  DEFAULT_FORWARD_MODE: inputSchema.properties.forwardMode.default,
+  DEFAULT_SYNC_PROXY: inputSchema.properties.syncProxy.default,
+  DEFAULT_SYNC_PROXY_TIMEOUT_MS: getInt(
+    "DEFAULT_SYNC_PROXY_TIMEOUT_MS",
+    inputSchema.properties.syncProxyTimeoutMs.default,
+  ),
 
   // Validation Limits & Safe Bounds
   MAX_SAFE_URL_COUNT: getInt(
@@ -151,6 +160,14 @@ export const APP_CONSTS = Object.freeze({
     "MIN_REPLAY_TIMEOUT_MS",
     inputSchema.properties.replayTimeoutMs.minimum,
   ),
+  MAX_SAFE_SYNC_PROXY_TIMEOUT_MS: getInt(
+    "MAX_SAFE_SYNC_PROXY_TIMEOUT_MS",
+    inputSchema.properties.syncProxyTimeoutMs.maximum,
+  ),
+  MIN_SYNC_PROXY_TIMEOUT_MS: getInt(
+    "MIN_SYNC_PROXY_TIMEOUT_MS",
+    inputSchema.properties.syncProxyTimeoutMs.minimum,
+  ),
   MIN_FIXED_MEMORY_MBYTES: getInt(
     "MIN_FIXED_MEMORY_MBYTES",
     inputSchema.properties.fixedMemoryMbytes.minimum,
@@ -160,6 +177,16 @@ export const APP_CONSTS = Object.freeze({
     parseInt(actorJson.environmentVariables.ACTOR_WEB_SERVER_PORT),
   ),
   MAX_BULK_CREATE: getInt("MAX_BULK_CREATE", 1000),
+  MAX_WEBHOOK_LABEL_LENGTH: getInt("MAX_WEBHOOK_LABEL_LENGTH", 200),
+  MAX_MOCK_RULES: getInt("MAX_MOCK_RULES", 50),
+  MAX_MOCK_RESPONSE_BYTES: getInt("MAX_MOCK_RESPONSE_BYTES", 50 * 1024),
+  MAX_MOCK_RULE_PATTERN_LENGTH: getInt("MAX_MOCK_RULE_PATTERN_LENGTH", 256),
+  MAX_RESPONSE_SEQUENCE_STEPS: getInt("MAX_RESPONSE_SEQUENCE_STEPS", 100),
+  MAX_RESPONSE_SEQUENCE_KEYS: getInt("MAX_RESPONSE_SEQUENCE_KEYS", 1000),
+  RESPONSE_SEQUENCE_PERSIST_DELAY_MS: getInt(
+    "RESPONSE_SEQUENCE_PERSIST_DELAY_MS",
+    1000,
+  ),
   RETENTION_LOG_SUPPRESSION_MS: getInt(
     "RETENTION_LOG_SUPPRESSION_MS",
     5 * 60 * 1000,
@@ -171,6 +198,116 @@ export const REPLAY_STATUS_LABELS = Object.freeze({
   REPLAYED: "replayed",
 });
 
+/**
+ * How an outbound delivery was triggered.
+ * @enum {string}
+ */
+export const DELIVERY_KINDS = Object.freeze({
+  FORWARD: "forward",
+  REPLAY: "replay",
+  PROXY: "proxy",
+});
+
+/**
+ * Final outcome of an outbound delivery, recorded in the deliveries table.
+ * @enum {string}
+ */
+export const DELIVERY_STATUSES = Object.freeze({
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  SSRF_BLOCKED: "ssrf_blocked",
+  CIRCUIT_OPEN: "circuit_open",
+  PAYLOAD_TOO_LARGE: "payload_too_large",
+  DEAD_LETTERED: "dead_lettered",
+});
+
+/**
+ * Lifecycle of a forwarding outbox entry. Pending entries are retried by the
+ * outbox poller; dead letters wait for a manual redrive.
+ * @enum {string}
+ */
+export const OUTBOX_STATUSES = Object.freeze({
+  PENDING: "pending",
+  DEAD: "dead",
+});
+
+/**
+ * Lifecycle of a bulk replay job. Completed, cancelled and failed jobs are final.
+ * @enum {string}
+ */
+export const REPLAY_JOB_STATUSES = Object.freeze({
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+});
+
+/**
+ * Outcome of one log within a bulk replay job.
+ * @enum {string}
+ */
+export const REPLAY_JOB_ITEM_STATUSES = Object.freeze({
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+});
+
+/**
+ * How a bulk replay job spaces its replays: `rate` starts them at `ratePerSecond`,
+ * `original` keeps the gaps between the captured requests (scaled by `speed`).
+ * @enum {string}
+ */
+export const REPLAY_JOB_TIMINGS = Object.freeze({
+  RATE: "rate",
+  ORIGINAL: "original",
+});
+
+/**
+ * Types of the progress events streamed by `GET /replay-jobs/:id/events`.
+ * @enum {string}
+ */
+export const REPLAY_JOB_EVENT_TYPES = Object.freeze({
+  SNAPSHOT: "snapshot",
+  STATUS: "status",
+  ITEM: "item",
+  FINISHED: "finished",
+});
+
+/**
+ * Why an outbox entry was dead-lettered.
+ * @enum {string}
+ */
+export const OUTBOX_DEAD_REASONS = Object.freeze({
+  MAX_ATTEMPTS: "max_attempts",
+  MAX_AGE: "max_age",
+  PERMANENT_FAILURE: "permanent_failure",
+  BODY_MISSING: "body_missing",
+});
+
+/**
+ * How a forward's method and URL are derived from the captured request.
+ * `fixed` POSTs to the configured URL, `transparent` keeps the original method and
+ * appends the sub-path and query string, and `template` renders `{{...}}`
+ * placeholders into the URL and keeps the original method.
+ * @enum {string}
+ */
+export const FORWARD_MODES = Object.freeze({
+  FIXED: "fixed",
+  TRANSPARENT: "transparent",
+  TEMPLATE: "template",
+});
+
+/** Cursor key used when a response sequence has no `keyHeader` or the header is missing */
+export const DEFAULT_RESPONSE_SEQUENCE_KEY = "*";
+
+/** @enum {string} */
+export const RESPONSE_SEQUENCE_MODES = Object.freeze({
+  REPEAT_LAST: "repeat-last",
+  LOOP: "loop",
+});
+
 export const SORT_DIRECTIONS = Object.freeze({
   ASC: "ASC",
   DESC: "DESC",
@@ -216,15 +353,158 @@ export const FORWARDING_CONSTS = Object.freeze({
 
   RETRY_BACKOFF_BASE: getInt("RETRY_BACKOFF_BASE", 2),
   HTTP_PREFIX: "HTTP_",
+  MAX_DESTINATIONS: getInt(
+    "MAX_FORWARD_DESTINATIONS",
+    inputSchema.properties.forwardDestinations.maxItems,
+  ),
+  // Durable outbox: failed forwards are retried across restarts and migrations
+  OUTBOX_POLL_INTERVAL_MS: getInt("OUTBOX_POLL_INTERVAL_MS", 5000),
+  OUTBOX_BATCH_SIZE: getInt("OUTBOX_BATCH_SIZE", 10),
+  OUTBOX_BASE_DELAY_MS: getInt("OUTBOX_BASE_DELAY_MS", 30000),
+  OUTBOX_MAX_DELAY_MS: getInt("OUTBOX_MAX_DELAY_MS", 60 * 60 * 1000),
+  OUTBOX_MAX_ATTEMPTS: getInt("OUTBOX_MAX_ATTEMPTS", 12),
+  OUTBOX_MAX_AGE_MS: getInt("OUTBOX_MAX_AGE_MS", 24 * 60 * 60 * 1000),
+  OUTBOX_MAX_ENTRIES: getInt("OUTBOX_MAX_ENTRIES", 1000),
+  OUTBOX_BODY_KEY_PREFIX: "outbox_",
+  OUTBOX_RETRYABLE_STATUS_CODES: [408, 425, 429, 500, 502, 503, 504],
+  // Synchronous proxy: larger downstream bodies fail the call, keeping log rows small
+  PROXY_MAX_RESPONSE_BYTES: getInt("PROXY_MAX_RESPONSE_BYTES", 1024 * 1024),
+});
+
+export const REPLAY_JOB_CONSTS = Object.freeze({
+  // Finished jobs beyond this count are evicted, oldest first
+  MAX_JOBS: getInt("REPLAY_JOB_MAX_JOBS", 20),
+  MAX_ACTIVE_JOBS: getInt("REPLAY_JOB_MAX_ACTIVE", 3),
+  DEFAULT_MAX_ITEMS: getInt("REPLAY_JOB_DEFAULT_MAX_ITEMS", 1000),
+  MAX_ITEMS: getInt("REPLAY_JOB_MAX_ITEMS", 10000),
+  DEFAULT_RATE_PER_SECOND: 5,
+  MIN_RATE_PER_SECOND: 0.1,
+  MAX_RATE_PER_SECOND: getInt("REPLAY_JOB_MAX_RATE_PER_SECOND", 100),
+  DEFAULT_CONCURRENCY: 1,
+  MAX_CONCURRENCY: getInt("REPLAY_JOB_MAX_CONCURRENCY", 10),
+  // Logs are selected in pages of this size; only IDs are kept
+  SELECTION_PAGE_SIZE: getInt("REPLAY_JOB_SELECTION_PAGE_SIZE", 100),
+  // Playback speed-up for `timing: "original"`; 2 halves every gap
+  DEFAULT_SPEED: 1,
+  MIN_SPEED: 0.1,
+  MAX_SPEED: getInt("REPLAY_JOB_MAX_SPEED", 100),
+  MAX_EVENT_SUBSCRIBERS: getInt("REPLAY_JOB_MAX_EVENT_SUBSCRIBERS", 10),
+});
+
+export const REPLAY_CAPTURE_CONSTS = Object.freeze({
+  // Replayed request and response bodies larger than this are not stored
+  MAX_BODY_BYTES: getInt("REPLAY_CAPTURE_MAX_BODY_BYTES", 256 * 1024),
+  // Response headers compared when `?headers=` is not given
+  DEFAULT_COMPARE_HEADERS: Object.freeze(["content-type"]),
+  // `?baseline=` value that compares against the originally forwarded response
+  ORIGINAL_BASELINE: "original",
+});
+
+/**
+ * @enum {string}
+ */
+export const LOG_EXPORT_FORMATS = Object.freeze({
+  HAR: "har",
+  NDJSON: "ndjson",
+  CSV: "csv",
+  PARQUET: "parquet",
+});
+
+export const LOG_EXPORT_CONSTS = Object.freeze({
+  // Exports are streamed, but an unfiltered export still stops at this many rows
+  MAX_ROWS: getInt("LOG_EXPORT_MAX_ROWS", 100000),
+  FILENAME_PREFIX: "webhook-logs",
+  HAR_VERSION: "1.2",
+  HAR_CREATOR: "webhook-debugger-logger",
+  HAR_HTTP_VERSION: "HTTP/1.1",
+  // HAR marks sizes and timings that were not measured with -1
+  HAR_UNKNOWN: -1,
+});
+
+export const CUSTOM_SCRIPT_POOL_CONSTS = Object.freeze({
+  MAX_WORKERS: getInt("CUSTOM_SCRIPT_POOL_SIZE", 2),
+  // A warm worker is replaced after this many runs so leaked state cannot pile up
+  MAX_EXECUTIONS_PER_WORKER: getInt("CUSTOM_SCRIPT_WORKER_MAX_EXECUTIONS", 500),
+  // ...or once its heap passes this share of the old-generation limit
+  HEAP_RECYCLE_RATIO: 0.75,
+  // Compiled scripts kept per worker, keyed by source hash
+  SCRIPT_CACHE_SIZE: 16,
+  // Extra time the vm timeout gets before the pool kills an unresponsive worker
+  WATCHDOG_GRACE_MS: getInt("CUSTOM_SCRIPT_WATCHDOG_GRACE_MS", 1000),
+  HASH_ALGORITHM: "sha256",
+});
+
+export const CUSTOM_SCRIPT_UTILS_CONSTS = Object.freeze({
+  HASH_ALGORITHMS: Object.freeze(["md5", "sha1", "sha256", "sha384", "sha512"]),
+  DIGEST_ENCODINGS: Object.freeze(["hex", "base64", "base64url"]),
+  DEFAULT_DIGEST_ENCODING: "hex",
+  // JSON path segments `utils.json.set` never writes, to keep prototypes intact
+  UNSAFE_PATH_SEGMENTS: Object.freeze([
+    "__proto__",
+    "constructor",
+    "prototype",
+  ]),
+});
+
+export const CUSTOM_SCRIPT_LIBRARY_CONSTS = Object.freeze({
+  MAX_SCRIPTS: getInt(
+    "MAX_CUSTOM_SCRIPTS",
+    inputSchema.properties.customScripts.maxItems,
+  ),
+  // Run ID recorded for the single `customScript`, which runs before the library
+  DEFAULT_SCRIPT_ID: "customScript",
+});
+
+/**
+ * Reserved keys a custom script sets on `event` to decide what happens to it.
+ * They are stripped before the event is stored or forwarded.
+ */
+export const SCRIPT_OUTCOME_KEYS = Object.freeze({
+  DROP: "$drop",
+  SKIP_FORWARD: "$skipForward",
+  FORWARD_TO: "$forwardTo",
+  DELAY_MS: "$delayMs",
+  ALERT: "$alert",
+  TAGS: "$tags",
+});
+
+export const SCRIPT_OUTCOME_CONSTS = Object.freeze({
+  // Forwarding delay ceiling; the background task timeout is extended by it
+  MAX_DELAY_MS: getInt("SCRIPT_OUTCOME_MAX_DELAY_MS", 30000),
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 64,
 });
 
 export const APP_ROUTES = Object.freeze({
   WEBHOOK: "/webhook/:id",
+  WEBHOOK_SUBPATH: "/webhook/:id/*path",
+  WEBHOOKS: "/webhooks",
+  WEBHOOK_DETAIL: "/webhooks/:id",
+  WEBHOOK_CONFIG: "/webhooks/:id/config",
+  WEBHOOK_CONFIG_VALIDATE: "/webhooks/:id/config/validate",
+  WEBHOOK_SEQUENCE_RESET: "/webhooks/:id/sequence/reset",
+  MOCK_RULES: "/mock-rules",
+  MOCK_RULE_DETAIL: "/mock-rules/:ruleId",
+  MOCK_RULES_REORDER: "/mock-rules/reorder",
+  MOCK_RULES_SIMULATE: "/mock-rules/simulate",
   LOGS: "/logs",
+  LOGS_EXPORT: "/logs/export",
   LOG_DETAIL: "/logs/:logId",
   LOG_PAYLOAD: "/logs/:logId/payload",
+  LOG_DELIVERIES: "/logs/:logId/deliveries",
   LOG_STREAM: "/log-stream",
+  DEAD_LETTERS: "/forwarding/dead-letters",
+  DEAD_LETTER_REDRIVE: "/forwarding/dead-letters/:id/redrive",
   REPLAY: "/replay/:webhookId/:itemId",
+  REPLAY_JOBS: "/replay-jobs",
+  REPLAY_JOB_DETAIL: "/replay-jobs/:id",
+  REPLAY_JOB_PAUSE: "/replay-jobs/:id/pause",
+  REPLAY_JOB_RESUME: "/replay-jobs/:id/resume",
+  REPLAY_JOB_CANCEL: "/replay-jobs/:id/cancel",
+  REPLAY_JOB_EVENTS: "/replay-jobs/:id/events",
+  REPLAY_CAPTURE: "/replays/:id",
+  REPLAY_COMPARE: "/replays/:id/compare",
+  SCRIPTS_TEST: "/scripts/test",
   INFO: "/info",
   HEALTH: "/health",
   READY: "/ready",
@@ -233,8 +513,35 @@ export const APP_ROUTES = Object.freeze({
   FONTS: "/fonts",
 });
 
+/**
+ * Settings that may be overridden per webhook (security-sensitive settings such
+ * as authKey, allowedIps, and customScript are intentionally excluded).
+ * @type {ReadonlyArray<string>}
+ */
+export const WEBHOOK_CONFIG_OVERRIDES = Object.freeze([
+  "defaultResponseCode",
+  "defaultResponseBody",
+  "defaultResponseHeaders",
+  "responseDelayMs",
+  "forwardUrl",
+  "forwardHeaders",
+  "forwardMode",
+  "syncProxy",
+  "syncProxyTimeoutMs",
+  "forwardSigning",
+  "forwardDestinations",
+  "maxForwardRetries",
+  "jsonSchema",
+  "signatureVerification",
+  "enableJSONParsing",
+  "redactBodyPaths",
+  "maskSensitiveData",
+  "responseSequence",
+]);
+
 export const QUERY_PARAMS = Object.freeze({
   STATUS: "__status",
+  AUTH_KEY: "key",
 });
 
 export const SHUTDOWN_SIGNALS = Object.freeze({
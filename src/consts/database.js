@@ -51,6 +51,8 @@ export const DUCKDB_CONSTS = Object.freeze({
  */
 export const DUCKDB_TABLES = Object.freeze({
   LOGS: "logs",
+  DELIVERIES: "deliveries",
+  REPLAY_CAPTURES: "replay_captures",
 });
 
 /**
@@ -58,6 +60,7 @@ export const DUCKDB_TABLES = Object.freeze({
  */
 export const SQL_FRAGMENTS = Object.freeze({
   TRUE_CONDITION: "1=1",
+  ISO_TIMESTAMP: "strftime(timestamp, '%Y-%m-%dT%H:%M:%S.%gZ')",
 });
 
 export const SQL_CONSTS = Object.freeze({
@@ -96,6 +99,35 @@ export const SQL_CONSTS = Object.freeze({
     PROCESSING_TIME: "processingTime",
     SOURCE_OFFSET: "source_offset",
     BODY_ENCODING: "bodyEncoding",
+    IS_MOCKED: "isMocked",
+    MOCK_RULE_ID: "mockRuleId",
+    SIGNATURE_RULE_ID: "signatureRuleId",
+    SIGNATURE_SELECTION_ERROR: "signatureSelectionError",
+    SIGNATURE_KEY_ID: "signatureKeyId",
+    SIGNATURE_SECRET_INDEX: "signatureSecretIndex",
+    IS_PROXIED: "isProxied",
+    PROXY_TARGET_URL: "proxyTargetUrl",
+    PROXY_STATUS_CODE: "proxyStatusCode",
+    PROXY_DURATION_MS: "proxyDurationMs",
+    PROXY_ERROR: "proxyError",
+    TAGS: "tags",
+    SCRIPT_RUNS: "scriptRuns",
+  }),
+  /** @enum {string} */
+  DELIVERY_COLUMNS: Object.freeze({
+    ID: "id",
+    LOG_ID: "logId",
+    WEBHOOK_ID: "webhookId",
+    KIND: "kind",
+    TARGET_URL: "targetUrl",
+    STATUS: "status",
+    STATUS_CODE: "statusCode",
+    ATTEMPTS: "attempts",
+    DURATION_MS: "durationMs",
+    ERROR: "error",
+    TIMESTAMP: "timestamp",
+    DESTINATION_ID: "destinationId",
+    MUTATION: "mutation",
   }),
   /** @type {readonly string[]} */
   ALL_LOG_COLUMNS: Object.freeze([
@@ -121,6 +153,19 @@ export const SQL_CONSTS = Object.freeze({
     "contentType",
     "source_offset",
     "bodyEncoding",
+    "isMocked",
+    "mockRuleId",
+    "signatureRuleId",
+    "signatureSelectionError",
+    "signatureKeyId",
+    "signatureSecretIndex",
+    "isProxied",
+    "proxyTargetUrl",
+    "proxyStatusCode",
+    "proxyDurationMs",
+    "proxyError",
+    "tags",
+    "scriptRuns",
   ]),
   /** @type {Record<string, string>} */
   OPERATOR_MAP: Object.freeze({
@@ -140,18 +185,26 @@ export const SQL_CONSTS = Object.freeze({
     CHECKPOINT: "CHECKPOINT",
   },
   CONNECTION_VALIDATION_SQL: "SELECT 1",
+  // COPY ... TO options per file export format
+  COPY_OPTIONS: Object.freeze({
+    csv: "FORMAT CSV, HEADER",
+    parquet: "FORMAT PARQUET",
+  }),
 });
 
 export const SQL_FUNCTIONS = Object.freeze({
   JSON_EXTRACT_STRING: "json_extract_string",
 });
 
+const WEBHOOK_ID_COLUMN = "webhookId VARCHAR";
+const STATUS_CODE_COLUMN = "statusCode INTEGER";
+
 export const DUCKDB_SCHEMA = Object.freeze({
   COLUMNS: [
-    "webhookId VARCHAR",
+    WEBHOOK_ID_COLUMN,
     "requestId VARCHAR",
     "method VARCHAR",
-    "statusCode INTEGER",
+    STATUS_CODE_COLUMN,
     "contentType VARCHAR",
     "processingTime INTEGER",
     "size INTEGER",
@@ -168,6 +221,48 @@ export const DUCKDB_SCHEMA = Object.freeze({
     "signatureProvider VARCHAR",
     "signatureError VARCHAR",
     "source_offset BIGINT",
+    "isMocked BOOLEAN DEFAULT FALSE",
+    "mockRuleId VARCHAR",
+    "signatureRuleId VARCHAR",
+    "signatureSelectionError VARCHAR",
+    "signatureKeyId VARCHAR",
+    "signatureSecretIndex INTEGER",
+    "isProxied BOOLEAN DEFAULT FALSE",
+    "proxyTargetUrl VARCHAR",
+    "proxyStatusCode INTEGER",
+    "proxyDurationMs INTEGER",
+    "proxyError VARCHAR",
+    "tags JSON",
+    "scriptRuns JSON",
+  ],
+  DELIVERY_COLUMNS: [
+    "logId VARCHAR",
+    WEBHOOK_ID_COLUMN,
+    "kind VARCHAR",
+    "targetUrl VARCHAR",
+    "status VARCHAR",
+    STATUS_CODE_COLUMN,
+    "attempts INTEGER",
+    "durationMs INTEGER",
+    "error VARCHAR",
+    "destinationId VARCHAR",
+    "mutation JSON",
+  ],
+  // Keyed by the replay's delivery ID
+  REPLAY_CAPTURE_COLUMNS: [
+    "logId VARCHAR",
+    WEBHOOK_ID_COLUMN,
+    "targetUrl VARCHAR",
+    "method VARCHAR",
+    "requestHeaders JSON",
+    "requestBody JSON",
+    "requestBodyTruncated BOOLEAN DEFAULT FALSE",
+    STATUS_CODE_COLUMN,
+    "responseHeaders JSON",
+    "responseBody JSON",
+    "responseBodyTruncated BOOLEAN DEFAULT FALSE",
+    "durationMs INTEGER",
+    "error VARCHAR",
   ],
 });
 
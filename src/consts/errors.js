@@ -46,8 +46,100 @@ export const ERROR_MESSAGES = Object.freeze({
   PAYLOAD_FETCH_FAILED: "Failed to fetch log payload",
   WEBHOOK_CREATION_FAILED: "Failed to create webhook",
   WEBHOOK_UPDATE_FAILED: "Failed to update webhook",
+  INVALID_JSON_BODY: "Request body must be a valid JSON object",
+  INVALID_WEBHOOK_CONFIG: "Invalid webhook configuration",
+  INVALID_MOCK_RULE: "Invalid mock rule",
+  MOCK_RULE_NOT_FOUND: "Mock rule not found",
+  DEAD_LETTER_NOT_FOUND: "Dead letter not found",
+  REPLAY_JOB_NOT_FOUND: "Replay job not found",
+  REPLAY_NOT_FOUND: "Replay not found",
+  ORIGINAL_RESPONSE_NOT_FOUND:
+    "No forwarded response was recorded for this log to compare against",
+  INVALID_REPLAY_JOB: "Invalid replay job",
+  INVALID_REPLAY_JOB_FIELD:
+    /**
+     * @param {string} field
+     * @param {string} expected
+     * @returns {string}
+     */
+    (field, expected) => `Invalid ${field}: expected ${expected}`,
+  REPLAY_JOB_LIMIT_REACHED:
+    "Too many active replay jobs; wait for one to finish or cancel it",
+  REPLAY_JOB_STATE_CONFLICT:
+    /**
+     * @param {string} action
+     * @param {string} status
+     * @returns {string}
+     */
+    (action, status) => `Cannot ${action} a replay job that is ${status}`,
+  INVALID_REPLAY_MUTATION: "Invalid replay mutation",
+  REPLAY_MUTATION_FAILED: "Replay mutation could not be applied",
+  UNSUPPORTED_REPLAY_MUTATION_FIELD:
+    /**
+     * @param {string} field
+     * @returns {string}
+     */
+    (field) => `Unsupported replay mutation field: ${field}`,
+  INVALID_REPLAY_MUTATION_FIELD:
+    /**
+     * @param {string} field
+     * @param {string} expected
+     * @returns {string}
+     */
+    (field, expected) => `Invalid ${field}: expected ${expected}`,
+  REPLAY_MUTATION_PATCH_CONFLICT:
+    "Use either jsonPatch or mergePatch, not both",
+  REPLAY_BODY_NOT_JSON:
+    "The captured body is not JSON, so it cannot be patched",
+  JSON_PATCH_NOT_ARRAY: "Invalid JSON Patch: expected an array of operations",
+  INVALID_JSON_PATCH:
+    /**
+     * @param {number} index
+     * @param {string} reason
+     * @returns {string}
+     */
+    (index, reason) => `Invalid JSON Patch operation [${index}]: ${reason}`,
+  INVALID_JSON_POINTER:
+    /**
+     * @param {string} pointer
+     * @returns {string}
+     */
+    (pointer) => `Invalid JSON Pointer: ${pointer}`,
+  JSON_PATCH_PATH_NOT_FOUND:
+    /**
+     * @param {string} token
+     * @returns {string}
+     */
+    (token) => `path not found at "${token}"`,
+  JSON_PATCH_TEST_FAILED: "test operation failed",
+  MOCK_RULE_CREATION_FAILED: "Failed to create mock rule",
+  INVALID_MOCK_RULE_ORDER:
+    "Request body must be a JSON array of { id, priority } entries",
+  WEBHOOK_EXPIRY_CONFLICT:
+    "Provide either 'expiresAt' or 'extendHours', not both",
   INVALID_WEBHOOK_LOG: "Log entry belongs to invalid webhook",
+  INVALID_SCRIPT_TEST: "Invalid script test",
+  SCRIPT_TEST_INPUT_CONFLICT: "Provide either 'logId' or 'event', not both",
+  SCRIPT_TEST_INPUT_MISSING:
+    "Provide a 'logId' or an inline 'event' to run the script against",
+  SCRIPT_TEST_SOURCE_REQUIRED: "source is required",
+  SCRIPT_SOURCE_INVALID:
+    /**
+     * @param {string} message
+     * @returns {string}
+     */
+    (message) => `source does not compile: ${message}`,
+  SCRIPT_TEST_LOG_ID_INVALID: "logId must be a non-empty string",
+  SCRIPT_TEST_EVENT_INVALID: "event must be an object",
   LOG_DETAIL_FAILED: "Failed to fetch log detail",
+  DELIVERIES_FETCH_FAILED: "Failed to fetch log deliveries",
+  LOG_EXPORT_FAILED: "Failed to export logs",
+  INVALID_LOG_EXPORT_FORMAT:
+    /**
+     * @param {string[]} formats
+     * @returns {string}
+     */
+    (formats) => `Invalid format: expected one of ${formats.join(", ")}`,
   FORWARD_REQUEST_FAILED: "Request Failed",
   ABORTED: "Aborted",
   SCHEMA_COMPILATION_FAILED: "Schema compilation failed",
@@ -120,6 +212,163 @@ export const ERROR_MESSAGES = Object.freeze({
      * @returns {string}
      */
     (hours) => `Invalid retentionHours: ${hours}. Must be a positive number.`,
+  INVALID_EXPIRES_AT:
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    (value) => `Invalid expiresAt: ${value}. Must be an ISO 8601 date.`,
+  EXPIRES_AT_IN_PAST:
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    (value) => `Invalid expiresAt: ${value}. Must be in the future.`,
+  INVALID_EXTEND_HOURS:
+    /**
+     * @param {number} hours
+     * @returns {string}
+     */
+    (hours) => `Invalid extendHours: ${hours}. Must be a positive number.`,
+  INVALID_WEBHOOK_LABEL:
+    /**
+     * @param {number} max
+     * @returns {string}
+     */
+    (max) => `Invalid label. Must be a string of at most ${max} characters.`,
+  UNSUPPORTED_WEBHOOK_SETTING:
+    /**
+     * @param {string} key
+     * @returns {string}
+     */
+    (key) => `Unsupported per-webhook setting: ${key}`,
+  INVALID_WEBHOOK_SETTING:
+    /**
+     * @param {string} key
+     * @param {string} expected
+     * @returns {string}
+     */
+    (key, expected) => `Invalid ${key}: expected ${expected}`,
+  UNSUPPORTED_MOCK_RULE_FIELD:
+    /**
+     * @param {string} field
+     * @returns {string}
+     */
+    (field) => `Unsupported mock rule field: ${field}`,
+  INVALID_MOCK_RULE_FIELD:
+    /**
+     * @param {string} field
+     * @param {string} expected
+     * @returns {string}
+     */
+    (field, expected) => `Invalid ${field}: expected ${expected}`,
+  INVALID_SIGNATURE_RULE:
+    /**
+     * @param {number} index
+     * @param {string} reason
+     * @returns {string}
+     */
+    (index, reason) =>
+      `Invalid signatureVerificationRules[${index}]: ${reason}`,
+  INVALID_FORWARD_DESTINATION:
+    /**
+     * @param {number} index
+     * @param {string} reason
+     * @returns {string}
+     */
+    (index, reason) => `Invalid forwardDestinations[${index}]: ${reason}`,
+  INVALID_CUSTOM_SCRIPT:
+    /**
+     * @param {number} index
+     * @param {string} reason
+     * @returns {string}
+     */
+    (index, reason) => `Invalid customScripts[${index}]: ${reason}`,
+  INVALID_SIGNING_SECRETS: "Invalid signing secrets: expected an array",
+  INVALID_SIGNING_SECRET:
+    /**
+     * @param {number} index
+     * @param {string} reason
+     * @returns {string}
+     */
+    (index, reason) => `Invalid signing secret [${index}]: ${reason}`,
+  UNSUPPORTED_FIELD:
+    /**
+     * @param {string} field
+     * @returns {string}
+     */
+    (field) => `unsupported field ${field}`,
+  REQUIRED_FIELD:
+    /**
+     * @param {string} field
+     * @returns {string}
+     */
+    (field) => `${field} is required`,
+  INVALID_FIELD:
+    /**
+     * @param {string} field
+     * @param {string} expected
+     * @returns {string}
+     */
+    (field, expected) => `${field} must be ${expected}`,
+  INVALID_FIELD_CHOICE:
+    /**
+     * @param {string} field
+     * @param {readonly string[]} values
+     * @returns {string}
+     */
+    (field, values) => `${field} must be one of ${values.join(", ")}`,
+  DUPLICATE_ID:
+    /**
+     * @param {string} id
+     * @returns {string}
+     */
+    (id) => `duplicate id ${id}`,
+  CUSTOM_SCRIPT_ID_RESERVED:
+    /**
+     * @param {string} id
+     * @returns {string}
+     */
+    (id) => `id ${id} is reserved`,
+  TOO_MANY_ENTRIES:
+    /**
+     * @param {number} max
+     * @param {string} noun
+     * @returns {string}
+     */
+    (max, noun) => `at most ${max} ${noun} are allowed`,
+  SIGNATURE_RULE_TOO_MANY_HEADERS:
+    /**
+     * @param {number} max
+     * @returns {string}
+     */
+    (max) => `when.headers allows at most ${max} headers`,
+  SIGNATURE_RULE_KEY_REQUIRED:
+    "verify.secret, verify.secrets, verify.publicKeys, or verify.jwksFile is required",
+  INVALID_SIGNATURE_RULE_SECRETS:
+    /**
+     * @param {string} reason
+     * @returns {string}
+     */
+    (reason) => `verify.secrets: ${reason}`,
+  MOCK_RESPONSE_TOO_LARGE:
+    /**
+     * @param {number} max
+     * @returns {string}
+     */
+    (max) => `Invalid response.body: must serialize to at most ${max} bytes`,
+  MOCK_RULE_LIMIT_REACHED:
+    /**
+     * @param {number} max
+     * @returns {string}
+     */
+    (max) => `Mock rule limit reached. Max allowed is ${max}.`,
+  UNKNOWN_MOCK_RULE_IDS:
+    /**
+     * @param {string[]} ids
+     * @returns {string}
+     */
+    (ids) => `Unknown mock rule IDs: ${ids.join(", ")}`,
   SSE_LIMIT_REACHED:
     /**
      * @param {number} limit
@@ -200,6 +449,25 @@ export const ERROR_MESSAGES = Object.freeze({
      * @returns {string}
      */
     (code) => `Custom script worker exited unexpectedly with code ${code}`,
+  SCRIPT_POOL_CLOSED: "Custom script worker pool was closed",
+  SCRIPT_UTILS_UNSUPPORTED_ALGORITHM:
+    /**
+     * @param {unknown} algorithm
+     * @returns {string}
+     */
+    (algorithm) => `utils: unsupported hash algorithm ${String(algorithm)}`,
+  SCRIPT_UTILS_UNSUPPORTED_ENCODING:
+    /**
+     * @param {unknown} encoding
+     * @returns {string}
+     */
+    (encoding) => `utils: unsupported digest encoding ${String(encoding)}`,
+  SCRIPT_UTILS_UNSAFE_PATH:
+    /**
+     * @param {string} path
+     * @returns {string}
+     */
+    (path) => `utils: refusing to set unsafe JSON path ${path}`,
   WEBHOOK_STATE_RESET_UNAVAILABLE:
     "resetStateForTest() is only available in test mode",
 });
@@ -209,6 +477,7 @@ export const ERROR_MESSAGES = Object.freeze({
  */
 export const SIGNATURE_ERRORS = Object.freeze({
   NO_SECRET: "No signing secret configured",
+  NO_ACTIVE_SECRET: "No signing secret is active at this time",
   MISSING_HEADER: "Missing signature header",
   INVALID_FORMAT: "Invalid signature format",
   TIMESTAMP_TOLERANCE: "Timestamp outside tolerance",
@@ -222,6 +491,26 @@ export const SIGNATURE_ERRORS = Object.freeze({
      * @returns {string}
      */
     (headerName) => `Missing ${headerName} header`,
+  MISSING_URL: "Signed URL unavailable",
+  MISSING_BODY_SIGNATURE: "Missing signature fields in body",
+  BODY_HASH_MISMATCH: "Body hash mismatch",
+  INVALID_PUBLIC_KEY: "Invalid public key",
+  INVALID_JWKS: "Unable to load signing keys from JWKS file",
+  STREAMING_UNSUPPORTED:
+    /**
+     * @param {string} provider
+     * @returns {string}
+     */
+    (provider) =>
+      `${provider} signatures cannot be verified on streamed payloads`,
+  NO_MATCHING_RULE: "No signature verification rule matched the request",
+  AMBIGUOUS_RULES:
+    /**
+     * @param {string[]} ruleIds
+     * @returns {string}
+     */
+    (ruleIds) =>
+      `Ambiguous signature verification rules with equal priority: ${ruleIds.join(", ")}`,
 });
 
 /**
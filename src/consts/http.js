@@ -121,6 +121,9 @@ export const MIME_TYPES = Object.freeze({
   JAVASCRIPT: "application/javascript",
   XML: "application/xml",
   EVENT_STREAM: "text/event-stream",
+  NDJSON: "application/x-ndjson",
+  CSV: "text/csv",
+  PARQUET: "application/vnd.apache.parquet",
   IMAGE_PNG: "image/png",
   WILDCARD: "*/*",
 });
@@ -140,6 +143,7 @@ export const HTTP_HEADERS = Object.freeze({
   X_FORWARDED_PROTO: "x-forwarded-proto",
   HOST: "host",
   CONTENT_ENCODING: "content-encoding",
+  CONTENT_DISPOSITION: "content-disposition",
   CACHE_CONTROL: "cache-control",
   CONNECTION: "connection",
   CONTENT_SECURITY_POLICY: "Content-Security-Policy",
@@ -166,6 +170,21 @@ export const HTTP_HEADERS = Object.freeze({
   HUB_SIGNATURE_256: "x-hub-signature-256",
   SLACK_TIMESTAMP: "x-slack-request-timestamp",
   SLACK_SIGNATURE: "x-slack-signature",
+  TWILIO_SIGNATURE: "x-twilio-signature",
+  STANDARD_WEBHOOK_ID: "webhook-id",
+  STANDARD_WEBHOOK_TIMESTAMP: "webhook-timestamp",
+  STANDARD_WEBHOOK_SIGNATURE: "webhook-signature",
+  SVIX_ID: "svix-id",
+  SVIX_TIMESTAMP: "svix-timestamp",
+  SVIX_SIGNATURE: "svix-signature",
+  PADDLE_SIGNATURE: "paddle-signature",
+  SQUARE_SIGNATURE: "x-square-hmacsha256-signature",
+  ZOOM_SIGNATURE: "x-zm-signature",
+  ZOOM_TIMESTAMP: "x-zm-request-timestamp",
+  SENDGRID_SIGNATURE: "x-twilio-email-event-webhook-signature",
+  SENDGRID_TIMESTAMP: "x-twilio-email-event-webhook-timestamp",
+  DISCORD_SIGNATURE: "x-signature-ed25519",
+  DISCORD_TIMESTAMP: "x-signature-timestamp",
   X_SIMULATE_NO_IP: "x-simulate-no-ip",
   ACCEPT_LANGUAGE: "accept-language",
   REFERER: "referer",
@@ -192,6 +211,8 @@ export const ENCODINGS = Object.freeze({
   UTF: "utf8",
   UTF8: "utf-8",
   BASE64: "base64",
+  BASE64URL: "base64url",
+  HEX: "hex",
 });
 
 export const HTTP_STATUS_MESSAGES = Object.freeze({
@@ -303,6 +324,21 @@ export const FORWARD_HEADERS_TO_IGNORE = Object.freeze([
   HTTP_HEADERS.UPGRADE,
 ]);
 
+/**
+ * Downstream response headers not relayed to the sender in synchronous proxy mode.
+ * The body is re-sent decompressed, so its length and encoding headers no longer apply.
+ */
+export const PROXY_RESPONSE_HEADERS_TO_IGNORE = Object.freeze([
+  HTTP_HEADERS.CONTENT_LENGTH,
+  HTTP_HEADERS.CONTENT_ENCODING,
+  HTTP_HEADERS.TRANSFER_ENCODING,
+  HTTP_HEADERS.CONNECTION,
+  HTTP_HEADERS.KEEP_ALIVE,
+  HTTP_HEADERS.PROXY_CONNECTION,
+  HTTP_HEADERS.TRAILER,
+  HTTP_HEADERS.UPGRADE,
+]);
+
 export const HTTP_CONSTS = Object.freeze({
   SAFE_HEADERS: [
     HTTP_HEADERS.USER_AGENT,
@@ -28,6 +28,10 @@ export const LOG_COMPONENTS = Object.freeze({
   SSRF: "SSRF",
   DUCKDB: "DuckDB",
   WEBHOOK_RATE_LIMITER: "WebhookRateLimiter",
+  MOCK_RULE_SERVICE: "MockRuleService",
+  FORWARD_OUTBOX: "ForwardOutbox",
+  REPLAY_JOBS: "ReplayJobs",
+  LOG_EXPORT: "LogExport",
   CONFIG: "Config",
   RATE_LIMITER: "RateLimiter",
   SYNC_VERSION: "SyncVersion",
@@ -45,6 +45,8 @@ export const LOG_MESSAGES = Object.freeze({
   SYNC_ERROR_GENERAL: "Sync error",
   SSRF_BLOCKED: "SSRF blocked forward URL",
   FAILED_LOG_FORWARD: "Failed to log forward error",
+  DELIVERY_RECORD_FAILED: "Failed to record delivery",
+  REPLAY_CAPTURE_FAILED: "Failed to store replay request and response",
   SLACK_NOTIF_FAILED: "Slack notification failed",
   DISCORD_NOTIF_FAILED: "Discord notification failed",
   UPDATE_MAX_PAYLOAD: "Updating max payload size",
@@ -125,6 +127,48 @@ export const LOG_MESSAGES = Object.freeze({
   CLEANUP_DELETED_PAYLOADS: "Deleted offloaded payloads",
   CLEANUP_WEBHOOK_REMOVED: "Removed expired webhook and data",
   CLEANUP_WEBHOOK_FAILED: "Failed to clean up webhook",
+  WEBHOOK_CREATED: "Created webhook via management API",
+  WEBHOOK_UPDATED: "Updated webhook via management API",
+  WEBHOOK_DELETED: "Deleted webhook via management API",
+  WEBHOOK_CONFIG_UPDATED: "Updated per-webhook configuration",
+  RESPONSE_SEQUENCE_RESET: "Reset response sequence",
+  RESPONSE_SEQUENCES_PERSIST_FAILED: "Failed to persist response sequences",
+  RESPONSE_SEQUENCE_IGNORED: "Ignored invalid responseSequence input",
+  SIGNATURE_RULE_SKIPPED: "Skipped invalid signature verification rule",
+  FORWARD_DESTINATION_SKIPPED: "Skipped invalid forward destination",
+  CUSTOM_SCRIPT_SKIPPED: "Skipped invalid custom script",
+  SIGNING_SECRET_SKIPPED: "Skipped invalid signing secret",
+  FORWARD_SIGNING_IGNORED: "Ignored invalid forwardSigning input",
+  MOCK_RULES_RESTORED: "Restored mock rules from state",
+  MOCK_RULES_INIT_FAILED: "Failed to initialize mock rule state",
+  MOCK_RULES_PERSIST_FAILED: "Failed to persist mock rules",
+  MOCK_RULE_SKIPPED: "Skipped invalid mock rule from state",
+  OUTBOX_RESTORED: "Restored forwarding outbox from state",
+  OUTBOX_INIT_FAILED: "Failed to initialize forwarding outbox",
+  OUTBOX_PERSIST_FAILED: "Failed to persist forwarding outbox",
+  OUTBOX_ENTRY_SKIPPED: "Skipped invalid outbox entry from state",
+  OUTBOX_ENQUEUED: "Queued forward for durable retry",
+  OUTBOX_ENQUEUE_FAILED: "Failed to queue forward for durable retry",
+  OUTBOX_FULL: "Forwarding outbox is full; dropping forward",
+  OUTBOX_DELIVERED: "Delivered queued forward",
+  OUTBOX_RESCHEDULED: "Queued forward failed; retry rescheduled",
+  OUTBOX_DEAD_LETTERED: "Queued forward moved to dead letters",
+  OUTBOX_REDRIVEN: "Dead letter redriven",
+  OUTBOX_PROCESS_FAILED: "Failed to process forwarding outbox",
+  OUTBOX_INACTIVE_WEBHOOK_ENTRIES_DROPPED:
+    "Dropped queued forwards of deleted or expired webhooks",
+  OUTBOX_IN_FLIGHT_SUSPENDED:
+    "Queued in-flight forwards for retry after restart",
+  REPLAY_JOB_CREATED: "Created replay job",
+  REPLAY_JOB_FINISHED: "Replay job finished",
+  REPLAY_JOB_SELECTION_FAILED: "Failed to select logs for replay job",
+  REPLAY_JOB_ITEM_FAILED: "Replay job item failed",
+  REPLAY_JOB_LISTENER_FAILED: "Dropped a failing replay job subscriber",
+  LOG_EXPORT_ABORTED: "Log export failed after streaming started",
+  MOCK_RULE_CREATED: "Created mock rule",
+  MOCK_RULE_UPDATED: "Updated mock rule",
+  MOCK_RULE_DELETED: "Deleted mock rule",
+  MOCK_RULES_REORDERED: "Reordered mock rules",
   RETENTION_REFRESHED: "Refreshed webhook retention",
   KVS_DELETE_FAILED: "Failed to delete KVS key during cleanup",
   VACUUM_FAILED: "DuckDB vacuum failed",
@@ -145,6 +189,9 @@ export const LOG_MESSAGES = Object.freeze({
      */
     (ms) => `Custom script execution timed out after ${ms}ms`,
   SCRIPT_EXECUTION_FAILED: "Failed to run custom script",
+  SCRIPT_OUTCOME_INVALID:
+    "Custom script set invalid outcome keys; ignoring them",
+  SCRIPT_OUTCOME_DROPPED: "Custom script dropped the event",
   WEBHOOK_RECEIVED_STATUS:
     /**
      * @param {number} statusCode
@@ -156,6 +203,8 @@ export const LOG_MESSAGES = Object.freeze({
   CHECK_PLATFORM_LIMITS: "Check Apify platform limits or storage availability",
   CIRCUIT_BREAKER_OPEN: "Circuit breaker open, skipping forward request",
   FORWARD_PAYLOAD_TOO_LARGE: "Forwarding payload too large, skipping",
+  SYNC_PROXY_FALLBACK:
+    "Synchronous proxy target did not answer, sending the default response",
   FORWARD_ABORTED: "Forwarding aborted by signal",
   BINARY_OBJECT_PLACEHOLDER: "[Binary Object]",
   SYNC_VERSION_SUCCESS:
@@ -55,6 +55,14 @@ export const SUPPORTED_PROVIDERS = Object.freeze(
   Object.values(SIGNATURE_PROVIDERS),
 );
 
+/**
+ * Schemes that forwarded and replayed requests can be re-signed with.
+ * @type {ReadonlyArray<string>}
+ */
+export const FORWARD_SIGNING_PROVIDERS = Object.freeze(
+  inputSchema.properties.forwardSigning.properties.provider.enum,
+);
+
 export const HASH_ALGORITHMS = Object.freeze({
   ...convertToEnum(algorithms),
 });
@@ -69,6 +77,12 @@ export const SIGNATURE_PREFIXES = Object.freeze({
   V0: "v0=",
   V1: "v1=",
   V0_NO_PREFIX: "v0",
+  STANDARD_WEBHOOKS_V1: "v1,",
+  STANDARD_WEBHOOKS_SECRET: "whsec_",
+  STRIPE_TIMESTAMP: "t=",
+  PADDLE_TIMESTAMP: "ts=",
+  PADDLE_HASH: "h1=",
+  PEM: "-----BEGIN",
 });
 
 export const SECURITY_CONSTS = Object.freeze({
@@ -107,4 +121,36 @@ export const SIGNATURE_CONSTS = Object.freeze({
     inputSchema.properties.signatureVerification.properties.algorithm.default,
   DEFAULT_ENCODING:
     inputSchema.properties.signatureVerification.properties.encoding.default,
+  MAX_RULES: getInt(
+    "MAX_SIGNATURE_RULES",
+    inputSchema.properties.signatureVerificationRules.maxItems,
+  ),
+  MAX_RULE_HEADERS: getInt("MAX_SIGNATURE_RULE_HEADERS", 20),
+  MAX_SECRETS: inputSchema.properties.signatureVerificationSecrets.maxItems,
+  DEFAULT_MODE: inputSchema.properties.signatureVerificationMode.default,
+  MATCH_ANY: "*",
+  TWILIO_BODY_HASH_PARAM: "bodySHA256",
+  // Key types that sign the whole message at once (no digest, no streaming)
+  ONE_SHOT_KEY_TYPES: Object.freeze(["ed25519", "ed448"]),
+  JWKS_SIGNING_USE: "sig",
+  // Key ID reported when the provider's "secret" field holds the public key
+  SECRET_KEY_ID: "secret",
+});
+
+/**
+ * ECDSA signature layouts: DER (SendGrid, OpenSSL) or raw r||s (JOSE/JWS).
+ * @enum {string}
+ */
+export const DSA_ENCODINGS = Object.freeze({
+  DER: "der",
+  IEEE_P1363: "ieee-p1363",
+});
+
+/**
+ * What to do when `signatureVerificationRules` are configured but none match.
+ * @enum {string}
+ */
+export const SIGNATURE_VERIFICATION_MODES = Object.freeze({
+  FAIL_CLOSED: "failClosed",
+  SKIP_VERIFICATION: "skipVerification",
 });
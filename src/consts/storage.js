@@ -56,6 +56,9 @@ export const FILE_EXTENSIONS = Object.freeze({
 export const KVS_KEYS = Object.freeze({
   INPUT: "INPUT",
   STATE: "WEBHOOK_STATE",
+  MOCK_RULES: "MOCK_RULES",
+  RESPONSE_SEQUENCES: "RESPONSE_SEQUENCES",
+  FORWARD_OUTBOX: "FORWARD_OUTBOX",
 });
 
 /** @enum {string} */
@@ -39,6 +39,8 @@ export const DASHBOARD_CONSTS = Object.freeze({
     LOG_PAYLOAD: APP_ROUTES.LOG_PAYLOAD,
     STREAM: APP_ROUTES.LOG_STREAM,
     WEBHOOK: APP_ROUTES.WEBHOOK,
+    WEBHOOKS: APP_ROUTES.WEBHOOKS,
+    MOCK_RULES: APP_ROUTES.MOCK_RULES,
     REPLAY: `${APP_ROUTES.REPLAY}?url=http://your-goal.com`,
     INFO: APP_ROUTES.INFO,
     SYSTEM_METRICS: APP_ROUTES.SYSTEM_METRICS,
@@ -56,6 +58,7 @@ export const STATUS_LABELS = Object.freeze({
   ERROR: "error",
   DISABLED: "Disabled",
   NO_VERIFICATION: "No Verification",
+  CONDITIONAL_VERIFICATION: "Conditional rules",
 });
 
 /** @enum {string} */
@@ -415,6 +415,28 @@ export async function executeQuery(sql, params) {
   return executeQueryInternal(sql, params);
 }
 
+/**
+ * Streams the rows of a read query one chunk at a time, so large results are
+ * never held in memory at once. The connection stays checked out until the
+ * iterator completes or is returned early.
+ * @param {string} sql - SQL query with named parameters (e.g. $id)
+ * @param {Record<string, DuckDBValue>} [params] - Key-value pairs for parameters
+ * @returns {AsyncGenerator<Record<string, DuckDBValue>[]>}
+ */
+export async function* streamQuery(sql, params) {
+  const conn = await acquireConnection();
+  beginConnectionOperation();
+  try {
+    const result = params
+      ? await conn.stream(sql, params)
+      : await conn.stream(sql);
+    yield* result.yieldRowObjects();
+  } finally {
+    releaseConnection(conn);
+    endConnectionOperation();
+  }
+}
+
 /**
  * Executes a write query (INSERT, UPDATE, DELETE) through the sequential write queue.
  * @param {string} sql
@@ -516,6 +538,45 @@ async function initSchema(conn) {
   await conn.run(
     `CREATE INDEX IF NOT EXISTS idx_${SQL_CONSTS.COLUMNS.REQUEST_URL} ON ${DUCKDB_TABLES.LOGS} (${SQL_CONSTS.COLUMNS.REQUEST_URL})`,
   );
+
+  // 4. Deliveries (outbound forward/replay outcomes, linked to logs.id)
+  await conn.run(`
+    CREATE TABLE IF NOT EXISTS ${DUCKDB_TABLES.DELIVERIES} (
+      ${SQL_CONSTS.DELIVERY_COLUMNS.ID} VARCHAR PRIMARY KEY,
+      ${SQL_CONSTS.DELIVERY_COLUMNS.TIMESTAMP} TIMESTAMP
+    );
+  `);
+
+  for (const colDef of DUCKDB_SCHEMA.DELIVERY_COLUMNS) {
+    await conn.run(
+      `ALTER TABLE ${DUCKDB_TABLES.DELIVERIES} ADD COLUMN IF NOT EXISTS ${colDef}`,
+    );
+  }
+
+  await conn.run(
+    `CREATE INDEX IF NOT EXISTS idx_${DUCKDB_TABLES.DELIVERIES}_${SQL_CONSTS.DELIVERY_COLUMNS.LOG_ID} ON ${DUCKDB_TABLES.DELIVERIES} (${SQL_CONSTS.DELIVERY_COLUMNS.LOG_ID})`,
+  );
+  await conn.run(
+    `CREATE INDEX IF NOT EXISTS idx_${DUCKDB_TABLES.DELIVERIES}_${SQL_CONSTS.DELIVERY_COLUMNS.STATUS} ON ${DUCKDB_TABLES.DELIVERIES} (${SQL_CONSTS.DELIVERY_COLUMNS.STATUS})`,
+  );
+
+  // 5. Replay captures (request/response pairs, keyed by the replay's delivery ID)
+  await conn.run(`
+    CREATE TABLE IF NOT EXISTS ${DUCKDB_TABLES.REPLAY_CAPTURES} (
+      ${SQL_CONSTS.DELIVERY_COLUMNS.ID} VARCHAR PRIMARY KEY,
+      ${SQL_CONSTS.DELIVERY_COLUMNS.TIMESTAMP} TIMESTAMP
+    );
+  `);
+
+  for (const colDef of DUCKDB_SCHEMA.REPLAY_CAPTURE_COLUMNS) {
+    await conn.run(
+      `ALTER TABLE ${DUCKDB_TABLES.REPLAY_CAPTURES} ADD COLUMN IF NOT EXISTS ${colDef}`,
+    );
+  }
+
+  await conn.run(
+    `CREATE INDEX IF NOT EXISTS idx_${DUCKDB_TABLES.REPLAY_CAPTURES}_${SQL_CONSTS.DELIVERY_COLUMNS.LOG_ID} ON ${DUCKDB_TABLES.REPLAY_CAPTURES} (${SQL_CONSTS.DELIVERY_COLUMNS.LOG_ID})`,
+  );
 }
 
 /**
@@ -17,7 +17,13 @@ import {
   getKvsUrl,
   createReferenceBody,
 } from "./utils/storage_helper.js";
-import { APP_CONSTS, DEFAULT_ID_LENGTH, STREAM_EVENTS } from "./consts/app.js";
+import {
+  APP_CONSTS,
+  CUSTOM_SCRIPT_LIBRARY_CONSTS,
+  DEFAULT_ID_LENGTH,
+  STREAM_EVENTS,
+  WEBHOOK_CONFIG_OVERRIDES,
+} from "./consts/app.js";
 import { STORAGE_CONSTS } from "./consts/storage.js";
 import {
   HTTP_HEADERS,
@@ -43,9 +49,31 @@ import {
   verifySignature,
   finalizeStreamVerification,
 } from "./utils/signature.js";
-import { triggerAlertIfNeeded } from "./utils/alerting.js";
+import { resolveSignatureVerification } from "./utils/signature_rules.js";
+import { hasVerificationKey } from "./utils/public_keys.js";
+import { sendAlert, triggerAlertIfNeeded } from "./utils/alerting.js";
+import {
+  createScriptOutcome,
+  extractScriptOutcome,
+} from "./utils/script_outcome.js";
 import { appEvents, EVENT_NAMES } from "./utils/events.js";
-import { forwardingService as defaultForwardingService } from "./services/index.js";
+import {
+  forwardingService as defaultForwardingService,
+  mockRuleService as defaultMockRuleService,
+} from "./services/index.js";
+import { renderMockResponse } from "./utils/mock_rules.js";
+import { selectForwardDestinations } from "./utils/forward_destinations.js";
+import { selectCustomScripts } from "./utils/custom_scripts.js";
+import {
+  getSequenceKey,
+  selectSequenceStep,
+} from "./utils/response_sequence.js";
+import {
+  createResponseTemplateContext,
+  hasTemplatePlaceholders,
+  renderBodyTemplate,
+  renderTemplateHeaders,
+} from "./utils/template.js";
 import { PassThrough } from "stream";
 import { webhookRateLimiter } from "./utils/webhook_rate_limiter.js";
 import {
@@ -63,6 +91,19 @@ import { IS_TEST } from "./utils/env.js";
 
 const VALIDATOR_CACHE_MAX_ENTRIES = 32;
 
+/**
+ * Heuristic for text-based (non-JSON) content types, e.g. `text/plain` or XML.
+ * @param {string} contentType - Lowercase media type without parameters
+ * @returns {boolean}
+ */
+const isTextContentType = (contentType) =>
+  HTTP_CONSTS.TEXT_CONTENT_TYPE_PREFIXES.some((prefix) =>
+    contentType.startsWith(prefix),
+  ) ||
+  HTTP_CONSTS.TEXT_CONTENT_TYPE_INCLUDES.some((part) =>
+    contentType.includes(part),
+  );
+
 /**
  * @typedef {import("express").RequestHandler} RequestHandler
  * @typedef {import("ajv").default} AjvType
@@ -81,7 +122,11 @@ const VALIDATOR_CACHE_MAX_ENTRIES = 32;
  * @typedef {import('./typedefs.js').AlertConfig} AlertConfig
  * @typedef {import('./typedefs.js').WebhookConfig} WebhookConfig
  * @typedef {import("./services/index.js").ForwardingService} ForwardingService
+ * @typedef {import("./services/index.js").MockRuleService} MockRuleService
  * @typedef {import("./typedefs.js").LoggerMiddlewareFunction} LoggerMiddlewareFunction
+ * @typedef {import("./typedefs.js").ProxyResponse} ProxyResponse
+ * @typedef {import("./typedefs.js").ScriptOutcome} ScriptOutcome
+ * @typedef {import("./typedefs.js").ScriptRun} ScriptRun
  */
 
 /**
@@ -255,6 +300,8 @@ export class LoggerMiddleware {
   #options;
   /** @type {ForwardingService} */
   #forwardingService;
+  /** @type {MockRuleService} */
+  #mockRuleService;
   /** @type {string | null} */
   #compiledScript = null;
   /** @type {ValidateFunction} */
@@ -288,8 +335,15 @@ export class LoggerMiddleware {
    * @param {Object} rawOptions
    * @param {Function} onEvent
    * @param {ForwardingService} [forwardingService] - Dependency injection for testing
+   * @param {MockRuleService} [mockRuleService] - Dependency injection for testing
    */
-  constructor(webhookManager, rawOptions, onEvent, forwardingService) {
+  constructor(
+    webhookManager,
+    rawOptions,
+    onEvent,
+    forwardingService,
+    mockRuleService,
+  ) {
     this.#webhookManager = webhookManager;
     this.#onEvent = onEvent;
 
@@ -320,6 +374,9 @@ export class LoggerMiddleware {
 
     /** @type {ForwardingService} */
     this.#forwardingService = forwardingService || defaultForwardingService;
+
+    /** @type {MockRuleService} */
+    this.#mockRuleService = mockRuleService || defaultMockRuleService;
   }
 
   /**
@@ -330,6 +387,15 @@ export class LoggerMiddleware {
     return this.#options;
   }
 
+  /**
+   * Effective forward signing config for a webhook (per-webhook override or global).
+   * @param {string} webhookId
+   * @returns {LoggerOptions["forwardSigning"]}
+   */
+  getForwardSigning(webhookId) {
+    return this.#resolveOptions(webhookId).forwardSigning;
+  }
+
   /**
    * Expose compiled script availability for testing or read-only access
    * @returns {boolean}
@@ -473,30 +539,20 @@ export class LoggerMiddleware {
     const webhookData = this.#webhookManager.getWebhookData(webhookId) ?? {};
 
     // Only allow non-security settings to be overridden per-webhook
-    /** @type {Array<keyof WebhookConfig>} */
-    const allowedOverrides = [
-      "defaultResponseCode",
-      "defaultResponseBody",
-      "defaultResponseHeaders",
-      "responseDelayMs",
-      "forwardUrl",
-      "forwardHeaders",
-      "maxForwardRetries",
-      "jsonSchema",
-      "signatureVerification",
-      "enableJSONParsing",
-      "redactBodyPaths",
-      "maskSensitiveData",
-    ];
     const webhookOverrides = Object.fromEntries(
       Object.entries(webhookData).filter(([key]) =>
-        allowedOverrides.includes(/** @type {keyof WebhookConfig} */ (key)),
+        WEBHOOK_CONFIG_OVERRIDES.includes(key),
       ),
     );
 
     return {
       ...this.#options,
       ...webhookOverrides,
+      // A webhook with its own verifier is single-provider; global
+      // conditional rules only apply to webhooks without one.
+      ...(webhookOverrides.signatureVerification && {
+        signatureVerificationRules: [],
+      }),
     };
   }
 
@@ -589,19 +645,36 @@ export class LoggerMiddleware {
 
       try {
         // Setup streaming signature verification
+        const selection = resolveSignatureVerification(options, {
+          method: req.method,
+          path: req.path,
+          headers: req.headers,
+          query: req.query,
+        });
+        if (selection.error) {
+          this.#log.warn(
+            { error: selection.error },
+            LOG_MESSAGES.STREAM_VERIFIER_FAILED,
+          );
+          return sendUnauthorizedResponse(req, res, {
+            error: selection.error,
+            id: webhookId,
+            docs: APP_CONSTS.APIFY_HOMEPAGE_URL,
+          });
+        }
+
+        const signatureConfig = selection.config;
         let verifier = null;
-        if (
-          options.signatureVerification?.provider &&
-          options.signatureVerification?.secret
-        ) {
+        if (signatureConfig?.provider && hasVerificationKey(signatureConfig)) {
           const result = createStreamVerifier(
-            options.signatureVerification,
+            signatureConfig,
             /** @type {Record<string, string>} */ (req.headers),
+            this.#getSignedRequest(req),
           );
           if (result.hmac) {
             verifier = result;
             this.#log.info(
-              { provider: options.signatureVerification.provider },
+              { provider: signatureConfig.provider, ruleId: selection.ruleId },
               LOG_MESSAGES.STREAM_VERIFIER_INIT,
             );
           } else {
@@ -640,8 +713,11 @@ export class LoggerMiddleware {
           // Attach result to req for the main middleware to use
           req.ingestSignatureResult = {
             valid,
-            provider: options.signatureVerification?.provider,
+            provider: String(signatureConfig?.provider),
             error: valid ? undefined : ERROR_LABELS.SIGNATURE_MISMATCH_STREAM,
+            ruleId: selection.ruleId,
+            keyId: verifier.keyId,
+            secretIndex: verifier.secretIndex,
           };
         }
 
@@ -803,10 +879,31 @@ export class LoggerMiddleware {
       });
 
       // 3a. Signature Verification (if configured)
-      if (
-        mergedOptions.signatureVerification &&
-        mergedOptions.signatureVerification?.provider &&
-        mergedOptions.signatureVerification?.secret
+      // Conditional rules pick exactly one verifier; streamed bodies are not
+      // available to body conditions, matching the selection made at ingest.
+      const signatureSelection = resolveSignatureVerification(mergedOptions, {
+        method: req.method,
+        path: req.path,
+        headers: req.headers,
+        query: req.query,
+        body: req.isOffloaded ? undefined : req.rawBody || req.body,
+      });
+      const signatureConfig = signatureSelection.config;
+      event.signatureRuleId = signatureSelection.ruleId;
+
+      if (signatureSelection.error) {
+        event.signatureValid = false;
+        event.signatureError = signatureSelection.error;
+        event.signatureSelectionError = signatureSelection.error;
+        event.statusCode = HTTP_STATUS.UNAUTHORIZED;
+        event.responseBody = {
+          error: ERROR_LABELS.INVALID_SIGNATURE,
+          details: signatureSelection.error,
+          docs: APP_CONSTS.APIFY_HOMEPAGE_URL,
+        };
+      } else if (
+        signatureConfig?.provider &&
+        hasVerificationKey(signatureConfig)
       ) {
         const ingestResult = req.ingestSignatureResult;
 
@@ -815,6 +912,8 @@ export class LoggerMiddleware {
           // Use pre-calculated result from streaming offload
           event.signatureValid = ingestResult.valid;
           event.signatureProvider = ingestResult.provider;
+          event.signatureKeyId = ingestResult.keyId;
+          event.signatureSecretIndex = ingestResult.secretIndex;
           if (!ingestResult.valid) {
             event.signatureError = ingestResult.error;
             event.statusCode = HTTP_STATUS.UNAUTHORIZED;
@@ -841,12 +940,15 @@ export class LoggerMiddleware {
             ]),
           );
           const sigResult = verifySignature(
-            mergedOptions.signatureVerification,
+            signatureConfig,
             rawBody,
             lowercaseHeaders,
+            this.#getSignedRequest(req),
           );
           event.signatureValid = sigResult.valid;
           event.signatureProvider = sigResult.provider;
+          event.signatureKeyId = sigResult.keyId;
+          event.signatureSecretIndex = sigResult.secretIndex;
           if (!sigResult.valid) {
             event.signatureError = sigResult.error;
             event.statusCode = HTTP_STATUS.UNAUTHORIZED;
@@ -861,27 +963,102 @@ export class LoggerMiddleware {
         }
       }
 
-      event = await this.#transformRequestData(event, req);
+      // 3b. Mock Rules (a failed signature check always wins)
+      /** @type {number | undefined} */
+      let delayOverrideMs;
+      if (event.signatureValid !== false) {
+        const mockRequest = {
+          webhookId,
+          method: req.method,
+          path: req.path,
+          headers: req.headers,
+          query: req.query,
+          body: req.body,
+        };
+        const rule = this.#mockRuleService.findMatch(mockRequest);
+        if (rule) {
+          const mocked = renderMockResponse(rule, mockRequest);
+          event.statusCode = mocked.status;
+          event.responseHeaders = {
+            ...event.responseHeaders,
+            ...mocked.headers,
+          };
+          if (mocked.body !== undefined) event.responseBody = mocked.body;
+          event.isMocked = true;
+          event.mockRuleId = rule.id;
+          delayOverrideMs = mocked.delay;
+          this.#mockRuleService.recordHit(rule.id);
+        }
+      }
+
+      // 3c. Response Sequence (e.g. 500, 500, 200 on successive calls)
+      const { responseSequence } = mergedOptions;
+      if (
+        responseSequence &&
+        event.signatureValid !== false &&
+        !event.isMocked
+      ) {
+        const callIndex = this.#webhookManager.advanceResponseSequence(
+          webhookId,
+          getSequenceKey(responseSequence, req.headers),
+        );
+        const { step } = selectSequenceStep(responseSequence, callIndex);
+        const context = createResponseTemplateContext(req);
+        event.statusCode = step.status;
+        event.responseHeaders = {
+          ...event.responseHeaders,
+          ...renderTemplateHeaders(step.headers ?? {}, context),
+        };
+        if (step.body !== undefined) {
+          event.responseBody = /** @type {string | Object} */ (
+            renderBodyTemplate(step.body, context)
+          );
+        }
+        delayOverrideMs = step.delayMs;
+      }
+
+      const transformed = await this.#transformRequestData(event, req);
+      event = transformed.event;
+      const scriptOutcome = transformed.outcome;
       event.processingTime = Date.now() - startTime;
 
+      // 3d. Synchronous Proxy (relays the forward target's response)
+      const forwardUrl = scriptOutcome.forwardTo ?? mergedOptions.forwardUrl;
+      const proxyResponse =
+        mergedOptions.syncProxy && forwardUrl && !scriptOutcome.skipForward
+          ? await this.#proxyToForwardUrl(event, req, mergedOptions, forwardUrl)
+          : undefined;
+
       // 4. Orchestration: Respond synchronous-ish, then race background tasks
-      const delayMs = getSafeResponseDelay(mergedOptions.responseDelayMs);
+      if (proxyResponse) {
+        this.#sendProxyResponse(res, proxyResponse);
+      } else {
+        const delayMs = getSafeResponseDelay(
+          delayOverrideMs ?? mergedOptions.responseDelayMs,
+        );
 
-      if (delayMs > 0) {
-        await new Promise((resolve) => setTimeout(resolve, delayMs));
-      }
+        if (delayMs > 0) {
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
 
-      this.#sendResponse(res, event, mergedOptions);
+        this.#sendResponse(req, res, event, mergedOptions);
+      }
 
       // Execute background tasks (storage, forwarding, alerting) after response
       const controller = new AbortController();
       const backgroundPromise = async () => {
         const signal = controller.signal;
         try {
-          await this.#executeBackgroundTasks(event, req, mergedOptions, signal);
+          await this.#executeBackgroundTasks(
+            event,
+            req,
+            mergedOptions,
+            signal,
+            scriptOutcome,
+          );
 
-          // Trigger alerts if configured
-          if (mergedOptions.alerts) {
+          // Trigger alerts if configured; `$alert` forces or suppresses them
+          if (mergedOptions.alerts && scriptOutcome.alert !== false) {
             /** @type {Readonly<AlertConfig['alertOn']>} */
             const alertOn = mergedOptions.alertOn || DEFAULT_ALERT_ON;
             /** @type {AlertConfig} */
@@ -899,7 +1076,11 @@ export class LoggerMiddleware {
               timestamp: event.timestamp,
               sourceIp: event.remoteIp,
             };
-            await triggerAlertIfNeeded(alertConfig, alertContext);
+            if (scriptOutcome.alert) {
+              await sendAlert(alertConfig, alertContext);
+            } else {
+              await triggerAlertIfNeeded(alertConfig, alertContext);
+            }
           }
         } catch (err) {
           if (signal.aborted) {
@@ -912,10 +1093,12 @@ export class LoggerMiddleware {
         }
       };
 
-      // Wrap background work in Promise.race to ensure we don't hang the Actor if storage is slow
-      const timeoutMs = IS_TEST()
-        ? APP_CONSTS.BACKGROUND_TASK_TIMEOUT_TEST_MS
-        : APP_CONSTS.BACKGROUND_TASK_TIMEOUT_PROD_MS;
+      // Wrap background work in Promise.race to ensure we don't hang the Actor if storage is slow.
+      // A script-requested forwarding delay extends the budget rather than eating into it.
+      const timeoutMs =
+        (IS_TEST()
+          ? APP_CONSTS.BACKGROUND_TASK_TIMEOUT_TEST_MS
+          : APP_CONSTS.BACKGROUND_TASK_TIMEOUT_PROD_MS) + scriptOutcome.delayMs;
       /** @type {ReturnType<typeof setTimeout> | undefined} */
       let timeoutHandle;
       await Promise.race([
@@ -1063,13 +1246,7 @@ export class LoggerMiddleware {
 
     // Heuristic for text-based content types
     const isJson = contentType.includes(HTTP_CONSTS.JSON_KEYWORD);
-    const isText =
-      HTTP_CONSTS.TEXT_CONTENT_TYPE_PREFIXES.some((prefix) =>
-        contentType.startsWith(prefix),
-      ) ||
-      HTTP_CONSTS.TEXT_CONTENT_TYPE_INCLUDES.some((part) =>
-        contentType.includes(part),
-      );
+    const isText = isTextContentType(contentType);
 
     let loggedBody = req.body;
     /** @type {BufferEncoding | undefined} */
@@ -1181,6 +1358,19 @@ export class LoggerMiddleware {
     return { loggedBody, loggedHeaders, contentType, bodyEncoding };
   }
 
+  /**
+   * Public URL of the request, for providers that sign it (Twilio, Square).
+   * Relies on `trust proxy` so the protocol reflects the original request.
+   * @param {Request} req
+   * @returns {{ url: string | undefined }}
+   */
+  #getSignedRequest(req) {
+    const host = req.headers[HTTP_HEADERS.HOST];
+    return {
+      url: host ? `${req.protocol}://${host}${req.originalUrl}` : undefined,
+    };
+  }
+
   /**
    * @param {IncomingHttpHeaders} headers
    */
@@ -1198,56 +1388,150 @@ export class LoggerMiddleware {
   }
 
   /**
+   * Runs `customScript` and then every matching library script, each on the
+   * event the previous one returned, and separates the final event from the
+   * outcome keys the chain set. A failing script leaves the event as it was
+   * before that script, and the chain continues.
    * @param {WebhookEvent} event
    * @param {CustomRequest} req
+   * @returns {Promise<{ event: WebhookEvent, outcome: ScriptOutcome }>}
    */
   async #transformRequestData(event, req) {
-    if (this.#compiledScript) {
-      try {
-        const executionResult = await executeCustomScript({
-          source: this.#compiledScript,
-          event,
-          req: createCustomScriptSafeRequest(req),
-          timeoutMs: APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
-        });
+    const scripts = [
+      ...(this.#compiledScript
+        ? [
+            {
+              id: CUSTOM_SCRIPT_LIBRARY_CONSTS.DEFAULT_SCRIPT_ID,
+              source: this.#compiledScript,
+            },
+          ]
+        : []),
+      ...selectCustomScripts(this.#options.customScripts ?? [], {
+        webhookId: event.webhookId,
+        method: req.method,
+        path: req.path,
+        headers: req.headers,
+        query: req.query,
+        body: req.body,
+      }),
+    ];
+    if (scripts.length === 0) {
+      return { event, outcome: createScriptOutcome() };
+    }
 
-        emitCustomScriptLogs(this.#log, executionResult.logs);
+    const safeRequest = createCustomScriptSafeRequest(req);
+    /** @type {ScriptRun[]} */
+    const scriptRuns = [];
+    let transformed = event;
+    for (const { id, source } of scripts) {
+      const startedAt = Date.now();
+      const result = await this.#runCustomScript(
+        id,
+        source,
+        transformed,
+        safeRequest,
+      );
+      scriptRuns.push({
+        id,
+        durationMs: Date.now() - startedAt,
+        ...(result.error && { error: result.error }),
+      });
+      if (result.event) transformed = result.event;
+    }
 
-        if (!executionResult.ok) {
-          throw rehydrateSandboxError(executionResult.error);
-        }
+    const { outcome, invalidKeys } = extractScriptOutcome(transformed);
+    if (invalidKeys.length > 0) {
+      this.#log.warn(
+        { webhookId: event.webhookId, invalidKeys },
+        LOG_MESSAGES.SCRIPT_OUTCOME_INVALID,
+      );
+    }
+    if (outcome.tags) transformed.tags = outcome.tags;
+    transformed.scriptRuns = scriptRuns;
+    return { event: transformed, outcome };
+  }
 
-        return restoreSandboxEvent(executionResult.event);
-      } catch (err) {
-        const error = /** @type {CommonError} */ (err);
-        const isTimeout =
-          error.code === NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT ||
-          error.message?.includes(LOG_MESSAGES.SCRIPT_EXECUTION_TIMEOUT_ERROR);
-        this.#log.error(
-          {
-            webhookId: event.webhookId,
-            isTimeout,
-            err: this.#serializeError(error),
-          },
-          isTimeout
-            ? LOG_MESSAGES.SCRIPT_EXECUTION_TIMED_OUT(
-                APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
-              )
-            : LOG_MESSAGES.SCRIPT_EXECUTION_FAILED,
-        );
+  /**
+   * Runs one script in the worker pool. Errors are logged and returned rather
+   * than thrown so a chain can continue past them.
+   * @param {string} scriptId
+   * @param {string} source
+   * @param {WebhookEvent} event
+   * @param {Record<string, unknown>} safeRequest
+   * @returns {Promise<{ event?: WebhookEvent, error?: string }>}
+   */
+  async #runCustomScript(scriptId, source, event, safeRequest) {
+    try {
+      const executionResult = await executeCustomScript({
+        source,
+        event,
+        req: safeRequest,
+        timeoutMs: APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
+      });
+
+      emitCustomScriptLogs(this.#log, executionResult.logs);
+
+      if (!executionResult.ok) {
+        throw rehydrateSandboxError(executionResult.error);
       }
-    }
 
-    return event;
+      return { event: restoreSandboxEvent(executionResult.event) };
+    } catch (err) {
+      const error = /** @type {CommonError} */ (err);
+      const isTimeout =
+        error.code === NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT ||
+        error.message?.includes(LOG_MESSAGES.SCRIPT_EXECUTION_TIMEOUT_ERROR);
+      const message = isTimeout
+        ? LOG_MESSAGES.SCRIPT_EXECUTION_TIMED_OUT(
+            APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
+          )
+        : LOG_MESSAGES.SCRIPT_EXECUTION_FAILED;
+      this.#log.error(
+        {
+          webhookId: event.webhookId,
+          scriptId,
+          isTimeout,
+          err: this.#serializeError(error),
+        },
+        message,
+      );
+      return {
+        error: isTimeout
+          ? message
+          : (error.message ?? LOG_MESSAGES.UNKNOWN_ERROR),
+      };
+    }
   }
 
   /**
+   * @param {Request} req
    * @param {Response} res
    * @param {WebhookEvent} event
    * @param {LoggerOptions} options
    */
-  #sendResponse(res, event, options) {
-    const { defaultResponseBody, defaultResponseHeaders } = options;
+  #sendResponse(req, res, event, options) {
+    let { defaultResponseBody, defaultResponseHeaders } = options;
+
+    // 0. Templates ({{body.id}}, {{headers.x}}, {{query.x}}, {{uuid}}, {{now}})
+    const hasBodyTemplate =
+      event.responseBody === undefined &&
+      hasTemplatePlaceholders(defaultResponseBody);
+    if (hasBodyTemplate || hasTemplatePlaceholders(defaultResponseHeaders)) {
+      const context = createResponseTemplateContext(req);
+      if (hasBodyTemplate) {
+        defaultResponseBody = /** @type {string | Object} */ (
+          renderBodyTemplate(defaultResponseBody, context)
+        );
+        // Record what was actually sent
+        event.responseBody = defaultResponseBody;
+      }
+      if (defaultResponseHeaders) {
+        defaultResponseHeaders = renderTemplateHeaders(
+          defaultResponseHeaders,
+          context,
+        );
+      }
+    }
 
     // 1. Headers (Global defaults -> Event overrides)
     const headers = {
@@ -1283,18 +1567,153 @@ export class LoggerMiddleware {
   }
 
   /**
+   * Synchronous proxy mode: waits for `forwardUrl` and records its response on the
+   * event. Mocked requests, failed signature checks, and response sequences are still
+   * answered locally.
+   * @param {WebhookEvent} event
+   * @param {Request} req
+   * @param {LoggerOptions} options
+   * @param {string} forwardUrl
+   * @returns {Promise<ProxyResponse | undefined>} The response to relay, or undefined
+   * to send the default response
+   */
+  async #proxyToForwardUrl(event, req, options, forwardUrl) {
+    if (
+      options.responseSequence ||
+      event.isMocked ||
+      event.signatureValid === false
+    ) {
+      return undefined;
+    }
+
+    const result = await this.#forwardingService.proxyRequest(
+      event,
+      req,
+      options,
+      forwardUrl,
+    );
+    event.isProxied = true;
+    event.proxyTargetUrl = result.targetUrl;
+    event.proxyDurationMs = result.durationMs;
+    if (!result.response) {
+      event.proxyError = result.error;
+      return undefined;
+    }
+
+    const { status, headers, body } = result.response;
+    const contentType = String(headers[HTTP_HEADERS.CONTENT_TYPE] ?? "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    event.proxyStatusCode = status;
+    event.statusCode = status;
+    event.responseHeaders = /** @type {Record<string, string>} */ (
+      options.maskSensitiveData ? this.#maskHeaders(headers) : headers
+    );
+    if (body.length === 0) {
+      event.responseBody = "";
+    } else if (contentType.includes(HTTP_CONSTS.JSON_KEYWORD)) {
+      try {
+        event.responseBody = JSON.parse(body.toString(ENCODINGS.UTF));
+      } catch {
+        event.responseBody = body.toString(ENCODINGS.UTF);
+      }
+    } else {
+      // Binary bodies are logged as base64
+      event.responseBody = body.toString(
+        isTextContentType(contentType) ? ENCODINGS.UTF : ENCODINGS.BASE64,
+      );
+    }
+    return result.response;
+  }
+
+  /**
+   * Relays a proxied response byte for byte, without default response headers.
+   * @param {Response} res
+   * @param {ProxyResponse} response
+   */
+  #sendProxyResponse(res, response) {
+    Object.entries(response.headers).forEach(([key, value]) => {
+      res.setHeader(key, value);
+    });
+    res.status(response.status).send(response.body);
+  }
+
+  /**
+   * Forwards to `forwardUrl` and every matching fan-out destination concurrently.
+   * Each forward records its own delivery, so a slow or failing destination never
+   * holds back the others.
    * @param {WebhookEvent} event
    * @param {Request} req
    * @param {LoggerOptions} options
    * @param {AbortSignal} [signal]
+   * @param {string} [forwardUrl] - Primary target; a script's `$forwardTo` replaces `options.forwardUrl`
+   * @returns {Promise<void>}
    */
-  async #executeBackgroundTasks(event, req, options, signal) {
+  async #forwardToDestinations(
+    event,
+    req,
+    options,
+    signal,
+    forwardUrl = options.forwardUrl,
+  ) {
+    const { forwardDestinations = [] } = options;
+    const destinations = selectForwardDestinations(forwardDestinations, {
+      webhookId: event.webhookId,
+      method: req.method,
+      path: req.path,
+      headers: req.headers,
+      query: req.query,
+      body: req.body,
+    });
+
+    const results = await Promise.allSettled([
+      // A proxied request already reached `forwardUrl` synchronously
+      ...(forwardUrl && !event.isProxied
+        ? [
+            this.#forwardingService.forwardWebhook(
+              event,
+              req,
+              options,
+              forwardUrl,
+              signal,
+            ),
+          ]
+        : []),
+      ...destinations.map((destination) =>
+        this.#forwardingService.forwardWebhook(
+          event,
+          req,
+          options,
+          destination.url,
+          signal,
+          destination,
+        ),
+      ),
+    ]);
+
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) throw failure.reason;
+  }
+
+  /**
+   * @param {WebhookEvent} event
+   * @param {Request} req
+   * @param {LoggerOptions} options
+   * @param {AbortSignal} [signal]
+   * @param {ScriptOutcome} [outcome] - What the custom script asked for
+   */
+  async #executeBackgroundTasks(
+    event,
+    req,
+    options,
+    signal,
+    outcome = createScriptOutcome(),
+  ) {
     if (signal?.aborted) {
       return;
     }
 
-    const { forwardUrl } = options;
-
     // If script cleared BOTH responseHeaders AND webhookId, skip everything
     if (event && !event.responseHeaders && !event.webhookId) {
       return;
@@ -1305,7 +1724,12 @@ export class LoggerMiddleware {
       : APP_CONSTS.BACKGROUND_TASK_TIMEOUT_PROD_MS;
 
     try {
-      if (event && event.webhookId) {
+      if (outcome.drop) {
+        this.#log.debug(
+          { eventId: event.id, webhookId: event.webhookId },
+          LOG_MESSAGES.SCRIPT_OUTCOME_DROPPED,
+        );
+      } else if (event && event.webhookId) {
         // Emit internal event and callback FIRST to ensure they run even if pushData hangs
         appEvents.emit(EVENT_NAMES.LOG_RECEIVED, event);
         if (this.#onEvent) this.#onEvent(event);
@@ -1336,13 +1760,21 @@ export class LoggerMiddleware {
         }
       }
 
-      if (forwardUrl && (!signal || !signal?.aborted)) {
-        await this.#forwardingService.forwardWebhook(
+      // Mocked requests are answered by the rule and never reach the upstream
+      if (
+        !event.isMocked &&
+        !outcome.skipForward &&
+        (!signal || !signal?.aborted)
+      ) {
+        if (outcome.delayMs > 0) {
+          await new Promise((resolve) => setTimeout(resolve, outcome.delayMs));
+        }
+        await this.#forwardToDestinations(
           event,
           req,
           options,
-          forwardUrl,
           signal,
+          outcome.forwardTo ?? options.forwardUrl,
         );
       }
     } catch (error) {
@@ -1392,6 +1824,7 @@ export class LoggerMiddleware {
  * @param {Object} rawOptions
  * @param {Function} onEvent
  * @param {ForwardingService} [forwardingService]
+ * @param {MockRuleService} [mockRuleService]
  * @returns {HotReloadableMiddleware}
  */
 export const createLoggerMiddleware = (
@@ -1399,12 +1832,14 @@ export const createLoggerMiddleware = (
   rawOptions,
   onEvent,
   forwardingService,
+  mockRuleService,
 ) => {
   const mw = new LoggerMiddleware(
     webhookManager,
     rawOptions,
     onEvent,
     forwardingService,
+    mockRuleService,
   );
 
   const runner = /** @type {HotReloadableMiddleware} */ (
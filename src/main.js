@@ -11,6 +11,12 @@ import { dirname, join } from "path";
 import { Actor } from "apify";
 import { closeDb, getDbInstance } from "./db/duckdb.js";
 import { SyncService } from "./services/SyncService.js";
+import {
+  forwardingService,
+  forwardOutbox,
+  mockRuleService,
+  replayJobService,
+} from "./services/index.js";
 import express from "express";
 import compression from "compression";
 import { WebhookManager } from "./webhook_manager.js";
@@ -19,6 +25,8 @@ import { parseWebhookOptions, normalizeInput } from "./utils/config.js";
 import { ensureLocalInputExists } from "./utils/bootstrap.js";
 import { HotReloadManager } from "./utils/hot_reload_manager.js";
 import { AppState } from "./utils/app_state.js";
+import { replayLogItem } from "./utils/replay.js";
+import { closeCustomScriptPool } from "./utils/custom_script_executor.js";
 import {
   APP_CONSTS,
   ENV_VARS,
@@ -39,14 +47,40 @@ import { STORAGE_CONSTS, FILE_NAMES } from "./consts/storage.js";
 import {
   createBroadcaster,
   createLogsHandler,
+  createLogExportHandler,
   createLogDetailHandler,
   createLogPayloadHandler,
+  createLogDeliveriesHandler,
   createInfoHandler,
   createLogStreamHandler,
   createReplayHandler,
+  createReplayJobCreateHandler,
+  createReplayJobsListHandler,
+  createReplayJobDetailHandler,
+  createReplayJobActionHandler,
+  createReplayJobEventsHandler,
+  createReplayCaptureHandler,
+  createReplayCompareHandler,
   createDashboardHandler,
   createSystemMetricsHandler,
   createHealthRoutes,
+  createWebhooksListHandler,
+  createWebhookCreateHandler,
+  createWebhookUpdateHandler,
+  createWebhookDeleteHandler,
+  createWebhookConfigHandler,
+  createWebhookConfigUpdateHandler,
+  createWebhookConfigValidateHandler,
+  createWebhookSequenceResetHandler,
+  createMockRulesListHandler,
+  createMockRuleCreateHandler,
+  createMockRuleUpdateHandler,
+  createMockRuleDeleteHandler,
+  createMockRulesReorderHandler,
+  createMockRuleSimulateHandler,
+  createDeadLettersHandler,
+  createDeadLetterRedriveHandler,
+  createScriptTestHandler,
   preloadTemplate,
 } from "./routes/index.js";
 import {
@@ -60,10 +94,11 @@ import cors from "cors";
 import { createChildLogger, serializeError } from "./utils/logger.js";
 import { LOG_MESSAGES } from "./consts/messages.js";
 import { validateStatusCode } from "./utils/common.js";
-import { SSE_CONSTS } from "./consts/ui.js";
+import { SSE_CONSTS, STATUS_LABELS } from "./consts/ui.js";
 import { exit as systemExit, on as systemOn } from "./utils/system.js";
 import { ERROR_MESSAGES } from "./consts/errors.js";
 import { IS_TEST } from "./utils/env.js";
+import { hasVerificationKey } from "./utils/public_keys.js";
 
 const log = createChildLogger({ component: LOG_COMPONENTS.MAIN });
 
@@ -134,6 +169,10 @@ const clients = new Set();
 const app = express();
 
 const broadcast = createBroadcaster(clients);
+// SSE routes with path parameters; compression would buffer their events
+const REPLAY_JOB_EVENTS_PATTERN = new RegExp(
+  `^${APP_ROUTES.REPLAY_JOB_EVENTS.replace(":id", "[^/]+")}$`,
+);
 let isShuttingDown = false;
 let signalsRegistered = false;
 let isTestSystemInfoPollingDisabled = false;
@@ -188,6 +227,8 @@ const shutdown = async (signal) => {
     clearInterval(sseHeartbeat);
     sseHeartbeat = undefined;
   }
+  forwardOutbox.stop();
+  replayJobService.stop();
 
   // Signal all open SSE streams to close before draining the server so
   // clients are not left hanging on a silently abandoned connection.
@@ -238,6 +279,14 @@ const shutdown = async (signal) => {
   // which is what we want.
   await syncService.stop();
 
+  // The server is closed, so no request can start another script
+  await closeCustomScriptPool();
+
+  // Hand unfinished forwards to the durable outbox so they resume after a
+  // restart or migration instead of being lost with this process.
+  await forwardingService.suspendInFlight();
+  await forwardOutbox.persist();
+
   try {
     await closeDb();
   } catch (err) {
@@ -426,6 +475,8 @@ async function initialize(testOptions = {}) {
   const testAndExit = input.testAndExit || false;
 
   await webhookManager.init();
+  await mockRuleService.init();
+  await forwardOutbox.init();
 
   // Initialize DB and Sync Service
   try {
@@ -526,6 +577,7 @@ async function initialize(testOptions = {}) {
       filter: (req, res) => {
         if (
           req.path === APP_ROUTES.LOG_STREAM ||
+          REPLAY_JOB_EVENTS_PATTERN.test(req.path) ||
           (req.headers.accept &&
             req.headers.accept.includes(MIME_TYPES.EVENT_STREAM))
         ) {
@@ -564,8 +616,12 @@ async function initialize(testOptions = {}) {
   // eslint-disable-next-line sonarjs/cors
   app.use(cors());
 
+  // Sub-paths (/webhook/:id/*path) are captured too, so transparent forwarding
+  // can pass them on to the destination
+  const webhookRoutes = [APP_ROUTES.WEBHOOK, APP_ROUTES.WEBHOOK_SUBPATH];
+
   // Crucial: Mount ingestMiddleware BEFORE body-parser to handle streams
-  app.all(APP_ROUTES.WEBHOOK, loggerMiddlewareInstance.ingestMiddleware);
+  app.all(webhookRoutes, loggerMiddlewareInstance.ingestMiddleware);
   // Dynamic Body Parser managed by AppState
   app.use(appState.bodyParserMiddleware);
 
@@ -607,8 +663,12 @@ async function initialize(testOptions = {}) {
         indexTemplate = template;
       },
       getSignatureStatus: () => {
-        const opts = loggerMiddlewareInstance.options.signatureVerification;
-        if (opts?.provider && opts?.secret) {
+        const { signatureVerification: opts, signatureVerificationRules } =
+          loggerMiddlewareInstance.options;
+        if (signatureVerificationRules?.length) {
+          return `${STATUS_LABELS.CONDITIONAL_VERIFICATION} (${signatureVerificationRules.length})`;
+        }
+        if (opts?.provider && hasVerificationKey(opts)) {
           return opts.provider.toUpperCase();
         }
         return null;
@@ -620,7 +680,7 @@ async function initialize(testOptions = {}) {
   // Previously app.all would have set forcedStatus on unrelated routes whose paths
   // happen to share the same prefix, causing confusing side-effects.
   app.all(
-    APP_ROUTES.WEBHOOK,
+    webhookRoutes,
     /**
      * @param {CustomRequest} req
      * @param {Response} _res
@@ -649,9 +709,86 @@ async function initialize(testOptions = {}) {
     createReplayHandler(
       () => appState?.replayMaxRetries,
       () => appState?.replayTimeoutMs,
+      (webhookId) => loggerMiddlewareInstance.getForwardSigning(webhookId),
     ),
   );
 
+  // Bulk replay jobs use the same retry, timeout and re-signing settings as
+  // single-event replays.
+  replayJobService.start((item, target) =>
+    replayLogItem(item, target, {
+      webhookId: item.webhookId,
+      idempotencyKey: item.id,
+      maxRetries: appState?.replayMaxRetries ?? APP_CONSTS.MAX_REPLAY_RETRIES,
+      timeoutMs:
+        appState?.replayTimeoutMs ?? APP_CONSTS.DEFAULT_REPLAY_TIMEOUT_MS,
+      signing: loggerMiddlewareInstance.getForwardSigning(item.webhookId),
+    }),
+  );
+
+  app.get(
+    APP_ROUTES.REPLAY_JOBS,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobsListHandler(replayJobService),
+  );
+
+  app.post(
+    APP_ROUTES.REPLAY_JOBS,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobCreateHandler(replayJobService),
+  );
+
+  app.get(
+    APP_ROUTES.REPLAY_JOB_DETAIL,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobDetailHandler(replayJobService),
+  );
+
+  app.post(
+    APP_ROUTES.REPLAY_JOB_PAUSE,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobActionHandler(replayJobService, "pause"),
+  );
+
+  app.post(
+    APP_ROUTES.REPLAY_JOB_RESUME,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobActionHandler(replayJobService, "resume"),
+  );
+
+  app.post(
+    APP_ROUTES.REPLAY_JOB_CANCEL,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobActionHandler(replayJobService, "cancel"),
+  );
+
+  app.get(
+    APP_ROUTES.REPLAY_JOB_EVENTS,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayJobEventsHandler(replayJobService),
+  );
+
+  app.get(
+    APP_ROUTES.REPLAY_CAPTURE,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayCaptureHandler(webhookManager),
+  );
+
+  app.get(
+    APP_ROUTES.REPLAY_COMPARE,
+    managementRateLimiter,
+    authMiddleware,
+    createReplayCompareHandler(webhookManager),
+  );
+
   app.get(
     APP_ROUTES.LOG_STREAM,
     managementRateLimiter,
@@ -666,6 +803,13 @@ async function initialize(testOptions = {}) {
     createLogsHandler(webhookManager),
   );
 
+  app.get(
+    APP_ROUTES.LOGS_EXPORT,
+    managementRateLimiter,
+    authMiddleware,
+    createLogExportHandler(webhookManager, { version: APP_VERSION }),
+  );
+
   app.get(
     APP_ROUTES.LOG_DETAIL,
     managementRateLimiter,
@@ -680,6 +824,13 @@ async function initialize(testOptions = {}) {
     createLogPayloadHandler(webhookManager),
   );
 
+  app.get(
+    APP_ROUTES.LOG_DELIVERIES,
+    managementRateLimiter,
+    authMiddleware,
+    createLogDeliveriesHandler(webhookManager),
+  );
+
   app.get(
     APP_ROUTES.INFO,
     managementRateLimiter,
@@ -695,6 +846,146 @@ async function initialize(testOptions = {}) {
     }),
   );
 
+  // Runtime webhook management (create, list, extend/label, delete)
+  app.get(
+    APP_ROUTES.WEBHOOKS,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhooksListHandler(webhookManager),
+  );
+
+  app.post(
+    APP_ROUTES.WEBHOOKS,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookCreateHandler({
+      webhookManager,
+      getRetentionHours: () =>
+        appState?.retentionHours || APP_CONSTS.DEFAULT_RETENTION_HOURS,
+    }),
+  );
+
+  app.patch(
+    APP_ROUTES.WEBHOOK_DETAIL,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookUpdateHandler(webhookManager),
+  );
+
+  app.delete(
+    APP_ROUTES.WEBHOOK_DETAIL,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookDeleteHandler(webhookManager),
+  );
+
+  // Per-webhook configuration overrides
+  app.get(
+    APP_ROUTES.WEBHOOK_CONFIG,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookConfigHandler(webhookManager),
+  );
+
+  app.put(
+    APP_ROUTES.WEBHOOK_CONFIG,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookConfigUpdateHandler(webhookManager, { replace: true }),
+  );
+
+  app.patch(
+    APP_ROUTES.WEBHOOK_CONFIG,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookConfigUpdateHandler(webhookManager),
+  );
+
+  app.post(
+    APP_ROUTES.WEBHOOK_CONFIG_VALIDATE,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookConfigValidateHandler(webhookManager),
+  );
+
+  app.post(
+    APP_ROUTES.WEBHOOK_SEQUENCE_RESET,
+    managementRateLimiter,
+    authMiddleware,
+    createWebhookSequenceResetHandler(webhookManager),
+  );
+
+  // Programmable mock rules (evaluated by LoggerMiddleware on every webhook request)
+  app.get(
+    APP_ROUTES.MOCK_RULES,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRulesListHandler(mockRuleService),
+  );
+
+  app.post(
+    APP_ROUTES.MOCK_RULES,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRuleCreateHandler(mockRuleService),
+  );
+
+  app.post(
+    APP_ROUTES.MOCK_RULES_REORDER,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRulesReorderHandler(mockRuleService),
+  );
+
+  app.post(
+    APP_ROUTES.MOCK_RULES_SIMULATE,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRuleSimulateHandler(mockRuleService),
+  );
+
+  app.put(
+    APP_ROUTES.MOCK_RULE_DETAIL,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRuleUpdateHandler(mockRuleService, { replace: true }),
+  );
+
+  app.patch(
+    APP_ROUTES.MOCK_RULE_DETAIL,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRuleUpdateHandler(mockRuleService),
+  );
+
+  app.delete(
+    APP_ROUTES.MOCK_RULE_DETAIL,
+    managementRateLimiter,
+    authMiddleware,
+    createMockRuleDeleteHandler(mockRuleService),
+  );
+
+  app.get(
+    APP_ROUTES.DEAD_LETTERS,
+    managementRateLimiter,
+    authMiddleware,
+    createDeadLettersHandler(forwardOutbox),
+  );
+
+  app.post(
+    APP_ROUTES.DEAD_LETTER_REDRIVE,
+    managementRateLimiter,
+    authMiddleware,
+    createDeadLetterRedriveHandler(forwardOutbox),
+  );
+
+  app.post(
+    APP_ROUTES.SCRIPTS_TEST,
+    managementRateLimiter,
+    authMiddleware,
+    createScriptTestHandler(webhookManager),
+  );
+
   // System metrics endpoint for monitoring
   app.get(
     APP_ROUTES.SYSTEM_METRICS,
@@ -728,6 +1019,18 @@ async function initialize(testOptions = {}) {
         log.error({ err: serializeError(e) }, LOG_MESSAGES.CLEANUP_ERROR);
       });
     }, APP_CONSTS.CLEANUP_INTERVAL_MS);
+    // Resume forwards queued before a restart or migration, re-signed with the
+    // webhook's current signing config. Forwards of deleted or expired webhooks
+    // are dropped.
+    forwardOutbox.start(
+      (entry, body) =>
+        forwardingService.redeliver(
+          entry,
+          body,
+          loggerMiddlewareInstance.getForwardSigning(entry.webhookId),
+        ),
+      (webhookId) => webhookManager.isValid(webhookId),
+    );
   }
 
   return app;
@@ -0,0 +1,207 @@
+/**
+ * @file src/repositories/DeliveryRepository.js
+ * @description Data access layer for outbound deliveries (forwards and replays) and
+ * the request/response pairs captured for replays.
+ * @module repositories/DeliveryRepository
+ */
+
+import { nanoid } from "nanoid";
+import { executeQuery, executeWrite } from "../db/duckdb.js";
+import { APP_CONSTS, SORT_DIRECTIONS } from "../consts/app.js";
+import { DUCKDB_TABLES, SQL_CONSTS } from "../consts/database.js";
+import { parseIfPresent } from "../utils/common.js";
+
+/**
+ * @typedef {import('@duckdb/node-api').DuckDBValue} DuckDBValue
+ * @typedef {import('../typedefs.js').DeliveryRecord} DeliveryRecord
+ * @typedef {import('../typedefs.js').ReplayCapture} ReplayCapture
+ */
+
+const INSERT_DELIVERY_SQL = `
+    INSERT INTO ${DUCKDB_TABLES.DELIVERIES} (
+        id, logId, webhookId, kind, targetUrl, status,
+        statusCode, attempts, durationMs, error, timestamp, destinationId,
+        mutation
+    ) VALUES (
+        $id, $logId, $webhookId, $kind, $targetUrl, $status,
+        $statusCode, $attempts, $durationMs, $error, $timestamp, $destinationId,
+        $mutation
+    )
+`;
+
+const INSERT_REPLAY_CAPTURE_SQL = `
+    INSERT INTO ${DUCKDB_TABLES.REPLAY_CAPTURES} (
+        id, logId, webhookId, targetUrl, method, requestHeaders, requestBody,
+        requestBodyTruncated, statusCode, responseHeaders, responseBody,
+        responseBodyTruncated, durationMs, error, timestamp
+    ) VALUES (
+        $id, $logId, $webhookId, $targetUrl, $method, $requestHeaders, $requestBody,
+        $requestBodyTruncated, $statusCode, $responseHeaders, $responseBody,
+        $responseBodyTruncated, $durationMs, $error, $timestamp
+    )
+`;
+
+/**
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+const toJsonColumn = (value) =>
+  value === undefined || value === null ? null : JSON.stringify(value);
+
+export class DeliveryRepository {
+  /**
+   * Record the outcome of a single forward or replay.
+   * @param {DeliveryRecord} delivery
+   * @returns {Promise<void>}
+   */
+  async insertDelivery(delivery) {
+    await executeWrite(INSERT_DELIVERY_SQL, {
+      id: delivery.id || nanoid(APP_CONSTS.DEFAULT_ID_LENGTH),
+      logId: delivery.logId,
+      webhookId: delivery.webhookId || null,
+      kind: delivery.kind,
+      targetUrl: delivery.targetUrl,
+      status: delivery.status,
+      statusCode: delivery.statusCode ?? null,
+      attempts: delivery.attempts ?? 0,
+      durationMs:
+        delivery.durationMs === undefined || delivery.durationMs === null
+          ? null
+          : Math.round(delivery.durationMs),
+      error: delivery.error || null,
+      timestamp: delivery.timestamp || new Date().toISOString(),
+      destinationId: delivery.destinationId || null,
+      mutation: delivery.mutation ? JSON.stringify(delivery.mutation) : null,
+    });
+  }
+
+  /**
+   * List all deliveries of a log, oldest first.
+   * @param {string} logId
+   * @returns {Promise<DeliveryRecord[]>}
+   */
+  async findDeliveriesByLogId(logId) {
+    // Timestamps are stored as naive UTC; format them as ISO strings for the API
+    const sql = `
+      SELECT * REPLACE (
+        strftime(timestamp, '%Y-%m-%dT%H:%M:%S.%gZ') AS timestamp
+      )
+      FROM ${DUCKDB_TABLES.DELIVERIES}
+      WHERE ${SQL_CONSTS.DELIVERY_COLUMNS.LOG_ID} = $logId
+      ORDER BY ${SQL_CONSTS.DELIVERY_COLUMNS.TIMESTAMP} ${SORT_DIRECTIONS.ASC}
+    `;
+    const rows = await executeQuery(sql, { logId });
+    return rows.map((row) => this.#mapRowToDelivery(row));
+  }
+
+  /**
+   * Store the request a replay sent and the response it received.
+   * @param {ReplayCapture} capture - `id` is the replay's delivery ID
+   * @returns {Promise<void>}
+   */
+  async insertReplayCapture(capture) {
+    await executeWrite(INSERT_REPLAY_CAPTURE_SQL, {
+      id: capture.id,
+      logId: capture.logId,
+      webhookId: capture.webhookId || null,
+      targetUrl: capture.targetUrl,
+      method: capture.method,
+      requestHeaders: toJsonColumn(capture.requestHeaders),
+      requestBody: toJsonColumn(capture.requestBody),
+      requestBodyTruncated: capture.requestBodyTruncated,
+      statusCode: capture.statusCode ?? null,
+      responseHeaders: toJsonColumn(capture.responseHeaders),
+      responseBody: toJsonColumn(capture.responseBody),
+      responseBodyTruncated: capture.responseBodyTruncated,
+      durationMs:
+        capture.durationMs === undefined || capture.durationMs === null
+          ? null
+          : Math.round(capture.durationMs),
+      error: capture.error || null,
+      timestamp: capture.timestamp || new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Get the captured request/response pair of a replay.
+   * @param {string} id - Delivery ID of the replay
+   * @returns {Promise<ReplayCapture | null>}
+   */
+  async getReplayCapture(id) {
+    const sql = `
+      SELECT * REPLACE (
+        strftime(timestamp, '%Y-%m-%dT%H:%M:%S.%gZ') AS timestamp
+      )
+      FROM ${DUCKDB_TABLES.REPLAY_CAPTURES}
+      WHERE ${SQL_CONSTS.DELIVERY_COLUMNS.ID} = $id
+    `;
+    const [row] = await executeQuery(sql, { id });
+    return row ? this.#mapRowToReplayCapture(row) : null;
+  }
+
+  /**
+   * Delete all deliveries and replay captures associated with a webhook ID.
+   * @param {string} webhookId
+   * @returns {Promise<void>}
+   */
+  async deleteDeliveriesByWebhookId(webhookId) {
+    const sql = `DELETE FROM ${DUCKDB_TABLES.DELIVERIES} WHERE webhookId = $webhookId`;
+    await executeWrite(sql, { webhookId });
+    await executeWrite(
+      `DELETE FROM ${DUCKDB_TABLES.REPLAY_CAPTURES} WHERE webhookId = $webhookId`,
+      { webhookId },
+    );
+  }
+
+  /**
+   * @param {Record<string, DuckDBValue>} row
+   * @returns {DeliveryRecord}
+   */
+  #mapRowToDelivery(row) {
+    return {
+      id: String(row.id),
+      logId: String(row.logId),
+      webhookId: row.webhookId === null ? undefined : String(row.webhookId),
+      kind: String(row.kind),
+      targetUrl: String(row.targetUrl),
+      status: String(row.status),
+      statusCode: row.statusCode === null ? null : Number(row.statusCode),
+      attempts: Number(row.attempts ?? 0),
+      durationMs: row.durationMs === null ? null : Number(row.durationMs),
+      error: row.error === null ? null : String(row.error),
+      timestamp: row.timestamp === null ? undefined : String(row.timestamp),
+      destinationId:
+        row.destinationId === null ? null : String(row.destinationId),
+      mutation: row.mutation === null ? null : parseIfPresent("mutation", row),
+    };
+  }
+
+  /**
+   * @param {Record<string, DuckDBValue>} row
+   * @returns {ReplayCapture}
+   */
+  #mapRowToReplayCapture(row) {
+    /** @param {string} key */
+    const parseJsonColumn = (key) =>
+      row[key] === null ? null : parseIfPresent(key, row);
+    return {
+      id: String(row.id),
+      logId: String(row.logId),
+      webhookId: row.webhookId === null ? undefined : String(row.webhookId),
+      targetUrl: String(row.targetUrl),
+      method: String(row.method),
+      requestHeaders: parseJsonColumn("requestHeaders") ?? {},
+      requestBody: parseJsonColumn("requestBody"),
+      requestBodyTruncated: row.requestBodyTruncated === true,
+      statusCode: row.statusCode === null ? null : Number(row.statusCode),
+      responseHeaders: parseJsonColumn("responseHeaders") ?? {},
+      responseBody: parseJsonColumn("responseBody"),
+      responseBodyTruncated: row.responseBodyTruncated === true,
+      durationMs: row.durationMs === null ? null : Number(row.durationMs),
+      error: row.error === null ? null : String(row.error),
+      timestamp: row.timestamp === null ? undefined : String(row.timestamp),
+    };
+  }
+}
+
+export const deliveryRepository = new DeliveryRepository();
@@ -8,8 +8,9 @@ import {
   executeQuery,
   executeWrite,
   executeTransaction,
+  streamQuery,
 } from "../db/duckdb.js";
-import { SORT_DIRECTIONS } from "../consts/app.js";
+import { LOG_EXPORT_FORMATS, SORT_DIRECTIONS } from "../consts/app.js";
 import { ENCODINGS } from "../consts/http.js";
 import {
   DUCKDB_TABLES,
@@ -48,12 +49,18 @@ const INSERT_LOG_SQL = `
         id, webhookId, requestId, method, statusCode, contentType,
         processingTime, size, remoteIp, userAgent, requestUrl,
         bodyEncoding, headers, query, body, responseHeaders, responseBody,
-        timestamp, signatureValid, signatureProvider, signatureError, source_offset
+        timestamp, signatureValid, signatureProvider, signatureError, source_offset,
+        isMocked, mockRuleId, signatureRuleId, signatureSelectionError,
+        signatureKeyId, signatureSecretIndex, isProxied, proxyTargetUrl,
+        proxyStatusCode, proxyDurationMs, proxyError, tags, scriptRuns
     ) VALUES (
         $id, $webhookId, $requestId, $method, $statusCode, $contentType,
         $processingTime, $size, $remoteIp, $userAgent, $requestUrl,
         $bodyEncoding, $headers, $query, $body, $responseHeaders, $responseBody,
-        $timestamp, $signatureValid, $signatureProvider, $signatureError, $sourceOffset
+        $timestamp, $signatureValid, $signatureProvider, $signatureError, $sourceOffset,
+        $isMocked, $mockRuleId, $signatureRuleId, $signatureSelectionError,
+        $signatureKeyId, $signatureSecretIndex, $isProxied, $proxyTargetUrl,
+        $proxyStatusCode, $proxyDurationMs, $proxyError, $tags, $scriptRuns
     )
     ON CONFLICT (id) DO UPDATE SET
         source_offset = COALESCE(EXCLUDED.source_offset, logs.source_offset)
@@ -247,6 +254,38 @@ export class LogRepository {
       params.signatureError = `%${conditions.signatureError}%`;
     }
 
+    if (conditions.isMocked !== undefined) {
+      where.push("isMocked = $isMocked");
+      params.isMocked = String(conditions.isMocked) === "true";
+    }
+
+    if (conditions.isProxied !== undefined) {
+      where.push("isProxied = $isProxied");
+      params.isProxied = String(conditions.isProxied) === "true";
+    }
+
+    if (conditions.mockRuleId) {
+      where.push("mockRuleId = $mockRuleId");
+      params.mockRuleId = conditions.mockRuleId;
+    }
+
+    if (conditions.signatureRuleId) {
+      where.push("signatureRuleId = $signatureRuleId");
+      params.signatureRuleId = conditions.signatureRuleId;
+    }
+
+    if (conditions.tag) {
+      where.push("list_contains(CAST(tags AS VARCHAR[]), $tag)");
+      params.tag = conditions.tag;
+    }
+
+    if (conditions.deliveryStatus) {
+      where.push(
+        `EXISTS (SELECT 1 FROM ${DUCKDB_TABLES.DELIVERIES} d WHERE d.logId = ${DUCKDB_TABLES.LOGS}.id AND d.status = $deliveryStatus)`,
+      );
+      params.deliveryStatus = conditions.deliveryStatus;
+    }
+
     merge(this.#addRange("size", conditions.size));
     merge(this.#addRange("timestamp", conditions.timestamp));
     merge(this.#addRange("processingTime", conditions.processingTime));
@@ -340,6 +379,65 @@ export class LogRepository {
     return { items, total };
   }
 
+  /**
+   * Builds the unpaged query behind an export; `filters.limit` only caps the rows.
+   * @param {LogFilters} filters
+   * @param {boolean} isoTimestamps - Render `timestamp` as an ISO 8601 string
+   * @returns {SQLQuery}
+   */
+  #buildExportQuery(filters, isoTimestamps) {
+    const { sql: whereSql, params } = this.#buildWhereClause(filters);
+    const orderByClause = this.#buildOrderBy(filters.sort || []);
+    const select = isoTimestamps
+      ? `* REPLACE (${SQL_FRAGMENTS.ISO_TIMESTAMP} AS timestamp)`
+      : "*";
+
+    params.limit = Number(filters.limit);
+    params.offset = this.#normalizeOffset(filters.offset);
+
+    return {
+      sql: `SELECT ${select} FROM ${DUCKDB_TABLES.LOGS} WHERE ${whereSql} ORDER BY ${orderByClause} LIMIT $limit OFFSET $offset`,
+      params,
+    };
+  }
+
+  /**
+   * Streams every log matching the filters without loading the result into memory.
+   * @param {LogFilters} filters
+   * @returns {AsyncGenerator<LogEntry>}
+   */
+  async *streamLogs(filters) {
+    const { sql, params } = this.#buildExportQuery(filters, true);
+    for await (const rows of streamQuery(sql, params)) {
+      for (const row of rows) {
+        const entry = this.#mapRowToEntry(row);
+        if (entry) yield entry;
+      }
+    }
+  }
+
+  /**
+   * Writes every log matching the filters to a CSV or Parquet file with DuckDB's
+   * `COPY`. JSON columns keep their JSON text, so offloaded bodies stay as the
+   * KVS reference marker. Parquet keeps the native timestamp type.
+   * @param {LogFilters} filters
+   * @param {string} format - `csv` or `parquet`
+   * @param {string} filePath - Server-generated path; it is inlined into the SQL
+   * @returns {Promise<void>}
+   */
+  async exportLogsToFile(filters, format, filePath) {
+    const { sql, params } = this.#buildExportQuery(
+      filters,
+      format === LOG_EXPORT_FORMATS.CSV,
+    );
+    const options =
+      SQL_CONSTS.COPY_OPTIONS[
+        /** @type {keyof typeof SQL_CONSTS.COPY_OPTIONS} */ (format)
+      ];
+    const target = filePath.replaceAll("'", "''");
+    await executeQuery(`COPY (${sql}) TO '${target}' (${options})`, params);
+  }
+
   /**
    * Get single log by ID
    * @param {string} id
@@ -406,6 +504,26 @@ export class LogRepository {
       processingTime: log.processingTime ?? null,
       contentType: log.contentType || null,
       bodyEncoding: log.bodyEncoding || null,
+      isMocked: log.isMocked || false,
+      mockRuleId: log.mockRuleId || null,
+      signatureRuleId:
+        log.signatureValidation?.ruleId || log.signatureRuleId || null,
+      signatureSelectionError: log.signatureSelectionError || null,
+      signatureKeyId:
+        log.signatureValidation?.keyId || log.signatureKeyId || null,
+      signatureSecretIndex:
+        log.signatureValidation?.secretIndex ??
+        log.signatureSecretIndex ??
+        null,
+      isProxied: log.isProxied || false,
+      proxyTargetUrl: log.proxyTargetUrl || null,
+      proxyStatusCode: log.proxyStatusCode ?? null,
+      proxyDurationMs: log.proxyDurationMs ?? null,
+      proxyError: log.proxyError || null,
+      tags: log.tags?.length ? JSON.stringify(log.tags) : null,
+      scriptRuns: log.scriptRuns?.length
+        ? JSON.stringify(log.scriptRuns)
+        : null,
 
       sourceOffset,
     };
@@ -592,6 +710,8 @@ export class LogRepository {
       body: parseIfPresent("body", row),
       responseHeaders: parseIfPresent("responseHeaders", row),
       responseBody: parseIfPresent("responseBody", row),
+      tags: parseIfPresent("tags", row),
+      scriptRuns: parseIfPresent("scriptRuns", row),
       signatureValid: row.signatureValid === true || row.signatureValid === 1,
       sourceOffset:
         row.source_offset !== undefined ? Number(row.source_offset) : undefined,
@@ -0,0 +1,84 @@
+/**
+ * @file src/routes/dead_letters.js
+ * @description Dead-letter route handlers for the durable forwarding outbox: listing
+ * forwards that exhausted their retry budget and redriving them manually.
+ * @module routes/dead_letters
+ */
+import { asyncHandler } from "./utils.js";
+import { HTTP_STATUS } from "../consts/http.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { PAGINATION_CONSTS } from "../consts/database.js";
+
+/**
+ * @typedef {import("express").Request} Request
+ * @typedef {import("express").Response} Response
+ * @typedef {import("express").RequestHandler} RequestHandler
+ * @typedef {import("../services/ForwardOutbox.js").ForwardOutbox} ForwardOutbox
+ */
+
+/**
+ * Creates the dead-letter list handler (`GET /forwarding/dead-letters`).
+ * Supports `?webhookId=`, `?limit=` and `?offset=`; stored bodies are not returned
+ * and header credentials are masked.
+ * @param {ForwardOutbox} outbox
+ * @returns {RequestHandler}
+ */
+export const createDeadLettersHandler = (outbox) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const {
+        webhookId,
+        limit = PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+        offset = PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
+      } = req.query;
+
+      const limitNum = Math.min(
+        Math.max(
+          parseInt(String(limit), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+          1,
+        ),
+        PAGINATION_CONSTS.MAX_PAGE_LIMIT,
+      );
+      const offsetNum = Math.max(
+        parseInt(String(offset), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
+        0,
+      );
+
+      const { total, items } = outbox.listDeadLetters({
+        webhookId: webhookId ? String(webhookId) : undefined,
+        limit: limitNum,
+        offset: offsetNum,
+      });
+      res.json({
+        total,
+        count: items.length,
+        limit: limitNum,
+        offset: offsetNum,
+        items,
+      });
+    },
+  );
+
+/**
+ * Creates the redrive handler (`POST /forwarding/dead-letters/:id/redrive`).
+ * The entry returns to the pending queue with a fresh retry budget and is attempted
+ * on the next outbox poll, so the response is 202 Accepted.
+ * @param {ForwardOutbox} outbox
+ * @returns {RequestHandler}
+ */
+export const createDeadLetterRedriveHandler = (outbox) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const entry = await outbox.redrive(id);
+      if (!entry) {
+        res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json({ error: ERROR_MESSAGES.DEAD_LETTER_NOT_FOUND, id });
+        return;
+      }
+      res.status(HTTP_STATUS.ACCEPTED).json(entry);
+    },
+  );
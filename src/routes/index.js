@@ -8,12 +8,48 @@
 export { escapeHtml, asyncHandler, createBroadcaster } from "./utils.js";
 export {
   createLogsHandler,
+  createLogExportHandler,
   createLogDetailHandler,
   createLogPayloadHandler,
+  createLogDeliveriesHandler,
 } from "./logs.js";
 export { createInfoHandler } from "./info.js";
 export { createLogStreamHandler } from "./stream.js";
 export { createReplayHandler } from "./replay.js";
+export {
+  createReplayJobCreateHandler,
+  createReplayJobsListHandler,
+  createReplayJobDetailHandler,
+  createReplayJobActionHandler,
+  createReplayJobEventsHandler,
+} from "./replay_jobs.js";
+export {
+  createReplayCaptureHandler,
+  createReplayCompareHandler,
+} from "./replays.js";
 export { createDashboardHandler, preloadTemplate } from "./dashboard.js";
 export { createSystemMetricsHandler } from "./system.js";
 export { createHealthRoutes } from "./health.js";
+export {
+  createWebhooksListHandler,
+  createWebhookCreateHandler,
+  createWebhookUpdateHandler,
+  createWebhookDeleteHandler,
+  createWebhookConfigHandler,
+  createWebhookConfigUpdateHandler,
+  createWebhookConfigValidateHandler,
+  createWebhookSequenceResetHandler,
+} from "./webhooks.js";
+export {
+  createMockRulesListHandler,
+  createMockRuleCreateHandler,
+  createMockRuleUpdateHandler,
+  createMockRuleDeleteHandler,
+  createMockRulesReorderHandler,
+  createMockRuleSimulateHandler,
+} from "./mock_rules.js";
+export {
+  createDeadLettersHandler,
+  createDeadLetterRedriveHandler,
+} from "./dead_letters.js";
+export { createScriptTestHandler } from "./scripts.js";
@@ -6,6 +6,7 @@
 
 import { APP_CONSTS } from "../consts/app.js";
 import { DASHBOARD_CONSTS, UNIT_LABELS } from "../consts/ui.js";
+import { maskWebhookConfig } from "../utils/config.js";
 
 /**
  * @typedef {import("express").Request} Request
@@ -37,7 +38,7 @@ export const createInfoHandler =
       getMaxPayloadSize,
       version,
     } = deps;
-    const activeWebhooks = webhookManager.getAllActive();
+    const activeWebhooks = webhookManager.getAllActive().map(maskWebhookConfig);
 
     res.json({
       version,
@@ -60,6 +61,8 @@ export const createInfoHandler =
         logPayload: DASHBOARD_CONSTS.ENDPOINTS.LOG_PAYLOAD,
         stream: DASHBOARD_CONSTS.ENDPOINTS.STREAM,
         webhook: DASHBOARD_CONSTS.ENDPOINTS.WEBHOOK,
+        webhooks: DASHBOARD_CONSTS.ENDPOINTS.WEBHOOKS,
+        mockRules: DASHBOARD_CONSTS.ENDPOINTS.MOCK_RULES,
         replay: DASHBOARD_CONSTS.ENDPOINTS.REPLAY,
         info: DASHBOARD_CONSTS.ENDPOINTS.INFO,
         systemMetrics: DASHBOARD_CONSTS.ENDPOINTS.SYSTEM_METRICS,
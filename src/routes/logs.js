@@ -3,34 +3,64 @@
  * @description Logs route handlers for listing, fetching, and filtering webhook logs.
  * @module routes/logs
  */
-import { asyncHandler, jsonSafe } from "./utils.js";
+import { createReadStream } from "node:fs";
+import { rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { nanoid } from "nanoid";
+import { asyncHandler, jsonSafe, writeChunk } from "./utils.js";
 import { logRepository } from "../repositories/LogRepository.js";
-import { parseRangeQuery, parseObjectFilter } from "../utils/filter_utils.js";
+import { deliveryRepository } from "../repositories/DeliveryRepository.js";
+import { parseLogFilters } from "../utils/filter_utils.js";
+import { hydrateOffloadedBody } from "../utils/replay.js";
+import { createHarPrefix, HAR_SUFFIX, toHarEntry } from "../utils/har.js";
+import { createChildLogger, serializeError } from "../utils/logger.js";
 import { Actor } from "apify";
-import { HTTP_STATUS } from "../consts/http.js";
-import { APP_ROUTES, SORT_DIRECTIONS } from "../consts/app.js";
-import { DELIMITERS } from "../consts/network.js";
+import { ENCODINGS, HTTP_STATUS, MIME_TYPES } from "../consts/http.js";
+import {
+  APP_CONSTS,
+  APP_ROUTES,
+  LOG_EXPORT_CONSTS,
+  LOG_EXPORT_FORMATS,
+} from "../consts/app.js";
 import { ERROR_LABELS, ERROR_MESSAGES } from "../consts/errors.js";
 import { STORAGE_CONSTS } from "../consts/storage.js";
-import { LOG_CONSTS } from "../consts/logging.js";
-import {
-  DEFAULT_SORT,
-  PAGINATION_CONSTS,
-  SQL_CONSTS,
-} from "../consts/database.js";
+import { PAGINATION_CONSTS } from "../consts/database.js";
 import { HTTP_HEADERS } from "../consts/http.js";
+import { LOG_COMPONENTS } from "../consts/logging.js";
+import { LOG_MESSAGES } from "../consts/messages.js";
+
+const log = createChildLogger({ component: LOG_COMPONENTS.LOG_EXPORT });
 
 /**
  * @typedef {import("../webhook_manager.js").WebhookManager} WebhookManager
- * @typedef {import("../typedefs.js").LogFilters} LogFilters
  * @typedef {import("../typedefs.js").OffloadMarker} OffloadMarker
- * @typedef {import("../typedefs.js").SortRule} SortRule
  * @typedef {import("express").Request} Request
  * @typedef {import("express").Response} Response
  * @typedef {import("express").RequestHandler} RequestHandler
  * @typedef {import("../repositories/LogRepository.js").LogRepository} LogRepository
+ * @typedef {import("../repositories/DeliveryRepository.js").DeliveryRepository} DeliveryRepository
+ * @typedef {import("../typedefs.js").LogEntry} LogEntry
+ * @typedef {import("../typedefs.js").LogFilters} LogFilters
  */
 
+/** @type {Readonly<Record<string, string>>} */
+const EXPORT_CONTENT_TYPES = Object.freeze({
+  [LOG_EXPORT_FORMATS.HAR]: MIME_TYPES.JSON,
+  [LOG_EXPORT_FORMATS.NDJSON]: MIME_TYPES.NDJSON,
+  [LOG_EXPORT_FORMATS.CSV]: MIME_TYPES.CSV,
+  [LOG_EXPORT_FORMATS.PARQUET]: MIME_TYPES.PARQUET,
+});
+
+/**
+ * Formats DuckDB writes to a file with `COPY`; the others are built row by row
+ * @type {ReadonlyArray<string>}
+ */
+const FILE_EXPORT_FORMATS = Object.freeze([
+  LOG_EXPORT_FORMATS.CSV,
+  LOG_EXPORT_FORMATS.PARQUET,
+]);
+
 /**
  * Creates the logs route handler.
  * @param {WebhookManager} _webhookManager
@@ -46,127 +76,11 @@ export const createLogsHandler = (
     /** @param {Request} req @param {Response} res */
     async (req, res) => {
       try {
-        let {
-          id,
-          webhookId,
-          method,
-          statusCode,
-          contentType,
-          startTime,
-          endTime,
-          signatureValid,
-          requestId,
-          remoteIp,
-          userAgent,
-          processingTime,
-          size,
-          headers,
-          query,
-          body,
-          responseBody,
-          responseHeaders,
-          signatureProvider,
-          signatureError,
-          limit = PAGINATION_CONSTS.MAX_PAGE_LIMIT,
-          offset = PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
-          cursor,
-          sort = DEFAULT_SORT.join(DELIMITERS.QUERY_SORT),
-          timestamp,
-        } = req.query;
-
-        // Parse pagination
-        const limitNum = Math.max(
-          parseInt(String(limit), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
-          1,
-        );
-        const offsetNum = Math.max(
-          parseInt(String(offset), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
-          0,
-        );
-
-        // Parse timestamp filters (Legacy support + Range support)
-        const timestampConditions = parseRangeQuery(timestamp, "string");
-        if (startTime) {
-          timestampConditions.push({
-            operator: SQL_CONSTS.OPERATORS.GTE,
-            value: new Date(String(startTime)).toISOString(),
-          });
-        }
-        if (endTime) {
-          timestampConditions.push({
-            operator: SQL_CONSTS.OPERATORS.LTE,
-            value: new Date(String(endTime)).toISOString(),
-          });
-        }
-
-        // Sorting
-        const sortParam = sort ? String(sort) : "";
-        /** @type {SortRule[]} */
-        const sortRules = [];
-
-        if (sortParam) {
-          const parts = sortParam.split(DELIMITERS.QUERY_LIST);
-          for (const part of parts) {
-            const [field, dir] = part.split(DELIMITERS.QUERY_SORT);
-            if (!field) continue;
-
-            const sortDir =
-              dir && dir.toUpperCase() === SORT_DIRECTIONS.ASC
-                ? SORT_DIRECTIONS.ASC
-                : SORT_DIRECTIONS.DESC;
-            sortRules.push({
-              field: field.trim(),
-              dir: sortDir,
-            });
-          }
-        } else {
-          sortRules.push({
-            field: LOG_CONSTS.VALID_SORT_FIELDS.includes(
-              SQL_CONSTS.COLUMNS.TIMESTAMP,
-            )
-              ? SQL_CONSTS.COLUMNS.TIMESTAMP
-              : LOG_CONSTS.VALID_SORT_FIELDS[0],
-            dir: SORT_DIRECTIONS.DESC,
-          });
-        }
-
-        // Parse other filters
-        /** @type {LogFilters} */
-        const filters = {
-          limit: limitNum,
-          offset: cursor ? undefined : offsetNum,
-          cursor: cursor ? String(cursor) : undefined,
-          sort: sortRules,
-          id: id ? String(id) : undefined,
-          webhookId: webhookId ? String(webhookId) : undefined,
-          requestUrl: req.query.requestUrl
-            ? String(req.query.requestUrl)
-            : undefined,
-          method: method ? String(method).toUpperCase() : undefined,
-          contentType: contentType ? String(contentType) : undefined,
-          requestId: requestId ? String(requestId) : undefined,
-          remoteIp: typeof remoteIp === "string" ? remoteIp : undefined,
-          userAgent: userAgent ? String(userAgent) : undefined,
-          signatureValid:
-            signatureValid !== undefined
-              ? String(signatureValid) === String(true)
-              : undefined,
-          signatureProvider: signatureProvider
-            ? String(signatureProvider)
-            : undefined,
-          signatureError: signatureError ? String(signatureError) : undefined,
-          // StatusCode can be a range (e.g. gt:400) or exact value
-          statusCode: parseRangeQuery(statusCode),
-          processingTime: parseRangeQuery(processingTime),
-          size: parseRangeQuery(size),
-          timestamp:
-            timestampConditions.length > 0 ? timestampConditions : undefined,
-          headers: parseObjectFilter(headers) || undefined,
-          query: parseObjectFilter(query) || undefined,
-          body: parseObjectFilter(body) || undefined,
-          responseHeaders: parseObjectFilter(responseHeaders) || undefined,
-          responseBody: parseObjectFilter(responseBody) || undefined,
-        };
+        const filters = parseLogFilters(req.query);
+        const { cursor } = filters;
+        const limitNum = filters.limit ?? PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT;
+        const offsetNum =
+          filters.offset ?? PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET;
 
         // Transform items (add detailUrl)
         const listPath = req.baseUrl || req.path || APP_ROUTES.LOGS;
@@ -243,6 +157,159 @@ export const createLogsHandler = (
     },
   );
 
+/**
+ * @param {Response} res
+ * @param {string} format
+ */
+const setExportHeaders = (res, format) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  res.setHeader(HTTP_HEADERS.CONTENT_TYPE, EXPORT_CONTENT_TYPES[format]);
+  res.setHeader(
+    HTTP_HEADERS.CONTENT_DISPOSITION,
+    `attachment; filename="${LOG_EXPORT_CONSTS.FILENAME_PREFIX}-${stamp}.${format}"`,
+  );
+};
+
+/**
+ * Loads an offloaded body back from the KVS. Binary payloads are exported as
+ * base64, like bodies that were stored inline.
+ * @param {LogEntry} entry
+ * @returns {Promise<LogEntry>}
+ */
+const hydrateEntry = async (entry) => {
+  const body = await hydrateOffloadedBody(entry.body);
+  if (Buffer.isBuffer(body)) {
+    return {
+      ...entry,
+      body: body.toString(ENCODINGS.BASE64),
+      bodyEncoding: ENCODINGS.BASE64,
+    };
+  }
+  return { ...entry, body: /** @type {LogEntry["body"]} */ (body) };
+};
+
+/**
+ * Streams logs as NDJSON lines or HAR entries, one row at a time.
+ * @param {Response} res
+ * @param {AsyncGenerator<LogEntry>} entries
+ * @param {string} format
+ * @param {{ origin: string, version: string }} options
+ * @returns {Promise<void>}
+ */
+const streamEntries = async (res, entries, format, { origin, version }) => {
+  const isHar = format === LOG_EXPORT_FORMATS.HAR;
+  try {
+    // Read the first row before any header is set, so a failing query still gets a JSON 500
+    let next = await entries.next();
+    setExportHeaders(res, format);
+    if (isHar) await writeChunk(res, createHarPrefix(version));
+
+    let separator = "";
+    for (; !next.done && !res.destroyed; next = await entries.next()) {
+      const entry = await hydrateEntry(next.value);
+      const line = isHar
+        ? `${separator}${JSON.stringify(toHarEntry(entry, origin))}`
+        : `${JSON.stringify(entry)}\n`;
+      await writeChunk(res, line);
+      separator = ",";
+    }
+    res.end(isHar ? HAR_SUFFIX : undefined);
+  } finally {
+    // Releases the DuckDB connection when the client disconnects mid-export
+    await entries.return(undefined);
+  }
+};
+
+/**
+ * Has DuckDB write the export to a temporary file, then streams the file.
+ * @param {Response} res
+ * @param {LogRepository} logRepo
+ * @param {LogFilters} filters
+ * @param {string} format
+ * @returns {Promise<void>}
+ */
+const streamExportFile = async (res, logRepo, filters, format) => {
+  const filePath = join(
+    tmpdir(),
+    `${LOG_EXPORT_CONSTS.FILENAME_PREFIX}-${nanoid()}.${format}`,
+  );
+  try {
+    await logRepo.exportLogsToFile(filters, format, filePath);
+    setExportHeaders(res, format);
+    for await (const chunk of createReadStream(filePath)) {
+      if (res.destroyed) break;
+      await writeChunk(res, chunk);
+    }
+    res.end();
+  } finally {
+    await rm(filePath, { force: true });
+  }
+};
+
+/**
+ * Creates the log export handler (`GET /logs/export`).
+ * Takes the same filters as `GET /logs` and streams every match as `har`,
+ * `ndjson` (the default), `csv` or `parquet`. `limit` caps the row count instead
+ * of paging. HAR and NDJSON hydrate offloaded bodies from the KVS; CSV and
+ * Parquet keep the KVS reference marker in `body`.
+ * @param {WebhookManager} _webhookManager
+ * @param {object} [deps]
+ * @param {LogRepository} [deps.logRepo] - Optional repository injection for testing
+ * @param {string} [deps.version] - App version recorded as the HAR creator
+ * @returns {RequestHandler}
+ */
+export const createLogExportHandler = (
+  _webhookManager,
+  { logRepo = logRepository, version = APP_CONSTS.UNKNOWN } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const format = String(
+        req.query.format ?? LOG_EXPORT_FORMATS.NDJSON,
+      ).toLowerCase();
+      const formats = /** @type {string[]} */ (
+        Object.values(LOG_EXPORT_FORMATS)
+      );
+      if (!formats.includes(format)) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_LABELS.BAD_REQUEST,
+          message: ERROR_MESSAGES.INVALID_LOG_EXPORT_FORMAT(formats),
+        });
+        return;
+      }
+
+      const filters = parseLogFilters(req.query);
+      filters.limit = req.query.limit
+        ? Math.min(Number(filters.limit), LOG_EXPORT_CONSTS.MAX_ROWS)
+        : LOG_EXPORT_CONSTS.MAX_ROWS;
+
+      try {
+        if (FILE_EXPORT_FORMATS.includes(format)) {
+          await streamExportFile(res, logRepo, filters, format);
+        } else {
+          await streamEntries(res, logRepo.streamLogs(filters), format, {
+            origin: `${req.protocol}://${req.get(HTTP_HEADERS.HOST)}`,
+            version,
+          });
+        }
+      } catch (err) {
+        if (res.headersSent) {
+          log.error(
+            { err: serializeError(err), format },
+            LOG_MESSAGES.LOG_EXPORT_ABORTED,
+          );
+          res.destroy();
+          return;
+        }
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+          error: ERROR_LABELS.LOGS_FAILED,
+          message: ERROR_MESSAGES.LOG_EXPORT_FAILED,
+        });
+      }
+    },
+  );
+
 /**
  * Creates the log detail route handler.
  * @param {WebhookManager} webhookManager
@@ -401,3 +468,52 @@ export const createLogPayloadHandler = (webhookManager) =>
       }
     },
   );
+
+/**
+ * Creates the log deliveries handler.
+ * Lists every forward and replay of a log with its outcome.
+ * @param {WebhookManager} webhookManager
+ * @param {object} [deps]
+ * @param {DeliveryRepository} [deps.deliveryRepo] - Optional repository injection for testing
+ * @returns {RequestHandler}
+ */
+export const createLogDeliveriesHandler = (
+  webhookManager,
+  { deliveryRepo = deliveryRepository } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      try {
+        const { logId = "" } = req.params;
+        const item = await logRepository.getLogById(String(logId), [
+          "id",
+          "webhookId",
+        ]);
+
+        if (!item) {
+          res
+            .status(HTTP_STATUS.NOT_FOUND)
+            .json({ error: ERROR_MESSAGES.LOG_NOT_FOUND });
+          return;
+        }
+
+        if (!webhookManager.isValid(item.webhookId)) {
+          res
+            .status(HTTP_STATUS.NOT_FOUND)
+            .json({ error: ERROR_MESSAGES.INVALID_WEBHOOK_LOG });
+          return;
+        }
+
+        const items = await deliveryRepo.findDeliveriesByLogId(String(logId));
+
+        res.json(jsonSafe({ logId, count: items.length, items }));
+        // eslint-disable-next-line sonarjs/no-ignored-exceptions
+      } catch (_e) {
+        res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+          error: ERROR_MESSAGES.DELIVERIES_FETCH_FAILED,
+          message: ERROR_LABELS.INTERNAL_SERVER_ERROR,
+        });
+      }
+    },
+  );
@@ -0,0 +1,261 @@
+/**
+ * @file src/routes/mock_rules.js
+ * @description Mock rule management route handlers: CRUD, bulk reordering, and dry-run simulation
+ * of programmable responses.
+ * @module routes/mock_rules
+ */
+import { asyncHandler, readJsonArray, readJsonBody } from "./utils.js";
+import { HTTP_STATUS, HTTP_METHODS } from "../consts/http.js";
+import { APP_ROUTES } from "../consts/app.js";
+import { ERROR_LABELS, ERROR_MESSAGES } from "../consts/errors.js";
+import { renderMockResponse, validateMockRule } from "../utils/mock_rules.js";
+
+/**
+ * @typedef {import("express").Request} Request
+ * @typedef {import("express").Response} Response
+ * @typedef {import("express").RequestHandler} RequestHandler
+ * @typedef {import("../services/MockRuleService.js").MockRuleService} MockRuleService
+ * @typedef {import("../services/MockRuleService.js").MockRuleOrderEntry} MockRuleOrderEntry
+ * @typedef {import("../typedefs.js").MockRequest} MockRequest
+ */
+
+/**
+ * Sends the standard 400 response for a non-object JSON body.
+ * @param {Response} res
+ */
+const sendInvalidBody = (res) => {
+  res.status(HTTP_STATUS.BAD_REQUEST).json({
+    error: ERROR_LABELS.BAD_REQUEST,
+    message: ERROR_MESSAGES.INVALID_JSON_BODY,
+  });
+};
+
+/**
+ * Sends the standard 404 response for an unknown rule.
+ * @param {Response} res
+ * @param {string} id
+ */
+const sendRuleNotFound = (res, id) => {
+  res
+    .status(HTTP_STATUS.NOT_FOUND)
+    .json({ error: ERROR_MESSAGES.MOCK_RULE_NOT_FOUND, id });
+};
+
+/**
+ * Sends the 400 response for a rule definition that failed validation.
+ * @param {Response} res
+ * @param {string[]} errors
+ */
+const sendInvalidRule = (res, errors) => {
+  res.status(HTTP_STATUS.BAD_REQUEST).json({
+    error: ERROR_MESSAGES.INVALID_MOCK_RULE,
+    errors,
+  });
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is MockRuleOrderEntry}
+ */
+const isOrderEntry = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  typeof (/** @type {any} */ (value).id) === "string" &&
+  Number.isInteger(/** @type {any} */ (value).priority);
+
+/**
+ * Creates the mock rule list handler (`GET /mock-rules`).
+ * Rules are returned in evaluation order; `?webhookId=` keeps global rules and rules scoped to that webhook.
+ * @param {MockRuleService} mockRuleService
+ * @returns {RequestHandler}
+ */
+export const createMockRulesListHandler = (mockRuleService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const webhookId = req.query.webhookId
+        ? String(req.query.webhookId)
+        : undefined;
+      const rules = mockRuleService.listRules({ webhookId });
+      res.json({ count: rules.length, rules });
+    },
+  );
+
+/**
+ * Creates the mock rule creation handler (`POST /mock-rules`).
+ * @param {MockRuleService} mockRuleService
+ * @returns {RequestHandler}
+ */
+export const createMockRuleCreateHandler = (mockRuleService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const body = readJsonBody(req);
+      if (!body) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      const { valid, errors, rule } = validateMockRule(body);
+      if (!valid) {
+        sendInvalidRule(res, errors);
+        return;
+      }
+
+      try {
+        const created = await mockRuleService.createRule(rule);
+        res.status(HTTP_STATUS.CREATED).json(created);
+      } catch (e) {
+        // MockRuleService only throws when the rule limit is reached
+        res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.MOCK_RULE_CREATION_FAILED,
+          message: /** @type {Error} */ (e).message,
+        });
+      }
+    },
+  );
+
+/**
+ * Creates the mock rule update handler.
+ * `PUT /mock-rules/:ruleId` replaces the rule (`replace: true`);
+ * `PATCH /mock-rules/:ruleId` merges top-level fields into the stored rule (e.g. `{ "enabled": false }`).
+ * @param {MockRuleService} mockRuleService
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false]
+ * @returns {RequestHandler}
+ */
+export const createMockRuleUpdateHandler = (
+  mockRuleService,
+  { replace = false } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.ruleId);
+      const body = readJsonBody(req);
+      if (!body) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      const existing = mockRuleService.getRule(id);
+      if (!existing) {
+        sendRuleNotFound(res, id);
+        return;
+      }
+
+      const { valid, errors, rule } = validateMockRule(
+        replace ? body : { ...existing, ...body },
+      );
+      if (!valid) {
+        sendInvalidRule(res, errors);
+        return;
+      }
+
+      const updated = await mockRuleService.updateRule(id, rule);
+      if (!updated) {
+        sendRuleNotFound(res, id);
+        return;
+      }
+      res.json(updated);
+    },
+  );
+
+/**
+ * Creates the mock rule deletion handler (`DELETE /mock-rules/:ruleId`).
+ * @param {MockRuleService} mockRuleService
+ * @returns {RequestHandler}
+ */
+export const createMockRuleDeleteHandler = (mockRuleService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.ruleId);
+      const deleted = await mockRuleService.deleteRule(id);
+
+      if (!deleted) {
+        sendRuleNotFound(res, id);
+        return;
+      }
+
+      res.status(HTTP_STATUS.NO_CONTENT).send();
+    },
+  );
+
+/**
+ * Creates the bulk priority update handler (`POST /mock-rules/reorder`).
+ * Body: `[{ "id": "rule_1", "priority": 10 }, ...]`.
+ * @param {MockRuleService} mockRuleService
+ * @returns {RequestHandler}
+ */
+export const createMockRulesReorderHandler = (mockRuleService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const entries = readJsonArray(req);
+      if (!entries || !entries.every(isOrderEntry)) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_LABELS.BAD_REQUEST,
+          message: ERROR_MESSAGES.INVALID_MOCK_RULE_ORDER,
+        });
+        return;
+      }
+
+      try {
+        const rules = await mockRuleService.reorderRules(entries);
+        res.json({ count: rules.length, rules });
+      } catch (e) {
+        // MockRuleService only throws for unknown rule IDs here
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: ERROR_MESSAGES.MOCK_RULE_NOT_FOUND,
+          message: /** @type {Error} */ (e).message,
+        });
+      }
+    },
+  );
+
+/**
+ * Creates the dry-run handler (`POST /mock-rules/simulate`).
+ * Body: `{ webhookId?, method?, path?, headers?, query?, body? }`.
+ * Evaluates the rules without sending a webhook and without counting a hit.
+ * @param {MockRuleService} mockRuleService
+ * @returns {RequestHandler}
+ */
+export const createMockRuleSimulateHandler = (mockRuleService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const input = readJsonBody(req);
+      if (!input) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      const webhookId =
+        typeof input.webhookId === "string" ? input.webhookId : undefined;
+      /** @type {MockRequest} */
+      const mockRequest = {
+        webhookId,
+        method: String(input.method || HTTP_METHODS.POST).toUpperCase(),
+        path:
+          typeof input.path === "string"
+            ? input.path
+            : APP_ROUTES.WEBHOOK.replace(":id", webhookId ?? ""),
+        headers: Object.fromEntries(
+          Object.entries(input.headers || {}).map(([k, v]) => [
+            k.toLowerCase(),
+            v,
+          ]),
+        ),
+        query: input.query || {},
+        body: input.body,
+      };
+
+      const rule = mockRuleService.findMatch(mockRequest);
+      res.json({
+        matched: Boolean(rule),
+        ruleId: rule?.id ?? null,
+        generatedResponse: rule ? renderMockResponse(rule, mockRequest) : null,
+      });
+    },
+  );
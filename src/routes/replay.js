@@ -1,18 +1,18 @@
 /**
  * @file src/routes/replay.js
- * @description Replay route handler for re-sending captured webhook payloads.
+ * @description Replay route handler for re-sending captured webhook payloads,
+ * optionally with header overrides and a JSON Patch or merge patch for the body.
  * @module routes/replay
  */
-import { Actor } from "apify";
 import { logRepository } from "../repositories/LogRepository.js";
-import { forwardingService } from "../services/index.js";
 import { validateUrlForSsrf } from "../utils/ssrf.js";
-import { asyncHandler } from "./utils.js";
 import {
-  REPLAY_HEADERS_TO_IGNORE,
-  HTTP_STATUS,
-  HTTP_HEADERS,
-} from "../consts/http.js";
+  prepareReplayRequest,
+  replayLogItem,
+  validateReplayMutation,
+} from "../utils/replay.js";
+import { asyncHandler, readJsonBody } from "./utils.js";
+import { HTTP_STATUS, HTTP_HEADERS } from "../consts/http.js";
 import {
   ERROR_MESSAGES,
   ERROR_LABELS,
@@ -23,31 +23,31 @@ import {
   APP_CONSTS,
   FORWARDING_CONSTS,
 } from "../consts/app.js";
-import { LOG_COMPONENTS, LOG_CONSTS } from "../consts/logging.js";
-import { STORAGE_CONSTS } from "../consts/storage.js";
 import { SSRF_ERRORS } from "../consts/security.js";
 import { SQL_CONSTS } from "../consts/database.js";
 import { LOG_MESSAGES } from "../consts/messages.js";
-import { createChildLogger, serializeError } from "../utils/logger.js";
-
-const log = createChildLogger({ component: LOG_COMPONENTS.REPLAY });
 
 /**
  * @typedef {import("express").Request} Request
  * @typedef {import("express").Response} Response
  * @typedef {import("express").RequestHandler} RequestHandler
- * @typedef {import("axios").AxiosResponse} AxiosResponse
  * @typedef {import("../typedefs.js").CommonError} CommonError
- * @typedef {Object.<string, string> | null} ReqBody
+ * @typedef {import("../typedefs.js").ForwardSigningConfig} ForwardSigningConfig
+ * @typedef {import("../utils/replay.js").ReplayRequest} ReplayRequest
  */
 
 /**
  * Creates the replay route handler.
  * @param {() => number | undefined} [getReplayMaxRetries]
  * @param {() => number | undefined} [getReplayTimeoutMs]
+ * @param {(webhookId: string) => ForwardSigningConfig | undefined} [getForwardSigning]
  * @returns {RequestHandler}
  */
-export const createReplayHandler = (getReplayMaxRetries, getReplayTimeoutMs) =>
+export const createReplayHandler = (
+  getReplayMaxRetries,
+  getReplayTimeoutMs,
+  getForwardSigning,
+) =>
   asyncHandler(
     /** @param {Request} req @param {Response} res */
     async (req, res) => {
@@ -76,6 +76,22 @@ export const createReplayHandler = (getReplayMaxRetries, getReplayTimeoutMs) =>
           return;
         }
 
+        const mutationInput = readJsonBody(req);
+        if (!mutationInput) {
+          res.status(HTTP_STATUS.BAD_REQUEST).json({
+            error: ERROR_LABELS.BAD_REQUEST,
+            message: ERROR_MESSAGES.INVALID_JSON_BODY,
+          });
+          return;
+        }
+        const { errors, mutation } = validateReplayMutation(mutationInput);
+        if (errors.length > 0) {
+          res
+            .status(HTTP_STATUS.BAD_REQUEST)
+            .json({ error: ERROR_MESSAGES.INVALID_REPLAY_MUTATION, errors });
+          return;
+        }
+
         // Validate URL and check for SSRF
         const ssrfResult = await validateUrlForSsrf(String(targetUrl));
         if (!ssrfResult.safe) {
@@ -90,7 +106,7 @@ export const createReplayHandler = (getReplayMaxRetries, getReplayTimeoutMs) =>
         }
 
         const target = {
-          href: ssrfResult.href,
+          href: String(ssrfResult.href),
           host: ssrfResult.host,
         };
 
@@ -115,105 +131,31 @@ export const createReplayHandler = (getReplayMaxRetries, getReplayTimeoutMs) =>
           return;
         }
 
-        /** @type {Readonly<string[]>} */
-        const headersToIgnore = REPLAY_HEADERS_TO_IGNORE;
-        /** @type {string[]} */
-        const strippedHeaders = [];
-        /** @type {Record<string, unknown>} */
-        const filteredHeaders = Object.entries(item.headers || {}).reduce(
-          (/** @type {Record<string, unknown>} */ acc, [key, value]) => {
-            const lowerKey = key.toLowerCase();
-            const isMasked =
-              typeof value === "string" &&
-              value.toUpperCase() === LOG_CONSTS.MASKED_VALUE;
-            if (isMasked || headersToIgnore.includes(lowerKey)) {
-              strippedHeaders.push(key);
-            } else {
-              acc[key] = value;
-            }
-            return acc;
-          },
-          {},
-        );
-
-        /** @type {ReqBody} */
-        let bodyToSend = /** @type {ReqBody} */ (item.body);
-
-        // Hydrate large payloads from KVS if necessary
-        if (
-          bodyToSend &&
-          typeof bodyToSend === "object" &&
-          /** @type {string[]} */ ([
-            STORAGE_CONSTS.OFFLOAD_MARKER_SYNC,
-            STORAGE_CONSTS.OFFLOAD_MARKER_STREAM,
-          ]).includes(bodyToSend.data) &&
-          bodyToSend.key
-        ) {
-          log.info({ kvsKey: bodyToSend.key }, LOG_MESSAGES.HYDRATING_PAYLOAD);
-          try {
-            /** @type {ReqBody} */
-            const hydrated = await Actor.getValue(bodyToSend.key);
-            if (hydrated) {
-              bodyToSend = hydrated;
-            } else {
-              log.warn(
-                { kvsKey: bodyToSend.key },
-                LOG_MESSAGES.HYDRATE_FAILED_KEY,
-              );
-            }
-          } catch (e) {
-            log.error(
-              { kvsKey: bodyToSend.key, err: serializeError(e) },
-              LOG_MESSAGES.HYDRATE_ERROR,
-            );
-          }
-        }
-
-        /** @type {AxiosResponse | undefined} */
-        let response;
-        const replayAbort = new AbortController();
-        // Dual timeout strategy:
-        // 1. Per-request timeout: replayTimeout
-        // 2. Total operation timeout: replayTimeout * (maxRetries + 1)
-        const totalTimeoutMs = replayTimeout * (maxRetries + 1);
-        const replayTimeoutId = setTimeout(
-          () => replayAbort.abort(),
-          totalTimeoutMs,
-        );
-
+        /** @type {ReplayRequest} */
+        let request;
         try {
-          response = await forwardingService.sendSafeRequest(
-            String(target.href),
-            item.method,
-            bodyToSend,
-            {
-              ...filteredHeaders,
-              [HTTP_HEADERS.APIFY_REPLAY]: String(true),
-              [HTTP_HEADERS.ORIGINAL_WEBHOOK_ID]: webhookId,
-              [HTTP_HEADERS.IDEMPOTENCY_KEY]: itemId,
-            },
-            {
-              maxRetries,
-              hostHeader: target.host,
-              forwardHeaders: true, // We manually filtered headers above
-              timeout: replayTimeout,
-            },
-            replayAbort.signal,
-          );
+          request = await prepareReplayRequest(item, mutation);
         } catch (err) {
-          const axiosError = /** @type {CommonError} */ (err);
-
-          // sendSafeRequest throws on non-2xx, but we want the response for replay feedback
-          if (axiosError.response) {
-            response = /** @type {AxiosResponse} */ (axiosError.response);
-          } else {
-            // Real network error (connection refused, DNS failure, timeout)
-            throw err;
-          }
-        } finally {
-          clearTimeout(replayTimeoutId);
+          res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+            error: ERROR_MESSAGES.REPLAY_MUTATION_FAILED,
+            message: /** @type {Error} */ (err).message,
+          });
+          return;
         }
 
+        const { response, replayId, strippedHeaders } = await replayLogItem(
+          item,
+          target,
+          {
+            webhookId,
+            idempotencyKey: itemId,
+            maxRetries,
+            timeoutMs: replayTimeout,
+            signing: getForwardSigning?.(webhookId),
+          },
+          request,
+        );
+
         if (!response) {
           res.status(HTTP_STATUS.GATEWAY_TIMEOUT).json({
             error: ERROR_LABELS.REPLAY_FAILED,
@@ -233,11 +175,13 @@ export const createReplayHandler = (getReplayMaxRetries, getReplayTimeoutMs) =>
 
         res.json({
           status: REPLAY_STATUS_LABELS.REPLAYED,
+          replayId,
           targetUrl,
           targetResponseCode: response?.status,
           targetResponseBody: response?.data,
           strippedHeaders:
             strippedHeaders.length > 0 ? strippedHeaders : undefined,
+          mutation: request.mutation,
         });
       } catch (error) {
         const axiosError = /** @type {CommonError} */ (error);
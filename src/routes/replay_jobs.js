@@ -0,0 +1,410 @@
+/**
+ * @file src/routes/replay_jobs.js
+ * @description Bulk replay job route handlers: creating a job from `GET /logs` filters,
+ * listing jobs, reading progress and per-item results, streaming progress over SSE,
+ * and pausing, resuming or cancelling a job.
+ * @module routes/replay_jobs
+ */
+import {
+  asyncHandler,
+  readJsonBody,
+  setSseHeaders,
+  toSseMessage,
+} from "./utils.js";
+import { validateUrlForSsrf } from "../utils/ssrf.js";
+import { parseLogFilters } from "../utils/filter_utils.js";
+import { HTTP_STATUS, HTTP_STATUS_MESSAGES } from "../consts/http.js";
+import {
+  APP_CONSTS,
+  REPLAY_JOB_CONSTS,
+  REPLAY_JOB_EVENT_TYPES,
+  REPLAY_JOB_ITEM_STATUSES,
+  REPLAY_JOB_STATUSES,
+  REPLAY_JOB_TIMINGS,
+  SORT_DIRECTIONS,
+  STREAM_EVENTS,
+} from "../consts/app.js";
+import { ERROR_LABELS, ERROR_MESSAGES } from "../consts/errors.js";
+import { PAGINATION_CONSTS, SQL_CONSTS } from "../consts/database.js";
+import { DELIMITERS } from "../consts/network.js";
+import { SSRF_ERRORS } from "../consts/security.js";
+import { SSE_CONSTS } from "../consts/ui.js";
+
+/**
+ * @typedef {import("express").Request} Request
+ * @typedef {import("express").Response} Response
+ * @typedef {import("express").RequestHandler} RequestHandler
+ * @typedef {import("../services/ReplayJobService.js").ReplayJobService} ReplayJobService
+ * @typedef {import("../typedefs.js").LogFilters} LogFilters
+ * @typedef {import("../typedefs.js").ReplayJob} ReplayJob
+ * @typedef {import("../typedefs.js").ReplayJobEvent} ReplayJobEvent
+ */
+
+/**
+ * @typedef {Object} ReplayJobRequest
+ * @property {string} targetUrl
+ * @property {LogFilters} filters
+ * @property {string} timing
+ * @property {number} ratePerSecond
+ * @property {number} speed
+ * @property {number} concurrency
+ * @property {number} maxItems
+ */
+
+/** Replays run in original order unless the filters say otherwise */
+const DEFAULT_JOB_SORT = [
+  SQL_CONSTS.COLUMNS.TIMESTAMP,
+  SORT_DIRECTIONS.ASC,
+].join(DELIMITERS.QUERY_SORT);
+
+/**
+ * Validates a `POST /replay-jobs` body and applies defaults.
+ * `filters` accepts the same parameters as `GET /logs`; pagination is ignored, and
+ * so is `sort` for `original` timing, which always plays logs in capture order.
+ * @param {Record<string, any>} input
+ * @returns {{ errors: string[], request: ReplayJobRequest }}
+ */
+const validateReplayJobRequest = (input) => {
+  /** @type {string[]} */
+  const errors = [];
+  /**
+   * @param {string} field
+   * @param {string} expected
+   */
+  const reject = (field, expected) =>
+    errors.push(ERROR_MESSAGES.INVALID_REPLAY_JOB_FIELD(field, expected));
+
+  const {
+    targetUrl,
+    filters = {},
+    timing = REPLAY_JOB_TIMINGS.RATE,
+    ratePerSecond = REPLAY_JOB_CONSTS.DEFAULT_RATE_PER_SECOND,
+    speed = REPLAY_JOB_CONSTS.DEFAULT_SPEED,
+    concurrency = REPLAY_JOB_CONSTS.DEFAULT_CONCURRENCY,
+    maxItems = REPLAY_JOB_CONSTS.DEFAULT_MAX_ITEMS,
+  } = input;
+
+  if (typeof targetUrl !== "string" || !targetUrl.trim()) {
+    reject("targetUrl", "a URL");
+  }
+  const filtersValid =
+    filters !== null && typeof filters === "object" && !Array.isArray(filters);
+  if (!filtersValid) {
+    reject("filters", "an object of GET /logs query parameters");
+  }
+  /** @type {string[]} */
+  const timings = Object.values(REPLAY_JOB_TIMINGS);
+  if (!timings.includes(timing)) {
+    reject("timing", `one of ${timings.join(", ")}`);
+  }
+  if (
+    typeof speed !== "number" ||
+    speed < REPLAY_JOB_CONSTS.MIN_SPEED ||
+    speed > REPLAY_JOB_CONSTS.MAX_SPEED
+  ) {
+    reject(
+      "speed",
+      `a number from ${REPLAY_JOB_CONSTS.MIN_SPEED} to ${REPLAY_JOB_CONSTS.MAX_SPEED}`,
+    );
+  }
+  if (
+    typeof ratePerSecond !== "number" ||
+    ratePerSecond < REPLAY_JOB_CONSTS.MIN_RATE_PER_SECOND ||
+    ratePerSecond > REPLAY_JOB_CONSTS.MAX_RATE_PER_SECOND
+  ) {
+    reject(
+      "ratePerSecond",
+      `a number from ${REPLAY_JOB_CONSTS.MIN_RATE_PER_SECOND} to ${REPLAY_JOB_CONSTS.MAX_RATE_PER_SECOND}`,
+    );
+  }
+  if (
+    !Number.isInteger(concurrency) ||
+    concurrency < 1 ||
+    concurrency > REPLAY_JOB_CONSTS.MAX_CONCURRENCY
+  ) {
+    reject(
+      "concurrency",
+      `an integer from 1 to ${REPLAY_JOB_CONSTS.MAX_CONCURRENCY}`,
+    );
+  }
+  if (
+    !Number.isInteger(maxItems) ||
+    maxItems < 1 ||
+    maxItems > REPLAY_JOB_CONSTS.MAX_ITEMS
+  ) {
+    reject("maxItems", `an integer from 1 to ${REPLAY_JOB_CONSTS.MAX_ITEMS}`);
+  }
+
+  const parsed = parseLogFilters({
+    sort: DEFAULT_JOB_SORT,
+    ...(filtersValid ? filters : {}),
+    ...(timing === REPLAY_JOB_TIMINGS.ORIGINAL && { sort: DEFAULT_JOB_SORT }),
+  });
+  delete parsed.limit;
+  delete parsed.offset;
+  delete parsed.cursor;
+
+  return {
+    errors,
+    request: {
+      targetUrl: String(targetUrl ?? "").trim(),
+      filters: parsed,
+      timing,
+      ratePerSecond,
+      speed,
+      concurrency,
+      maxItems,
+    },
+  };
+};
+
+/**
+ * Sends the standard 404 response for an unknown job.
+ * @param {Response} res
+ * @param {string} id
+ */
+const sendJobNotFound = (res, id) => {
+  res
+    .status(HTTP_STATUS.NOT_FOUND)
+    .json({ error: ERROR_MESSAGES.REPLAY_JOB_NOT_FOUND, id });
+};
+
+/**
+ * Creates the job creation handler (`POST /replay-jobs`).
+ * Matching logs are selected up front; replaying continues in the background, so
+ * the response is 202 Accepted with the new job.
+ * @param {ReplayJobService} replayJobService
+ * @returns {RequestHandler}
+ */
+export const createReplayJobCreateHandler = (replayJobService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const body = readJsonBody(req);
+      if (!body) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_LABELS.BAD_REQUEST,
+          message: ERROR_MESSAGES.INVALID_JSON_BODY,
+        });
+        return;
+      }
+
+      const { errors, request } = validateReplayJobRequest(body);
+      if (errors.length > 0) {
+        res
+          .status(HTTP_STATUS.BAD_REQUEST)
+          .json({ error: ERROR_MESSAGES.INVALID_REPLAY_JOB, errors });
+        return;
+      }
+
+      const ssrfResult = await validateUrlForSsrf(request.targetUrl);
+      if (!ssrfResult.safe) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error:
+            ssrfResult.error === SSRF_ERRORS.HOSTNAME_RESOLUTION_FAILED
+              ? ERROR_MESSAGES.HOSTNAME_RESOLUTION_FAILED
+              : ssrfResult.error,
+        });
+        return;
+      }
+
+      const job = await replayJobService.create({
+        target: {
+          href: String(ssrfResult.href),
+          host: ssrfResult.host,
+        },
+        filters: request.filters,
+        timing: request.timing,
+        ratePerSecond: request.ratePerSecond,
+        speed: request.speed,
+        concurrency: request.concurrency,
+        maxItems: request.maxItems,
+      });
+      if (!job) {
+        res
+          .status(HTTP_STATUS.TOO_MANY_REQUESTS)
+          .json({ error: ERROR_MESSAGES.REPLAY_JOB_LIMIT_REACHED });
+        return;
+      }
+      res.status(HTTP_STATUS.ACCEPTED).json(job);
+    },
+  );
+
+/**
+ * Creates the job list handler (`GET /replay-jobs`), newest first.
+ * @param {ReplayJobService} replayJobService
+ * @returns {RequestHandler}
+ */
+export const createReplayJobsListHandler = (replayJobService) =>
+  asyncHandler(
+    /** @param {Request} _req @param {Response} res */
+    async (_req, res) => {
+      const jobs = replayJobService.list();
+      res.json({ count: jobs.length, jobs });
+    },
+  );
+
+/**
+ * Creates the job detail handler (`GET /replay-jobs/:id`).
+ * Returns progress plus a page of per-item results; supports `?status=`,
+ * `?limit=` and `?offset=` on the results.
+ * @param {ReplayJobService} replayJobService
+ * @returns {RequestHandler}
+ */
+export const createReplayJobDetailHandler = (replayJobService) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const {
+        status,
+        limit = PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+        offset = PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
+      } = req.query;
+
+      const limitNum = Math.min(
+        Math.max(
+          parseInt(String(limit), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+          1,
+        ),
+        PAGINATION_CONSTS.MAX_PAGE_LIMIT,
+      );
+      const offsetNum = Math.max(
+        parseInt(String(offset), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
+        0,
+      );
+      /** @type {string[]} */
+      const itemStatuses = Object.values(REPLAY_JOB_ITEM_STATUSES);
+      const statusFilter = itemStatuses.includes(String(status))
+        ? String(status)
+        : undefined;
+
+      const job = replayJobService.get(id);
+      const results = replayJobService.getItems(id, {
+        status: statusFilter,
+        limit: limitNum,
+        offset: offsetNum,
+      });
+      if (!job || !results) {
+        sendJobNotFound(res, id);
+        return;
+      }
+
+      res.json({
+        ...job,
+        results: {
+          total: results.total,
+          count: results.items.length,
+          limit: limitNum,
+          offset: offsetNum,
+          items: results.items,
+        },
+      });
+    },
+  );
+
+/**
+ * Creates a job state-change handler (`POST /replay-jobs/:id/{pause,resume,cancel}`).
+ * Responds 409 when the job is not in a state the action applies to.
+ * @param {ReplayJobService} replayJobService
+ * @param {"pause" | "resume" | "cancel"} action
+ * @returns {RequestHandler}
+ */
+export const createReplayJobActionHandler = (replayJobService, action) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const current = replayJobService.get(id);
+      if (!current) {
+        sendJobNotFound(res, id);
+        return;
+      }
+
+      /** @type {ReplayJob | undefined} */
+      const job = replayJobService[action](id);
+      if (!job) {
+        res.status(HTTP_STATUS.CONFLICT).json({
+          error: ERROR_MESSAGES.REPLAY_JOB_STATE_CONFLICT(
+            action,
+            current.status,
+          ),
+          id,
+        });
+        return;
+      }
+      res.json(job);
+    },
+  );
+
+/**
+ * Creates the job progress stream handler (`GET /replay-jobs/:id/events`).
+ * Sends a `snapshot` event, then `status`, `item` and `finished` events as Server-Sent
+ * Events until the job finishes or the client disconnects. A finished job gets its
+ * snapshot and the stream ends.
+ * @param {ReplayJobService} replayJobService
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatIntervalMs]
+ * @returns {RequestHandler}
+ */
+export const createReplayJobEventsHandler = (
+  replayJobService,
+  { heartbeatIntervalMs = APP_CONSTS.SSE_HEARTBEAT_INTERVAL_MS } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const job = replayJobService.get(id);
+      if (!job) {
+        sendJobNotFound(res, id);
+        return;
+      }
+
+      const finished =
+        job.status !== REPLAY_JOB_STATUSES.RUNNING &&
+        job.status !== REPLAY_JOB_STATUSES.PAUSED;
+      /** @type {ReturnType<typeof setInterval> | undefined} */
+      let heartbeat;
+      /** @type {(() => void) | null | undefined} */
+      let unsubscribe;
+      const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe?.();
+        if (!res.writableEnded) res.end();
+      };
+
+      if (!finished) {
+        unsubscribe = replayJobService.subscribe(
+          id,
+          /** @param {ReplayJobEvent} event */ (event) => {
+            res.write(toSseMessage(event));
+            if (event.type === REPLAY_JOB_EVENT_TYPES.FINISHED) close();
+          },
+        );
+        if (unsubscribe === null) {
+          res.status(HTTP_STATUS.SERVICE_UNAVAILABLE).json({
+            error: HTTP_STATUS_MESSAGES[HTTP_STATUS.SERVICE_UNAVAILABLE],
+            message: ERROR_MESSAGES.SSE_LIMIT_REACHED(
+              REPLAY_JOB_CONSTS.MAX_EVENT_SUBSCRIBERS,
+            ),
+          });
+          return;
+        }
+      }
+
+      req.on(STREAM_EVENTS.CLOSE, close);
+      setSseHeaders(res);
+      res.write(SSE_CONSTS.CONNECTED_MESSAGE);
+      res.write(toSseMessage({ type: REPLAY_JOB_EVENT_TYPES.SNAPSHOT, job }));
+      if (finished) {
+        close();
+        return;
+      }
+
+      heartbeat = setInterval(() => {
+        res.write(SSE_CONSTS.HEARTBEAT_MESSAGE);
+      }, heartbeatIntervalMs);
+      if (heartbeat.unref) heartbeat.unref();
+    },
+  );
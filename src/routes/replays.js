@@ -0,0 +1,207 @@
+/**
+ * @file src/routes/replays.js
+ * @description Stored replay request/response pairs and the comparison endpoint
+ * used for regression checks after a deploy.
+ * @module routes/replays
+ */
+import { logRepository } from "../repositories/LogRepository.js";
+import { deliveryRepository } from "../repositories/DeliveryRepository.js";
+import { compareReplayResponses } from "../utils/replay.js";
+import { asyncHandler, jsonSafe } from "./utils.js";
+import { HTTP_STATUS } from "../consts/http.js";
+import { DELIVERY_KINDS, REPLAY_CAPTURE_CONSTS } from "../consts/app.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { DELIMITERS } from "../consts/network.js";
+
+/**
+ * @typedef {import("express").Request} Request
+ * @typedef {import("express").Response} Response
+ * @typedef {import("express").RequestHandler} RequestHandler
+ * @typedef {import("../webhook_manager.js").WebhookManager} WebhookManager
+ * @typedef {import("../repositories/DeliveryRepository.js").DeliveryRepository} DeliveryRepository
+ * @typedef {import("../typedefs.js").ReplayCapture} ReplayCapture
+ * @typedef {import("../utils/replay.js").ReplayResponseSnapshot} ReplayResponseSnapshot
+ */
+
+/**
+ * @param {ReplayCapture} capture
+ * @returns {ReplayResponseSnapshot}
+ */
+const toReplaySnapshot = (capture) => ({
+  source: DELIVERY_KINDS.REPLAY,
+  id: capture.id,
+  logId: capture.logId,
+  targetUrl: capture.targetUrl,
+  statusCode: capture.statusCode,
+  headers: capture.responseHeaders,
+  body: capture.responseBodyTruncated ? undefined : capture.responseBody,
+  timestamp: capture.timestamp,
+});
+
+/**
+ * Builds the response the log originally got from its forward target. A proxied
+ * log stores the full response; otherwise only the status of the latest
+ * `forwardUrl` delivery is known.
+ * @param {string} logId
+ * @param {DeliveryRepository} deliveryRepo
+ * @returns {Promise<ReplayResponseSnapshot | null>}
+ */
+const loadOriginalSnapshot = async (logId, deliveryRepo) => {
+  const item = await logRepository.getLogById(logId);
+  if (!item) return null;
+
+  const source = REPLAY_CAPTURE_CONSTS.ORIGINAL_BASELINE;
+  if (item.isProxied && typeof item.proxyStatusCode === "number") {
+    return {
+      source,
+      logId,
+      targetUrl: item.proxyTargetUrl ?? null,
+      statusCode: item.proxyStatusCode,
+      headers: item.responseHeaders ?? {},
+      body: item.responseBody ?? null,
+      timestamp: item.timestamp,
+    };
+  }
+
+  const deliveries = await deliveryRepo.findDeliveriesByLogId(logId);
+  // Deliveries come oldest first; the latest attempt is what the sender saw
+  const forward = [...deliveries]
+    .reverse()
+    .find(
+      (delivery) =>
+        delivery.kind === DELIVERY_KINDS.FORWARD &&
+        !delivery.destinationId &&
+        typeof delivery.statusCode === "number",
+    );
+  if (!forward) return null;
+  return {
+    source,
+    logId,
+    targetUrl: forward.targetUrl,
+    statusCode: forward.statusCode ?? null,
+    headers: null,
+    timestamp: forward.timestamp,
+  };
+};
+
+/**
+ * @param {ReplayResponseSnapshot} snapshot
+ * @returns {Omit<ReplayResponseSnapshot, "headers" | "body">}
+ */
+const describeSnapshot = ({ headers: _headers, body: _body, ...rest }) => rest;
+
+/**
+ * Loads a capture whose webhook is still active.
+ * @param {string} id
+ * @param {WebhookManager} webhookManager
+ * @param {DeliveryRepository} deliveryRepo
+ * @returns {Promise<ReplayCapture | null>}
+ */
+const loadCapture = async (id, webhookManager, deliveryRepo) => {
+  const capture = await deliveryRepo.getReplayCapture(id);
+  if (!capture || !webhookManager.isValid(String(capture.webhookId))) {
+    return null;
+  }
+  return capture;
+};
+
+/**
+ * Creates the replay capture handler (`GET /replays/:id`).
+ * Returns the request a replay sent and the response it received.
+ * @param {WebhookManager} webhookManager
+ * @param {{ deliveryRepo?: DeliveryRepository }} [deps]
+ * @returns {RequestHandler}
+ */
+export const createReplayCaptureHandler = (
+  webhookManager,
+  { deliveryRepo = deliveryRepository } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const capture = await loadCapture(id, webhookManager, deliveryRepo);
+      if (!capture) {
+        res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json({ error: ERROR_MESSAGES.REPLAY_NOT_FOUND, id });
+        return;
+      }
+      res.json(jsonSafe(capture));
+    },
+  );
+
+/**
+ * Creates the replay comparison handler (`GET /replays/:id/compare`).
+ * Compares the replay against `?baseline=` (another replay ID, or `original` for
+ * the originally forwarded response, the default). `?headers=` lists the response
+ * headers to compare.
+ * @param {WebhookManager} webhookManager
+ * @param {{ deliveryRepo?: DeliveryRepository }} [deps]
+ * @returns {RequestHandler}
+ */
+export const createReplayCompareHandler = (
+  webhookManager,
+  { deliveryRepo = deliveryRepository } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const {
+        baseline: baselineId = REPLAY_CAPTURE_CONSTS.ORIGINAL_BASELINE,
+        headers,
+      } = req.query;
+
+      const capture = await loadCapture(id, webhookManager, deliveryRepo);
+      if (!capture) {
+        res
+          .status(HTTP_STATUS.NOT_FOUND)
+          .json({ error: ERROR_MESSAGES.REPLAY_NOT_FOUND, id });
+        return;
+      }
+
+      /** @type {ReplayResponseSnapshot | null} */
+      let baseline;
+      if (String(baselineId) === REPLAY_CAPTURE_CONSTS.ORIGINAL_BASELINE) {
+        baseline = await loadOriginalSnapshot(capture.logId, deliveryRepo);
+        if (!baseline) {
+          res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: ERROR_MESSAGES.ORIGINAL_RESPONSE_NOT_FOUND,
+            logId: capture.logId,
+          });
+          return;
+        }
+      } else {
+        const other = await loadCapture(
+          String(baselineId),
+          webhookManager,
+          deliveryRepo,
+        );
+        if (!other) {
+          res.status(HTTP_STATUS.NOT_FOUND).json({
+            error: ERROR_MESSAGES.REPLAY_NOT_FOUND,
+            id: String(baselineId),
+          });
+          return;
+        }
+        baseline = toReplaySnapshot(other);
+      }
+
+      const headerNames = headers
+        ? String(headers)
+            .split(DELIMITERS.QUERY_LIST)
+            .map((name) => name.trim())
+            .filter(Boolean)
+        : [...REPLAY_CAPTURE_CONSTS.DEFAULT_COMPARE_HEADERS];
+      const candidate = toReplaySnapshot(capture);
+
+      res.json(
+        jsonSafe({
+          baseline: describeSnapshot(baseline),
+          candidate: describeSnapshot(candidate),
+          ...compareReplayResponses(baseline, candidate, headerNames),
+        }),
+      );
+    },
+  );
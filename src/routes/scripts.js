@@ -0,0 +1,252 @@
+/**
+ * @file src/routes/scripts.js
+ * @description Custom script dry runs: executes a script against a stored log or
+ * an inline sample event in the same sandbox as live traffic, without storing or
+ * forwarding anything.
+ * @module routes/scripts
+ */
+import { logRepository } from "../repositories/LogRepository.js";
+import {
+  executeCustomScript,
+  validateCustomScriptSource,
+} from "../utils/custom_script_executor.js";
+import { extractScriptOutcome } from "../utils/script_outcome.js";
+import { diffJson } from "../utils/json_patch.js";
+import { LogLevel } from "../utils/logger.js";
+import {
+  createCustomScriptSafeRequest,
+  normalizeScriptLogArg,
+  rehydrateSandboxError,
+  restoreSandboxEvent,
+} from "../logger_middleware.js";
+import { asyncHandler, jsonSafe, readJsonBody } from "./utils.js";
+import { HTTP_STATUS, HTTP_METHODS } from "../consts/http.js";
+import { APP_CONSTS, APP_ROUTES } from "../consts/app.js";
+import {
+  ERROR_LABELS,
+  ERROR_MESSAGES,
+  NODE_ERROR_CODES,
+} from "../consts/errors.js";
+import { LOG_MESSAGES } from "../consts/messages.js";
+import { isPlainObject } from "../utils/common.js";
+
+/**
+ * @typedef {import("express").Request} Request
+ * @typedef {import("express").Response} Response
+ * @typedef {import("express").RequestHandler} RequestHandler
+ * @typedef {import("../webhook_manager.js").WebhookManager} WebhookManager
+ * @typedef {import("../typedefs.js").CommonError} CommonError
+ * @typedef {import("../typedefs.js").CustomRequest} CustomRequest
+ * @typedef {import("../typedefs.js").ScriptTestResult} ScriptTestResult
+ * @typedef {import("../typedefs.js").WebhookEvent} WebhookEvent
+ */
+
+/**
+ * Validates a `{ source, logId?, event? }` body.
+ * @param {Record<string, any>} input
+ * @returns {string[]}
+ */
+const validateScriptTest = (input) => {
+  /** @type {string[]} */
+  const errors = [];
+
+  if (typeof input.source !== "string" || !input.source.trim()) {
+    errors.push(ERROR_MESSAGES.SCRIPT_TEST_SOURCE_REQUIRED);
+  } else {
+    try {
+      validateCustomScriptSource(input.source);
+    } catch (err) {
+      errors.push(
+        ERROR_MESSAGES.SCRIPT_SOURCE_INVALID(
+          err instanceof Error ? err.message : String(err),
+        ),
+      );
+    }
+  }
+
+  const hasLogId = input.logId !== undefined;
+  const hasEvent = input.event !== undefined;
+  if (hasLogId && hasEvent) {
+    errors.push(ERROR_MESSAGES.SCRIPT_TEST_INPUT_CONFLICT);
+  } else if (!hasLogId && !hasEvent) {
+    errors.push(ERROR_MESSAGES.SCRIPT_TEST_INPUT_MISSING);
+  } else if (hasLogId && (typeof input.logId !== "string" || !input.logId)) {
+    errors.push(ERROR_MESSAGES.SCRIPT_TEST_LOG_ID_INVALID);
+  } else if (hasEvent && !isPlainObject(input.event)) {
+    errors.push(ERROR_MESSAGES.SCRIPT_TEST_EVENT_INVALID);
+  }
+
+  return errors;
+};
+
+/**
+ * Builds the `req` global a live request would give the script.
+ * @param {Record<string, any>} event
+ * @returns {Record<string, unknown>}
+ */
+const createSampleRequest = (event) => {
+  const url =
+    typeof event.requestUrl === "string"
+      ? event.requestUrl
+      : APP_ROUTES.WEBHOOK.replace(":id", String(event.webhookId ?? ""));
+  return createCustomScriptSafeRequest(
+    /** @type {CustomRequest} */ (
+      /** @type {unknown} */ ({
+        method: String(event.method || HTTP_METHODS.POST).toUpperCase(),
+        url,
+        originalUrl: url,
+        requestId: event.requestId,
+        headers: event.headers,
+        query: event.query,
+        body: event.body,
+        params: { id: event.webhookId },
+      })
+    ),
+  );
+};
+
+/**
+ * Runs the script once and reports what it would have done to the event.
+ * @param {string} source
+ * @param {Record<string, any>} input
+ * @returns {Promise<ScriptTestResult>}
+ */
+const runScriptTest = async (source, input) => {
+  const original = restoreSandboxEvent(input);
+  const before = jsonSafe(original);
+  const startedAt = Date.now();
+
+  /** @type {Array<{ level?: string, args?: unknown[] }>} */
+  let logs = [];
+  /** @type {WebhookEvent | null} */
+  let transformed = null;
+  /** @type {CommonError | null} */
+  let error = null;
+  try {
+    const executionResult = await executeCustomScript({
+      source,
+      event: original,
+      req: createSampleRequest(before),
+      timeoutMs: APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
+    });
+    logs = executionResult.logs ?? [];
+    if (executionResult.ok) {
+      transformed = restoreSandboxEvent(executionResult.event);
+    } else {
+      error = rehydrateSandboxError(executionResult.error);
+    }
+  } catch (err) {
+    // Worker crashes and unresponsive workers are script results here too
+    error = /** @type {CommonError} */ (err);
+  }
+  const durationMs = Date.now() - startedAt;
+
+  const result = {
+    durationMs,
+    logs: logs.map((entry) => ({
+      level: String(entry.level ?? LogLevel.DEBUG),
+      args: (Array.isArray(entry.args) ? entry.args : []).map(
+        normalizeScriptLogArg,
+      ),
+    })),
+  };
+
+  if (!transformed) {
+    const timedOut =
+      error?.code === NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT ||
+      Boolean(
+        error?.message?.includes(LOG_MESSAGES.SCRIPT_EXECUTION_TIMEOUT_ERROR),
+      );
+    return {
+      ok: false,
+      ...result,
+      event: null,
+      outcome: null,
+      invalidOutcomeKeys: [],
+      diff: [],
+      error: {
+        name: error?.name ?? ERROR_LABELS.GENERIC,
+        message: timedOut
+          ? LOG_MESSAGES.SCRIPT_EXECUTION_TIMED_OUT(
+              APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
+            )
+          : (error?.message ?? LOG_MESSAGES.UNKNOWN_ERROR),
+        ...(typeof error?.stack === "string" && { stack: error.stack }),
+        timedOut,
+      },
+    };
+  }
+
+  const { outcome, invalidKeys } = extractScriptOutcome(transformed);
+  if (outcome.tags) transformed.tags = outcome.tags;
+  const after = jsonSafe(transformed);
+
+  return {
+    ok: true,
+    ...result,
+    event: after,
+    outcome,
+    invalidOutcomeKeys: invalidKeys,
+    diff: diffJson(before, after),
+    error: null,
+  };
+};
+
+/**
+ * Creates the custom script test handler (`POST /scripts/test`).
+ * Body: `{ source, logId?, event? }` with exactly one of `logId` (a stored log)
+ * or `event` (an inline sample). The script runs in the live sandbox with the
+ * live timeout; its `$` outcome keys are reported but not acted on.
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createScriptTestHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const input = readJsonBody(req);
+      if (!input) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_LABELS.BAD_REQUEST,
+          message: ERROR_MESSAGES.INVALID_JSON_BODY,
+        });
+        return;
+      }
+
+      const errors = validateScriptTest(input);
+      if (errors.length > 0) {
+        res
+          .status(HTTP_STATUS.BAD_REQUEST)
+          .json({ error: ERROR_MESSAGES.INVALID_SCRIPT_TEST, errors });
+        return;
+      }
+
+      /** @type {Record<string, any>} */
+      let event = input.event;
+      if (input.logId !== undefined) {
+        const item = await logRepository.getLogById(input.logId);
+        if (!item) {
+          res
+            .status(HTTP_STATUS.NOT_FOUND)
+            .json({ error: ERROR_MESSAGES.LOG_NOT_FOUND });
+          return;
+        }
+        if (!webhookManager.isValid(item.webhookId)) {
+          res
+            .status(HTTP_STATUS.NOT_FOUND)
+            .json({ error: ERROR_MESSAGES.INVALID_WEBHOOK_LOG });
+          return;
+        }
+        // Storage bookkeeping is not part of the event a script sees
+        const {
+          scriptRuns: _runs,
+          sourceOffset: _offset,
+          source_offset: _rawOffset,
+          ...stored
+        } = /** @type {Record<string, any>} */ (item);
+        event = stored;
+      }
+
+      res.json(await runScriptTest(input.source, event));
+    },
+  );
@@ -5,18 +5,13 @@
  */
 
 import { createChildLogger, serializeError } from "../utils/logger.js";
-import {
-  HTTP_STATUS,
-  MIME_TYPES,
-  HTTP_HEADERS,
-  HTTP_STATUS_MESSAGES,
-} from "../consts/http.js";
+import { HTTP_STATUS, HTTP_STATUS_MESSAGES } from "../consts/http.js";
 import { LOG_COMPONENTS } from "../consts/logging.js";
 import { SSE_CONSTS } from "../consts/ui.js";
-import { SECURITY_HEADERS_VALUES } from "../consts/security.js";
 import { LOG_MESSAGES } from "../consts/messages.js";
 import { ERROR_MESSAGES } from "../consts/errors.js";
 import { MAX_SSE_CLIENTS, STREAM_EVENTS } from "../consts/app.js";
+import { setSseHeaders } from "./utils.js";
 
 const log = createChildLogger({ component: LOG_COMPONENTS.STREAM });
 
@@ -49,20 +44,11 @@ export const createLogStreamHandler =
       return;
     }
 
-    // 1. Optimize headers
-    res.setHeader(
-      HTTP_HEADERS.CONTENT_ENCODING,
-      SECURITY_HEADERS_VALUES.IDENTITY,
-    ); // Disable compression
-    res.setHeader(HTTP_HEADERS.CONTENT_TYPE, MIME_TYPES.EVENT_STREAM);
-    res.setHeader(HTTP_HEADERS.CACHE_CONTROL, SECURITY_HEADERS_VALUES.NO_CACHE);
-    res.setHeader(HTTP_HEADERS.CONNECTION, SECURITY_HEADERS_VALUES.KEEP_ALIVE);
-    res.setHeader(HTTP_HEADERS.X_ACCEL_BUFFERING, SECURITY_HEADERS_VALUES.NO); // Nginx: Unbuffered
-
-    // 2. Register cleanup BEFORE writing to handle immediate close
+    // 1. Register cleanup BEFORE writing to handle immediate close
     req.on(STREAM_EVENTS.CLOSE, () => clients.delete(res));
 
-    res.flushHeaders();
+    // 2. Optimize headers
+    setSseHeaders(res);
 
     // 3. Robust write with padding to force flush through proxies
     try {
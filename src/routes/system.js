@@ -1,23 +1,30 @@
 /**
  * @file src/routes/system.js
- * @description System metrics route handler for monitoring sync status.
+ * @description System metrics route handler for monitoring sync status and the
+ * custom script worker pool.
  * @module routes/system
  */
 import { asyncHandler } from "./utils.js";
+import { getCustomScriptPoolStats } from "../utils/custom_script_executor.js";
 
 /**
  * @typedef {import("express").Request} Request
  * @typedef {import("express").Response} Response
  * @typedef {import("express").RequestHandler} RequestHandler
  * @typedef {import("../services/SyncService.js").SyncService} SyncService
+ * @typedef {import("../utils/custom_script_pool.js").CustomScriptPoolStats} CustomScriptPoolStats
  */
 
 /**
  * Creates the system metrics route handler.
  * @param {SyncService} syncService
+ * @param {{ getScriptPoolStats?: () => CustomScriptPoolStats }} [deps]
  * @returns {RequestHandler}
  */
-export const createSystemMetricsHandler = (syncService) =>
+export const createSystemMetricsHandler = (
+  syncService,
+  { getScriptPoolStats = getCustomScriptPoolStats } = {},
+) =>
   asyncHandler(
     /** @param {Request} _req @param {Response} res */
     async (_req, res) => {
@@ -26,6 +33,7 @@ export const createSystemMetricsHandler = (syncService) =>
       res.json({
         timestamp: new Date().toISOString(),
         sync: syncMetrics,
+        customScriptPool: getScriptPoolStats(),
       });
     },
   );
@@ -9,6 +9,7 @@ import { ERROR_LABELS } from "../consts/errors.js";
 import { LOG_COMPONENTS } from "../consts/logging.js";
 import { SSE_CONSTS, UNAUTHORIZED_HTML_TEMPLATE } from "../consts/ui.js";
 import { AUTH_PLACEHOLDERS } from "../consts/auth.js";
+import { SECURITY_HEADERS_VALUES } from "../consts/security.js";
 import { LOG_MESSAGES } from "../consts/messages.js";
 import { createChildLogger } from "../utils/logger.js";
 
@@ -51,13 +52,58 @@ export const asyncHandler = (fn) => async (req, res, next) => {
   }
 };
 
+/**
+ * Sets the headers of a Server-Sent Events response and flushes them, disabling
+ * compression and proxy buffering.
+ * @param {Response} res
+ */
+export const setSseHeaders = (res) => {
+  res.setHeader(
+    HTTP_HEADERS.CONTENT_ENCODING,
+    SECURITY_HEADERS_VALUES.IDENTITY,
+  ); // Disable compression
+  res.setHeader(HTTP_HEADERS.CONTENT_TYPE, MIME_TYPES.EVENT_STREAM);
+  res.setHeader(HTTP_HEADERS.CACHE_CONTROL, SECURITY_HEADERS_VALUES.NO_CACHE);
+  res.setHeader(HTTP_HEADERS.CONNECTION, SECURITY_HEADERS_VALUES.KEEP_ALIVE);
+  res.setHeader(HTTP_HEADERS.X_ACCEL_BUFFERING, SECURITY_HEADERS_VALUES.NO); // Nginx: Unbuffered
+  res.flushHeaders();
+};
+
+/**
+ * Formats one Server-Sent Events message.
+ * @param {any} data - Serialized as JSON
+ * @returns {string}
+ */
+export const toSseMessage = (data) =>
+  `${SSE_CONSTS.DATA_PREFIX}${JSON.stringify(data)}\n\n`;
+
+/**
+ * Writes a chunk and, when the socket buffer is full, waits until it drains or
+ * the client goes away.
+ * @param {Response} res
+ * @param {string | Buffer} chunk
+ * @returns {Promise<void>}
+ */
+export const writeChunk = async (res, chunk) => {
+  if (res.write(chunk)) return;
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve(undefined);
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+};
+
 /**
  * Creates a broadcast function for SSE clients.
  * @param {Set<ServerResponse>} clients - Set of connected SSE clients
  * @returns {(data: any) => void}
  */
 export const createBroadcaster = (clients) => (data) => {
-  const message = `${SSE_CONSTS.DATA_PREFIX}${JSON.stringify(data)}\n\n`;
+  const message = toSseMessage(data);
   clients.forEach((client) => {
     try {
       client.write(message);
@@ -87,6 +133,50 @@ export const jsonSafe = (obj) => {
   );
 };
 
+const INVALID_JSON = Symbol("invalidJson");
+
+/**
+ * Parses a management request body. The global body parser yields raw Buffers,
+ * so the body is parsed here unless the optional JSON parser middleware already did it.
+ * @param {Request} req
+ * @returns {unknown} Parsed value, undefined for an empty body, or `INVALID_JSON`
+ */
+const parseJsonBody = (req) => {
+  const body = req.body;
+  if (!Buffer.isBuffer(body) && typeof body !== "string") return body;
+
+  const text = body.toString().trim();
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return INVALID_JSON;
+  }
+};
+
+/**
+ * Reads a JSON object body from a management request. An empty body yields `{}`.
+ * @param {Request} req
+ * @returns {Record<string, any> | null} Parsed object, or null when the body is not a JSON object
+ */
+export const readJsonBody = (req) => {
+  const body = parseJsonBody(req);
+
+  if (body === undefined || body === null) return {};
+  if (typeof body !== "object" || Array.isArray(body)) return null;
+  return /** @type {Record<string, any>} */ (body);
+};
+
+/**
+ * Reads a JSON array body from a management request.
+ * @param {Request} req
+ * @returns {any[] | null} Parsed array, or null when the body is not a JSON array
+ */
+export const readJsonArray = (req) => {
+  const body = parseJsonBody(req);
+  return Array.isArray(body) ? body : null;
+};
+
 /**
  * Sends a standardized 401 Unauthorized response with content negotiation.
  * @param {Request} req
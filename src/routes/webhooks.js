@@ -0,0 +1,278 @@
+/**
+ * @file src/routes/webhooks.js
+ * @description Webhook management route handlers for creating, listing, updating, and deleting webhooks,
+ * their per-webhook configuration overrides, and response sequence cursors at runtime.
+ * @module routes/webhooks
+ */
+import { asyncHandler, readJsonBody } from "./utils.js";
+import { HTTP_STATUS } from "../consts/http.js";
+import { ERROR_LABELS, ERROR_MESSAGES } from "../consts/errors.js";
+import {
+  maskWebhookConfig,
+  restoreMaskedSecrets,
+  validateWebhookOverrides,
+} from "../utils/config.js";
+
+/**
+ * @typedef {import("express").Request} Request
+ * @typedef {import("express").Response} Response
+ * @typedef {import("express").RequestHandler} RequestHandler
+ * @typedef {import("../webhook_manager.js").WebhookManager} WebhookManager
+ */
+
+/**
+ * @typedef {Object} WebhookRouteDependencies
+ * @property {WebhookManager} webhookManager
+ * @property {() => number} getRetentionHours - Default retention for newly created webhooks
+ */
+
+/**
+ * Sends the standard 400 response for a non-object JSON body.
+ * @param {Response} res
+ */
+const sendInvalidBody = (res) => {
+  res.status(HTTP_STATUS.BAD_REQUEST).json({
+    error: ERROR_LABELS.BAD_REQUEST,
+    message: ERROR_MESSAGES.INVALID_JSON_BODY,
+  });
+};
+
+/**
+ * Sends the standard 404 response for an unknown webhook.
+ * @param {Response} res
+ * @param {string} id
+ */
+const sendWebhookNotFound = (res, id) => {
+  res
+    .status(HTTP_STATUS.NOT_FOUND)
+    .json({ error: ERROR_MESSAGES.WEBHOOK_NOT_FOUND, id });
+};
+
+/**
+ * Creates the webhook list route handler (`GET /webhooks`).
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createWebhooksListHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} _req @param {Response} res */
+    async (_req, res) => {
+      const webhooks = webhookManager.getAllActive().map(maskWebhookConfig);
+      res.json({ count: webhooks.length, webhooks });
+    },
+  );
+
+/**
+ * Creates the webhook creation route handler (`POST /webhooks`).
+ * Body: `{ retentionHours?: number, label?: string }`.
+ * @param {WebhookRouteDependencies} deps
+ * @returns {RequestHandler}
+ */
+export const createWebhookCreateHandler = ({
+  webhookManager,
+  getRetentionHours,
+}) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const body = readJsonBody(req);
+      if (!body) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      try {
+        const webhook = await webhookManager.createWebhook({
+          retentionHours: body.retentionHours ?? getRetentionHours(),
+          label: body.label,
+        });
+        res.status(HTTP_STATUS.CREATED).json(webhook);
+      } catch (e) {
+        // WebhookManager only throws for invalid input here
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.WEBHOOK_CREATION_FAILED,
+          message: /** @type {Error} */ (e).message,
+        });
+      }
+    },
+  );
+
+/**
+ * Creates the webhook update route handler (`PATCH /webhooks/:id`).
+ * Body: `{ expiresAt?: string, extendHours?: number, label?: string | null }`.
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createWebhookUpdateHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const body = readJsonBody(req);
+      if (!body) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      if (!webhookManager.getWebhookData(id)) {
+        sendWebhookNotFound(res, id);
+        return;
+      }
+
+      try {
+        const webhook = await webhookManager.updateWebhook(id, {
+          expiresAt: body.expiresAt,
+          extendHours: body.extendHours,
+          label: body.label,
+        });
+        res.json(webhook && maskWebhookConfig(webhook));
+      } catch (e) {
+        // WebhookManager only throws for invalid input here
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.WEBHOOK_UPDATE_FAILED,
+          message: /** @type {Error} */ (e).message,
+        });
+      }
+    },
+  );
+
+/**
+ * Creates the webhook deletion route handler (`DELETE /webhooks/:id`).
+ * Removes the webhook together with its logs and offloaded payloads.
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createWebhookDeleteHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const deleted = await webhookManager.deleteWebhook(id);
+
+      if (!deleted) {
+        sendWebhookNotFound(res, id);
+        return;
+      }
+
+      res.status(HTTP_STATUS.NO_CONTENT).send();
+    },
+  );
+
+/**
+ * Creates the per-webhook config read handler (`GET /webhooks/:id/config`).
+ * The signing secret is masked in the response.
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createWebhookConfigHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const config = webhookManager.getWebhookConfig(id);
+
+      if (!config) {
+        sendWebhookNotFound(res, id);
+        return;
+      }
+
+      res.json({ id, config: maskWebhookConfig(config) });
+    },
+  );
+
+/**
+ * Creates the per-webhook config write handler.
+ * `PUT /webhooks/:id/config` replaces all overrides (`replace: true`);
+ * `PATCH /webhooks/:id/config` merges them, and `null` removes a single override.
+ * @param {WebhookManager} webhookManager
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false]
+ * @returns {RequestHandler}
+ */
+export const createWebhookConfigUpdateHandler = (
+  webhookManager,
+  { replace = false } = {},
+) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const body = readJsonBody(req);
+      if (!body) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      if (!webhookManager.getWebhookData(id)) {
+        sendWebhookNotFound(res, id);
+        return;
+      }
+
+      const { valid, errors, config } = validateWebhookOverrides(body);
+      if (!valid) {
+        res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: ERROR_MESSAGES.INVALID_WEBHOOK_CONFIG,
+          errors,
+        });
+        return;
+      }
+
+      // A masked secret echoed back from GET keeps the stored secret
+      restoreMaskedSecrets(config, webhookManager.getWebhookConfig(id));
+
+      const updated = await webhookManager.setWebhookConfig(id, config, {
+        replace,
+      });
+      res.json({ id, config: maskWebhookConfig(updated ?? {}) });
+    },
+  );
+
+/**
+ * Creates the per-webhook config dry-run handler (`POST /webhooks/:id/config/validate`).
+ * Validates and normalizes a config body without storing it.
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createWebhookConfigValidateHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const body = readJsonBody(req);
+      if (!body) {
+        sendInvalidBody(res);
+        return;
+      }
+
+      if (!webhookManager.getWebhookData(id)) {
+        sendWebhookNotFound(res, id);
+        return;
+      }
+
+      const { valid, errors, config } = validateWebhookOverrides(body);
+      res.json({ id, valid, errors, config: maskWebhookConfig(config) });
+    },
+  );
+
+/**
+ * Creates the response sequence reset handler (`POST /webhooks/:id/sequence/reset`).
+ * `?key=` restarts the sequence for a single sender; otherwise every sender starts over.
+ * @param {WebhookManager} webhookManager
+ * @returns {RequestHandler}
+ */
+export const createWebhookSequenceResetHandler = (webhookManager) =>
+  asyncHandler(
+    /** @param {Request} req @param {Response} res */
+    async (req, res) => {
+      const id = String(req.params.id);
+      const key = typeof req.query.key === "string" ? req.query.key : undefined;
+      const cleared = await webhookManager.resetResponseSequence(id, key);
+
+      if (cleared === undefined) {
+        sendWebhookNotFound(res, id);
+        return;
+      }
+
+      res.json({ id, key: key ?? null, cleared });
+    },
+  );
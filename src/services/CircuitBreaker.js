@@ -5,6 +5,8 @@
  */
 import { FORWARDING_CONSTS } from "../consts/app.js";
 
+const CIRCUIT_KEY_PREFIX = "key:";
+
 /**
  * @typedef {Object} CircuitState
  * @property {number} failures - Number of consecutive failures
@@ -19,6 +21,8 @@ import { FORWARDING_CONSTS } from "../consts/app.js";
  * - A failure on api.example.com/endpoint-a will block api.example.com/endpoint-b
  * - This is intentional to protect against host-wide issues
  * - To change scope, modify the key generation in recordFailure/recordSuccess/isOpen
+ * - Callers may pass an explicit key instead (e.g. a forward destination's
+ *   `circuitBreakerKey`) to share one circuit across hosts or isolate one route
  */
 export class CircuitBreaker {
   constructor() {
@@ -62,11 +66,22 @@ export class CircuitBreaker {
 
   /**
    * @param {string} url
+   * @param {string} [key] - Explicit circuit key; defaults to the URL's hostname
+   * @returns {string}
+   */
+  #resolveKey(url, key) {
+    // Hostnames never contain ":", so explicit keys cannot collide with them
+    return key ? `${CIRCUIT_KEY_PREFIX}${key}` : new URL(url).hostname;
+  }
+
+  /**
+   * @param {string} url
+   * @param {string} [key] - Explicit circuit key; defaults to the URL's hostname
    * @returns {boolean}
    */
-  isOpen(url) {
+  isOpen(url, key) {
     try {
-      const hostname = new URL(url).hostname;
+      const hostname = this.#resolveKey(url, key);
       const state = this.states.get(hostname);
       if (!state) return false;
 
@@ -82,10 +97,11 @@ export class CircuitBreaker {
 
   /**
    * @param {string} url
+   * @param {string} [key] - Explicit circuit key; defaults to the URL's hostname
    */
-  recordFailure(url) {
+  recordFailure(url, key) {
     try {
-      const hostname = new URL(url).hostname;
+      const hostname = this.#resolveKey(url, key);
       const now = Date.now();
       const state = this.states.get(hostname) || {
         failures: 0,
@@ -102,10 +118,11 @@ export class CircuitBreaker {
 
   /**
    * @param {string} url
+   * @param {string} [key] - Explicit circuit key; defaults to the URL's hostname
    */
-  recordSuccess(url) {
+  recordSuccess(url, key) {
     try {
-      const hostname = new URL(url).hostname;
+      const hostname = this.#resolveKey(url, key);
       if (this.states.has(hostname)) {
         this.states.delete(hostname);
       }
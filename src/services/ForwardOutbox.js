@@ -0,0 +1,544 @@
+/**
+ * @file src/services/ForwardOutbox.js
+ * @description Durable outbox for forwards that could not be delivered in-process.
+ * Entries are persisted to the KeyValueStore so they survive Actor restarts and
+ * migrations, retried with exponential backoff and jitter (honouring `Retry-After`),
+ * and moved to a dead-letter list once they exceed the attempt or age budget.
+ * @module services/ForwardOutbox
+ */
+import { Actor } from "apify";
+import { nanoid } from "nanoid";
+import {
+  DEFAULT_ID_LENGTH,
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
+  FORWARDING_CONSTS,
+  OUTBOX_DEAD_REASONS,
+  OUTBOX_ENTRY_ID_PREFIX,
+  OUTBOX_STATUSES,
+} from "../consts/app.js";
+import { MIME_TYPES, SENSITIVE_HEADERS } from "../consts/http.js";
+import { LOG_COMPONENTS, LOG_CONSTS } from "../consts/logging.js";
+import { LOG_MESSAGES } from "../consts/messages.js";
+import { KVS_KEYS } from "../consts/storage.js";
+import { deliveryRepository } from "../repositories/DeliveryRepository.js";
+import { createChildLogger, serializeError } from "../utils/logger.js";
+import { computeRetryDelay } from "../utils/retry_schedule.js";
+
+const log = createChildLogger({ component: LOG_COMPONENTS.FORWARD_OUTBOX });
+
+/**
+ * @typedef {import('apify').KeyValueStore | null} KeyValueStore
+ * @typedef {import('../typedefs.js').OutboxEntry} OutboxEntry
+ * @typedef {import('../typedefs.js').OutboxAttemptResult} OutboxAttemptResult
+ */
+
+/**
+ * Fields supplied by the forwarder; the outbox fills in scheduling state.
+ * @typedef {Omit<OutboxEntry, "id" | "bodyKey" | "bodySize" | "status" | "attempts" | "createdAt" | "nextAttemptAt">} OutboxEnqueueInput
+ */
+
+/**
+ * Delivers one queued forward. Must not throw for HTTP or network failures.
+ * @typedef {(entry: OutboxEntry, body: Buffer) => Promise<OutboxAttemptResult>} OutboxDeliverFn
+ */
+
+/**
+ * Tells whether the webhook an entry was captured by still exists.
+ * @typedef {(webhookId: string) => boolean} OutboxWebhookCheckFn
+ */
+
+/**
+ * @typedef {Omit<OutboxEntry, "bodyKey">} OutboxEntryView
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {value is OutboxEntry}
+ */
+const isOutboxEntry = (value) => {
+  if (value === null || typeof value !== "object") return false;
+  const entry = /** @type {Record<string, any>} */ (value);
+  return (
+    typeof entry.id === "string" &&
+    typeof entry.logId === "string" &&
+    typeof entry.targetUrl === "string" &&
+    typeof entry.bodyKey === "string" &&
+    typeof entry.createdAt === "string" &&
+    typeof entry.nextAttemptAt === "string" &&
+    Number.isInteger(entry.attempts) &&
+    Object.values(OUTBOX_STATUSES).includes(entry.status) &&
+    entry.headers !== null &&
+    typeof entry.headers === "object"
+  );
+};
+
+/**
+ * Drops the body key and masks credentials. Destination `extraHeaders` come from
+ * webhook config and usually exist to carry a credential, so every value is masked.
+ * @param {OutboxEntry} entry
+ * @returns {OutboxEntryView}
+ */
+const toView = ({ bodyKey: _bodyKey, headers, extraHeaders, ...entry }) => {
+  /** @type {Readonly<string[]>} */
+  const sensitive = SENSITIVE_HEADERS;
+  return {
+    ...entry,
+    headers: Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name,
+        sensitive.includes(name.toLowerCase())
+          ? LOG_CONSTS.MASKED_VALUE
+          : value,
+      ]),
+    ),
+    ...(extraHeaders && {
+      extraHeaders: Object.fromEntries(
+        Object.keys(extraHeaders).map((name) => [
+          name,
+          LOG_CONSTS.MASKED_VALUE,
+        ]),
+      ),
+    }),
+  };
+};
+
+export class ForwardOutbox {
+  /** @type {Map<string, OutboxEntry>} */
+  #entries = new Map();
+  /** @type {KeyValueStore} */
+  #kvStore = null;
+  /** @type {Promise<void>} */
+  #persistPromise = Promise.resolve();
+  /** @type {ReturnType<typeof setInterval> | undefined} */
+  #timer;
+  /** @type {Promise<void> | null} */
+  #processing = null;
+  /** @type {OutboxDeliverFn | null} */
+  #deliver = null;
+  /** @type {OutboxWebhookCheckFn} */
+  #isWebhookActive = () => true;
+
+  /**
+   * Restores queued forwards from the KeyValueStore. Pending entries are retried
+   * once `start()` is called, which is how forwards resume after a migration.
+   */
+  async init() {
+    try {
+      const store = await this.#getStore();
+      const saved = await store.getValue(KVS_KEYS.FORWARD_OUTBOX);
+      if (!Array.isArray(saved)) return;
+
+      this.#entries.clear();
+      for (const entry of saved) {
+        if (this.#entries.size >= FORWARDING_CONSTS.OUTBOX_MAX_ENTRIES) break;
+        if (!isOutboxEntry(entry)) {
+          log.warn({ entryId: entry?.id }, LOG_MESSAGES.OUTBOX_ENTRY_SKIPPED);
+          continue;
+        }
+        this.#entries.set(entry.id, entry);
+      }
+
+      log.info(this.getStats(), LOG_MESSAGES.OUTBOX_RESTORED);
+    } catch (error) {
+      log.error(
+        { err: serializeError(error) },
+        LOG_MESSAGES.OUTBOX_INIT_FAILED,
+      );
+    }
+  }
+
+  /**
+   * Persists the outbox index to the KeyValueStore.
+   * Linearized using a Promise chain so stale snapshots never overwrite newer state.
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const snapshot = [...this.#entries.values()].map((entry) => ({
+      ...entry,
+    }));
+
+    this.#persistPromise = this.#persistPromise
+      .then(async () => {
+        try {
+          const store = await this.#getStore();
+          await store.setValue(KVS_KEYS.FORWARD_OUTBOX, snapshot);
+        } catch (error) {
+          log.error(
+            { err: serializeError(error) },
+            LOG_MESSAGES.OUTBOX_PERSIST_FAILED,
+          );
+        }
+      })
+      .catch(() => {
+        /* Handled in try/catch above */
+      });
+
+    return this.#persistPromise;
+  }
+
+  /**
+   * Queues a forward for durable retry. When the outbox is full the oldest dead
+   * letter is evicted; if there is none, the forward is dropped with a warning.
+   * Never throws, since it runs on the forwarding error path.
+   * @param {OutboxEnqueueInput} input
+   * @param {Buffer} body - Serialized request body
+   * @param {Object} [options]
+   * @param {number | null} [options.retryAfterMs] - First retry delay; defaults to the backoff schedule
+   * @returns {Promise<OutboxEntryView | null>} The queued entry, or null when it was not queued
+   */
+  async enqueue(input, body, { retryAfterMs } = {}) {
+    try {
+      if (!this.#makeRoom()) {
+        log.warn(
+          { logId: input.logId, limit: FORWARDING_CONSTS.OUTBOX_MAX_ENTRIES },
+          LOG_MESSAGES.OUTBOX_FULL,
+        );
+        return null;
+      }
+
+      const id = `${OUTBOX_ENTRY_ID_PREFIX}${nanoid(DEFAULT_ID_LENGTH)}`;
+      const bodyKey = `${FORWARDING_CONSTS.OUTBOX_BODY_KEY_PREFIX}${id}`;
+      const store = await this.#getStore();
+      await store.setValue(bodyKey, body, {
+        contentType: MIME_TYPES.OCTET_STREAM,
+      });
+
+      const now = Date.now();
+      /** @type {OutboxEntry} */
+      const entry = {
+        ...input,
+        id,
+        bodyKey,
+        bodySize: body.length,
+        status: OUTBOX_STATUSES.PENDING,
+        attempts: 0,
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: new Date(
+          now + (retryAfterMs ?? computeRetryDelay(1)),
+        ).toISOString(),
+      };
+      this.#entries.set(id, entry);
+      await this.persist();
+
+      log.info(
+        { entryId: id, logId: entry.logId, nextAttemptAt: entry.nextAttemptAt },
+        LOG_MESSAGES.OUTBOX_ENQUEUED,
+      );
+      return toView(entry);
+    } catch (error) {
+      log.error(
+        { logId: input.logId, err: serializeError(error) },
+        LOG_MESSAGES.OUTBOX_ENQUEUE_FAILED,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Starts the retry poller and immediately processes entries that became due
+   * while the Actor was down. Entries of webhooks that were deleted or expired
+   * are dropped, pending or dead, instead of being delivered.
+   * @param {OutboxDeliverFn} deliver
+   * @param {OutboxWebhookCheckFn} [isWebhookActive]
+   */
+  start(deliver, isWebhookActive = () => true) {
+    this.stop();
+    this.#deliver = deliver;
+    this.#isWebhookActive = isWebhookActive;
+    this.#timer = setInterval(() => {
+      void this.processDue();
+    }, FORWARDING_CONSTS.OUTBOX_POLL_INTERVAL_MS);
+    if (this.#timer.unref) this.#timer.unref();
+    void this.processDue();
+  }
+
+  /**
+   * Stops the retry poller. An attempt already in progress finishes, but no new
+   * entries are picked up.
+   */
+  stop() {
+    if (this.#timer) clearInterval(this.#timer);
+    this.#timer = undefined;
+    this.#deliver = null;
+  }
+
+  /**
+   * Attempts every due pending entry, up to the batch size, one at a time.
+   * Concurrent calls share the run in progress.
+   * @returns {Promise<void>}
+   */
+  processDue() {
+    if (!this.#processing) {
+      this.#processing = this.#processBatch().finally(() => {
+        this.#processing = null;
+      });
+    }
+    return this.#processing;
+  }
+
+  /**
+   * Lists dead letters, most recently dead-lettered first. Bodies are not included.
+   * @param {Object} [filters]
+   * @param {string} [filters.webhookId]
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   * @returns {{ total: number, items: OutboxEntryView[] }}
+   */
+  listDeadLetters({ webhookId, limit, offset = 0 } = {}) {
+    const dead = [...this.#entries.values()]
+      .filter(
+        (entry) =>
+          entry.status === OUTBOX_STATUSES.DEAD &&
+          (!webhookId || entry.webhookId === webhookId),
+      )
+      .sort((a, b) => String(b.deadAt).localeCompare(String(a.deadAt)));
+
+    return {
+      total: dead.length,
+      items: dead
+        .slice(offset, limit === undefined ? undefined : offset + limit)
+        .map(toView),
+    };
+  }
+
+  /**
+   * Moves a dead letter back to the pending queue with a fresh attempt and age
+   * budget, due immediately.
+   * @param {string} id
+   * @returns {Promise<OutboxEntryView | undefined>} Updated entry, or undefined if no such dead letter
+   */
+  async redrive(id) {
+    const entry = this.#entries.get(id);
+    if (!entry || entry.status !== OUTBOX_STATUSES.DEAD) return undefined;
+
+    const now = new Date().toISOString();
+    Object.assign(entry, {
+      status: OUTBOX_STATUSES.PENDING,
+      attempts: 0,
+      redrivenAt: now,
+      nextAttemptAt: now,
+      deadAt: null,
+      deadReason: null,
+    });
+    await this.persist();
+    log.info({ entryId: id }, LOG_MESSAGES.OUTBOX_REDRIVEN);
+
+    if (this.#deliver) void this.processDue();
+    return toView(entry);
+  }
+
+  /**
+   * @returns {{ pending: number, dead: number }}
+   */
+  getStats() {
+    let dead = 0;
+    for (const entry of this.#entries.values()) {
+      if (entry.status === OUTBOX_STATUSES.DEAD) dead++;
+    }
+    return { pending: this.#entries.size - dead, dead };
+  }
+
+  /**
+   * @returns {Promise<NonNullable<KeyValueStore>>}
+   */
+  async #getStore() {
+    if (!this.#kvStore) {
+      this.#kvStore = await Actor.openKeyValueStore();
+    }
+    return this.#kvStore;
+  }
+
+  /**
+   * Ensures there is space for one more entry.
+   * @returns {boolean} False when the outbox is full of pending entries
+   */
+  #makeRoom() {
+    if (this.#entries.size < FORWARDING_CONSTS.OUTBOX_MAX_ENTRIES) return true;
+
+    let oldest = null;
+    for (const entry of this.#entries.values()) {
+      if (
+        entry.status === OUTBOX_STATUSES.DEAD &&
+        (!oldest || String(entry.deadAt) < String(oldest.deadAt))
+      ) {
+        oldest = entry;
+      }
+    }
+    if (!oldest) return false;
+
+    this.#remove(oldest);
+    return true;
+  }
+
+  /**
+   * Drops an entry and deletes its stored body in the background.
+   * @param {OutboxEntry} entry
+   */
+  #remove(entry) {
+    this.#entries.delete(entry.id);
+    this.#getStore()
+      .then((store) => store.setValue(entry.bodyKey, null))
+      .catch((error) => {
+        log.warn(
+          { key: entry.bodyKey, err: serializeError(error) },
+          LOG_MESSAGES.KVS_DELETE_FAILED,
+        );
+      });
+  }
+
+  /**
+   * Drops every entry whose webhook no longer exists; nothing can be forwarded
+   * or redriven for it any more.
+   * @returns {Promise<void>}
+   */
+  async #dropInactiveWebhookEntries() {
+    const inactive = [...this.#entries.values()].filter(
+      (entry) => !this.#isWebhookActive(entry.webhookId),
+    );
+    if (inactive.length === 0) return;
+
+    for (const entry of inactive) this.#remove(entry);
+    await this.persist();
+    log.info(
+      { count: inactive.length },
+      LOG_MESSAGES.OUTBOX_INACTIVE_WEBHOOK_ENTRIES_DROPPED,
+    );
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async #processBatch() {
+    await this.#dropInactiveWebhookEntries();
+
+    const now = new Date().toISOString();
+    const due = [...this.#entries.values()]
+      .filter(
+        (entry) =>
+          entry.status === OUTBOX_STATUSES.PENDING &&
+          entry.nextAttemptAt <= now,
+      )
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+      .slice(0, FORWARDING_CONSTS.OUTBOX_BATCH_SIZE);
+
+    for (const entry of due) {
+      const deliver = this.#deliver;
+      if (!deliver) break;
+      // Deleted while earlier entries of the batch were attempted
+      if (!this.#entries.has(entry.id)) continue;
+      try {
+        await this.#attempt(entry, deliver);
+      } catch (error) {
+        log.error(
+          { entryId: entry.id, err: serializeError(error) },
+          LOG_MESSAGES.OUTBOX_PROCESS_FAILED,
+        );
+      }
+    }
+  }
+
+  /**
+   * Makes one delivery attempt and reschedules, dead-letters, or removes the entry.
+   * @param {OutboxEntry} entry
+   * @param {OutboxDeliverFn} deliver
+   * @returns {Promise<void>}
+   */
+  async #attempt(entry, deliver) {
+    if (!this.#isWebhookActive(entry.webhookId)) {
+      await this.#dropInactiveWebhookEntries();
+      return;
+    }
+
+    const ageMs = Date.now() - Date.parse(entry.redrivenAt || entry.createdAt);
+    if (ageMs > FORWARDING_CONSTS.OUTBOX_MAX_AGE_MS) {
+      await this.#deadLetter(entry, OUTBOX_DEAD_REASONS.MAX_AGE);
+      return;
+    }
+
+    const store = await this.#getStore();
+    const body = await store.getValue(entry.bodyKey);
+    if (body === null || body === undefined) {
+      await this.#deadLetter(entry, OUTBOX_DEAD_REASONS.BODY_MISSING);
+      return;
+    }
+
+    const result = await deliver(
+      entry,
+      Buffer.isBuffer(body) ? body : Buffer.from(String(body)),
+    );
+    // The entry may have been evicted while the attempt was in flight
+    if (this.#entries.get(entry.id) !== entry) return;
+
+    entry.attempts++;
+    entry.lastAttemptAt = new Date().toISOString();
+    entry.lastStatusCode = result.statusCode ?? null;
+    entry.lastError = result.error ?? null;
+
+    if (result.delivered) {
+      this.#remove(entry);
+      await this.persist();
+      log.info(
+        { entryId: entry.id, attempts: entry.attempts },
+        LOG_MESSAGES.OUTBOX_DELIVERED,
+      );
+      return;
+    }
+    if (result.permanent) {
+      await this.#deadLetter(entry, OUTBOX_DEAD_REASONS.PERMANENT_FAILURE);
+      return;
+    }
+    if (entry.attempts >= FORWARDING_CONSTS.OUTBOX_MAX_ATTEMPTS) {
+      await this.#deadLetter(entry, OUTBOX_DEAD_REASONS.MAX_ATTEMPTS);
+      return;
+    }
+
+    const delayMs =
+      result.retryAfterMs ?? computeRetryDelay(entry.attempts + 1);
+    entry.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    await this.persist();
+    log.info(
+      {
+        entryId: entry.id,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+      },
+      LOG_MESSAGES.OUTBOX_RESCHEDULED,
+    );
+  }
+
+  /**
+   * @param {OutboxEntry} entry
+   * @param {string} reason - See OUTBOX_DEAD_REASONS
+   * @returns {Promise<void>}
+   */
+  async #deadLetter(entry, reason) {
+    entry.status = OUTBOX_STATUSES.DEAD;
+    entry.deadAt = new Date().toISOString();
+    entry.deadReason = reason;
+    await this.persist();
+    log.warn(
+      { entryId: entry.id, logId: entry.logId, reason },
+      LOG_MESSAGES.OUTBOX_DEAD_LETTERED,
+    );
+
+    try {
+      await deliveryRepository.insertDelivery({
+        logId: entry.logId,
+        webhookId: entry.webhookId,
+        kind: DELIVERY_KINDS.FORWARD,
+        targetUrl: entry.targetUrl,
+        status: DELIVERY_STATUSES.DEAD_LETTERED,
+        statusCode: entry.lastStatusCode ?? null,
+        attempts: entry.attempts,
+        error: reason,
+        ...(entry.destinationId && { destinationId: entry.destinationId }),
+      });
+    } catch (error) {
+      log.error(
+        { logId: entry.logId, err: serializeError(error) },
+        LOG_MESSAGES.DELIVERY_RECORD_FAILED,
+      );
+    }
+  }
+}
@@ -10,19 +10,34 @@ import http from "http";
 import https from "https";
 import { nanoid } from "nanoid";
 import { validateUrlForSsrf } from "../utils/ssrf.js";
+import { signPayload } from "../utils/signature.js";
+import { parseRetryAfter } from "../utils/retry_schedule.js";
+import {
+  getRawQuery,
+  getWebhookSubPath,
+  resolveForwardTarget,
+} from "../utils/forward_target.js";
+import { deliveryRepository } from "../repositories/DeliveryRepository.js";
 import { LOG_COMPONENTS } from "../consts/logging.js";
 import {
   ERROR_MESSAGES,
   ERROR_LABELS,
   NODE_ERROR_CODES,
 } from "../consts/errors.js";
-import { FORWARDING_CONSTS, APP_CONSTS, SYSTEM_CONSTS } from "../consts/app.js";
+import {
+  FORWARDING_CONSTS,
+  APP_CONSTS,
+  SYSTEM_CONSTS,
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
+} from "../consts/app.js";
 import {
   HTTP_STATUS,
   HTTP_HEADERS,
   RECURSION_HEADER_NAME,
   RECURSION_HEADER_VALUE,
   FORWARD_HEADERS_TO_IGNORE,
+  PROXY_RESPONSE_HEADERS_TO_IGNORE,
   HTTP_METHODS,
 } from "../consts/http.js";
 import { LOG_MESSAGES } from "../consts/messages.js";
@@ -53,6 +68,168 @@ function parseStrictContentLength(value) {
   return Number.isSafeInteger(parsedValue) ? parsedValue : null;
 }
 
+/**
+ * Measures the request body, trusting only a strictly decimal Content-Length header.
+ * Arrays and malformed values fall back to measuring the body directly.
+ * @param {Request} req
+ * @returns {number}
+ */
+function measureBodySize(req) {
+  const parsedContentLength = parseStrictContentLength(
+    req.headers[HTTP_HEADERS.CONTENT_LENGTH],
+  );
+  if (parsedContentLength !== null) return parsedContentLength;
+  if (Buffer.isBuffer(req.body)) return req.body.length;
+  if (typeof req.body === "string") return Buffer.byteLength(req.body);
+  try {
+    return Buffer.byteLength(JSON.stringify(req.body));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Serializes a body the way axios would send it, so it can be signed byte for byte.
+ * @param {any} body
+ * @returns {string | Buffer}
+ */
+function serializeBody(body) {
+  if (Buffer.isBuffer(body) || typeof body === "string") return body;
+  if (body === undefined || body === null) return "";
+  return JSON.stringify(body);
+}
+
+/**
+ * Applies the forwarding header policy: sensitive and hop-by-hop headers are always
+ * dropped, and only Content-Type is kept when `forwardHeaders` is false.
+ * @param {IncomingHttpHeaders} headers
+ * @param {boolean} [forwardHeaders]
+ * @returns {IncomingHttpHeaders}
+ */
+function filterForwardHeaders(headers, forwardHeaders) {
+  /** @type {Readonly<string[]>} */
+  const sensitiveHeaders = FORWARD_HEADERS_TO_IGNORE;
+
+  return forwardHeaders !== false
+    ? Object.fromEntries(
+        Object.entries(headers).filter(
+          ([key]) => !sensitiveHeaders.includes(key.toLowerCase()),
+        ),
+      )
+    : {
+        [HTTP_HEADERS.CONTENT_TYPE]: headers[HTTP_HEADERS.CONTENT_TYPE],
+      };
+}
+
+/**
+ * Drops hop-by-hop and framing headers from a proxied response. Multi-value headers
+ * such as `set-cookie` are kept as arrays.
+ * @param {Record<string, any> | undefined} headers
+ * @returns {Record<string, string | string[]>}
+ */
+function filterProxyResponseHeaders(headers = {}) {
+  /** @type {Readonly<string[]>} */
+  const ignored = PROXY_RESPONSE_HEADERS_TO_IGNORE;
+
+  return Object.fromEntries(
+    Object.entries(headers)
+      .filter(
+        ([key, value]) =>
+          value !== undefined &&
+          value !== null &&
+          !ignored.includes(key.toLowerCase()),
+      )
+      .map(([key, value]) => [
+        key.toLowerCase(),
+        Array.isArray(value) ? value.map(String) : String(value),
+      ]),
+  );
+}
+
+/**
+ * Derives the method and URL for a forward of this request in the given mode,
+ * defaulting to `http://` when the URL has no protocol.
+ * @param {WebhookEvent} event
+ * @param {Request} req
+ * @param {string} forwardUrl
+ * @param {string | undefined} mode - One of FORWARD_MODES
+ * @returns {import('../utils/forward_target.js').ForwardTarget}
+ */
+function resolveTarget(event, req, forwardUrl, mode) {
+  return resolveForwardTarget(
+    Object.values(PROTOCOL_PREFIXES).some((prefix) =>
+      forwardUrl.startsWith(prefix),
+    )
+      ? forwardUrl
+      : `${PROTOCOL_PREFIXES.HTTP}${forwardUrl}`,
+    mode,
+    {
+      webhookId: event.webhookId,
+      logId: event.id,
+      method: req.method,
+      subPath: getWebhookSubPath(req.params?.path),
+      rawQuery: getRawQuery(req.originalUrl),
+      headers: req.headers,
+      query: req.query,
+      body: req.body,
+    },
+  );
+}
+
+/**
+ * Reduces a forwarding error to a message that is safe to store and expose.
+ * @param {CommonError} axiosError
+ * @returns {string}
+ */
+function toSafeForwardError(axiosError) {
+  // Sanitize error message to prevent leakage - Allowlist specific codes
+  const SAFE_CODES = [
+    ...FORWARDING_CONSTS.TRANSIENT_ERROR_CODES,
+    NODE_ERROR_CODES.ERR_BAD_REQUEST,
+    NODE_ERROR_CODES.ERR_BAD_RESPONSE,
+  ];
+
+  // Stricter Sanitization: Only allow safe codes or generic message
+  if (axiosError.isHttpError) {
+    // HTTP errors from axios can contain full URLs in .message, so we use the code.
+    return (
+      axiosError.code ||
+      ERROR_MESSAGES.FORWARD_REQUEST_FAILED_STATUS(
+        axiosError.response?.status || 0,
+      )
+    );
+  }
+  if (SAFE_CODES.includes(String(axiosError.code))) {
+    return String(axiosError.code); // Just the code, no message details
+  }
+  return ERROR_MESSAGES.FORWARD_REQUEST_FAILED;
+}
+
+/**
+ * Whether the durable outbox should retry a failed forward later. Network errors
+ * (including refused connections) and throttling or server statuses are retried;
+ * other HTTP statuses and coded-less errors (e.g. signing misconfiguration) are not.
+ * @param {CommonError} axiosError
+ * @returns {boolean}
+ */
+function isRetryableLater(axiosError) {
+  if (axiosError.isHttpError) {
+    return FORWARDING_CONSTS.OUTBOX_RETRYABLE_STATUS_CODES.includes(
+      Number(axiosError.response?.status),
+    );
+  }
+  return typeof axiosError.code === "string";
+}
+
+/**
+ * @param {CommonError} axiosError
+ * @returns {number | null}
+ */
+const getRetryAfterMs = (axiosError) =>
+  parseRetryAfter(
+    axiosError.response?.headers?.[HTTP_HEADERS.RETRY_AFTER.toLowerCase()],
+  );
+
 /**
  * @typedef {import('axios').AxiosInstance} AxiosInstance
  * @typedef {import('axios').AxiosResponse} AxiosResponse
@@ -61,12 +238,35 @@ function parseStrictContentLength(value) {
  * @typedef {import('../typedefs.js').LoggerOptions} LoggerOptions
  * @typedef {import('express').Request} Request
  * @typedef {import('../typedefs.js').CommonError} CommonError
+ * @typedef {import('../typedefs.js').ForwardSigningConfig} ForwardSigningConfig
+ * @typedef {import('../typedefs.js').DeliveryRecord} DeliveryRecord
+ * @typedef {import('../typedefs.js').ReplayCapture} ReplayCapture
+ * @typedef {import('../typedefs.js').ForwardDestination} ForwardDestination
+ * @typedef {import('../typedefs.js').OutboxEntry} OutboxEntry
+ * @typedef {import('../typedefs.js').OutboxAttemptResult} OutboxAttemptResult
+ * @typedef {import('../typedefs.js').ProxyResult} ProxyResult
+ * @typedef {import('./ForwardOutbox.js').ForwardOutbox} ForwardOutbox
+ * @typedef {import('./ForwardOutbox.js').OutboxEnqueueInput} OutboxEnqueueInput
  */
 
 export class ForwardingService {
-  constructor() {
+  /**
+   * Forwards currently being attempted, keyed by an internal ID. Each value queues
+   * the forward in the outbox, so shutdown can hand unfinished work over.
+   * @type {Map<string, () => Promise<void>>}
+   */
+  #inFlight = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {ForwardOutbox | null} [options.outbox] - Durable retry queue for forwards
+   * that fail after in-process retries; without one, such forwards are dropped
+   */
+  constructor({ outbox = null } = {}) {
     /** @type {CircuitBreaker} */
     this.circuitBreaker = new CircuitBreaker();
+    /** @type {ForwardOutbox | null} */
+    this.outbox = outbox;
 
     // Connection Pooling for Performance
     /** @type {AxiosInstance} */
@@ -100,6 +300,13 @@ export class ForwardingService {
    * @param {string} [options.hostHeader]
    * @param {boolean} [options.forwardHeaders]
    * @param {number} [options.timeout]
+   * @param {ForwardSigningConfig} [options.signing] - Re-sign the body with this scheme
+   * @param {string} [options.messageId] - Stable message ID for schemes that sign one
+   * @param {(attempt: number) => void} [options.onAttempt] - Called before each HTTP attempt
+   * @param {Record<string, string>} [options.extraHeaders] - Always sent, even when headers are not forwarded
+   * @param {string} [options.circuitBreakerKey] - Circuit to update instead of the URL's hostname
+   * @param {import('axios').ResponseType} [options.responseType] - e.g. `arraybuffer` to keep the raw body
+   * @param {number} [options.maxContentLength] - Fail responses with larger bodies
    * @param {AbortSignal} [signal]
    * @returns {Promise<AxiosResponse>}
    */
@@ -113,10 +320,19 @@ export class ForwardingService {
       hostHeader,
       forwardHeaders,
       timeout, // Support per-request timeout
+      signing,
+      messageId,
+      onAttempt,
+      extraHeaders = {},
+      circuitBreakerKey,
+      responseType,
+      maxContentLength,
     },
     signal,
   ) {
     let attempt = 0;
+    // Signed bodies are sent pre-serialized so the bytes match the signature
+    const data = signing ? serializeBody(body) : body;
 
     while (attempt < maxRetries) {
       // Abort check before attempt
@@ -125,35 +341,39 @@ export class ForwardingService {
         throw new Error(ERROR_MESSAGES.ABORTED); // Propagate up
       }
 
+      // Sign each attempt so time-based signatures stay fresh across retries.
+      // Signing errors are configuration errors, so they are not retried.
+      const signatureHeaders = signing
+        ? signPayload(signing, data, { id: messageId })
+        : {};
+
       try {
         attempt++;
+        onAttempt?.(attempt);
 
-        /** @type {Readonly<string[]>} */
-        const sensitiveHeaders = FORWARD_HEADERS_TO_IGNORE;
+        const requestHeaders = filterForwardHeaders(headers, forwardHeaders);
 
-        const requestHeaders =
-          forwardHeaders !== false
-            ? Object.fromEntries(
-                Object.entries(headers).filter(
-                  ([key]) => !sensitiveHeaders.includes(key.toLowerCase()),
-                ),
-              )
-            : {
-                [HTTP_HEADERS.CONTENT_TYPE]: headers[HTTP_HEADERS.CONTENT_TYPE],
-              };
+        const unsignedHeaders = Object.fromEntries(
+          Object.entries({ ...requestHeaders, ...extraHeaders }).filter(
+            ([key]) => !Object.hasOwn(signatureHeaders, key.toLowerCase()),
+          ),
+        );
 
         // Execute Request
         const response = await this.axiosInstance.request({
           method,
           url,
-          data: body,
+          data,
           headers: {
-            ...requestHeaders,
+            ...unsignedHeaders,
+            ...signatureHeaders,
             [RECURSION_HEADER_NAME]: RECURSION_HEADER_VALUE,
             ...(hostHeader ? { [HTTP_HEADERS.HOST]: hostHeader } : {}),
           },
           timeout, // Apply per-request timeout
           signal, // Pass abort signal to axios
+          ...(responseType && { responseType }),
+          ...(maxContentLength && { maxContentLength }),
         });
 
         // Manual Status Validation (2xx check)
@@ -171,7 +391,7 @@ export class ForwardingService {
           };
         }
 
-        this.circuitBreaker.recordSuccess(url);
+        this.circuitBreaker.recordSuccess(url, circuitBreakerKey);
         return response;
       } catch (err) {
         const axiosError = /** @type {CommonError} */ (err);
@@ -205,7 +425,7 @@ export class ForwardingService {
 
         // CB should trip on any persistent failure to that host.
         if (!isTransient || attempt >= maxRetries) {
-          this.circuitBreaker.recordFailure(url);
+          this.circuitBreaker.recordFailure(url, circuitBreakerKey);
         }
 
         const delay =
@@ -259,19 +479,88 @@ export class ForwardingService {
    * @param {LoggerOptions} options
    * @param {string} forwardUrl
    * @param {AbortSignal} [signal]
+   * @param {ForwardDestination} [destination] - Fan-out destination whose mode, header
+   * policy, retry budget, and circuit key override the webhook settings
    *
    * @returns {Promise<void>}
    */
-  async forwardWebhook(event, req, options, forwardUrl, signal) {
-    let validatedUrl = Object.values(PROTOCOL_PREFIXES).some((prefix) =>
-      forwardUrl.startsWith(prefix),
-    )
-      ? forwardUrl
-      : `${PROTOCOL_PREFIXES.HTTP}${forwardUrl}`;
+  async forwardWebhook(event, req, options, forwardUrl, signal, destination) {
+    const target = resolveTarget(
+      event,
+      req,
+      forwardUrl,
+      destination?.mode ?? options.forwardMode,
+    );
+    // The SSRF check below validates the final URL, after the mode applied
+    let validatedUrl = target.url;
+    const { method } = target;
+
+    /**
+     * @param {string} status
+     * @param {Partial<DeliveryRecord>} [details]
+     * @returns {Promise<void>}
+     */
+    const recordDelivery = (status, details = {}) =>
+      this.recordDelivery({
+        logId: event.id,
+        webhookId: event.webhookId,
+        kind: DELIVERY_KINDS.FORWARD,
+        targetUrl: validatedUrl,
+        status,
+        ...(destination && { destinationId: destination.id }),
+        ...details,
+      });
+    const circuitBreakerKey = destination?.circuitBreakerKey;
+    const forwardHeaders =
+      destination?.forwardHeaders ?? options.forwardHeaders;
+    const removeHeaders = destination?.removeHeaders ?? [];
+    const headers = removeHeaders.length
+      ? Object.fromEntries(
+          Object.entries(req.headers).filter(
+            ([key]) => !removeHeaders.includes(key.toLowerCase()),
+          ),
+        )
+      : req.headers;
+
+    /**
+     * Hands the forward over to the durable outbox, if one is configured.
+     * @param {Pick<OutboxEnqueueInput, "lastError" | "lastStatusCode">} failure
+     * @param {number | null} [retryAfterMs]
+     * @returns {Promise<void>}
+     */
+    const queueForRetry = (failure, retryAfterMs) =>
+      this.#enqueue(
+        {
+          logId: event.id,
+          webhookId: event.webhookId,
+          targetUrl: validatedUrl,
+          method,
+          headers: filterForwardHeaders(headers, forwardHeaders),
+          ...(destination && { destinationId: destination.id }),
+          ...(destination?.setHeaders && {
+            extraHeaders: destination.setHeaders,
+          }),
+          ...(circuitBreakerKey && { circuitBreakerKey }),
+          ...failure,
+        },
+        req.body,
+        retryAfterMs,
+      );
+
+    // Defensive Body Size Check
+    const MAX_FORWARD_BODY = APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE;
+    const bodySize = measureBodySize(req);
 
     // 1. Circuit Breaker Check
-    if (this.circuitBreaker.isOpen(validatedUrl)) {
+    if (this.circuitBreaker.isOpen(validatedUrl, circuitBreakerKey)) {
       log.warn({ url: validatedUrl }, LOG_MESSAGES.CIRCUIT_BREAKER_OPEN);
+      await recordDelivery(DELIVERY_STATUSES.CIRCUIT_OPEN);
+      if (bodySize <= MAX_FORWARD_BODY) {
+        await queueForRetry(
+          { lastError: DELIVERY_STATUSES.CIRCUIT_OPEN },
+          FORWARDING_CONSTS.CIRCUIT_BREAKER_RESET_TIMEOUT_MS,
+        );
+      }
       return;
     }
 
@@ -282,86 +571,75 @@ export class ForwardingService {
         { url: validatedUrl, error: ssrfResult.error },
         LOG_MESSAGES.SSRF_BLOCKED,
       );
+      await recordDelivery(DELIVERY_STATUSES.SSRF_BLOCKED, {
+        error: ssrfResult.error,
+      });
       return;
     }
     const hostHeader = ssrfResult.host || "";
     validatedUrl = ssrfResult.href || validatedUrl;
 
-    // 3. Defensive Body Size Check
-    const MAX_FORWARD_BODY = APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE;
-
-    // Only trust a strictly decimal Content-Length header. Arrays and malformed
-    // values fall back to measuring the body directly.
-    const parsedContentLength = parseStrictContentLength(
-      req.headers[HTTP_HEADERS.CONTENT_LENGTH],
-    );
-    let bodySize;
-    if (parsedContentLength !== null) {
-      bodySize = parsedContentLength;
-    } else if (Buffer.isBuffer(req.body)) {
-      bodySize = req.body.length;
-    } else if (typeof req.body === "string") {
-      bodySize = Buffer.byteLength(req.body);
-    } else {
-      try {
-        bodySize = Buffer.byteLength(JSON.stringify(req.body));
-      } catch {
-        bodySize = 0;
-      }
-    }
-
+    // 3. Reject oversized bodies
     if (bodySize > MAX_FORWARD_BODY) {
       log.warn(
         { size: bodySize, limit: MAX_FORWARD_BODY },
         LOG_MESSAGES.FORWARD_PAYLOAD_TOO_LARGE,
       );
+      await recordDelivery(DELIVERY_STATUSES.PAYLOAD_TOO_LARGE);
       return;
     }
 
     const maxRetries =
-      options.maxForwardRetries ?? APP_CONSTS.DEFAULT_FORWARD_RETRIES;
+      destination?.maxRetries ??
+      options.maxForwardRetries ??
+      APP_CONSTS.DEFAULT_FORWARD_RETRIES;
+    let attempts = 0;
+    const startedAt = Date.now();
+    const inFlightId = nanoid(APP_CONSTS.DEFAULT_ID_LENGTH);
+    this.#inFlight.set(inFlightId, () =>
+      queueForRetry({ lastError: ERROR_MESSAGES.ABORTED }, 0),
+    );
 
     try {
-      await this.sendSafeRequest(
+      const response = await this.sendSafeRequest(
         validatedUrl,
-        HTTP_METHODS.POST,
+        method,
         req.body,
-        req.headers,
+        headers,
         {
           hostHeader,
           maxRetries,
-          forwardHeaders: options.forwardHeaders,
+          forwardHeaders,
+          extraHeaders: destination?.setHeaders,
+          circuitBreakerKey,
+          signing: options.forwardSigning,
+          messageId: event.id,
+          onAttempt: (attempt) => {
+            attempts = attempt;
+          },
         },
         signal,
       );
+      await recordDelivery(DELIVERY_STATUSES.DELIVERED, {
+        statusCode: response.status,
+        attempts,
+        durationMs: Date.now() - startedAt,
+      });
     } catch (err) {
       // Handle logging to Actor for background failures
       const axiosError = /** @type {CommonError} */ (err);
+      // Already handed to the outbox by suspendInFlight()
+      const suspended = !this.#inFlight.has(inFlightId);
+
+      if (axios.isCancel(err) || signal?.aborted) {
+        // The background task timed out; retry from the outbox instead
+        if (!suspended)
+          await queueForRetry({ lastError: ERROR_MESSAGES.ABORTED });
+        return;
+      }
 
-      if (axios.isCancel(err) || signal?.aborted) return;
-
-      // Sanitize error message to prevent leakage - Allowlist specific codes
-      const SAFE_CODES = [
-        ...FORWARDING_CONSTS.TRANSIENT_ERROR_CODES,
-        NODE_ERROR_CODES.ERR_BAD_REQUEST,
-        NODE_ERROR_CODES.ERR_BAD_RESPONSE,
-      ];
-
-      // Stricter Sanitization: Only allow safe codes or generic message
-      let safeErrorMessage;
+      const safeErrorMessage = toSafeForwardError(axiosError);
       const isHttpError = !!axiosError.isHttpError;
-      if (isHttpError) {
-        // HTTP errors from axios can contain full URLs in .message, so we use the code.
-        safeErrorMessage =
-          axiosError.code ||
-          ERROR_MESSAGES.FORWARD_REQUEST_FAILED_STATUS(
-            axiosError.response?.status || 0,
-          );
-      } else if (SAFE_CODES.includes(String(axiosError.code))) {
-        safeErrorMessage = axiosError.code; // Just the code, no message details
-      } else {
-        safeErrorMessage = ERROR_MESSAGES.FORWARD_REQUEST_FAILED;
-      }
 
       let isTransientFailure = false;
       if (isHttpError) {
@@ -380,6 +658,23 @@ export class ForwardingService {
         );
       }
 
+      await recordDelivery(DELIVERY_STATUSES.FAILED, {
+        statusCode: axiosError.response?.status ?? null,
+        attempts,
+        durationMs: Date.now() - startedAt,
+        error: String(safeErrorMessage),
+      });
+
+      if (!suspended && isRetryableLater(axiosError)) {
+        await queueForRetry(
+          {
+            lastError: safeErrorMessage,
+            lastStatusCode: axiosError.response?.status ?? null,
+          },
+          getRetryAfterMs(axiosError),
+        );
+      }
+
       try {
         await Actor.pushData({
           id: nanoid(APP_CONSTS.DEFAULT_ID_LENGTH),
@@ -405,6 +700,296 @@ export class ForwardingService {
       } catch (_loggingErr) {
         // Ignore logging errors to prevent infinite loops (since we are logging an error about logging)
       }
+    } finally {
+      this.#inFlight.delete(inFlightId);
+    }
+  }
+
+  /**
+   * Synchronous proxy: sends the request to `forwardUrl` once and returns the target's
+   * response, including non-2xx statuses, so it can be relayed to the sender. Failures,
+   * timeouts, and skipped calls resolve with an `error` instead of throwing; they are
+   * recorded as a `proxy` delivery but never retried or queued in the outbox.
+   * @param {WebhookEvent} event
+   * @param {Request} req
+   * @param {LoggerOptions} options
+   * @param {string} forwardUrl
+   * @returns {Promise<ProxyResult>}
+   */
+  async proxyRequest(event, req, options, forwardUrl) {
+    const { method, url } = resolveTarget(
+      event,
+      req,
+      forwardUrl,
+      options.forwardMode,
+    );
+    let targetUrl = url;
+    const startedAt = Date.now();
+
+    /**
+     * @param {string} status
+     * @param {Partial<DeliveryRecord>} [details]
+     * @returns {Promise<number>} Time spent, in milliseconds
+     */
+    const recordDelivery = async (status, details = {}) => {
+      const durationMs = Date.now() - startedAt;
+      await this.recordDelivery({
+        logId: event.id,
+        webhookId: event.webhookId,
+        kind: DELIVERY_KINDS.PROXY,
+        targetUrl,
+        status,
+        attempts: 0,
+        durationMs,
+        ...details,
+      });
+      return durationMs;
+    };
+    /**
+     * @param {string} status
+     * @param {Partial<DeliveryRecord>} [details]
+     * @returns {Promise<ProxyResult>}
+     */
+    const skip = async (status, details = {}) => ({
+      targetUrl,
+      durationMs: await recordDelivery(status, details),
+      error: status,
+    });
+
+    if (this.circuitBreaker.isOpen(targetUrl)) {
+      log.warn({ url: targetUrl }, LOG_MESSAGES.CIRCUIT_BREAKER_OPEN);
+      return skip(DELIVERY_STATUSES.CIRCUIT_OPEN);
+    }
+
+    const ssrfResult = await validateUrlForSsrf(targetUrl);
+    if (!ssrfResult.safe) {
+      log.error(
+        { url: targetUrl, error: ssrfResult.error },
+        LOG_MESSAGES.SSRF_BLOCKED,
+      );
+      return skip(DELIVERY_STATUSES.SSRF_BLOCKED, { error: ssrfResult.error });
+    }
+    targetUrl = ssrfResult.href || targetUrl;
+
+    const bodySize = measureBodySize(req);
+    if (bodySize > APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE) {
+      log.warn(
+        { size: bodySize, limit: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE },
+        LOG_MESSAGES.FORWARD_PAYLOAD_TOO_LARGE,
+      );
+      return skip(DELIVERY_STATUSES.PAYLOAD_TOO_LARGE);
+    }
+
+    const timeoutMs =
+      options.syncProxyTimeoutMs ?? APP_CONSTS.DEFAULT_SYNC_PROXY_TIMEOUT_MS;
+    // Axios' timeout only covers socket inactivity; the signal bounds the whole call
+    const signal = AbortSignal.timeout(timeoutMs);
+
+    /** @type {AxiosResponse} */
+    let response;
+    /** @type {string | undefined} */
+    let error;
+    try {
+      response = await this.sendSafeRequest(
+        targetUrl,
+        method,
+        req.body,
+        req.headers,
+        {
+          hostHeader: ssrfResult.host || "",
+          maxRetries: 1,
+          forwardHeaders: options.forwardHeaders,
+          timeout: timeoutMs,
+          signing: options.forwardSigning,
+          messageId: event.id,
+          responseType: "arraybuffer",
+          maxContentLength: FORWARDING_CONSTS.PROXY_MAX_RESPONSE_BYTES,
+        },
+        signal,
+      );
+    } catch (err) {
+      const axiosError = /** @type {CommonError} */ (err);
+      if (!axiosError.isHttpError || !axiosError.response) {
+        error = signal.aborted
+          ? FORWARDING_CONSTS.TIMEOUT_CODE
+          : toSafeForwardError(axiosError);
+        log.warn({ url: targetUrl, error }, LOG_MESSAGES.SYNC_PROXY_FALLBACK);
+        return {
+          targetUrl,
+          durationMs: await recordDelivery(DELIVERY_STATUSES.FAILED, {
+            attempts: 1,
+            error,
+          }),
+          error,
+        };
+      }
+      // The target answered with a non-2xx status, which is relayed as-is
+      response = /** @type {AxiosResponse} */ (axiosError.response);
+      error = toSafeForwardError(axiosError);
+    }
+
+    const durationMs = await recordDelivery(
+      error ? DELIVERY_STATUSES.FAILED : DELIVERY_STATUSES.DELIVERED,
+      { statusCode: response.status, attempts: 1, error: error ?? null },
+    );
+    return {
+      targetUrl,
+      durationMs,
+      response: {
+        status: response.status,
+        headers: filterProxyResponseHeaders(response.headers),
+        body: Buffer.isBuffer(response.data)
+          ? response.data
+          : Buffer.from(serializeBody(response.data)),
+      },
+    };
+  }
+
+  /**
+   * Makes a single delivery attempt for a forward queued in the durable outbox and
+   * records the outcome. The URL is re-validated because DNS may have changed since
+   * the forward was queued. Never throws for HTTP or network failures.
+   * @param {OutboxEntry} entry
+   * @param {Buffer} body - Serialized body stored with the entry
+   * @param {ForwardSigningConfig} [signing] - Current signing config of the entry's webhook
+   * @returns {Promise<OutboxAttemptResult>}
+   */
+  async redeliver(entry, body, signing) {
+    /**
+     * @param {string} status
+     * @param {Partial<DeliveryRecord>} [details]
+     * @returns {Promise<void>}
+     */
+    const recordDelivery = (status, details = {}) =>
+      this.recordDelivery({
+        logId: entry.logId,
+        webhookId: entry.webhookId,
+        kind: DELIVERY_KINDS.FORWARD,
+        targetUrl: entry.targetUrl,
+        status,
+        ...(entry.destinationId && { destinationId: entry.destinationId }),
+        ...details,
+      });
+
+    const ssrfResult = await validateUrlForSsrf(entry.targetUrl);
+    if (!ssrfResult.safe) {
+      log.error(
+        { url: entry.targetUrl, error: ssrfResult.error },
+        LOG_MESSAGES.SSRF_BLOCKED,
+      );
+      await recordDelivery(DELIVERY_STATUSES.SSRF_BLOCKED, {
+        error: ssrfResult.error,
+      });
+      return { delivered: false, permanent: true, error: ssrfResult.error };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const response = await this.sendSafeRequest(
+        ssrfResult.href || entry.targetUrl,
+        entry.method ?? HTTP_METHODS.POST,
+        body,
+        entry.headers,
+        {
+          hostHeader: ssrfResult.host || "",
+          maxRetries: 1,
+          extraHeaders: entry.extraHeaders,
+          circuitBreakerKey: entry.circuitBreakerKey,
+          signing,
+          messageId: entry.logId,
+        },
+      );
+      await recordDelivery(DELIVERY_STATUSES.DELIVERED, {
+        statusCode: response.status,
+        attempts: 1,
+        durationMs: Date.now() - startedAt,
+      });
+      return { delivered: true, statusCode: response.status };
+    } catch (err) {
+      const axiosError = /** @type {CommonError} */ (err);
+      const statusCode = axiosError.response?.status ?? null;
+      const error = toSafeForwardError(axiosError);
+
+      await recordDelivery(DELIVERY_STATUSES.FAILED, {
+        statusCode,
+        attempts: 1,
+        durationMs: Date.now() - startedAt,
+        error,
+      });
+      return {
+        delivered: false,
+        permanent: !isRetryableLater(axiosError),
+        statusCode,
+        error,
+        retryAfterMs: getRetryAfterMs(axiosError),
+      };
+    }
+  }
+
+  /**
+   * Queues every forward that is still being attempted in the durable outbox.
+   * Called on shutdown and migration so unfinished forwards resume on the next run.
+   * A forward that completes after being suspended may be delivered twice.
+   * @returns {Promise<void>}
+   */
+  async suspendInFlight() {
+    const pending = [...this.#inFlight.values()];
+    this.#inFlight.clear();
+    if (pending.length === 0 || !this.outbox) return;
+
+    log.info(
+      { count: pending.length },
+      LOG_MESSAGES.OUTBOX_IN_FLIGHT_SUSPENDED,
+    );
+    await Promise.all(pending.map((queue) => queue()));
+  }
+
+  /**
+   * @param {OutboxEnqueueInput} input
+   * @param {any} body - Request body as received
+   * @param {number | null} [retryAfterMs]
+   * @returns {Promise<void>}
+   */
+  async #enqueue(input, body, retryAfterMs) {
+    if (!this.outbox) return;
+    const serialized = serializeBody(body);
+    await this.outbox.enqueue(
+      input,
+      Buffer.isBuffer(serialized) ? serialized : Buffer.from(serialized),
+      { retryAfterMs },
+    );
+  }
+
+  /**
+   * Persists a delivery outcome. Failures are logged and never affect forwarding.
+   * @param {DeliveryRecord} delivery
+   * @returns {Promise<void>}
+   */
+  async recordDelivery(delivery) {
+    try {
+      await deliveryRepository.insertDelivery(delivery);
+    } catch (err) {
+      log.error(
+        { logId: delivery.logId, err: serializeError(err) },
+        LOG_MESSAGES.DELIVERY_RECORD_FAILED,
+      );
+    }
+  }
+
+  /**
+   * Persists the request/response pair of a replay. Failures are logged and never
+   * affect the replay.
+   * @param {ReplayCapture} capture
+   * @returns {Promise<void>}
+   */
+  async recordReplayCapture(capture) {
+    try {
+      await deliveryRepository.insertReplayCapture(capture);
+    } catch (err) {
+      log.error(
+        { logId: capture.logId, err: serializeError(err) },
+        LOG_MESSAGES.REPLAY_CAPTURE_FAILED,
+      );
     }
   }
 }
@@ -0,0 +1,292 @@
+/**
+ * @file src/services/MockRuleService.js
+ * @description Stores programmable mock rules, evaluates them against incoming webhook
+ * requests, and tracks per-rule hit counters. Rules are persisted to the KeyValueStore
+ * so they survive Actor restarts and migrations.
+ * @module services/MockRuleService
+ */
+import { Actor } from "apify";
+import { nanoid } from "nanoid";
+import {
+  APP_CONSTS,
+  DEFAULT_ID_LENGTH,
+  MOCK_RULE_ID_PREFIX,
+} from "../consts/app.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { LOG_COMPONENTS } from "../consts/logging.js";
+import { LOG_MESSAGES } from "../consts/messages.js";
+import { KVS_KEYS } from "../consts/storage.js";
+import { createChildLogger, serializeError } from "../utils/logger.js";
+import { findMatchingMockRule, validateMockRule } from "../utils/mock_rules.js";
+
+const log = createChildLogger({ component: LOG_COMPONENTS.MOCK_RULE_SERVICE });
+
+/**
+ * @typedef {import('apify').KeyValueStore | null} KeyValueStore
+ * @typedef {import('../typedefs.js').MockRule} MockRule
+ * @typedef {import('../typedefs.js').MockRuleDefinition} MockRuleDefinition
+ * @typedef {import('../typedefs.js').MockRequest} MockRequest
+ */
+
+/**
+ * @typedef {Object} MockRuleStats
+ * @property {number} hits
+ * @property {string | null} lastHitAt
+ */
+
+/**
+ * @typedef {MockRule & MockRuleStats} MockRuleWithStats
+ */
+
+/**
+ * @typedef {Object} MockRuleOrderEntry
+ * @property {string} id
+ * @property {number} priority
+ */
+
+export class MockRuleService {
+  /** @type {MockRule[]} Always kept in evaluation order */
+  #rules = [];
+  /** @type {Map<string, MockRuleStats>} */
+  #stats = new Map();
+  /** @type {KeyValueStore} */
+  #kvStore = null;
+  /** @type {Promise<void>} */
+  #persistPromise = Promise.resolve();
+
+  /**
+   * Restores rules from the KeyValueStore. Entries that no longer pass
+   * validation (e.g. after a manual edit in the Apify Console) are skipped.
+   */
+  async init() {
+    try {
+      this.#kvStore = await Actor.openKeyValueStore();
+      const saved = await this.#kvStore.getValue(KVS_KEYS.MOCK_RULES);
+      if (!Array.isArray(saved)) return;
+
+      /** @type {MockRule[]} */
+      const restored = [];
+      for (const entry of saved) {
+        const { valid, errors, rule } = validateMockRule(entry);
+        if (!valid || typeof entry.id !== "string") {
+          log.warn(
+            { ruleId: entry?.id, errors },
+            LOG_MESSAGES.MOCK_RULE_SKIPPED,
+          );
+          continue;
+        }
+        const now = new Date().toISOString();
+        restored.push({
+          ...rule,
+          id: entry.id,
+          createdAt: entry.createdAt || now,
+          updatedAt: entry.updatedAt || now,
+        });
+      }
+
+      this.#rules = restored.slice(0, APP_CONSTS.MAX_MOCK_RULES);
+      this.#sort();
+      log.info({ count: this.#rules.length }, LOG_MESSAGES.MOCK_RULES_RESTORED);
+    } catch (error) {
+      log.error(
+        { err: serializeError(error) },
+        LOG_MESSAGES.MOCK_RULES_INIT_FAILED,
+      );
+    }
+  }
+
+  /**
+   * Persists all rules to the KeyValueStore.
+   * Linearized using a Promise chain so stale snapshots never overwrite newer state.
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    const snapshot = this.#rules.map((rule) => ({ ...rule }));
+
+    this.#persistPromise = this.#persistPromise
+      .then(async () => {
+        try {
+          if (!this.#kvStore) {
+            this.#kvStore = await Actor.openKeyValueStore();
+          }
+          await this.#kvStore.setValue(KVS_KEYS.MOCK_RULES, snapshot);
+        } catch (error) {
+          log.error(
+            { err: serializeError(error) },
+            LOG_MESSAGES.MOCK_RULES_PERSIST_FAILED,
+          );
+        }
+      })
+      .catch(() => {
+        /* Handled in try/catch above */
+      });
+
+    return this.#persistPromise;
+  }
+
+  /**
+   * Lists rules in evaluation order together with their hit counters.
+   * @param {Object} [filters]
+   * @param {string} [filters.webhookId] - Only rules that apply to this webhook (scoped or global)
+   * @returns {MockRuleWithStats[]}
+   */
+  listRules({ webhookId } = {}) {
+    return this.#rules
+      .filter(
+        (rule) => !webhookId || !rule.webhookId || rule.webhookId === webhookId,
+      )
+      .map((rule) => this.#withStats(rule));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {MockRuleWithStats | undefined}
+   */
+  getRule(id) {
+    const rule = this.#rules.find((r) => r.id === id);
+    return rule ? this.#withStats(rule) : undefined;
+  }
+
+  /**
+   * Adds a validated rule definition (see `validateMockRule()`).
+   * @param {MockRuleDefinition} definition
+   * @returns {Promise<MockRuleWithStats>}
+   * @throws {Error} When the rule limit is reached
+   */
+  async createRule(definition) {
+    if (this.#rules.length >= APP_CONSTS.MAX_MOCK_RULES) {
+      throw new Error(
+        ERROR_MESSAGES.MOCK_RULE_LIMIT_REACHED(APP_CONSTS.MAX_MOCK_RULES),
+      );
+    }
+
+    const now = new Date().toISOString();
+    /** @type {MockRule} */
+    const rule = {
+      ...definition,
+      id: `${MOCK_RULE_ID_PREFIX}${nanoid(DEFAULT_ID_LENGTH)}`,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.#rules.push(rule);
+    this.#sort();
+    await this.persist();
+
+    log.info({ ruleId: rule.id }, LOG_MESSAGES.MOCK_RULE_CREATED);
+    return this.#withStats(rule);
+  }
+
+  /**
+   * Replaces the definition of an existing rule. Hit counters are kept.
+   * @param {string} id
+   * @param {MockRuleDefinition} definition
+   * @returns {Promise<MockRuleWithStats | undefined>} Updated rule, or undefined if not found
+   */
+  async updateRule(id, definition) {
+    const index = this.#rules.findIndex((r) => r.id === id);
+    if (index === -1) return undefined;
+
+    const { createdAt } = this.#rules[index];
+    /** @type {MockRule} */
+    const rule = {
+      ...definition,
+      id,
+      createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.#rules[index] = rule;
+    this.#sort();
+    await this.persist();
+
+    log.info({ ruleId: id }, LOG_MESSAGES.MOCK_RULE_UPDATED);
+    return this.#withStats(rule);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} True if the rule existed
+   */
+  async deleteRule(id) {
+    const index = this.#rules.findIndex((r) => r.id === id);
+    if (index === -1) return false;
+
+    this.#rules.splice(index, 1);
+    this.#stats.delete(id);
+    await this.persist();
+
+    log.info({ ruleId: id }, LOG_MESSAGES.MOCK_RULE_DELETED);
+    return true;
+  }
+
+  /**
+   * Bulk-updates priorities. Either every ID is known and all priorities are
+   * applied, or nothing changes.
+   * @param {MockRuleOrderEntry[]} entries
+   * @returns {Promise<MockRuleWithStats[]>} All rules in the new evaluation order
+   * @throws {Error} When an entry references an unknown rule
+   */
+  async reorderRules(entries) {
+    const unknownIds = entries
+      .map((entry) => entry.id)
+      .filter((id) => !this.#rules.some((r) => r.id === id));
+    if (unknownIds.length > 0) {
+      throw new Error(ERROR_MESSAGES.UNKNOWN_MOCK_RULE_IDS(unknownIds));
+    }
+
+    const now = new Date().toISOString();
+    const priorities = new Map(entries.map((e) => [e.id, e.priority]));
+    this.#rules = this.#rules.map((rule) =>
+      priorities.has(rule.id)
+        ? {
+            ...rule,
+            priority: /** @type {number} */ (priorities.get(rule.id)),
+            updatedAt: now,
+          }
+        : rule,
+    );
+    this.#sort();
+    await this.persist();
+
+    log.info({ count: entries.length }, LOG_MESSAGES.MOCK_RULES_REORDERED);
+    return this.listRules();
+  }
+
+  /**
+   * Returns the first enabled rule matching the request, without recording a hit.
+   * @param {MockRequest} request
+   * @returns {MockRule | undefined}
+   */
+  findMatch(request) {
+    return findMatchingMockRule(this.#rules, request);
+  }
+
+  /**
+   * Increments the hit counter of a rule. Counters are kept in memory only.
+   * @param {string} id
+   */
+  recordHit(id) {
+    const stats = this.#stats.get(id) || { hits: 0, lastHitAt: null };
+    this.#stats.set(id, {
+      hits: stats.hits + 1,
+      lastHitAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Stable sort by ascending priority; ties keep insertion order.
+   */
+  #sort() {
+    this.#rules.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * @param {MockRule} rule
+   * @returns {MockRuleWithStats}
+   */
+  #withStats(rule) {
+    const stats = this.#stats.get(rule.id) || { hits: 0, lastHitAt: null };
+    return { ...rule, ...stats };
+  }
+}
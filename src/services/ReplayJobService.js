@@ -0,0 +1,585 @@
+/**
+ * @file src/services/ReplayJobService.js
+ * @description Bulk replay jobs: replays every log matched by a `GET /logs` filter
+ * to one target, in selection order, with rate and concurrency limits or with the
+ * original gaps between the captured requests. Jobs run in the background, can be
+ * paused, resumed and cancelled, keep a result per log and report progress to
+ * subscribers. Jobs are held in memory only and do not survive a restart.
+ * @module services/ReplayJobService
+ */
+import { nanoid } from "nanoid";
+import {
+  APP_CONSTS,
+  DEFAULT_ID_LENGTH,
+  REPLAY_JOB_CONSTS,
+  REPLAY_JOB_EVENT_TYPES,
+  REPLAY_JOB_ID_PREFIX,
+  REPLAY_JOB_ITEM_STATUSES,
+  REPLAY_JOB_STATUSES,
+  REPLAY_JOB_TIMINGS,
+} from "../consts/app.js";
+import { HTTP_STATUS } from "../consts/http.js";
+import { SQL_CONSTS } from "../consts/database.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { LOG_COMPONENTS } from "../consts/logging.js";
+import { LOG_MESSAGES } from "../consts/messages.js";
+import { logRepository } from "../repositories/LogRepository.js";
+import { createChildLogger, serializeError } from "../utils/logger.js";
+
+const log = createChildLogger({ component: LOG_COMPONENTS.REPLAY_JOBS });
+
+/**
+ * @typedef {import('../typedefs.js').CommonError} CommonError
+ * @typedef {import('../typedefs.js').LogEntry} LogEntry
+ * @typedef {import('../typedefs.js').LogFilters} LogFilters
+ * @typedef {import('../typedefs.js').ReplayJob} ReplayJob
+ * @typedef {import('../typedefs.js').ReplayJobEvent} ReplayJobEvent
+ * @typedef {import('../typedefs.js').ReplayJobItem} ReplayJobItem
+ * @typedef {import('../utils/replay.js').ReplayTarget} ReplayTarget
+ * @typedef {import('../utils/replay.js').ReplayOutcome} ReplayOutcome
+ */
+
+/**
+ * Replays one log. Throws for network errors and timeouts.
+ * @typedef {(item: LogEntry, target: ReplayTarget) => Promise<ReplayOutcome>} ReplayJobReplayFn
+ */
+
+/**
+ * @typedef {(event: ReplayJobEvent) => void} ReplayJobListener
+ */
+
+/**
+ * @typedef {Object} ReplayJobInput
+ * @property {ReplayTarget} target - SSRF-validated target
+ * @property {LogFilters} filters - Sorted by timestamp for `original` timing
+ * @property {string} [timing] - See REPLAY_JOB_TIMINGS; defaults to `rate`
+ * @property {number} ratePerSecond
+ * @property {number} [speed] - Playback speed-up for `original` timing
+ * @property {number} concurrency
+ * @property {number} maxItems
+ */
+
+/**
+ * @typedef {Object} ReplayJobState
+ * @property {ReplayJob} job
+ * @property {ReplayTarget} target
+ * @property {ReplayJobItem[]} items
+ * @property {number} next - Index of the next item to replay
+ * @property {(() => void) | null} wake - Ends the current wait early
+ * @property {Set<ReplayJobListener>} listeners
+ */
+
+/**
+ * Statuses a job can still leave
+ * @type {ReadonlyArray<string>}
+ */
+const ACTIVE_STATUSES = Object.freeze([
+  REPLAY_JOB_STATUSES.RUNNING,
+  REPLAY_JOB_STATUSES.PAUSED,
+]);
+
+/**
+ * @param {ReplayJob} job
+ * @returns {boolean}
+ */
+const isActive = (job) => ACTIVE_STATUSES.includes(job.status);
+
+/**
+ * @param {ReplayJob} job
+ * @returns {ReplayJob}
+ */
+const toView = (job) => ({ ...job, progress: { ...job.progress } });
+
+/**
+ * Sets when each item starts relative to the first, keeping the gaps between the
+ * captured requests divided by `speed`. Items must be in timestamp order.
+ * @param {ReplayJobItem[]} items
+ * @param {number} speed
+ */
+const setPlaybackOffsets = (items, speed) => {
+  const firstAt = items.length > 0 ? Date.parse(items[0].timestamp) : 0;
+  for (const item of items) {
+    const gapMs = Date.parse(item.timestamp) - firstAt;
+    item.offsetMs = Number.isFinite(gapMs)
+      ? Math.max(Math.round(gapMs / speed), 0)
+      : 0;
+  }
+};
+
+export class ReplayJobService {
+  /** @type {Map<string, ReplayJobState>} */
+  #jobs = new Map();
+  /** @type {ReplayJobReplayFn | null} */
+  #replay = null;
+
+  /**
+   * Sets the function that replays each log. Jobs created earlier wait until
+   * this is called.
+   * @param {ReplayJobReplayFn} replay
+   */
+  start(replay) {
+    this.#replay = replay;
+    for (const state of this.#jobs.values()) this.#wake(state);
+  }
+
+  /**
+   * Cancels every active job. Replays already in flight finish.
+   */
+  stop() {
+    this.#replay = null;
+    for (const state of this.#jobs.values()) {
+      if (!isActive(state.job)) continue;
+      state.job.status = REPLAY_JOB_STATUSES.CANCELLED;
+      this.#wake(state);
+    }
+  }
+
+  /**
+   * Selects the matching logs and starts replaying them in the background.
+   * If selection fails, the job is returned with status `failed`.
+   * @param {ReplayJobInput} input
+   * @returns {Promise<ReplayJob | null>} The new job, or null when too many jobs are active
+   */
+  async create({
+    target,
+    filters,
+    timing = REPLAY_JOB_TIMINGS.RATE,
+    ratePerSecond,
+    speed = REPLAY_JOB_CONSTS.DEFAULT_SPEED,
+    concurrency,
+    maxItems,
+  }) {
+    const active = [...this.#jobs.values()].filter((state) =>
+      isActive(state.job),
+    ).length;
+    if (active >= REPLAY_JOB_CONSTS.MAX_ACTIVE_JOBS) return null;
+
+    /** @type {ReplayJob} */
+    const job = {
+      id: `${REPLAY_JOB_ID_PREFIX}${nanoid(DEFAULT_ID_LENGTH)}`,
+      status: REPLAY_JOB_STATUSES.RUNNING,
+      targetUrl: target.href,
+      filters,
+      timing,
+      ratePerSecond,
+      speed,
+      concurrency,
+      maxItems,
+      truncated: false,
+      progress: { total: 0, pending: 0, delivered: 0, failed: 0, skipped: 0 },
+      createdAt: new Date().toISOString(),
+    };
+    /** @type {ReplayJobState} */
+    const state = {
+      job,
+      target,
+      items: [],
+      next: 0,
+      wake: null,
+      listeners: new Set(),
+    };
+
+    this.#evictFinished();
+    this.#jobs.set(job.id, state);
+
+    try {
+      const { items, truncated } = await this.#selectItems(
+        filters,
+        maxItems,
+        job.createdAt,
+      );
+      state.items = items;
+      if (timing === REPLAY_JOB_TIMINGS.ORIGINAL) {
+        setPlaybackOffsets(items, speed);
+      }
+      job.truncated = truncated;
+      job.progress.total = items.length;
+      job.progress.pending = items.length;
+    } catch (error) {
+      job.status = REPLAY_JOB_STATUSES.FAILED;
+      job.error = /** @type {Error} */ (error).message;
+      job.finishedAt = new Date().toISOString();
+      log.error(
+        { jobId: job.id, err: serializeError(error) },
+        LOG_MESSAGES.REPLAY_JOB_SELECTION_FAILED,
+      );
+      return toView(job);
+    }
+
+    log.info(
+      { jobId: job.id, total: job.progress.total, targetUrl: job.targetUrl },
+      LOG_MESSAGES.REPLAY_JOB_CREATED,
+    );
+    void this.#run(state);
+    return toView(job);
+  }
+
+  /**
+   * Lists jobs, newest first. Per-item results are not included.
+   * @returns {ReplayJob[]}
+   */
+  list() {
+    return [...this.#jobs.values()]
+      .map((state) => toView(state.job))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ReplayJob | undefined}
+   */
+  get(id) {
+    const state = this.#jobs.get(id);
+    return state ? toView(state.job) : undefined;
+  }
+
+  /**
+   * Returns per-item results in replay order.
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.status] - Only items in this status (see REPLAY_JOB_ITEM_STATUSES)
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @returns {{ total: number, items: ReplayJobItem[] } | undefined}
+   */
+  getItems(id, { status, limit, offset = 0 } = {}) {
+    const state = this.#jobs.get(id);
+    if (!state) return undefined;
+
+    const matching = status
+      ? state.items.filter((item) => item.status === status)
+      : state.items;
+    return {
+      total: matching.length,
+      items: matching
+        .slice(offset, limit === undefined ? undefined : offset + limit)
+        .map((item) => ({ ...item })),
+    };
+  }
+
+  /**
+   * Stops starting new replays. Replays already in flight finish.
+   * @param {string} id
+   * @returns {ReplayJob | undefined} Updated job, or undefined if it is not running
+   */
+  pause(id) {
+    const state = this.#jobs.get(id);
+    if (state?.job.status !== REPLAY_JOB_STATUSES.RUNNING) return undefined;
+
+    state.job.status = REPLAY_JOB_STATUSES.PAUSED;
+    state.job.pausedAt = new Date().toISOString();
+    this.#wake(state);
+    this.#notify(state, REPLAY_JOB_EVENT_TYPES.STATUS);
+    return toView(state.job);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {ReplayJob | undefined} Updated job, or undefined if it is not paused
+   */
+  resume(id) {
+    const state = this.#jobs.get(id);
+    if (state?.job.status !== REPLAY_JOB_STATUSES.PAUSED) return undefined;
+
+    state.job.status = REPLAY_JOB_STATUSES.RUNNING;
+    state.job.pausedAt = null;
+    this.#wake(state);
+    this.#notify(state, REPLAY_JOB_EVENT_TYPES.STATUS);
+    return toView(state.job);
+  }
+
+  /**
+   * Cancels a running or paused job. Items not yet started are marked skipped.
+   * @param {string} id
+   * @returns {ReplayJob | undefined} Updated job, or undefined if it is already finished
+   */
+  cancel(id) {
+    const state = this.#jobs.get(id);
+    if (!state || !isActive(state.job)) return undefined;
+
+    state.job.status = REPLAY_JOB_STATUSES.CANCELLED;
+    this.#wake(state);
+    this.#notify(state, REPLAY_JOB_EVENT_TYPES.STATUS);
+    return toView(state.job);
+  }
+
+  /**
+   * Calls `listener` with every status change and finished item of a job, and
+   * once more when the job finishes.
+   * @param {string} id
+   * @param {ReplayJobListener} listener
+   * @returns {(() => void) | null | undefined} Unsubscribe function, null when the
+   * job has too many subscribers, or undefined for an unknown job
+   */
+  subscribe(id, listener) {
+    const state = this.#jobs.get(id);
+    if (!state) return undefined;
+    if (state.listeners.size >= REPLAY_JOB_CONSTS.MAX_EVENT_SUBSCRIBERS) {
+      return null;
+    }
+    state.listeners.add(listener);
+    return () => {
+      state.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Pages through the matching logs, keeping only what is needed to replay them.
+   * Logs captured after `until` are excluded so traffic arriving during selection
+   * cannot shift the offset pages.
+   * @param {LogFilters} filters
+   * @param {number} maxItems
+   * @param {string} until - ISO timestamp, normally the job's creation time
+   * @returns {Promise<{ items: ReplayJobItem[], truncated: boolean }>}
+   */
+  async #selectItems(filters, maxItems, until) {
+    /** @type {ReplayJobItem[]} */
+    const items = [];
+    let total = 0;
+    const timestamp = [
+      ...(filters.timestamp ?? []),
+      { operator: SQL_CONSTS.OPERATORS.LTE, value: until },
+    ];
+
+    while (items.length < maxItems) {
+      const limit = Math.min(
+        REPLAY_JOB_CONSTS.SELECTION_PAGE_SIZE,
+        maxItems - items.length,
+      );
+      const page = await logRepository.findLogs({
+        ...filters,
+        timestamp,
+        limit,
+        offset: items.length,
+        cursor: undefined,
+      });
+      total = page.total;
+      for (const entry of page.items) {
+        items.push({
+          logId: entry.id,
+          webhookId: entry.webhookId,
+          timestamp: entry.timestamp,
+          status: REPLAY_JOB_ITEM_STATUSES.PENDING,
+        });
+      }
+      if (page.items.length < limit) break;
+    }
+
+    return { items, truncated: total > items.length };
+  }
+
+  /**
+   * Starts replays no faster than `ratePerSecond`, or at their playback offsets for
+   * `original` timing, with at most `concurrency` in flight, until every item has
+   * been attempted or the job is cancelled. Time spent paused shifts the playback
+   * schedule so the remaining gaps are kept.
+   * @param {ReplayJobState} state
+   * @returns {Promise<void>}
+   */
+  async #run(state) {
+    const { job, items } = state;
+    const playback = job.timing === REPLAY_JOB_TIMINGS.ORIGINAL;
+    const intervalMs = APP_CONSTS.MS_PER_SECOND / job.ratePerSecond;
+    /** @type {Set<Promise<void>>} */
+    const inFlight = new Set();
+    let nextStartAt = 0;
+    /** @type {number | null} */
+    let playbackStartedAt = null;
+    /** @type {number | null} */
+    let pausedSince = null;
+
+    while (
+      state.next < items.length &&
+      job.status !== REPLAY_JOB_STATUSES.CANCELLED
+    ) {
+      const replay = this.#replay;
+      if (job.status === REPLAY_JOB_STATUSES.PAUSED || !replay) {
+        pausedSince ??= Date.now();
+        await this.#wait(state);
+        continue;
+      }
+      if (pausedSince !== null) {
+        if (playbackStartedAt !== null) {
+          playbackStartedAt += Date.now() - pausedSince;
+        }
+        pausedSince = null;
+      }
+      if (inFlight.size >= job.concurrency) {
+        await Promise.race(inFlight);
+        continue;
+      }
+      playbackStartedAt ??= Date.now();
+      const startAt = playback
+        ? playbackStartedAt + (items[state.next].offsetMs ?? 0)
+        : nextStartAt;
+      const delayMs = startAt - Date.now();
+      if (delayMs > 0) {
+        await this.#wait(state, delayMs);
+        continue;
+      }
+
+      nextStartAt = Date.now() + intervalMs;
+      const item = items[state.next++];
+      const task = this.#replayItem(state, item, replay).finally(() => {
+        inFlight.delete(task);
+      });
+      inFlight.add(task);
+    }
+
+    await Promise.all(inFlight);
+
+    if (job.status === REPLAY_JOB_STATUSES.CANCELLED) {
+      for (const item of items.slice(state.next)) {
+        this.#settle(job, item, REPLAY_JOB_ITEM_STATUSES.SKIPPED);
+        item.error = REPLAY_JOB_STATUSES.CANCELLED;
+      }
+    } else {
+      job.status = REPLAY_JOB_STATUSES.COMPLETED;
+    }
+    job.finishedAt = new Date().toISOString();
+    log.info(
+      { jobId: job.id, status: job.status, progress: job.progress },
+      LOG_MESSAGES.REPLAY_JOB_FINISHED,
+    );
+    this.#notify(state, REPLAY_JOB_EVENT_TYPES.FINISHED);
+    state.listeners.clear();
+  }
+
+  /**
+   * Replays one item and records its result. Never throws.
+   * @param {ReplayJobState} state
+   * @param {ReplayJobItem} item
+   * @param {ReplayJobReplayFn} replay
+   * @returns {Promise<void>}
+   */
+  async #replayItem(state, item, replay) {
+    const { job, target } = state;
+    try {
+      const entry = await logRepository.getLogById(item.logId);
+      if (!entry) {
+        this.#settle(job, item, REPLAY_JOB_ITEM_STATUSES.SKIPPED);
+        item.error = ERROR_MESSAGES.EVENT_NOT_FOUND;
+        return;
+      }
+
+      const { response, replayId, attempts, durationMs } = await replay(
+        entry,
+        target,
+      );
+      const delivered =
+        !!response &&
+        response.status >= HTTP_STATUS.OK &&
+        response.status < HTTP_STATUS.MULTIPLE_CHOICES;
+      Object.assign(item, {
+        replayId,
+        statusCode: response?.status ?? null,
+        attempts,
+        durationMs,
+      });
+      this.#settle(
+        job,
+        item,
+        delivered
+          ? REPLAY_JOB_ITEM_STATUSES.DELIVERED
+          : REPLAY_JOB_ITEM_STATUSES.FAILED,
+      );
+    } catch (error) {
+      const replayError = /** @type {CommonError} */ (error);
+      item.error = String(replayError.code || replayError.message);
+      this.#settle(job, item, REPLAY_JOB_ITEM_STATUSES.FAILED);
+      log.warn(
+        { jobId: job.id, logId: item.logId, err: serializeError(error) },
+        LOG_MESSAGES.REPLAY_JOB_ITEM_FAILED,
+      );
+    } finally {
+      this.#notify(state, REPLAY_JOB_EVENT_TYPES.ITEM, item);
+    }
+  }
+
+  /**
+   * Moves a pending item to its final status and updates the job progress.
+   * @param {ReplayJob} job
+   * @param {ReplayJobItem} item
+   * @param {string} status - See REPLAY_JOB_ITEM_STATUSES
+   */
+  #settle(job, item, status) {
+    item.status = status;
+    item.replayedAt =
+      status === REPLAY_JOB_ITEM_STATUSES.SKIPPED
+        ? null
+        : new Date().toISOString();
+    job.progress.pending--;
+    if (status === REPLAY_JOB_ITEM_STATUSES.DELIVERED) job.progress.delivered++;
+    else if (status === REPLAY_JOB_ITEM_STATUSES.FAILED) job.progress.failed++;
+    else job.progress.skipped++;
+  }
+
+  /**
+   * Waits until `wake()` is called or `ms` elapses (indefinitely if omitted).
+   * @param {ReplayJobState} state
+   * @param {number} [ms]
+   * @returns {Promise<void>}
+   */
+  #wait(state, ms) {
+    return new Promise((resolve) => {
+      /** @type {ReturnType<typeof setTimeout> | undefined} */
+      let timer;
+      const done = () => {
+        if (timer) clearTimeout(timer);
+        state.wake = null;
+        resolve();
+      };
+      if (ms !== undefined) timer = setTimeout(done, ms);
+      state.wake = done;
+    });
+  }
+
+  /**
+   * @param {ReplayJobState} state
+   */
+  #wake(state) {
+    state.wake?.();
+  }
+
+  /**
+   * Sends an event to the job's subscribers. A failing subscriber is dropped.
+   * @param {ReplayJobState} state
+   * @param {string} type - See REPLAY_JOB_EVENT_TYPES
+   * @param {ReplayJobItem} [item]
+   */
+  #notify(state, type, item) {
+    if (state.listeners.size === 0) return;
+    /** @type {ReplayJobEvent} */
+    const event = {
+      type,
+      job: toView(state.job),
+      ...(item && { item: { ...item } }),
+    };
+    for (const listener of state.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        state.listeners.delete(listener);
+        log.warn(
+          { jobId: state.job.id, err: serializeError(error) },
+          LOG_MESSAGES.REPLAY_JOB_LISTENER_FAILED,
+        );
+      }
+    }
+  }
+
+  /**
+   * Keeps at most MAX_JOBS jobs by dropping the oldest finished ones.
+   */
+  #evictFinished() {
+    const finished = [...this.#jobs.values()]
+      .filter((state) => !isActive(state.job))
+      .sort((a, b) => a.job.createdAt.localeCompare(b.job.createdAt));
+    let excess = this.#jobs.size + 1 - REPLAY_JOB_CONSTS.MAX_JOBS;
+    for (const state of finished) {
+      if (excess <= 0) break;
+      this.#jobs.delete(state.job.id);
+      excess--;
+    }
+  }
+}
@@ -1,16 +1,32 @@
 /**
  * @file src/services/index.js
  * @description Central export point for application services (Singleton pattern).
- * Ensures services like ForwardingService (which holds CircuitBreaker state) are shared across the app.
+ * Ensures services like ForwardingService (which holds CircuitBreaker state), ForwardOutbox
+ * (which holds queued forwards), MockRuleService (which holds mock rules and hit counters)
+ * and ReplayJobService (which holds bulk replay jobs) are shared across the app.
  * @module services
  */
 
 import { ForwardingService } from "./ForwardingService.js";
+import { ForwardOutbox } from "./ForwardOutbox.js";
 import { SyncService } from "./SyncService.js";
+import { MockRuleService } from "./MockRuleService.js";
+import { ReplayJobService } from "./ReplayJobService.js";
 
 // Singleton Instances
-export const forwardingService = new ForwardingService();
+export const forwardOutbox = new ForwardOutbox();
+export const forwardingService = new ForwardingService({
+  outbox: forwardOutbox,
+});
 export const syncService = new SyncService();
+export const mockRuleService = new MockRuleService();
+export const replayJobService = new ReplayJobService();
 
 // Export Classes for testing/unique usage if needed
-export { ForwardingService, SyncService };
+export {
+  ForwardingService,
+  ForwardOutbox,
+  SyncService,
+  MockRuleService,
+  ReplayJobService,
+};
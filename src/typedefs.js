@@ -20,12 +20,18 @@
  * @typedef {Object} WebhookData
  * @property {string} [id]
  * @property {string} expiresAt
+ * @property {string} [label]
  * @property {number} [responseDelayMs]
  * @property {number} [defaultResponseCode]
  * @property {string | Object} [defaultResponseBody]
  * @property {Object.<string, string>} [defaultResponseHeaders]
  * @property {string} [forwardUrl]
+ * @property {string} [forwardMode]
  * @property {boolean} [forwardHeaders]
+ * @property {boolean} [syncProxy]
+ * @property {number} [syncProxyTimeoutMs]
+ * @property {ForwardSigningConfig} [forwardSigning]
+ * @property {ForwardDestination[]} [forwardDestinations]
  * @property {number} [maxPayloadSize]
  * @property {boolean} [enableJSONParsing]
  * @property {boolean} [maskSensitiveData]
@@ -35,6 +41,7 @@
  * @property {SignatureConfig} [signatureVerification]
  * @property {AlertConfig} [alerts]
  * @property {string[]} [allowedIps]
+ * @property {ResponseSequence} [responseSequence]
  */
 
 /**
@@ -65,6 +72,61 @@
  * @property {string} [signatureError]
  * @property {string} [requestId]
  * @property {string} [requestUrl]
+ * @property {boolean} [isMocked] - True when a mock rule produced the response
+ * @property {string} [mockRuleId] - ID of the mock rule that produced the response
+ * @property {string} [signatureRuleId] - ID of the conditional rule that selected the verifier
+ * @property {string} [signatureSelectionError] - Why no verifier could be selected (no match or ambiguous rules)
+ * @property {string} [signatureKeyId] - ID of the public key that validated the signature
+ * @property {number} [signatureSecretIndex] - Index of the rotating secret that validated the signature
+ * @property {boolean} [isProxied] - True when the response was relayed from `forwardUrl` (synchronous proxy mode)
+ * @property {string} [proxyTargetUrl] - URL the synchronous proxy called
+ * @property {number} [proxyStatusCode] - Status returned by the proxy target
+ * @property {number} [proxyDurationMs] - Time spent waiting for the proxy target
+ * @property {string} [proxyError] - Why the proxy fell back to the default response
+ * @property {string[]} [tags] - Labels set by the custom script (`$tags`)
+ * @property {ScriptRun[]} [scriptRuns] - Scripts that ran on the event, in order
+ */
+
+/**
+ * What a custom script asked to happen to an event (see SCRIPT_OUTCOME_KEYS).
+ * @typedef {Object} ScriptOutcome
+ * @property {boolean} drop - Do not store the event
+ * @property {boolean} skipForward - Do not forward the event anywhere
+ * @property {string} [forwardTo] - Replaces `forwardUrl` for this event
+ * @property {number} delayMs - Wait before forwarding
+ * @property {boolean} [alert] - Force (true) or suppress (false) alerts; unset keeps the alertOn triggers
+ * @property {string[]} [tags]
+ */
+
+/**
+ * A named script from the `customScripts` library.
+ * @typedef {Object} CustomScriptDefinition
+ * @property {string} id - Unique; recorded in each log's `scriptRuns`
+ * @property {string} source
+ * @property {boolean} enabled
+ * @property {string[]} [webhookIds] - Limits the script to these webhooks
+ * @property {MockRuleMatch} match - Same matcher syntax as mock rules; empty matches everything
+ */
+
+/**
+ * One script execution recorded on a log.
+ * @typedef {Object} ScriptRun
+ * @property {string} id - `customScript` for the single script, otherwise the library ID
+ * @property {number} durationMs
+ * @property {string} [error] - Set when the script threw or timed out; its changes were discarded
+ */
+
+/**
+ * Result of a `POST /scripts/test` dry run. Nothing is stored or forwarded.
+ * @typedef {Object} ScriptTestResult
+ * @property {boolean} ok - False when the script threw or timed out
+ * @property {number} durationMs
+ * @property {Record<string, any> | null} event - The event as it would be stored, outcome keys removed
+ * @property {ScriptOutcome | null} outcome - What the `$` keys would have done to the event
+ * @property {string[]} invalidOutcomeKeys - `$` keys with values that would be ignored
+ * @property {JsonPatchOperation[]} diff - Changes from the input event to `event`
+ * @property {Array<{ level: string, args: unknown[] }>} logs - Captured console output
+ * @property {{ name: string, message: string, stack?: string, timedOut: boolean } | null} error
  */
 
 /**
@@ -147,7 +209,12 @@
  * @typedef {Object} SignatureConfig
  * @property {SignatureProvider} [provider]
  * @property {boolean} [enabled]
- * @property {string} [secret] - The signing secret
+ * @property {string} [secret] - The signing secret (SendGrid/Discord: the public key)
+ * @property {SigningSecret[]} [secrets] - Rotating secrets; replaces `secret` when non-empty
+ * @property {Array<string | Object.<string, any>>} [publicKeys] - PEM, base64 DER, JWK, or `{ kid, key }` entries; any may validate
+ * @property {string} [jwksFile] - Path to a local JWKS file with additional verification keys
+ * @property {string} [dsaEncoding] - ECDSA signature layout: `der` (default) or `ieee-p1363`
+ * @property {string} [url] - Public URL signed by Twilio and Square (default: the request URL)
  * @property {string} [headerName] - Custom header name (for custom provider)
  * @property {HashAlgorithm} [algorithm] - Hash algorithm (for custom provider)
  * @property {string} [timestampKey] - Header name for custom provider timestamp check
@@ -161,6 +228,54 @@
  * @property {boolean} valid
  * @property {string} [error]
  * @property {string} provider
+ * @property {string} [ruleId] - Conditional rule that selected the verifier
+ * @property {string} [keyId] - Public key that validated the signature
+ * @property {number} [secretIndex] - Position in `secrets` of the secret that validated
+ */
+
+/**
+ * @typedef {Object} SigningSecret
+ * @property {string} secret
+ * @property {string} [notBefore] - ISO 8601 date before which the secret is not accepted
+ * @property {string} [notAfter] - ISO 8601 date from which the secret is no longer accepted
+ */
+
+/**
+ * @typedef {Object} ForwardSigningConfig
+ * @property {SignatureProvider} provider - `stripe`, `github`, `standard_webhooks`, or `custom`
+ * @property {string} secret - Forwarding secret, separate from the verification secret
+ * @property {string} [headerName] - Signature header (for custom provider)
+ * @property {string} [timestampKey] - Header that receives the signing time (for custom provider)
+ * @property {HashAlgorithm} [algorithm] - Hash algorithm (for custom provider)
+ * @property {SignatureEncoding} [encoding] - Signature encoding (for custom provider)
+ */
+
+/**
+ * @typedef {Object} SignatureVerificationRule
+ * @property {string} id
+ * @property {number} priority - Higher values win
+ * @property {boolean} enabled
+ * @property {Object} when
+ * @property {Object.<string, string>} [when.headers] - Lowercase header names; `*` matches any value
+ * @property {string[]} [when.method]
+ * @property {string} [when.path] - Exact path, or a prefix ending in `*`
+ * @property {Object.<string, string>} [when.query]
+ * @property {Object.<string, string | number | boolean | null>} [when.body] - JSONPath to exact value
+ * @property {SignatureConfig} verify
+ */
+
+/**
+ * @typedef {Object} SignatureRuleRequest
+ * @property {string} method
+ * @property {string} [path]
+ * @property {Object.<string, unknown>} headers - Lowercase header names
+ * @property {Object.<string, unknown>} [query]
+ * @property {unknown} [body] - Omitted when the body is not available (streamed payloads)
+ */
+
+/**
+ * @typedef {import('./consts/security.js').SIGNATURE_VERIFICATION_MODES} SignatureVerificationModeEnum
+ * @typedef {SignatureVerificationModeEnum[keyof SignatureVerificationModeEnum]} SignatureVerificationMode
  */
 
 /**
@@ -203,6 +318,10 @@
  * @property {boolean|string} [signatureValid]
  * @property {string} [signatureProvider]
  * @property {string} [signatureError]
+ * @property {boolean|string} [isMocked]
+ * @property {boolean|string} [isProxied]
+ * @property {string} [mockRuleId]
+ * @property {string} [signatureRuleId]
  * @property {number|string|RangeCondition[]} [statusCode]
  * @property {RangeCondition[]} [processingTime]
  * @property {RangeCondition[]} [size]
@@ -212,6 +331,186 @@
  * @property {Object|string} [body]
  * @property {Object|string} [responseHeaders]
  * @property {Object|string} [responseBody]
+ * @property {string} [deliveryStatus] - Only logs with at least one delivery in this status
+ * @property {string} [tag] - Only logs carrying this script tag
+ */
+
+/**
+ * @typedef {Object} DeliveryRecord
+ * @property {string} [id]
+ * @property {string} logId - ID of the captured log that was delivered
+ * @property {string} [webhookId]
+ * @property {string} kind - "forward", "replay", or "proxy"
+ * @property {string} targetUrl
+ * @property {string} status - Final outcome (see DELIVERY_STATUSES)
+ * @property {number | null} [statusCode] - Target response status, if one was received
+ * @property {number} [attempts] - HTTP attempts made, including retries
+ * @property {number | null} [durationMs] - Total time spent delivering
+ * @property {string | null} [error] - Sanitized error code or message
+ * @property {string} [timestamp]
+ * @property {string | null} [destinationId] - Forward destination ID; unset for `forwardUrl` and replays
+ * @property {ReplayMutationDiff | null} [mutation] - Changes made to a replayed request, if it was mutated
+ */
+
+/**
+ * @typedef {import('./utils/json_patch.js').JsonPatchOperation} JsonPatchOperation
+ */
+
+/**
+ * Request mutation applied by `POST /replay`. Header names are lowercased.
+ * @typedef {Object} ReplayMutation
+ * @property {Record<string, string>} [setHeaders] - Added or overridden headers
+ * @property {string[]} [removeHeaders] - Headers dropped from the captured request
+ * @property {JsonPatchOperation[]} [jsonPatch] - RFC 6902 patch for the body
+ * @property {any} [mergePatch] - RFC 7396 merge patch for the body
+ */
+
+/**
+ * Request a replay sent and the response it received, keyed by the replay's
+ * delivery ID. Bodies larger than the capture limit are stored as `null`.
+ * @typedef {Object} ReplayCapture
+ * @property {string} id
+ * @property {string} logId
+ * @property {string} [webhookId]
+ * @property {string} targetUrl
+ * @property {string} method
+ * @property {Record<string, unknown>} requestHeaders - Sensitive values are masked
+ * @property {unknown} requestBody
+ * @property {boolean} requestBodyTruncated
+ * @property {number | null} statusCode - `null` when no response was received
+ * @property {Record<string, unknown>} responseHeaders
+ * @property {unknown} responseBody
+ * @property {boolean} responseBodyTruncated
+ * @property {number | null} durationMs
+ * @property {string | null} error - Network error code when no response was received
+ * @property {string} [timestamp]
+ */
+
+/**
+ * What a replay mutation changed, as JSON Patch operations with `oldValue`.
+ * Sensitive header values are masked.
+ * @typedef {Object} ReplayMutationDiff
+ * @property {JsonPatchOperation[]} headers
+ * @property {JsonPatchOperation[]} body
+ */
+
+/**
+ * @typedef {Object} ForwardDestination
+ * @property {string} id - Unique within a webhook; recorded on each delivery
+ * @property {string} url - http(s) URL that receives a copy of matching requests
+ * @property {string} [mode] - Overrides the webhook's `forwardMode` (see FORWARD_MODES)
+ * @property {boolean} enabled
+ * @property {MockRuleMatch} match - Same matcher syntax as mock rules; empty matches everything
+ * @property {boolean} [forwardHeaders] - Overrides the webhook's `forwardHeaders`
+ * @property {Record<string, string>} [setHeaders] - Added to every forward, even with `forwardHeaders: false`
+ * @property {string[]} [removeHeaders] - Lowercase header names stripped before forwarding
+ * @property {number} [maxRetries] - Overrides the webhook's `maxForwardRetries`
+ * @property {string} [circuitBreakerKey] - Shared circuit name; defaults to the target hostname
+ */
+
+/**
+ * A forward waiting in the durable outbox. The body is stored separately in the
+ * KeyValueStore under `bodyKey` so the index stays small.
+ * @typedef {Object} OutboxEntry
+ * @property {string} id
+ * @property {string} logId - ID of the captured log being forwarded
+ * @property {string} webhookId
+ * @property {string} [destinationId] - Fan-out destination; unset for `forwardUrl`
+ * @property {string} targetUrl
+ * @property {string} [method] - HTTP method of the forward; POST when unset
+ * @property {import('http').IncomingHttpHeaders} headers - Forwarded headers, already filtered
+ * @property {Record<string, string>} [extraHeaders] - Destination `setHeaders`
+ * @property {string} [circuitBreakerKey]
+ * @property {string} bodyKey - KeyValueStore key holding the raw body
+ * @property {number} bodySize - Body size in bytes
+ * @property {string} status - "pending" or "dead" (see OUTBOX_STATUSES)
+ * @property {number} attempts - Outbox delivery attempts so far
+ * @property {string} createdAt
+ * @property {string | null} [redrivenAt] - Set by a manual redrive; restarts the max-age clock
+ * @property {string} nextAttemptAt
+ * @property {string | null} [lastAttemptAt]
+ * @property {number | null} [lastStatusCode]
+ * @property {string | null} [lastError]
+ * @property {string | null} [deadAt]
+ * @property {string | null} [deadReason] - See OUTBOX_DEAD_REASONS
+ */
+
+/**
+ * Outcome of one outbox delivery attempt.
+ * @typedef {Object} OutboxAttemptResult
+ * @property {boolean} delivered
+ * @property {boolean} [permanent] - The target rejected the request; retrying will not help
+ * @property {number | null} [statusCode]
+ * @property {string | null} [error]
+ * @property {number | null} [retryAfterMs] - Delay requested by the target via `Retry-After`
+ */
+
+/**
+ * @typedef {Object} ProxyResponse
+ * @property {number} status
+ * @property {Record<string, string | string[]>} headers - Hop-by-hop headers removed
+ * @property {Buffer} body - Decompressed response body
+ */
+
+/**
+ * Outcome of a synchronous proxy call. `response` is set whenever the target
+ * answered, including non-2xx statuses; otherwise `error` says why it did not.
+ * @typedef {Object} ProxyResult
+ * @property {string} targetUrl
+ * @property {number} durationMs
+ * @property {ProxyResponse} [response]
+ * @property {string} [error] - Sanitized error code or skipped delivery status
+ */
+
+/**
+ * @typedef {Object} ReplayJobItem
+ * @property {string} logId
+ * @property {string} webhookId
+ * @property {string} timestamp - Capture time of the original request
+ * @property {string} status - See REPLAY_JOB_ITEM_STATUSES
+ * @property {number} [offsetMs] - Start time relative to the first item, after `speed`; `original` timing only
+ * @property {string} [replayId] - Stored replay, see `GET /replays/:id`
+ * @property {number | null} [statusCode] - Target response status, if one was received
+ * @property {number} [attempts]
+ * @property {number | null} [durationMs]
+ * @property {string | null} [error] - Sanitized error code, or why the item was skipped
+ * @property {string | null} [replayedAt]
+ */
+
+/**
+ * @typedef {Object} ReplayJobProgress
+ * @property {number} total
+ * @property {number} pending
+ * @property {number} delivered
+ * @property {number} failed
+ * @property {number} skipped
+ */
+
+/**
+ * A bulk replay of the logs matched by `filters`, in the order they were selected.
+ * @typedef {Object} ReplayJob
+ * @property {string} id
+ * @property {string} status - See REPLAY_JOB_STATUSES
+ * @property {string} targetUrl
+ * @property {LogFilters} filters - Parsed filters; pagination is ignored
+ * @property {string} timing - See REPLAY_JOB_TIMINGS
+ * @property {number} ratePerSecond - Maximum replays started per second; `rate` timing only
+ * @property {number} speed - Playback speed-up; `original` timing only
+ * @property {number} concurrency - Maximum replays in flight
+ * @property {number} maxItems
+ * @property {boolean} truncated - More logs matched than `maxItems`
+ * @property {ReplayJobProgress} progress
+ * @property {string} createdAt
+ * @property {string | null} [pausedAt]
+ * @property {string | null} [finishedAt]
+ * @property {string | null} [error] - Why the job failed
+ */
+
+/**
+ * @typedef {Object} ReplayJobEvent
+ * @property {string} type - See REPLAY_JOB_EVENT_TYPES
+ * @property {ReplayJob} job
+ * @property {ReplayJobItem} [item] - The item that just finished; `item` events only
  */
 
 /**
@@ -252,16 +551,25 @@
  * @typedef {Object} WebhookConfig
  * @property {string} [authKey]
  * @property {string} [signatureVerificationSecret]
+ * @property {Array<SigningSecret | string>} [signatureVerificationSecrets]
  * @property {string[]} [allowedIps]
  * @property {number} [defaultResponseCode]
  * @property {string | Object} [defaultResponseBody]
  * @property {Object.<string, string>} [defaultResponseHeaders]
+ * @property {ResponseSequence} [responseSequence]
  * @property {number} [responseDelayMs]
  * @property {string} [forwardUrl]
+ * @property {string} [forwardMode] - How the forward method and URL are derived (see FORWARD_MODES)
  * @property {boolean} [forwardHeaders]
+ * @property {boolean} [syncProxy] - Return the `forwardUrl` response to the sender
+ * @property {number} [syncProxyTimeoutMs] - How long to wait for it before sending the default response
+ * @property {string} [forwardSigningSecret]
+ * @property {ForwardSigningConfig} [forwardSigning]
+ * @property {ForwardDestination[]} [forwardDestinations]
  * @property {string[]} [redactBodyPaths]
  * @property {Object} [jsonSchema]
  * @property {string} [customScript]
+ * @property {CustomScriptDefinition[]} [customScripts]
  * @property {boolean} [maskSensitiveData]
  * @property {number} [maxPayloadSize]
  * @property {number} [rateLimitPerMinute]
@@ -274,6 +582,8 @@
  * @property {boolean} [useFixedMemory]
  * @property {number} [fixedMemoryMbytes]
  * @property {SignatureConfig} [signatureVerification]
+ * @property {SignatureVerificationRule[]} [signatureVerificationRules]
+ * @property {SignatureVerificationMode} [signatureVerificationMode]
  * @property {AlertConfig} [alerts]
  * @property {AlertTrigger[]} [alertOn]
  * @property {boolean} [testAndExit]
@@ -289,9 +599,79 @@
  * @property {number} responseDelayMs
  * @property {number} replayMaxRetries
  * @property {number} replayTimeoutMs
+ * @property {number} syncProxyTimeoutMs
  * @property {number} maxForwardRetries
  * @property {boolean} useFixedMemory
  * @property {number} fixedMemoryMbytes
  */
 
+/**
+ * @typedef {Object} WebhookConfigValidation
+ * @property {boolean} valid
+ * @property {string[]} errors - Human-readable validation errors
+ * @property {Record<string, any>} config - Normalized overrides (`null` means "remove")
+ */
+
+/**
+ * @typedef {Object} MockRuleMatch
+ * @property {string[]} [method] - Uppercase HTTP methods; any method when omitted
+ * @property {string} [path] - Regular expression tested against the request path
+ * @property {Record<string, string>} [headers] - Case-insensitive substring match per header
+ * @property {Record<string, string>} [query] - Case-insensitive substring match per query parameter
+ * @property {Record<string, any>} [body] - JSON-path predicates, e.g. `{ "$.data.amount": { "$gt": 0 } }`
+ */
+
+/**
+ * @typedef {Object} MockRuleResponse
+ * @property {number} status
+ * @property {Record<string, string>} [headers] - Header values may contain `{{...}}` placeholders
+ * @property {any} [body] - String values may contain `{{...}}` placeholders
+ * @property {number} [delay] - Response delay in milliseconds
+ */
+
+/**
+ * @typedef {Object} ResponseSequenceStep
+ * @property {number} status
+ * @property {Record<string, string>} [headers] - Header values may contain `{{...}}` placeholders
+ * @property {string | Object} [body] - May contain `{{...}}` placeholders
+ * @property {number} [delayMs] - Response delay in milliseconds for this step
+ */
+
+/**
+ * @typedef {Object} ResponseSequence
+ * @property {ResponseSequenceStep[]} steps - Returned in order on successive calls
+ * @property {string} [keyHeader] - Header (e.g. `idempotency-key`) that gives each sender its own cursor
+ * @property {"repeat-last" | "loop"} [onComplete] - What happens after the last step (default `repeat-last`)
+ */
+
+/**
+ * @typedef {Object} MockRuleDefinition
+ * @property {number} priority - Lower values are evaluated first
+ * @property {boolean} enabled
+ * @property {string} [webhookId] - Restricts the rule to a single webhook
+ * @property {MockRuleMatch} match
+ * @property {MockRuleResponse} response
+ */
+
+/**
+ * @typedef {MockRuleDefinition & { id: string, createdAt: string, updatedAt: string }} MockRule
+ */
+
+/**
+ * @typedef {Object} MockRuleValidation
+ * @property {boolean} valid
+ * @property {string[]} errors - Human-readable validation errors
+ * @property {MockRuleDefinition} rule - Normalized rule definition
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} [webhookId]
+ * @property {string} method
+ * @property {string} path
+ * @property {Record<string, any>} headers - Lowercase header names
+ * @property {Record<string, any>} query
+ * @property {any} body - Parsed JSON body, raw string, or Buffer
+ */
+
 export {};
@@ -46,6 +46,30 @@ export function validateStatusCode(statusCode) {
   );
 }
 
+/**
+ * True for non-null, non-array objects (e.g. parsed JSON objects).
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * True for strings that parse as absolute http(s) URLs.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isHttpUrl(value) {
+  if (typeof value !== "string") return false;
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Recursively redacts keys in an object based on dot-separated paths.
  * @param {Object.<string, any>} obj - The object to redact properties from.
@@ -4,18 +4,44 @@
  * Validates Actor input and applies sensible defaults with safety bounds.
  * @module utils/config
  */
-import { APP_CONSTS } from "../consts/app.js";
+import Ajv from "ajv";
+import {
+  APP_CONSTS,
+  FORWARDING_CONSTS,
+  FORWARD_MODES,
+  WEBHOOK_CONFIG_OVERRIDES,
+} from "../consts/app.js";
 import { HTTP_CONSTS } from "../consts/http.js";
-import { LOG_COMPONENTS } from "../consts/logging.js";
+import { LOG_COMPONENTS, LOG_CONSTS } from "../consts/logging.js";
 import { LOG_MESSAGES } from "../consts/messages.js";
+import { ERROR_MESSAGES, SIGNATURE_ERRORS } from "../consts/errors.js";
+import {
+  FORWARD_SIGNING_PROVIDERS,
+  SIGNATURE_CONSTS,
+  SIGNATURE_PROVIDERS,
+  SIGNATURE_VERIFICATION_MODES,
+  SUPPORTED_PROVIDERS,
+} from "../consts/security.js";
 import { createChildLogger } from "./logger.js";
+import { isHttpUrl, isPlainObject, validateStatusCode } from "./common.js";
+import { isValidResponseSequence } from "./response_sequence.js";
+import { normalizeSignatureVerificationRules } from "./signature_rules.js";
+import { normalizeForwardDestinations } from "./forward_destinations.js";
+import { normalizeCustomScripts } from "./custom_scripts.js";
+import { normalizeSigningSecrets } from "./signing_secrets.js";
 
 /**
  * @typedef {import("../typedefs.js").ActorInput} ActorInput
  * @typedef {import("../typedefs.js").WebhookConfig} WebhookConfig
  * @typedef {import("../typedefs.js").RuntimeOptions} RuntimeOptions
+ * @typedef {import("../typedefs.js").WebhookConfigValidation} WebhookConfigValidation
+ * @typedef {import("ajv").default} AjvType
  */
 
+/** @type {AjvType} */
+// Force cast to handle ESM/CommonJS interop usually found with ajv
+const ajv = new Ajv.default();
+
 /**
  * Parses and normalizes Actor input options with sensible defaults.
  *
@@ -23,7 +49,10 @@ import { createChildLogger } from "./logger.js";
  * @returns {WebhookConfig} Normalized configuration object
  */
 export function parseWebhookOptions(options = {}) {
-  const signatureVerification = normalizeSignatureVerification(options);
+  const signatureVerification = applySigningSecrets(
+    normalizeSignatureVerification(options),
+    options.signatureVerificationSecrets,
+  );
 
   return {
     allowedIps: options.allowedIps ?? [],
@@ -32,23 +61,133 @@ export function parseWebhookOptions(options = {}) {
     defaultResponseBody:
       options.defaultResponseBody ?? HTTP_CONSTS.DEFAULT_SUCCESS_BODY,
     defaultResponseHeaders: options.defaultResponseHeaders ?? {},
+    responseSequence: normalizeResponseSequence(options.responseSequence),
     forwardUrl: options.forwardUrl,
+    forwardMode: /** @type {string[]} */ (
+      Object.values(FORWARD_MODES)
+    ).includes(String(options.forwardMode))
+      ? options.forwardMode
+      : APP_CONSTS.DEFAULT_FORWARD_MODE,
     forwardHeaders:
       options.forwardHeaders ?? APP_CONSTS.DEFAULT_FORWARD_HEADERS,
+    syncProxy: options.syncProxy ?? APP_CONSTS.DEFAULT_SYNC_PROXY,
+    forwardSigning: normalizeForwardSigning(options),
+    forwardDestinations: normalizeDestinations(options.forwardDestinations),
     jsonSchema: options.jsonSchema,
     customScript: options.customScript,
+    customScripts: normalizeScripts(options.customScripts),
     maskSensitiveData:
       options.maskSensitiveData ?? APP_CONSTS.DEFAULT_MASK_SENSITIVE_DATA,
     redactBodyPaths: options.redactBodyPaths ?? [],
     enableJSONParsing:
       options.enableJSONParsing ?? APP_CONSTS.DEFAULT_ENABLE_JSON_PARSING,
     signatureVerification,
+    signatureVerificationRules: normalizeSignatureRules(
+      options.signatureVerificationRules,
+    ),
+    signatureVerificationMode: /** @type {string[]} */ (
+      Object.values(SIGNATURE_VERIFICATION_MODES)
+    ).includes(String(options.signatureVerificationMode))
+      ? options.signatureVerificationMode
+      : SIGNATURE_CONSTS.DEFAULT_MODE,
     alerts: options.alerts,
     alertOn: options.alertOn,
     ...coerceRuntimeOptions(options),
   };
 }
 
+/**
+ * Drops a malformed `responseSequence` (with a warning) so the default
+ * response applies instead of failing every request.
+ *
+ * @param {unknown} sequence
+ * @returns {WebhookConfig["responseSequence"]}
+ */
+function normalizeResponseSequence(sequence) {
+  if (sequence === undefined || sequence === null) return undefined;
+  if (isValidResponseSequence(sequence)) return sequence;
+
+  const log = createChildLogger({ component: LOG_COMPONENTS.CONFIG });
+  log.warn(LOG_MESSAGES.RESPONSE_SEQUENCE_IGNORED);
+  return undefined;
+}
+
+/**
+ * Drops invalid conditional signature rules with a warning. Requests that only
+ * a dropped rule would have matched then follow `signatureVerificationMode`.
+ *
+ * @param {unknown} rules
+ * @returns {NonNullable<WebhookConfig["signatureVerificationRules"]>}
+ */
+function normalizeSignatureRules(rules) {
+  const { rules: normalized, errors } =
+    normalizeSignatureVerificationRules(rules);
+
+  if (errors.length > 0) {
+    const log = createChildLogger({ component: LOG_COMPONENTS.CONFIG });
+    log.warn({ errors }, LOG_MESSAGES.SIGNATURE_RULE_SKIPPED);
+  }
+  return normalized;
+}
+
+/**
+ * Drops invalid fan-out destinations with a warning; the remaining
+ * destinations and `forwardUrl` keep forwarding.
+ *
+ * @param {unknown} destinations
+ * @returns {NonNullable<WebhookConfig["forwardDestinations"]>}
+ */
+function normalizeDestinations(destinations) {
+  const { destinations: normalized, errors } =
+    normalizeForwardDestinations(destinations);
+
+  if (errors.length > 0) {
+    const log = createChildLogger({ component: LOG_COMPONENTS.CONFIG });
+    log.warn({ errors }, LOG_MESSAGES.FORWARD_DESTINATION_SKIPPED);
+  }
+  return normalized;
+}
+
+/**
+ * Drops invalid library scripts with a warning; the remaining scripts keep
+ * running in order.
+ *
+ * @param {unknown} scripts
+ * @returns {NonNullable<WebhookConfig["customScripts"]>}
+ */
+function normalizeScripts(scripts) {
+  const { scripts: normalized, errors } = normalizeCustomScripts(scripts);
+
+  if (errors.length > 0) {
+    const log = createChildLogger({ component: LOG_COMPONENTS.CONFIG });
+    log.warn({ errors }, LOG_MESSAGES.CUSTOM_SCRIPT_SKIPPED);
+  }
+  return normalized;
+}
+
+/**
+ * Sets the rotating `secrets` list from the top-level input (or the nested
+ * config when the input is absent), dropping invalid entries with a warning.
+ *
+ * @param {WebhookConfig["signatureVerification"]} signatureVerification
+ * @param {unknown} topLevelSecrets
+ * @returns {WebhookConfig["signatureVerification"]}
+ */
+function applySigningSecrets(signatureVerification, topLevelSecrets) {
+  const input = topLevelSecrets ?? signatureVerification?.secrets;
+  if (input === undefined) return signatureVerification;
+
+  const { secrets, errors } = normalizeSigningSecrets(input);
+  if (errors.length > 0) {
+    const log = createChildLogger({ component: LOG_COMPONENTS.CONFIG });
+    log.warn({ errors }, LOG_MESSAGES.SIGNING_SECRET_SKIPPED);
+  }
+
+  const { secrets: _ignoredSecrets, ...rest } = signatureVerification ?? {};
+  if (secrets.length === 0) return signatureVerification && rest;
+  return { ...rest, secrets };
+}
+
 /**
  * Maps the top-level Apify secret input into the nested runtime config while
  * keeping backward compatibility with older persisted inputs.
@@ -100,6 +239,41 @@ function normalizeSignatureVerification(options) {
   };
 }
 
+/**
+ * Merges the top-level `forwardSigningSecret` into `forwardSigning` and drops
+ * the setting (with a warning) when it cannot produce a signature, so requests
+ * are never forwarded with a half-configured signer.
+ *
+ * @param {WebhookConfig} options
+ * @returns {WebhookConfig["forwardSigning"]}
+ */
+function normalizeForwardSigning(options) {
+  const forwardSigning = options.forwardSigning;
+  if (!forwardSigning) return undefined;
+
+  const secret = String(
+    options.forwardSigningSecret ?? forwardSigning.secret ?? "",
+  ).trim();
+  let error;
+  if (!FORWARD_SIGNING_PROVIDERS.includes(forwardSigning.provider)) {
+    error = `${SIGNATURE_ERRORS.UNKNOWN_PROVIDER}: ${forwardSigning.provider}`;
+  } else if (!secret) {
+    error = SIGNATURE_ERRORS.NO_SECRET;
+  } else if (
+    forwardSigning.provider === SIGNATURE_PROVIDERS.CUSTOM &&
+    !forwardSigning.headerName
+  ) {
+    error = SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED;
+  }
+
+  if (error) {
+    const log = createChildLogger({ component: LOG_COMPONENTS.CONFIG });
+    log.warn({ error }, LOG_MESSAGES.FORWARD_SIGNING_IGNORED);
+    return undefined;
+  }
+  return { ...forwardSigning, secret };
+}
+
 /**
  * Coerces and validates runtime options for hot-reloading.
  * @param {Partial<WebhookConfig>} input
@@ -172,6 +346,17 @@ export function coerceRuntimeOptions(input) {
         )
       : APP_CONSTS.DEFAULT_REPLAY_TIMEOUT_MS;
 
+  const syncProxyTimeoutRaw = Number(input.syncProxyTimeoutMs);
+  const syncProxyTimeoutMs =
+    Number.isFinite(syncProxyTimeoutRaw) &&
+    syncProxyTimeoutRaw >= APP_CONSTS.MIN_SYNC_PROXY_TIMEOUT_MS
+      ? clampWithWarning(
+          Math.floor(syncProxyTimeoutRaw),
+          APP_CONSTS.MAX_SAFE_SYNC_PROXY_TIMEOUT_MS,
+          "syncProxyTimeoutMs",
+        )
+      : APP_CONSTS.DEFAULT_SYNC_PROXY_TIMEOUT_MS;
+
   const forwardRetriesRaw = Number(input.maxForwardRetries);
   const maxForwardRetries =
     Number.isFinite(forwardRetriesRaw) && forwardRetriesRaw >= 0
@@ -203,12 +388,278 @@ export function coerceRuntimeOptions(input) {
     responseDelayMs,
     replayMaxRetries,
     replayTimeoutMs,
+    syncProxyTimeoutMs,
     maxForwardRetries,
     useFixedMemory,
     fixedMemoryMbytes,
   };
 }
 
+/**
+ * @param {unknown} source
+ * @returns {boolean} True if the JSON Schema (object or JSON string) compiles
+ */
+const isCompilableSchema = (source) => {
+  try {
+    const schema = typeof source === "string" ? JSON.parse(source) : source;
+    if (!isPlainObject(schema)) return false;
+    ajv.compile(schema);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Structural checks for each per-webhook override, keyed by setting name.
+ * Value ranges are clamped afterwards by `parseWebhookOptions()`.
+ * @type {Record<string, { expected: string, check: (value: any) => boolean }>}
+ */
+const OVERRIDE_VALIDATORS = {
+  defaultResponseCode: {
+    expected: "a known HTTP status code",
+    check: (v) => Number.isInteger(v) && validateStatusCode(v),
+  },
+  defaultResponseBody: {
+    expected: "a string or JSON object",
+    check: (v) => typeof v === "string" || isPlainObject(v),
+  },
+  defaultResponseHeaders: {
+    expected: "an object of string header values",
+    check: (v) =>
+      isPlainObject(v) &&
+      Object.values(v).every((header) => typeof header === "string"),
+  },
+  responseDelayMs: {
+    expected: "a non-negative number",
+    check: (v) => typeof v === "number" && Number.isFinite(v) && v >= 0,
+  },
+  forwardUrl: {
+    expected: "an http(s) URL",
+    check: isHttpUrl,
+  },
+  forwardMode: {
+    expected: `one of ${Object.values(FORWARD_MODES).join(", ")}`,
+    check: (v) => Object.values(FORWARD_MODES).includes(v),
+  },
+  forwardHeaders: {
+    expected: "a boolean",
+    check: (v) => typeof v === "boolean",
+  },
+  syncProxy: {
+    expected: "a boolean",
+    check: (v) => typeof v === "boolean",
+  },
+  syncProxyTimeoutMs: {
+    expected: `an integer of at least ${APP_CONSTS.MIN_SYNC_PROXY_TIMEOUT_MS}`,
+    check: (v) =>
+      Number.isInteger(v) && v >= APP_CONSTS.MIN_SYNC_PROXY_TIMEOUT_MS,
+  },
+  maxForwardRetries: {
+    expected: "a non-negative integer",
+    check: (v) => Number.isInteger(v) && v >= 0,
+  },
+  forwardSigning: {
+    expected: `an object with provider one of ${FORWARD_SIGNING_PROVIDERS.join(", ")} and a secret`,
+    check: (v) =>
+      isPlainObject(v) &&
+      FORWARD_SIGNING_PROVIDERS.includes(v.provider) &&
+      typeof v.secret === "string" &&
+      v.secret.trim() !== "" &&
+      (v.provider !== SIGNATURE_PROVIDERS.CUSTOM ||
+        typeof v.headerName === "string"),
+  },
+  forwardDestinations: {
+    expected: `an array of at most ${FORWARDING_CONSTS.MAX_DESTINATIONS} destinations of { id, url, mode?, match?, forwardHeaders?, setHeaders?, removeHeaders?, maxRetries?, circuitBreakerKey? } with unique ids`,
+    check: (v) => normalizeForwardDestinations(v).errors.length === 0,
+  },
+  jsonSchema: {
+    expected: "a valid JSON Schema (object or JSON string)",
+    check: isCompilableSchema,
+  },
+  signatureVerification: {
+    expected: `an object with provider one of ${SUPPORTED_PROVIDERS.join(", ")}`,
+    check: (v) =>
+      isPlainObject(v) &&
+      (v.provider === undefined || SUPPORTED_PROVIDERS.includes(v.provider)) &&
+      (v.secret === undefined || typeof v.secret === "string") &&
+      (v.secrets === undefined || Array.isArray(v.secrets)) &&
+      (v.publicKeys === undefined || Array.isArray(v.publicKeys)) &&
+      (v.jwksFile === undefined || typeof v.jwksFile === "string"),
+  },
+  enableJSONParsing: {
+    expected: "a boolean",
+    check: (v) => typeof v === "boolean",
+  },
+  redactBodyPaths: {
+    expected: "an array of strings",
+    check: (v) =>
+      Array.isArray(v) && v.every((path) => typeof path === "string"),
+  },
+  maskSensitiveData: {
+    expected: "a boolean",
+    check: (v) => typeof v === "boolean",
+  },
+  responseSequence: {
+    expected: `an object with 1-${APP_CONSTS.MAX_RESPONSE_SEQUENCE_STEPS} steps of { status, headers?, body?, delayMs? } with delayMs of at most ${APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS}`,
+    check: isValidResponseSequence,
+  },
+};
+
+/**
+ * Validates and normalizes per-webhook configuration overrides.
+ * Only settings in `WEBHOOK_CONFIG_OVERRIDES` are accepted. Values are
+ * normalized through `parseWebhookOptions()` so they are clamped and trimmed
+ * exactly like Actor input. A `null` value is preserved and means "remove".
+ *
+ * @param {unknown} overrides - Raw overrides (e.g. a management API request body)
+ * @returns {WebhookConfigValidation}
+ */
+export function validateWebhookOverrides(overrides) {
+  if (!isPlainObject(overrides)) {
+    return {
+      valid: false,
+      errors: [ERROR_MESSAGES.INVALID_JSON_BODY],
+      config: {},
+    };
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+  /** @type {Record<string, any>} */
+  const accepted = {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!WEBHOOK_CONFIG_OVERRIDES.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_WEBHOOK_SETTING(key));
+      continue;
+    }
+    if (value === null) {
+      accepted[key] = null;
+      continue;
+    }
+    const validator = OVERRIDE_VALIDATORS[key];
+    if (!validator.check(value)) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_WEBHOOK_SETTING(key, validator.expected),
+      );
+      continue;
+    }
+    accepted[key] = value;
+  }
+
+  const parsed = /** @type {Record<string, any>} */ (
+    parseWebhookOptions(accepted)
+  );
+  const config = Object.fromEntries(
+    Object.keys(accepted).map((key) => [
+      key,
+      accepted[key] === null ? null : parsed[key],
+    ]),
+  );
+
+  return { valid: errors.length === 0, errors, config };
+}
+
+/**
+ * Masks the signing secrets and destination `setHeaders` values (which
+ * typically carry target credentials) so per-webhook config, or a whole webhook
+ * record carrying it, can be returned safely.
+ * @param {Record<string, any>} config
+ * @returns {Record<string, any>}
+ */
+export function maskWebhookConfig(config) {
+  const { signatureVerification, forwardSigning, forwardDestinations } = config;
+  const masked = { ...config };
+
+  if (signatureVerification?.secret || signatureVerification?.secrets) {
+    masked.signatureVerification = {
+      ...signatureVerification,
+      ...(signatureVerification.secret && { secret: LOG_CONSTS.MASKED_VALUE }),
+      ...(signatureVerification.secrets && {
+        secrets: signatureVerification.secrets.map(
+          /** @param {Record<string, any>} entry */
+          (entry) => ({ ...entry, secret: LOG_CONSTS.MASKED_VALUE }),
+        ),
+      }),
+    };
+  }
+  if (forwardSigning?.secret) {
+    masked.forwardSigning = {
+      ...forwardSigning,
+      secret: LOG_CONSTS.MASKED_VALUE,
+    };
+  }
+  if (Array.isArray(forwardDestinations)) {
+    masked.forwardDestinations = forwardDestinations.map(
+      /** @param {Record<string, any>} destination */
+      (destination) =>
+        destination.setHeaders
+          ? {
+              ...destination,
+              setHeaders: Object.fromEntries(
+                Object.keys(destination.setHeaders).map((name) => [
+                  name,
+                  LOG_CONSTS.MASKED_VALUE,
+                ]),
+              ),
+            }
+          : destination,
+    );
+  }
+  return masked;
+}
+
+/**
+ * Replaces masked secrets echoed back from GET with the stored values.
+ * Rotating secrets are matched by position, destination headers by destination
+ * id and header name.
+ * @param {Record<string, any>} config
+ * @param {Record<string, any> | undefined} stored
+ */
+export function restoreMaskedSecrets(config, stored) {
+  const { signatureVerification, forwardSigning, forwardDestinations } = config;
+
+  if (forwardSigning?.secret === LOG_CONSTS.MASKED_VALUE) {
+    forwardSigning.secret = stored?.forwardSigning?.secret;
+  }
+  if (Array.isArray(forwardDestinations)) {
+    for (const destination of forwardDestinations) {
+      const headers = destination?.setHeaders;
+      if (!headers || typeof headers !== "object") continue;
+      const storedHeaders = stored?.forwardDestinations?.find(
+        /** @param {Record<string, any>} entry */
+        (entry) => entry?.id === destination.id,
+      )?.setHeaders;
+      for (const [name, value] of Object.entries(headers)) {
+        if (value === LOG_CONSTS.MASKED_VALUE) {
+          headers[name] = storedHeaders?.[name];
+        }
+      }
+    }
+  }
+  if (!signatureVerification) return;
+
+  if (signatureVerification.secret === LOG_CONSTS.MASKED_VALUE) {
+    signatureVerification.secret = stored?.signatureVerification?.secret;
+  }
+  if (Array.isArray(signatureVerification.secrets)) {
+    signatureVerification.secrets = signatureVerification.secrets.map(
+      /**
+       * @param {Record<string, any>} entry
+       * @param {number} index
+       */
+      (entry, index) =>
+        entry?.secret === LOG_CONSTS.MASKED_VALUE
+          ? {
+              ...entry,
+              secret: stored?.signatureVerification?.secrets?.[index]?.secret,
+            }
+          : entry,
+    );
+  }
+}
+
 /**
  * Normalizes input value from Key-Value store.
  * Handles stringified JSON and safe fallback.
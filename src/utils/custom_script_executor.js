@@ -1,15 +1,17 @@
 /**
  * @file src/utils/custom_script_executor.js
- * @description Validates and executes custom webhook scripts inside disposable worker isolates.
+ * @description Validates and executes custom webhook scripts inside a bounded pool
+ * of warm worker isolates.
  * @module utils/custom_script_executor
  */
 
 import vm from "node:vm";
-import { Worker } from "node:worker_threads";
 import { ENV_VARS } from "../consts/env.js";
 import { getInt } from "./env.js";
 import { ERROR_MESSAGES } from "../consts/errors.js";
-import { STREAM_EVENTS } from "../consts/app.js";
+import { APP_CONSTS, CUSTOM_SCRIPT_POOL_CONSTS } from "../consts/app.js";
+import { CustomScriptWorkerPool } from "./custom_script_pool.js";
+import { wrapCustomScriptSource } from "./custom_script_helpers.js";
 
 const CUSTOM_SCRIPT_WORKER_URL = new URL(
   "./custom_script_worker.js",
@@ -60,6 +62,10 @@ const WORKER_RESOURCE_LIMITS = Object.freeze({
   stackSizeMb: 4,
 });
 
+/**
+ * @typedef {import("./custom_script_pool.js").CustomScriptPoolStats} CustomScriptPoolStats
+ */
+
 /**
  * @typedef {object} CustomScriptExecutionRequest
  * @property {string} source
@@ -77,119 +83,72 @@ const WORKER_RESOURCE_LIMITS = Object.freeze({
  */
 
 /**
+ * @param {string} code
+ * @returns {vm.Script}
+ */
+// eslint-disable-next-line sonarjs/code-eval
+const compileScript = (code) => new vm.Script(code);
+
+/**
+ * Syntax-checks a script the way the worker compiles it, so top-level `await`
+ * is accepted.
  * @param {string} source
  * @returns {string}
  */
 export function validateCustomScriptSource(source) {
-  // eslint-disable-next-line sonarjs/code-eval
-  const compiledScript = new vm.Script(source);
+  /** @type {vm.Script} */
+  let compiledScript;
+  try {
+    compiledScript = compileScript(wrapCustomScriptSource(source));
+  } catch (error) {
+    // Prefer the error for the script as written, e.g. "Unexpected end of
+    // input" rather than a complaint about the wrapper's closing brace
+    compileScript(source);
+    throw error;
+  }
   if (!(compiledScript instanceof vm.Script)) {
     throw new Error(ERROR_MESSAGES.SCRIPT_COMPILATION_FAILED);
   }
   return source;
 }
 
+const customScriptPool = new CustomScriptWorkerPool({
+  workerUrl: CUSTOM_SCRIPT_WORKER_URL,
+  maxWorkers: Math.max(CUSTOM_SCRIPT_POOL_CONSTS.MAX_WORKERS, 1),
+  maxExecutionsPerWorker: Math.max(
+    CUSTOM_SCRIPT_POOL_CONSTS.MAX_EXECUTIONS_PER_WORKER,
+    1,
+  ),
+  heapRecycleBytes:
+    WORKER_RESOURCE_LIMITS.maxOldGenerationSizeMb *
+    APP_CONSTS.BYTES_PER_KB *
+    APP_CONSTS.BYTES_PER_KB *
+    CUSTOM_SCRIPT_POOL_CONSTS.HEAP_RECYCLE_RATIO,
+  watchdogGraceMs: CUSTOM_SCRIPT_POOL_CONSTS.WATCHDOG_GRACE_MS,
+  resourceLimits: WORKER_RESOURCE_LIMITS,
+});
+
 /**
+ * Runs a script on a pooled worker. Worker crashes and unresponsive workers
+ * reject; script errors and vm timeouts resolve with `ok: false`.
  * @param {CustomScriptExecutionRequest} request
  * @returns {Promise<CustomScriptExecutionResult>}
  */
 export async function executeCustomScript(request) {
-  const worker = new Worker(CUSTOM_SCRIPT_WORKER_URL, {
-    workerData: request,
-    resourceLimits: WORKER_RESOURCE_LIMITS,
-  });
-
-  if (typeof worker.unref === "function") {
-    worker.unref();
-  }
-
-  let settled = false;
-  let exited = false;
-  /** @type {Promise<number | void> | null} */
-  let terminationPromise = null;
-
-  /**
-   * @returns {Promise<number | void> | null}
-   */
-  const terminateWorker = () => {
-    if (!exited && !terminationPromise) {
-      terminationPromise = worker.terminate().catch(() => undefined);
-    }
-
-    return terminationPromise;
-  };
-
-  /**
-   * @param {{ awaitTermination?: boolean }} [options]
-   * @returns {Promise<void>}
-   */
-  const cleanupWorker = async (options = {}) => {
-    const { awaitTermination = false } = options;
-    worker.removeAllListeners(STREAM_EVENTS.MESSAGE);
-    worker.removeAllListeners(STREAM_EVENTS.ERROR);
-    worker.removeAllListeners(STREAM_EVENTS.EXIT);
-
-    const maybeTermination = terminateWorker();
-
-    if (awaitTermination && maybeTermination) {
-      await maybeTermination;
-    }
-  };
-
-  return await new Promise((resolve, reject) => {
-    /**
-     * @param {{ awaitTermination?: boolean }} [options]
-     * @param {() => void} [settle]
-     * @returns {void}
-     */
-    const settleAfterCleanup = (options, settle) => {
-      cleanupWorker(options).then(settle, reject);
-    };
-
-    worker.once(STREAM_EVENTS.MESSAGE, (result) => {
-      if (settled) {
-        return;
-      }
-
-      settled = true;
-      const shouldAwaitTermination =
-        !!result &&
-        typeof result === "object" &&
-        "ok" in result &&
-        result.ok === false;
-      if (shouldAwaitTermination) {
-        settleAfterCleanup({ awaitTermination: true }, () => {
-          resolve(result);
-        });
-      } else {
-        settleAfterCleanup(undefined, () => {
-          resolve(result);
-        });
-      }
-    });
-
-    worker.once(STREAM_EVENTS.ERROR, (error) => {
-      if (settled) {
-        return;
-      }
-
-      settled = true;
-      settleAfterCleanup({ awaitTermination: true }, () => {
-        reject(error);
-      });
-    });
-
-    worker.once(STREAM_EVENTS.EXIT, (code) => {
-      exited = true;
+  return await customScriptPool.run(request);
+}
 
-      if (settled || code === 0) {
-        return;
-      }
+/**
+ * @returns {CustomScriptPoolStats}
+ */
+export function getCustomScriptPoolStats() {
+  return customScriptPool.getStats();
+}
 
-      settled = true;
-      settleAfterCleanup({ awaitTermination: true }, () => {
-        reject(new Error(ERROR_MESSAGES.SCRIPT_EXECUTION_FAILED(code)));
-      });
-    });
-  });
+/**
+ * Terminates the pooled workers, e.g. on shutdown.
+ * @returns {Promise<void>}
+ */
+export async function closeCustomScriptPool() {
+  await customScriptPool.close();
 }
@@ -0,0 +1,370 @@
+/**
+ * @file src/utils/custom_script_helpers.js
+ * @description The frozen `utils` global custom scripts get inside their worker,
+ * and the wrapper that lets scripts use top-level `await`. Every helper is
+ * synchronous and deterministic apart from `crypto.randomUUID` and `time.now`,
+ * so an awaited helper never outlives the script timeout.
+ * @module utils/custom_script_helpers
+ */
+import {
+  createHash,
+  createHmac,
+  randomUUID,
+  timingSafeEqual,
+} from "node:crypto";
+import { APP_CONSTS, CUSTOM_SCRIPT_UTILS_CONSTS } from "../consts/app.js";
+import { ENCODINGS } from "../consts/http.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { resolveJsonPath, toPathSegments } from "./mock_rules.js";
+
+/**
+ * @typedef {import("node:crypto").BinaryToTextEncoding} BinaryToTextEncoding
+ */
+
+// Kept on the first line so syntax error line numbers match the user's source
+const ASYNC_SCRIPT_PREFIX = "(async () => {";
+const ASYNC_SCRIPT_SUFFIX = "\n})()";
+const ARRAY_INDEX_PATTERN = /^\d+$/;
+
+/**
+ * Wraps a custom script in an async function so it can `await` at the top
+ * level. Running the wrapped script returns a promise for its completion.
+ * @param {string} source
+ * @returns {string}
+ */
+export const wrapCustomScriptSource = (source) =>
+  `${ASYNC_SCRIPT_PREFIX}${source}${ASYNC_SCRIPT_SUFFIX}`;
+
+/**
+ * @param {unknown} algorithm
+ * @returns {string}
+ */
+const assertAlgorithm = (algorithm) => {
+  const normalized = String(algorithm).toLowerCase();
+  if (!CUSTOM_SCRIPT_UTILS_CONSTS.HASH_ALGORITHMS.includes(normalized)) {
+    throw new TypeError(
+      ERROR_MESSAGES.SCRIPT_UTILS_UNSUPPORTED_ALGORITHM(algorithm),
+    );
+  }
+  return normalized;
+};
+
+/**
+ * @param {unknown} encoding
+ * @returns {BinaryToTextEncoding}
+ */
+const assertEncoding = (encoding) => {
+  if (
+    typeof encoding !== "string" ||
+    !CUSTOM_SCRIPT_UTILS_CONSTS.DIGEST_ENCODINGS.includes(encoding)
+  ) {
+    throw new TypeError(
+      ERROR_MESSAGES.SCRIPT_UTILS_UNSUPPORTED_ENCODING(encoding),
+    );
+  }
+  return /** @type {BinaryToTextEncoding} */ (encoding);
+};
+
+/**
+ * Accepts strings as UTF-8 and anything else as its JSON text, so a parsed
+ * body can be hashed directly.
+ * @param {unknown} data
+ * @returns {string}
+ */
+const toText = (data) =>
+  typeof data === "string" ? data : (JSON.stringify(data) ?? "");
+
+/**
+ * @param {unknown} value - Date, epoch milliseconds, or a date string
+ * @returns {Date | null}
+ */
+const toDate = (value) => {
+  if (value === null || value === undefined || typeof value === "boolean") {
+    return null;
+  }
+  const date =
+    value instanceof Date
+      ? new Date(value.getTime())
+      : new Date(/** @type {string | number} */ (value));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @param {unknown} target
+ * @param {string} path
+ * @param {unknown} value
+ * @returns {unknown} `target`, mutated
+ */
+const setJsonPath = (target, path, value) => {
+  const segments = toPathSegments(path);
+  if (
+    segments.length === 0 ||
+    segments.some((segment) =>
+      CUSTOM_SCRIPT_UTILS_CONSTS.UNSAFE_PATH_SEGMENTS.includes(segment),
+    ) ||
+    target === null ||
+    typeof target !== "object"
+  ) {
+    throw new TypeError(ERROR_MESSAGES.SCRIPT_UTILS_UNSAFE_PATH(path));
+  }
+
+  /** @type {any} */
+  let current = target;
+  segments.slice(0, -1).forEach((segment, index) => {
+    const existing = Object.hasOwn(current, segment)
+      ? current[segment]
+      : undefined;
+    if (existing === null || typeof existing !== "object") {
+      // Create arrays for numeric segments, like `$.items[0]`
+      current[segment] = ARRAY_INDEX_PATTERN.test(segments[index + 1])
+        ? []
+        : {};
+    }
+    current = current[segment];
+  });
+  current[segments[segments.length - 1]] = value;
+  return target;
+};
+
+/**
+ * @param {unknown} input
+ * @returns {Record<string, string | string[]>}
+ */
+const parseQuery = (input) => {
+  /** @type {Record<string, string | string[]>} */
+  const query = {};
+  for (const [key, value] of new URLSearchParams(String(input ?? ""))) {
+    if (CUSTOM_SCRIPT_UTILS_CONSTS.UNSAFE_PATH_SEGMENTS.includes(key)) {
+      continue;
+    }
+    const existing = Object.hasOwn(query, key) ? query[key] : undefined;
+    if (existing === undefined) {
+      query[key] = value;
+    } else {
+      query[key] = Array.isArray(existing)
+        ? [...existing, value]
+        : [existing, value];
+    }
+  }
+  return query;
+};
+
+/**
+ * @template T
+ * @param {T} value
+ * @returns {Readonly<T>}
+ */
+const deepFreeze = (value) => {
+  Object.values(/** @type {object} */ (value)).forEach((child) => {
+    if (
+      child &&
+      (typeof child === "object" || typeof child === "function") &&
+      !Object.isFrozen(child)
+    ) {
+      deepFreeze(child);
+    }
+  });
+  return Object.freeze(value);
+};
+
+/**
+ * The `utils` global. It is shared by every execution on a worker, so it is
+ * frozen all the way down.
+ */
+export const CUSTOM_SCRIPT_UTILS = deepFreeze({
+  crypto: {
+    /**
+     * @param {string} algorithm - md5, sha1, sha256, sha384, or sha512
+     * @param {unknown} data
+     * @param {string} [encoding] - hex (default), base64, or base64url
+     * @returns {string}
+     */
+    hash: (
+      algorithm,
+      data,
+      encoding = CUSTOM_SCRIPT_UTILS_CONSTS.DEFAULT_DIGEST_ENCODING,
+    ) =>
+      createHash(assertAlgorithm(algorithm))
+        .update(toText(data))
+        .digest(assertEncoding(encoding)),
+    /**
+     * @param {string} algorithm
+     * @param {string} key
+     * @param {unknown} data
+     * @param {string} [encoding]
+     * @returns {string}
+     */
+    hmac: (
+      algorithm,
+      key,
+      data,
+      encoding = CUSTOM_SCRIPT_UTILS_CONSTS.DEFAULT_DIGEST_ENCODING,
+    ) =>
+      createHmac(assertAlgorithm(algorithm), String(key))
+        .update(toText(data))
+        .digest(assertEncoding(encoding)),
+    /**
+     * Constant-time string comparison for signatures.
+     * @param {unknown} a
+     * @param {unknown} b
+     * @returns {boolean}
+     */
+    timingSafeEqual: (a, b) => {
+      const left = Buffer.from(String(a));
+      const right = Buffer.from(String(b));
+      return left.length === right.length && timingSafeEqual(left, right);
+    },
+    /**
+     * @returns {string}
+     */
+    randomUUID: () => randomUUID(),
+  },
+  encoding: {
+    /**
+     * @param {unknown} text
+     * @returns {string}
+     */
+    base64Encode: (text) =>
+      Buffer.from(toText(text)).toString(ENCODINGS.BASE64),
+    /**
+     * @param {unknown} base64
+     * @returns {string}
+     */
+    base64Decode: (base64) =>
+      Buffer.from(String(base64), ENCODINGS.BASE64).toString(),
+    /**
+     * @param {unknown} text
+     * @returns {string}
+     */
+    base64UrlEncode: (text) =>
+      Buffer.from(toText(text)).toString(ENCODINGS.BASE64URL),
+    /**
+     * Decodes base64url, e.g. a JWT segment.
+     * @param {unknown} base64url
+     * @returns {string}
+     */
+    base64UrlDecode: (base64url) =>
+      Buffer.from(String(base64url), ENCODINGS.BASE64URL).toString(),
+    /**
+     * @param {unknown} text
+     * @returns {string}
+     */
+    hexEncode: (text) => Buffer.from(toText(text)).toString(ENCODINGS.HEX),
+    /**
+     * @param {unknown} hex
+     * @returns {string}
+     */
+    hexDecode: (hex) => Buffer.from(String(hex), ENCODINGS.HEX).toString(),
+  },
+  url: {
+    /**
+     * @param {unknown} url
+     * @returns {{ href: string, protocol: string, host: string, hostname: string, port: string, pathname: string, search: string, hash: string, query: Record<string, string | string[]> } | null}
+     * `null` when `url` is not an absolute URL
+     */
+    parse: (url) => {
+      try {
+        const parsed = new URL(String(url));
+        return {
+          href: parsed.href,
+          protocol: parsed.protocol,
+          host: parsed.host,
+          hostname: parsed.hostname,
+          port: parsed.port,
+          pathname: parsed.pathname,
+          search: parsed.search,
+          hash: parsed.hash,
+          query: parseQuery(parsed.search),
+        };
+      } catch {
+        return null;
+      }
+    },
+    /**
+     * Parses a query string or `application/x-www-form-urlencoded` body.
+     * Repeated keys become arrays.
+     * @param {unknown} query
+     * @returns {Record<string, string | string[]>}
+     */
+    parseQuery,
+    /**
+     * @param {Record<string, unknown>} params - Array values repeat the key
+     * @returns {string}
+     */
+    buildQuery: (params) => {
+      const search = new URLSearchParams();
+      Object.entries(params ?? {}).forEach(([key, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach((item) => {
+          if (item !== undefined && item !== null) {
+            search.append(key, String(item));
+          }
+        });
+      });
+      return search.toString();
+    },
+  },
+  json: {
+    /**
+     * @param {unknown} target
+     * @param {string} path - e.g. `$.data.items[0].id`
+     * @returns {unknown} `undefined` when the path does not exist
+     */
+    get: (target, path) => resolveJsonPath(target, String(path)),
+    /**
+     * Sets a value, creating missing objects and arrays along the path.
+     * @param {unknown} target
+     * @param {string} path
+     * @param {unknown} value
+     * @returns {unknown} `target`
+     */
+    set: (target, path, value) => setJsonPath(target, String(path), value),
+  },
+  time: {
+    /**
+     * @returns {string} Current time as ISO 8601
+     */
+    now: () => new Date().toISOString(),
+    /**
+     * @param {unknown} value - Date, epoch milliseconds, or a date string
+     * @returns {string | null} ISO 8601, or `null` for an invalid date
+     */
+    toIso: (value) => toDate(value)?.toISOString() ?? null,
+    /**
+     * @param {unknown} value
+     * @returns {number | null} Epoch seconds
+     */
+    toUnix: (value) => {
+      const date = toDate(value);
+      return date
+        ? Math.floor(date.getTime() / APP_CONSTS.MS_PER_SECOND)
+        : null;
+    },
+    /**
+     * @param {unknown} seconds - Epoch seconds, e.g. a JWT `exp` claim
+     * @returns {string | null}
+     */
+    fromUnix: (seconds) =>
+      toDate(Number(seconds) * APP_CONSTS.MS_PER_SECOND)?.toISOString() ?? null,
+    /**
+     * @param {unknown} value
+     * @param {number} ms - May be negative
+     * @returns {string | null}
+     */
+    addMs: (value, ms) => {
+      const date = toDate(value);
+      return date && Number.isFinite(ms)
+        ? (toDate(date.getTime() + ms)?.toISOString() ?? null)
+        : null;
+    },
+    /**
+     * @param {unknown} from
+     * @param {unknown} to
+     * @returns {number | null} `to - from` in milliseconds
+     */
+    diffMs: (from, to) => {
+      const start = toDate(from);
+      const end = toDate(to);
+      return start && end ? end.getTime() - start.getTime() : null;
+    },
+  },
+});
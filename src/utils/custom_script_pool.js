@@ -0,0 +1,317 @@
+/**
+ * @file src/utils/custom_script_pool.js
+ * @description Bounded pool of warm custom-script workers. Workers are reused
+ * across executions and replaced after a set number of runs, on heap pressure,
+ * when they crash, or when a script outlives its timeout.
+ * @module utils/custom_script_pool
+ */
+
+import { createHash } from "node:crypto";
+import { Worker } from "node:worker_threads";
+import { CUSTOM_SCRIPT_POOL_CONSTS, STREAM_EVENTS } from "../consts/app.js";
+import { ERROR_MESSAGES, NODE_ERROR_CODES } from "../consts/errors.js";
+
+/**
+ * @typedef {import("node:worker_threads").ResourceLimits} ResourceLimits
+ * @typedef {import("./custom_script_executor.js").CustomScriptExecutionRequest} CustomScriptExecutionRequest
+ * @typedef {import("./custom_script_executor.js").CustomScriptExecutionResult} CustomScriptExecutionResult
+ */
+
+/**
+ * @typedef {object} CustomScriptPoolOptions
+ * @property {URL} workerUrl
+ * @property {number} maxWorkers
+ * @property {number} maxExecutionsPerWorker
+ * @property {number} heapRecycleBytes - Used heap after which a worker is replaced
+ * @property {number} watchdogGraceMs
+ * @property {ResourceLimits} resourceLimits
+ */
+
+/**
+ * @typedef {object} PoolTask
+ * @property {number} id
+ * @property {string} hash
+ * @property {CustomScriptExecutionRequest} request
+ * @property {(result: CustomScriptExecutionResult) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+/**
+ * @typedef {object} PooledWorker
+ * @property {Worker} worker
+ * @property {number} executions
+ * @property {PoolTask | null} task
+ * @property {ReturnType<typeof setTimeout> | undefined} watchdog
+ * @property {boolean} retired
+ */
+
+/**
+ * @typedef {object} CustomScriptWorkerMessage
+ * @property {number} id
+ * @property {CustomScriptExecutionResult} result
+ * @property {boolean} cached
+ * @property {number} heapUsedBytes
+ */
+
+/**
+ * @typedef {object} CustomScriptPoolStats
+ * @property {number} maxWorkers
+ * @property {number} workers
+ * @property {number} busy
+ * @property {number} idle
+ * @property {number} queued
+ * @property {number} executions
+ * @property {number} workersStarted
+ * @property {{ hits: number, misses: number }} scriptCache
+ * @property {{ maxExecutions: number, heapPressure: number }} recycled
+ * @property {number} crashed
+ * @property {number} timedOut
+ */
+
+/**
+ * @param {string} source
+ * @returns {string}
+ */
+const hashSource = (source) =>
+  createHash(CUSTOM_SCRIPT_POOL_CONSTS.HASH_ALGORITHM)
+    .update(source)
+    .digest("hex");
+
+export class CustomScriptWorkerPool {
+  /** @type {CustomScriptPoolOptions} */
+  #options;
+  /** @type {PooledWorker[]} */
+  #workers = [];
+  /** @type {PoolTask[]} */
+  #queue = [];
+  #nextTaskId = 0;
+  #stats = {
+    executions: 0,
+    workersStarted: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    recycledMaxExecutions: 0,
+    recycledHeapPressure: 0,
+    crashed: 0,
+    timedOut: 0,
+  };
+
+  /**
+   * @param {CustomScriptPoolOptions} options
+   */
+  constructor(options) {
+    this.#options = options;
+  }
+
+  /**
+   * Runs a script on the next free worker, queueing when all workers are busy.
+   * @param {CustomScriptExecutionRequest} request
+   * @returns {Promise<CustomScriptExecutionResult>}
+   */
+  run(request) {
+    return new Promise((resolve, reject) => {
+      this.#nextTaskId += 1;
+      this.#queue.push({
+        id: this.#nextTaskId,
+        hash: hashSource(request.source),
+        request,
+        resolve,
+        reject,
+      });
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * @returns {CustomScriptPoolStats}
+   */
+  getStats() {
+    const busy = this.#workers.filter((pooled) => pooled.task).length;
+    return {
+      maxWorkers: this.#options.maxWorkers,
+      workers: this.#workers.length,
+      busy,
+      idle: this.#workers.length - busy,
+      queued: this.#queue.length,
+      executions: this.#stats.executions,
+      workersStarted: this.#stats.workersStarted,
+      scriptCache: {
+        hits: this.#stats.cacheHits,
+        misses: this.#stats.cacheMisses,
+      },
+      recycled: {
+        maxExecutions: this.#stats.recycledMaxExecutions,
+        heapPressure: this.#stats.recycledHeapPressure,
+      },
+      crashed: this.#stats.crashed,
+      timedOut: this.#stats.timedOut,
+    };
+  }
+
+  /**
+   * Terminates every worker and rejects queued and in-flight executions. The
+   * pool starts new workers if it is used again.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const closedError = new Error(ERROR_MESSAGES.SCRIPT_POOL_CLOSED);
+    for (const task of this.#queue.splice(0)) task.reject(closedError);
+    await Promise.all(
+      [...this.#workers].map((pooled) => {
+        pooled.task?.reject(closedError);
+        return this.#retire(pooled);
+      }),
+    );
+  }
+
+  #dispatch() {
+    while (this.#queue.length > 0) {
+      let pooled = this.#workers.find((candidate) => !candidate.task);
+      if (!pooled) {
+        if (this.#workers.length >= this.#options.maxWorkers) return;
+        pooled = this.#spawn();
+      }
+      this.#assign(pooled, /** @type {PoolTask} */ (this.#queue.shift()));
+    }
+  }
+
+  /**
+   * @returns {PooledWorker}
+   */
+  #spawn() {
+    const worker = new Worker(this.#options.workerUrl, {
+      resourceLimits: this.#options.resourceLimits,
+    });
+
+    /** @type {PooledWorker} */
+    const pooled = {
+      worker,
+      executions: 0,
+      task: null,
+      watchdog: undefined,
+      retired: false,
+    };
+
+    worker.on(STREAM_EVENTS.MESSAGE, (message) => {
+      this.#handleMessage(pooled, message);
+    });
+    worker.on(STREAM_EVENTS.ERROR, (error) => {
+      this.#handleFailure(pooled, /** @type {Error} */ (error));
+    });
+    worker.on(STREAM_EVENTS.EXIT, (code) => {
+      this.#handleFailure(
+        pooled,
+        new Error(ERROR_MESSAGES.SCRIPT_EXECUTION_FAILED(code)),
+      );
+    });
+
+    // Idle workers must not keep the process alive. This has to follow the
+    // `message` listener, which would otherwise ref the worker again.
+    if (typeof worker.unref === "function") {
+      worker.unref();
+    }
+
+    this.#workers.push(pooled);
+    this.#stats.workersStarted += 1;
+    return pooled;
+  }
+
+  /**
+   * @param {PooledWorker} pooled
+   * @param {PoolTask} task
+   */
+  #assign(pooled, task) {
+    const { source, event, req, timeoutMs } = task.request;
+    pooled.task = task;
+
+    // The vm timeout stops synchronous loops inside the worker; the watchdog
+    // covers a worker that stops answering altogether.
+    pooled.watchdog = setTimeout(() => {
+      this.#stats.timedOut += 1;
+      this.#retire(pooled);
+      task.reject(
+        Object.assign(new Error(ERROR_MESSAGES.SCRIPT_TIMEOUT), {
+          code: NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT,
+        }),
+      );
+      this.#dispatch();
+    }, timeoutMs + this.#options.watchdogGraceMs);
+    pooled.watchdog.unref?.();
+
+    try {
+      pooled.worker.postMessage({
+        id: task.id,
+        hash: task.hash,
+        source,
+        event,
+        req,
+        timeoutMs,
+      });
+    } catch (error) {
+      // The event could not be cloned; the worker itself is still usable
+      clearTimeout(pooled.watchdog);
+      pooled.task = null;
+      task.reject(/** @type {Error} */ (error));
+    }
+  }
+
+  /**
+   * @param {PooledWorker} pooled
+   * @param {CustomScriptWorkerMessage} message
+   */
+  #handleMessage(pooled, message) {
+    const { task } = pooled;
+    if (pooled.retired || !task || message?.id !== task.id) return;
+
+    clearTimeout(pooled.watchdog);
+    pooled.task = null;
+    pooled.executions += 1;
+    this.#stats.executions += 1;
+    if (message.cached) {
+      this.#stats.cacheHits += 1;
+    } else {
+      this.#stats.cacheMisses += 1;
+    }
+
+    if (pooled.executions >= this.#options.maxExecutionsPerWorker) {
+      this.#stats.recycledMaxExecutions += 1;
+      this.#retire(pooled);
+    } else if (message.heapUsedBytes >= this.#options.heapRecycleBytes) {
+      this.#stats.recycledHeapPressure += 1;
+      this.#retire(pooled);
+    }
+
+    task.resolve(message.result);
+    this.#dispatch();
+  }
+
+  /**
+   * Handles a worker that errored or exited on its own, e.g. after hitting its
+   * heap limit.
+   * @param {PooledWorker} pooled
+   * @param {Error} error
+   */
+  #handleFailure(pooled, error) {
+    if (pooled.retired) return;
+
+    const { task } = pooled;
+    this.#stats.crashed += 1;
+    this.#retire(pooled);
+    task?.reject(error);
+    this.#dispatch();
+  }
+
+  /**
+   * Removes a worker from the pool and terminates it. Its listeners stay
+   * attached so late events are ignored rather than left unhandled.
+   * @param {PooledWorker} pooled
+   * @returns {Promise<void>}
+   */
+  async #retire(pooled) {
+    pooled.retired = true;
+    pooled.task = null;
+    clearTimeout(pooled.watchdog);
+    this.#workers = this.#workers.filter((candidate) => candidate !== pooled);
+    await pooled.worker.terminate().catch(() => undefined);
+  }
+}
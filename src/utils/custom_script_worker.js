@@ -1,13 +1,23 @@
 /**
  * @file src/utils/custom_script_worker.js
- * @description Executes custom webhook scripts inside a throwaway worker thread.
+ * @description Executes custom webhook scripts inside a long-lived pool worker.
+ * Each execution gets a fresh `vm` context; compiled scripts are cached by source
+ * hash so a warm worker skips recompilation. Scripts run as async functions, and
+ * the timeout covers everything up to the moment the returned promise settles.
  */
 
+import v8 from "node:v8";
 import vm from "node:vm";
-import { parentPort, workerData } from "node:worker_threads";
+import { parentPort } from "node:worker_threads";
 
+import { CUSTOM_SCRIPT_POOL_CONSTS, STREAM_EVENTS } from "../consts/app.js";
+import { ERROR_MESSAGES, NODE_ERROR_CODES } from "../consts/errors.js";
 import { HTTP_STATUS } from "../consts/http.js";
 import { LOG_MESSAGES } from "../consts/messages.js";
+import {
+  CUSTOM_SCRIPT_UTILS,
+  wrapCustomScriptSource,
+} from "./custom_script_helpers.js";
 import { LogLevel } from "./logger.js";
 
 /**
@@ -15,7 +25,9 @@ import { LogLevel } from "./logger.js";
  */
 
 /**
- * @typedef {object} CustomScriptExecutionRequest
+ * @typedef {object} CustomScriptTaskMessage
+ * @property {number} id
+ * @property {string} hash
  * @property {string} source
  * @property {Record<string, unknown>} event
  * @property {Record<string, unknown>} req
@@ -87,95 +99,170 @@ function serializeExecutionError(error) {
   };
 }
 
-/**
- * @param {CustomScriptLogLevel} level
- * @param {...unknown} args
- * @returns {void}
- */
-function pushLog(level, ...args) {
-  logs.push({ level, args: args.map(serializeConsoleArg) });
-}
+/** @type {Map<string, vm.Script>} */
+const scriptCache = new Map();
 
 /**
- * @param {...unknown} args
- * @returns {void}
+ * Returns the compiled script for a source hash, compiling on a miss. The oldest
+ * entry is evicted once the cache is full.
+ * @param {string} hash
+ * @param {string} source
+ * @returns {{ script: vm.Script, cached: boolean }}
  */
-function debugLog(...args) {
-  pushLog(LogLevel.DEBUG, ...args);
+function getCompiledScript(hash, source) {
+  const cachedScript = scriptCache.get(hash);
+  if (cachedScript) {
+    return { script: cachedScript, cached: true };
+  }
+
+  // eslint-disable-next-line sonarjs/code-eval
+  const script = new vm.Script(wrapCustomScriptSource(source));
+  if (scriptCache.size >= CUSTOM_SCRIPT_POOL_CONSTS.SCRIPT_CACHE_SIZE) {
+    const [oldestHash] = scriptCache.keys();
+    scriptCache.delete(oldestHash);
+  }
+  scriptCache.set(hash, script);
+  return { script, cached: false };
 }
 
 /**
- * @param {...unknown} args
- * @returns {void}
+ * @param {CustomScriptExecutionLog[]} logs
+ * @returns {Record<string, (...args: unknown[]) => void>}
  */
-function errorLog(...args) {
-  pushLog(LogLevel.ERROR, ...args);
+function createSandboxConsole(logs) {
+  /**
+   * @param {CustomScriptLogLevel} level
+   * @returns {(...args: unknown[]) => void}
+   */
+  const pushLog =
+    (level) =>
+    (...args) => {
+      logs.push({ level, args: args.map(serializeConsoleArg) });
+    };
+
+  return {
+    log: pushLog(LogLevel.DEBUG),
+    error: pushLog(LogLevel.ERROR),
+    warn: pushLog(LogLevel.WARN),
+    info: pushLog(LogLevel.INFO),
+  };
 }
 
 /**
- * @param {...unknown} args
- * @returns {void}
+ * Waits for the script's completion promise, rejecting with a timeout error once
+ * the remaining budget runs out. The vm timeout only covers the synchronous run
+ * and its microtasks; a promise that never settles would otherwise hold the worker.
+ * @param {unknown} completion - Promise created inside the script context
+ * @param {number} remainingMs
+ * @returns {Promise<void>}
  */
-function warnLog(...args) {
-  pushLog(LogLevel.WARN, ...args);
+async function settleWithin(completion, remainingMs) {
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  try {
+    await Promise.race([
+      // Attach worker-side callbacks directly. Adopting the promise through
+      // Promise.resolve() would queue the `then` call on the context's own
+      // microtask queue, which never drains again after the script returns.
+      new Promise((resolve, reject) => {
+        const thenable = /** @type {PromiseLike<unknown> | undefined} */ (
+          completion
+        );
+        if (typeof thenable?.then === "function") {
+          thenable.then(resolve, reject);
+        } else {
+          resolve(completion);
+        }
+      }),
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => {
+            reject(
+              Object.assign(new Error(ERROR_MESSAGES.SCRIPT_TIMEOUT), {
+                code: NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT,
+              }),
+            );
+          },
+          Math.max(remainingMs, 0),
+        );
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
- * @param {...unknown} args
- * @returns {void}
+ * Runs one task in a fresh context, so nothing a script defines survives into
+ * the next execution on this worker.
+ * @param {CustomScriptTaskMessage} task
+ * @returns {Promise<void>}
  */
-function infoLog(...args) {
-  pushLog(LogLevel.INFO, ...args);
-}
+async function runTask(task) {
+  const startedAt = Date.now();
+  /** @type {CustomScriptExecutionLog[]} */
+  const logs = [];
+  let cached = false;
+  /** @type {Record<string, unknown>} */
+  let result;
 
-/** @type {CustomScriptExecutionRequest} */
-const executionRequest = /** @type {CustomScriptExecutionRequest} */ (
-  workerData
-);
-
-/** @type {CustomScriptExecutionLog[]} */
-const logs = [];
-
-const sandboxEvent = createSandboxRecord(executionRequest.event);
-sandboxEvent.headers = createSandboxRecord(sandboxEvent.headers);
-sandboxEvent.query = createSandboxRecord(sandboxEvent.query);
-sandboxEvent.params = createSandboxRecord(sandboxEvent.params);
-sandboxEvent.responseHeaders = createSandboxRecord(
-  sandboxEvent.responseHeaders,
-);
-
-const sandboxRequest = createSandboxRecord(executionRequest.req);
-sandboxRequest.headers = createSandboxRecord(sandboxRequest.headers);
-sandboxRequest.query = createSandboxRecord(sandboxRequest.query);
-sandboxRequest.params = createSandboxRecord(sandboxRequest.params);
-
-const sandbox = {
-  event: sandboxEvent,
-  req: sandboxRequest,
-  console: {
-    log: debugLog,
-    error: errorLog,
-    warn: warnLog,
-    info: infoLog,
-  },
-  HTTP_STATUS,
-};
-
-try {
-  const context = vm.createContext(sandbox, {
-    codeGeneration: {
-      strings: false,
-      wasm: false,
-    },
-  });
-  // eslint-disable-next-line sonarjs/code-eval
-  const script = new vm.Script(executionRequest.source);
-  script.runInContext(context, { timeout: executionRequest.timeoutMs });
-  parentPort?.postMessage({ ok: true, event: sandboxEvent, logs });
-} catch (error) {
-  parentPort?.postMessage({
-    ok: false,
-    logs,
-    error: serializeExecutionError(error),
-  });
+  const sandboxEvent = createSandboxRecord(task.event);
+  sandboxEvent.headers = createSandboxRecord(sandboxEvent.headers);
+  sandboxEvent.query = createSandboxRecord(sandboxEvent.query);
+  sandboxEvent.params = createSandboxRecord(sandboxEvent.params);
+  sandboxEvent.responseHeaders = createSandboxRecord(
+    sandboxEvent.responseHeaders,
+  );
+
+  const sandboxRequest = createSandboxRecord(task.req);
+  sandboxRequest.headers = createSandboxRecord(sandboxRequest.headers);
+  sandboxRequest.query = createSandboxRecord(sandboxRequest.query);
+  sandboxRequest.params = createSandboxRecord(sandboxRequest.params);
+
+  const sandbox = {
+    event: sandboxEvent,
+    req: sandboxRequest,
+    console: createSandboxConsole(logs),
+    HTTP_STATUS,
+    utils: CUSTOM_SCRIPT_UTILS,
+  };
+
+  try {
+    const context = vm.createContext(sandbox, {
+      codeGeneration: {
+        strings: false,
+        wasm: false,
+      },
+      // Promise jobs run inside the timeout instead of after the task settles
+      microtaskMode: "afterEvaluate",
+    });
+    const compiled = getCompiledScript(task.hash, task.source);
+    cached = compiled.cached;
+    const completion = compiled.script.runInContext(context, {
+      timeout: task.timeoutMs,
+    });
+    await settleWithin(completion, task.timeoutMs - (Date.now() - startedAt));
+    result = { ok: true, event: sandboxEvent, logs };
+  } catch (error) {
+    result = {
+      ok: false,
+      logs,
+      error: serializeExecutionError(error),
+    };
+  }
+
+  const heapUsedBytes = v8.getHeapStatistics().used_heap_size;
+  try {
+    parentPort?.postMessage({ id: task.id, result, cached, heapUsedBytes });
+  } catch (error) {
+    // The script left a value on `event` that cannot be cloned back
+    parentPort?.postMessage({
+      id: task.id,
+      result: { ok: false, logs, error: serializeExecutionError(error) },
+      cached,
+      heapUsedBytes,
+    });
+  }
 }
+
+parentPort?.on(STREAM_EVENTS.MESSAGE, runTask);
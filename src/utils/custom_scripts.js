@@ -0,0 +1,202 @@
+/**
+ * @file src/utils/custom_scripts.js
+ * @description Named script library: validates `customScripts` and selects the
+ * scripts a request runs through. Match conditions use the mock rule matcher
+ * syntax, so partners can be told apart by header, path, or body event type.
+ * @module utils/custom_scripts
+ */
+import { CUSTOM_SCRIPT_LIBRARY_CONSTS } from "../consts/app.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { validateCustomScriptSource } from "./custom_script_executor.js";
+import { matchesRequest, normalizeRequestMatch } from "./mock_rules.js";
+import { isPlainObject } from "./common.js";
+
+/**
+ * @typedef {import('../typedefs.js').CustomScriptDefinition} CustomScriptDefinition
+ * @typedef {import('../typedefs.js').MockRequest} MockRequest
+ */
+
+const SCRIPT_FIELDS = Object.freeze([
+  "id",
+  "source",
+  "enabled",
+  "webhookIds",
+  "match",
+]);
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Validates and normalizes a single library script, including a syntax check
+ * of its source.
+ * @param {unknown} input
+ * @returns {{ script?: CustomScriptDefinition, errors: string[] }}
+ */
+export function normalizeCustomScript(input) {
+  if (!isPlainObject(input)) {
+    return { errors: [ERROR_MESSAGES.INVALID_FIELD("script", "an object")] };
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+
+  for (const key of Object.keys(input)) {
+    if (!SCRIPT_FIELDS.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_FIELD(key));
+    }
+  }
+  if (!isNonEmptyString(input.id)) {
+    errors.push(ERROR_MESSAGES.REQUIRED_FIELD("id"));
+  } else if (
+    input.id.trim() === CUSTOM_SCRIPT_LIBRARY_CONSTS.DEFAULT_SCRIPT_ID
+  ) {
+    errors.push(
+      ERROR_MESSAGES.CUSTOM_SCRIPT_ID_RESERVED(
+        CUSTOM_SCRIPT_LIBRARY_CONSTS.DEFAULT_SCRIPT_ID,
+      ),
+    );
+  }
+  if (!isNonEmptyString(input.source)) {
+    errors.push(ERROR_MESSAGES.REQUIRED_FIELD("source"));
+  } else {
+    try {
+      validateCustomScriptSource(input.source);
+    } catch (err) {
+      errors.push(
+        ERROR_MESSAGES.SCRIPT_SOURCE_INVALID(
+          err instanceof Error ? err.message : String(err),
+        ),
+      );
+    }
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("enabled", "a boolean"));
+  }
+  if (
+    input.webhookIds !== undefined &&
+    !(
+      Array.isArray(input.webhookIds) &&
+      input.webhookIds.every(isNonEmptyString)
+    )
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD("webhookIds", "an array of webhook IDs"),
+    );
+  }
+
+  const rawMatch = input.match ?? {};
+  if (!isPlainObject(rawMatch)) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("match", "an object"));
+  }
+  const match = normalizeRequestMatch(
+    isPlainObject(rawMatch) ? rawMatch : {},
+    "match",
+    (field, expected) =>
+      errors.push(ERROR_MESSAGES.INVALID_FIELD(field, expected)),
+    (field) => errors.push(ERROR_MESSAGES.UNSUPPORTED_FIELD(field)),
+  );
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    script: {
+      id: input.id.trim(),
+      source: input.source,
+      enabled: input.enabled ?? true,
+      match,
+      ...(input.webhookIds !== undefined && {
+        webhookIds: input.webhookIds.map((/** @type {string} */ id) =>
+          id.trim(),
+        ),
+      }),
+    },
+    errors,
+  };
+}
+
+/**
+ * Normalizes `customScripts` input. Invalid scripts, scripts past the configured
+ * limit, and duplicate IDs are dropped and reported.
+ * @param {unknown} input
+ * @returns {{ scripts: CustomScriptDefinition[], errors: string[] }}
+ */
+export function normalizeCustomScripts(input) {
+  if (input === undefined || input === null) {
+    return { scripts: [], errors: [] };
+  }
+  if (!Array.isArray(input)) {
+    return {
+      scripts: [],
+      errors: [
+        ERROR_MESSAGES.INVALID_WEBHOOK_SETTING("customScripts", "an array"),
+      ],
+    };
+  }
+
+  /** @type {CustomScriptDefinition[]} */
+  const scripts = [];
+  /** @type {string[]} */
+  const errors = [];
+  const seenIds = new Set();
+
+  input.forEach((entry, index) => {
+    if (index >= CUSTOM_SCRIPT_LIBRARY_CONSTS.MAX_SCRIPTS) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_CUSTOM_SCRIPT(
+          index,
+          ERROR_MESSAGES.TOO_MANY_ENTRIES(
+            CUSTOM_SCRIPT_LIBRARY_CONSTS.MAX_SCRIPTS,
+            "scripts",
+          ),
+        ),
+      );
+      return;
+    }
+
+    const { script, errors: entryErrors } = normalizeCustomScript(entry);
+    if (!script) {
+      errors.push(
+        ...entryErrors.map((reason) =>
+          ERROR_MESSAGES.INVALID_CUSTOM_SCRIPT(index, reason),
+        ),
+      );
+      return;
+    }
+    if (seenIds.has(script.id)) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_CUSTOM_SCRIPT(
+          index,
+          ERROR_MESSAGES.DUPLICATE_ID(script.id),
+        ),
+      );
+      return;
+    }
+
+    seenIds.add(script.id);
+    scripts.push(script);
+  });
+
+  return { scripts, errors };
+}
+
+/**
+ * Returns every enabled script scoped to the request's webhook whose match
+ * conditions the request satisfies, in configuration (chain) order.
+ * @param {CustomScriptDefinition[]} scripts
+ * @param {MockRequest} request
+ * @returns {CustomScriptDefinition[]}
+ */
+export function selectCustomScripts(scripts, request) {
+  return scripts.filter(
+    (script) =>
+      script.enabled &&
+      (!script.webhookIds ||
+        script.webhookIds.includes(String(request.webhookId))) &&
+      matchesRequest(script.match, request),
+  );
+}
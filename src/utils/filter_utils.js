@@ -5,7 +5,14 @@
  * @module utils/filter_utils
  */
 import { checkIpInRanges } from "./ssrf.js";
-import { SQL_CONSTS } from "../consts/database.js";
+import {
+  DEFAULT_SORT,
+  PAGINATION_CONSTS,
+  SQL_CONSTS,
+} from "../consts/database.js";
+import { SORT_DIRECTIONS } from "../consts/app.js";
+import { DELIMITERS } from "../consts/network.js";
+import { LOG_CONSTS } from "../consts/logging.js";
 
 /**
  * @typedef {Object} RangeCondition
@@ -15,6 +22,8 @@ import { SQL_CONSTS } from "../consts/database.js";
 
 /**
  * @typedef {import('../typedefs.js').QueryValue} QueryValue
+ * @typedef {import('../typedefs.js').LogFilters} LogFilters
+ * @typedef {import('../typedefs.js').SortRule} SortRule
  */
 
 /**
@@ -173,3 +182,149 @@ export function matchObject(itemObj, filterObj) {
       .includes(String(searchVal).toLowerCase());
   });
 }
+
+/**
+ * Parses a sort parameter such as `statusCode:asc,timestamp` into sort rules.
+ * Fields without a direction sort descending.
+ * @param {QueryValue} sort
+ * @returns {SortRule[]}
+ */
+function parseSortRules(sort) {
+  const sortParam = sort ? String(sort) : "";
+  /** @type {SortRule[]} */
+  const sortRules = [];
+
+  if (sortParam) {
+    const parts = sortParam.split(DELIMITERS.QUERY_LIST);
+    for (const part of parts) {
+      const [field, dir] = part.split(DELIMITERS.QUERY_SORT);
+      if (!field) continue;
+
+      const sortDir =
+        dir && dir.toUpperCase() === SORT_DIRECTIONS.ASC
+          ? SORT_DIRECTIONS.ASC
+          : SORT_DIRECTIONS.DESC;
+      sortRules.push({
+        field: field.trim(),
+        dir: sortDir,
+      });
+    }
+  } else {
+    sortRules.push({
+      field: LOG_CONSTS.VALID_SORT_FIELDS.includes(SQL_CONSTS.COLUMNS.TIMESTAMP)
+        ? SQL_CONSTS.COLUMNS.TIMESTAMP
+        : LOG_CONSTS.VALID_SORT_FIELDS[0],
+      dir: SORT_DIRECTIONS.DESC,
+    });
+  }
+  return sortRules;
+}
+
+/**
+ * Parses `GET /logs` query parameters into repository filters. Shared by every
+ * endpoint that selects logs with the same filter syntax.
+ * @param {Record<string, QueryValue>} params - e.g. `req.query`
+ * @returns {LogFilters}
+ */
+export function parseLogFilters(params) {
+  const {
+    id,
+    webhookId,
+    requestUrl,
+    method,
+    statusCode,
+    contentType,
+    startTime,
+    endTime,
+    signatureValid,
+    requestId,
+    remoteIp,
+    userAgent,
+    processingTime,
+    size,
+    headers,
+    query,
+    body,
+    responseBody,
+    responseHeaders,
+    signatureProvider,
+    signatureError,
+    isMocked,
+    isProxied,
+    mockRuleId,
+    signatureRuleId,
+    deliveryStatus,
+    tag,
+    limit = String(PAGINATION_CONSTS.MAX_PAGE_LIMIT),
+    offset = String(PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET),
+    cursor,
+    sort = DEFAULT_SORT.join(DELIMITERS.QUERY_SORT),
+    timestamp,
+  } = params;
+
+  // Parse pagination
+  const limitNum = Math.max(
+    parseInt(String(limit), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+    1,
+  );
+  const offsetNum = Math.max(
+    parseInt(String(offset), 10) || PAGINATION_CONSTS.DEFAULT_PAGE_OFFSET,
+    0,
+  );
+
+  // Parse timestamp filters (Legacy support + Range support)
+  const timestampConditions = parseRangeQuery(timestamp, "string");
+  if (startTime) {
+    timestampConditions.push({
+      operator: OPERATORS.GTE,
+      value: new Date(String(startTime)).toISOString(),
+    });
+  }
+  if (endTime) {
+    timestampConditions.push({
+      operator: OPERATORS.LTE,
+      value: new Date(String(endTime)).toISOString(),
+    });
+  }
+
+  return {
+    limit: limitNum,
+    offset: cursor ? undefined : offsetNum,
+    cursor: cursor ? String(cursor) : undefined,
+    sort: parseSortRules(sort),
+    id: id ? String(id) : undefined,
+    webhookId: webhookId ? String(webhookId) : undefined,
+    requestUrl: requestUrl ? String(requestUrl) : undefined,
+    method: method ? String(method).toUpperCase() : undefined,
+    contentType: contentType ? String(contentType) : undefined,
+    requestId: requestId ? String(requestId) : undefined,
+    remoteIp: typeof remoteIp === "string" ? remoteIp : undefined,
+    userAgent: userAgent ? String(userAgent) : undefined,
+    signatureValid:
+      signatureValid !== undefined
+        ? String(signatureValid) === String(true)
+        : undefined,
+    signatureProvider: signatureProvider
+      ? String(signatureProvider)
+      : undefined,
+    signatureError: signatureError ? String(signatureError) : undefined,
+    isMocked:
+      isMocked !== undefined ? String(isMocked) === String(true) : undefined,
+    isProxied:
+      isProxied !== undefined ? String(isProxied) === String(true) : undefined,
+    mockRuleId: mockRuleId ? String(mockRuleId) : undefined,
+    signatureRuleId: signatureRuleId ? String(signatureRuleId) : undefined,
+    deliveryStatus: deliveryStatus ? String(deliveryStatus) : undefined,
+    tag: tag ? String(tag) : undefined,
+    // StatusCode can be a range (e.g. gt:400) or exact value
+    statusCode: parseRangeQuery(statusCode),
+    processingTime: parseRangeQuery(processingTime),
+    size: parseRangeQuery(size),
+    timestamp: timestampConditions.length > 0 ? timestampConditions : undefined,
+    headers: parseObjectFilter(headers) || undefined,
+    query: parseObjectFilter(query) || undefined,
+    body: parseObjectFilter(body) || undefined,
+    responseHeaders: parseObjectFilter(responseHeaders) || undefined,
+    responseBody: parseObjectFilter(responseBody) || undefined,
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * @file src/utils/forward_destinations.js
+ * @description Fan-out forwarding: validates `forwardDestinations` and selects the
+ * destinations a request should be mirrored to. Match conditions use the mock rule
+ * matcher syntax, so a destination can be tested with the same predicates.
+ * @module utils/forward_destinations
+ */
+import { APP_CONSTS, FORWARDING_CONSTS, FORWARD_MODES } from "../consts/app.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { matchesRequest, normalizeRequestMatch } from "./mock_rules.js";
+import { isHttpUrl, isPlainObject } from "./common.js";
+
+/**
+ * @typedef {import('../typedefs.js').ForwardDestination} ForwardDestination
+ * @typedef {import('../typedefs.js').MockRequest} MockRequest
+ */
+
+const DESTINATION_FIELDS = Object.freeze([
+  "id",
+  "url",
+  "mode",
+  "enabled",
+  "match",
+  "forwardHeaders",
+  "setHeaders",
+  "removeHeaders",
+  "maxRetries",
+  "circuitBreakerKey",
+]);
+
+/**
+ * @param {unknown} value
+ * @returns {value is string}
+ */
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Validates and normalizes a single destination. Header names are lowercased
+ * and `maxRetries` is clamped to the forwarding retry limit.
+ * @param {unknown} input
+ * @returns {{ destination?: ForwardDestination, errors: string[] }}
+ */
+export function normalizeForwardDestination(input) {
+  if (!isPlainObject(input)) {
+    return {
+      errors: [ERROR_MESSAGES.INVALID_FIELD("destination", "an object")],
+    };
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+
+  for (const key of Object.keys(input)) {
+    if (!DESTINATION_FIELDS.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_FIELD(key));
+    }
+  }
+  if (!isNonEmptyString(input.id)) {
+    errors.push(ERROR_MESSAGES.REQUIRED_FIELD("id"));
+  }
+  if (!isHttpUrl(input.url)) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("url", "an http(s) URL"));
+  }
+  if (
+    input.mode !== undefined &&
+    !Object.values(FORWARD_MODES).includes(input.mode)
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD_CHOICE("mode", Object.values(FORWARD_MODES)),
+    );
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("enabled", "a boolean"));
+  }
+  if (
+    input.forwardHeaders !== undefined &&
+    typeof input.forwardHeaders !== "boolean"
+  ) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("forwardHeaders", "a boolean"));
+  }
+  if (
+    input.setHeaders !== undefined &&
+    !(
+      isPlainObject(input.setHeaders) &&
+      Object.values(input.setHeaders).every((v) => typeof v === "string")
+    )
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD("setHeaders", "an object of string values"),
+    );
+  }
+  if (
+    input.removeHeaders !== undefined &&
+    !(
+      Array.isArray(input.removeHeaders) &&
+      input.removeHeaders.every(isNonEmptyString)
+    )
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD("removeHeaders", "an array of header names"),
+    );
+  }
+  if (
+    input.maxRetries !== undefined &&
+    !(Number.isInteger(input.maxRetries) && input.maxRetries >= 0)
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD("maxRetries", "a non-negative integer"),
+    );
+  }
+  if (
+    input.circuitBreakerKey !== undefined &&
+    !isNonEmptyString(input.circuitBreakerKey)
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD("circuitBreakerKey", "a non-empty string"),
+    );
+  }
+
+  const rawMatch = input.match ?? {};
+  if (!isPlainObject(rawMatch)) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("match", "an object"));
+  }
+  const match = normalizeRequestMatch(
+    isPlainObject(rawMatch) ? rawMatch : {},
+    "match",
+    (field, expected) =>
+      errors.push(ERROR_MESSAGES.INVALID_FIELD(field, expected)),
+    (field) => errors.push(ERROR_MESSAGES.UNSUPPORTED_FIELD(field)),
+  );
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    destination: {
+      id: input.id.trim(),
+      url: input.url,
+      enabled: input.enabled ?? true,
+      match,
+      ...(input.mode !== undefined && { mode: input.mode }),
+      ...(input.forwardHeaders !== undefined && {
+        forwardHeaders: input.forwardHeaders,
+      }),
+      ...(input.setHeaders !== undefined && {
+        setHeaders: Object.fromEntries(
+          Object.entries(input.setHeaders).map(([k, v]) => [
+            k.toLowerCase(),
+            v,
+          ]),
+        ),
+      }),
+      ...(input.removeHeaders !== undefined && {
+        removeHeaders: input.removeHeaders.map((/** @type {string} */ name) =>
+          name.trim().toLowerCase(),
+        ),
+      }),
+      ...(input.maxRetries !== undefined && {
+        maxRetries: Math.min(
+          input.maxRetries,
+          APP_CONSTS.MAX_SAFE_FORWARD_RETRIES,
+        ),
+      }),
+      ...(input.circuitBreakerKey !== undefined && {
+        circuitBreakerKey: input.circuitBreakerKey.trim(),
+      }),
+    },
+    errors,
+  };
+}
+
+/**
+ * Normalizes `forwardDestinations` input. Invalid destinations, destinations past
+ * the configured limit, and duplicate IDs are dropped and reported.
+ * @param {unknown} input
+ * @returns {{ destinations: ForwardDestination[], errors: string[] }}
+ */
+export function normalizeForwardDestinations(input) {
+  if (input === undefined || input === null) {
+    return { destinations: [], errors: [] };
+  }
+  if (!Array.isArray(input)) {
+    return {
+      destinations: [],
+      errors: [
+        ERROR_MESSAGES.INVALID_WEBHOOK_SETTING(
+          "forwardDestinations",
+          "an array",
+        ),
+      ],
+    };
+  }
+
+  /** @type {ForwardDestination[]} */
+  const destinations = [];
+  /** @type {string[]} */
+  const errors = [];
+  const seenIds = new Set();
+
+  input.forEach((entry, index) => {
+    if (index >= FORWARDING_CONSTS.MAX_DESTINATIONS) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          index,
+          ERROR_MESSAGES.TOO_MANY_ENTRIES(
+            FORWARDING_CONSTS.MAX_DESTINATIONS,
+            "destinations",
+          ),
+        ),
+      );
+      return;
+    }
+
+    const { destination, errors: entryErrors } =
+      normalizeForwardDestination(entry);
+    if (!destination) {
+      errors.push(
+        ...entryErrors.map((reason) =>
+          ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(index, reason),
+        ),
+      );
+      return;
+    }
+    if (seenIds.has(destination.id)) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          index,
+          ERROR_MESSAGES.DUPLICATE_ID(destination.id),
+        ),
+      );
+      return;
+    }
+
+    seenIds.add(destination.id);
+    destinations.push(destination);
+  });
+
+  return { destinations, errors };
+}
+
+/**
+ * Returns every enabled destination whose match conditions the request satisfies,
+ * in configuration order. Unlike mock rules, all matches are used, not just the first.
+ * @param {ForwardDestination[]} destinations
+ * @param {MockRequest} request
+ * @returns {ForwardDestination[]}
+ */
+export function selectForwardDestinations(destinations, request) {
+  return destinations.filter(
+    (destination) =>
+      destination.enabled && matchesRequest(destination.match, request),
+  );
+}
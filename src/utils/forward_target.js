@@ -0,0 +1,154 @@
+/**
+ * @file src/utils/forward_target.js
+ * @description Forwarding modes: derives the HTTP method and final URL a captured
+ * request is forwarded with. The result is untrusted input to the SSRF check, which
+ * callers must still apply to the returned URL.
+ * @module utils/forward_target
+ */
+import { FORWARD_MODES, QUERY_PARAMS } from "../consts/app.js";
+import { HTTP_METHODS } from "../consts/http.js";
+import {
+  isDotSegment,
+  parseTemplateBody,
+  renderUrlTemplate,
+} from "./template.js";
+
+/**
+ * @typedef {Object} ForwardRequest
+ * @property {string} webhookId
+ * @property {string} [logId]
+ * @property {string} method - Original request method
+ * @property {string} [subPath] - Path after `/webhook/:id`, starting with `/`
+ * @property {string} [rawQuery] - Original query string, without the leading `?`
+ * @property {Record<string, any>} [headers]
+ * @property {Record<string, any>} [query]
+ * @property {unknown} [body]
+ */
+
+/**
+ * @typedef {Object} ForwardTarget
+ * @property {string} url
+ * @property {string} method
+ */
+
+/**
+ * Query parameters consumed by this Actor that must not reach the destination
+ * @type {ReadonlyArray<string>}
+ */
+const CONTROL_QUERY_PARAMS = Object.freeze([
+  QUERY_PARAMS.STATUS,
+  QUERY_PARAMS.AUTH_KEY,
+]);
+
+/** Scheme and authority (`https://user@host:port`) of an absolute URL */
+const URL_ORIGIN_PATTERN = /^[a-z][a-z\d+.-]*:\/\/[^/?#]*/i;
+
+/**
+ * Extracts the sub-path captured by the `/webhook/:id/*path` route. Segments are
+ * re-encoded individually, so an encoded `/` inside a segment stays encoded, and
+ * `.`/`..` segments are dropped so the path cannot climb above the forward URL.
+ * @param {unknown} pathParam - `req.params.path`
+ * @returns {string} e.g. `/orders/42`, or an empty string
+ */
+export function getWebhookSubPath(pathParam) {
+  /** @type {unknown[]} */
+  const segments = Array.isArray(pathParam)
+    ? pathParam
+    : String(pathParam ?? "").split("/");
+  const encoded = segments
+    .filter((segment) => typeof segment === "string" && segment !== "")
+    .map((segment) => encodeURIComponent(String(segment)))
+    .filter((segment) => !isDotSegment(segment));
+  return encoded.length ? `/${encoded.join("/")}` : "";
+}
+
+/**
+ * Extracts the raw query string of a request URL, without the leading `?`.
+ * @param {string | undefined} url - e.g. `req.originalUrl`
+ * @returns {string}
+ */
+export function getRawQuery(url) {
+  const index = url?.indexOf("?") ?? -1;
+  return url && index !== -1 ? url.slice(index + 1) : "";
+}
+
+/**
+ * Transparent proxy: appends the sub-path and merges the query string. Parameters
+ * already present in the configured URL win, so a destination can pin values such
+ * as API tokens. Dot segments are dropped here as well, so a `subPath` that was not
+ * built by `getWebhookSubPath` cannot escape the configured path either.
+ * @param {string} baseUrl
+ * @param {ForwardRequest} request
+ * @returns {string}
+ */
+function buildTransparentUrl(baseUrl, request) {
+  /** @type {URL} */
+  let target;
+  try {
+    target = new URL(baseUrl);
+  } catch {
+    return baseUrl; // Rejected by the SSRF check
+  }
+
+  const subPath = (request.subPath ?? "")
+    .split("/")
+    .filter((segment) => segment && !isDotSegment(segment))
+    .join("/");
+  if (subPath) {
+    const basePath = target.pathname.endsWith("/")
+      ? target.pathname.slice(0, -1)
+      : target.pathname;
+    target.pathname = `${basePath}/${subPath}`;
+  }
+
+  const pinned = new Set(target.searchParams.keys());
+  for (const [key, value] of new URLSearchParams(request.rawQuery ?? "")) {
+    if (pinned.has(key) || CONTROL_QUERY_PARAMS.includes(key)) continue;
+    target.searchParams.append(key, value);
+  }
+  return target.href;
+}
+
+/**
+ * Template URL: renders `{{webhookId}}`, `{{logId}}`, `{{method}}`, `{{headers.*}}`,
+ * `{{query.*}}`, and `{{body.*}}` in the path and query only. Placeholders in the
+ * scheme or host are left as-is, so the request can never choose the destination
+ * host; such URLs fail the SSRF check.
+ * @param {string} template
+ * @param {ForwardRequest} request
+ * @returns {string}
+ */
+function buildTemplateUrl(template, request) {
+  const origin = URL_ORIGIN_PATTERN.exec(template)?.[0] ?? "";
+  const context = {
+    webhookId: request.webhookId,
+    logId: request.logId,
+    method: request.method,
+    headers: request.headers || {},
+    query: request.query || {},
+    body: parseTemplateBody(request.body),
+  };
+  return `${origin}${renderUrlTemplate(template.slice(origin.length), context)}`;
+}
+
+/**
+ * Resolves the method and URL for a forward in the given mode. Unknown modes fall
+ * back to `fixed`.
+ * @param {string} url - Configured forward URL, including the protocol
+ * @param {string | undefined} mode - One of FORWARD_MODES
+ * @param {ForwardRequest} request
+ * @returns {ForwardTarget}
+ */
+export function resolveForwardTarget(url, mode, request) {
+  switch (mode) {
+    case FORWARD_MODES.TRANSPARENT:
+      return {
+        url: buildTransparentUrl(url, request),
+        method: request.method,
+      };
+    case FORWARD_MODES.TEMPLATE:
+      return { url: buildTemplateUrl(url, request), method: request.method };
+    default:
+      return { url, method: HTTP_METHODS.POST };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * @file src/utils/har.js
+ * @description Converts captured logs into HTTP Archive (HAR 1.2) entries so an
+ * export opens in browser devtools, Charles or Postman.
+ * @module utils/har
+ */
+import { LOG_EXPORT_CONSTS } from "../consts/app.js";
+import {
+  ENCODINGS,
+  HTTP_HEADERS,
+  HTTP_STATUS_MESSAGES,
+} from "../consts/http.js";
+
+/**
+ * @typedef {import("../typedefs.js").LogEntry} LogEntry
+ * @typedef {{ name: string, value: string }} HarNameValue
+ */
+
+/**
+ * Flattens a header or query object into HAR name/value pairs; array values
+ * become one pair per item.
+ * @param {unknown} record
+ * @returns {HarNameValue[]}
+ */
+const toNameValuePairs = (record) => {
+  if (!record || typeof record !== "object") return [];
+  return Object.entries(record).flatMap(([name, value]) =>
+    (Array.isArray(value) ? value : [value])
+      .filter((item) => item !== undefined && item !== null)
+      .map((item) => ({ name, value: String(item) })),
+  );
+};
+
+/**
+ * @param {unknown} body
+ * @returns {string}
+ */
+const toText = (body) => {
+  if (body === undefined || body === null) return "";
+  return typeof body === "string" ? body : JSON.stringify(body);
+};
+
+/**
+ * @param {HarNameValue[]} headers
+ * @returns {string}
+ */
+const findContentType = (headers) =>
+  headers.find(({ name }) => name.toLowerCase() === HTTP_HEADERS.CONTENT_TYPE)
+    ?.value ?? "";
+
+/**
+ * Opening of a streamed HAR document: entries follow, then `HAR_SUFFIX`.
+ * @param {string} version - Version of this app, recorded as the HAR creator
+ * @returns {string}
+ */
+export function createHarPrefix(version) {
+  const log = JSON.stringify({
+    version: LOG_EXPORT_CONSTS.HAR_VERSION,
+    creator: { name: LOG_EXPORT_CONSTS.HAR_CREATOR, version },
+  });
+  return `{"log":${log.slice(0, -1)},"entries":[`;
+}
+
+export const HAR_SUFFIX = "]}}";
+
+/**
+ * Converts a log into a HAR entry. The request is the captured webhook call and
+ * the response is what this app answered. Base64 request bodies are marked with
+ * the custom `_encoding` field, since HAR `postData` has no encoding of its own.
+ * @param {LogEntry} entry
+ * @param {string} origin - Scheme and host used to make the request URL absolute
+ * @returns {Record<string, any>}
+ */
+export function toHarEntry(entry, origin) {
+  const { HAR_HTTP_VERSION, HAR_UNKNOWN } = LOG_EXPORT_CONSTS;
+  const requestText = toText(entry.body);
+  const responseHeaders = toNameValuePairs(entry.responseHeaders);
+  const responseText = toText(entry.responseBody);
+  const status = entry.statusCode ?? 0;
+  const time = entry.processingTime ?? 0;
+
+  return {
+    startedDateTime: entry.timestamp,
+    time,
+    request: {
+      method: entry.method,
+      url: new URL(entry.requestUrl || "/", origin).href,
+      httpVersion: HAR_HTTP_VERSION,
+      cookies: [],
+      headers: toNameValuePairs(entry.headers),
+      queryString: toNameValuePairs(entry.query),
+      ...(requestText && {
+        postData: {
+          mimeType: entry.contentType || "",
+          text: requestText,
+          ...(entry.bodyEncoding === ENCODINGS.BASE64 && {
+            _encoding: ENCODINGS.BASE64,
+          }),
+        },
+      }),
+      headersSize: HAR_UNKNOWN,
+      bodySize: entry.size ?? HAR_UNKNOWN,
+    },
+    response: {
+      status,
+      statusText:
+        HTTP_STATUS_MESSAGES[
+          /** @type {keyof typeof HTTP_STATUS_MESSAGES} */ (status)
+        ] ?? "",
+      httpVersion: HAR_HTTP_VERSION,
+      cookies: [],
+      headers: responseHeaders,
+      content: {
+        size: Buffer.byteLength(responseText),
+        mimeType: findContentType(responseHeaders),
+        text: responseText,
+      },
+      redirectURL: "",
+      headersSize: HAR_UNKNOWN,
+      bodySize: HAR_UNKNOWN,
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 },
+    _logId: entry.id,
+    _webhookId: entry.webhookId,
+  };
+}
@@ -0,0 +1,355 @@
+/**
+ * @file src/utils/json_patch.js
+ * @description JSON Patch (RFC 6902), JSON Merge Patch (RFC 7396) and a structural
+ * diff that produces JSON Patch operations. Inputs are never mutated.
+ * @module utils/json_patch
+ */
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { isPlainObject } from "./common.js";
+
+/**
+ * @typedef {Object} JsonPatchOperation
+ * @property {"add" | "remove" | "replace" | "move" | "copy" | "test"} op
+ * @property {string} path - JSON Pointer (RFC 6901)
+ * @property {string} [from] - Source pointer for `move` and `copy`
+ * @property {any} [value]
+ * @property {any} [oldValue] - Set by `diffJson` on `remove` and `replace`; ignored when applied
+ */
+
+export const JSON_PATCH_OPS = Object.freeze([
+  "add",
+  "remove",
+  "replace",
+  "move",
+  "copy",
+  "test",
+]);
+
+const VALUE_OPS = Object.freeze(["add", "replace", "test"]);
+const FROM_OPS = Object.freeze(["move", "copy"]);
+const APPEND_TOKEN = "-";
+
+/**
+ * @param {string} segment
+ * @returns {string}
+ */
+const escapePointerSegment = (segment) =>
+  segment.replace(/~/g, "~0").replace(/\//g, "~1");
+
+/**
+ * Splits a JSON Pointer into unescaped reference tokens. `""` is the whole document.
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+export function parseJsonPointer(pointer) {
+  if (pointer === "") return [];
+  if (!pointer.startsWith("/")) {
+    throw new Error(ERROR_MESSAGES.INVALID_JSON_POINTER(pointer));
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * @param {any[]} array
+ * @param {string} token
+ * @param {boolean} allowEnd - Whether `length` (or `-`) is a valid index
+ * @returns {number}
+ */
+const toArrayIndex = (array, token, allowEnd) => {
+  if (allowEnd && token === APPEND_TOKEN) return array.length;
+  const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : NaN;
+  const max = allowEnd ? array.length : array.length - 1;
+  if (Number.isNaN(index) || index > max) {
+    throw new Error(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND(token));
+  }
+  return index;
+};
+
+/**
+ * Resolves the container that holds the last token of `tokens`.
+ * @param {any} document
+ * @param {string[]} tokens
+ * @returns {any}
+ */
+const resolveParent = (document, tokens) => {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) {
+      node = node[toArrayIndex(node, token, false)];
+    } else if (isPlainObject(node) && Object.hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw new Error(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND(token));
+    }
+  }
+  if (node === null || typeof node !== "object") {
+    throw new Error(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND(tokens.join("/")));
+  }
+  return node;
+};
+
+/**
+ * @param {any} document
+ * @param {string[]} tokens
+ * @returns {any}
+ */
+const getValue = (document, tokens) => {
+  if (tokens.length === 0) return document;
+  const parent = resolveParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) return parent[toArrayIndex(parent, token, false)];
+  if (!Object.hasOwn(parent, token)) {
+    throw new Error(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND(token));
+  }
+  return parent[token];
+};
+
+/**
+ * @param {any} document
+ * @param {string[]} tokens
+ * @param {any} value
+ * @returns {any} The new document
+ */
+const addValue = (document, tokens, value) => {
+  if (tokens.length === 0) return value;
+  const parent = resolveParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(toArrayIndex(parent, token, true), 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+};
+
+/**
+ * @param {any} document
+ * @param {string[]} tokens
+ * @returns {any} The new document
+ */
+const removeValue = (document, tokens) => {
+  if (tokens.length === 0) return undefined;
+  const parent = resolveParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(toArrayIndex(parent, token, false), 1);
+  } else if (Object.hasOwn(parent, token)) {
+    delete parent[token];
+  } else {
+    throw new Error(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND(token));
+  }
+  return document;
+};
+
+/**
+ * Deep equality for JSON values; object key order is ignored.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function jsonEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => jsonEqual(item, b[i]))
+    );
+  }
+  if (!isPlainObject(a) || !isPlainObject(b)) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]))
+  );
+}
+
+/**
+ * Checks the shape of a JSON Patch document without applying it.
+ * @param {unknown} operations
+ * @returns {string | null} Error message, or null when the patch is well formed
+ */
+export function validateJsonPatch(operations) {
+  if (!Array.isArray(operations)) {
+    return ERROR_MESSAGES.JSON_PATCH_NOT_ARRAY;
+  }
+  for (const [index, operation] of operations.entries()) {
+    if (!isPlainObject(operation)) {
+      return ERROR_MESSAGES.INVALID_JSON_PATCH(index, "expected an object");
+    }
+    const { op, path, from } = operation;
+    if (!JSON_PATCH_OPS.includes(op)) {
+      return ERROR_MESSAGES.INVALID_JSON_PATCH(
+        index,
+        `op must be one of ${JSON_PATCH_OPS.join(", ")}`,
+      );
+    }
+    if (typeof path !== "string" || (path !== "" && !path.startsWith("/"))) {
+      return ERROR_MESSAGES.INVALID_JSON_PATCH(
+        index,
+        "path must be a JSON Pointer",
+      );
+    }
+    if (VALUE_OPS.includes(op) && !Object.hasOwn(operation, "value")) {
+      return ERROR_MESSAGES.INVALID_JSON_PATCH(index, `${op} requires value`);
+    }
+    if (
+      FROM_OPS.includes(op) &&
+      (typeof from !== "string" || (from !== "" && !from.startsWith("/")))
+    ) {
+      return ERROR_MESSAGES.INVALID_JSON_PATCH(
+        index,
+        `${op} requires a from JSON Pointer`,
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Applies a JSON Patch (RFC 6902). Operations apply in order and the patch is
+ * atomic: the input is cloned, so a failing operation leaves it untouched.
+ * @param {any} document
+ * @param {JsonPatchOperation[]} operations
+ * @returns {any} The patched document
+ * @throws {Error} When an operation is malformed, a path does not exist or a `test` fails
+ */
+export function applyJsonPatch(document, operations) {
+  const invalid = validateJsonPatch(operations);
+  if (invalid) throw new Error(invalid);
+
+  let result = structuredClone(document);
+  for (const [index, operation] of operations.entries()) {
+    try {
+      const tokens = parseJsonPointer(operation.path);
+      switch (operation.op) {
+        case "add":
+          result = addValue(result, tokens, structuredClone(operation.value));
+          break;
+        case "remove":
+          result = removeValue(result, tokens);
+          break;
+        case "replace":
+          getValue(result, tokens);
+          result = addValue(
+            removeValue(result, tokens),
+            tokens,
+            structuredClone(operation.value),
+          );
+          break;
+        case "move": {
+          const fromTokens = parseJsonPointer(String(operation.from));
+          const value = getValue(result, fromTokens);
+          result = addValue(removeValue(result, fromTokens), tokens, value);
+          break;
+        }
+        case "copy": {
+          const value = getValue(
+            result,
+            parseJsonPointer(String(operation.from)),
+          );
+          result = addValue(result, tokens, structuredClone(value));
+          break;
+        }
+        case "test":
+          if (!jsonEqual(getValue(result, tokens), operation.value)) {
+            throw new Error(ERROR_MESSAGES.JSON_PATCH_TEST_FAILED);
+          }
+          break;
+      }
+    } catch (err) {
+      throw new Error(
+        ERROR_MESSAGES.INVALID_JSON_PATCH(
+          index,
+          /** @type {Error} */ (err).message,
+        ),
+        { cause: err },
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396): objects merge recursively, `null`
+ * removes a member and any other value replaces the target.
+ * @param {any} target
+ * @param {any} patch
+ * @returns {any} The merged document
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return structuredClone(patch);
+
+  /** @type {Record<string, any>} */
+  const result = isPlainObject(target) ? structuredClone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Diffs two JSON values into JSON Patch operations that turn `before` into
+ * `after`. Objects are compared per key and arrays per index; `remove` and
+ * `replace` operations carry the previous value as `oldValue`.
+ * @param {any} before
+ * @param {any} after
+ * @param {string} [path] - Pointer of the compared values
+ * @returns {JsonPatchOperation[]}
+ */
+export function diffJson(before, after, path = "") {
+  if (jsonEqual(before, after)) return [];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    /** @type {JsonPatchOperation[]} */
+    const operations = [];
+    const shared = Math.min(before.length, after.length);
+    for (let i = 0; i < shared; i++) {
+      operations.push(...diffJson(before[i], after[i], `${path}/${i}`));
+    }
+    for (let i = shared; i < after.length; i++) {
+      operations.push({ op: "add", path: `${path}/${i}`, value: after[i] });
+    }
+    // Remove from the end so each index is still valid when applied in order
+    for (let i = before.length - 1; i >= shared; i--) {
+      operations.push({
+        op: "remove",
+        path: `${path}/${i}`,
+        oldValue: before[i],
+      });
+    }
+    return operations;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    /** @type {JsonPatchOperation[]} */
+    const operations = [];
+    for (const [key, value] of Object.entries(before)) {
+      const childPath = `${path}/${escapePointerSegment(key)}`;
+      if (Object.hasOwn(after, key)) {
+        operations.push(...diffJson(value, after[key], childPath));
+      } else {
+        operations.push({ op: "remove", path: childPath, oldValue: value });
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      if (!Object.hasOwn(before, key)) {
+        const childPath = `${path}/${escapePointerSegment(key)}`;
+        operations.push({ op: "add", path: childPath, value });
+      }
+    }
+    return operations;
+  }
+
+  if (before === undefined) return [{ op: "add", path, value: after }];
+  if (after === undefined) return [{ op: "remove", path, oldValue: before }];
+  return [{ op: "replace", path, value: after, oldValue: before }];
+}
@@ -0,0 +1,490 @@
+/**
+ * @file src/utils/mock_rules.js
+ * @description Mock rule validation, request matching, and response rendering.
+ * Header and query matchers reuse the `GET /logs` filter semantics (case-insensitive
+ * substring match), and body predicates reuse the range operators (`$gt`, `$lte`, ...).
+ * @module utils/mock_rules
+ */
+import { nanoid } from "nanoid";
+import { APP_CONSTS, DEFAULT_ID_LENGTH } from "../consts/app.js";
+import { HTTP_STATUS } from "../consts/http.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { SQL_CONSTS } from "../consts/database.js";
+import {
+  matchObject,
+  matchesRange,
+  parseObjectFilter,
+} from "./filter_utils.js";
+import { isPlainObject, validateStatusCode } from "./common.js";
+import {
+  parseTemplateBody,
+  renderTemplate,
+  renderTemplateHeaders,
+} from "./template.js";
+
+/**
+ * @typedef {import('../typedefs.js').MockRule} MockRule
+ * @typedef {import('../typedefs.js').MockRuleDefinition} MockRuleDefinition
+ * @typedef {import('../typedefs.js').MockRuleMatch} MockRuleMatch
+ * @typedef {import('../typedefs.js').MockRuleValidation} MockRuleValidation
+ * @typedef {import('../typedefs.js').MockRequest} MockRequest
+ * @typedef {import('./filter_utils.js').RangeCondition} RangeCondition
+ */
+
+/**
+ * @typedef {Object} MockResponse
+ * @property {number} status
+ * @property {Record<string, string>} headers
+ * @property {any} body
+ * @property {number} delay
+ */
+
+const OPERATOR_PREFIX = "$";
+
+/**
+ * Fields managed by the service. They are ignored on input so a rule fetched
+ * from `GET /mock-rules` can be sent back unchanged.
+ */
+const READ_ONLY_FIELDS = ["id", "createdAt", "updatedAt", "hits", "lastHitAt"];
+const DEFINITION_FIELDS = [
+  "priority",
+  "enabled",
+  "webhookId",
+  "match",
+  "response",
+];
+const MATCH_FIELDS = ["method", "path", "headers", "query", "body"];
+const RESPONSE_FIELDS = ["status", "headers", "body", "delay"];
+
+/**
+ * `path` patterns compiled when a matcher is normalized, keyed by the normalized
+ * matcher so stored rules stay plain JSON.
+ * @type {WeakMap<MockRuleMatch, RegExp>}
+ */
+const compiledPaths = new WeakMap();
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isStringRecord = (value) =>
+  isPlainObject(value) &&
+  Object.values(value).every((entry) => typeof entry === "string");
+
+/**
+ * @param {unknown} pattern
+ * @returns {RegExp | null} The compiled pattern, or null if it is too long or invalid
+ */
+const compilePattern = (pattern) => {
+  if (
+    typeof pattern !== "string" ||
+    pattern.length > APP_CONSTS.MAX_MOCK_RULE_PATTERN_LENGTH
+  ) {
+    return null;
+  }
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Returns the compiled `path` pattern of a matcher, compiling it only for
+ * matchers that did not go through `normalizeRequestMatch`.
+ * @param {MockRuleMatch} match
+ * @param {string} path
+ * @returns {RegExp}
+ */
+const getPathPattern = (match, path) => {
+  let pattern = compiledPaths.get(match);
+  if (!pattern) {
+    pattern = new RegExp(path);
+    compiledPaths.set(match, pattern);
+  }
+  return pattern;
+};
+
+/**
+ * Converts a body predicate (`{ "$gt": 0, "$lte": 10 }` or a literal) into range conditions.
+ * @param {any} predicate
+ * @returns {RangeCondition[] | null} Conditions, or null for non-numeric/string literals
+ */
+const toRangeConditions = (predicate) => {
+  if (isPlainObject(predicate)) {
+    return Object.entries(predicate).map(([op, value]) => ({
+      operator: op.slice(OPERATOR_PREFIX.length),
+      value,
+    }));
+  }
+  if (typeof predicate === "number" || typeof predicate === "string") {
+    return [{ operator: SQL_CONSTS.OPERATORS.EQ, value: predicate }];
+  }
+  return null;
+};
+
+/**
+ * @param {unknown} predicate
+ * @returns {boolean}
+ */
+const isValidBodyPredicate = (predicate) => {
+  if (!isPlainObject(predicate)) {
+    return predicate === null || typeof predicate !== "object";
+  }
+  const entries = Object.entries(predicate);
+  return (
+    entries.length > 0 &&
+    entries.every(
+      ([op, value]) =>
+        op.startsWith(OPERATOR_PREFIX) &&
+        SQL_CONSTS.VALID_OPERATORS.includes(op.slice(OPERATOR_PREFIX.length)) &&
+        (typeof value === "number" || typeof value === "string"),
+    )
+  );
+};
+
+/**
+ * Splits a JSON path such as `$.items[0].price` or `$['x-key']` into segments.
+ * @param {string} path
+ * @returns {string[]}
+ */
+export const toPathSegments = (path) =>
+  path
+    .replace(/^\$/, "")
+    .replace(
+      /\[(?:'([^']*)'|"([^"]*)"|(\d+))\]/g,
+      (_m, sq, dq, idx) => `.${sq ?? dq ?? idx}`,
+    )
+    .split(".")
+    .filter(Boolean);
+
+/**
+ * Resolves a JSON path against a value using own properties only.
+ * @param {unknown} target
+ * @param {string} path - e.g. `$.data.amount` or `$.items[0].price`
+ * @returns {unknown}
+ */
+export function resolveJsonPath(target, path) {
+  /** @type {any} */
+  let current = target;
+  for (const segment of toPathSegments(path)) {
+    if (
+      current === null ||
+      typeof current !== "object" ||
+      !Object.hasOwn(current, segment)
+    ) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Validates and normalizes request match criteria. Shared by mock rules and
+ * forward destinations so both accept the same matcher syntax.
+ *
+ * @param {Record<string, any>} match
+ * @param {string} field - Field name used as the prefix in error messages
+ * @param {(field: string, expected: string) => void} reject - Reports an invalid field
+ * @param {(field: string) => void} unsupported - Reports an unknown field
+ * @returns {MockRuleMatch}
+ */
+export function normalizeRequestMatch(match, field, reject, unsupported) {
+  /** @type {MockRuleMatch} */
+  const normalized = {};
+
+  for (const key of Object.keys(match)) {
+    if (!MATCH_FIELDS.includes(key)) {
+      unsupported(`${field}.${key}`);
+    }
+  }
+
+  if (match.method !== undefined) {
+    const methods = Array.isArray(match.method) ? match.method : [match.method];
+    if (
+      methods.length > 0 &&
+      methods.every((m) => typeof m === "string" && m.trim())
+    ) {
+      normalized.method = methods.map((m) => m.trim().toUpperCase());
+    } else {
+      reject(`${field}.method`, "a method name or an array of method names");
+    }
+  }
+
+  if (match.path !== undefined) {
+    const pattern = compilePattern(match.path);
+    if (pattern) {
+      normalized.path = match.path;
+      compiledPaths.set(normalized, pattern);
+    } else {
+      reject(
+        `${field}.path`,
+        `a regular expression of at most ${APP_CONSTS.MAX_MOCK_RULE_PATTERN_LENGTH} characters`,
+      );
+    }
+  }
+
+  if (match.headers !== undefined) {
+    if (isStringRecord(match.headers)) {
+      normalized.headers = Object.fromEntries(
+        Object.entries(match.headers).map(([k, v]) => [k.toLowerCase(), v]),
+      );
+    } else {
+      reject(`${field}.headers`, "an object of string values");
+    }
+  }
+
+  if (match.query !== undefined) {
+    if (isStringRecord(match.query)) normalized.query = match.query;
+    else reject(`${field}.query`, "an object of string values");
+  }
+
+  if (match.body !== undefined) {
+    if (
+      isPlainObject(match.body) &&
+      Object.entries(match.body).every(
+        ([path, predicate]) =>
+          path.startsWith(OPERATOR_PREFIX) && isValidBodyPredicate(predicate),
+      )
+    ) {
+      normalized.body = match.body;
+    } else {
+      reject(
+        `${field}.body`,
+        `an object of JSON paths ("$.field") to literals or operator objects (${SQL_CONSTS.VALID_OPERATORS.map((op) => OPERATOR_PREFIX + op).join(", ")})`,
+      );
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates and normalizes a mock rule definition (e.g. a management API request body).
+ * Defaults: `priority: 0`, `enabled: true`, `match: {}` (matches every request),
+ * `response.status: 200`.
+ *
+ * @param {unknown} input
+ * @returns {MockRuleValidation}
+ */
+export function validateMockRule(input) {
+  /** @type {string[]} */
+  const errors = [];
+  /** @type {MockRuleDefinition} */
+  const rule = {
+    priority: 0,
+    enabled: true,
+    match: {},
+    response: { status: HTTP_STATUS.OK },
+  };
+
+  if (!isPlainObject(input)) {
+    return { valid: false, errors: [ERROR_MESSAGES.INVALID_JSON_BODY], rule };
+  }
+
+  /**
+   * @param {string} field
+   * @param {string} expected
+   */
+  const reject = (field, expected) =>
+    errors.push(ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD(field, expected));
+
+  for (const key of Object.keys(input)) {
+    if (!DEFINITION_FIELDS.includes(key) && !READ_ONLY_FIELDS.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_MOCK_RULE_FIELD(key));
+    }
+  }
+
+  if (input.priority !== undefined) {
+    if (Number.isInteger(input.priority)) rule.priority = input.priority;
+    else reject("priority", "an integer");
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled === "boolean") rule.enabled = input.enabled;
+    else reject("enabled", "a boolean");
+  }
+
+  if (input.webhookId !== undefined && input.webhookId !== null) {
+    if (typeof input.webhookId === "string" && input.webhookId.trim()) {
+      rule.webhookId = input.webhookId.trim();
+    } else {
+      reject("webhookId", "a non-empty string");
+    }
+  }
+
+  const match = input.match ?? {};
+  if (!isPlainObject(match)) {
+    reject("match", "an object");
+  } else {
+    rule.match = normalizeRequestMatch(match, "match", reject, (field) =>
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_MOCK_RULE_FIELD(field)),
+    );
+  }
+
+  const response = input.response;
+  if (!isPlainObject(response)) {
+    reject("response", "an object");
+  } else {
+    for (const key of Object.keys(response)) {
+      if (!RESPONSE_FIELDS.includes(key)) {
+        errors.push(
+          ERROR_MESSAGES.UNSUPPORTED_MOCK_RULE_FIELD(`response.${key}`),
+        );
+      }
+    }
+
+    if (response.status !== undefined) {
+      if (
+        Number.isInteger(response.status) &&
+        validateStatusCode(response.status)
+      ) {
+        rule.response.status = response.status;
+      } else {
+        reject("response.status", "a known HTTP status code");
+      }
+    }
+
+    if (response.headers !== undefined) {
+      if (isStringRecord(response.headers)) {
+        rule.response.headers = response.headers;
+      } else {
+        reject("response.headers", "an object of string header values");
+      }
+    }
+
+    if (response.body !== undefined) {
+      const serialized =
+        typeof response.body === "string"
+          ? response.body
+          : JSON.stringify(response.body);
+      if (
+        Buffer.byteLength(serialized ?? "") > APP_CONSTS.MAX_MOCK_RESPONSE_BYTES
+      ) {
+        errors.push(
+          ERROR_MESSAGES.MOCK_RESPONSE_TOO_LARGE(
+            APP_CONSTS.MAX_MOCK_RESPONSE_BYTES,
+          ),
+        );
+      } else {
+        rule.response.body = response.body;
+      }
+    }
+
+    if (response.delay !== undefined) {
+      if (
+        typeof response.delay === "number" &&
+        Number.isFinite(response.delay) &&
+        response.delay >= 0 &&
+        response.delay <= APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS
+      ) {
+        rule.response.delay = response.delay;
+      } else {
+        reject(
+          "response.delay",
+          `a number from 0 to ${APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS}`,
+        );
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, rule };
+}
+
+/**
+ * Checks whether a request satisfies every criterion of a rule.
+ * Disabled rules and rules scoped to another webhook never match.
+ *
+ * @param {MockRuleDefinition} rule
+ * @param {MockRequest} request
+ * @returns {boolean}
+ */
+export function matchesMockRule(rule, request) {
+  if (!rule.enabled) return false;
+  if (rule.webhookId && rule.webhookId !== request.webhookId) return false;
+
+  return matchesRequest(rule.match, request);
+}
+
+/**
+ * Checks whether a request satisfies every criterion of a normalized matcher.
+ * An empty matcher matches every request.
+ *
+ * @param {MockRuleMatch} match
+ * @param {MockRequest} request
+ * @returns {boolean}
+ */
+export function matchesRequest(match, request) {
+  const { method, path, headers, query, body } = match;
+
+  if (method && !method.includes(String(request.method).toUpperCase())) {
+    return false;
+  }
+
+  if (path && !getPathPattern(match, path).test(request.path)) return false;
+
+  if (headers && !matchObject(request.headers, parseObjectFilter(headers))) {
+    return false;
+  }
+
+  if (query && !matchObject(request.query, query)) return false;
+
+  if (body) {
+    const parsedBody = parseTemplateBody(request.body);
+    return Object.entries(body).every(([jsonPath, predicate]) => {
+      const actual = resolveJsonPath(parsedBody, jsonPath);
+      const conditions = toRangeConditions(predicate);
+      return conditions
+        ? matchesRange(/** @type {any} */ (actual), conditions)
+        : actual === predicate;
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Returns the first matching rule. Rules must already be in evaluation order.
+ * @template {MockRuleDefinition} T
+ * @param {T[]} rules
+ * @param {MockRequest} request
+ * @returns {T | undefined}
+ */
+export function findMatchingMockRule(rules, request) {
+  return rules.find((rule) => matchesMockRule(rule, request));
+}
+
+/**
+ * Renders a rule's response for a request. Body strings and header values may use
+ * `{{request.body.*}}`, `{{request.headers.*}}`, `{{request.query.*}}`,
+ * `{{request.method}}`, `{{request.path}}`, `{{system.timestamp}}`, and `{{system.randomId}}`.
+ *
+ * @param {MockRuleDefinition} rule
+ * @param {MockRequest} request
+ * @returns {MockResponse}
+ */
+export function renderMockResponse(rule, request) {
+  const context = {
+    request: {
+      method: request.method,
+      path: request.path,
+      headers: request.headers || {},
+      query: request.query || {},
+      body: parseTemplateBody(request.body),
+    },
+    system: {
+      timestamp: new Date().toISOString(),
+      randomId: nanoid(DEFAULT_ID_LENGTH),
+    },
+  };
+
+  const { status, headers = {}, body, delay = 0 } = rule.response;
+
+  return {
+    status,
+    headers: renderTemplateHeaders(headers, context),
+    body: renderTemplate(body, context),
+    delay,
+  };
+}
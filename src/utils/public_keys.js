@@ -0,0 +1,266 @@
+/**
+ * @file src/utils/public_keys.js
+ * @description Public key loading (PEM, base64 DER, JWK, or a local JWKS file)
+ * and key-based signature checks for providers that sign with a private key
+ * (Ed25519, ECDSA, RSA).
+ * @module utils/public_keys
+ */
+import crypto from "crypto";
+import { readFileSync, statSync } from "fs";
+import { ENCODINGS } from "../consts/http.js";
+import {
+  DSA_ENCODINGS,
+  SIGNATURE_CONSTS,
+  SIGNATURE_PREFIXES,
+} from "../consts/security.js";
+import { SIGNATURE_ERRORS } from "../consts/errors.js";
+import { isPlainObject } from "./common.js";
+
+/**
+ * @typedef {import('crypto').KeyObject} KeyObject
+ * @typedef {import('crypto').BinaryToTextEncoding} BinaryToTextEncoding
+ * @typedef {import('../typedefs.js').SignatureConfig} SignatureConfig
+ */
+
+/**
+ * @typedef {Object} VerificationKey
+ * @property {string} kid - Key ID from the entry or JWK, otherwise the key's position
+ * @property {KeyObject} key
+ */
+
+/**
+ * @typedef {Object} KeyCheckOptions
+ * @property {string} algorithm - Digest for ECDSA/RSA keys (ignored for Ed25519/Ed448)
+ * @property {BinaryToTextEncoding} encoding - Encoding of the signatures
+ * @property {string} [dsaEncoding] - ECDSA signature layout (default: DER)
+ */
+
+/**
+ * @typedef {Object} SignatureMatch
+ * @property {string} [keyId] - Public key that validated
+ * @property {number} [secretIndex] - Rotating secret that validated
+ */
+
+/**
+ * Incremental verifier shared by HMAC secrets and public keys.
+ * @typedef {Object} StreamVerifier
+ * @property {(chunk: Buffer | string, encoding?: BufferEncoding) => void} update
+ * @property {() => SignatureMatch | undefined} finalize - Returns the match, if any
+ */
+
+// Discord and similar senders publish the raw 32-byte Ed25519 key as hex
+const RAW_ED25519_HEX = /^[0-9a-f]{64}$/i;
+
+/** @type {Map<string, { mtimeMs: number, keys: VerificationKey[] }>} */
+const jwksCache = new Map();
+
+/**
+ * True when the config carries anything to verify with: a shared secret or public keys.
+ * @param {SignatureConfig | undefined} config
+ * @returns {boolean}
+ */
+export function hasVerificationKey(config) {
+  return (
+    Boolean(config?.secret || config?.secrets?.length) || hasPublicKeys(config)
+  );
+}
+
+/**
+ * @param {SignatureConfig | undefined} config
+ * @returns {boolean}
+ */
+export function hasPublicKeys(config) {
+  return Boolean(config?.publicKeys?.length || config?.jwksFile);
+}
+
+/**
+ * Parses a PEM or base64 DER (SPKI) public key, a raw hex Ed25519 key, or a JWK.
+ * @param {string | Object.<string, any>} input
+ * @returns {KeyObject | null}
+ */
+export function parsePublicKey(input) {
+  try {
+    if (isPlainObject(input)) {
+      return crypto.createPublicKey({ key: input, format: "jwk" });
+    }
+    const key = String(input).trim();
+    if (key.startsWith(SIGNATURE_PREFIXES.PEM)) {
+      return crypto.createPublicKey(key);
+    }
+    if (RAW_ED25519_HEX.test(key)) {
+      return crypto.createPublicKey({
+        key: {
+          kty: "OKP",
+          crv: "Ed25519",
+          x: Buffer.from(key, "hex").toString("base64url"),
+        },
+        format: "jwk",
+      });
+    }
+    return crypto.createPublicKey({
+      key: Buffer.from(key, ENCODINGS.BASE64),
+      format: "der",
+      type: "spki",
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads every configured key: `publicKeys` entries first, then the JWKS file.
+ * Several keys may be active at once so senders can rotate without downtime.
+ * @param {SignatureConfig} config
+ * @returns {{ keys: VerificationKey[], error?: string }}
+ */
+export function loadVerificationKeys(config) {
+  /** @type {VerificationKey[]} */
+  const keys = [];
+
+  for (const [index, entry] of (config.publicKeys ?? []).entries()) {
+    // Accepts a bare key (PEM/DER/hex string or JWK) or { kid, key }
+    const wrapped = isPlainObject(entry) && "key" in entry;
+    const material = wrapped ? entry.key : entry;
+    const key = parsePublicKey(material);
+    if (!key) {
+      return {
+        keys: [],
+        error: `${SIGNATURE_ERRORS.INVALID_PUBLIC_KEY}: publicKeys[${index}]`,
+      };
+    }
+    const kid = wrapped ? entry.kid : isPlainObject(material) && material.kid;
+    keys.push({ kid: kid ? String(kid) : String(index), key });
+  }
+
+  if (config.jwksFile) {
+    const jwksKeys = readJwksFile(config.jwksFile);
+    if (!jwksKeys) return { keys: [], error: SIGNATURE_ERRORS.INVALID_JWKS };
+    keys.push(...jwksKeys);
+  }
+
+  return { keys };
+}
+
+/**
+ * Reads a local JWKS file, re-reading it only when its mtime changes.
+ * Symmetric and encryption-only keys are skipped.
+ * @param {string} path
+ * @returns {VerificationKey[] | null} null when the file is unreadable or has no usable keys
+ */
+function readJwksFile(path) {
+  try {
+    const { mtimeMs } = statSync(path);
+    const cached = jwksCache.get(path);
+    if (cached?.mtimeMs === mtimeMs) return cached.keys;
+
+    const jwks = JSON.parse(readFileSync(path, ENCODINGS.UTF));
+    /** @type {VerificationKey[]} */
+    const keys = [];
+    for (const [index, jwk] of (jwks?.keys ?? []).entries()) {
+      if (jwk?.use && jwk.use !== SIGNATURE_CONSTS.JWKS_SIGNING_USE) continue;
+      const key = parsePublicKey(jwk);
+      if (key?.type === "public") {
+        keys.push({ kid: jwk.kid ? String(jwk.kid) : `jwks:${index}`, key });
+      }
+    }
+
+    if (keys.length === 0) return null;
+    jwksCache.set(path, { mtimeMs, keys });
+    return keys;
+  } catch {
+    // Parse errors can quote file contents, so callers only get a generic error
+    return null;
+  }
+}
+
+/**
+ * @param {VerificationKey} verificationKey
+ * @param {string} algorithm
+ * @returns {string | null} Digest to use, or null for one-shot key types
+ */
+const digestFor = ({ key }, algorithm) =>
+  SIGNATURE_CONSTS.ONE_SHOT_KEY_TYPES.includes(String(key.asymmetricKeyType))
+    ? null
+    : algorithm;
+
+/**
+ * @param {VerificationKey} verificationKey
+ * @param {KeyCheckOptions} options
+ * @returns {crypto.VerifyKeyObjectInput}
+ */
+const keyInput = ({ key }, options) => ({
+  key,
+  dsaEncoding: /** @type {crypto.DSAEncoding} */ (
+    options.dsaEncoding || DSA_ENCODINGS.DER
+  ),
+});
+
+/**
+ * Checks the signatures against every key.
+ * @param {VerificationKey[]} keys
+ * @param {Buffer} data - Signed content
+ * @param {string[]} signatures - Candidate signatures (any may match)
+ * @param {KeyCheckOptions} options
+ * @returns {string | undefined} ID of the first key that validates
+ */
+export function findValidatingKey(keys, data, signatures, options) {
+  for (const verificationKey of keys) {
+    for (const signature of signatures) {
+      try {
+        const valid = crypto.verify(
+          digestFor(verificationKey, options.algorithm),
+          data,
+          keyInput(verificationKey, options),
+          Buffer.from(signature, options.encoding),
+        );
+        if (valid) return verificationKey.kid;
+      } catch {
+        // Malformed signature or key/algorithm mismatch: try the next one
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Incremental variant of `findValidatingKey` for streamed bodies.
+ * A Verify object can only be finalized once, so one is kept per key and signature.
+ * @param {VerificationKey[]} keys
+ * @param {string[]} signatures - Candidate signatures (any may match)
+ * @param {KeyCheckOptions} options
+ * @returns {StreamVerifier | null} null when a key type cannot be streamed (Ed25519/Ed448)
+ */
+export function createKeyStreamVerifier(keys, signatures, options) {
+  if (keys.some((key) => digestFor(key, options.algorithm) === null)) {
+    return null;
+  }
+
+  const verifiers = keys.flatMap((verificationKey) =>
+    signatures.map((signature) => ({
+      verificationKey,
+      signature,
+      verify: crypto.createVerify(options.algorithm),
+    })),
+  );
+
+  return {
+    update: (chunk, encoding) => {
+      const data =
+        typeof chunk === "string" ? Buffer.from(chunk, encoding) : chunk;
+      for (const { verify } of verifiers) verify.update(data);
+    },
+    finalize: () => {
+      for (const { verificationKey, signature, verify } of verifiers) {
+        try {
+          const key = keyInput(verificationKey, options);
+          if (verify.verify(key, signature, options.encoding)) {
+            return { keyId: verificationKey.kid };
+          }
+        } catch {
+          // Malformed signature or key/algorithm mismatch: try the next one
+        }
+      }
+      return undefined;
+    },
+  };
+}
@@ -0,0 +1,586 @@
+/**
+ * @file src/utils/replay.js
+ * @description Re-sends a captured log to a target URL, optionally with its headers
+ * or body mutated, stores the request/response pair and compares replay responses.
+ * Shared by the single-event replay route and bulk replay jobs; callers must
+ * validate the target for SSRF first.
+ * @module utils/replay
+ */
+import { Actor } from "apify";
+import { nanoid } from "nanoid";
+import { forwardingService } from "../services/index.js";
+import {
+  REPLAY_HEADERS_TO_IGNORE,
+  SENSITIVE_HEADERS,
+  HTTP_STATUS,
+  HTTP_HEADERS,
+} from "../consts/http.js";
+import {
+  APP_CONSTS,
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
+  REPLAY_CAPTURE_CONSTS,
+} from "../consts/app.js";
+import { LOG_COMPONENTS, LOG_CONSTS } from "../consts/logging.js";
+import { STORAGE_CONSTS } from "../consts/storage.js";
+import { LOG_MESSAGES } from "../consts/messages.js";
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { createChildLogger, serializeError } from "./logger.js";
+import {
+  applyJsonPatch,
+  applyMergePatch,
+  diffJson,
+  validateJsonPatch,
+} from "./json_patch.js";
+import { isPlainObject } from "./common.js";
+
+const log = createChildLogger({ component: LOG_COMPONENTS.REPLAY });
+
+/**
+ * @typedef {import("axios").AxiosResponse} AxiosResponse
+ * @typedef {import("../typedefs.js").CommonError} CommonError
+ * @typedef {import("../typedefs.js").DeliveryRecord} DeliveryRecord
+ * @typedef {import("../typedefs.js").ForwardSigningConfig} ForwardSigningConfig
+ * @typedef {import("../typedefs.js").LogEntry} LogEntry
+ * @typedef {import("../typedefs.js").ReplayMutation} ReplayMutation
+ * @typedef {import("../typedefs.js").ReplayCapture} ReplayCapture
+ * @typedef {import("../typedefs.js").ReplayMutationDiff} ReplayMutationDiff
+ * @typedef {import("../typedefs.js").JsonPatchOperation} JsonPatchOperation
+ * @typedef {Object.<string, string> | null} ReqBody
+ */
+
+/**
+ * @typedef {Object} ReplayTarget
+ * @property {string} href - SSRF-validated URL
+ * @property {string} [host] - Host header for the validated URL
+ */
+
+/**
+ * @typedef {Object} ReplayOptions
+ * @property {string} webhookId - Sent as `X-Original-Webhook-Id`
+ * @property {string} idempotencyKey - Sent as `Idempotency-Key`
+ * @property {number} maxRetries
+ * @property {number} timeoutMs - Per-attempt timeout
+ * @property {ForwardSigningConfig} [signing] - Re-signs the replay when set
+ */
+
+/**
+ * @typedef {Object} ReplayRequest
+ * @property {Record<string, unknown>} headers - Headers to send, before the replay markers
+ * @property {unknown} body - Hydrated (and possibly mutated) body
+ * @property {string[]} strippedHeaders - Captured headers that were not replayed
+ * @property {ReplayMutationDiff} [mutation] - What the mutation changed, if one was applied
+ */
+
+/**
+ * @typedef {Object} ReplayOutcome
+ * @property {AxiosResponse} [response] - Target response, including non-2xx responses
+ * @property {string} replayId - Delivery ID; also the ID of the stored request/response pair
+ * @property {string[]} strippedHeaders - Captured headers that were not replayed
+ * @property {ReplayMutationDiff} [mutation]
+ * @property {number} attempts
+ * @property {number} durationMs
+ */
+
+/**
+ * Drops transport, tracking and masked headers that must not be replayed.
+ * @param {Record<string, unknown> | undefined} headers
+ * @returns {{ headers: Record<string, unknown>, strippedHeaders: string[] }}
+ */
+export function filterReplayHeaders(headers) {
+  /** @type {Readonly<string[]>} */
+  const headersToIgnore = REPLAY_HEADERS_TO_IGNORE;
+  /** @type {string[]} */
+  const strippedHeaders = [];
+  /** @type {Record<string, unknown>} */
+  const filtered = Object.entries(headers || {}).reduce(
+    (/** @type {Record<string, unknown>} */ acc, [key, value]) => {
+      const lowerKey = key.toLowerCase();
+      const isMasked =
+        typeof value === "string" &&
+        value.toUpperCase() === LOG_CONSTS.MASKED_VALUE;
+      if (isMasked || headersToIgnore.includes(lowerKey)) {
+        strippedHeaders.push(key);
+      } else {
+        acc[key] = value;
+      }
+      return acc;
+    },
+    {},
+  );
+  return { headers: filtered, strippedHeaders };
+}
+
+/**
+ * Loads a payload that was offloaded to the KeyValueStore. Returns the body
+ * unchanged when it is not an offload marker or the stored value is missing.
+ * @param {unknown} body
+ * @returns {Promise<unknown>}
+ */
+export async function hydrateOffloadedBody(body) {
+  const marker = /** @type {ReqBody} */ (body);
+  if (
+    !marker ||
+    typeof marker !== "object" ||
+    !(
+      /** @type {string[]} */ ([
+        STORAGE_CONSTS.OFFLOAD_MARKER_SYNC,
+        STORAGE_CONSTS.OFFLOAD_MARKER_STREAM,
+      ]).includes(marker.data)
+    ) ||
+    !marker.key
+  ) {
+    return body;
+  }
+
+  log.info({ kvsKey: marker.key }, LOG_MESSAGES.HYDRATING_PAYLOAD);
+  try {
+    /** @type {ReqBody} */
+    const hydrated = await Actor.getValue(marker.key);
+    if (hydrated) return hydrated;
+    log.warn({ kvsKey: marker.key }, LOG_MESSAGES.HYDRATE_FAILED_KEY);
+  } catch (e) {
+    log.error(
+      { kvsKey: marker.key, err: serializeError(e) },
+      LOG_MESSAGES.HYDRATE_ERROR,
+    );
+  }
+  return body;
+}
+
+const MUTATION_FIELDS = Object.freeze([
+  "setHeaders",
+  "removeHeaders",
+  "jsonPatch",
+  "mergePatch",
+]);
+
+/**
+ * Validates a replay mutation and lowercases its header names. An empty object
+ * means no mutation.
+ * @param {Record<string, any>} input
+ * @returns {{ errors: string[], mutation?: ReplayMutation }}
+ */
+export function validateReplayMutation(input) {
+  /** @type {string[]} */
+  const errors = [];
+  for (const key of Object.keys(input)) {
+    if (!MUTATION_FIELDS.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_REPLAY_MUTATION_FIELD(key));
+    }
+  }
+
+  const { setHeaders, removeHeaders, jsonPatch, mergePatch } = input;
+  if (
+    setHeaders !== undefined &&
+    !(
+      isPlainObject(setHeaders) &&
+      Object.values(setHeaders).every((v) => typeof v === "string")
+    )
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_REPLAY_MUTATION_FIELD(
+        "setHeaders",
+        "an object of string values",
+      ),
+    );
+  }
+  if (
+    removeHeaders !== undefined &&
+    !(
+      Array.isArray(removeHeaders) &&
+      removeHeaders.every((name) => typeof name === "string" && name.trim())
+    )
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_REPLAY_MUTATION_FIELD(
+        "removeHeaders",
+        "an array of header names",
+      ),
+    );
+  }
+  if (jsonPatch !== undefined) {
+    const patchError = validateJsonPatch(jsonPatch);
+    if (patchError) errors.push(patchError);
+  }
+  if (jsonPatch !== undefined && mergePatch !== undefined) {
+    errors.push(ERROR_MESSAGES.REPLAY_MUTATION_PATCH_CONFLICT);
+  }
+  if (errors.length > 0 || Object.keys(input).length === 0) return { errors };
+
+  return {
+    errors,
+    mutation: {
+      ...(setHeaders !== undefined && {
+        setHeaders: Object.fromEntries(
+          Object.entries(setHeaders).map(([name, value]) => [
+            name.trim().toLowerCase(),
+            value,
+          ]),
+        ),
+      }),
+      ...(removeHeaders !== undefined && {
+        removeHeaders: removeHeaders.map((/** @type {string} */ name) =>
+          name.trim().toLowerCase(),
+        ),
+      }),
+      ...(jsonPatch !== undefined && { jsonPatch }),
+      ...(mergePatch !== undefined && { mergePatch }),
+    },
+  };
+}
+
+/**
+ * @param {Record<string, unknown>} headers
+ * @returns {Record<string, unknown>}
+ */
+const maskSensitiveHeaders = (headers) => {
+  /** @type {Readonly<string[]>} */
+  const sensitive = SENSITIVE_HEADERS;
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      sensitive.includes(name.toLowerCase()) ? LOG_CONSTS.MASKED_VALUE : value,
+    ]),
+  );
+};
+
+/**
+ * Applies header and body changes to a replay request.
+ * @param {Record<string, unknown>} headers
+ * @param {unknown} body
+ * @param {ReplayMutation} mutation
+ * @returns {{ headers: Record<string, unknown>, body: unknown, diff: ReplayMutationDiff }}
+ * @throws {Error} When a body patch is set but the body is not JSON, or the patch fails
+ */
+const applyReplayMutation = (headers, body, mutation) => {
+  const {
+    setHeaders = {},
+    removeHeaders = [],
+    jsonPatch,
+    mergePatch,
+  } = mutation;
+  const overridden = [...removeHeaders, ...Object.keys(setHeaders)];
+  const mutatedHeaders = {
+    ...Object.fromEntries(
+      Object.entries(headers).filter(
+        ([name]) => !overridden.includes(name.toLowerCase()),
+      ),
+    ),
+    ...setHeaders,
+  };
+
+  let mutatedBody = body;
+  if (jsonPatch !== undefined || mergePatch !== undefined) {
+    let document = body;
+    if (typeof body === "string") {
+      try {
+        document = JSON.parse(body);
+      } catch {
+        throw new Error(ERROR_MESSAGES.REPLAY_BODY_NOT_JSON);
+      }
+    }
+    mutatedBody = jsonPatch
+      ? applyJsonPatch(document, jsonPatch)
+      : applyMergePatch(document, mergePatch);
+  }
+
+  return {
+    headers: mutatedHeaders,
+    body: mutatedBody,
+    diff: {
+      headers: diffJson(
+        maskSensitiveHeaders(headers),
+        maskSensitiveHeaders(mutatedHeaders),
+      ),
+      body: diffJson(body, mutatedBody),
+    },
+  };
+};
+
+/**
+ * Returns a body for storage, or `null` when it exceeds the capture limit.
+ * @param {unknown} body
+ * @returns {{ body: unknown, truncated: boolean }}
+ */
+const captureBody = (body) => {
+  if (body === undefined || body === null)
+    return { body: null, truncated: false };
+  if (Buffer.isBuffer(body)) {
+    return body.length > REPLAY_CAPTURE_CONSTS.MAX_BODY_BYTES
+      ? { body: null, truncated: true }
+      : { body: body.toString(), truncated: false };
+  }
+  const serialized = typeof body === "string" ? body : JSON.stringify(body);
+  return Buffer.byteLength(serialized) > REPLAY_CAPTURE_CONSTS.MAX_BODY_BYTES
+    ? { body: null, truncated: true }
+    : { body, truncated: false };
+};
+
+/**
+ * Builds the stored request/response pair of a replay.
+ * @param {Omit<DeliveryRecord, "status">} delivery
+ * @param {LogEntry} item
+ * @param {Record<string, unknown>} sentHeaders
+ * @param {unknown} sentBody
+ * @param {{ durationMs: number, response?: AxiosResponse, error?: string }} outcome
+ * @returns {ReplayCapture}
+ */
+const buildReplayCapture = (delivery, item, sentHeaders, sentBody, outcome) => {
+  const request = captureBody(sentBody);
+  const response = captureBody(outcome.response?.data);
+  return {
+    id: String(delivery.id),
+    logId: delivery.logId,
+    webhookId: delivery.webhookId,
+    targetUrl: delivery.targetUrl,
+    method: item.method,
+    requestHeaders: maskSensitiveHeaders(sentHeaders),
+    requestBody: request.body,
+    requestBodyTruncated: request.truncated,
+    statusCode: outcome.response?.status ?? null,
+    responseHeaders: { ...(outcome.response?.headers ?? {}) },
+    responseBody: response.body,
+    responseBodyTruncated: response.truncated,
+    durationMs: outcome.durationMs,
+    error: outcome.error ?? null,
+  };
+};
+
+/**
+ * Builds the request a replay sends: filtered headers and the hydrated body,
+ * with the mutation applied when one is given.
+ * @param {LogEntry} item
+ * @param {ReplayMutation} [mutation]
+ * @returns {Promise<ReplayRequest>}
+ * @throws {Error} When the mutation cannot be applied to this log
+ */
+export async function prepareReplayRequest(item, mutation) {
+  const { headers, strippedHeaders } = filterReplayHeaders(item.headers);
+  const body = await hydrateOffloadedBody(item.body);
+  if (!mutation) return { headers, body, strippedHeaders };
+
+  const mutated = applyReplayMutation(headers, body, mutation);
+  return {
+    headers: mutated.headers,
+    body: mutated.body,
+    strippedHeaders,
+    mutation: mutated.diff,
+  };
+}
+
+/**
+ * Replays a captured log and records the outcome as a `replay` delivery.
+ * Non-2xx responses are returned; network errors and timeouts are recorded and
+ * rethrown.
+ * @param {LogEntry} item
+ * @param {ReplayTarget} target
+ * @param {ReplayOptions} options
+ * @param {ReplayRequest} [request] - Prepared request; built from `item` when omitted
+ * @returns {Promise<ReplayOutcome>}
+ */
+export async function replayLogItem(item, target, options, request) {
+  const { webhookId, idempotencyKey, maxRetries, timeoutMs, signing } = options;
+  const {
+    headers,
+    body: bodyToSend,
+    strippedHeaders,
+    mutation,
+  } = request ?? (await prepareReplayRequest(item));
+
+  /** @type {AxiosResponse | undefined} */
+  let response;
+  const replayAbort = new AbortController();
+  // Dual timeout strategy:
+  // 1. Per-request timeout: timeoutMs
+  // 2. Total operation timeout: timeoutMs * (maxRetries + 1)
+  const totalTimeoutMs = timeoutMs * (maxRetries + 1);
+  const replayTimeoutId = setTimeout(() => replayAbort.abort(), totalTimeoutMs);
+
+  let attempts = 0;
+  const startedAt = Date.now();
+  const replayId = nanoid(APP_CONSTS.DEFAULT_ID_LENGTH);
+  const sentHeaders = {
+    ...headers,
+    [HTTP_HEADERS.APIFY_REPLAY]: String(true),
+    [HTTP_HEADERS.ORIGINAL_WEBHOOK_ID]: webhookId,
+    [HTTP_HEADERS.IDEMPOTENCY_KEY]: idempotencyKey,
+  };
+  /** @type {Omit<DeliveryRecord, "status">} */
+  const delivery = {
+    id: replayId,
+    logId: item.id,
+    webhookId: item.webhookId || webhookId,
+    kind: DELIVERY_KINDS.REPLAY,
+    targetUrl: String(target.href),
+    ...(mutation && { mutation }),
+  };
+
+  try {
+    response = await forwardingService.sendSafeRequest(
+      String(target.href),
+      item.method,
+      bodyToSend,
+      sentHeaders,
+      {
+        maxRetries,
+        hostHeader: target.host,
+        forwardHeaders: true, // We manually filtered headers above
+        timeout: timeoutMs,
+        // Re-sign so receivers that verify signatures accept the replay
+        signing,
+        messageId: item.id,
+        onAttempt: (attempt) => {
+          attempts = attempt;
+        },
+      },
+      replayAbort.signal,
+    );
+  } catch (err) {
+    const axiosError = /** @type {CommonError} */ (err);
+
+    // sendSafeRequest throws on non-2xx, but we want the response for replay feedback
+    if (axiosError.response) {
+      response = /** @type {AxiosResponse} */ (axiosError.response);
+    } else {
+      // Real network error (connection refused, DNS failure, timeout)
+      const failure = {
+        durationMs: Date.now() - startedAt,
+        error: String(axiosError.code || axiosError.message),
+      };
+      await forwardingService.recordDelivery({
+        ...delivery,
+        status: DELIVERY_STATUSES.FAILED,
+        attempts,
+        ...failure,
+      });
+      await forwardingService.recordReplayCapture(
+        buildReplayCapture(delivery, item, sentHeaders, bodyToSend, failure),
+      );
+      throw err;
+    }
+  } finally {
+    clearTimeout(replayTimeoutId);
+  }
+
+  const durationMs = Date.now() - startedAt;
+  if (response) {
+    const delivered =
+      response.status >= HTTP_STATUS.OK &&
+      response.status < HTTP_STATUS.MULTIPLE_CHOICES;
+    await forwardingService.recordDelivery({
+      ...delivery,
+      status: delivered
+        ? DELIVERY_STATUSES.DELIVERED
+        : DELIVERY_STATUSES.FAILED,
+      statusCode: response.status,
+      attempts,
+      durationMs,
+    });
+    await forwardingService.recordReplayCapture(
+      buildReplayCapture(delivery, item, sentHeaders, bodyToSend, {
+        durationMs,
+        response,
+      }),
+    );
+  }
+
+  return {
+    response,
+    replayId,
+    strippedHeaders,
+    mutation,
+    attempts,
+    durationMs,
+  };
+}
+
+/**
+ * @typedef {Object} ReplayResponseSnapshot
+ * @property {string} source - `replay` or `original`
+ * @property {string} [id] - Replay ID, for replays
+ * @property {string} logId
+ * @property {string | null} targetUrl
+ * @property {number | null} statusCode
+ * @property {Record<string, unknown> | null} headers - `null` when not recorded
+ * @property {unknown} [body] - `undefined` when not recorded or too large to store
+ * @property {string} [timestamp]
+ */
+
+/**
+ * @typedef {Object} ReplayComparison
+ * @property {boolean} equal - True when every compared part matches
+ * @property {{ baseline: number | null, candidate: number | null, equal: boolean }} status
+ * @property {{ names: string[], equal: boolean, diff: JsonPatchOperation[] } | null} headers - `null` when either side has no recorded headers
+ * @property {{ equal: boolean, diff: JsonPatchOperation[] } | null} body - `null` when either side has no recorded body
+ */
+
+/**
+ * Parses JSON text so bodies compare structurally; other values are unchanged.
+ * @param {unknown} body
+ * @returns {unknown}
+ */
+const toComparableBody = (body) => {
+  if (typeof body !== "string") return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+};
+
+/**
+ * @param {Record<string, unknown>} headers
+ * @param {string[]} names - Lowercase header names
+ * @returns {Record<string, unknown>}
+ */
+const pickHeaders = (headers, names) =>
+  Object.fromEntries(
+    Object.entries(headers)
+      .filter(([name]) => names.includes(name.toLowerCase()))
+      .map(([name, value]) => [name.toLowerCase(), value]),
+  );
+
+/**
+ * Compares the status, selected headers and body of two replay responses (or a
+ * replay and the original response). Diffs turn `baseline` into `candidate`.
+ * @param {ReplayResponseSnapshot} baseline
+ * @param {ReplayResponseSnapshot} candidate
+ * @param {string[]} headerNames - Header names to compare, case-insensitive
+ * @returns {ReplayComparison}
+ */
+export function compareReplayResponses(baseline, candidate, headerNames) {
+  const names = headerNames.map((name) => name.toLowerCase());
+  const status = {
+    baseline: baseline.statusCode,
+    candidate: candidate.statusCode,
+    equal: baseline.statusCode === candidate.statusCode,
+  };
+
+  /** @type {ReplayComparison["headers"]} */
+  let headers = null;
+  if (baseline.headers && candidate.headers) {
+    const diff = diffJson(
+      pickHeaders(baseline.headers, names),
+      pickHeaders(candidate.headers, names),
+    );
+    headers = { names, equal: diff.length === 0, diff };
+  }
+
+  /** @type {ReplayComparison["body"]} */
+  let body = null;
+  if (baseline.body !== undefined && candidate.body !== undefined) {
+    const diff = diffJson(
+      toComparableBody(baseline.body),
+      toComparableBody(candidate.body),
+    );
+    body = { equal: diff.length === 0, diff };
+  }
+
+  return {
+    equal: status.equal && (headers?.equal ?? true) && (body?.equal ?? true),
+    status,
+    headers,
+    body,
+  };
+}
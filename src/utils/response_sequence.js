@@ -0,0 +1,98 @@
+/**
+ * @file src/utils/response_sequence.js
+ * @description Validation and step selection for stateful response sequences
+ * (e.g. "500, 500, 200" across successive calls to the same webhook).
+ * The call counters themselves are owned and persisted by `WebhookManager`.
+ * @module utils/response_sequence
+ */
+import {
+  APP_CONSTS,
+  DEFAULT_RESPONSE_SEQUENCE_KEY,
+  RESPONSE_SEQUENCE_MODES,
+} from "../consts/app.js";
+import { isPlainObject, validateStatusCode } from "./common.js";
+
+/**
+ * @typedef {import('../typedefs.js').ResponseSequence} ResponseSequence
+ * @typedef {import('../typedefs.js').ResponseSequenceStep} ResponseSequenceStep
+ */
+
+const SEQUENCE_FIELDS = Object.freeze(["steps", "keyHeader", "onComplete"]);
+const STEP_FIELDS = Object.freeze(["status", "headers", "body", "delayMs"]);
+
+/**
+ * @param {unknown} step
+ * @returns {boolean}
+ */
+const isValidStep = (step) =>
+  isPlainObject(step) &&
+  Object.keys(step).every((key) => STEP_FIELDS.includes(key)) &&
+  Number.isInteger(step.status) &&
+  validateStatusCode(step.status) &&
+  (step.headers === undefined ||
+    (isPlainObject(step.headers) &&
+      Object.values(step.headers).every((v) => typeof v === "string"))) &&
+  (step.body === undefined ||
+    typeof step.body === "string" ||
+    isPlainObject(step.body)) &&
+  (step.delayMs === undefined ||
+    (typeof step.delayMs === "number" &&
+      Number.isFinite(step.delayMs) &&
+      step.delayMs >= 0 &&
+      step.delayMs <= APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS));
+
+/**
+ * Structural check for a `responseSequence` setting.
+ * @param {unknown} value
+ * @returns {value is ResponseSequence}
+ */
+export function isValidResponseSequence(value) {
+  if (!isPlainObject(value)) return false;
+  if (!Object.keys(value).every((key) => SEQUENCE_FIELDS.includes(key))) {
+    return false;
+  }
+
+  const { steps, keyHeader, onComplete } = value;
+  return (
+    Array.isArray(steps) &&
+    steps.length > 0 &&
+    steps.length <= APP_CONSTS.MAX_RESPONSE_SEQUENCE_STEPS &&
+    steps.every(isValidStep) &&
+    (keyHeader === undefined ||
+      (typeof keyHeader === "string" && keyHeader.trim().length > 0)) &&
+    (onComplete === undefined ||
+      Object.values(RESPONSE_SEQUENCE_MODES).includes(onComplete))
+  );
+}
+
+/**
+ * Returns the cursor key for a request: the value of `keyHeader` when present,
+ * otherwise the shared default key.
+ * @param {ResponseSequence} sequence
+ * @param {Record<string, unknown>} headers - Lowercase request headers
+ * @returns {string}
+ */
+export function getSequenceKey(sequence, headers) {
+  if (!sequence.keyHeader) return DEFAULT_RESPONSE_SEQUENCE_KEY;
+
+  const value = headers[sequence.keyHeader.trim().toLowerCase()];
+  const key = Array.isArray(value) ? value[0] : value;
+  return typeof key === "string" && key ? key : DEFAULT_RESPONSE_SEQUENCE_KEY;
+}
+
+/**
+ * Picks the step for the n-th call (0-based). After the last step the sequence
+ * either keeps returning the last step (`repeat-last`, default) or starts over (`loop`).
+ * @param {ResponseSequence} sequence
+ * @param {number} callIndex
+ * @returns {{ index: number, step: ResponseSequenceStep }}
+ */
+export function selectSequenceStep(sequence, callIndex) {
+  const { steps, onComplete = RESPONSE_SEQUENCE_MODES.REPEAT_LAST } = sequence;
+  const index =
+    onComplete === RESPONSE_SEQUENCE_MODES.LOOP
+      ? callIndex % steps.length
+      : Math.min(callIndex, steps.length - 1);
+
+  return { index, step: steps[index] };
+}
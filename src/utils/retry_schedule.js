@@ -0,0 +1,57 @@
+/**
+ * @file src/utils/retry_schedule.js
+ * @description Backoff helpers for the durable forwarding outbox: exponential delays
+ * with jitter, and `Retry-After` parsing.
+ * @module utils/retry_schedule
+ */
+import { FORWARDING_CONSTS } from "../consts/app.js";
+
+const MS_PER_SECOND = 1000;
+
+/**
+ * Computes the delay before the given retry attempt using exponential backoff with
+ * "equal jitter": half of the capped delay is fixed and the other half is random, so
+ * retries spread out without ever firing immediately.
+ * @param {number} attempt - 1-based attempt number
+ * @param {Object} [options]
+ * @param {number} [options.baseMs]
+ * @param {number} [options.maxMs]
+ * @param {() => number} [options.random] - Returns a value in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeRetryDelay(
+  attempt,
+  {
+    baseMs = FORWARDING_CONSTS.OUTBOX_BASE_DELAY_MS,
+    maxMs = FORWARDING_CONSTS.OUTBOX_MAX_DELAY_MS,
+    random = Math.random,
+  } = {},
+) {
+  const exponent = Math.max(0, attempt - 1);
+  const capped = Math.min(
+    maxMs,
+    baseMs * Math.pow(FORWARDING_CONSTS.RETRY_BACKOFF_BASE, exponent),
+  );
+  const half = capped / (1 + 1);
+  return Math.round(half + random() * half);
+}
+
+/**
+ * Parses a `Retry-After` header, given either as delay-seconds or as an HTTP date.
+ * @param {unknown} value
+ * @param {number} [now]
+ * @returns {number | null} Delay in milliseconds, or null when absent or malformed
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (typeof raw !== "string" && typeof raw !== "number") return null;
+
+  const text = String(raw).trim();
+  if (/^\d+$/.test(text)) return Number(text) * MS_PER_SECOND;
+
+  // HTTP dates always contain a day or month name; this rejects "-5" and friends
+  if (!/[a-z]/i.test(text)) return null;
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
@@ -0,0 +1,113 @@
+/**
+ * @file src/utils/script_outcome.js
+ * @description Reads the reserved `$` keys a custom script sets on `event` to
+ * control what happens to it: whether it is stored, where (and whether) it is
+ * forwarded, how long forwarding waits, whether an alert fires, and its tags.
+ * @module utils/script_outcome
+ */
+import { SCRIPT_OUTCOME_CONSTS, SCRIPT_OUTCOME_KEYS } from "../consts/app.js";
+import { isHttpUrl } from "./common.js";
+
+/**
+ * @typedef {import('../typedefs.js').WebhookEvent} WebhookEvent
+ * @typedef {import('../typedefs.js').ScriptOutcome} ScriptOutcome
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {string[] | undefined} Deduplicated, trimmed tags, or undefined when invalid
+ */
+const normalizeTags = (value) => {
+  if (!Array.isArray(value) || value.length > SCRIPT_OUTCOME_CONSTS.MAX_TAGS) {
+    return undefined;
+  }
+  const tags = value.map((tag) => (typeof tag === "string" ? tag.trim() : ""));
+  if (
+    tags.some(
+      (tag) =>
+        tag.length === 0 || tag.length > SCRIPT_OUTCOME_CONSTS.MAX_TAG_LENGTH,
+    )
+  ) {
+    return undefined;
+  }
+  return [...new Set(tags)];
+};
+
+/**
+ * The outcome of an event no script has an opinion about.
+ * @returns {ScriptOutcome}
+ */
+export const createScriptOutcome = () => ({
+  drop: false,
+  skipForward: false,
+  delayMs: 0,
+});
+
+/**
+ * Removes the outcome keys from `event` and returns what they asked for. A key
+ * with an invalid value is dropped and reported rather than applied, so a typo
+ * never changes what happens to the event.
+ * @param {WebhookEvent} event - Mutated: every `$` outcome key is deleted
+ * @returns {{ outcome: ScriptOutcome, invalidKeys: string[] }}
+ */
+export function extractScriptOutcome(event) {
+  /** @type {ScriptOutcome} */
+  const outcome = createScriptOutcome();
+  /** @type {string[]} */
+  const invalidKeys = [];
+  const raw = /** @type {Record<string, unknown>} */ (
+    /** @type {unknown} */ (event)
+  );
+
+  /**
+   * @param {string} key
+   * @param {(value: unknown) => boolean} apply - Returns false when the value is invalid
+   */
+  const take = (key, apply) => {
+    if (!Object.hasOwn(raw, key)) return;
+    const value = raw[key];
+    delete raw[key];
+    if (value !== undefined && value !== null && !apply(value)) {
+      invalidKeys.push(key);
+    }
+  };
+
+  take(SCRIPT_OUTCOME_KEYS.DROP, (value) => {
+    if (typeof value !== "boolean") return false;
+    outcome.drop = value;
+    return true;
+  });
+  take(SCRIPT_OUTCOME_KEYS.SKIP_FORWARD, (value) => {
+    if (typeof value !== "boolean") return false;
+    outcome.skipForward = value;
+    return true;
+  });
+  take(SCRIPT_OUTCOME_KEYS.FORWARD_TO, (value) => {
+    if (!isHttpUrl(value)) return false;
+    outcome.forwardTo = /** @type {string} */ (value);
+    return true;
+  });
+  take(SCRIPT_OUTCOME_KEYS.DELAY_MS, (value) => {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      return false;
+    }
+    outcome.delayMs = Math.min(
+      Math.floor(value),
+      SCRIPT_OUTCOME_CONSTS.MAX_DELAY_MS,
+    );
+    return true;
+  });
+  take(SCRIPT_OUTCOME_KEYS.ALERT, (value) => {
+    if (typeof value !== "boolean") return false;
+    outcome.alert = value;
+    return true;
+  });
+  take(SCRIPT_OUTCOME_KEYS.TAGS, (value) => {
+    const tags = normalizeTags(value);
+    if (!tags) return false;
+    outcome.tags = tags;
+    return true;
+  });
+
+  return { outcome, invalidKeys };
+}
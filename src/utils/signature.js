@@ -1,10 +1,11 @@
 /**
  * @file src/utils/signature.js
- * @description Cryptographic signature verification for webhooks (Stripe, GitHub, etc).
+ * @description Cryptographic signature verification and outbound signing for webhooks (Stripe, GitHub, etc).
  * @module utils/signature
  */
 import crypto from "crypto";
 import {
+  HASH_ALGORITHMS,
   SIGNATURE_CONSTS,
   SIGNATURE_PROVIDERS,
   SIGNATURE_ENCODINGS,
@@ -13,15 +14,28 @@ import {
 import { HTTP_HEADERS, ENCODINGS } from "../consts/http.js";
 import { SIGNATURE_ERRORS } from "../consts/errors.js";
 import { secureCompare } from "./crypto.js";
+import {
+  createKeyStreamVerifier,
+  findValidatingKey,
+  hasPublicKeys,
+  hasVerificationKey,
+  loadVerificationKeys,
+  parsePublicKey,
+} from "./public_keys.js";
+import { getActiveSigningSecrets } from "./signing_secrets.js";
 import { APP_CONSTS } from "../consts/app.js";
 
 /**
  * @typedef {import('crypto').Hmac} Hmac
+ * @typedef {import('./public_keys.js').VerificationKey} VerificationKey
+ * @typedef {import('./public_keys.js').StreamVerifier} StreamVerifier
+ * @typedef {import('./signing_secrets.js').ActiveSigningSecret} ActiveSigningSecret
  * @typedef {import('crypto').BinaryToTextEncoding} BinaryToTextEncoding
  * @typedef {import("../typedefs.js").SignatureEncoding} SignatureEncoding
  * @typedef {import("../typedefs.js").SignatureConfig} SignatureConfig
  * @typedef {import("../typedefs.js").SignatureResult} SignatureResult
  * @typedef {import("../typedefs.js").SignatureProvider} SignatureProvider
+ * @typedef {import("../typedefs.js").ForwardSigningConfig} ForwardSigningConfig
  */
 
 /**
@@ -30,17 +44,44 @@ import { APP_CONSTS } from "../consts/app.js";
  * @property {BinaryToTextEncoding} encoding
  * @property {string} prefix
  * @property {string} expectedSignature
+ * @property {string[]} [alternateSignatures] - Other signatures that are also accepted (e.g. several `v1,` entries)
+ * @property {(secret: string) => string | Buffer} [deriveKey] - HMAC key derivation when it differs from the raw secret
+ * @property {VerificationKey[]} [publicKeys] - Set when signatures are checked against public keys instead of an HMAC
+ * @property {(body: string) => BodySignature} [fromBody] - Derives the signed content from the complete body
  * @property {string} [timestamp]
  * @property {string} [error]
  * @property {() => boolean} [validateTimestamp]
  */
 
+/**
+ * Signed content for providers that sign parsed body fields rather than the raw bytes.
+ * @typedef {Object} BodySignature
+ * @property {string} message - Content to sign instead of `prefix + payload`
+ * @property {string} [signature] - Signature carried in the body
+ * @property {string} [timestamp] - Timestamp carried in the body
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} SignedRequest
+ * @property {string} [url] - Full public URL of the request (used by Twilio and Square)
+ */
+
+/**
+ * @typedef {Object} OutboundMessage
+ * @property {string} [id] - Message ID sent as `webhook-id` (Standard Webhooks); random when unset
+ * @property {number} [timestamp] - Signing time in Unix seconds (default: now)
+ */
+
 /**
  * @typedef {Object} VerificationResult
- * @property {Hmac | null} hmac
+ * @property {StreamVerifier | null} hmac - Verifier for the active secrets or public keys
  * @property {string} expectedSignature
+ * @property {string[]} [alternateSignatures]
  * @property {BinaryToTextEncoding} encoding
  * @property {string} [error]
+ * @property {string} [keyId] - Set by `finalizeStreamVerification` when a public key validated
+ * @property {number} [secretIndex] - Set by `finalizeStreamVerification` when a rotating secret validated
  */
 
 /**
@@ -48,12 +89,13 @@ import { APP_CONSTS } from "../consts/app.js";
  * @param {SignatureConfig} config - Signature verification configuration
  * @param {string|Buffer} payload - Raw request body as string or Buffer
  * @param {Record<string, string>} headers - Request headers (lowercase keys)
+ * @param {SignedRequest} [request] - Request details some providers include in the signature
  * @returns {SignatureResult}
  */
-export function verifySignature(config, payload, headers) {
-  const { provider, secret } = config;
+export function verifySignature(config, payload, headers, request = {}) {
+  const { provider } = config;
 
-  if (!secret) {
+  if (!hasVerificationKey(config)) {
     return {
       valid: false,
       error: SIGNATURE_ERRORS.NO_SECRET,
@@ -66,6 +108,7 @@ export function verifySignature(config, payload, headers) {
     provider || SIGNATURE_CONSTS.DEFAULT_PROVIDER,
     headers,
     config,
+    request,
   );
 
   if (context.error) {
@@ -76,6 +119,26 @@ export function verifySignature(config, payload, headers) {
     };
   }
 
+  // Providers that sign body fields (Twilio, Mailgun) need the parsed body first
+  /** @type {(string|Buffer)[]} */
+  let signedParts = [context.prefix, payload];
+  if (context.fromBody) {
+    const bodySignature = context.fromBody(
+      Buffer.isBuffer(payload) ? payload.toString(ENCODINGS.UTF) : payload,
+    );
+    if (bodySignature.error) {
+      return {
+        valid: false,
+        error: bodySignature.error,
+        provider: String(provider),
+      };
+    }
+    signedParts = [bodySignature.message];
+    context.expectedSignature =
+      bodySignature.signature ?? context.expectedSignature;
+    context.timestamp = bodySignature.timestamp ?? context.timestamp;
+  }
+
   // Validate timestamp if applicable
   if (
     context.timestamp &&
@@ -88,25 +151,46 @@ export function verifySignature(config, payload, headers) {
     );
   }
 
-  // Compute expected HMAC
-  const hmac = crypto.createHmac(context.algorithm, secret);
-  if (context.prefix) {
-    hmac.update(context.prefix);
-  }
-
-  if (Buffer.isBuffer(payload)) {
-    hmac.update(payload);
+  /** @type {string | undefined} */
+  let keyId;
+  /** @type {number | undefined} */
+  let secretIndex;
+  let isValid;
+  if (context.publicKeys) {
+    keyId = findValidatingKey(
+      context.publicKeys,
+      Buffer.concat(
+        signedParts.map((part) =>
+          Buffer.isBuffer(part) ? part : Buffer.from(part, ENCODINGS.UTF8),
+        ),
+      ),
+      getCandidateSignatures(context),
+      { ...context, dsaEncoding: config.dsaEncoding },
+    );
+    isValid = keyId !== undefined;
   } else {
-    hmac.update(payload, ENCODINGS.UTF8);
-  }
-
-  const calculatedSignature = hmac.digest(context.encoding);
+    const secrets = getActiveSigningSecrets(config);
+    if (secrets.length === 0) {
+      return {
+        valid: false,
+        error: SIGNATURE_ERRORS.NO_ACTIVE_SECRET,
+        provider: String(provider),
+      };
+    }
 
-  // Compare
-  const isValid = secureCompare(calculatedSignature, context.expectedSignature);
+    // Every active secret is checked so timing does not reveal which one matched
+    const matches = secrets.map(({ secret }) => {
+      const hmac = createSecretHmac(context, secret);
+      updateWith(hmac, signedParts);
+      return matchesExpectedSignature(hmac.digest(context.encoding), context);
+    });
+    const matched = matches.indexOf(true);
+    isValid = matched !== -1;
+    secretIndex = secrets[matched]?.index;
+  }
 
   return isValid
-    ? { valid: true, provider: String(provider) }
+    ? { valid: true, provider: String(provider), keyId, secretIndex }
     : {
         valid: false,
         error: SIGNATURE_ERRORS.MISMATCH,
@@ -114,14 +198,91 @@ export function verifySignature(config, payload, headers) {
       };
 }
 
+/**
+ * Signs an outbound body with the configured scheme, using the same algorithms
+ * as verification, so forwarded and replayed requests pass the receiver's checks.
+ * @param {ForwardSigningConfig} config
+ * @param {string|Buffer} payload - The exact body that will be sent
+ * @param {OutboundMessage} [message]
+ * @returns {Record<string, string>} Signature headers (lowercase names) to send
+ * @throws {Error} If the scheme is unsupported or incomplete
+ */
+export function signPayload(config, payload, message = {}) {
+  const { provider, secret } = config;
+  const timestamp = String(
+    message.timestamp ?? Math.floor(Date.now() / APP_CONSTS.MS_PER_SECOND),
+  );
+
+  /**
+   * @param {string} prefix - Content signed ahead of the body
+   * @param {Pick<VerificationContext, "algorithm" | "deriveKey">} context
+   * @param {string} encoding
+   * @returns {string}
+   */
+  const sign = (prefix, context, encoding) => {
+    const hmac = createSecretHmac(context, secret);
+    updateWith(hmac, [prefix, payload]);
+    return hmac.digest(/** @type {BinaryToTextEncoding} */ (encoding));
+  };
+  const sha256 = { algorithm: HASH_ALGORITHMS.SHA256 };
+
+  switch (provider) {
+    case SIGNATURE_PROVIDERS.STRIPE: {
+      const signature = sign(`${timestamp}.`, sha256, SIGNATURE_ENCODINGS.HEX);
+      return {
+        [HTTP_HEADERS.STRIPE_SIGNATURE]: `${SIGNATURE_PREFIXES.STRIPE_TIMESTAMP}${timestamp},${SIGNATURE_PREFIXES.V1}${signature}`,
+      };
+    }
+
+    case SIGNATURE_PROVIDERS.GITHUB:
+      return {
+        [HTTP_HEADERS.HUB_SIGNATURE_256]: `${SIGNATURE_PREFIXES.SHA256}${sign("", sha256, SIGNATURE_ENCODINGS.HEX)}`,
+      };
+
+    case SIGNATURE_PROVIDERS.STANDARD_WEBHOOKS: {
+      const id = message.id ?? crypto.randomUUID();
+      const signature = sign(
+        `${id}.${timestamp}.`,
+        { ...sha256, deriveKey: decodeStandardWebhooksSecret },
+        SIGNATURE_ENCODINGS.BASE64,
+      );
+      return {
+        [HTTP_HEADERS.STANDARD_WEBHOOK_ID]: id,
+        [HTTP_HEADERS.STANDARD_WEBHOOK_TIMESTAMP]: timestamp,
+        [HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE]: `${SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_V1}${signature}`,
+      };
+    }
+
+    case SIGNATURE_PROVIDERS.CUSTOM: {
+      const {
+        headerName,
+        timestampKey,
+        algorithm = SIGNATURE_CONSTS.DEFAULT_ALGORITHM,
+        encoding = SIGNATURE_CONSTS.DEFAULT_ENCODING,
+      } = config;
+      if (!headerName) {
+        throw new Error(SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED);
+      }
+      return {
+        [headerName.toLowerCase()]: sign("", { algorithm }, encoding),
+        ...(timestampKey && { [timestampKey.toLowerCase()]: timestamp }),
+      };
+    }
+
+    default:
+      throw new Error(`${SIGNATURE_ERRORS.UNKNOWN_PROVIDER}: ${provider}`);
+  }
+}
+
 /**
  * Strategy pattern: returns standardized verification params for a given provider.
  * @param {SignatureProvider} provider
  * @param {Record<string, string>} headers
  * @param {SignatureConfig} config
+ * @param {SignedRequest} request
  * @returns {VerificationContext}
  */
-function getProviderContext(provider, headers, config) {
+function getProviderContext(provider, headers, config, request) {
   /**
    * @type {VerificationContext}
    */
@@ -243,6 +404,191 @@ function getProviderContext(provider, headers, config) {
         break;
       }
 
+      case SIGNATURE_PROVIDERS.TWILIO: {
+        /** @see https://www.twilio.com/docs/usage/webhooks/webhooks-security#validating-signatures-from-twilio */
+        const sig = headers[HTTP_HEADERS.TWILIO_SIGNATURE];
+        if (!sig) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.TWILIO_SIGNATURE}`;
+          return context;
+        }
+
+        const url = config.url || request.url;
+        if (!url) {
+          context.error = SIGNATURE_ERRORS.MISSING_URL;
+          return context;
+        }
+
+        const bodyHash = new URL(url).searchParams.get(
+          SIGNATURE_CONSTS.TWILIO_BODY_HASH_PARAM,
+        );
+        context.algorithm = HASH_ALGORITHMS.SHA1;
+        context.encoding = /** @type {BinaryToTextEncoding} */ (
+          SIGNATURE_ENCODINGS.BASE64
+        );
+        context.expectedSignature = sig;
+        context.fromBody = (body) =>
+          getTwilioSignedContent(url, body, bodyHash);
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.STANDARD_WEBHOOKS: {
+        /** @see https://github.com/standard-webhooks/standard-webhooks/blob/main/spec/standard-webhooks.md#verifying-webhook-authenticity */
+        const id =
+          headers[HTTP_HEADERS.STANDARD_WEBHOOK_ID] ||
+          headers[HTTP_HEADERS.SVIX_ID];
+        const ts =
+          headers[HTTP_HEADERS.STANDARD_WEBHOOK_TIMESTAMP] ||
+          headers[HTTP_HEADERS.SVIX_TIMESTAMP];
+        const sig =
+          headers[HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE] ||
+          headers[HTTP_HEADERS.SVIX_SIGNATURE];
+        if (!id || !ts || !sig) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.STANDARD_WEBHOOK_ID}, ${HTTP_HEADERS.STANDARD_WEBHOOK_TIMESTAMP} or ${HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE}`;
+          return context;
+        }
+
+        // Space-delimited "v1,<base64>" entries; any one of them may match
+        const prefix = SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_V1;
+        const signatures = sig
+          .split(" ")
+          .filter((entry) => entry.startsWith(prefix))
+          .map((entry) => entry.slice(prefix.length));
+        if (signatures.length === 0) {
+          context.error = SIGNATURE_ERRORS.INVALID_FORMAT;
+          return context;
+        }
+
+        context.deriveKey = decodeStandardWebhooksSecret;
+        context.encoding = /** @type {BinaryToTextEncoding} */ (
+          SIGNATURE_ENCODINGS.BASE64
+        );
+        context.timestamp = ts;
+        context.prefix = `${id}.${ts}.`;
+        context.expectedSignature = signatures[0];
+        context.alternateSignatures = signatures.slice(1);
+        requireFreshTimestamp(context, config);
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.PADDLE: {
+        /** @see https://developer.paddle.com/webhooks/signature-verification */
+        const sigHeader = headers[HTTP_HEADERS.PADDLE_SIGNATURE];
+        if (!sigHeader) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.PADDLE_SIGNATURE}`;
+          return context;
+        }
+
+        const parts = sigHeader.split(";").map((part) => part.trim());
+        const ts = parts
+          .find((part) => part.startsWith(SIGNATURE_PREFIXES.PADDLE_TIMESTAMP))
+          ?.slice(SIGNATURE_PREFIXES.PADDLE_TIMESTAMP.length);
+        const hashes = parts
+          .filter((part) => part.startsWith(SIGNATURE_PREFIXES.PADDLE_HASH))
+          .map((part) => part.slice(SIGNATURE_PREFIXES.PADDLE_HASH.length));
+        if (!ts || hashes.length === 0) {
+          context.error = `${SIGNATURE_ERRORS.INVALID_FORMAT}: ${HTTP_HEADERS.PADDLE_SIGNATURE}`;
+          return context;
+        }
+
+        context.timestamp = ts;
+        context.prefix = `${ts}:`;
+        context.expectedSignature = hashes[0];
+        context.alternateSignatures = hashes.slice(1);
+        requireFreshTimestamp(context, config);
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.SQUARE: {
+        /** @see https://developer.squareup.com/docs/webhooks/step3validate */
+        const sig = headers[HTTP_HEADERS.SQUARE_SIGNATURE];
+        if (!sig) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.SQUARE_SIGNATURE}`;
+          return context;
+        }
+
+        const url = config.url || request.url;
+        if (!url) {
+          context.error = SIGNATURE_ERRORS.MISSING_URL;
+          return context;
+        }
+
+        context.encoding = /** @type {BinaryToTextEncoding} */ (
+          SIGNATURE_ENCODINGS.BASE64
+        );
+        context.prefix = url;
+        context.expectedSignature = sig;
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.ZOOM: {
+        /** @see https://developers.zoom.us/docs/api/webhooks/#verify-with-zooms-header */
+        const ts = headers[HTTP_HEADERS.ZOOM_TIMESTAMP];
+        const sig = headers[HTTP_HEADERS.ZOOM_SIGNATURE];
+        if (!ts || !sig) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.ZOOM_TIMESTAMP} or ${HTTP_HEADERS.ZOOM_SIGNATURE}`;
+          return context;
+        }
+
+        const prefix = SIGNATURE_PREFIXES.V0;
+        if (!sig.startsWith(prefix)) {
+          context.error = SIGNATURE_ERRORS.INVALID_FORMAT;
+          return context;
+        }
+
+        context.timestamp = ts;
+        context.prefix = `${SIGNATURE_PREFIXES.V0_NO_PREFIX}:${ts}:`;
+        context.expectedSignature = sig.slice(prefix.length);
+        requireFreshTimestamp(context, config);
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.MAILGUN: {
+        /** @see https://documentation.mailgun.com/docs/mailgun/user-manual/tracking-messages/#securing-webhooks */
+        // Timestamp, token and signature travel in the body, not in headers
+        context.fromBody = getMailgunSignedContent;
+        requireFreshTimestamp(context, config);
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.SENDGRID: {
+        /** @see https://www.twilio.com/docs/sendgrid/for-developers/tracking-events/getting-started-event-webhook-security-features */
+        const ts = headers[HTTP_HEADERS.SENDGRID_TIMESTAMP];
+        const sig = headers[HTTP_HEADERS.SENDGRID_SIGNATURE];
+        if (!ts || !sig) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.SENDGRID_TIMESTAMP} or ${HTTP_HEADERS.SENDGRID_SIGNATURE}`;
+          return context;
+        }
+
+        // The "secret" is the ECDSA verification key shown in SendGrid settings
+        useSecretAsPublicKey(context, config);
+        context.encoding = /** @type {BinaryToTextEncoding} */ (
+          SIGNATURE_ENCODINGS.BASE64
+        );
+        context.timestamp = ts;
+        context.prefix = ts;
+        context.expectedSignature = sig;
+        requireFreshTimestamp(context, config);
+        break;
+      }
+
+      case SIGNATURE_PROVIDERS.DISCORD: {
+        /** @see https://discord.com/developers/docs/interactions/overview#setting-up-an-endpoint-validating-security-request-headers */
+        const ts = headers[HTTP_HEADERS.DISCORD_TIMESTAMP];
+        const sig = headers[HTTP_HEADERS.DISCORD_SIGNATURE];
+        if (!ts || !sig) {
+          context.error = `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.DISCORD_TIMESTAMP} or ${HTTP_HEADERS.DISCORD_SIGNATURE}`;
+          return context;
+        }
+
+        // The "secret" is the application's hex Ed25519 public key
+        useSecretAsPublicKey(context, config);
+        context.timestamp = ts;
+        context.prefix = ts;
+        context.expectedSignature = sig;
+        requireFreshTimestamp(context, config);
+        break;
+      }
+
       case SIGNATURE_PROVIDERS.CUSTOM: {
         const {
           headerName,
@@ -288,6 +634,13 @@ function getProviderContext(provider, headers, config) {
       default:
         context.error = `${SIGNATURE_ERRORS.UNKNOWN_PROVIDER}: ${provider}`;
     }
+
+    // Configured public keys switch any provider from HMAC to key verification
+    if (!context.error && hasPublicKeys(config)) {
+      const { keys, error } = loadVerificationKeys(config);
+      context.publicKeys = keys;
+      context.error = error;
+    }
   } catch (err) {
     context.error = String(err);
   }
@@ -295,6 +648,196 @@ function getProviderContext(provider, headers, config) {
   return context;
 }
 
+/**
+ * Uses the configured secrets as verification keys for providers whose
+ * "secret" is really a public key, unless explicit public keys are configured.
+ * Rotating secrets are identified as `secret:<index>`.
+ * @param {VerificationContext} context
+ * @param {SignatureConfig} config
+ */
+function useSecretAsPublicKey(context, config) {
+  if (hasPublicKeys(config)) return;
+  const secrets = getActiveSigningSecrets(config);
+  if (secrets.length === 0) {
+    context.error = SIGNATURE_ERRORS.NO_ACTIVE_SECRET;
+    return;
+  }
+
+  /** @type {VerificationKey[]} */
+  const keys = [];
+  for (const { secret, index } of secrets) {
+    const key = parsePublicKey(secret);
+    if (!key) {
+      context.error = SIGNATURE_ERRORS.INVALID_PUBLIC_KEY;
+      return;
+    }
+    const kid = SIGNATURE_CONSTS.SECRET_KEY_ID;
+    keys.push({ kid: index === undefined ? kid : `${kid}:${index}`, key });
+  }
+  context.publicKeys = keys;
+}
+
+/**
+ * Standard Webhooks secrets are base64, optionally prefixed with `whsec_`.
+ * @param {string} secret
+ * @returns {Buffer}
+ */
+function decodeStandardWebhooksSecret(secret) {
+  const prefix = SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_SECRET;
+  return Buffer.from(
+    secret.startsWith(prefix) ? secret.slice(prefix.length) : secret,
+    ENCODINGS.BASE64,
+  );
+}
+
+/**
+ * @param {Pick<VerificationContext, "algorithm" | "deriveKey">} context
+ * @param {string} secret
+ * @returns {Hmac}
+ */
+function createSecretHmac(context, secret) {
+  return crypto.createHmac(
+    context.algorithm,
+    context.deriveKey?.(secret) ?? secret,
+  );
+}
+
+/**
+ * Streams the body into one HMAC per active secret and reports which matched.
+ * @param {ActiveSigningSecret[]} secrets
+ * @param {VerificationContext} context
+ * @returns {StreamVerifier}
+ */
+function createSecretStreamVerifier(secrets, context) {
+  const hmacs = secrets.map(({ secret }) => createSecretHmac(context, secret));
+
+  return {
+    update: (chunk, encoding) => {
+      const data =
+        typeof chunk === "string" ? Buffer.from(chunk, encoding) : chunk;
+      for (const hmac of hmacs) hmac.update(data);
+    },
+    finalize: () => {
+      const matched = hmacs
+        .map((hmac) =>
+          matchesExpectedSignature(hmac.digest(context.encoding), context),
+        )
+        .indexOf(true);
+      return matched === -1
+        ? undefined
+        : { secretIndex: secrets[matched].index };
+    },
+  };
+}
+
+/**
+ * Enables replay protection on a context whose timestamp is (or will be) set.
+ * @param {VerificationContext} context
+ * @param {SignatureConfig} config
+ */
+function requireFreshTimestamp(context, config) {
+  context.validateTimestamp = () =>
+    !!context.timestamp &&
+    isTimestampWithinTolerance(
+      context.timestamp,
+      config.tolerance || SIGNATURE_CONSTS.TOLERANCE_SECONDS,
+    );
+}
+
+/**
+ * Twilio signs the URL followed by the form parameters sorted by name. For
+ * JSON bodies the URL carries a `bodySHA256` parameter and only the URL is signed.
+ * @param {string} url
+ * @param {string} body
+ * @param {string | null} bodyHash
+ * @returns {BodySignature}
+ */
+function getTwilioSignedContent(url, body, bodyHash) {
+  if (bodyHash !== null) {
+    const actualHash = crypto
+      .createHash(HASH_ALGORITHMS.SHA256)
+      .update(body, ENCODINGS.UTF8)
+      .digest(/** @type {BinaryToTextEncoding} */ (SIGNATURE_ENCODINGS.HEX));
+    return secureCompare(actualHash, bodyHash)
+      ? { message: url }
+      : { message: url, error: SIGNATURE_ERRORS.BODY_HASH_MISMATCH };
+  }
+
+  /**
+   * Case-sensitive ordering, as Twilio's own libraries use.
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  const compare = (a, b) => (a < b ? -1 : Number(a > b));
+  const params = [...new URLSearchParams(body)].sort(
+    ([keyA, valueA], [keyB, valueB]) =>
+      keyA === keyB ? compare(valueA, valueB) : compare(keyA, keyB),
+  );
+  return {
+    message: url + params.map(([key, value]) => `${key}${value}`).join(""),
+  };
+}
+
+/**
+ * Mailgun signs `timestamp + token`; both are sent with the signature either in
+ * a JSON `signature` object or as form fields.
+ * @param {string} body
+ * @returns {BodySignature}
+ */
+function getMailgunSignedContent(body) {
+  /** @type {Record<string, unknown>} */
+  let fields;
+  try {
+    fields = JSON.parse(body)?.signature ?? {};
+  } catch {
+    fields = Object.fromEntries(new URLSearchParams(body));
+  }
+
+  const { timestamp, token, signature } = fields;
+  if (!timestamp || !token || typeof signature !== "string") {
+    return { message: "", error: SIGNATURE_ERRORS.MISSING_BODY_SIGNATURE };
+  }
+  return {
+    message: `${timestamp}${token}`,
+    signature,
+    timestamp: String(timestamp),
+  };
+}
+
+/**
+ * @param {Hmac | StreamVerifier} target
+ * @param {(string|Buffer)[]} parts
+ */
+function updateWith(target, parts) {
+  for (const part of parts) {
+    if (Buffer.isBuffer(part)) {
+      target.update(part);
+    } else if (part) {
+      target.update(part, ENCODINGS.UTF8);
+    }
+  }
+}
+
+/**
+ * @param {string} calculatedSignature
+ * @param {{ expectedSignature: string, alternateSignatures?: string[] }} expected
+ * @returns {boolean}
+ */
+function matchesExpectedSignature(calculatedSignature, expected) {
+  return getCandidateSignatures(expected)
+    .map((signature) => secureCompare(calculatedSignature, signature))
+    .includes(true);
+}
+
+/**
+ * @param {{ expectedSignature: string, alternateSignatures?: string[] }} expected
+ * @returns {string[]}
+ */
+function getCandidateSignatures(expected) {
+  return [expected.expectedSignature, ...(expected.alternateSignatures ?? [])];
+}
+
 /**
  * Helper to check timestamp tolerance.
  * @param {string} timestampStr - Timestamp string (seconds or ISO)
@@ -337,33 +880,31 @@ function invalidateSignatureWithAge(timestamp, provider) {
  * Creates a configured HMAC object for streaming verification.
  * @param {SignatureConfig} config
  * @param {Record<string, string>} headers
+ * @param {SignedRequest} [request]
  * @returns {VerificationResult}
  */
-export function createStreamVerifier(config, headers) {
-  const { provider, secret } = config;
+export function createStreamVerifier(config, headers, request = {}) {
+  const { provider } = config;
 
-  if (!secret)
-    return {
-      hmac: null,
-      encoding: /** @type {BinaryToTextEncoding} */ (SIGNATURE_ENCODINGS.HEX),
-      expectedSignature: "",
-      error: SIGNATURE_ERRORS.NO_SECRET,
-    };
+  if (!hasVerificationKey(config)) {
+    return failedStreamVerifier(SIGNATURE_ERRORS.NO_SECRET);
+  }
 
   // Reuse the exact same context logic
   const context = getProviderContext(
     provider || SIGNATURE_PROVIDERS.CUSTOM,
     headers,
     config,
+    request,
   );
 
+  // Body-derived signatures need the parsed body, which a stream never has
+  if (!context.error && context.fromBody) {
+    context.error = SIGNATURE_ERRORS.STREAMING_UNSUPPORTED(String(provider));
+  }
+
   if (context.error) {
-    return {
-      hmac: null,
-      encoding: /** @type {BinaryToTextEncoding} */ (SIGNATURE_ENCODINGS.HEX),
-      expectedSignature: "",
-      error: context.error,
-    };
+    return failedStreamVerifier(context.error);
   }
 
   // Enforce timestamp validation for streaming to prevent replay attacks
@@ -373,38 +914,59 @@ export function createStreamVerifier(config, headers) {
     context.validateTimestamp &&
     !context.validateTimestamp()
   ) {
-    return {
-      hmac: null,
-      encoding: /** @type {BinaryToTextEncoding} */ (SIGNATURE_ENCODINGS.HEX),
-      expectedSignature: "",
-      error: invalidateSignatureWithAge(
+    return failedStreamVerifier(
+      invalidateSignatureWithAge(
         context.timestamp,
         provider || SIGNATURE_PROVIDERS.CUSTOM,
       ).error,
-    };
+    );
+  }
+
+  const secrets = getActiveSigningSecrets(config);
+  if (!context.publicKeys && secrets.length === 0) {
+    return failedStreamVerifier(SIGNATURE_ERRORS.NO_ACTIVE_SECRET);
   }
 
   try {
-    const hmac = crypto.createHmac(context.algorithm, secret);
-    if (context.prefix) {
-      hmac.update(context.prefix);
+    const hmac = context.publicKeys
+      ? createKeyStreamVerifier(
+          context.publicKeys,
+          getCandidateSignatures(context),
+          { ...context, dsaEncoding: config.dsaEncoding },
+        )
+      : createSecretStreamVerifier(secrets, context);
+    if (!hmac) {
+      // Ed25519/Ed448 need the whole message, so they cannot be streamed
+      return failedStreamVerifier(
+        SIGNATURE_ERRORS.STREAMING_UNSUPPORTED(String(provider)),
+      );
     }
+    updateWith(hmac, [context.prefix]);
 
     return {
       hmac,
       encoding: context.encoding,
       expectedSignature: context.expectedSignature,
+      alternateSignatures: context.alternateSignatures,
     };
   } catch (err) {
-    return {
-      hmac: null,
-      encoding: /** @type {BinaryToTextEncoding} */ (SIGNATURE_ENCODINGS.HEX),
-      expectedSignature: "",
-      error: String(err),
-    };
+    return failedStreamVerifier(String(err));
   }
 }
 
+/**
+ * @param {string | undefined} error
+ * @returns {VerificationResult}
+ */
+function failedStreamVerifier(error) {
+  return {
+    hmac: null,
+    encoding: /** @type {BinaryToTextEncoding} */ (SIGNATURE_ENCODINGS.HEX),
+    expectedSignature: "",
+    error,
+  };
+}
+
 /**
  * Finalizes the stream verification by calculating digest and comparing it.
  * @param {VerificationResult} verifier
@@ -412,6 +974,8 @@ export function createStreamVerifier(config, headers) {
  */
 export function finalizeStreamVerification(verifier) {
   if (!verifier.hmac) return false;
-  const digest = verifier.hmac.digest(verifier.encoding);
-  return secureCompare(digest, verifier.expectedSignature);
+  const match = verifier.hmac.finalize();
+  verifier.keyId = match?.keyId;
+  verifier.secretIndex = match?.secretIndex;
+  return match !== undefined;
 }
@@ -0,0 +1,468 @@
+/**
+ * @file src/utils/signature_rules.js
+ * @description Conditional signature verification: selects exactly one verifier per
+ * request from `signatureVerificationRules`. Selection never tries several verifiers
+ * in turn; equal-priority matches are rejected as ambiguous.
+ * @see docs/roadmap/conditional-multi-provider-verification.md
+ * @module utils/signature_rules
+ */
+import { ERROR_MESSAGES, SIGNATURE_ERRORS } from "../consts/errors.js";
+import {
+  HASH_ALGORITHMS,
+  SIGNATURE_CONSTS,
+  SIGNATURE_ENCODINGS,
+  SIGNATURE_PROVIDERS,
+  SIGNATURE_VERIFICATION_MODES,
+  SUPPORTED_PROVIDERS,
+} from "../consts/security.js";
+import { resolveJsonPath } from "./mock_rules.js";
+import { hasVerificationKey } from "./public_keys.js";
+import { normalizeSigningSecrets } from "./signing_secrets.js";
+import { parseTemplateBody } from "./template.js";
+import { isPlainObject } from "./common.js";
+
+/**
+ * @typedef {import('../typedefs.js').SignatureConfig} SignatureConfig
+ * @typedef {import('../typedefs.js').SignatureVerificationRule} SignatureVerificationRule
+ * @typedef {import('../typedefs.js').SignatureRuleRequest} SignatureRuleRequest
+ * @typedef {import('../typedefs.js').WebhookConfig} WebhookConfig
+ */
+
+/**
+ * @typedef {Object} SignatureRuleMatchResult
+ * @property {boolean} matched
+ * @property {string} [ruleId]
+ * @property {SignatureConfig} [verifyConfig]
+ * @property {string} [error] - Set when the selection itself failed (ambiguous rules)
+ */
+
+/**
+ * @typedef {Object} SignatureSelection
+ * @property {SignatureConfig} [config] - Verifier to run; undefined means no verification
+ * @property {string} [ruleId]
+ * @property {string} [error] - Selection error; the request must be rejected
+ */
+
+const RULE_FIELDS = Object.freeze([
+  "id",
+  "priority",
+  "enabled",
+  "when",
+  "verify",
+]);
+const WHEN_FIELDS = Object.freeze([
+  "headers",
+  "method",
+  "path",
+  "query",
+  "body",
+]);
+const PREFIX_WILDCARD = "*";
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, string>}
+ */
+const isStringRecord = (value) =>
+  isPlainObject(value) &&
+  Object.values(value).every((entry) => typeof entry === "string");
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * @param {unknown} method
+ * @returns {string[] | null} Uppercased methods, or null when invalid
+ */
+const toMethodList = (method) => {
+  const methods = Array.isArray(method) ? method : [method];
+  return methods.length > 0 && methods.every(isNonEmptyString)
+    ? methods.map((m) => m.trim().toUpperCase())
+    : null;
+};
+
+/**
+ * @param {Record<string, any>} when
+ * @param {string[]} errors
+ * @returns {SignatureVerificationRule['when']}
+ */
+const normalizeWhen = (when, errors) => {
+  /** @type {SignatureVerificationRule['when']} */
+  const normalized = {};
+
+  for (const key of Object.keys(when)) {
+    if (!WHEN_FIELDS.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_FIELD(`when.${key}`));
+    }
+  }
+
+  if (when.headers !== undefined) {
+    if (!isStringRecord(when.headers)) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FIELD(
+          "when.headers",
+          "an object of string values",
+        ),
+      );
+    } else if (
+      Object.keys(when.headers).length > SIGNATURE_CONSTS.MAX_RULE_HEADERS
+    ) {
+      errors.push(
+        ERROR_MESSAGES.SIGNATURE_RULE_TOO_MANY_HEADERS(
+          SIGNATURE_CONSTS.MAX_RULE_HEADERS,
+        ),
+      );
+    } else {
+      normalized.headers = Object.fromEntries(
+        Object.entries(when.headers).map(([k, v]) => [k.toLowerCase(), v]),
+      );
+    }
+  }
+
+  if (when.method !== undefined) {
+    const methods = toMethodList(when.method);
+    if (methods) normalized.method = methods;
+    else {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FIELD(
+          "when.method",
+          "an HTTP method or a list of them",
+        ),
+      );
+    }
+  }
+
+  if (when.path !== undefined) {
+    if (isNonEmptyString(when.path)) normalized.path = when.path;
+    else {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FIELD("when.path", "a non-empty string"),
+      );
+    }
+  }
+
+  if (when.query !== undefined) {
+    if (isStringRecord(when.query)) normalized.query = when.query;
+    else {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FIELD(
+          "when.query",
+          "an object of string values",
+        ),
+      );
+    }
+  }
+
+  if (when.body !== undefined) {
+    if (
+      isPlainObject(when.body) &&
+      Object.entries(when.body).every(
+        ([path, value]) =>
+          path.startsWith("$") && (value === null || typeof value !== "object"),
+      )
+    ) {
+      normalized.body = when.body;
+    } else {
+      errors.push(
+        ERROR_MESSAGES.INVALID_FIELD(
+          "when.body",
+          "a map of JSONPath expressions ($.field) to exact values",
+        ),
+      );
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * @param {unknown} verify
+ * @param {string[]} errors
+ * @returns {SignatureConfig}
+ */
+const normalizeVerify = (verify, errors) => {
+  if (!isPlainObject(verify)) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("verify", "an object"));
+    return {};
+  }
+
+  if (!SUPPORTED_PROVIDERS.includes(verify.provider)) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD_CHOICE(
+        "verify.provider",
+        SUPPORTED_PROVIDERS,
+      ),
+    );
+  }
+  const secret = typeof verify.secret === "string" ? verify.secret.trim() : "";
+  const { secrets, errors: secretErrors } = normalizeSigningSecrets(
+    verify.secrets,
+  );
+  errors.push(
+    ...secretErrors.map(ERROR_MESSAGES.INVALID_SIGNATURE_RULE_SECRETS),
+  );
+  if (!hasVerificationKey({ ...verify, secret, secrets })) {
+    errors.push(ERROR_MESSAGES.SIGNATURE_RULE_KEY_REQUIRED);
+  }
+  if (
+    verify.provider === SIGNATURE_PROVIDERS.CUSTOM &&
+    !isNonEmptyString(verify.headerName)
+  ) {
+    errors.push(SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED);
+  }
+  if (
+    verify.algorithm !== undefined &&
+    !Object.values(HASH_ALGORITHMS).includes(verify.algorithm)
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD_CHOICE(
+        "verify.algorithm",
+        Object.values(HASH_ALGORITHMS),
+      ),
+    );
+  }
+  if (
+    verify.encoding !== undefined &&
+    !Object.values(SIGNATURE_ENCODINGS).includes(verify.encoding)
+  ) {
+    errors.push(
+      ERROR_MESSAGES.INVALID_FIELD_CHOICE(
+        "verify.encoding",
+        Object.values(SIGNATURE_ENCODINGS),
+      ),
+    );
+  }
+
+  return { ...verify, secret, ...(secrets.length > 0 && { secrets }) };
+};
+
+/**
+ * Validates and normalizes a single rule. Header names are lowercased, methods
+ * uppercased, and the verify secret trimmed.
+ * @param {unknown} input
+ * @returns {{ rule?: SignatureVerificationRule, errors: string[] }}
+ */
+export function normalizeSignatureRule(input) {
+  if (!isPlainObject(input)) {
+    return { errors: [ERROR_MESSAGES.INVALID_FIELD("rule", "an object")] };
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+
+  for (const key of Object.keys(input)) {
+    if (!RULE_FIELDS.includes(key)) {
+      errors.push(ERROR_MESSAGES.UNSUPPORTED_FIELD(key));
+    }
+  }
+  if (!isNonEmptyString(input.id)) {
+    errors.push(ERROR_MESSAGES.REQUIRED_FIELD("id"));
+  }
+  if (input.priority !== undefined && !Number.isInteger(input.priority)) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("priority", "an integer"));
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("enabled", "a boolean"));
+  }
+  if (input.when !== undefined && !isPlainObject(input.when)) {
+    errors.push(ERROR_MESSAGES.INVALID_FIELD("when", "an object"));
+  }
+
+  const when = normalizeWhen(
+    isPlainObject(input.when) ? input.when : {},
+    errors,
+  );
+  const verify = normalizeVerify(input.verify, errors);
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    rule: {
+      id: input.id.trim(),
+      priority: input.priority ?? 0,
+      enabled: input.enabled ?? true,
+      when,
+      verify,
+    },
+    errors,
+  };
+}
+
+/**
+ * Normalizes `signatureVerificationRules` input. Invalid rules, rules past the
+ * configured limit, and duplicate IDs are dropped and reported.
+ * @param {unknown} input
+ * @returns {{ rules: SignatureVerificationRule[], errors: string[] }}
+ */
+export function normalizeSignatureVerificationRules(input) {
+  if (input === undefined || input === null) return { rules: [], errors: [] };
+  if (!Array.isArray(input)) {
+    return {
+      rules: [],
+      errors: [
+        ERROR_MESSAGES.INVALID_WEBHOOK_SETTING(
+          "signatureVerificationRules",
+          "an array",
+        ),
+      ],
+    };
+  }
+
+  /** @type {SignatureVerificationRule[]} */
+  const rules = [];
+  /** @type {string[]} */
+  const errors = [];
+  const seenIds = new Set();
+
+  input.forEach((entry, index) => {
+    if (index >= SIGNATURE_CONSTS.MAX_RULES) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+          index,
+          ERROR_MESSAGES.TOO_MANY_ENTRIES(SIGNATURE_CONSTS.MAX_RULES, "rules"),
+        ),
+      );
+      return;
+    }
+
+    const { rule, errors: ruleErrors } = normalizeSignatureRule(entry);
+    if (!rule) {
+      errors.push(
+        ...ruleErrors.map((reason) =>
+          ERROR_MESSAGES.INVALID_SIGNATURE_RULE(index, reason),
+        ),
+      );
+      return;
+    }
+    if (seenIds.has(rule.id)) {
+      errors.push(
+        ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+          index,
+          ERROR_MESSAGES.DUPLICATE_ID(rule.id),
+        ),
+      );
+      return;
+    }
+
+    seenIds.add(rule.id);
+    rules.push(rule);
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * @param {string} expected - Exact path, or a prefix ending in `*`
+ * @param {string} actual
+ * @returns {boolean}
+ */
+const matchesPath = (expected, actual) =>
+  expected.endsWith(PREFIX_WILDCARD)
+    ? actual.startsWith(expected.slice(0, -PREFIX_WILDCARD.length))
+    : actual === expected;
+
+/**
+ * @param {unknown} value
+ * @returns {string | undefined}
+ */
+const firstValue = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  return first === undefined || first === null ? undefined : String(first);
+};
+
+/**
+ * Checks a rule's `when` conditions against request metadata. Rules with body
+ * conditions never match when the body is unavailable (e.g. streamed payloads).
+ * @param {SignatureVerificationRule} rule
+ * @param {SignatureRuleRequest} request
+ * @returns {boolean}
+ */
+export function matchesSignatureRule(rule, request) {
+  if (!rule.enabled) return false;
+  const { headers, method, path, query, body } = rule.when;
+
+  if (method && !method.includes(String(request.method).toUpperCase())) {
+    return false;
+  }
+  if (path && !matchesPath(path, request.path ?? "")) return false;
+
+  if (headers) {
+    for (const [name, expected] of Object.entries(headers)) {
+      const actual = firstValue(request.headers[name]);
+      if (actual === undefined) return false;
+      if (expected !== SIGNATURE_CONSTS.MATCH_ANY && actual !== expected) {
+        return false;
+      }
+    }
+  }
+
+  if (query) {
+    for (const [name, expected] of Object.entries(query)) {
+      if (firstValue(request.query?.[name]) !== expected) return false;
+    }
+  }
+
+  if (body) {
+    if (request.body === undefined) return false;
+    const parsed = parseTemplateBody(request.body);
+    return Object.entries(body).every(
+      ([jsonPath, expected]) => resolveJsonPath(parsed, jsonPath) === expected,
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Selects the single highest-priority matching rule.
+ * @param {SignatureVerificationRule[]} rules
+ * @param {SignatureRuleRequest} request
+ * @returns {SignatureRuleMatchResult}
+ */
+export function selectSignatureRule(rules, request) {
+  const candidates = rules.filter((rule) =>
+    matchesSignatureRule(rule, request),
+  );
+  if (candidates.length === 0) return { matched: false };
+
+  const topPriority = Math.max(...candidates.map((rule) => rule.priority));
+  const top = candidates.filter((rule) => rule.priority === topPriority);
+  if (top.length > 1) {
+    return {
+      matched: false,
+      error: SIGNATURE_ERRORS.AMBIGUOUS_RULES(top.map((rule) => rule.id)),
+    };
+  }
+
+  return { matched: true, ruleId: top[0].id, verifyConfig: top[0].verify };
+}
+
+/**
+ * Resolves which verifier applies to a request. Without rules the single
+ * `signatureVerification` config is used unchanged. With rules, the matched
+ * rule wins; when none matches, `failClosed` rejects the request and
+ * `skipVerification` falls back to `signatureVerification` (if any).
+ * @param {WebhookConfig} options
+ * @param {SignatureRuleRequest} request
+ * @returns {SignatureSelection}
+ */
+export function resolveSignatureVerification(options, request) {
+  const rules = options.signatureVerificationRules ?? [];
+  if (rules.length === 0) return { config: options.signatureVerification };
+
+  const selection = selectSignatureRule(rules, request);
+  if (selection.error) return { error: selection.error };
+  if (selection.matched) {
+    return { config: selection.verifyConfig, ruleId: selection.ruleId };
+  }
+
+  const mode =
+    options.signatureVerificationMode ?? SIGNATURE_CONSTS.DEFAULT_MODE;
+  return mode === SIGNATURE_VERIFICATION_MODES.SKIP_VERIFICATION
+    ? { config: options.signatureVerification }
+    : { error: SIGNATURE_ERRORS.NO_MATCHING_RULE };
+}
@@ -0,0 +1,111 @@
+/**
+ * @file src/utils/signing_secrets.js
+ * @description Signing secret rotation: normalizes `secrets` lists with optional
+ * `notBefore`/`notAfter` validity windows and selects the secrets active at a
+ * given time.
+ * @module utils/signing_secrets
+ */
+import { ERROR_MESSAGES } from "../consts/errors.js";
+import { SIGNATURE_CONSTS } from "../consts/security.js";
+import { isPlainObject } from "./common.js";
+
+/**
+ * @typedef {import('../typedefs.js').SignatureConfig} SignatureConfig
+ * @typedef {import('../typedefs.js').SigningSecret} SigningSecret
+ */
+
+/**
+ * @typedef {Object} ActiveSigningSecret
+ * @property {string} secret
+ * @property {number} [index] - Position in `secrets`; unset for the single `secret`
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isValidDate = (value) =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+/**
+ * Validates a list of signing secrets. Bare strings are accepted as secrets
+ * without a validity window. Error messages never include secret values.
+ * @param {unknown} value
+ * @returns {{ secrets: SigningSecret[], errors: string[] }}
+ */
+export function normalizeSigningSecrets(value) {
+  /** @type {SigningSecret[]} */
+  const secrets = [];
+  /** @type {string[]} */
+  const errors = [];
+  if (value === undefined || value === null) return { secrets, errors };
+  if (!Array.isArray(value)) {
+    return { secrets, errors: [ERROR_MESSAGES.INVALID_SIGNING_SECRETS] };
+  }
+
+  const limited = value.slice(0, SIGNATURE_CONSTS.MAX_SECRETS);
+  for (const [index, input] of limited.entries()) {
+    const entry = isPlainObject(input) ? input : { secret: input };
+    const secret = typeof entry.secret === "string" ? entry.secret.trim() : "";
+    /** @type {string[]} */
+    const reasons = [];
+
+    if (!secret) reasons.push(ERROR_MESSAGES.REQUIRED_FIELD("secret"));
+    for (const field of ["notBefore", "notAfter"]) {
+      if (entry[field] !== undefined && !isValidDate(entry[field])) {
+        reasons.push(ERROR_MESSAGES.INVALID_FIELD(field, "an ISO 8601 date"));
+      }
+    }
+    if (
+      reasons.length === 0 &&
+      entry.notBefore !== undefined &&
+      entry.notAfter !== undefined &&
+      Date.parse(entry.notAfter) <= Date.parse(entry.notBefore)
+    ) {
+      reasons.push(
+        ERROR_MESSAGES.INVALID_FIELD("notAfter", "later than notBefore"),
+      );
+    }
+
+    if (reasons.length > 0) {
+      errors.push(
+        ...reasons.map((reason) =>
+          ERROR_MESSAGES.INVALID_SIGNING_SECRET(index, reason),
+        ),
+      );
+      continue;
+    }
+
+    secrets.push({
+      secret,
+      ...(entry.notBefore !== undefined && { notBefore: entry.notBefore }),
+      ...(entry.notAfter !== undefined && { notAfter: entry.notAfter }),
+    });
+  }
+
+  return { secrets, errors };
+}
+
+/**
+ * Returns the secrets to try for a request. A non-empty `secrets` list replaces
+ * the single `secret`; entries outside their validity window are skipped.
+ * @param {SignatureConfig} config
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {ActiveSigningSecret[]}
+ */
+export function getActiveSigningSecrets(config, now = Date.now()) {
+  if (!config.secrets?.length) {
+    return config.secret ? [{ secret: config.secret }] : [];
+  }
+
+  return config.secrets
+    .map(({ secret, notBefore, notAfter }, index) => ({
+      secret,
+      index,
+      active:
+        (!notBefore || Date.parse(notBefore) <= now) &&
+        (!notAfter || now < Date.parse(notAfter)),
+    }))
+    .filter(({ active }) => active)
+    .map(({ secret, index }) => ({ secret, index }));
+}
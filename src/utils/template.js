@@ -0,0 +1,215 @@
+/**
+ * @file src/utils/template.js
+ * @description Logic-less `{{path}}` templating for generated response bodies and headers.
+ * Placeholders resolve dot-separated paths against a plain context object; rendering is pure
+ * (no code execution, no I/O).
+ * @module utils/template
+ */
+import { randomUUID } from "crypto";
+import { tryParse } from "./common.js";
+
+/**
+ * @typedef {Object} TemplateRequest
+ * @property {Record<string, any>} [headers]
+ * @property {Record<string, any>} [query]
+ * @property {unknown} [body]
+ */
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}/g;
+const SINGLE_PLACEHOLDER_PATTERN = /^\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}$/;
+const HAS_PLACEHOLDER_PATTERN = /\{\{\s*[\w$-]+(?:\.[\w$-]+)*\s*\}\}/;
+/** A `.` or `..` path segment, literal or percent-encoded; URL parsers resolve both */
+const DOT_SEGMENT_PATTERN = /^(?:\.|%2e){1,2}$/i;
+/** Characters Node rejects in header values (`ERR_INVALID_CHAR`), including CR and LF */
+const INVALID_HEADER_CHAR_PATTERN = /[^\t\x20-\x7e\x80-\xff]/g;
+
+/**
+ * @param {unknown} current
+ * @param {string[]} segments
+ * @returns {unknown}
+ */
+const resolveSegments = (current, segments) => {
+  if (segments.length === 0) return current;
+  if (current === null || typeof current !== "object") return undefined;
+
+  const [head, ...rest] = segments;
+  if (Object.hasOwn(current, head)) {
+    const nested = resolveSegments(
+      /** @type {Record<string, unknown>} */ (current)[head],
+      rest,
+    );
+    if (nested !== undefined) return nested;
+  }
+
+  const dottedKey = segments.join(".");
+  return rest.length > 0 && Object.hasOwn(current, dottedKey)
+    ? /** @type {Record<string, unknown>} */ (current)[dottedKey]
+    : undefined;
+};
+
+/**
+ * Resolves a dot-separated path against own properties only, so prototype
+ * members such as `constructor` or `__proto__` can never be reached.
+ * Keys that themselves contain dots (e.g. Meta's `hub.challenge` query
+ * parameter) are matched when no nested property exists.
+ * @param {unknown} context
+ * @param {string} path - e.g. `request.body.items.0.id`
+ * @returns {unknown} Resolved value, or undefined when any segment is missing
+ */
+export function resolveTemplatePath(context, path) {
+  return resolveSegments(context, path.split("."));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+const stringifyValue = (value) => {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Renders `{{path}}` placeholders in a string, array, or object (deeply).
+ * A string consisting of a single placeholder keeps the resolved value's type
+ * (e.g. numbers stay numbers); placeholders embedded in text are stringified.
+ * Unknown paths render as an empty string. Object keys are never rendered.
+ *
+ * @param {any} template
+ * @param {Record<string, any>} context
+ * @returns {any}
+ */
+export function renderTemplate(template, context) {
+  if (typeof template === "string") {
+    const single = SINGLE_PLACEHOLDER_PATTERN.exec(template);
+    if (single) {
+      const value = resolveTemplatePath(context, single[1]);
+      return value === undefined ? "" : value;
+    }
+    return template.replace(PLACEHOLDER_PATTERN, (_match, path) =>
+      stringifyValue(resolveTemplatePath(context, path)),
+    );
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, context));
+  }
+
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        renderTemplate(value, context),
+      ]),
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Checks whether a URL path segment is `.` or `..`, literal or percent-encoded.
+ * @param {string} segment
+ * @returns {boolean}
+ */
+export const isDotSegment = (segment) => DOT_SEGMENT_PATTERN.test(segment);
+
+/**
+ * Renders `{{path}}` placeholders into a URL. Every inserted value is
+ * percent-encoded as a single component, so a header or body value can never
+ * change the URL's host, add path segments, or inject query parameters. Values
+ * that are `.` or `..` render as empty, so they cannot climb the path either.
+ * @param {string} template
+ * @param {Record<string, any>} context
+ * @returns {string}
+ */
+export function renderUrlTemplate(template, context) {
+  return template.replace(PLACEHOLDER_PATTERN, (_match, path) => {
+    const encoded = encodeURIComponent(
+      stringifyValue(resolveTemplatePath(context, path)),
+    );
+    return isDotSegment(encoded) ? "" : encoded;
+  });
+}
+
+/**
+ * Renders a response body template. JSON text (as stored by the Actor input
+ * `defaultResponseBody` field) is rendered structurally and serialized again, so
+ * inserted values are always correctly escaped.
+ * @param {unknown} template
+ * @param {Record<string, any>} context
+ * @returns {unknown}
+ */
+export function renderBodyTemplate(template, context) {
+  if (typeof template === "string") {
+    const parsed = tryParse(template);
+    if (parsed && typeof parsed === "object") {
+      return JSON.stringify(renderTemplate(parsed, context));
+    }
+  }
+  return renderTemplate(template, context);
+}
+
+/**
+ * Renders a header map. Values always stay strings, even when a placeholder
+ * resolves to a number or an object, and characters that are invalid in a header
+ * value (CR, LF and other control characters) are stripped, so request data can
+ * neither split headers nor make `res.setHeader` throw.
+ * @param {Record<string, any>} headers
+ * @param {Record<string, any>} context
+ * @returns {Record<string, string>}
+ */
+export function renderTemplateHeaders(headers, context) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => {
+      const rendered = renderTemplate(value, context);
+      const text =
+        typeof rendered === "string" ? rendered : JSON.stringify(rendered);
+      return [name, text?.replace(INVALID_HEADER_CHAR_PATTERN, "")];
+    }),
+  );
+}
+
+/**
+ * Checks whether a string, array, or object (deeply) contains any placeholder.
+ * @param {unknown} template
+ * @returns {boolean}
+ */
+export function hasTemplatePlaceholders(template) {
+  if (typeof template === "string") {
+    return HAS_PLACEHOLDER_PATTERN.test(template);
+  }
+  if (template && typeof template === "object") {
+    return Object.values(template).some(hasTemplatePlaceholders);
+  }
+  return false;
+}
+
+/**
+ * Parses raw request bodies (Buffer or JSON string) so placeholders can reach
+ * nested fields. Non-JSON strings are returned unchanged.
+ * @param {unknown} body
+ * @returns {unknown}
+ */
+export function parseTemplateBody(body) {
+  if (Buffer.isBuffer(body)) return tryParse(body.toString());
+  if (typeof body === "string") return tryParse(body);
+  return body;
+}
+
+/**
+ * Builds the context for `defaultResponseBody` / `defaultResponseHeaders` templates:
+ * `{{body.*}}`, `{{headers.*}}`, `{{query.*}}`, `{{uuid}}`, and `{{now}}`.
+ * @param {TemplateRequest} request
+ * @returns {Record<string, any>}
+ */
+export function createResponseTemplateContext(request) {
+  return {
+    body: parseTemplateBody(request.body),
+    headers: request.headers || {},
+    query: request.query || {},
+    uuid: randomUUID(),
+    now: new Date().toISOString(),
+  };
+}
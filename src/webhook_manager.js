@@ -11,6 +11,7 @@ import {
   WEBHOOK_ID_PREFIX,
   DEFAULT_ID_LENGTH,
   APP_CONSTS,
+  WEBHOOK_CONFIG_OVERRIDES,
 } from "./consts/app.js";
 import { LOG_COMPONENTS } from "./consts/logging.js";
 import {
@@ -19,6 +20,7 @@ import {
 } from "./consts/database.js";
 import { KVS_KEYS } from "./consts/storage.js";
 import { logRepository } from "./repositories/LogRepository.js";
+import { deliveryRepository } from "./repositories/DeliveryRepository.js";
 import { vacuumDb } from "./db/duckdb.js";
 import { createChildLogger, serializeError } from "./utils/logger.js";
 import { LOG_MESSAGES } from "./consts/messages.js";
@@ -26,6 +28,24 @@ import { IS_TEST } from "./utils/env.js";
 
 const log = createChildLogger({ component: LOG_COMPONENTS.WEBHOOK_MANAGER });
 
+/**
+ * Creates a response sequence cursor record. Records are keyed by a
+ * sender-controlled header value, so they have no prototype: a key such as
+ * `constructor` or `__proto__` is an ordinary counter.
+ * @param {unknown} [saved] Counters restored from the KeyValueStore
+ * @returns {Record<string, number>}
+ */
+const createCursorRecord = (saved) => {
+  /** @type {Record<string, number>} */
+  const cursors = Object.create(null);
+  if (saved && typeof saved === "object") {
+    for (const [key, count] of Object.entries(saved)) {
+      if (Number.isInteger(count) && count > 0) cursors[key] = count;
+    }
+  }
+  return cursors;
+};
+
 /**
  * @typedef {import('apify').KeyValueStore | null} KeyValueStore
  * @typedef {import('./typedefs.js').WebhookData} WebhookData
@@ -42,6 +62,12 @@ export class WebhookManager {
   #lastVacuumTime = 0;
   /** @type {Promise<void>} */
   #persistPromise = Promise.resolve();
+  /** @type {Map<string, Record<string, number>>} Served calls per webhook and sender key */
+  #sequenceCursors = new Map();
+  /** @type {Promise<void>} */
+  #sequencePersistPromise = Promise.resolve();
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  #sequencePersistTimer = null;
 
   /**
    * Internal configuration object using the "Injected Configuration" pattern.
@@ -87,6 +113,10 @@ export class WebhookManager {
     this.#kvStore = null;
     this.#persistPromise = Promise.resolve();
     this.#lastVacuumTime = 0;
+    this.#sequenceCursors = new Map();
+    this.#sequencePersistPromise = Promise.resolve();
+    if (this.#sequencePersistTimer) clearTimeout(this.#sequencePersistTimer);
+    this.#sequencePersistTimer = null;
   }
 
   /**
@@ -104,6 +134,17 @@ export class WebhookManager {
           LOG_MESSAGES.WEBHOOK_STATE_RESTORED,
         );
       }
+
+      const savedCursors = await this.#kvStore.getValue(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+      );
+      if (savedCursors && typeof savedCursors === "object") {
+        this.#sequenceCursors = new Map(
+          Object.entries(savedCursors)
+            .filter(([id]) => this.#webhooks.has(id))
+            .map(([id, cursors]) => [id, createCursorRecord(cursors)]),
+        );
+      }
     } catch (error) {
       log.error(
         { err: serializeError(error) },
@@ -121,6 +162,11 @@ export class WebhookManager {
    * @returns {Promise<void>}
    */
   async persist() {
+    // Flush response sequence cursors still waiting for their delayed write
+    const sequencesPersisted = this.#sequencePersistTimer
+      ? this.#persistSequences()
+      : Promise.resolve();
+
     // Snapshots the state synchronously to ensure we capture current Map contents
     const state = Object.fromEntries(this.#webhooks);
 
@@ -143,6 +189,7 @@ export class WebhookManager {
         /* Handled in try/catch above */
       });
 
+    await sequencesPersisted;
     return this.#persistPromise;
   }
 
@@ -193,6 +240,332 @@ export class WebhookManager {
     return newIds;
   }
 
+  /**
+   * Creates a single webhook at runtime (management API).
+   *
+   * @param {Object} [options]
+   * @param {number} [options.retentionHours] Retention period in hours
+   * @param {string} [options.label] Optional human-readable label
+   * @returns {Promise<WebhookData>} Created webhook including its ID
+   */
+  async createWebhook({
+    retentionHours = APP_CONSTS.DEFAULT_RETENTION_HOURS,
+    label,
+  } = {}) {
+    const expiresAt = this.#computeExpiry(retentionHours);
+    const normalizedLabel = this.#normalizeLabel(label);
+
+    const id = `${WEBHOOK_ID_PREFIX}${nanoid(DEFAULT_ID_LENGTH)}`;
+    /** @type {WebhookData} */
+    const data = { expiresAt };
+    if (normalizedLabel) data.label = normalizedLabel;
+
+    this.#webhooks.set(id, data);
+    await this.persist();
+
+    log.info({ webhookId: id }, LOG_MESSAGES.WEBHOOK_CREATED);
+    return { id, ...data };
+  }
+
+  /**
+   * Updates expiry and/or label of an existing webhook.
+   * An empty label removes it.
+   *
+   * @param {string} id Webhook ID
+   * @param {Object} changes
+   * @param {string} [changes.expiresAt] New absolute expiry (ISO 8601, must be in the future)
+   * @param {number} [changes.extendHours] Hours to add to the current expiry
+   * @param {string} [changes.label] New label
+   * @returns {Promise<WebhookData | undefined>} Updated webhook, or undefined if not found
+   */
+  async updateWebhook(id, { expiresAt, extendHours, label } = {}) {
+    const current = this.#webhooks.get(id);
+    if (!current) return undefined;
+
+    if (expiresAt !== undefined && extendHours !== undefined) {
+      throw new Error(ERROR_MESSAGES.WEBHOOK_EXPIRY_CONFLICT);
+    }
+
+    /** @type {WebhookData} */
+    const next = { ...current };
+
+    if (expiresAt !== undefined) {
+      const expiryMs = new Date(String(expiresAt)).getTime();
+      if (typeof expiresAt !== "string" || !Number.isFinite(expiryMs)) {
+        throw new Error(ERROR_MESSAGES.INVALID_EXPIRES_AT(String(expiresAt)));
+      }
+      if (expiryMs <= Date.now()) {
+        throw new Error(ERROR_MESSAGES.EXPIRES_AT_IN_PAST(expiresAt));
+      }
+      next.expiresAt = new Date(expiryMs).toISOString();
+    }
+
+    if (extendHours !== undefined) {
+      if (
+        typeof extendHours !== "number" ||
+        extendHours <= 0 ||
+        !Number.isFinite(extendHours)
+      ) {
+        throw new Error(ERROR_MESSAGES.INVALID_EXTEND_HOURS(extendHours));
+      }
+      // Extending an already-expired (not yet cleaned up) webhook starts from now
+      const baseMs = Math.max(
+        new Date(current.expiresAt).getTime() || 0,
+        Date.now(),
+      );
+      const expiryMs = baseMs + extendHours * APP_CONSTS.MS_PER_HOUR;
+      if (!Number.isFinite(new Date(expiryMs).getTime())) {
+        throw new Error(ERROR_MESSAGES.INVALID_EXTEND_HOURS(extendHours));
+      }
+      next.expiresAt = new Date(expiryMs).toISOString();
+    }
+
+    if (label !== undefined) {
+      const normalizedLabel = this.#normalizeLabel(label);
+      if (normalizedLabel) {
+        next.label = normalizedLabel;
+      } else {
+        delete next.label;
+      }
+    }
+
+    this.#webhooks.set(id, next);
+    await this.persist();
+
+    log.info({ webhookId: id }, LOG_MESSAGES.WEBHOOK_UPDATED);
+    return { id, ...next };
+  }
+
+  /**
+   * Deletes a webhook immediately, together with its logs and offloaded payloads.
+   *
+   * @param {string} id Webhook ID
+   * @returns {Promise<boolean>} True if the webhook existed
+   */
+  async deleteWebhook(id) {
+    if (!this.#webhooks.has(id)) return false;
+
+    await this.#purgeWebhookData(id);
+    this.#webhooks.delete(id);
+    await this.persist();
+    if (this.#sequenceCursors.delete(id)) await this.#persistSequences();
+
+    log.info({ webhookId: id }, LOG_MESSAGES.WEBHOOK_DELETED);
+    return true;
+  }
+
+  /**
+   * Returns the per-webhook configuration overrides of a webhook.
+   * @param {string} id Webhook ID
+   * @returns {Record<string, any> | undefined} Overrides, or undefined if not found
+   */
+  getWebhookConfig(id) {
+    const data = this.#webhooks.get(id);
+    if (!data) return undefined;
+
+    return Object.fromEntries(
+      Object.entries(data).filter(([key]) =>
+        WEBHOOK_CONFIG_OVERRIDES.includes(key),
+      ),
+    );
+  }
+
+  /**
+   * Applies already-validated per-webhook configuration overrides.
+   * A `null` value removes the override so the global setting applies again.
+   *
+   * @param {string} id Webhook ID
+   * @param {Record<string, any>} config Overrides (see `validateWebhookOverrides`)
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] Drop all existing overrides first
+   * @returns {Promise<Record<string, any> | undefined>} Resulting overrides, or undefined if not found
+   */
+  async setWebhookConfig(id, config, { replace = false } = {}) {
+    const current = this.#webhooks.get(id);
+    if (!current) return undefined;
+
+    /** @type {Record<string, any>} */
+    const next = { ...current };
+
+    if (replace) {
+      for (const key of WEBHOOK_CONFIG_OVERRIDES) delete next[key];
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+      if (!WEBHOOK_CONFIG_OVERRIDES.includes(key)) continue;
+      if (value === null) {
+        delete next[key];
+      } else {
+        next[key] = value;
+      }
+    }
+
+    this.#webhooks.set(id, /** @type {WebhookData} */ (next));
+    await this.persist();
+
+    // A changed sequence starts from its first step again
+    if (replace || Object.hasOwn(config, "responseSequence")) {
+      await this.resetResponseSequence(id);
+    }
+
+    log.info({ webhookId: id }, LOG_MESSAGES.WEBHOOK_CONFIG_UPDATED);
+    return this.getWebhookConfig(id);
+  }
+
+  /**
+   * Returns how many calls of a response sequence were already served to a
+   * sender and advances the cursor. Counters are persisted in the background,
+   * at most once per `RESPONSE_SEQUENCE_PERSIST_DELAY_MS`.
+   *
+   * @param {string} id Webhook ID
+   * @param {string} key Sender key (see `getSequenceKey()`)
+   * @returns {number} 0-based index of the current call
+   */
+  advanceResponseSequence(id, key) {
+    const cursors = this.#sequenceCursors.get(id) ?? createCursorRecord();
+    const callIndex = cursors[key] ?? 0;
+
+    // Re-insert so the least recently used sender is evicted first
+    delete cursors[key];
+    cursors[key] = callIndex + 1;
+    const keys = Object.keys(cursors);
+    if (keys.length > APP_CONSTS.MAX_RESPONSE_SEQUENCE_KEYS) {
+      delete cursors[keys[0]];
+    }
+
+    this.#sequenceCursors.set(id, cursors);
+    this.#schedulePersistSequences();
+    return callIndex;
+  }
+
+  /**
+   * Returns the served call counters of a webhook's response sequence.
+   * @param {string} id Webhook ID
+   * @returns {Record<string, number>}
+   */
+  getResponseSequenceState(id) {
+    return { ...this.#sequenceCursors.get(id) };
+  }
+
+  /**
+   * Restarts a webhook's response sequence for one sender key, or for all senders.
+   *
+   * @param {string} id Webhook ID
+   * @param {string} [key] Sender key; omit to reset every cursor
+   * @returns {Promise<number | undefined>} Number of cursors cleared, or undefined if the webhook is unknown
+   */
+  async resetResponseSequence(id, key) {
+    if (!this.#webhooks.has(id)) return undefined;
+
+    const cursors = this.#sequenceCursors.get(id);
+    if (!cursors) return 0;
+
+    let cleared = 0;
+    if (key === undefined) {
+      cleared = Object.keys(cursors).length;
+      this.#sequenceCursors.delete(id);
+    } else if (Object.hasOwn(cursors, key)) {
+      cleared = 1;
+      delete cursors[key];
+    }
+
+    if (cleared > 0) {
+      await this.#persistSequences();
+      log.info(
+        { webhookId: id, key, cleared },
+        LOG_MESSAGES.RESPONSE_SEQUENCE_RESET,
+      );
+    }
+    return cleared;
+  }
+
+  /**
+   * Coalesces the cursor writes of a burst of requests into one delayed write.
+   */
+  #schedulePersistSequences() {
+    if (this.#sequencePersistTimer) return;
+    this.#sequencePersistTimer = setTimeout(() => {
+      this.#persistSequences();
+    }, APP_CONSTS.RESPONSE_SEQUENCE_PERSIST_DELAY_MS);
+    if (this.#sequencePersistTimer.unref) this.#sequencePersistTimer.unref();
+  }
+
+  /**
+   * Persists response sequence cursors next to the webhook state.
+   * Linearized like `persist()` so stale snapshots never overwrite newer counters.
+   * @returns {Promise<void>}
+   */
+  async #persistSequences() {
+    // This snapshot includes anything a pending delayed write would have saved
+    if (this.#sequencePersistTimer) clearTimeout(this.#sequencePersistTimer);
+    this.#sequencePersistTimer = null;
+    const snapshot = Object.fromEntries(
+      [...this.#sequenceCursors].map(([id, cursors]) => [id, { ...cursors }]),
+    );
+
+    this.#sequencePersistPromise = this.#sequencePersistPromise
+      .then(async () => {
+        try {
+          if (!this.#kvStore) {
+            this.#kvStore = await Actor.openKeyValueStore();
+          }
+          await this.#kvStore.setValue(KVS_KEYS.RESPONSE_SEQUENCES, snapshot);
+        } catch (error) {
+          log.error(
+            { err: serializeError(error) },
+            LOG_MESSAGES.RESPONSE_SEQUENCES_PERSIST_FAILED,
+          );
+        }
+      })
+      .catch(() => {
+        /* Handled in try/catch above */
+      });
+
+    return this.#sequencePersistPromise;
+  }
+
+  /**
+   * Validates a retention period and converts it to an ISO expiry timestamp.
+   * @param {number} retentionHours
+   * @returns {string}
+   */
+  #computeExpiry(retentionHours) {
+    if (
+      typeof retentionHours !== "number" ||
+      retentionHours <= 0 ||
+      !Number.isFinite(retentionHours)
+    ) {
+      throw new Error(ERROR_MESSAGES.INVALID_RETENTION(retentionHours));
+    }
+    const expiryMs = Date.now() + retentionHours * APP_CONSTS.MS_PER_HOUR;
+
+    // Safety: Ensure we don't create an Invalid Date with extreme offsets
+    if (!Number.isFinite(new Date(expiryMs).getTime())) {
+      throw new Error(ERROR_MESSAGES.INVALID_RETENTION(retentionHours));
+    }
+    return new Date(expiryMs).toISOString();
+  }
+
+  /**
+   * Validates and trims a webhook label.
+   * @param {unknown} label
+   * @returns {string | undefined} Trimmed label, or undefined when empty/absent
+   */
+  #normalizeLabel(label) {
+    if (label === undefined || label === null) return undefined;
+    if (
+      typeof label !== "string" ||
+      label.length > APP_CONSTS.MAX_WEBHOOK_LABEL_LENGTH
+    ) {
+      throw new Error(
+        ERROR_MESSAGES.INVALID_WEBHOOK_LABEL(
+          APP_CONSTS.MAX_WEBHOOK_LABEL_LENGTH,
+        ),
+      );
+    }
+    return label.trim() || undefined;
+  }
+
   /**
    * Checks if a webhook ID is valid and not expired.
    * @param {string} id Webhook ID
@@ -207,6 +580,53 @@ export class WebhookManager {
     return now < expiry;
   }
 
+  /**
+   * Deletes offloaded KVS payloads and DuckDB logs that belong to a webhook.
+   * Failures are logged and never thrown so callers can always drop the webhook.
+   * @param {string} id Webhook ID
+   * @returns {Promise<void>}
+   */
+  async #purgeWebhookData(id) {
+    try {
+      if (!this.#kvStore) {
+        this.#kvStore = await Actor.openKeyValueStore();
+      }
+
+      // 1. Find and delete offloaded payloads
+      const payloads = await logRepository.findOffloadedPayloads(id);
+      let deletedCount = 0;
+      for (const item of payloads) {
+        if (item && item.key) {
+          try {
+            await this.#kvStore.setValue(item.key, null);
+            deletedCount++;
+          } catch (kvsErr) {
+            log.warn(
+              { key: item.key, webhookId: id, err: serializeError(kvsErr) },
+              LOG_MESSAGES.KVS_DELETE_FAILED,
+            );
+          }
+        }
+      }
+      if (deletedCount > 0) {
+        log.info(
+          { deleted: deletedCount, total: payloads.length, webhookId: id },
+          LOG_MESSAGES.CLEANUP_DELETED_PAYLOADS,
+        );
+      }
+
+      // 2. Delete logs and their deliveries from database
+      await logRepository.deleteLogsByWebhookId(id);
+      await deliveryRepository.deleteDeliveriesByWebhookId(id);
+      log.info({ webhookId: id }, LOG_MESSAGES.CLEANUP_WEBHOOK_REMOVED);
+    } catch (err) {
+      log.error(
+        { webhookId: id, err: serializeError(err) },
+        LOG_MESSAGES.CLEANUP_WEBHOOK_FAILED,
+      );
+    }
+  }
+
   /**
    * Periodic cleanup task.
    * 1. Identifies expired webhooks.
@@ -218,6 +638,7 @@ export class WebhookManager {
   async cleanup() {
     const now = new Date();
     let changed = false;
+    let sequencesChanged = false;
 
     if (!this.#kvStore) {
       this.#kvStore = await Actor.openKeyValueStore();
@@ -229,48 +650,19 @@ export class WebhookManager {
       const isInvalidDate = !Number.isFinite(expiry.getTime());
 
       if (isInvalidDate || now > expiry) {
-        try {
-          // 1. Find and delete offloaded payloads
-          const payloads = await logRepository.findOffloadedPayloads(id);
-          let deletedCount = 0;
-          for (const item of payloads) {
-            if (item && item.key) {
-              try {
-                await this.#kvStore.setValue(item.key, null);
-                deletedCount++;
-              } catch (kvsErr) {
-                log.warn(
-                  { key: item.key, webhookId: id, err: serializeError(kvsErr) },
-                  LOG_MESSAGES.KVS_DELETE_FAILED,
-                );
-              }
-            }
-          }
-          if (deletedCount > 0) {
-            log.info(
-              { deleted: deletedCount, total: payloads.length, webhookId: id },
-              LOG_MESSAGES.CLEANUP_DELETED_PAYLOADS,
-            );
-          }
-
-          // 2. Delete logs from database
-          await logRepository.deleteLogsByWebhookId(id);
-          log.info({ webhookId: id }, LOG_MESSAGES.CLEANUP_WEBHOOK_REMOVED);
-        } catch (err) {
-          log.error(
-            { webhookId: id, err: serializeError(err) },
-            LOG_MESSAGES.CLEANUP_WEBHOOK_FAILED,
-          );
-        }
+        // 1-2. Delete offloaded payloads and logs
+        await this.#purgeWebhookData(id);
 
         // 3. Remove from memory
         this.#webhooks.delete(id);
+        sequencesChanged = this.#sequenceCursors.delete(id) || sequencesChanged;
         changed = true;
       }
     }
 
     if (changed) {
       await this.persist();
+      if (sequencesChanged) await this.#persistSequences();
 
       // Periodic vacuum for SaaS/long-running instances
       if (this.#config.vacuumEnabled) {
@@ -3,7 +3,7 @@
  * @description Integration tests for webhook ingestion and log query/read contracts.
  */
 
-import { APP_ROUTES } from "../../src/consts/app.js";
+import { APP_ROUTES, LOG_EXPORT_FORMATS } from "../../src/consts/app.js";
 import {
   HTTP_HEADERS,
   HTTP_METHODS,
@@ -395,4 +395,83 @@ describe("Integration: Logging and query contracts", () => {
     },
     LOGGING_QUERY_TEST_TIMEOUT_MS,
   );
+
+  it(
+    "should export ingested logs as NDJSON, HAR, CSV and Parquet",
+    async () => {
+      context = await startIntegrationApp({
+        authKey: AUTH_KEY,
+        urlCount: 1,
+        retentionHours: 1,
+        rateLimitPerMinute: TEST_RATE_LIMIT_PER_MINUTE,
+        enableJSONParsing: true,
+      });
+      const activeContext = requireContext(context);
+      const authHeader = `${AUTH_CONSTS.BEARER_PREFIX}${AUTH_KEY}`;
+
+      const webhookId = await resolveActiveWebhookId(activeContext.appClient);
+      const payload = createWebhookPayload({
+        id: "evt_integration_export_1",
+        source: "integration-export",
+      });
+
+      const ingestResponse = await activeContext.appClient
+        .post(APP_ROUTES.WEBHOOK.replace(":id", webhookId))
+        .set(HTTP_HEADERS.AUTHORIZATION, authHeader)
+        .set(HTTP_HEADERS.CONTENT_TYPE, MIME_TYPES.JSON)
+        .send(payload);
+      expect(ingestResponse.status).toBe(HTTP_STATUS.OK);
+
+      /**
+       * @param {string} format
+       */
+      const exportLogs = (format) =>
+        activeContext.appClient
+          .get(APP_ROUTES.LOGS_EXPORT)
+          .set(HTTP_HEADERS.AUTHORIZATION, authHeader)
+          .query({ webhookId, format })
+          .buffer(true)
+          .parse((res, callback) => {
+            /** @type {Buffer[]} */
+            const chunks = [];
+            res.on("data", (chunk) => chunks.push(chunk));
+            res.on("end", () => callback(null, Buffer.concat(chunks)));
+          });
+
+      await waitForCondition(
+        async () => {
+          const response = await exportLogs(LOG_EXPORT_FORMATS.NDJSON);
+          return String(response.body).includes(webhookId);
+        },
+        LOG_SYNC_WAIT_TIMEOUT_MS,
+        LOG_SYNC_WAIT_INTERVAL_MS,
+      );
+
+      const ndjson = await exportLogs(LOG_EXPORT_FORMATS.NDJSON);
+      expect(ndjson.status).toBe(HTTP_STATUS.OK);
+      const [exported] = String(ndjson.body)
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(exported.webhookId).toBe(webhookId);
+      expect(JSON.parse(exported.body)).toEqual(payload);
+
+      const har = await exportLogs(LOG_EXPORT_FORMATS.HAR);
+      const { log } = JSON.parse(String(har.body));
+      expect(log.entries[0]._logId).toBe(exported.id);
+      expect(JSON.parse(log.entries[0].request.postData.text)).toEqual(payload);
+
+      const csv = await exportLogs(LOG_EXPORT_FORMATS.CSV);
+      expect(csv.headers[HTTP_HEADERS.CONTENT_TYPE]).toContain(MIME_TYPES.CSV);
+      expect(String(csv.body)).toMatch(/^id,timestamp,webhookId,/);
+      expect(String(csv.body)).toContain(exported.id);
+
+      const parquet = await exportLogs(LOG_EXPORT_FORMATS.PARQUET);
+      expect(parquet.headers[HTTP_HEADERS.CONTENT_TYPE]).toBe(
+        MIME_TYPES.PARQUET,
+      );
+      expect(parquet.body.subarray(0, "PAR1".length).toString()).toBe("PAR1");
+    },
+    LOGGING_QUERY_TEST_TIMEOUT_MS,
+  );
 });
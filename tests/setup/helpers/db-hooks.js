@@ -10,7 +10,7 @@ import { DUCKDB_TABLES } from "../../../src/consts/database.js";
 import { executeWrite, getDbInstance } from "../../../src/db/duckdb.js";
 
 /**
- * Resets the DuckDB logs table by deleting all rows.
+ * Resets the DuckDB logs and deliveries tables by deleting all rows.
  * When a prior suite has left stale pooled handles behind, the first delete
  * can fail with a disconnected-connection error; retrying after forcing a
  * fresh module instance keeps live-DB tests isolated without wiping healthy
@@ -22,6 +22,8 @@ export async function resetDb() {
   try {
     await getDbInstance();
     await executeWrite(`DELETE FROM ${DUCKDB_TABLES.LOGS}`);
+    await executeWrite(`DELETE FROM ${DUCKDB_TABLES.DELIVERIES}`);
+    await executeWrite(`DELETE FROM ${DUCKDB_TABLES.REPLAY_CAPTURES}`);
   } catch (error) {
     if (
       !(error instanceof Error) ||
@@ -35,5 +37,9 @@ export async function resetDb() {
     await duckDbModule.resetDbInstance();
     await duckDbModule.getDbInstance();
     await duckDbModule.executeWrite(`DELETE FROM ${DUCKDB_TABLES.LOGS}`);
+    await duckDbModule.executeWrite(`DELETE FROM ${DUCKDB_TABLES.DELIVERIES}`);
+    await duckDbModule.executeWrite(
+      `DELETE FROM ${DUCKDB_TABLES.REPLAY_CAPTURES}`,
+    );
   }
 }
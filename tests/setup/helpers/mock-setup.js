@@ -16,6 +16,7 @@ import {
   constsMock,
   duckDbMock,
   logRepositoryMock,
+  deliveryRepositoryMock,
   axiosMock,
   dnsPromisesMock,
   loggerMock,
@@ -79,7 +80,7 @@ import {
  * @property {boolean} [alerting=false] - Register Alerting util mock
  * @property {boolean} [events=false] - Register Events util mock
  * @property {boolean} [vm=false] - Register VM module mock
- * @property {boolean} [repositories=false] - Register LogRepository mock
+ * @property {boolean} [repositories=false] - Register LogRepository and DeliveryRepository mocks
  * @property {boolean} [services=false] - Register ForwardingService mock
  * @property {boolean} [fs=false] - Register fs/promises and fs mock
  * @property {boolean} [system=false] - Register system util mock
@@ -373,6 +374,10 @@ export async function setupCommonMocks(options = {}) {
       resolveSrc("../../../src/repositories/LogRepository.js"),
       () => ({ logRepository: logRepositoryMock }),
     );
+    jest.unstable_mockModule(
+      resolveSrc("../../../src/repositories/DeliveryRepository.js"),
+      () => ({ deliveryRepository: deliveryRepositoryMock }),
+    );
   }
 
   if (services) {
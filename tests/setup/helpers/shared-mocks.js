@@ -29,12 +29,18 @@ import * as allConsts from "../../../src/consts/index.js";
  * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
  * @typedef {import("../../../src/utils/webhook_rate_limiter.js").WebhookRateLimiter} WebhookRateLimiter
  * @typedef {import("../../../src/repositories/LogRepository.js").LogRepository} LogRepository
+ * @typedef {import("../../../src/repositories/DeliveryRepository.js").DeliveryRepository} DeliveryRepository
  * @typedef {import('../../../src/consts/index.js')} ConstsMock
  * @typedef {import('../../../src/webhook_manager.js').WebhookManager} WebhookManager
  * @typedef {import('../../../src/utils/signature.js').VerificationResult} VerificationResult
  * @typedef {import('../../../src/utils/signature.js').VerificationContext} VerificationContext
+ * @typedef {import('../../../src/utils/signature.js').OutboundMessage} OutboundMessage
+ * @typedef {import("../../../src/typedefs.js").ForwardSigningConfig} ForwardSigningConfig
  * @typedef {import('../../../src/services/SyncService.js').SyncService} SyncService
  * @typedef {import("../../../src/services/ForwardingService.js").ForwardingService} ForwardingService
+ * @typedef {import("../../../src/services/MockRuleService.js").MockRuleService} MockRuleService
+ * @typedef {import("../../../src/services/ForwardOutbox.js").ForwardOutbox} ForwardOutbox
+ * @typedef {import("../../../src/services/ReplayJobService.js").ReplayJobService} ReplayJobService
  * @typedef {import("../../../src/utils/crypto.js")} CryptoUtils
  * @typedef {import("../../../src/utils/ssrf.js")} SSRFUtils
  * @typedef {import("crypto")} Crypto
@@ -490,6 +496,34 @@ export function createMockWebhookManager(overrides = {}) {
       jest.fn()
     ).mockResolvedValue([]),
     getAllActive: /** @type {jest.Mock<any>} */ (jest.fn()).mockReturnValue([]),
+    createWebhook:
+      /** @type {jest.Mock<(...args: any[]) => Promise<object>>} */ (
+        jest.fn()
+      ).mockResolvedValue({}),
+    updateWebhook: /** @type {jest.Mock<(...args: any[]) => Promise<void>>} */ (
+      jest.fn()
+    ).mockResolvedValue(undefined),
+    deleteWebhook:
+      /** @type {jest.Mock<(...args: any[]) => Promise<boolean>>} */ (
+        jest.fn()
+      ).mockResolvedValue(false),
+    getWebhookConfig: /** @type {jest.Mock<any>} */ (jest.fn()).mockReturnValue(
+      undefined,
+    ),
+    setWebhookConfig:
+      /** @type {jest.Mock<(...args: any[]) => Promise<void>>} */ (
+        jest.fn()
+      ).mockResolvedValue(undefined),
+    advanceResponseSequence: /** @type {jest.Mock<any>} */ (
+      jest.fn()
+    ).mockReturnValue(0),
+    getResponseSequenceState: /** @type {jest.Mock<any>} */ (
+      jest.fn()
+    ).mockReturnValue({}),
+    resetResponseSequence:
+      /** @type {jest.Mock<(...args: any[]) => Promise<number | undefined>>} */ (
+        jest.fn()
+      ).mockResolvedValue(undefined),
     updateRetention: /** @type {jest.Mock<any>} */ (
       jest.fn()
     ).mockResolvedValue(undefined),
@@ -511,6 +545,10 @@ export function createMockWebhookManager(overrides = {}) {
 export const expressAppMock = assertType({
   use: jest.fn(),
   get: jest.fn(),
+  post: jest.fn(),
+  put: jest.fn(),
+  patch: jest.fn(),
+  delete: jest.fn(),
   all: jest.fn(),
   set: jest.fn(),
   listen: jest.fn((_port, cb) => {
@@ -542,12 +580,13 @@ export const expressMock = Object.assign(
  * Shared DuckDB Mock.
  */
 /**
- * @type {jest.Mocked<{getDbInstance: jest.Mock<() => Promise<DuckDBInstance>>, executeQuery: jest.Mock<(query: string, params?: Record<string, any>) => Promise<(Record<string, DuckDBValue>)[]>>, executeWrite: jest.Mock<(query: string, params?: Record<string, any>) => Promise<void>>, executeTransaction: jest.Mock<(cb: (conn: {run: jest.Mock<any>}) => void) => void>, closeDb: jest.Mock<() => Promise<void>>, vacuumDb: jest.Mock<() => Promise<void>>}>}
+ * @type {jest.Mocked<{getDbInstance: jest.Mock<() => Promise<DuckDBInstance>>, executeQuery: jest.Mock<(query: string, params?: Record<string, any>) => Promise<(Record<string, DuckDBValue>)[]>>, executeWrite: jest.Mock<(query: string, params?: Record<string, any>) => Promise<void>>, streamQuery: jest.Mock<(sql: string, params?: Record<string, DuckDBValue>) => AsyncGenerator<Record<string, DuckDBValue>[]>>, executeTransaction: jest.Mock<(cb: (conn: {run: jest.Mock<any>}) => void) => void>, closeDb: jest.Mock<() => Promise<void>>, vacuumDb: jest.Mock<() => Promise<void>>}>}
  */
 export const duckDbMock = {
   getDbInstance: assertType(jest.fn()).mockResolvedValue({}),
   executeQuery: assertType(jest.fn().mockResolvedValue(assertType([]))),
   executeWrite: assertType(jest.fn().mockResolvedValue(assertType(undefined))),
+  streamQuery: assertType(jest.fn()),
   executeTransaction: assertType(
     jest.fn(
       /**
@@ -590,6 +629,7 @@ export const loggerMiddlewareMock = assertType({
   middleware: jest.fn(),
   ingestMiddleware: jest.fn(),
   updateOptions: jest.fn(),
+  getForwardSigning: jest.fn(),
   options: {},
 });
 
@@ -632,19 +672,45 @@ export const bootstrapMock = assertType({
  * Shared Routes Mock.
  */
 /**
- * @type {{createBroadcaster: jest.Mock, createLogsHandler: jest.Mock, createLogDetailHandler: jest.Mock, createLogPayloadHandler: jest.Mock, createInfoHandler: jest.Mock, createLogStreamHandler: jest.Mock, createReplayHandler: jest.Mock, createDashboardHandler: jest.Mock, createSystemMetricsHandler: jest.Mock, createHealthRoutes: jest.Mock, preloadTemplate: jest.Mock<() => Promise<string>>}}
+ * @type {{createBroadcaster: jest.Mock, createLogsHandler: jest.Mock, createLogExportHandler: jest.Mock, createLogDetailHandler: jest.Mock, createLogPayloadHandler: jest.Mock, createLogDeliveriesHandler: jest.Mock, createInfoHandler: jest.Mock, createLogStreamHandler: jest.Mock, createReplayHandler: jest.Mock, createDashboardHandler: jest.Mock, createSystemMetricsHandler: jest.Mock, createHealthRoutes: jest.Mock, createWebhooksListHandler: jest.Mock, createWebhookCreateHandler: jest.Mock, createWebhookUpdateHandler: jest.Mock, createWebhookDeleteHandler: jest.Mock, createWebhookConfigHandler: jest.Mock, createWebhookConfigUpdateHandler: jest.Mock, createWebhookConfigValidateHandler: jest.Mock, createWebhookSequenceResetHandler: jest.Mock, createMockRulesListHandler: jest.Mock, createMockRuleCreateHandler: jest.Mock, createMockRuleUpdateHandler: jest.Mock, createMockRuleDeleteHandler: jest.Mock, createMockRulesReorderHandler: jest.Mock, createMockRuleSimulateHandler: jest.Mock, createDeadLettersHandler: jest.Mock, createDeadLetterRedriveHandler: jest.Mock, createScriptTestHandler: jest.Mock, preloadTemplate: jest.Mock<() => Promise<string>>}}
  */
 export const routesMock = assertType({
   createBroadcaster: jest.fn(() => jest.fn()),
   createLogsHandler: jest.fn(() => jest.fn()),
+  createLogExportHandler: jest.fn(() => jest.fn()),
   createLogDetailHandler: jest.fn(() => jest.fn()),
   createLogPayloadHandler: jest.fn(() => jest.fn()),
+  createLogDeliveriesHandler: jest.fn(() => jest.fn()),
   createInfoHandler: jest.fn(() => jest.fn()),
   createLogStreamHandler: jest.fn(() => jest.fn()),
   createReplayHandler: jest.fn(() => jest.fn()),
+  createReplayJobCreateHandler: jest.fn(() => jest.fn()),
+  createReplayJobsListHandler: jest.fn(() => jest.fn()),
+  createReplayJobDetailHandler: jest.fn(() => jest.fn()),
+  createReplayJobActionHandler: jest.fn(() => jest.fn()),
+  createReplayJobEventsHandler: jest.fn(() => jest.fn()),
+  createReplayCaptureHandler: jest.fn(() => jest.fn()),
+  createReplayCompareHandler: jest.fn(() => jest.fn()),
   createDashboardHandler: jest.fn(() => jest.fn()),
   createSystemMetricsHandler: jest.fn(() => jest.fn()),
   createHealthRoutes: jest.fn(() => ({ health: jest.fn(), ready: jest.fn() })),
+  createWebhooksListHandler: jest.fn(() => jest.fn()),
+  createWebhookCreateHandler: jest.fn(() => jest.fn()),
+  createWebhookUpdateHandler: jest.fn(() => jest.fn()),
+  createWebhookDeleteHandler: jest.fn(() => jest.fn()),
+  createWebhookConfigHandler: jest.fn(() => jest.fn()),
+  createWebhookConfigUpdateHandler: jest.fn(() => jest.fn()),
+  createWebhookConfigValidateHandler: jest.fn(() => jest.fn()),
+  createWebhookSequenceResetHandler: jest.fn(() => jest.fn()),
+  createMockRulesListHandler: jest.fn(() => jest.fn()),
+  createMockRuleCreateHandler: jest.fn(() => jest.fn()),
+  createMockRuleUpdateHandler: jest.fn(() => jest.fn()),
+  createMockRuleDeleteHandler: jest.fn(() => jest.fn()),
+  createMockRulesReorderHandler: jest.fn(() => jest.fn()),
+  createMockRuleSimulateHandler: jest.fn(() => jest.fn()),
+  createDeadLettersHandler: jest.fn(() => jest.fn()),
+  createDeadLetterRedriveHandler: jest.fn(() => jest.fn()),
+  createScriptTestHandler: jest.fn(() => jest.fn()),
   preloadTemplate: jest.fn().mockResolvedValue(assertType("index")),
 });
 
@@ -811,6 +877,11 @@ export const commonUtilsMock = {
   tryParse: jest.fn(),
   parseIfPresent: jest.fn(),
   validateStatusCode: jest.fn(),
+  isPlainObject: jest.fn(
+    (/** @type {unknown} */ value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value),
+  ),
+  isHttpUrl: jest.fn(() => true),
   deepRedact: jest.fn(),
   validateUUID: jest.fn(),
 };
@@ -828,7 +899,7 @@ export const routeUtilsMock = {
  * Shared Signature Mock.
  */
 /**
- * @type {jest.Mocked<{verifySignature: (data: any, signature: string) => {valid: boolean, provider: SignatureProvider}, createStreamVerifier: (stream: any) => VerificationResult, finalizeStreamVerification: (stream: any) => boolean}>}}
+ * @type {jest.Mocked<{verifySignature: (data: any, signature: string) => {valid: boolean, provider: SignatureProvider}, createStreamVerifier: (stream: any) => VerificationResult, finalizeStreamVerification: (stream: any) => boolean, signPayload: (config: ForwardSigningConfig, payload: string|Buffer, message?: OutboundMessage) => Record<string, string>}>}}
  */
 export const signatureMock = {
   verifySignature: jest.fn(() => ({ valid: true, provider: "github" })),
@@ -838,6 +909,7 @@ export const signatureMock = {
     }),
   ),
   finalizeStreamVerification: jest.fn(() => true),
+  signPayload: jest.fn(() => ({})),
 };
 
 // Add display names for better debugging
@@ -850,6 +922,9 @@ Object.defineProperty(signatureMock.createStreamVerifier, "name", {
 Object.defineProperty(signatureMock.finalizeStreamVerification, "name", {
   value: "finalizeStreamVerification",
 });
+Object.defineProperty(signatureMock.signPayload, "name", {
+  value: "signPayload",
+});
 
 /**
  * Shared Webhook Rate Limiter Mock.
@@ -946,10 +1021,11 @@ export const configMock = {
  * Shared Alerting Mock.
  */
 /**
- * @type {jest.Mocked<{triggerAlertIfNeeded: (opts: any) => boolean}>}
+ * @type {jest.Mocked<{triggerAlertIfNeeded: (opts: any) => boolean, sendAlert: (config: any, context: any) => Promise<Record<string, boolean>>}>}
  */
 export const alertingMock = {
   triggerAlertIfNeeded: jest.fn(),
+  sendAlert: jest.fn(),
 };
 
 /**
@@ -1002,10 +1078,26 @@ export const logRepositoryMock = assertType({
   getLogById: jest.fn(),
   findLogs: jest.fn(),
   findLogsCursor: jest.fn(),
+  streamLogs: jest.fn(),
+  exportLogsToFile: jest.fn(),
   findOffloadedPayloads: jest.fn(),
   deleteLogsByWebhookId: jest.fn(),
 });
 
+/**
+ * Shared DeliveryRepository Mock.
+ */
+/**
+ * @type {jest.Mocked<DeliveryRepository>}
+ */
+export const deliveryRepositoryMock = assertType({
+  insertDelivery: jest.fn(),
+  findDeliveriesByLogId: jest.fn(),
+  deleteDeliveriesByWebhookId: jest.fn(),
+  insertReplayCapture: jest.fn(),
+  getReplayCapture: jest.fn(),
+});
+
 /**
  * Shared FS Promises Mock.
  */
@@ -1036,6 +1128,7 @@ export const fsMock = assertType({
   writeFileSync: jest.fn(),
   readdirSync: jest.fn(),
   mkdirSync: jest.fn(),
+  statSync: jest.fn(),
   ...fsPromisesMock,
 });
 
@@ -1052,19 +1145,95 @@ export const forwardingServiceMock = assertType({
   forwardWebhook: /** @type {jest.Mock<any>} */ (jest.fn()).mockResolvedValue(
     undefined,
   ),
+  recordDelivery:
+    /** @type {jest.Mock<ForwardingService["recordDelivery"]>} */ (
+      jest.fn()
+    ).mockResolvedValue(undefined),
+  recordReplayCapture:
+    /** @type {jest.Mock<ForwardingService["recordReplayCapture"]>} */ (
+      jest.fn()
+    ).mockResolvedValue(undefined),
+  proxyRequest: /** @type {jest.Mock<ForwardingService["proxyRequest"]>} */ (
+    jest.fn()
+  ).mockResolvedValue({
+    targetUrl: "",
+    durationMs: 0,
+    error: "failed",
+  }),
+  redeliver: /** @type {jest.Mock<ForwardingService["redeliver"]>} */ (
+    jest.fn()
+  ).mockResolvedValue({
+    delivered: true,
+  }),
+  suspendInFlight:
+    /** @type {jest.Mock<ForwardingService["suspendInFlight"]>} */ (
+      jest.fn()
+    ).mockResolvedValue(undefined),
   circuitBreaker: assertType({
     recordSuccess: jest.fn(),
     recordFailure: jest.fn(),
   }),
 });
 
+/**
+ * Shared MockRuleService Mock (no rule matches by default).
+ * @type {jest.Mocked<MockRuleService>}
+ */
+export const mockRuleServiceMock = assertType({
+  init: jest.fn(),
+  persist: jest.fn(),
+  listRules: jest.fn(() => []),
+  getRule: jest.fn(),
+  createRule: jest.fn(),
+  updateRule: jest.fn(),
+  deleteRule: jest.fn(),
+  reorderRules: jest.fn(),
+  findMatch: jest.fn(),
+  recordHit: jest.fn(),
+});
+
+/**
+ * Shared ForwardOutbox Mock (empty outbox by default).
+ * @type {jest.Mocked<ForwardOutbox>}
+ */
+export const forwardOutboxMock = assertType({
+  init: jest.fn(),
+  persist: jest.fn(),
+  enqueue: jest.fn(),
+  start: jest.fn(),
+  stop: jest.fn(),
+  processDue: jest.fn(),
+  listDeadLetters: jest.fn(() => ({ total: 0, items: [] })),
+  redrive: jest.fn(),
+  getStats: jest.fn(() => ({ pending: 0, dead: 0 })),
+});
+
+/**
+ * Shared ReplayJobService Mock.
+ */
+/** @type {jest.Mocked<ReplayJobService>} */
+export const replayJobServiceMock = assertType({
+  start: jest.fn(),
+  stop: jest.fn(),
+  create: jest.fn(),
+  list: jest.fn(() => []),
+  get: jest.fn(),
+  getItems: jest.fn(),
+  pause: jest.fn(),
+  resume: jest.fn(),
+  cancel: jest.fn(),
+});
+
 /**
  * Shared Services File Mock.
  */
-/** @type {jest.Mocked<{forwardingService: ForwardingService, syncService: SyncService}>} */
+/** @type {jest.Mocked<{forwardingService: ForwardingService, forwardOutbox: ForwardOutbox, syncService: SyncService, mockRuleService: MockRuleService, replayJobService: ReplayJobService}>} */
 export const servicesFileMock = {
   forwardingService: forwardingServiceMock,
+  forwardOutbox: forwardOutboxMock,
   syncService: syncServiceMock,
+  mockRuleService: mockRuleServiceMock,
+  replayJobService: replayJobServiceMock,
 };
 
 /**
@@ -73,3 +73,130 @@ export function createSlackSignature(timestamp, payload, secret) {
     .digest(assertType(SIGNATURE_ENCODINGS.HEX));
   return `${SIGNATURE_PREFIXES.V0}${signature}`;
 }
+
+/**
+ * Creates a valid Twilio signature for a form-encoded request.
+ * @param {string} url
+ * @param {Record<string, string>} params
+ * @param {string} authToken
+ * @returns {string}
+ */
+export function createTwilioSignature(url, params, authToken) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => `${acc}${key}${params[key]}`, url);
+  return crypto
+    .createHmac(HASH_ALGORITHMS.SHA1, authToken)
+    .update(data)
+    .digest(assertType(SIGNATURE_ENCODINGS.BASE64));
+}
+
+/**
+ * Creates a valid Standard Webhooks (Svix) signature header value.
+ * @param {string} id
+ * @param {string|number} timestamp
+ * @param {string} payload
+ * @param {string} secret - `whsec_`-prefixed base64 secret
+ * @returns {string}
+ */
+export function createStandardWebhooksSignature(
+  id,
+  timestamp,
+  payload,
+  secret,
+) {
+  const key = Buffer.from(
+    secret.slice(SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_SECRET.length),
+    ENCODINGS.BASE64,
+  );
+  const signature = crypto
+    .createHmac(HASH_ALGORITHMS.SHA256, key)
+    .update(`${id}.${timestamp}.${payload}`)
+    .digest(assertType(SIGNATURE_ENCODINGS.BASE64));
+  return `${SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_V1}${signature}`;
+}
+
+/**
+ * Creates a valid Paddle-Signature header value.
+ * @param {string|number} timestamp
+ * @param {string} payload
+ * @param {string} secret
+ * @returns {string}
+ */
+export function createPaddleSignature(timestamp, payload, secret) {
+  const signature = crypto
+    .createHmac(HASH_ALGORITHMS.SHA256, secret)
+    .update(`${timestamp}:${payload}`)
+    .digest(assertType(SIGNATURE_ENCODINGS.HEX));
+  return `${SIGNATURE_PREFIXES.PADDLE_TIMESTAMP}${timestamp};${SIGNATURE_PREFIXES.PADDLE_HASH}${signature}`;
+}
+
+/**
+ * Creates a valid Square signature.
+ * @param {string} url - Notification URL
+ * @param {string} payload
+ * @param {string} signatureKey
+ * @returns {string}
+ */
+export function createSquareSignature(url, payload, signatureKey) {
+  return crypto
+    .createHmac(HASH_ALGORITHMS.SHA256, signatureKey)
+    .update(`${url}${payload}`)
+    .digest(assertType(SIGNATURE_ENCODINGS.BASE64));
+}
+
+/**
+ * Creates a valid Zoom signature.
+ * @param {string|number} timestamp
+ * @param {string} payload
+ * @param {string} secretToken
+ * @returns {string}
+ */
+export function createZoomSignature(timestamp, payload, secretToken) {
+  const signature = crypto
+    .createHmac(HASH_ALGORITHMS.SHA256, secretToken)
+    .update(`${SIGNATURE_PREFIXES.V0_NO_PREFIX}:${timestamp}:${payload}`)
+    .digest(assertType(SIGNATURE_ENCODINGS.HEX));
+  return `${SIGNATURE_PREFIXES.V0}${signature}`;
+}
+
+/**
+ * Creates a valid Mailgun signature.
+ * @param {string|number} timestamp
+ * @param {string} token
+ * @param {string} signingKey
+ * @returns {string}
+ */
+export function createMailgunSignature(timestamp, token, signingKey) {
+  return crypto
+    .createHmac(HASH_ALGORITHMS.SHA256, signingKey)
+    .update(`${timestamp}${token}`)
+    .digest(assertType(SIGNATURE_ENCODINGS.HEX));
+}
+
+/**
+ * Creates a valid SendGrid (ECDSA) signature.
+ * @param {string|number} timestamp
+ * @param {string} payload
+ * @param {crypto.KeyObject} privateKey
+ * @returns {string}
+ */
+export function createSendGridSignature(timestamp, payload, privateKey) {
+  return crypto
+    .createSign(HASH_ALGORITHMS.SHA256)
+    .update(`${timestamp}${payload}`)
+    .sign(privateKey, assertType(SIGNATURE_ENCODINGS.BASE64));
+}
+
+/**
+ * Creates a valid Discord (Ed25519) signature.
+ * @param {string|number} timestamp
+ * @param {string} payload
+ * @param {crypto.KeyObject} privateKey
+ * @returns {string}
+ */
+export function createDiscordSignature(timestamp, payload, privateKey) {
+  return crypto
+    .sign(null, Buffer.from(`${timestamp}${payload}`), privateKey)
+    .toString(assertType(SIGNATURE_ENCODINGS.HEX));
+}
@@ -468,6 +468,11 @@ describe("Top-level Branch Coverage", () => {
                 maskSensitiveData: { default: true },
                 enableJSONParsing: { default: true },
                 forwardHeaders: { default: {} },
+                forwardMode: { default: "fixed" },
+                syncProxy: { default: false },
+                syncProxyTimeoutMs: { default: 10000 },
+                forwardDestinations: { maxItems: 20 },
+                customScripts: { maxItems: 50 },
               },
             };
           },
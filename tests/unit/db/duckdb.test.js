@@ -32,6 +32,7 @@ const {
   executeQuery,
   executeWrite,
   executeTransaction,
+  streamQuery,
   closeDb,
   vacuumDb,
 } = await import("../../../src/db/duckdb.js");
@@ -292,6 +293,36 @@ describe("DuckDB Singleton", () => {
     });
   });
 
+  describe("streamQuery", () => {
+    it("should yield rows in chunks and return the connection when stopped early", async () => {
+      const rowCount = 5000;
+      const instance = await getDbInstance();
+      await executeQuery(SELECT_ONE_SQL); // populate pool
+      const connectSpy = jest.spyOn(instance, "connect");
+
+      /** @type {number[]} */
+      const chunkSizes = [];
+      for await (const rows of streamQuery(
+        "SELECT range AS n FROM range($count)",
+        { count: rowCount },
+      )) {
+        chunkSizes.push(rows.length);
+      }
+      expect(chunkSizes.length).toBeGreaterThan(1);
+      expect(chunkSizes.reduce((sum, size) => sum + size, 0)).toBe(rowCount);
+
+      const smallCount = 10;
+      for await (const rows of streamQuery("SELECT range FROM range($count)", {
+        count: smallCount,
+      })) {
+        expect(rows).toHaveLength(smallCount);
+        break;
+      }
+      await expect(executeQuery(SELECT_ONE_SQL)).resolves.toEqual([{ val: 1 }]);
+      expect(connectSpy).not.toHaveBeenCalled();
+    });
+  });
+
   describe("executeWrite", () => {
     it("should serialize writes using the queue", async () => {
       await executeQuery("CREATE TABLE writes (id INTEGER)");
@@ -16,6 +16,7 @@ import { assertType, flushPromises } from "../setup/helpers/test-utils.js";
  * @typedef {import('../../src/typedefs.js').CustomRequest} CustomRequest
  * @typedef {import('../../src/typedefs.js').CommonError} CommonError
  * @typedef {import('../../src/typedefs.js').WebhookEvent} WebhookEvent
+ * @typedef {import('../../src/typedefs.js').CustomScriptDefinition} CustomScriptDefinition
  * @typedef {import('../../src/utils/logger.js').SerializedError} SerializedError
  */
 
@@ -56,14 +57,22 @@ const {
   RECURSION_HEADER_VALUE,
   HTTP_CONSTS,
   HTTP_STATUS_MESSAGES,
+  ENCODINGS,
 } = await import("../../src/consts/http.js");
 
 const { ERROR_LABELS, ERROR_MESSAGES, NODE_ERROR_CODES, SIGNATURE_ERRORS } =
   await import("../../src/consts/errors.js");
 const { LOG_MESSAGES } = await import("../../src/consts/messages.js");
 const { STORAGE_CONSTS } = await import("../../src/consts/storage.js");
-const { APP_CONSTS, ENV_VALUES, ENV_VARS, STREAM_EVENTS } =
-  await import("../../src/consts/app.js");
+const {
+  APP_CONSTS,
+  DEFAULT_RESPONSE_SEQUENCE_KEY,
+  DELIVERY_STATUSES,
+  ENV_VALUES,
+  ENV_VARS,
+  FORWARDING_CONSTS,
+  STREAM_EVENTS,
+} = await import("../../src/consts/app.js");
 const { SIGNATURE_PROVIDERS, SIGNATURE_PREFIXES } =
   await import("../../src/consts/security.js");
 const { LOG_CONSTS, LOG_TAGS } = await import("../../src/consts/logging.js");
@@ -72,7 +81,7 @@ const { createGitHubSignature } =
   await import("../setup/helpers/signature-utils.js");
 const { createWebhookPayload } =
   await import("../setup/helpers/fixtures/payload-fixtures.js");
-const { createMiddlewareTestContext } =
+const { createMiddlewareTestContext, runMiddlewareWithTimers } =
   await import("../setup/helpers/middleware-test-utils.js");
 const { createMockRequest, createMockResponse, createMockNextFunction } =
   await import("../setup/helpers/test-utils.js");
@@ -82,6 +91,7 @@ const {
   loggerMock,
   webhookManagerMock,
   forwardingServiceMock,
+  mockRuleServiceMock,
   alertingMock,
   ssrfMock,
   authMock,
@@ -106,6 +116,8 @@ const { webhookRateLimiter } =
   await import("../../src/utils/webhook_rate_limiter.js");
 const customScriptExecutor =
   await import("../../src/utils/custom_script_executor.js");
+const { normalizeSignatureVerificationRules } =
+  await import("../../src/utils/signature_rules.js");
 
 describe("LoggerMiddleware", () => {
   useMockCleanup();
@@ -317,6 +329,33 @@ describe("LoggerMiddleware", () => {
       expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
     });
 
+    it("should resolve forward signing from the webhook override before the global config", () => {
+      const globalSigning = {
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        secret: "g",
+      };
+      const webhookSigning = {
+        provider: SIGNATURE_PROVIDERS.STRIPE,
+        secret: "w",
+      };
+      const mw = new LoggerMiddleware(
+        webhookManagerMock,
+        assertType({ forwardSigning: globalSigning }),
+        onEventMock,
+        forwardingServiceMock,
+      );
+      jest
+        .mocked(webhookManagerMock.getWebhookData)
+        .mockImplementation((id) =>
+          id === "wh_signed"
+            ? assertType({ forwardSigning: webhookSigning })
+            : undefined,
+        );
+
+      expect(mw.getForwardSigning("wh_signed")).toBe(webhookSigning);
+      expect(mw.getForwardSigning("wh_other")).toBe(globalSigning);
+    });
+
     it("should hit non-Error branch in compileResource catch via bad schema compiler", () => {
       // JSON.parse throws a true Error, but we can mock it to throw a primitive
       // This will trigger the `String(err ?? UNKNOWN)` branch in `#compileResource`
@@ -1235,6 +1274,78 @@ describe("LoggerMiddleware", () => {
         );
       });
 
+      it("should fan out to forwardUrl and every matching destination", async () => {
+        const stagingUrl = "https://staging.example.com/hooks";
+        const {
+          req,
+          res,
+          next,
+          middleware: fwdMw,
+        } = await createMiddlewareTestContext({
+          options: {
+            forwardUrl: TEST_URL,
+            forwardDestinations: [
+              {
+                id: "staging",
+                url: stagingUrl,
+                enabled: true,
+                match: { method: [HTTP_METHODS.POST] },
+              },
+              {
+                id: "reads-only",
+                url: "https://reads.example.com/hooks",
+                enabled: true,
+                match: { method: [HTTP_METHODS.GET] },
+              },
+            ],
+          },
+        });
+
+        await fwdMw(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(
+          forwardingServiceMock.forwardWebhook.mock.calls.map((call) => [
+            call[3],
+            call[5]?.id,
+          ]),
+        ).toEqual([
+          [TEST_URL, undefined],
+          [stagingUrl, "staging"],
+        ]);
+      });
+
+      it("should still forward to other destinations when one rejects", async () => {
+        forwardingServiceMock.forwardWebhook
+          .mockRejectedValueOnce(new Error("Signing misconfigured"))
+          .mockResolvedValueOnce(undefined);
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: {
+              forwardUrl: TEST_URL,
+              forwardDestinations: [
+                {
+                  id: "lake",
+                  url: "https://lake.example.com/ingest",
+                  enabled: true,
+                  match: {},
+                },
+              ],
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalledTimes(
+          1 + 1,
+        );
+        expect(loggerMock.error).toHaveBeenCalledWith(
+          expect.objectContaining({ err: expect.any(Object) }),
+          LOG_MESSAGES.BACKGROUND_ERROR,
+        );
+      });
+
       it("should handle req.isOffloaded logic correctly", async () => {
         const { req, res, next, middleware } =
           await createMiddlewareTestContext();
@@ -1759,184 +1870,965 @@ describe("LoggerMiddleware", () => {
       });
     });
 
-    describe("Large Payloads & Offloading Logic", () => {
-      it("should fallback to truncating payload if KVS offload fails", async () => {
-        apifyMock.openKeyValueStore.mockResolvedValueOnce(
-          assertType({
-            setValue: jest
-              .fn()
-              .mockRejectedValueOnce(assertType(new Error("KVS limit error"))),
-          }),
-        );
-        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
-        const {
-          req,
-          res,
-          next,
-          middleware: hugeMw,
-        } = await createMiddlewareTestContext();
-
-        const longBody = "A".repeat(LARGE_SIZE);
-        req.body = longBody;
+    describe("Response Templates", () => {
+      it("should echo request values into the default body and headers", async () => {
+        const challenge =
+          "3eZbrw1aBm2rZgRNFdxV2595E9CY3gmdALWMmHkvFXO7tYXAYM8P";
+        const requestId = "req-template-1";
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              defaultResponseBody: '{"challenge":"{{body.challenge}}"}',
+              defaultResponseHeaders: {
+                "x-echo-id": "{{headers.x-request-id}}",
+              },
+            },
+          });
+        req.body = { type: "url_verification", challenge };
+        req.headers["x-request-id"] = requestId;
 
-        await hugeMw(req, res, next);
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
 
-        // Should successfully respond anyway
-        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
-        expect(loggerMock.info).toHaveBeenCalledWith(
-          expect.objectContaining({
-            bodySize: LARGE_SIZE,
-            threshold: STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD,
-            kvsKey: expect.any(String),
-          }),
-          LOG_MESSAGES.KVS_OFFLOAD_THRESHOLD_EXCEEDED,
-        );
-        expect(loggerMock.error).toHaveBeenCalledWith(
-          expect.objectContaining({ err: expect.any(Object) }),
-          LOG_MESSAGES.KVS_OFFLOAD_FAILED_LARGE_PAYLOAD,
+        const expectedBody = JSON.stringify({ challenge });
+        expect(res.setHeader).toHaveBeenCalledWith("x-echo-id", requestId);
+        expect(res.send).toHaveBeenCalledWith(expectedBody);
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ responseBody: expectedBody }),
         );
       });
 
-      it("should ignore missing signature headers on stream offloading smoothly", async () => {
-        signatureMock.createStreamVerifier.mockReturnValueOnce(
-          assertType({ error: SIGNATURE_ERRORS.MISSING_HEADER }),
-        );
-        // Standard sync mock must ALSO fail for the middleware to return 401
-        signatureMock.verifySignature.mockReturnValue({
-          valid: false,
-          provider: SIGNATURE_PROVIDERS.GITHUB,
-        });
-
-        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
-        const options = {
-          maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE,
-          signatureVerification: {
-            provider: SIGNATURE_PROVIDERS.GITHUB,
-            secret: "secret",
-          },
-        };
-        const {
-          middleware: mw,
-          req,
-          res,
-          next,
-        } = await createMiddlewareTestContext({ options });
+      it("should resolve dotted query keys such as hub.challenge", async () => {
+        const challenge = "1158201444";
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: { defaultResponseBody: "{{query.hub.challenge}}" },
+          });
+        req.query = { "hub.mode": "subscribe", "hub.challenge": challenge };
 
-        req.method = HTTP_METHODS.POST;
-        req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
-        req.isOffloaded = true;
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
 
-        await mw.ingestMiddleware(req, res, next);
-        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+        expect(res.send).toHaveBeenCalledWith(challenge);
       });
 
-      it("should simulate streaming offload for huge payload", async () => {
-        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
-        const { middleware, req, res, next } =
+      it("should leave plain default bodies unrecorded", async () => {
+        const { req, res, next, middleware, onEvent } =
           await createMiddlewareTestContext({
-            options: { maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE },
+            options: { defaultResponseBody: "OK" },
           });
-        req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
 
-        await middleware.ingestMiddleware(req, res, next);
-        expect(next).toHaveBeenCalled();
-        expect(req.isOffloaded).toBe(true);
-        expect(req._body).toBe(true);
-        expect(req.body).toHaveProperty("key");
-        expect(loggerMock.info).toHaveBeenCalledWith(
-          expect.objectContaining({
-            contentLength: LARGE_SIZE,
-            kvsKey: expect.any(String),
-          }),
-          LOG_MESSAGES.KVS_OFFLOAD_START,
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(res.send).toHaveBeenCalledWith("OK");
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ responseBody: undefined }),
         );
       });
+    });
 
-      it("should handle streaming offload failures gracefully", async () => {
-        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
-        const { middleware, req, res, next } =
+    describe("Response Sequences", () => {
+      const SEQUENCE_CALLS = 3;
+
+      it("should walk 500, 500, 200 across successive calls", async () => {
+        const { middleware, webhookManager } =
           await createMiddlewareTestContext({
-            options: { maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE },
+            options: {
+              responseSequence: {
+                steps: [
+                  { status: HTTP_STATUS.INTERNAL_SERVER_ERROR },
+                  { status: HTTP_STATUS.INTERNAL_SERVER_ERROR },
+                  {
+                    status: HTTP_STATUS.OK,
+                    headers: { "x-attempt": "final" },
+                    body: { ok: true },
+                  },
+                ],
+              },
+            },
           });
-        req.method = HTTP_METHODS.POST;
-        req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
-        req.pipe = () => {
-          throw new Error("pipe fail");
-        };
-        await middleware.ingestMiddleware(req, res, next);
-        expect(res.status).toHaveBeenCalledWith(
+        const advance = jest.mocked(webhookManager.advanceResponseSequence);
+        const responses = Array.from({ length: SEQUENCE_CALLS }, () =>
+          createMockResponse(),
+        );
+
+        for (const [call, res] of responses.entries()) {
+          advance.mockReturnValueOnce(call);
+          await middleware(createMockRequest(), res, createMockNextFunction());
+          await jest.runAllTimersAsync();
+        }
+
+        expect(
+          responses.map((res) => jest.mocked(res.status).mock.calls[0][0]),
+        ).toEqual([
+          HTTP_STATUS.INTERNAL_SERVER_ERROR,
           HTTP_STATUS.INTERNAL_SERVER_ERROR,
+          HTTP_STATUS.OK,
+        ]);
+        const [lastResponse] = responses.slice(-1);
+        expect(lastResponse.setHeader).toHaveBeenCalledWith(
+          "x-attempt",
+          "final",
+        );
+        expect(lastResponse.json).toHaveBeenCalledWith({ ok: true });
+        expect(advance).toHaveBeenCalledWith(
+          expect.any(String),
+          DEFAULT_RESPONSE_SEQUENCE_KEY,
         );
       });
+    });
 
-      it("should handle streaming signature verification successfully", async () => {
-        signatureMock.finalizeStreamVerification.mockReturnValueOnce(true);
-        // Directly override via constsMock for maximum reliability
-        const ORIGINAL_THRESHOLD =
-          constsMock.STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD;
-        constsMock.STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD =
-          APP_CONSTS.BYTES_PER_KB; // 1KB
-
-        const LARGE_SIZE =
-          1 * APP_CONSTS.BYTES_PER_KB * APP_CONSTS.BYTES_PER_KB; // 1MB
-        const secret = "secret";
-        const payload = Buffer.alloc(LARGE_SIZE, "a");
-        const sigConfig = { provider: SIGNATURE_PROVIDERS.GITHUB, secret };
+    describe("Conditional Signature Rules", () => {
+      const GITHUB_RULE_ID = "github-default";
+      const GITHUB_EVENT_HEADER = "x-github-event";
+      const RULE_PRIORITY = 100;
+      const githubVerify = {
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        secret: "gh-secret",
+      };
+      const githubRule = {
+        id: GITHUB_RULE_ID,
+        priority: RULE_PRIORITY,
+        when: { headers: { [GITHUB_EVENT_HEADER]: "*" } },
+        verify: githubVerify,
+      };
 
-        try {
-          const { middleware, req, res, next, webhookManager, onEvent } =
-            await createMiddlewareTestContext({
-              options: { maxPayloadSize: LARGE_SIZE + APP_CONSTS.BYTES_PER_KB },
-            });
-          jest.mocked(webhookManager.getWebhookData).mockReturnValue({
-            signatureVerification: sigConfig,
-            expiresAt: new Date(
-              Date.now() + APP_CONSTS.MS_PER_HOUR,
-            ).toISOString(),
-          });
+      /**
+       * parseWebhookOptions is mocked as a passthrough, so normalize here.
+       * @param {unknown[]} input
+       */
+      const buildRules = (input) =>
+        normalizeSignatureVerificationRules(input).rules;
 
-          req.method = HTTP_METHODS.POST;
-          req.params.id = "wh_stream_success";
-          req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
-          req.headers[HTTP_HEADERS.HUB_SIGNATURE_256] = createGitHubSignature(
-            payload.toString(),
-            secret,
-          );
+      it("should verify with the matched rule and record its ID", async () => {
+        const context = await createMiddlewareTestContext({
+          options: {
+            signatureVerificationRules: buildRules([
+              githubRule,
+              {
+                id: "stripe-default",
+                when: { headers: { "stripe-signature": "*" } },
+                verify: { provider: SIGNATURE_PROVIDERS.STRIPE, secret: "s" },
+              },
+            ]),
+          },
+          request: { headers: { [GITHUB_EVENT_HEADER]: "push" } },
+        });
 
-          const storeMock = await apifyMock.openKeyValueStore();
-          jest.mocked(storeMock.setValue).mockImplementationOnce(async () => {
-            // Emit data chunks before finishing setValue
-            req.emit(STREAM_EVENTS.DATA, Buffer.from(payload));
-            await flushPromises(1);
-          });
+        await runMiddlewareWithTimers(context);
 
-          await middleware.ingestMiddleware(req, res, next);
-          expect(req.ingestSignatureResult?.valid).toBe(true);
+        expect(signatureMock.verifySignature).toHaveBeenCalledWith(
+          githubVerify,
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+        );
+        expect(context.onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ signatureRuleId: GITHUB_RULE_ID }),
+        );
+      });
 
-          expect(req.body).toMatchObject({
-            key: expect.any(String),
-            kvsUrl: expect.any(String),
-            originalSize: LARGE_SIZE,
-            data: STORAGE_CONSTS.OFFLOAD_MARKER_STREAM,
+      it.each([
+        [
+          "ambiguous",
+          [githubRule, { ...githubRule, id: "github-legacy" }],
+          SIGNATURE_ERRORS.AMBIGUOUS_RULES([GITHUB_RULE_ID, "github-legacy"]),
+        ],
+        [
+          "unmatched",
+          [{ ...githubRule, when: { headers: { "x-other": "*" } } }],
+          SIGNATURE_ERRORS.NO_MATCHING_RULE,
+        ],
+      ])(
+        "should reject %s requests without trying any verifier",
+        async (_label, rules, error) => {
+          const context = await createMiddlewareTestContext({
+            options: { signatureVerificationRules: buildRules(rules) },
+            request: { headers: { [GITHUB_EVENT_HEADER]: "push" } },
           });
 
-          // Run full middleware to hit response logic
-          await middleware(req, res, next);
-          expect(res.status).not.toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
-          expect(onEvent).toHaveBeenCalledWith(
+          await runMiddlewareWithTimers(context);
+
+          expect(context.res.status).toHaveBeenCalledWith(
+            HTTP_STATUS.UNAUTHORIZED,
+          );
+          expect(signatureMock.verifySignature).not.toHaveBeenCalled();
+          expect(context.onEvent).toHaveBeenCalledWith(
             expect.objectContaining({
-              signatureValid: true,
-              signatureProvider: SIGNATURE_PROVIDERS.GITHUB,
+              signatureValid: false,
+              signatureSelectionError: error,
             }),
           );
-          expect(loggerMock.info).toHaveBeenCalledWith(
-            expect.objectContaining({ provider: SIGNATURE_PROVIDERS.GITHUB }),
-            LOG_MESSAGES.STREAM_VERIFIER_INIT,
-          );
-        } finally {
-          constsMock.STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD = ORIGINAL_THRESHOLD;
-        }
-      });
+        },
+      );
+
+      it("should let a per-webhook verifier bypass the global rules", async () => {
+        const override = { provider: SIGNATURE_PROVIDERS.SHOPIFY, secret: "s" };
+        const context = await createMiddlewareTestContext({
+          options: { signatureVerificationRules: buildRules([githubRule]) },
+          request: { headers: { [GITHUB_EVENT_HEADER]: "push" } },
+          webhookManager: {
+            webhookData: { signatureVerification: override },
+          },
+        });
+
+        await runMiddlewareWithTimers(context);
+
+        expect(signatureMock.verifySignature).toHaveBeenCalledWith(
+          override,
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+        );
+        expect(context.onEvent).toHaveBeenCalledWith(
+          expect.not.objectContaining({ signatureRuleId: GITHUB_RULE_ID }),
+        );
+      });
+
+      it("should reject unmatched streamed payloads before offloading", async () => {
+        const context = await createMiddlewareTestContext({
+          options: {
+            maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE,
+            signatureVerificationRules: buildRules([
+              { ...githubRule, when: { headers: { "x-other": "*" } } },
+            ]),
+          },
+        });
+        context.req.headers[HTTP_HEADERS.CONTENT_LENGTH] = (
+          STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB
+        ).toString();
+
+        await context.middleware.ingestMiddleware(
+          context.req,
+          context.res,
+          context.next,
+        );
+
+        expect(context.res.status).toHaveBeenCalledWith(
+          HTTP_STATUS.UNAUTHORIZED,
+        );
+        expect(signatureMock.createStreamVerifier).not.toHaveBeenCalled();
+        expect(context.next).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("Mock Rules", () => {
+      const MOCK_RULE_ID = "rule_mw_1";
+      const mockRule = {
+        id: MOCK_RULE_ID,
+        priority: 0,
+        enabled: true,
+        match: {},
+        response: {
+          status: HTTP_STATUS.ACCEPTED,
+          headers: { "x-mocked": "true" },
+          body: { received: "{{request.body.id}}" },
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      /**
+       * @param {Object} options
+       * @returns {LoggerMiddleware}
+       */
+      const createMockedMiddleware = (options) =>
+        new LoggerMiddleware(
+          webhookManagerMock,
+          options,
+          onEventMock,
+          forwardingServiceMock,
+          mockRuleServiceMock,
+        );
+
+      it("should answer with the matching rule and skip forwarding", async () => {
+        jest.mocked(mockRuleServiceMock.findMatch).mockReturnValue(mockRule);
+        const mw = createMockedMiddleware({ forwardUrl: TEST_URL });
+        const req = createMockRequest({ body: { id: "evt_1" } });
+        const res = createMockResponse();
+
+        await mw.middleware(req, res, createMockNextFunction());
+        await jest.runAllTimersAsync();
+
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+        expect(res.setHeader).toHaveBeenCalledWith("x-mocked", "true");
+        expect(res.json).toHaveBeenCalledWith({ received: "evt_1" });
+        expect(onEventMock).toHaveBeenCalledWith(
+          expect.objectContaining({
+            isMocked: true,
+            mockRuleId: MOCK_RULE_ID,
+            statusCode: HTTP_STATUS.ACCEPTED,
+          }),
+        );
+        expect(mockRuleServiceMock.recordHit).toHaveBeenCalledWith(
+          MOCK_RULE_ID,
+        );
+        expect(forwardingServiceMock.forwardWebhook).not.toHaveBeenCalled();
+      });
+
+      it("should fall through to the default response when no rule matches", async () => {
+        jest.mocked(mockRuleServiceMock.findMatch).mockReturnValue(undefined);
+        const mw = createMockedMiddleware({});
+        const res = createMockResponse();
+
+        await mw.middleware(createMockRequest(), res, createMockNextFunction());
+        await jest.runAllTimersAsync();
+
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+        expect(mockRuleServiceMock.recordHit).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("Synchronous Proxy", () => {
+      const PROXY_DURATION_MS = 25;
+      const proxyOptions = { forwardUrl: TEST_URL, syncProxy: true };
+
+      it("should relay the downstream response and record it on the log", async () => {
+        const upstreamBody = { charged: true };
+        forwardingServiceMock.proxyRequest.mockResolvedValueOnce({
+          targetUrl: TEST_URL,
+          durationMs: PROXY_DURATION_MS,
+          response: {
+            status: HTTP_STATUS.PAYMENT_REQUIRED,
+            headers: {
+              [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON,
+              [HTTP_HEADERS.SET_COOKIE]: ["session=abc"],
+            },
+            body: Buffer.from(JSON.stringify(upstreamBody)),
+          },
+        });
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: { ...proxyOptions, maskSensitiveData: true },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(forwardingServiceMock.proxyRequest).toHaveBeenCalledWith(
+          expect.objectContaining({ webhookId: expect.any(String) }),
+          req,
+          expect.objectContaining(proxyOptions),
+          TEST_URL,
+        );
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.PAYMENT_REQUIRED);
+        expect(res.setHeader).toHaveBeenCalledWith(HTTP_HEADERS.SET_COOKIE, [
+          "session=abc",
+        ]);
+        expect(res.send).toHaveBeenCalledWith(
+          Buffer.from(JSON.stringify(upstreamBody)),
+        );
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            isProxied: true,
+            proxyTargetUrl: TEST_URL,
+            proxyStatusCode: HTTP_STATUS.PAYMENT_REQUIRED,
+            proxyDurationMs: PROXY_DURATION_MS,
+            statusCode: HTTP_STATUS.PAYMENT_REQUIRED,
+            responseBody: upstreamBody,
+            responseHeaders: expect.objectContaining({
+              [HTTP_HEADERS.SET_COOKIE]: LOG_CONSTS.MASKED_VALUE,
+            }),
+          }),
+        );
+        // The proxy call replaces the background forward to forwardUrl
+        expect(forwardingServiceMock.forwardWebhook).not.toHaveBeenCalled();
+      });
+
+      it("should log binary downstream bodies as base64", async () => {
+        const binary = Buffer.from("89504e470d0a1a0a", "hex");
+        forwardingServiceMock.proxyRequest.mockResolvedValueOnce({
+          targetUrl: TEST_URL,
+          durationMs: PROXY_DURATION_MS,
+          response: {
+            status: HTTP_STATUS.OK,
+            headers: { [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.OCTET_STREAM },
+            body: binary,
+          },
+        });
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({ options: proxyOptions });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(res.send).toHaveBeenCalledWith(binary);
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            responseBody: binary.toString(ENCODINGS.BASE64),
+          }),
+        );
+      });
+
+      it("should fall back to the default response when the target does not answer", async () => {
+        forwardingServiceMock.proxyRequest.mockResolvedValueOnce({
+          targetUrl: TEST_URL,
+          durationMs: PROXY_DURATION_MS,
+          error: FORWARDING_CONSTS.TIMEOUT_CODE,
+        });
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: { ...proxyOptions, defaultResponseBody: "fallback" },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+        expect(res.send).toHaveBeenCalledWith("fallback");
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            isProxied: true,
+            proxyError: FORWARDING_CONSTS.TIMEOUT_CODE,
+          }),
+        );
+        expect(forwardingServiceMock.forwardWebhook).not.toHaveBeenCalled();
+      });
+
+      it("should answer locally when a response sequence is configured", async () => {
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: {
+              ...proxyOptions,
+              responseSequence: { steps: [{ status: HTTP_STATUS.CREATED }] },
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(forwardingServiceMock.proxyRequest).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalled();
+      });
+    });
+
+    describe("Script Outcomes", () => {
+      const ROUTED_URL = "https://billing.example.com/hooks";
+      const SCRIPT_DELAY_MS = 5000;
+      const slackAlerts = {
+        alerts: { slack: { webhookUrl: "https://hooks.slack.com/services/x" } },
+      };
+
+      it("should respond but not store an event the script drops", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              forwardUrl: TEST_URL,
+              customScript:
+                "if (event.headers['x-event-type'] === 'ping') event.$drop = true;",
+            },
+          });
+        req.headers["x-event-type"] = "ping";
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+        expect(apifyMock.pushData).not.toHaveBeenCalled();
+        expect(onEvent).not.toHaveBeenCalled();
+        expect(appEvents.emit).not.toHaveBeenCalledWith(
+          EVENT_NAMES.LOG_RECEIVED,
+          expect.anything(),
+        );
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalled();
+      });
+
+      it("should store but not forward when the script skips forwarding", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              forwardUrl: TEST_URL,
+              syncProxy: true,
+              customScript: "event.$skipForward = true;",
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(onEvent).toHaveBeenCalled();
+        expect(forwardingServiceMock.proxyRequest).not.toHaveBeenCalled();
+        expect(forwardingServiceMock.forwardWebhook).not.toHaveBeenCalled();
+      });
+
+      it("should forward to the destination the script picks", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              forwardUrl: TEST_URL,
+              customScript: `event.$forwardTo = "${ROUTED_URL}";`,
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalledTimes(1);
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalledWith(
+          expect.any(Object),
+          req,
+          expect.objectContaining({ forwardUrl: TEST_URL }),
+          ROUTED_URL,
+          expect.any(AbortSignal),
+        );
+        // Outcome keys never reach storage
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.not.objectContaining({ $forwardTo: ROUTED_URL }),
+        );
+      });
+
+      it("should proxy to the script's destination in synchronous proxy mode", async () => {
+        forwardingServiceMock.proxyRequest.mockResolvedValueOnce({
+          targetUrl: ROUTED_URL,
+          durationMs: 1,
+          error: DELIVERY_STATUSES.SSRF_BLOCKED,
+        });
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: {
+              syncProxy: true,
+              customScript: `event.$forwardTo = "${ROUTED_URL}";`,
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(forwardingServiceMock.proxyRequest).toHaveBeenCalledWith(
+          expect.any(Object),
+          req,
+          expect.any(Object),
+          ROUTED_URL,
+        );
+      });
+
+      it("should delay forwarding without delaying the response or timing out", async () => {
+        // Resolve the script without the worker so advancing the fake clock
+        // cannot trip the pool watchdog before the worker replies
+        executeCustomScriptMock.mockImplementationOnce(
+          async (
+            /** @type {{ event: Record<string, unknown> }} */ request,
+          ) => ({
+            ok: true,
+            logs: [],
+            event: { ...request.event, $delayMs: SCRIPT_DELAY_MS },
+          }),
+        );
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: {
+              forwardUrl: TEST_URL,
+              customScript: `event.$delayMs = ${SCRIPT_DELAY_MS};`,
+            },
+          });
+
+        const run = middleware(req, res, next);
+        await jest.advanceTimersByTimeAsync(SCRIPT_DELAY_MS - 1);
+
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+        expect(forwardingServiceMock.forwardWebhook).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        await run;
+
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalled();
+        expect(loggerMock.warn).not.toHaveBeenCalledWith(
+          expect.anything(),
+          LOG_MESSAGES.BACKGROUND_TIMEOUT,
+        );
+      });
+
+      it("should force an alert regardless of alertOn triggers", async () => {
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: { ...slackAlerts, customScript: "event.$alert = true;" },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(alertingMock.sendAlert).toHaveBeenCalledWith(
+          expect.objectContaining({ slack: slackAlerts.alerts.slack }),
+          expect.objectContaining({ statusCode: HTTP_STATUS.OK }),
+        );
+        expect(alertingMock.triggerAlertIfNeeded).not.toHaveBeenCalled();
+      });
+
+      it("should suppress alerts when the script sets $alert to false", async () => {
+        const { req, res, next, middleware } =
+          await createMiddlewareTestContext({
+            options: {
+              ...slackAlerts,
+              customScript: `event.statusCode = ${HTTP_STATUS.INTERNAL_SERVER_ERROR}; event.$alert = false;`,
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(alertingMock.sendAlert).not.toHaveBeenCalled();
+        expect(alertingMock.triggerAlertIfNeeded).not.toHaveBeenCalled();
+      });
+
+      it("should store the script's tags on the event", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: { customScript: "event.$tags = ['billing', 'priority'];" },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(apifyMock.pushData).toHaveBeenCalledWith(
+          expect.objectContaining({ tags: ["billing", "priority"] }),
+        );
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.not.objectContaining({ $tags: expect.anything() }),
+        );
+      });
+
+      it("should warn about and ignore invalid outcome values", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              forwardUrl: TEST_URL,
+              customScript: "event.$drop = 'yes'; event.$forwardTo = 'nope';",
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(loggerMock.warn).toHaveBeenCalledWith(
+          expect.objectContaining({ invalidKeys: ["$drop", "$forwardTo"] }),
+          LOG_MESSAGES.SCRIPT_OUTCOME_INVALID,
+        );
+        expect(onEvent).toHaveBeenCalled();
+        expect(forwardingServiceMock.forwardWebhook).toHaveBeenCalledWith(
+          expect.any(Object),
+          req,
+          expect.any(Object),
+          TEST_URL,
+          expect.any(AbortSignal),
+        );
+      });
+    });
+
+    describe("Script Library", () => {
+      const WEBHOOK_ID = "wh_test_123";
+      const PARTNER_HEADER = "x-partner";
+
+      /**
+       * @param {string} id
+       * @param {string} source
+       * @param {Partial<CustomScriptDefinition>} [overrides]
+       * @returns {CustomScriptDefinition}
+       */
+      const libraryScript = (id, source, overrides = {}) => ({
+        id,
+        source,
+        enabled: true,
+        match: {},
+        ...overrides,
+      });
+
+      it("should chain customScript and matching library scripts in order and record each run", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              customScript: "event.steps = ['default'];",
+              customScripts: [
+                libraryScript("acme", "event.steps.push('acme');", {
+                  match: { headers: { [PARTNER_HEADER]: "acme" } },
+                }),
+                libraryScript("globex", "event.steps.push('globex');", {
+                  match: { headers: { [PARTNER_HEADER]: "globex" } },
+                }),
+                libraryScript(
+                  "scoped",
+                  "event.steps.push('scoped'); event.$tags = ['seen'];",
+                  { webhookIds: [WEBHOOK_ID] },
+                ),
+                libraryScript("other", "event.steps.push('other');", {
+                  webhookIds: ["wh_other"],
+                }),
+              ],
+            },
+          });
+        req.headers[PARTNER_HEADER] = "acme";
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            steps: ["default", "acme", "scoped"],
+            tags: ["seen"],
+            scriptRuns: [
+              { id: "customScript", durationMs: expect.any(Number) },
+              { id: "acme", durationMs: expect.any(Number) },
+              { id: "scoped", durationMs: expect.any(Number) },
+            ],
+          }),
+        );
+      });
+
+      it("should record a failing script and continue the chain with the event before it", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              customScripts: [
+                libraryScript("first", "event.first = true;"),
+                libraryScript(
+                  "broken",
+                  "event.broken = true; throw new Error('bad payload');",
+                ),
+                libraryScript("last", "event.last = event.first;"),
+              ],
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        const stored = /** @type {WebhookEvent} */ (onEvent.mock.calls[0][0]);
+        expect(stored).toEqual(
+          expect.objectContaining({ first: true, last: true }),
+        );
+        expect(stored).not.toHaveProperty("broken");
+        expect(stored.scriptRuns).toEqual([
+          { id: "first", durationMs: expect.any(Number) },
+          {
+            id: "broken",
+            durationMs: expect.any(Number),
+            error: "Error: bad payload",
+          },
+          { id: "last", durationMs: expect.any(Number) },
+        ]);
+        expect(loggerMock.error).toHaveBeenCalledWith(
+          expect.objectContaining({ scriptId: "broken" }),
+          LOG_MESSAGES.SCRIPT_EXECUTION_FAILED,
+        );
+      });
+
+      it("should let a later script override an outcome key set earlier", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              customScripts: [
+                libraryScript("drop-all", "event.$drop = true;"),
+                libraryScript("keep", "event.$drop = false;"),
+              ],
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(onEvent).toHaveBeenCalled();
+      });
+
+      it("should not record runs when no script applies", async () => {
+        const { req, res, next, middleware, onEvent } =
+          await createMiddlewareTestContext({
+            options: {
+              customScripts: [
+                libraryScript("disabled", "event.touched = true;", {
+                  enabled: false,
+                }),
+              ],
+            },
+          });
+
+        await middleware(req, res, next);
+        await jest.runAllTimersAsync();
+
+        expect(onEvent).toHaveBeenCalledWith(
+          expect.not.objectContaining({ scriptRuns: expect.anything() }),
+        );
+      });
+    });
+
+    describe("Large Payloads & Offloading Logic", () => {
+      it("should fallback to truncating payload if KVS offload fails", async () => {
+        apifyMock.openKeyValueStore.mockResolvedValueOnce(
+          assertType({
+            setValue: jest
+              .fn()
+              .mockRejectedValueOnce(assertType(new Error("KVS limit error"))),
+          }),
+        );
+        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
+        const {
+          req,
+          res,
+          next,
+          middleware: hugeMw,
+        } = await createMiddlewareTestContext();
+
+        const longBody = "A".repeat(LARGE_SIZE);
+        req.body = longBody;
+
+        await hugeMw(req, res, next);
+
+        // Should successfully respond anyway
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.OK);
+        expect(loggerMock.info).toHaveBeenCalledWith(
+          expect.objectContaining({
+            bodySize: LARGE_SIZE,
+            threshold: STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD,
+            kvsKey: expect.any(String),
+          }),
+          LOG_MESSAGES.KVS_OFFLOAD_THRESHOLD_EXCEEDED,
+        );
+        expect(loggerMock.error).toHaveBeenCalledWith(
+          expect.objectContaining({ err: expect.any(Object) }),
+          LOG_MESSAGES.KVS_OFFLOAD_FAILED_LARGE_PAYLOAD,
+        );
+      });
+
+      it("should ignore missing signature headers on stream offloading smoothly", async () => {
+        signatureMock.createStreamVerifier.mockReturnValueOnce(
+          assertType({ error: SIGNATURE_ERRORS.MISSING_HEADER }),
+        );
+        // Standard sync mock must ALSO fail for the middleware to return 401
+        signatureMock.verifySignature.mockReturnValue({
+          valid: false,
+          provider: SIGNATURE_PROVIDERS.GITHUB,
+        });
+
+        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
+        const options = {
+          maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE,
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secret: "secret",
+          },
+        };
+        const {
+          middleware: mw,
+          req,
+          res,
+          next,
+        } = await createMiddlewareTestContext({ options });
+
+        req.method = HTTP_METHODS.POST;
+        req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
+        req.isOffloaded = true;
+
+        await mw.ingestMiddleware(req, res, next);
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+      });
+
+      it("should simulate streaming offload for huge payload", async () => {
+        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
+        const { middleware, req, res, next } =
+          await createMiddlewareTestContext({
+            options: { maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE },
+          });
+        req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
+
+        await middleware.ingestMiddleware(req, res, next);
+        expect(next).toHaveBeenCalled();
+        expect(req.isOffloaded).toBe(true);
+        expect(req._body).toBe(true);
+        expect(req.body).toHaveProperty("key");
+        expect(loggerMock.info).toHaveBeenCalledWith(
+          expect.objectContaining({
+            contentLength: LARGE_SIZE,
+            kvsKey: expect.any(String),
+          }),
+          LOG_MESSAGES.KVS_OFFLOAD_START,
+        );
+      });
+
+      it("should handle streaming offload failures gracefully", async () => {
+        const LARGE_SIZE = STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD + ONE_MB;
+        const { middleware, req, res, next } =
+          await createMiddlewareTestContext({
+            options: { maxPayloadSize: APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE },
+          });
+        req.method = HTTP_METHODS.POST;
+        req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
+        req.pipe = () => {
+          throw new Error("pipe fail");
+        };
+        await middleware.ingestMiddleware(req, res, next);
+        expect(res.status).toHaveBeenCalledWith(
+          HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        );
+      });
+
+      it("should handle streaming signature verification successfully", async () => {
+        signatureMock.finalizeStreamVerification.mockReturnValueOnce(true);
+        // Directly override via constsMock for maximum reliability
+        const ORIGINAL_THRESHOLD =
+          constsMock.STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD;
+        constsMock.STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD =
+          APP_CONSTS.BYTES_PER_KB; // 1KB
+
+        const LARGE_SIZE =
+          1 * APP_CONSTS.BYTES_PER_KB * APP_CONSTS.BYTES_PER_KB; // 1MB
+        const secret = "secret";
+        const payload = Buffer.alloc(LARGE_SIZE, "a");
+        const sigConfig = { provider: SIGNATURE_PROVIDERS.GITHUB, secret };
+
+        try {
+          const { middleware, req, res, next, webhookManager, onEvent } =
+            await createMiddlewareTestContext({
+              options: { maxPayloadSize: LARGE_SIZE + APP_CONSTS.BYTES_PER_KB },
+            });
+          jest.mocked(webhookManager.getWebhookData).mockReturnValue({
+            signatureVerification: sigConfig,
+            expiresAt: new Date(
+              Date.now() + APP_CONSTS.MS_PER_HOUR,
+            ).toISOString(),
+          });
+
+          req.method = HTTP_METHODS.POST;
+          req.params.id = "wh_stream_success";
+          req.headers[HTTP_HEADERS.CONTENT_LENGTH] = LARGE_SIZE.toString();
+          req.headers[HTTP_HEADERS.HUB_SIGNATURE_256] = createGitHubSignature(
+            payload.toString(),
+            secret,
+          );
+
+          const storeMock = await apifyMock.openKeyValueStore();
+          jest.mocked(storeMock.setValue).mockImplementationOnce(async () => {
+            // Emit data chunks before finishing setValue
+            req.emit(STREAM_EVENTS.DATA, Buffer.from(payload));
+            await flushPromises(1);
+          });
+
+          await middleware.ingestMiddleware(req, res, next);
+          expect(req.ingestSignatureResult?.valid).toBe(true);
+
+          expect(req.body).toMatchObject({
+            key: expect.any(String),
+            kvsUrl: expect.any(String),
+            originalSize: LARGE_SIZE,
+            data: STORAGE_CONSTS.OFFLOAD_MARKER_STREAM,
+          });
+
+          // Run full middleware to hit response logic
+          await middleware(req, res, next);
+          expect(res.status).not.toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED);
+          expect(onEvent).toHaveBeenCalledWith(
+            expect.objectContaining({
+              signatureValid: true,
+              signatureProvider: SIGNATURE_PROVIDERS.GITHUB,
+            }),
+          );
+          expect(loggerMock.info).toHaveBeenCalledWith(
+            expect.objectContaining({ provider: SIGNATURE_PROVIDERS.GITHUB }),
+            LOG_MESSAGES.STREAM_VERIFIER_INIT,
+          );
+        } finally {
+          constsMock.STORAGE_CONSTS.KVS_OFFLOAD_THRESHOLD = ORIGINAL_THRESHOLD;
+        }
+      });
 
       it("should handle streaming signature verification failure", async () => {
         signatureMock.finalizeStreamVerification.mockReturnValueOnce(false);
@@ -2586,6 +3478,7 @@ describe("LoggerMiddleware", () => {
             [HTTP_HEADERS.HUB_SIGNATURE_256]: sig,
             [customHeader.toLowerCase()]: customValue,
           }),
+          expect.anything(),
         );
       });
 
@@ -2905,6 +3798,32 @@ describe("LoggerMiddleware", () => {
           expect.anything(),
           JSON.stringify(req.body),
           expect.anything(),
+          expect.anything(),
+        );
+      });
+
+      it("should pass the public request URL for URL-signing providers", async () => {
+        const { middleware, req, res, next } =
+          await createMiddlewareTestContext({
+            options: {
+              signatureVerification: {
+                provider: SIGNATURE_PROVIDERS.TWILIO,
+                secret: "abc",
+              },
+            },
+            request: {
+              protocol: "https",
+              originalUrl: "/webhook/wh_atomic?source=sms",
+              headers: { [HTTP_HEADERS.HOST]: "actor.apify.net" },
+            },
+          });
+
+        await middleware(req, res, next);
+        expect(signatureMock.verifySignature).toHaveBeenCalledWith(
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+          { url: "https://actor.apify.net/webhook/wh_atomic?source=sms" },
         );
       });
 
@@ -2928,6 +3847,7 @@ describe("LoggerMiddleware", () => {
           expect.anything(),
           rawBody,
           expect.anything(),
+          expect.anything(),
         );
       });
 
@@ -3162,6 +4082,62 @@ describe("LoggerMiddleware", () => {
         );
       });
 
+      it("should verify with public keys alone and record the validating key", async () => {
+        const keyId = "2026-01";
+        const context = await createMiddlewareTestContext({
+          options: {
+            signatureVerification: {
+              provider: SIGNATURE_PROVIDERS.DISCORD,
+              publicKeys: [{ kid: keyId, key: "-----BEGIN PUBLIC KEY-----" }],
+            },
+          },
+        });
+        context.req.params.id = "wh_atomic";
+        jest.mocked(signatureMock.verifySignature).mockReturnValueOnce(
+          assertType({
+            valid: true,
+            provider: SIGNATURE_PROVIDERS.DISCORD,
+            keyId,
+          }),
+        );
+
+        await runMiddlewareWithTimers(context);
+        expect(signatureMock.verifySignature).toHaveBeenCalled();
+        expect(context.onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            signatureValid: true,
+            signatureKeyId: keyId,
+          }),
+        );
+      });
+
+      it("should record which rotating secret validated the request", async () => {
+        const context = await createMiddlewareTestContext({
+          options: {
+            signatureVerification: {
+              provider: SIGNATURE_PROVIDERS.GITHUB,
+              secrets: [{ secret: "old" }, { secret: "new" }],
+            },
+          },
+        });
+        context.req.params.id = "wh_atomic";
+        jest.mocked(signatureMock.verifySignature).mockReturnValueOnce(
+          assertType({
+            valid: true,
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secretIndex: 1,
+          }),
+        );
+
+        await runMiddlewareWithTimers(context);
+        expect(context.onEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            signatureValid: true,
+            signatureSecretIndex: 1,
+          }),
+        );
+      });
+
       it("should silently skip verification if signature config has provider but no secret", async () => {
         const { middleware, req, res, next, onEvent } =
           await createMiddlewareTestContext({
@@ -127,6 +127,8 @@ const {
 
 // IS_TEST=true suppresses the top-level initialize() call inside main.js
 const mainModule = await import("../../src/main.js");
+const { forwardingService, forwardOutbox } =
+  await import("../../src/services/index.js");
 
 describe("Main Entry Point", () => {
   useMockCleanup(() => {
@@ -725,6 +727,22 @@ describe("Main Entry Point", () => {
       expect(webhookManagerMock.persist).toHaveBeenCalled();
     });
 
+    it("should hand in-flight forwards to the durable outbox before closing the DB", async () => {
+      const suspendSpy = jest.spyOn(forwardingService, "suspendInFlight");
+      const persistSpy = jest.spyOn(forwardOutbox, "persist");
+      const stopSpy = jest.spyOn(forwardOutbox, "stop");
+      await mainModule.initialize();
+
+      await mainModule.shutdown(SHUTDOWN_SIGNALS.TEST_COMPLETE);
+
+      expect(stopSpy).toHaveBeenCalled();
+      expect(suspendSpy).toHaveBeenCalled();
+      expect(persistSpy).toHaveBeenCalled();
+      expect(suspendSpy.mock.invocationCallOrder[0]).toBeLessThan(
+        duckDbMock.closeDb.mock.invocationCallOrder[0],
+      );
+    });
+
     it("should force-exit via systemExit after SHUTDOWN_TIMEOUT_MS elapses", async () => {
       syncServiceMock.stop.mockReturnValue(assertType(new Promise(() => {})));
       mainModule.shutdown(SHUTDOWN_SIGNALS.TEST_COMPLETE);
@@ -1285,7 +1303,8 @@ describe("Main Entry Point", () => {
 
     it("should set forcedStatus on the request when ?status holds a valid HTTP status code", async () => {
       const webhookCalls = expressAppMock.all.mock.calls.filter(
-        (c) => c[0] === constsMock.APP_ROUTES.WEBHOOK,
+        (c) =>
+          Array.isArray(c[0]) && c[0].includes(constsMock.APP_ROUTES.WEBHOOK),
       );
       const statusMiddleware = webhookCalls[1]?.[1];
       expect(statusMiddleware).toBeDefined();
@@ -1305,7 +1324,8 @@ describe("Main Entry Point", () => {
 
     it("should call next() without setting forcedStatus when the ?status query param is invalid", async () => {
       const webhookCalls = expressAppMock.all.mock.calls.filter(
-        (c) => c[0] === constsMock.APP_ROUTES.WEBHOOK,
+        (c) =>
+          Array.isArray(c[0]) && c[0].includes(constsMock.APP_ROUTES.WEBHOOK),
       );
       const statusMiddleware = webhookCalls[1]?.[1];
       const req = createMockRequest();
@@ -1319,7 +1339,8 @@ describe("Main Entry Point", () => {
 
     it("should call next() without setting forcedStatus when the ?status query param is absent", async () => {
       const webhookCalls = expressAppMock.all.mock.calls.filter(
-        (c) => c[0] === constsMock.APP_ROUTES.WEBHOOK,
+        (c) =>
+          Array.isArray(c[0]) && c[0].includes(constsMock.APP_ROUTES.WEBHOOK),
       );
       const statusMiddleware = webhookCalls[1]?.[1];
       const req = createMockRequest({ query: {} }); // no `status` key
@@ -1359,6 +1380,30 @@ describe("Main Entry Point", () => {
       );
     });
 
+    it("should report the conditional rule count from getSignatureStatus when rules are configured", async () => {
+      const { loggerMiddlewareMock } =
+        await import("../setup/helpers/shared-mocks.js");
+      const { STATUS_LABELS } = await import("../../src/consts/ui.js");
+      Object.defineProperty(loggerMiddlewareMock, "options", {
+        value: {
+          signatureVerificationRules: [
+            {
+              id: "stripe-default",
+              verify: { provider: SIGNATURE_PROVIDERS.STRIPE, secret: "abc" },
+            },
+          ],
+        },
+        configurable: true,
+      });
+      /** @type {DashboardDependencies} */
+      const dashOpts = assertType(
+        jest.mocked(routesMock.createDashboardHandler).mock.calls[0]?.[0],
+      );
+      expect(dashOpts.getSignatureStatus()).toBe(
+        `${STATUS_LABELS.CONDITIONAL_VERIFICATION} (1)`,
+      );
+    });
+
     it("should return null from getSignatureStatus when provider is configured without a secret", async () => {
       const { loggerMiddlewareMock } =
         await import("../setup/helpers/shared-mocks.js");
@@ -1406,9 +1451,10 @@ describe("Main Entry Point", () => {
       expect(dashOpts.getTemplate()).toBe("new-template");
     });
 
-    it("should pass live getters for replayMaxRetries and replayTimeoutMs to createReplayHandler", async () => {
-      const { appStateMock } = await import("../setup/helpers/shared-mocks.js");
-      /** @type {[function(): number, function(): number]} */
+    it("should pass live getters for replay settings and forward signing to createReplayHandler", async () => {
+      const { appStateMock, loggerMiddlewareMock } =
+        await import("../setup/helpers/shared-mocks.js");
+      /** @type {[function(): number, function(): number, function(string): unknown]} */
       const replayArgs = assertType(
         jest.mocked(routesMock.createReplayHandler).mock.calls[0],
       );
@@ -1418,6 +1464,15 @@ describe("Main Entry Point", () => {
       appStateMock.replayTimeoutMs = replayTimeoutMs;
       expect(replayArgs[0]()).toBe(replayMaxRetries);
       expect(replayArgs[1]()).toBe(replayTimeoutMs);
+
+      const forwardSigning = { provider: "github", secret: "s" };
+      loggerMiddlewareMock.getForwardSigning.mockReturnValue(
+        assertType(forwardSigning),
+      );
+      expect(replayArgs[2]("wh_1")).toBe(forwardSigning);
+      expect(loggerMiddlewareMock.getForwardSigning).toHaveBeenCalledWith(
+        "wh_1",
+      );
     });
 
     it("should pass live getters with DEFAULT fallbacks to createInfoHandler", async () => {
@@ -1463,6 +1518,20 @@ describe("Main Entry Point", () => {
       ).toBe(false);
     });
 
+    it("should skip compression for replay job progress streams", async () => {
+      const compressionMod = await import("compression");
+      /** @type {CompressionFilter} */
+      const filter = assertType(
+        jest.mocked(compressionMod.default).mock.calls[0]?.[0]?.filter,
+      );
+      expect(
+        filter(
+          assertType({ path: "/replay-jobs/rpj_1/events", headers: {} }),
+          assertType({}),
+        ),
+      ).toBe(false);
+    });
+
     it("should skip compression for requests accepting the event-stream MIME type", async () => {
       const compressionMod = await import("compression");
       /** @type {CompressionFilter} */
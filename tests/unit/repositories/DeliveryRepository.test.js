@@ -0,0 +1,235 @@
+/**
+ * @file tests/unit/repositories/DeliveryRepository.test.js
+ * @description Unit tests for DeliveryRepository with live DuckDB integration.
+ */
+
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import { resetDb } from "../../setup/helpers/db-hooks.js";
+import { HTTP_STATUS } from "../../../src/consts/http.js";
+import {
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
+  WEBHOOK_ID_PREFIX,
+} from "../../../src/consts/app.js";
+import { useMockCleanup } from "../../setup/helpers/test-lifecycle.js";
+
+await setupCommonMocks({
+  logger: true,
+  fs: true,
+  consts: true,
+  db: false, // Use real duckdb logic
+});
+
+const { deliveryRepository } =
+  await import("../../../src/repositories/DeliveryRepository.js");
+const { resetDbInstance, closeDb } = await import("../../../src/db/duckdb.js");
+
+/**
+ * @typedef {import("../../../src/typedefs.js").DeliveryRecord} DeliveryRecord
+ * @typedef {import("../../../src/typedefs.js").ReplayMutationDiff} ReplayMutationDiff
+ * @typedef {import("../../../src/typedefs.js").ReplayCapture} ReplayCapture
+ */
+
+describe("DeliveryRepository", () => {
+  const LOG_ID = "log_1";
+  const TARGET_URL = "https://staging.example.com/hooks";
+  const WEBHOOK_A = `${WEBHOOK_ID_PREFIX}a`;
+  const WEBHOOK_B = `${WEBHOOK_ID_PREFIX}b`;
+
+  useMockCleanup(async () => {
+    await resetDb();
+  });
+
+  beforeAll(async () => {
+    await resetDbInstance();
+  });
+
+  afterAll(async () => {
+    await closeDb();
+  });
+
+  /**
+   * @param {Partial<DeliveryRecord>} overrides
+   * @returns {DeliveryRecord}
+   */
+  const mockDelivery = (overrides = {}) => ({
+    logId: LOG_ID,
+    webhookId: WEBHOOK_A,
+    kind: DELIVERY_KINDS.FORWARD,
+    targetUrl: TARGET_URL,
+    status: DELIVERY_STATUSES.DELIVERED,
+    ...overrides,
+  });
+
+  it("should insert deliveries and list them oldest first", async () => {
+    await deliveryRepository.insertDelivery(
+      mockDelivery({
+        status: DELIVERY_STATUSES.DELIVERED,
+        kind: DELIVERY_KINDS.REPLAY,
+        statusCode: HTTP_STATUS.OK,
+        attempts: 1,
+        durationMs: 12.6,
+        timestamp: "2026-01-01T12:05:00.000Z",
+      }),
+    );
+    await deliveryRepository.insertDelivery(
+      mockDelivery({
+        id: "dlv_first",
+        status: DELIVERY_STATUSES.FAILED,
+        statusCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        attempts: 3,
+        durationMs: 900,
+        error: "HTTP_503",
+        timestamp: "2026-01-01T12:00:00.000Z",
+        destinationId: "staging",
+      }),
+    );
+    await deliveryRepository.insertDelivery(
+      mockDelivery({ logId: "log_other" }),
+    );
+
+    const deliveries = await deliveryRepository.findDeliveriesByLogId(LOG_ID);
+
+    expect(deliveries).toEqual([
+      {
+        id: "dlv_first",
+        logId: LOG_ID,
+        webhookId: WEBHOOK_A,
+        kind: DELIVERY_KINDS.FORWARD,
+        targetUrl: TARGET_URL,
+        status: DELIVERY_STATUSES.FAILED,
+        statusCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        attempts: 3,
+        durationMs: 900,
+        error: "HTTP_503",
+        timestamp: "2026-01-01T12:00:00.000Z",
+        destinationId: "staging",
+        mutation: null,
+      },
+      expect.objectContaining({
+        id: expect.any(String),
+        kind: DELIVERY_KINDS.REPLAY,
+        status: DELIVERY_STATUSES.DELIVERED,
+        statusCode: HTTP_STATUS.OK,
+        attempts: 1,
+        durationMs: 13,
+        error: null,
+        timestamp: "2026-01-01T12:05:00.000Z",
+      }),
+    ]);
+  });
+
+  it("should default missing outcome details to nulls and zero attempts", async () => {
+    await deliveryRepository.insertDelivery({
+      logId: LOG_ID,
+      kind: DELIVERY_KINDS.FORWARD,
+      targetUrl: TARGET_URL,
+      status: DELIVERY_STATUSES.CIRCUIT_OPEN,
+    });
+
+    const [delivery] = await deliveryRepository.findDeliveriesByLogId(LOG_ID);
+
+    expect(delivery).toEqual(
+      expect.objectContaining({
+        webhookId: undefined,
+        statusCode: null,
+        attempts: 0,
+        durationMs: null,
+        error: null,
+        destinationId: null,
+      }),
+    );
+    expect(Date.parse(String(delivery.timestamp))).not.toBeNaN();
+  });
+
+  it("should store the mutation diff of a replay as JSON", async () => {
+    /** @type {ReplayMutationDiff} */
+    const mutation = {
+      headers: [{ op: "add", path: "/x-debug", value: "1" }],
+      body: [{ op: "replace", path: "/amount", value: 0, oldValue: 100 }],
+    };
+    await deliveryRepository.insertDelivery(
+      mockDelivery({ kind: DELIVERY_KINDS.REPLAY, mutation }),
+    );
+
+    const [delivery] = await deliveryRepository.findDeliveriesByLogId(LOG_ID);
+
+    expect(delivery.mutation).toEqual(mutation);
+  });
+
+  /**
+   * @param {Partial<ReplayCapture>} overrides
+   * @returns {ReplayCapture}
+   */
+  const mockCapture = (overrides = {}) => ({
+    id: "rpl_1",
+    logId: LOG_ID,
+    webhookId: WEBHOOK_A,
+    targetUrl: TARGET_URL,
+    method: "POST",
+    requestHeaders: { "content-type": "application/json" },
+    requestBody: { amount: 1 },
+    requestBodyTruncated: false,
+    statusCode: HTTP_STATUS.OK,
+    responseHeaders: { "content-type": "text/plain" },
+    responseBody: "ok",
+    responseBodyTruncated: false,
+    durationMs: 41.6,
+    error: null,
+    timestamp: "2026-01-01T12:10:00.000Z",
+    ...overrides,
+  });
+
+  it("should store and load a replay request/response pair", async () => {
+    await deliveryRepository.insertReplayCapture(mockCapture());
+    await deliveryRepository.insertReplayCapture(
+      mockCapture({
+        id: "rpl_failed",
+        webhookId: undefined,
+        requestBody: null,
+        requestBodyTruncated: true,
+        statusCode: null,
+        responseHeaders: {},
+        responseBody: null,
+        durationMs: null,
+        error: "ECONNREFUSED",
+      }),
+    );
+
+    await expect(deliveryRepository.getReplayCapture("rpl_1")).resolves.toEqual(
+      mockCapture({ durationMs: 42 }),
+    );
+    await expect(
+      deliveryRepository.getReplayCapture("rpl_failed"),
+    ).resolves.toEqual(
+      expect.objectContaining({
+        webhookId: undefined,
+        requestBody: null,
+        requestBodyTruncated: true,
+        statusCode: null,
+        responseHeaders: {},
+        durationMs: null,
+        error: "ECONNREFUSED",
+      }),
+    );
+    await expect(
+      deliveryRepository.getReplayCapture("rpl_missing"),
+    ).resolves.toBeNull();
+  });
+
+  it("should delete only deliveries for the specified webhook", async () => {
+    await deliveryRepository.insertDelivery(mockDelivery());
+    await deliveryRepository.insertDelivery(
+      mockDelivery({ webhookId: WEBHOOK_B }),
+    );
+    await deliveryRepository.insertReplayCapture(mockCapture());
+
+    await deliveryRepository.deleteDeliveriesByWebhookId(WEBHOOK_A);
+
+    const remaining = await deliveryRepository.findDeliveriesByLogId(LOG_ID);
+    expect(remaining.map((d) => d.webhookId)).toEqual([WEBHOOK_B]);
+    await expect(
+      deliveryRepository.getReplayCapture("rpl_1"),
+    ).resolves.toBeNull();
+  });
+});
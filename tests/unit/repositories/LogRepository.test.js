@@ -15,6 +15,8 @@ import {
   MIME_TYPES,
 } from "../../../src/consts/http.js";
 import {
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
   REQUEST_ID_PREFIX,
   SORT_DIRECTIONS,
   WEBHOOK_ID_PREFIX,
@@ -36,6 +38,8 @@ await setupCommonMocks({
 // Import subject and DB utilities
 const { logRepository } =
   await import("../../../src/repositories/LogRepository.js");
+const { deliveryRepository } =
+  await import("../../../src/repositories/DeliveryRepository.js");
 const realDuckDbModule = await import("../../../src/db/duckdb.js");
 const { resetDbInstance, closeDb } = realDuckDbModule;
 const { STORAGE_CONSTS } = await import("../../../src/consts/storage.js");
@@ -46,6 +50,11 @@ const { STORAGE_CONSTS } = await import("../../../src/consts/storage.js");
  */
 
 describe("LogRepository", () => {
+  const SIGNATURE_RULE_ID = "github-default";
+  const PROXY_TARGET_URL = "https://upstream.example.com/hooks";
+  const PROXY_DURATION_MS = 42;
+  const SCRIPT_DURATION_MS = 5;
+
   // Clear mocks after each test
   useMockCleanup(async () => {
     // Clear all tables for each test
@@ -180,6 +189,8 @@ describe("LogRepository", () => {
           valid: true,
           provider: SIGNATURE_PROVIDERS.CUSTOM,
           error: "none",
+          keyId: "2026-01",
+          secretIndex: 1,
         },
       });
       await logRepository.insertLog(entry);
@@ -188,6 +199,21 @@ describe("LogRepository", () => {
       expect(result?.signatureValid).toBe(true);
       expect(result?.signatureProvider).toBe(SIGNATURE_PROVIDERS.CUSTOM);
       expect(result?.signatureError).toBe("none");
+      expect(result?.signatureKeyId).toBe("2026-01");
+      expect(result?.signatureSecretIndex).toBe(1);
+    });
+
+    it("should store and parse the scripts that ran on the log", async () => {
+      const scriptRuns = [
+        { id: "customScript", durationMs: SCRIPT_DURATION_MS },
+        { id: "normalize-stripe", durationMs: 0, error: "boom" },
+      ];
+      await logRepository.insertLog(
+        mockLog({ id: "script_runs_log", scriptRuns }),
+      );
+
+      const result = await logRepository.getLogById("script_runs_log");
+      expect(result?.scriptRuns).toEqual(scriptRuns);
     });
 
     it("should handle ON CONFLICT by updating source_offset", async () => {
@@ -237,7 +263,11 @@ describe("LogRepository", () => {
           contentType: MIME_TYPES.JSON,
           signatureValid: true,
           signatureProvider: SIGNATURE_PROVIDERS.GITHUB,
+          signatureRuleId: SIGNATURE_RULE_ID,
           webhookId: `${WEBHOOK_ID_PREFIX}a`,
+          isMocked: true,
+          mockRuleId: "rule_a",
+          tags: ["billing", "priority"],
         }),
         mockLog({
           id: "log_b",
@@ -253,6 +283,11 @@ describe("LogRepository", () => {
           signatureError: "invalid_sig",
           signatureProvider: SIGNATURE_PROVIDERS.SHOPIFY,
           webhookId: `${WEBHOOK_ID_PREFIX}b`,
+          isProxied: true,
+          proxyTargetUrl: PROXY_TARGET_URL,
+          proxyStatusCode: HTTP_STATUS.NOT_FOUND,
+          proxyDurationMs: PROXY_DURATION_MS,
+          tags: ["billing"],
         }),
         mockLog({
           id: "log_c",
@@ -371,6 +406,39 @@ describe("LogRepository", () => {
       expect(resultFalse.items[0].id).toBe("log_b");
     });
 
+    it("should filter by mock rule state and rule ID", async () => {
+      const mocked = await logRepository.findLogs({ isMocked: "true" });
+      expect(mocked.total).toBe(1);
+      expect(mocked.items[0].mockRuleId).toBe("rule_a");
+
+      const notMocked = await logRepository.findLogs({ isMocked: false });
+      expect(notMocked.items.map((l) => l.id)).toEqual(
+        expect.arrayContaining(["log_b", "log_c"]),
+      );
+
+      const byRule = await logRepository.findLogs({ mockRuleId: "rule_a" });
+      expect(byRule.items.map((l) => l.id)).toEqual(["log_a"]);
+    });
+
+    it("should filter by synchronous proxy state and return the proxy fields", async () => {
+      const proxied = await logRepository.findLogs({ isProxied: "true" });
+      expect(proxied.total).toBe(1);
+      expect(proxied.items[0]).toEqual(
+        expect.objectContaining({
+          id: "log_b",
+          proxyTargetUrl: PROXY_TARGET_URL,
+          proxyStatusCode: HTTP_STATUS.NOT_FOUND,
+          proxyDurationMs: PROXY_DURATION_MS,
+          proxyError: null,
+        }),
+      );
+
+      const notProxied = await logRepository.findLogs({ isProxied: false });
+      expect(notProxied.items.map((l) => l.id)).toEqual(
+        expect.arrayContaining(["log_a", "log_c"]),
+      );
+    });
+
     it("should filter by signature provider", async () => {
       const result = await logRepository.findLogs({
         signatureProvider: SIGNATURE_PROVIDERS.SHOPIFY,
@@ -379,6 +447,58 @@ describe("LogRepository", () => {
       expect(result.items[0].id).toBe("log_b");
     });
 
+    it("should filter by signature rule ID", async () => {
+      const result = await logRepository.findLogs({
+        signatureRuleId: SIGNATURE_RULE_ID,
+      });
+      expect(result.total).toBe(1);
+      expect(result.items[0].signatureRuleId).toBe(SIGNATURE_RULE_ID);
+    });
+
+    it("should filter by script tag", async () => {
+      const billing = await logRepository.findLogs({ tag: "billing" });
+      expect(billing.items.map((l) => l.id)).toEqual(
+        expect.arrayContaining(["log_a", "log_b"]),
+      );
+      expect(billing.total).toBe(["log_a", "log_b"].length);
+
+      const priority = await logRepository.findLogsCursor({ tag: "priority" });
+      expect(priority.items.map((l) => l.id)).toEqual(["log_a"]);
+      expect(priority.items[0].tags).toEqual(["billing", "priority"]);
+    });
+
+    it("should filter by delivery status", async () => {
+      const targetUrl = "https://staging.example.com/hooks";
+      await deliveryRepository.insertDelivery({
+        logId: "log_a",
+        kind: DELIVERY_KINDS.FORWARD,
+        targetUrl,
+        status: DELIVERY_STATUSES.FAILED,
+      });
+      await deliveryRepository.insertDelivery({
+        logId: "log_a",
+        kind: DELIVERY_KINDS.REPLAY,
+        targetUrl,
+        status: DELIVERY_STATUSES.DELIVERED,
+      });
+      await deliveryRepository.insertDelivery({
+        logId: "log_b",
+        kind: DELIVERY_KINDS.FORWARD,
+        targetUrl,
+        status: DELIVERY_STATUSES.FAILED,
+      });
+
+      const delivered = await logRepository.findLogs({
+        deliveryStatus: DELIVERY_STATUSES.DELIVERED,
+      });
+      expect(delivered.items.map((l) => l.id)).toEqual(["log_a"]);
+
+      const failed = await logRepository.findLogsCursor({
+        deliveryStatus: DELIVERY_STATUSES.FAILED,
+      });
+      expect(failed.items.map((l) => l.id)).toEqual(["log_b", "log_a"]);
+    });
+
     it("should filter by signature error", async () => {
       const result = await logRepository.findLogs({
         signatureError: "invalid",
@@ -711,6 +831,71 @@ describe("LogRepository", () => {
     });
   });
 
+  describe("Exports", () => {
+    const EXPORT_TIMESTAMP = "2026-01-10T08:30:15.250Z";
+
+    it("should stream every matching log in sort order with ISO timestamps", async () => {
+      await logRepository.batchInsertLogs([
+        mockLog({ id: "export_1", timestamp: EXPORT_TIMESTAMP }),
+        mockLog({ id: "export_2", statusCode: HTTP_STATUS.NOT_FOUND }),
+        mockLog({ id: "export_3", size: 1 }),
+      ]);
+
+      /** @type {LogEntry[]} */
+      const entries = [];
+      for await (const entry of logRepository.streamLogs({
+        statusCode: HTTP_STATUS.OK,
+        sort: [{ field: "id", dir: SORT_DIRECTIONS.ASC }],
+        limit: 10,
+      })) {
+        entries.push(entry);
+      }
+
+      expect(entries.map((entry) => entry.id)).toEqual([
+        "export_1",
+        "export_3",
+      ]);
+      expect(entries[0]).toMatchObject({
+        timestamp: EXPORT_TIMESTAMP,
+        body: { data: "hello" },
+        headers: { [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON },
+      });
+    });
+
+    it("should have DuckDB COPY the filtered logs to the requested file", async () => {
+      const mockedRepository = await importRepositoryWithMockedDbResponses([
+        [],
+        [],
+      ]);
+
+      await mockedRepository.exportLogsToFile(
+        { webhookId: "wh_export", limit: 5 },
+        "csv",
+        "/exports/o'export.csv",
+      );
+      await mockedRepository.exportLogsToFile(
+        { limit: 5 },
+        "parquet",
+        "/exports/export.parquet",
+      );
+
+      const [[csvSql, csvParams], [parquetSql]] = jest.mocked(
+        duckDbMock.executeQuery,
+      ).mock.calls;
+      expect(csvSql).toMatch(
+        /^COPY \(SELECT \* REPLACE \(strftime\(timestamp, .+\) AS timestamp\) FROM logs WHERE .*webhookId = \$webhookId.* LIMIT \$limit OFFSET \$offset\) TO '\/exports\/o''export\.csv' \(FORMAT CSV, HEADER\)$/,
+      );
+      expect(csvParams).toEqual({
+        webhookId: "wh_export",
+        limit: 5,
+        offset: 0,
+      });
+      expect(parquetSql).toMatch(
+        /^COPY \(SELECT \* FROM logs .+\) TO '\/exports\/export\.parquet' \(FORMAT PARQUET\)$/,
+      );
+    });
+  });
+
   describe("Log Mapping Branches (#mapRowToEntry)", () => {
     it("should hit integer signatureValid branch and handle NULL as empty objects", async () => {
       await logRepository.insertLog(
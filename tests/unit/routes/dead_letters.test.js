@@ -0,0 +1,134 @@
+/**
+ * @file tests/unit/routes/dead_letters.test.js
+ * @description Unit tests for the forwarding dead-letter route handlers.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  assertType,
+  createMockRequest,
+  createMockResponse,
+  createMockNextFunction,
+} from "../../setup/helpers/test-utils.js";
+import {
+  createDeadLettersHandler,
+  createDeadLetterRedriveHandler,
+} from "../../../src/routes/dead_letters.js";
+import { HTTP_STATUS } from "../../../src/consts/http.js";
+import { OUTBOX_STATUSES } from "../../../src/consts/app.js";
+import { PAGINATION_CONSTS } from "../../../src/consts/database.js";
+import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+/**
+ * @typedef {import("../../../src/services/ForwardOutbox.js").ForwardOutbox} ForwardOutbox
+ */
+
+const ENTRY_ID = "obx_test_1";
+const WEBHOOK_ID = "wh_test_1";
+const PAGE_LIMIT = 5;
+
+const deadLetter = {
+  id: ENTRY_ID,
+  logId: "log_1",
+  webhookId: WEBHOOK_ID,
+  targetUrl: "https://target.example.com/hooks",
+  headers: {},
+  bodySize: 2,
+  status: OUTBOX_STATUSES.DEAD,
+  attempts: 3,
+  createdAt: "2024-01-01T00:00:00.000Z",
+  nextAttemptAt: "2024-01-01T00:10:00.000Z",
+  deadAt: "2024-01-01T00:10:00.000Z",
+  deadReason: "max_attempts",
+};
+
+describe("Dead Letter Routes", () => {
+  /** @type {jest.Mocked<ForwardOutbox>} */
+  let outbox;
+
+  beforeEach(() => {
+    outbox = assertType({
+      listDeadLetters: jest.fn(() => ({ total: 1, items: [deadLetter] })),
+      redrive: jest.fn(async (/** @type {string} */ id) =>
+        id === ENTRY_ID
+          ? { ...deadLetter, status: OUTBOX_STATUSES.PENDING, attempts: 0 }
+          : undefined,
+      ),
+    });
+  });
+
+  describe("GET /forwarding/dead-letters", () => {
+    it("should list dead letters with the webhook filter and pagination", async () => {
+      const res = createMockResponse();
+
+      await createDeadLettersHandler(outbox)(
+        createMockRequest({
+          query: { webhookId: WEBHOOK_ID, limit: String(PAGE_LIMIT) },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(outbox.listDeadLetters).toHaveBeenCalledWith({
+        webhookId: WEBHOOK_ID,
+        limit: PAGE_LIMIT,
+        offset: 0,
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        total: 1,
+        count: 1,
+        limit: PAGE_LIMIT,
+        offset: 0,
+        items: [deadLetter],
+      });
+    });
+
+    it("should clamp invalid pagination values", async () => {
+      await createDeadLettersHandler(outbox)(
+        createMockRequest({ query: { limit: "nope", offset: "-3" } }),
+        createMockResponse(),
+        createMockNextFunction(),
+      );
+
+      expect(outbox.listDeadLetters).toHaveBeenCalledWith({
+        webhookId: undefined,
+        limit: PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+        offset: 0,
+      });
+    });
+  });
+
+  describe("POST /forwarding/dead-letters/:id/redrive", () => {
+    it("should redrive the entry and return 202", async () => {
+      const res = createMockResponse();
+
+      await createDeadLetterRedriveHandler(outbox)(
+        createMockRequest({ params: { id: ENTRY_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(outbox.redrive).toHaveBeenCalledWith(ENTRY_ID);
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ status: OUTBOX_STATUSES.PENDING }),
+      );
+    });
+
+    it("should return 404 for an unknown dead letter", async () => {
+      const res = createMockResponse();
+
+      await createDeadLetterRedriveHandler(outbox)(
+        createMockRequest({ params: { id: "obx_missing" } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.DEAD_LETTER_NOT_FOUND,
+        id: "obx_missing",
+      });
+    });
+  });
+});
@@ -12,6 +12,7 @@ import {
 import { createInfoHandler } from "../../../src/routes/info.js";
 import { APP_CONSTS } from "../../../src/consts/app.js";
 import { DASHBOARD_CONSTS, UNIT_LABELS } from "../../../src/consts/ui.js";
+import { LOG_CONSTS } from "../../../src/consts/logging.js";
 import { assertType } from "../../setup/helpers/test-utils.js";
 
 /**
@@ -82,6 +83,8 @@ describe("Info Route", () => {
         logPayload: DASHBOARD_CONSTS.ENDPOINTS.LOG_PAYLOAD,
         stream: DASHBOARD_CONSTS.ENDPOINTS.STREAM,
         webhook: DASHBOARD_CONSTS.ENDPOINTS.WEBHOOK,
+        webhooks: DASHBOARD_CONSTS.ENDPOINTS.WEBHOOKS,
+        mockRules: DASHBOARD_CONSTS.ENDPOINTS.MOCK_RULES,
         replay: DASHBOARD_CONSTS.ENDPOINTS.REPLAY,
         info: DASHBOARD_CONSTS.ENDPOINTS.INFO,
         systemMetrics: DASHBOARD_CONSTS.ENDPOINTS.SYSTEM_METRICS,
@@ -126,4 +129,41 @@ describe("Info Route", () => {
       }),
     );
   });
+
+  it("should mask per-webhook secrets in the active webhook list", () => {
+    const webhookData = [
+      {
+        id: "wh-1",
+        expiresAt: "2030-01-01T00:00:00.000Z",
+        signatureVerification: { provider: "github", secret: "verify-secret" },
+        forwardSigning: { provider: "github", secret: "signing-secret" },
+        forwardDestinations: [
+          {
+            id: "primary",
+            url: "https://target.example.com/hooks",
+            setHeaders: { authorization: "Bearer target-token" },
+          },
+        ],
+      },
+    ];
+    /** @type {WebhookManager} */
+    const mockWebhookManager = assertType({
+      getAllActive: jest.fn().mockReturnValue(webhookData),
+    });
+
+    createInfoHandler({
+      webhookManager: mockWebhookManager,
+      getAuthKey: () => "",
+      getRetentionHours: () => 1,
+      getMaxPayloadSize: () => undefined,
+      version: "3.1.3",
+    })(mockReq, mockRes, mockNext);
+
+    const [[body]] = jest.mocked(mockRes.json).mock.calls;
+    const serialized = JSON.stringify(body);
+    expect(serialized).not.toMatch(/verify-secret|signing-secret|target-token/);
+    expect(body.system.activeWebhooks[0].forwardSigning.secret).toBe(
+      LOG_CONSTS.MASKED_VALUE,
+    );
+  });
 });
@@ -4,6 +4,8 @@
  */
 
 import { jest } from "@jest/globals";
+import { existsSync } from "node:fs";
+import { writeFile } from "node:fs/promises";
 import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
 import {
   assertType,
@@ -20,7 +22,14 @@ import {
 import { ERROR_LABELS, ERROR_MESSAGES } from "../../../src/consts/errors.js";
 import { STORAGE_CONSTS } from "../../../src/consts/storage.js";
 import { PAGINATION_CONSTS } from "../../../src/consts/database.js";
-import { APP_ROUTES, SORT_DIRECTIONS } from "../../../src/consts/app.js";
+import {
+  APP_ROUTES,
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
+  LOG_EXPORT_CONSTS,
+  LOG_EXPORT_FORMATS,
+  SORT_DIRECTIONS,
+} from "../../../src/consts/app.js";
 
 /**
  * @typedef {import('express').Request} Request
@@ -38,14 +47,20 @@ await setupCommonMocks({
 const {
   apifyMock: mockApifyActor,
   logRepositoryMock: mockLogRepo,
+  deliveryRepositoryMock: mockDeliveryRepo,
   webhookManagerMock: mockWebhookManager,
   createKeyValueStoreMock,
 } = await import("../../setup/helpers/shared-mocks.js");
 
 await jest.resetModules();
 
-const { createLogsHandler, createLogDetailHandler, createLogPayloadHandler } =
-  await import("../../../src/routes/logs.js");
+const {
+  createLogsHandler,
+  createLogExportHandler,
+  createLogDetailHandler,
+  createLogPayloadHandler,
+  createLogDeliveriesHandler,
+} = await import("../../../src/routes/logs.js");
 
 const MOCK_WH_ID = "wh-1";
 const EXAMPLE_HOST = "example.com";
@@ -386,6 +401,8 @@ describe("Logs Routes", () => {
         userAgent: "mockAgent",
         signatureProvider: "mockProvider",
         signatureError: "none",
+        deliveryStatus: DELIVERY_STATUSES.FAILED,
+        tag: "billing",
         limit: "2",
         offset: "10",
         sort: "invalid:",
@@ -410,6 +427,8 @@ describe("Logs Routes", () => {
           userAgent: "mockAgent",
           signatureProvider: "mockProvider",
           signatureError: "none",
+          deliveryStatus: DELIVERY_STATUSES.FAILED,
+          tag: "billing",
           limit: 2,
           offset: 10,
         }),
@@ -467,6 +486,186 @@ describe("Logs Routes", () => {
     });
   });
 
+  describe("createLogExportHandler", () => {
+    /**
+     * @param {any[]} items
+     * @param {Error} [failure] - Thrown after the items
+     */
+    async function* toRows(items, failure) {
+      yield* items;
+      if (failure) throw failure;
+    }
+
+    /** @returns {string} Everything written to the response */
+    const written = () =>
+      [
+        ...jest.mocked(mockRes.write).mock.calls.map(([chunk]) => chunk),
+        jest.mocked(mockRes.end).mock.calls[0]?.[0] ?? "",
+      ].join("");
+
+    const exportLogs = () =>
+      createLogExportHandler(mockWebhookManager, {
+        logRepo: mockLogRepo,
+        version: "1.0.0",
+      })(mockReq, mockRes, mockNext);
+
+    beforeEach(() => {
+      mockRes.write = assertType(jest.fn(() => true));
+      mockRes.destroy = assertType(jest.fn());
+    });
+
+    it("should stream NDJSON by default and hydrate offloaded bodies", async () => {
+      mockLogRepo.streamLogs.mockReturnValue(
+        toRows([
+          {
+            id: "1",
+            webhookId: MOCK_WH_ID,
+            body: { data: STORAGE_CONSTS.OFFLOAD_MARKER_SYNC, key: "kvs-1" },
+          },
+          { id: "2", webhookId: MOCK_WH_ID, body: { inline: true } },
+        ]),
+      );
+      mockApifyActor.getValue.mockResolvedValueOnce({ full: true });
+
+      await exportLogs();
+
+      expect(mockLogRepo.streamLogs).toHaveBeenCalledWith(
+        expect.objectContaining({
+          webhookId: undefined,
+          limit: LOG_EXPORT_CONSTS.MAX_ROWS,
+        }),
+      );
+      expect(mockApifyActor.getValue).toHaveBeenCalledWith("kvs-1");
+      expect(
+        written()
+          .trim()
+          .split("\n")
+          .map((line) => JSON.parse(line).body),
+      ).toEqual([{ full: true }, { inline: true }]);
+      expect(mockRes.setHeader).toHaveBeenCalledWith(
+        HTTP_HEADERS.CONTENT_TYPE,
+        MIME_TYPES.NDJSON,
+      );
+      expect(mockRes.setHeader).toHaveBeenCalledWith(
+        HTTP_HEADERS.CONTENT_DISPOSITION,
+        expect.stringMatching(
+          /^attachment; filename="webhook-logs-.+\.ndjson"$/,
+        ),
+      );
+    });
+
+    it("should stream a HAR document with absolute request URLs", async () => {
+      mockReq.query = { format: "HAR", limit: "5", webhookId: MOCK_WH_ID };
+      mockLogRepo.streamLogs.mockReturnValue(
+        toRows([
+          {
+            id: "1",
+            webhookId: MOCK_WH_ID,
+            method: HTTP_METHODS.POST,
+            requestUrl: `/webhook/${MOCK_WH_ID}?attempt=1`,
+            statusCode: HTTP_STATUS.OK,
+            timestamp: "2026-01-01T00:00:00.000Z",
+            body: { ok: true },
+          },
+        ]),
+      );
+
+      await exportLogs();
+
+      expect(mockLogRepo.streamLogs).toHaveBeenCalledWith(
+        expect.objectContaining({ webhookId: MOCK_WH_ID, limit: 5 }),
+      );
+      const { log } = JSON.parse(written());
+      expect(log.creator).toEqual({
+        name: LOG_EXPORT_CONSTS.HAR_CREATOR,
+        version: "1.0.0",
+      });
+      expect(log.entries).toHaveLength(1);
+      expect(log.entries[0]).toMatchObject({
+        _logId: "1",
+        request: {
+          url: `https://${EXAMPLE_HOST}/webhook/${MOCK_WH_ID}?attempt=1`,
+          postData: { text: JSON.stringify({ ok: true }) },
+        },
+        response: { status: HTTP_STATUS.OK, statusText: "OK" },
+      });
+    });
+
+    it("should stream CSV and Parquet files written by DuckDB, then delete them", async () => {
+      /** @type {string[]} */
+      const files = [];
+      mockLogRepo.exportLogsToFile.mockImplementation(
+        async (_filters, format, filePath) => {
+          files.push(filePath);
+          await writeFile(filePath, `${format}-data`);
+        },
+      );
+
+      for (const format of [
+        LOG_EXPORT_FORMATS.CSV,
+        LOG_EXPORT_FORMATS.PARQUET,
+      ]) {
+        jest.mocked(mockRes.write).mockClear();
+        mockReq.query = { format };
+        await exportLogs();
+        expect(written()).toBe(`${format}-data`);
+      }
+
+      expect(mockRes.setHeader).toHaveBeenCalledWith(
+        HTTP_HEADERS.CONTENT_TYPE,
+        MIME_TYPES.PARQUET,
+      );
+      expect(files.some((file) => existsSync(file))).toBe(false);
+    });
+
+    it("should reject unknown formats", async () => {
+      mockReq.query = { format: "xml" };
+
+      await exportLogs();
+
+      expect(mockRes.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: ERROR_LABELS.BAD_REQUEST,
+        message: ERROR_MESSAGES.INVALID_LOG_EXPORT_FORMAT(
+          Object.values(LOG_EXPORT_FORMATS),
+        ),
+      });
+      expect(mockLogRepo.streamLogs).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the export query fails before streaming", async () => {
+      mockLogRepo.streamLogs.mockReturnValue(
+        toRows([], new Error("DB locked")),
+      );
+
+      await exportLogs();
+
+      expect(mockRes.setHeader).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: ERROR_LABELS.LOGS_FAILED,
+        message: ERROR_MESSAGES.LOG_EXPORT_FAILED,
+      });
+    });
+
+    it("should abort the response when the export fails mid-stream", async () => {
+      mockLogRepo.streamLogs.mockReturnValue(
+        toRows([{ id: "1" }], new Error("DB locked")),
+      );
+      jest.mocked(mockRes.write).mockImplementation(() => {
+        mockRes.headersSent = true;
+        return true;
+      });
+
+      await exportLogs();
+
+      expect(mockRes.destroy).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+  });
+
   describe("createLogDetailHandler", () => {
     it("should retrieve a log by id missing fields fetching everything internally", async () => {
       mockReq.params = { logId: "log-1" };
@@ -740,4 +939,100 @@ describe("Logs Routes", () => {
       });
     });
   });
+
+  describe("createLogDeliveriesHandler", () => {
+    /** @type {RequestHandler} */
+    let handler;
+    const MOCK_LOG_ID = "log-1";
+
+    beforeEach(() => {
+      handler = createLogDeliveriesHandler(mockWebhookManager);
+      mockReq.params = { logId: MOCK_LOG_ID };
+    });
+
+    it("should list the deliveries of a log", async () => {
+      const deliveries = [
+        {
+          id: "dlv-1",
+          logId: MOCK_LOG_ID,
+          kind: DELIVERY_KINDS.FORWARD,
+          targetUrl: "https://staging.example.com",
+          status: DELIVERY_STATUSES.DELIVERED,
+          statusCode: HTTP_STATUS.OK,
+          attempts: 1,
+        },
+      ];
+      jest
+        .mocked(mockLogRepo.getLogById)
+        .mockResolvedValueOnce(
+          assertType({ id: MOCK_LOG_ID, webhookId: MOCK_WH_ID }),
+        );
+      jest.mocked(mockWebhookManager.isValid).mockReturnValueOnce(true);
+      jest
+        .mocked(mockDeliveryRepo.findDeliveriesByLogId)
+        .mockResolvedValueOnce(deliveries);
+
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockLogRepo.getLogById).toHaveBeenCalledWith(MOCK_LOG_ID, [
+        "id",
+        "webhookId",
+      ]);
+      expect(mockDeliveryRepo.findDeliveriesByLogId).toHaveBeenCalledWith(
+        MOCK_LOG_ID,
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        logId: MOCK_LOG_ID,
+        count: 1,
+        items: deliveries,
+      });
+    });
+
+    it("should return 404 for unknown logs and logs of inactive webhooks", async () => {
+      jest.mocked(mockLogRepo.getLogById).mockResolvedValueOnce(null);
+      await handler(mockReq, mockRes, mockNext);
+
+      jest
+        .mocked(mockLogRepo.getLogById)
+        .mockResolvedValueOnce(
+          assertType({ id: MOCK_LOG_ID, webhookId: "expired-wh" }),
+        );
+      jest.mocked(mockWebhookManager.isValid).mockReturnValueOnce(false);
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(jest.mocked(mockRes.status).mock.calls).toEqual([
+        [HTTP_STATUS.NOT_FOUND],
+        [HTTP_STATUS.NOT_FOUND],
+      ]);
+      expect(mockDeliveryRepo.findDeliveriesByLogId).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when deliveries cannot be read", async () => {
+      const deliveryRepo = assertType({
+        findDeliveriesByLogId: jest.fn(async () => {
+          throw new Error("DB locked");
+        }),
+      });
+      jest
+        .mocked(mockLogRepo.getLogById)
+        .mockResolvedValueOnce(
+          assertType({ id: MOCK_LOG_ID, webhookId: MOCK_WH_ID }),
+        );
+      jest.mocked(mockWebhookManager.isValid).mockReturnValueOnce(true);
+
+      await createLogDeliveriesHandler(mockWebhookManager, { deliveryRepo })(
+        mockReq,
+        mockRes,
+        mockNext,
+      );
+
+      expect(mockRes.status).toHaveBeenCalledWith(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.DELIVERIES_FETCH_FAILED,
+        message: ERROR_LABELS.INTERNAL_SERVER_ERROR,
+      });
+    });
+  });
 });
@@ -0,0 +1,354 @@
+/**
+ * @file tests/unit/routes/mock_rules.test.js
+ * @description Unit tests for the mock rule management route handlers.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  assertType,
+  createMockRequest,
+  createMockResponse,
+  createMockNextFunction,
+} from "../../setup/helpers/test-utils.js";
+import {
+  createMockRulesListHandler,
+  createMockRuleCreateHandler,
+  createMockRuleUpdateHandler,
+  createMockRuleDeleteHandler,
+  createMockRulesReorderHandler,
+  createMockRuleSimulateHandler,
+} from "../../../src/routes/mock_rules.js";
+import { HTTP_STATUS, HTTP_METHODS } from "../../../src/consts/http.js";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { ERROR_LABELS, ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+/**
+ * @typedef {import("../../../src/services/MockRuleService.js").MockRuleService} MockRuleService
+ */
+
+const RULE_ID = "rule_test_1";
+const WEBHOOK_ID = "wh_test_1";
+const NEW_PRIORITY = 5;
+
+const storedRule = {
+  id: RULE_ID,
+  priority: 0,
+  enabled: true,
+  match: { method: [HTTP_METHODS.POST] },
+  response: {
+    status: HTTP_STATUS.CREATED,
+    body: { id: "{{request.body.id}}" },
+  },
+  createdAt: "2024-01-01T00:00:00.000Z",
+  updatedAt: "2024-01-01T00:00:00.000Z",
+  hits: 0,
+  lastHitAt: null,
+};
+
+/**
+ * @param {unknown} body
+ * @returns {Buffer}
+ */
+const toBuffer = (body) => Buffer.from(JSON.stringify(body));
+
+describe("Mock Rule Routes", () => {
+  /** @type {jest.Mocked<MockRuleService>} */
+  let service;
+
+  beforeEach(() => {
+    service = assertType({
+      listRules: jest.fn(() => [storedRule]),
+      getRule: jest.fn(() => storedRule),
+      createRule: jest.fn(async (/** @type {Object} */ rule) => ({
+        ...storedRule,
+        ...rule,
+      })),
+      updateRule: jest.fn(
+        async (/** @type {string} */ _id, /** @type {Object} */ rule) => ({
+          ...storedRule,
+          ...rule,
+        }),
+      ),
+      deleteRule: jest.fn(async () => true),
+      reorderRules: jest.fn(async () => [storedRule]),
+      findMatch: jest.fn(() => storedRule),
+      recordHit: jest.fn(),
+    });
+  });
+
+  describe("GET /mock-rules", () => {
+    it("should list rules filtered by webhookId", async () => {
+      const res = createMockResponse();
+
+      await createMockRulesListHandler(service)(
+        createMockRequest({ query: { webhookId: WEBHOOK_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.listRules).toHaveBeenCalledWith({ webhookId: WEBHOOK_ID });
+      expect(res.json).toHaveBeenCalledWith({ count: 1, rules: [storedRule] });
+    });
+  });
+
+  describe("POST /mock-rules", () => {
+    it("should validate and create a rule", async () => {
+      const res = createMockResponse();
+      const req = createMockRequest({
+        body: toBuffer({ match: { method: "put" }, response: {} }),
+      });
+
+      await createMockRuleCreateHandler(service)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.createRule).toHaveBeenCalledWith(
+        expect.objectContaining({
+          match: { method: [HTTP_METHODS.PUT] },
+          response: { status: HTTP_STATUS.OK },
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+    });
+
+    it("should return 400 with all validation errors", async () => {
+      const res = createMockResponse();
+
+      await createMockRuleCreateHandler(service)(
+        createMockRequest({ body: toBuffer({ priority: "x", response: {} }) }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.INVALID_MOCK_RULE,
+        errors: [
+          ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD("priority", "an integer"),
+        ],
+      });
+      expect(service.createRule).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for malformed JSON", async () => {
+      const res = createMockResponse();
+
+      await createMockRuleCreateHandler(service)(
+        createMockRequest({ body: Buffer.from("{nope") }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_LABELS.BAD_REQUEST,
+        message: ERROR_MESSAGES.INVALID_JSON_BODY,
+      });
+    });
+
+    it("should return 409 when the rule limit is reached", async () => {
+      const limitMessage = ERROR_MESSAGES.MOCK_RULE_LIMIT_REACHED(
+        APP_CONSTS.MAX_MOCK_RULES,
+      );
+      service.createRule.mockRejectedValue(new Error(limitMessage));
+      const res = createMockResponse();
+
+      await createMockRuleCreateHandler(service)(
+        createMockRequest({ body: toBuffer({ response: {} }) }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.MOCK_RULE_CREATION_FAILED,
+        message: limitMessage,
+      });
+    });
+  });
+
+  describe("PUT/PATCH /mock-rules/:ruleId", () => {
+    it("should merge a partial update into the stored rule", async () => {
+      const res = createMockResponse();
+
+      await createMockRuleUpdateHandler(service)(
+        createMockRequest({
+          params: { ruleId: RULE_ID },
+          body: toBuffer({ enabled: false }),
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.updateRule).toHaveBeenCalledWith(
+        RULE_ID,
+        expect.objectContaining({
+          enabled: false,
+          match: storedRule.match,
+          response: storedRule.response,
+        }),
+      );
+      expect(res.json).toHaveBeenCalled();
+    });
+
+    it("should validate a replacement on its own", async () => {
+      const res = createMockResponse();
+
+      await createMockRuleUpdateHandler(service, { replace: true })(
+        createMockRequest({
+          params: { ruleId: RULE_ID },
+          body: toBuffer({ enabled: false }),
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(service.updateRule).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown rule", async () => {
+      service.getRule.mockReturnValue(undefined);
+      const res = createMockResponse();
+
+      await createMockRuleUpdateHandler(service)(
+        createMockRequest({ params: { ruleId: RULE_ID }, body: toBuffer({}) }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.MOCK_RULE_NOT_FOUND,
+        id: RULE_ID,
+      });
+    });
+  });
+
+  describe("DELETE /mock-rules/:ruleId", () => {
+    it("should return 204 when deleted and 404 otherwise", async () => {
+      const res = createMockResponse();
+      const handler = createMockRuleDeleteHandler(service);
+      const req = createMockRequest({ params: { ruleId: RULE_ID } });
+
+      await handler(req, res, createMockNextFunction());
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NO_CONTENT);
+
+      service.deleteRule.mockResolvedValue(false);
+      await handler(req, res, createMockNextFunction());
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+  });
+
+  describe("POST /mock-rules/reorder", () => {
+    it("should apply a JSON array of priorities", async () => {
+      const entries = [{ id: RULE_ID, priority: NEW_PRIORITY }];
+      const res = createMockResponse();
+
+      await createMockRulesReorderHandler(service)(
+        createMockRequest({ body: toBuffer(entries) }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.reorderRules).toHaveBeenCalledWith(entries);
+      expect(res.json).toHaveBeenCalledWith({ count: 1, rules: [storedRule] });
+    });
+
+    it.each([
+      ["an object body", { id: RULE_ID, priority: NEW_PRIORITY }],
+      ["a non-integer priority", [{ id: RULE_ID, priority: "high" }]],
+    ])("should reject %s", async (_label, body) => {
+      const res = createMockResponse();
+
+      await createMockRulesReorderHandler(service)(
+        createMockRequest({ body: toBuffer(body) }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_LABELS.BAD_REQUEST,
+        message: ERROR_MESSAGES.INVALID_MOCK_RULE_ORDER,
+      });
+    });
+
+    it("should return 404 for unknown rule IDs", async () => {
+      const message = ERROR_MESSAGES.UNKNOWN_MOCK_RULE_IDS(["rule_missing"]);
+      service.reorderRules.mockRejectedValue(new Error(message));
+      const res = createMockResponse();
+
+      await createMockRulesReorderHandler(service)(
+        createMockRequest({
+          body: toBuffer([{ id: "rule_missing", priority: 1 }]),
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.MOCK_RULE_NOT_FOUND,
+        message,
+      });
+    });
+  });
+
+  describe("POST /mock-rules/simulate", () => {
+    it("should report the matching rule and its generated response", async () => {
+      const res = createMockResponse();
+
+      await createMockRuleSimulateHandler(service)(
+        createMockRequest({
+          body: toBuffer({
+            webhookId: WEBHOOK_ID,
+            headers: { "X-Event": "a" },
+            body: { id: "evt_1" },
+          }),
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.findMatch).toHaveBeenCalledWith({
+        webhookId: WEBHOOK_ID,
+        method: HTTP_METHODS.POST,
+        path: `/webhook/${WEBHOOK_ID}`,
+        headers: { "x-event": "a" },
+        query: {},
+        body: { id: "evt_1" },
+      });
+      expect(service.recordHit).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        matched: true,
+        ruleId: RULE_ID,
+        generatedResponse: {
+          status: HTTP_STATUS.CREATED,
+          headers: {},
+          body: { id: "evt_1" },
+          delay: 0,
+        },
+      });
+    });
+
+    it("should report no match", async () => {
+      service.findMatch.mockReturnValue(undefined);
+      const res = createMockResponse();
+
+      await createMockRuleSimulateHandler(service)(
+        createMockRequest({ body: toBuffer({}) }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.json).toHaveBeenCalledWith({
+        matched: false,
+        ruleId: null,
+        generatedResponse: null,
+      });
+    });
+  });
+});
@@ -19,12 +19,18 @@ import {
 } from "../../../src/consts/http.js";
 import { ERROR_LABELS, ERROR_MESSAGES } from "../../../src/consts/errors.js";
 import {
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
   FORWARDING_CONSTS,
+  REPLAY_CAPTURE_CONSTS,
   REPLAY_STATUS_LABELS,
 } from "../../../src/consts/app.js";
 import { STORAGE_CONSTS } from "../../../src/consts/storage.js";
 import { LOG_CONSTS } from "../../../src/consts/logging.js";
-import { SSRF_ERRORS } from "../../../src/consts/security.js";
+import {
+  SIGNATURE_PROVIDERS,
+  SSRF_ERRORS,
+} from "../../../src/consts/security.js";
 
 /**
  * @typedef {import('express').Request} Request
@@ -146,6 +152,7 @@ describe("Replay Routes", () => {
       );
       expect(mockRes.json).toHaveBeenCalledWith({
         status: REPLAY_STATUS_LABELS.REPLAYED,
+        replayId: expect.any(String),
         targetUrl: MOCK_TARGET_URL,
         targetResponseCode: HTTP_STATUS.OK,
         targetResponseBody: HTTP_STATUS_MESSAGES[HTTP_STATUS.OK],
@@ -153,6 +160,138 @@ describe("Replay Routes", () => {
       });
     });
 
+    it("should re-sign replays with the webhook's forward signing config", async () => {
+      const forwardSigning = {
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        secret: "forward-secret",
+      };
+      const getForwardSigning = jest.fn(() => forwardSigning);
+
+      await createReplayHandler(undefined, undefined, getForwardSigning)(
+        mockReq,
+        mockRes,
+        mockNext,
+      );
+
+      expect(getForwardSigning).toHaveBeenCalledWith(MOCK_WEBHOOK_ID);
+      expect(mockForwardingService.sendSafeRequest).toHaveBeenCalledWith(
+        MOCK_TARGET_URL,
+        HTTP_METHODS.POST,
+        MOCK_BODY,
+        expect.any(Object),
+        expect.objectContaining({
+          signing: forwardSigning,
+          messageId: MOCK_LOG_ID,
+        }),
+        expect.any(AbortSignal),
+      );
+    });
+
+    it("should record each replay outcome as a delivery of the log", async () => {
+      const retriedAttempts = 2;
+      mockForwardingService.sendSafeRequest.mockImplementationOnce(
+        async (_url, _method, _body, _headers, options) => {
+          options.onAttempt?.(1);
+          options.onAttempt?.(retriedAttempts);
+          return assertType({ status: HTTP_STATUS.OK });
+        },
+      );
+
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockForwardingService.recordDelivery).toHaveBeenCalledWith({
+        id: expect.any(String),
+        logId: MOCK_LOG_ID,
+        webhookId: MOCK_WEBHOOK_ID,
+        kind: DELIVERY_KINDS.REPLAY,
+        targetUrl: MOCK_TARGET_URL,
+        status: DELIVERY_STATUSES.DELIVERED,
+        statusCode: HTTP_STATUS.OK,
+        attempts: retriedAttempts,
+        durationMs: expect.any(Number),
+      });
+
+      mockForwardingService.sendSafeRequest.mockRejectedValueOnce(
+        Object.assign(new Error("Bad Request"), {
+          response: { status: HTTP_STATUS.BAD_REQUEST },
+        }),
+      );
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockForwardingService.recordDelivery).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          status: DELIVERY_STATUSES.FAILED,
+          statusCode: HTTP_STATUS.BAD_REQUEST,
+        }),
+      );
+    });
+
+    it("should record network failures as failed deliveries before responding", async () => {
+      const refusedCode = "ECONNREFUSED";
+      mockForwardingService.sendSafeRequest.mockRejectedValueOnce(
+        Object.assign(new Error("connect failed"), { code: refusedCode }),
+      );
+
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockForwardingService.recordDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: DELIVERY_KINDS.REPLAY,
+          status: DELIVERY_STATUSES.FAILED,
+          error: refusedCode,
+        }),
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      );
+      expect(mockForwardingService.recordReplayCapture).toHaveBeenCalledWith(
+        expect.objectContaining({
+          statusCode: null,
+          responseBody: null,
+          error: refusedCode,
+        }),
+      );
+    });
+
+    it("should store the sent request and received response under the replay ID", async () => {
+      const largeBody = "x".repeat(REPLAY_CAPTURE_CONSTS.MAX_BODY_BYTES + 1);
+      mockForwardingService.sendSafeRequest.mockResolvedValueOnce(
+        assertType({
+          status: HTTP_STATUS.CREATED,
+          headers: { [HTTP_HEADERS.CONTENT_TYPE]: "text/plain" },
+          data: largeBody,
+        }),
+      );
+
+      await handler(mockReq, mockRes, mockNext);
+
+      const { replayId } = /** @type {{ replayId: string }} */ (
+        jest.mocked(mockRes.json).mock.calls[0][0]
+      );
+      expect(mockForwardingService.recordDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({ id: replayId }),
+      );
+      expect(mockForwardingService.recordReplayCapture).toHaveBeenCalledWith({
+        id: replayId,
+        logId: MOCK_LOG_ID,
+        webhookId: MOCK_WEBHOOK_ID,
+        targetUrl: MOCK_TARGET_URL,
+        method: HTTP_METHODS.POST,
+        requestHeaders: expect.objectContaining({
+          [HTTP_HEADERS.USER_AGENT]: MOCK_USER_AGENT,
+          [HTTP_HEADERS.APIFY_REPLAY]: "true",
+        }),
+        requestBody: MOCK_BODY,
+        requestBodyTruncated: false,
+        statusCode: HTTP_STATUS.CREATED,
+        responseHeaders: { [HTTP_HEADERS.CONTENT_TYPE]: "text/plain" },
+        responseBody: null,
+        responseBodyTruncated: true,
+        durationMs: expect.any(Number),
+        error: null,
+      });
+    });
+
     it("should unwrap array URLs selecting the first entry natively", async () => {
       mockReq.query.url = [MOCK_TARGET_URL, "https://ignored.com"];
 
@@ -452,6 +591,7 @@ describe("Replay Routes", () => {
 
       expect(mockRes.json).toHaveBeenCalledWith({
         status: REPLAY_STATUS_LABELS.REPLAYED,
+        replayId: expect.any(String),
         targetUrl: MOCK_TARGET_URL,
         targetResponseCode: HTTP_STATUS.BAD_REQUEST,
         targetResponseBody: errorData,
@@ -543,4 +683,154 @@ describe("Replay Routes", () => {
       );
     });
   });
+
+  describe("request mutation", () => {
+    const PATCHED_AMOUNT = 0;
+
+    beforeEach(() => {
+      mockLogRepo.getLogById.mockResolvedValue(
+        assertType({
+          id: MOCK_LOG_ID,
+          method: HTTP_METHODS.POST,
+          body: { amount: 100, currency: "usd" },
+          headers: {
+            [HTTP_HEADERS.USER_AGENT]: MOCK_USER_AGENT,
+            [HTTP_HEADERS.CONTENT_TYPE]: "application/json",
+          },
+        }),
+      );
+    });
+
+    it("should apply header changes and a JSON Patch, and record the diff", async () => {
+      mockReq.body = {
+        setHeaders: { "X-Debug": "1", Authorization: "Bearer fresh" },
+        removeHeaders: [HTTP_HEADERS.USER_AGENT],
+        jsonPatch: [
+          { op: "replace", path: "/amount", value: PATCHED_AMOUNT },
+          { op: "add", path: "/retry", value: true },
+        ],
+      };
+
+      await handler(mockReq, mockRes, mockNext);
+
+      const [, , body, headers] = jest.mocked(
+        mockForwardingService.sendSafeRequest,
+      ).mock.calls[0];
+      expect(body).toEqual({
+        amount: PATCHED_AMOUNT,
+        currency: "usd",
+        retry: true,
+      });
+      expect(headers).toEqual(
+        expect.objectContaining({
+          "x-debug": "1",
+          [HTTP_HEADERS.AUTHORIZATION]: "Bearer fresh",
+          [HTTP_HEADERS.CONTENT_TYPE]: "application/json",
+        }),
+      );
+      expect(headers).not.toHaveProperty(HTTP_HEADERS.USER_AGENT);
+
+      const mutation = {
+        headers: [
+          {
+            op: "remove",
+            path: `/${HTTP_HEADERS.USER_AGENT}`,
+            oldValue: MOCK_USER_AGENT,
+          },
+          { op: "add", path: "/x-debug", value: "1" },
+          {
+            op: "add",
+            path: `/${HTTP_HEADERS.AUTHORIZATION}`,
+            value: LOG_CONSTS.MASKED_VALUE,
+          },
+        ],
+        body: [
+          {
+            op: "replace",
+            path: "/amount",
+            value: PATCHED_AMOUNT,
+            oldValue: 100,
+          },
+          { op: "add", path: "/retry", value: true },
+        ],
+      };
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: REPLAY_STATUS_LABELS.REPLAYED,
+          mutation,
+        }),
+      );
+      expect(mockForwardingService.recordDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: DELIVERY_KINDS.REPLAY, mutation }),
+      );
+    });
+
+    it("should apply a merge patch to a JSON string body", async () => {
+      mockLogRepo.getLogById.mockResolvedValue(
+        assertType({
+          id: MOCK_LOG_ID,
+          method: HTTP_METHODS.POST,
+          body: JSON.stringify({ amount: 100, meta: { source: "web" } }),
+          headers: {},
+        }),
+      );
+      mockReq.body = Buffer.from(
+        JSON.stringify({ mergePatch: { meta: { source: null, replay: 1 } } }),
+      );
+
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockForwardingService.sendSafeRequest).toHaveBeenCalledWith(
+        MOCK_TARGET_URL,
+        HTTP_METHODS.POST,
+        { amount: 100, meta: { replay: 1 } },
+        expect.any(Object),
+        expect.any(Object),
+        expect.any(AbortSignal),
+      );
+    });
+
+    it("should reject an invalid mutation before looking up the event", async () => {
+      mockReq.body = {
+        jsonPatch: [{ op: "rename", path: "/amount" }],
+        mergePatch: {},
+        setHeaders: { "x-debug": 1 },
+        extra: true,
+      };
+
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      const { errors } = /** @type {{ errors: string[] }} */ (
+        jest.mocked(mockRes.json).mock.calls[0][0]
+      );
+      expect(errors).toEqual([
+        ERROR_MESSAGES.UNSUPPORTED_REPLAY_MUTATION_FIELD("extra"),
+        expect.stringContaining("setHeaders"),
+        expect.stringContaining("[0]"),
+        ERROR_MESSAGES.REPLAY_MUTATION_PATCH_CONFLICT,
+      ]);
+      expect(mockLogRepo.getLogById).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 without sending when the patch cannot be applied", async () => {
+      mockReq.body = {
+        jsonPatch: [{ op: "test", path: "/currency", value: "eur" }],
+      };
+
+      await handler(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.REPLAY_MUTATION_FAILED,
+        message: ERROR_MESSAGES.INVALID_JSON_PATCH(
+          0,
+          ERROR_MESSAGES.JSON_PATCH_TEST_FAILED,
+        ),
+      });
+      expect(mockForwardingService.sendSafeRequest).not.toHaveBeenCalled();
+    });
+  });
 });
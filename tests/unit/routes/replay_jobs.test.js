@@ -0,0 +1,428 @@
+/**
+ * @file tests/unit/routes/replay_jobs.test.js
+ * @description Unit tests for the bulk replay job route handlers.
+ */
+
+import { jest } from "@jest/globals";
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import {
+  assertType,
+  createMockRequest,
+  createMockResponse,
+  createMockNextFunction,
+} from "../../setup/helpers/test-utils.js";
+
+/**
+ * @typedef {import("../../../src/services/ReplayJobService.js").ReplayJobService} ReplayJobService
+ */
+
+await setupCommonMocks({ ssrf: true });
+
+const { ssrfMock } = await import("../../setup/helpers/shared-mocks.js");
+const {
+  createReplayJobCreateHandler,
+  createReplayJobsListHandler,
+  createReplayJobDetailHandler,
+  createReplayJobActionHandler,
+  createReplayJobEventsHandler,
+} = await import("../../../src/routes/replay_jobs.js");
+const { HTTP_STATUS, HTTP_HEADERS, MIME_TYPES } =
+  await import("../../../src/consts/http.js");
+const {
+  REPLAY_JOB_CONSTS,
+  REPLAY_JOB_EVENT_TYPES,
+  REPLAY_JOB_ITEM_STATUSES,
+  REPLAY_JOB_STATUSES,
+  REPLAY_JOB_TIMINGS,
+  STREAM_EVENTS,
+} = await import("../../../src/consts/app.js");
+const { SSE_CONSTS } = await import("../../../src/consts/ui.js");
+const { ERROR_MESSAGES } = await import("../../../src/consts/errors.js");
+const { SQL_CONSTS } = await import("../../../src/consts/database.js");
+const { SSRF_ERRORS } = await import("../../../src/consts/security.js");
+
+const JOB_ID = "rpj_test_1";
+const TARGET_URL = "https://target.example.com/hooks";
+const TARGET_HOST = "target.example.com";
+const PAGE_LIMIT = 5;
+const INVALID_FIELD_COUNT = 7;
+const PLAYBACK_SPEED = 10;
+
+const job = {
+  id: JOB_ID,
+  status: REPLAY_JOB_STATUSES.RUNNING,
+  targetUrl: TARGET_URL,
+  progress: { total: 1, pending: 1, delivered: 0, failed: 0, skipped: 0 },
+};
+
+describe("Replay Job Routes", () => {
+  /** @type {jest.Mocked<ReplayJobService>} */
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = assertType({
+      create: jest.fn(async () => job),
+      list: jest.fn(() => [job]),
+      get: jest.fn((/** @type {string} */ id) =>
+        id === JOB_ID ? job : undefined,
+      ),
+      getItems: jest.fn((/** @type {string} */ id) =>
+        id === JOB_ID
+          ? { total: 1, items: [{ logId: "log_1", status: "pending" }] }
+          : undefined,
+      ),
+      pause: jest.fn(() => ({ ...job, status: REPLAY_JOB_STATUSES.PAUSED })),
+      resume: jest.fn(() => undefined),
+      cancel: jest.fn(),
+      subscribe: jest.fn(() => jest.fn()),
+    });
+    ssrfMock.validateUrlForSsrf.mockResolvedValue({
+      safe: true,
+      href: TARGET_URL,
+      host: TARGET_HOST,
+    });
+  });
+
+  describe("POST /replay-jobs", () => {
+    it("should create a job with parsed filters, original-order sorting and defaults", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobCreateHandler(service)(
+        createMockRequest({
+          body: {
+            targetUrl: TARGET_URL,
+            filters: {
+              webhookId: "wh_1",
+              statusCode: { gte: "500" },
+              limit: "1",
+            },
+          },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.create).toHaveBeenCalledWith({
+        target: { href: TARGET_URL, host: TARGET_HOST },
+        filters: expect.objectContaining({
+          webhookId: "wh_1",
+          statusCode: [{ operator: "gte", value: 500 }],
+          sort: [{ field: SQL_CONSTS.COLUMNS.TIMESTAMP, dir: "ASC" }],
+        }),
+        timing: REPLAY_JOB_TIMINGS.RATE,
+        ratePerSecond: REPLAY_JOB_CONSTS.DEFAULT_RATE_PER_SECOND,
+        speed: REPLAY_JOB_CONSTS.DEFAULT_SPEED,
+        concurrency: REPLAY_JOB_CONSTS.DEFAULT_CONCURRENCY,
+        maxItems: REPLAY_JOB_CONSTS.DEFAULT_MAX_ITEMS,
+      });
+      expect(service.create.mock.calls[0][0].filters).not.toHaveProperty(
+        "limit",
+      );
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED);
+      expect(res.json).toHaveBeenCalledWith(job);
+    });
+
+    it("should reject invalid options", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobCreateHandler(service)(
+        createMockRequest({
+          body: {
+            filters: [],
+            timing: "burst",
+            speed: 0,
+            ratePerSecond: REPLAY_JOB_CONSTS.MAX_RATE_PER_SECOND + 1,
+            concurrency: 0,
+            maxItems: REPLAY_JOB_CONSTS.MAX_ITEMS + 1,
+          },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      const { errors } = /** @type {{ errors: string[] }} */ (
+        jest.mocked(res.json).mock.calls[0][0]
+      );
+      expect(errors).toHaveLength(INVALID_FIELD_COUNT);
+      expect(service.create).not.toHaveBeenCalled();
+    });
+
+    it("should always play logs in capture order for original timing", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobCreateHandler(service)(
+        createMockRequest({
+          body: {
+            targetUrl: TARGET_URL,
+            timing: REPLAY_JOB_TIMINGS.ORIGINAL,
+            speed: PLAYBACK_SPEED,
+            filters: { sort: "statusCode:desc" },
+          },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          timing: REPLAY_JOB_TIMINGS.ORIGINAL,
+          speed: PLAYBACK_SPEED,
+          filters: expect.objectContaining({
+            sort: [{ field: SQL_CONSTS.COLUMNS.TIMESTAMP, dir: "ASC" }],
+          }),
+        }),
+      );
+    });
+
+    it("should reject targets that fail the SSRF check", async () => {
+      ssrfMock.validateUrlForSsrf.mockResolvedValue({
+        safe: false,
+        error: SSRF_ERRORS.INTERNAL_IP,
+      });
+      const res = createMockResponse();
+
+      await createReplayJobCreateHandler(service)(
+        createMockRequest({ body: { targetUrl: "https://10.0.0.1/" } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: SSRF_ERRORS.INTERNAL_IP,
+      });
+      expect(service.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 429 when too many jobs are active", async () => {
+      service.create.mockResolvedValue(null);
+      const res = createMockResponse();
+
+      await createReplayJobCreateHandler(service)(
+        createMockRequest({ body: { targetUrl: TARGET_URL } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.REPLAY_JOB_LIMIT_REACHED,
+      });
+    });
+  });
+
+  describe("GET /replay-jobs", () => {
+    it("should list jobs", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobsListHandler(service)(
+        createMockRequest(),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.json).toHaveBeenCalledWith({ count: 1, jobs: [job] });
+    });
+  });
+
+  describe("GET /replay-jobs/:id", () => {
+    it("should return progress and a page of results", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobDetailHandler(service)(
+        createMockRequest({
+          params: { id: JOB_ID },
+          query: {
+            status: REPLAY_JOB_ITEM_STATUSES.PENDING,
+            limit: String(PAGE_LIMIT),
+          },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.getItems).toHaveBeenCalledWith(JOB_ID, {
+        status: REPLAY_JOB_ITEM_STATUSES.PENDING,
+        limit: PAGE_LIMIT,
+        offset: 0,
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        ...job,
+        results: {
+          total: 1,
+          count: 1,
+          limit: PAGE_LIMIT,
+          offset: 0,
+          items: [{ logId: "log_1", status: "pending" }],
+        },
+      });
+    });
+
+    it("should return 404 for an unknown job", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobDetailHandler(service)(
+        createMockRequest({ params: { id: "rpj_missing" } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.REPLAY_JOB_NOT_FOUND,
+        id: "rpj_missing",
+      });
+    });
+  });
+
+  describe("POST /replay-jobs/:id/{pause,resume,cancel}", () => {
+    it("should apply the action and return the updated job", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobActionHandler(service, "pause")(
+        createMockRequest({ params: { id: JOB_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(service.pause).toHaveBeenCalledWith(JOB_ID);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ status: REPLAY_JOB_STATUSES.PAUSED }),
+      );
+    });
+
+    it("should return 409 when the job is not in a state the action applies to", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobActionHandler(service, "resume")(
+        createMockRequest({ params: { id: JOB_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.REPLAY_JOB_STATE_CONFLICT(
+          "resume",
+          REPLAY_JOB_STATUSES.RUNNING,
+        ),
+        id: JOB_ID,
+      });
+    });
+
+    it("should return 404 for an unknown job", async () => {
+      const res = createMockResponse();
+
+      await createReplayJobActionHandler(service, "cancel")(
+        createMockRequest({ params: { id: "rpj_missing" } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(service.cancel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /replay-jobs/:id/events", () => {
+    const createStreamResponse = () =>
+      createMockResponse(
+        assertType({ write: jest.fn(), flushHeaders: jest.fn() }),
+      );
+
+    /**
+     * @param {string} [id]
+     */
+    const openStream = async (id = JOB_ID) => {
+      const req = createMockRequest({ params: { id } });
+      const res = createStreamResponse();
+      await createReplayJobEventsHandler(service)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+      return { req, res };
+    };
+
+    /**
+     * @param {import("express").Response} res
+     * @returns {any[]}
+     */
+    const sentEvents = (res) =>
+      jest
+        .mocked(res.write)
+        .mock.calls.map(([chunk]) => String(chunk))
+        .filter((chunk) => chunk.startsWith(SSE_CONSTS.DATA_PREFIX))
+        .map((chunk) => JSON.parse(chunk.slice(SSE_CONSTS.DATA_PREFIX.length)));
+
+    it("should stream a snapshot and then job events until the job finishes", async () => {
+      const { res } = await openStream();
+
+      expect(res.setHeader).toHaveBeenCalledWith(
+        HTTP_HEADERS.CONTENT_TYPE,
+        MIME_TYPES.EVENT_STREAM,
+      );
+      expect(res.flushHeaders).toHaveBeenCalled();
+      const listener = jest.mocked(service.subscribe).mock.calls[0][1];
+      const item = { logId: "log_1", status: "delivered" };
+      listener(assertType({ type: REPLAY_JOB_EVENT_TYPES.ITEM, job, item }));
+      expect(res.end).not.toHaveBeenCalled();
+      listener(assertType({ type: REPLAY_JOB_EVENT_TYPES.FINISHED, job }));
+
+      expect(sentEvents(res)).toEqual([
+        { type: REPLAY_JOB_EVENT_TYPES.SNAPSHOT, job },
+        { type: REPLAY_JOB_EVENT_TYPES.ITEM, job, item },
+        { type: REPLAY_JOB_EVENT_TYPES.FINISHED, job },
+      ]);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it("should unsubscribe when the client disconnects", async () => {
+      const unsubscribe = jest.fn();
+      service.subscribe.mockReturnValue(unsubscribe);
+
+      const { req } = await openStream();
+      req.emit(STREAM_EVENTS.CLOSE);
+
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it("should send only the snapshot for a finished job", async () => {
+      service.get.mockReturnValue(
+        assertType({ ...job, status: REPLAY_JOB_STATUSES.COMPLETED }),
+      );
+
+      const { res } = await openStream();
+
+      expect(service.subscribe).not.toHaveBeenCalled();
+      expect(sentEvents(res)).toEqual([
+        expect.objectContaining({ type: REPLAY_JOB_EVENT_TYPES.SNAPSHOT }),
+      ]);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it("should return 503 when the job has too many subscribers", async () => {
+      service.subscribe.mockReturnValue(null);
+
+      const { res } = await openStream();
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: ERROR_MESSAGES.SSE_LIMIT_REACHED(
+            REPLAY_JOB_CONSTS.MAX_EVENT_SUBSCRIBERS,
+          ),
+        }),
+      );
+    });
+
+    it("should return 404 instead of streaming an unknown job", async () => {
+      const { res } = await openStream("rpj_missing");
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(service.subscribe).not.toHaveBeenCalled();
+    });
+  });
+});
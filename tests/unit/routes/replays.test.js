@@ -0,0 +1,296 @@
+/**
+ * @file tests/unit/routes/replays.test.js
+ * @description Unit tests for the replay capture and comparison route handlers.
+ */
+
+import { jest } from "@jest/globals";
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import {
+  assertType,
+  createMockNextFunction,
+  createMockRequest,
+  createMockResponse,
+} from "../../setup/helpers/test-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").ReplayCapture} ReplayCapture
+ * @typedef {import("../../../src/typedefs.js").DeliveryRecord} DeliveryRecord
+ */
+
+await setupCommonMocks({
+  repositories: true,
+  services: true,
+  webhookManager: true,
+});
+
+const {
+  logRepositoryMock: mockLogRepo,
+  deliveryRepositoryMock: mockDeliveryRepo,
+  webhookManagerMock: mockWebhookManager,
+} = await import("../../setup/helpers/shared-mocks.js");
+const { createReplayCaptureHandler, createReplayCompareHandler } =
+  await import("../../../src/routes/replays.js");
+const { compareReplayResponses } = await import("../../../src/utils/replay.js");
+const { HTTP_STATUS } = await import("../../../src/consts/http.js");
+const { ERROR_MESSAGES } = await import("../../../src/consts/errors.js");
+const { DELIVERY_KINDS, DELIVERY_STATUSES, REPLAY_CAPTURE_CONSTS } =
+  await import("../../../src/consts/app.js");
+
+const LOG_ID = "log_1";
+const WEBHOOK_ID = "wh_1";
+const TARGET_URL = "https://target.example.com/hooks";
+const ORIGINAL_URL = "https://prod.example.com/hooks";
+const JSON_TYPE = "application/json";
+const ORIGINAL_TIMESTAMP = "2026-01-01T00:00:00.000Z";
+
+/**
+ * @param {Partial<ReplayCapture>} overrides
+ * @returns {ReplayCapture}
+ */
+const buildCapture = (overrides = {}) => ({
+  id: "rpl_new",
+  logId: LOG_ID,
+  webhookId: WEBHOOK_ID,
+  targetUrl: TARGET_URL,
+  method: "POST",
+  requestHeaders: { "content-type": JSON_TYPE },
+  requestBody: { amount: 1 },
+  requestBodyTruncated: false,
+  statusCode: HTTP_STATUS.OK,
+  responseHeaders: { "content-type": JSON_TYPE, "x-request-id": "b" },
+  responseBody: { ok: true, version: 2 },
+  responseBodyTruncated: false,
+  durationMs: 10,
+  error: null,
+  timestamp: "2026-01-02T00:00:00.000Z",
+  ...overrides,
+});
+
+/**
+ * @param {Partial<DeliveryRecord>} overrides
+ * @returns {DeliveryRecord}
+ */
+const buildDelivery = (overrides = {}) => ({
+  logId: LOG_ID,
+  kind: DELIVERY_KINDS.FORWARD,
+  targetUrl: ORIGINAL_URL,
+  status: DELIVERY_STATUSES.DELIVERED,
+  statusCode: HTTP_STATUS.OK,
+  destinationId: null,
+  timestamp: ORIGINAL_TIMESTAMP,
+  ...overrides,
+});
+
+describe("Replay Capture Routes", () => {
+  /** @type {Record<string, ReplayCapture>} */
+  let captures;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    captures = {
+      rpl_new: buildCapture(),
+      rpl_old: buildCapture({
+        id: "rpl_old",
+        responseHeaders: { "Content-Type": JSON_TYPE, "x-request-id": "a" },
+        responseBody: JSON.stringify({ ok: true, version: 1 }),
+      }),
+    };
+    mockDeliveryRepo.getReplayCapture.mockImplementation(async (id) =>
+      assertType(captures[id] ?? null),
+    );
+    mockDeliveryRepo.findDeliveriesByLogId.mockResolvedValue([]);
+    jest.mocked(mockWebhookManager.isValid).mockReturnValue(true);
+    mockLogRepo.getLogById.mockResolvedValue(
+      assertType({ id: LOG_ID, webhookId: WEBHOOK_ID }),
+    );
+  });
+
+  /**
+   * @param {Record<string, string>} [query]
+   * @param {string} [id]
+   */
+  const compare = async (query = {}, id = "rpl_new") => {
+    const res = createMockResponse();
+    await createReplayCompareHandler(mockWebhookManager)(
+      createMockRequest({ params: { id }, query }),
+      res,
+      createMockNextFunction(),
+    );
+    return res;
+  };
+
+  describe("GET /replays/:id", () => {
+    it("should return the stored request/response pair", async () => {
+      const res = createMockResponse();
+
+      await createReplayCaptureHandler(mockWebhookManager)(
+        createMockRequest({ params: { id: "rpl_new" } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(mockWebhookManager.isValid).toHaveBeenCalledWith(WEBHOOK_ID);
+      expect(res.json).toHaveBeenCalledWith(captures.rpl_new);
+    });
+
+    it("should return 404 for unknown replays and replays of removed webhooks", async () => {
+      jest.mocked(mockWebhookManager.isValid).mockReturnValue(false);
+
+      for (const id of ["rpl_missing", "rpl_new"]) {
+        const res = createMockResponse();
+        await createReplayCaptureHandler(mockWebhookManager)(
+          createMockRequest({ params: { id } }),
+          res,
+          createMockNextFunction(),
+        );
+
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+        expect(res.json).toHaveBeenCalledWith({
+          error: ERROR_MESSAGES.REPLAY_NOT_FOUND,
+          id,
+        });
+      }
+    });
+  });
+
+  describe("GET /replays/:id/compare", () => {
+    it("should diff two replays by status, selected headers and body", async () => {
+      const res = await compare({
+        baseline: "rpl_old",
+        headers: "content-type, X-Request-Id",
+      });
+
+      expect(res.json).toHaveBeenCalledWith({
+        baseline: expect.objectContaining({
+          source: DELIVERY_KINDS.REPLAY,
+          id: "rpl_old",
+        }),
+        candidate: expect.objectContaining({ id: "rpl_new" }),
+        equal: false,
+        status: {
+          baseline: HTTP_STATUS.OK,
+          candidate: HTTP_STATUS.OK,
+          equal: true,
+        },
+        headers: {
+          names: ["content-type", "x-request-id"],
+          equal: false,
+          diff: [
+            { op: "replace", path: "/x-request-id", value: "b", oldValue: "a" },
+          ],
+        },
+        body: {
+          equal: false,
+          diff: [{ op: "replace", path: "/version", value: 2, oldValue: 1 }],
+        },
+      });
+    });
+
+    it("should compare against the proxied response stored on the log by default", async () => {
+      mockLogRepo.getLogById.mockResolvedValue(
+        assertType({
+          id: LOG_ID,
+          isProxied: true,
+          proxyTargetUrl: ORIGINAL_URL,
+          proxyStatusCode: HTTP_STATUS.OK,
+          responseHeaders: { "content-type": JSON_TYPE },
+          responseBody: { ok: true, version: 2 },
+          timestamp: ORIGINAL_TIMESTAMP,
+        }),
+      );
+
+      const res = await compare();
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          baseline: {
+            source: REPLAY_CAPTURE_CONSTS.ORIGINAL_BASELINE,
+            logId: LOG_ID,
+            targetUrl: ORIGINAL_URL,
+            statusCode: HTTP_STATUS.OK,
+            timestamp: ORIGINAL_TIMESTAMP,
+          },
+          equal: true,
+          headers: expect.objectContaining({
+            names: REPLAY_CAPTURE_CONSTS.DEFAULT_COMPARE_HEADERS,
+          }),
+        }),
+      );
+    });
+
+    it("should fall back to the status of the latest forwardUrl delivery", async () => {
+      mockDeliveryRepo.findDeliveriesByLogId.mockResolvedValue([
+        buildDelivery({ statusCode: HTTP_STATUS.SERVICE_UNAVAILABLE }),
+        buildDelivery({ statusCode: HTTP_STATUS.BAD_GATEWAY }),
+        buildDelivery({ destinationId: "staging" }),
+        buildDelivery({ kind: DELIVERY_KINDS.REPLAY }),
+      ]);
+
+      const res = await compare();
+
+      expect(mockDeliveryRepo.findDeliveriesByLogId).toHaveBeenCalledWith(
+        LOG_ID,
+      );
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          equal: false,
+          status: {
+            baseline: HTTP_STATUS.BAD_GATEWAY,
+            candidate: HTTP_STATUS.OK,
+            equal: false,
+          },
+          headers: null,
+          body: null,
+        }),
+      );
+    });
+
+    it("should return 404 when the log has no recorded forward response", async () => {
+      const res = await compare();
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.ORIGINAL_RESPONSE_NOT_FOUND,
+        logId: LOG_ID,
+      });
+    });
+
+    it("should return 404 for an unknown candidate or baseline replay", async () => {
+      const missingCandidate = await compare({}, "rpl_missing");
+      const missingBaseline = await compare({ baseline: "rpl_missing" });
+
+      for (const res of [missingCandidate, missingBaseline]) {
+        expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+        expect(res.json).toHaveBeenCalledWith({
+          error: ERROR_MESSAGES.REPLAY_NOT_FOUND,
+          id: "rpl_missing",
+        });
+      }
+    });
+  });
+
+  describe("compareReplayResponses", () => {
+    it("should skip the body when either side was truncated", () => {
+      const snapshot = {
+        source: DELIVERY_KINDS.REPLAY,
+        logId: LOG_ID,
+        targetUrl: TARGET_URL,
+        statusCode: HTTP_STATUS.OK,
+        headers: {},
+      };
+
+      expect(
+        compareReplayResponses(snapshot, { ...snapshot, body: "ok" }, []),
+      ).toEqual({
+        equal: true,
+        status: {
+          baseline: HTTP_STATUS.OK,
+          candidate: HTTP_STATUS.OK,
+          equal: true,
+        },
+        headers: { names: [], equal: true, diff: [] },
+        body: null,
+      });
+    });
+  });
+});
@@ -38,6 +38,8 @@ const {
   createBroadcaster,
   jsonSafe,
   sendUnauthorizedResponse,
+  readJsonBody,
+  readJsonArray,
 } = await import("../../../src/routes/utils.js");
 
 describe("Route Utils", () => {
@@ -333,6 +335,53 @@ describe("Route Utils", () => {
     });
   });
 
+  describe("readJsonBody", () => {
+    it("should parse raw Buffer and string bodies", () => {
+      expect(
+        readJsonBody(createMockRequest({ body: Buffer.from('{"a":1}') })),
+      ).toEqual({ a: 1 });
+      expect(readJsonBody(createMockRequest({ body: '{"b":2}' }))).toEqual({
+        b: 2,
+      });
+    });
+
+    it("should pass through already-parsed objects", () => {
+      const body = { label: "ci" };
+      expect(readJsonBody(createMockRequest({ body }))).toBe(body);
+    });
+
+    it("should treat empty bodies as an empty object", () => {
+      expect(readJsonBody(createMockRequest({ body: undefined }))).toEqual({});
+      expect(
+        readJsonBody(createMockRequest({ body: Buffer.alloc(0) })),
+      ).toEqual({});
+    });
+
+    it("should return null for malformed or non-object JSON", () => {
+      expect(readJsonBody(createMockRequest({ body: "{oops" }))).toBeNull();
+      expect(
+        readJsonBody(createMockRequest({ body: Buffer.from("[1]") })),
+      ).toBeNull();
+      expect(readJsonBody(createMockRequest({ body: "42" }))).toBeNull();
+    });
+  });
+
+  describe("readJsonArray", () => {
+    it("should parse JSON arrays from raw and parsed bodies", () => {
+      expect(
+        readJsonArray(createMockRequest({ body: Buffer.from('["a","b"]') })),
+      ).toEqual(["a", "b"]);
+      const body = [{ id: "a" }];
+      expect(readJsonArray(createMockRequest({ body }))).toBe(body);
+    });
+
+    it("should return null for objects, empty, and malformed bodies", () => {
+      expect(readJsonArray(createMockRequest({ body: '{"a":1}' }))).toBeNull();
+      expect(readJsonArray(createMockRequest({ body: undefined }))).toBeNull();
+      expect(readJsonArray(createMockRequest({ body: "[oops" }))).toBeNull();
+    });
+  });
+
   describe("sendUnauthorizedResponse", () => {
     /** @type {Request} */
     let mockReq;
@@ -0,0 +1,329 @@
+/**
+ * @file tests/unit/routes/scripts.test.js
+ * @description Unit tests for the custom script test (dry-run) route handler.
+ */
+
+import { jest } from "@jest/globals";
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import {
+  assertType,
+  createMockNextFunction,
+  createMockRequest,
+  createMockResponse,
+} from "../../setup/helpers/test-utils.js";
+
+await setupCommonMocks({
+  repositories: true,
+  services: true,
+  webhookManager: true,
+});
+
+const actualCustomScriptExecutor = await import(
+  new URL(
+    "../../../src/utils/custom_script_executor.js?actual",
+    import.meta.url,
+  ).href
+);
+const executeCustomScriptMock =
+  /** @type {jest.Mock<(request: any) => Promise<any>>} */ (jest.fn());
+jest.unstable_mockModule(
+  "../../../src/utils/custom_script_executor.js",
+  () => ({
+    ...actualCustomScriptExecutor,
+    executeCustomScript: executeCustomScriptMock,
+  }),
+);
+
+const {
+  logRepositoryMock: mockLogRepo,
+  deliveryRepositoryMock: mockDeliveryRepo,
+  forwardingServiceMock: mockForwardingService,
+  webhookManagerMock: mockWebhookManager,
+} = await import("../../setup/helpers/shared-mocks.js");
+const { createScriptTestHandler } =
+  await import("../../../src/routes/scripts.js");
+const { HTTP_STATUS, HTTP_METHODS } =
+  await import("../../../src/consts/http.js");
+const { APP_CONSTS, SCRIPT_OUTCOME_KEYS } =
+  await import("../../../src/consts/app.js");
+const { ERROR_LABELS, ERROR_MESSAGES, NODE_ERROR_CODES } =
+  await import("../../../src/consts/errors.js");
+const { LOG_MESSAGES } = await import("../../../src/consts/messages.js");
+
+/**
+ * @typedef {import("../../../src/typedefs.js").ScriptTestResult} ScriptTestResult
+ * @typedef {ReturnType<typeof createMockResponse>} MockResponse
+ */
+
+const LOG_ID = "log_1";
+const WEBHOOK_ID = "wh_1";
+const SOURCE = "event.body.amount *= 100;";
+const sampleEvent = {
+  webhookId: WEBHOOK_ID,
+  method: "post",
+  headers: { "content-type": "application/json" },
+  query: { mode: "test" },
+  body: { amount: 1, currency: "usd" },
+  requestUrl: `/webhook/${WEBHOOK_ID}?mode=test`,
+};
+
+/**
+ * Mimics the sandbox: runs `transform` on a copy of the event.
+ * @param {(event: Record<string, any>) => void} transform
+ * @param {Array<{ level: string, args: unknown[] }>} [logs]
+ */
+const resolveScript = (transform, logs = []) => {
+  executeCustomScriptMock.mockImplementationOnce(
+    async (/** @type {{ event: Record<string, any> }} */ request) => {
+      const event = structuredClone({ ...request.event });
+      transform(event);
+      return { ok: true, event, logs };
+    },
+  );
+};
+
+/**
+ * @param {unknown} body
+ * @returns {Promise<MockResponse>}
+ */
+const runTest = async (body) => {
+  const res = createMockResponse();
+  await createScriptTestHandler(mockWebhookManager)(
+    createMockRequest({
+      method: HTTP_METHODS.POST,
+      body: Buffer.from(JSON.stringify(body)),
+    }),
+    res,
+    createMockNextFunction(),
+  );
+  return res;
+};
+
+/**
+ * @param {MockResponse} res
+ * @returns {ScriptTestResult}
+ */
+const resultOf = (res) => jest.mocked(res.json).mock.calls[0][0];
+
+describe("Script Test Route", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.mocked(mockWebhookManager.isValid).mockReturnValue(true);
+  });
+
+  it("should run the script against an inline event and report the diff and logs", async () => {
+    resolveScript(
+      (event) => {
+        event.body.amount *= 100;
+        delete event.body.currency;
+        event.normalized = true;
+      },
+      [{ level: "info", args: ["converted", new Error("not thrown")] }],
+    );
+
+    const res = await runTest({ source: SOURCE, event: sampleEvent });
+    const result = resultOf(res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(executeCustomScriptMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        source: SOURCE,
+        timeoutMs: APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
+        event: expect.objectContaining({ body: sampleEvent.body }),
+        req: expect.objectContaining({
+          method: HTTP_METHODS.POST,
+          url: sampleEvent.requestUrl,
+          query: sampleEvent.query,
+          body: sampleEvent.body,
+        }),
+      }),
+    );
+    expect(result).toEqual(
+      expect.objectContaining({
+        ok: true,
+        error: null,
+        durationMs: expect.any(Number),
+        invalidOutcomeKeys: [],
+        logs: [
+          {
+            level: "info",
+            args: [
+              "converted",
+              expect.objectContaining({
+                name: "Error",
+                message: "not thrown",
+              }),
+            ],
+          },
+        ],
+      }),
+    );
+    expect(result.event).toEqual(
+      expect.objectContaining({
+        normalized: true,
+        body: { amount: 100 },
+      }),
+    );
+    expect(result.diff).toEqual([
+      { op: "replace", path: "/body/amount", value: 100, oldValue: 1 },
+      { op: "remove", path: "/body/currency", oldValue: "usd" },
+      { op: "add", path: "/normalized", value: true },
+    ]);
+  });
+
+  it("should report outcome keys without acting on them", async () => {
+    resolveScript((event) => {
+      event[SCRIPT_OUTCOME_KEYS.DROP] = true;
+      event[SCRIPT_OUTCOME_KEYS.TAGS] = ["billing"];
+      event[SCRIPT_OUTCOME_KEYS.DELAY_MS] = "soon";
+    });
+
+    const result = resultOf(
+      await runTest({ source: SOURCE, event: sampleEvent }),
+    );
+
+    expect(result.outcome).toEqual(
+      expect.objectContaining({ drop: true, tags: ["billing"] }),
+    );
+    expect(result.invalidOutcomeKeys).toEqual([SCRIPT_OUTCOME_KEYS.DELAY_MS]);
+    expect(result.event).not.toHaveProperty(SCRIPT_OUTCOME_KEYS.DROP);
+    expect(result.diff).toEqual([
+      { op: "add", path: "/tags", value: ["billing"] },
+    ]);
+    expect(mockLogRepo.insertLog).not.toHaveBeenCalled();
+    expect(mockDeliveryRepo.insertDelivery).not.toHaveBeenCalled();
+    expect(mockForwardingService.forwardWebhook).not.toHaveBeenCalled();
+  });
+
+  it("should run against a stored log without its storage bookkeeping", async () => {
+    mockLogRepo.getLogById.mockResolvedValue(
+      assertType({
+        ...sampleEvent,
+        id: LOG_ID,
+        sourceOffset: 3,
+        scriptRuns: [{ id: "customScript", durationMs: 1 }],
+      }),
+    );
+    resolveScript(() => {});
+
+    const result = resultOf(await runTest({ source: SOURCE, logId: LOG_ID }));
+
+    expect(mockLogRepo.getLogById).toHaveBeenCalledWith(LOG_ID);
+    expect(result.ok).toBe(true);
+    expect(result.diff).toEqual([]);
+    const [[{ event }]] = executeCustomScriptMock.mock.calls;
+    expect(event).toEqual(expect.objectContaining({ id: LOG_ID }));
+    expect(event).not.toHaveProperty("sourceOffset");
+    expect(event).not.toHaveProperty("scriptRuns");
+  });
+
+  it("should return 404 for unknown logs and logs of inactive webhooks", async () => {
+    mockLogRepo.getLogById.mockResolvedValueOnce(null);
+    const missing = await runTest({ source: SOURCE, logId: LOG_ID });
+    expect(missing.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    expect(missing.json).toHaveBeenCalledWith({
+      error: ERROR_MESSAGES.LOG_NOT_FOUND,
+    });
+
+    mockLogRepo.getLogById.mockResolvedValueOnce(
+      assertType({ id: LOG_ID, webhookId: "wh_expired" }),
+    );
+    jest.mocked(mockWebhookManager.isValid).mockReturnValue(false);
+    const inactive = await runTest({ source: SOURCE, logId: LOG_ID });
+    expect(inactive.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    expect(inactive.json).toHaveBeenCalledWith({
+      error: ERROR_MESSAGES.INVALID_WEBHOOK_LOG,
+    });
+    expect(executeCustomScriptMock).not.toHaveBeenCalled();
+  });
+
+  it("should report script errors and timeouts as failed runs", async () => {
+    executeCustomScriptMock.mockResolvedValueOnce({
+      ok: false,
+      logs: [{ level: "warn", args: ["about to fail"] }],
+      error: { name: "TypeError", message: "boom", stack: "TypeError: boom" },
+    });
+    const failed = resultOf(
+      await runTest({ source: SOURCE, event: sampleEvent }),
+    );
+    expect(failed).toEqual(
+      expect.objectContaining({
+        ok: false,
+        event: null,
+        outcome: null,
+        diff: [],
+        logs: [{ level: "warn", args: ["about to fail"] }],
+        error: {
+          name: "TypeError",
+          message: "boom",
+          stack: "TypeError: boom",
+          timedOut: false,
+        },
+      }),
+    );
+
+    executeCustomScriptMock.mockResolvedValueOnce({
+      ok: false,
+      error: {
+        name: "Error",
+        message: "timed out",
+        code: NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT,
+      },
+    });
+    const timedOut = resultOf(
+      await runTest({ source: SOURCE, event: sampleEvent }),
+    );
+    expect(timedOut.error).toEqual({
+      name: "Error",
+      message: LOG_MESSAGES.SCRIPT_EXECUTION_TIMED_OUT(
+        APP_CONSTS.SCRIPT_EXECUTION_TIMEOUT_MS,
+      ),
+      timedOut: true,
+    });
+
+    executeCustomScriptMock.mockRejectedValueOnce(new Error("worker exited"));
+    const crashed = resultOf(
+      await runTest({ source: SOURCE, event: sampleEvent }),
+    );
+    expect(crashed.ok).toBe(false);
+    expect(crashed.error?.message).toBe("worker exited");
+  });
+
+  it.each([
+    [{ event: sampleEvent }, [ERROR_MESSAGES.SCRIPT_TEST_SOURCE_REQUIRED]],
+    [
+      { source: "event.a = ;", event: sampleEvent },
+      [
+        expect.stringContaining(
+          ERROR_MESSAGES.SCRIPT_SOURCE_INVALID("").trim(),
+        ),
+      ],
+    ],
+    [
+      { source: SOURCE, event: sampleEvent, logId: LOG_ID },
+      [ERROR_MESSAGES.SCRIPT_TEST_INPUT_CONFLICT],
+    ],
+    [{ source: SOURCE }, [ERROR_MESSAGES.SCRIPT_TEST_INPUT_MISSING]],
+    [{ source: SOURCE, logId: 1 }, [ERROR_MESSAGES.SCRIPT_TEST_LOG_ID_INVALID]],
+    [{ source: SOURCE, event: [] }, [ERROR_MESSAGES.SCRIPT_TEST_EVENT_INVALID]],
+  ])("should reject the invalid body %j", async (body, errors) => {
+    const res = await runTest(body);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(res.json).toHaveBeenCalledWith({
+      error: ERROR_MESSAGES.INVALID_SCRIPT_TEST,
+      errors,
+    });
+    expect(executeCustomScriptMock).not.toHaveBeenCalled();
+  });
+
+  it("should reject a body that is not a JSON object", async () => {
+    const res = await runTest([SOURCE]);
+
+    expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+    expect(res.json).toHaveBeenCalledWith({
+      error: ERROR_LABELS.BAD_REQUEST,
+      message: ERROR_MESSAGES.INVALID_JSON_BODY,
+    });
+  });
+});
@@ -13,7 +13,7 @@ import {
 import { createSystemMetricsHandler } from "../../../src/routes/system.js";
 
 describe("System Routes", () => {
-  it("should retrieve sync metrics and return them as JSON with a timestamp", async () => {
+  it("should retrieve sync and script pool metrics and return them as JSON with a timestamp", async () => {
     const mockMetrics = {
       totalBatches: 5,
       totalProcessed: 50,
@@ -27,7 +27,12 @@ describe("System Routes", () => {
       getMetrics: jest.fn().mockReturnValue(mockMetrics),
     };
 
-    const handler = createSystemMetricsHandler(assertType(mockSyncService));
+    const poolStats = { maxWorkers: 2, workers: 1, busy: 0, queued: 0 };
+    const getScriptPoolStats = jest.fn().mockReturnValue(poolStats);
+
+    const handler = createSystemMetricsHandler(assertType(mockSyncService), {
+      getScriptPoolStats: assertType(getScriptPoolStats),
+    });
     const mockReq = createMockRequest();
     const mockRes = createMockResponse();
     const mockNext = createMockNextFunction();
@@ -38,6 +43,7 @@ describe("System Routes", () => {
     expect(mockRes.json).toHaveBeenCalledWith({
       timestamp: expect.any(String),
       sync: mockMetrics,
+      customScriptPool: poolStats,
     });
     expect(mockNext).not.toHaveBeenCalled();
   });
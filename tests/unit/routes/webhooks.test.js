@@ -0,0 +1,764 @@
+/**
+ * @file tests/unit/routes/webhooks.test.js
+ * @description Unit tests for the runtime webhook management route handlers.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  assertType,
+  createMockRequest,
+  createMockResponse,
+  createMockNextFunction,
+} from "../../setup/helpers/test-utils.js";
+import { createMockWebhookManager } from "../../setup/helpers/shared-mocks.js";
+import {
+  createWebhooksListHandler,
+  createWebhookCreateHandler,
+  createWebhookUpdateHandler,
+  createWebhookDeleteHandler,
+  createWebhookConfigHandler,
+  createWebhookConfigUpdateHandler,
+  createWebhookConfigValidateHandler,
+  createWebhookSequenceResetHandler,
+} from "../../../src/routes/webhooks.js";
+import { HTTP_STATUS } from "../../../src/consts/http.js";
+import { ERROR_LABELS, ERROR_MESSAGES } from "../../../src/consts/errors.js";
+import { LOG_CONSTS } from "../../../src/consts/logging.js";
+import { SIGNATURE_PROVIDERS } from "../../../src/consts/security.js";
+
+/**
+ * @typedef {import("../../../src/webhook_manager.js").WebhookManager} WebhookManager
+ */
+
+const WEBHOOK_ID = "wh_test_123";
+const EXPIRES_AT = "2030-01-01T00:00:00.000Z";
+const DEFAULT_RETENTION_HOURS = 24;
+const REQUESTED_RETENTION_HOURS = 2;
+const ROTATION_END = "2026-03-08T00:00:00Z";
+const OLD_SECRET = "old-secret";
+const NEW_SECRET = "new-secret";
+const DESTINATION_URL = "https://target.example.com/hooks";
+const DESTINATION_TOKEN = "Bearer target-token";
+const SECRET_VALUES_PATTERN = /old-secret|new-secret|target-token/;
+/** A webhook record with every kind of secret its overrides can carry */
+const webhookWithSecrets = {
+  id: WEBHOOK_ID,
+  expiresAt: EXPIRES_AT,
+  label: "ci",
+  signatureVerification: {
+    provider: SIGNATURE_PROVIDERS.GITHUB,
+    secrets: [{ secret: OLD_SECRET, notAfter: ROTATION_END }],
+  },
+  forwardSigning: { provider: SIGNATURE_PROVIDERS.GITHUB, secret: NEW_SECRET },
+  forwardDestinations: [
+    {
+      id: "primary",
+      url: DESTINATION_URL,
+      setHeaders: { authorization: DESTINATION_TOKEN },
+    },
+  ],
+};
+
+describe("Webhook Management Routes", () => {
+  /** @type {jest.Mocked<WebhookManager>} */
+  let webhookManager;
+
+  beforeEach(() => {
+    webhookManager = /** @type {jest.Mocked<WebhookManager>} */ (
+      createMockWebhookManager()
+    );
+  });
+
+  describe("GET /webhooks", () => {
+    it("should list active webhooks with a count", async () => {
+      const active = [{ id: WEBHOOK_ID, expiresAt: EXPIRES_AT, label: "ci" }];
+      webhookManager.getAllActive.mockReturnValue(active);
+      const res = createMockResponse();
+
+      await createWebhooksListHandler(webhookManager)(
+        createMockRequest(),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.json).toHaveBeenCalledWith({ count: 1, webhooks: active });
+    });
+
+    it("should mask secrets of per-webhook overrides", async () => {
+      webhookManager.getAllActive.mockReturnValue([
+        assertType(webhookWithSecrets),
+      ]);
+      const res = createMockResponse();
+
+      await createWebhooksListHandler(webhookManager)(
+        createMockRequest(),
+        res,
+        createMockNextFunction(),
+      );
+
+      const [[body]] = jest.mocked(res.json).mock.calls;
+      expect(JSON.stringify(body)).not.toMatch(SECRET_VALUES_PATTERN);
+      expect(body.webhooks[0]).toEqual(
+        expect.objectContaining({ id: WEBHOOK_ID, label: "ci" }),
+      );
+    });
+  });
+
+  describe("POST /webhooks", () => {
+    const getRetentionHours = jest.fn(() => DEFAULT_RETENTION_HOURS);
+
+    it("should create a webhook from a raw JSON buffer body", async () => {
+      const created = { id: WEBHOOK_ID, expiresAt: EXPIRES_AT, label: "ci" };
+      webhookManager.createWebhook.mockResolvedValue(created);
+      const req = createMockRequest({
+        body: Buffer.from(
+          JSON.stringify({
+            retentionHours: REQUESTED_RETENTION_HOURS,
+            label: "ci",
+          }),
+        ),
+      });
+      const res = createMockResponse();
+
+      await createWebhookCreateHandler({ webhookManager, getRetentionHours })(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.createWebhook).toHaveBeenCalledWith({
+        retentionHours: REQUESTED_RETENTION_HOURS,
+        label: "ci",
+      });
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+      expect(res.json).toHaveBeenCalledWith(created);
+    });
+
+    it("should fall back to the configured retention for an empty body", async () => {
+      const req = createMockRequest({ body: undefined });
+      const res = createMockResponse();
+
+      await createWebhookCreateHandler({ webhookManager, getRetentionHours })(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.createWebhook).toHaveBeenCalledWith({
+        retentionHours: DEFAULT_RETENTION_HOURS,
+        label: undefined,
+      });
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.CREATED);
+    });
+
+    it("should reject bodies that are not JSON objects", async () => {
+      const req = createMockRequest({ body: Buffer.from("[1,2]") });
+      const res = createMockResponse();
+
+      await createWebhookCreateHandler({ webhookManager, getRetentionHours })(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.createWebhook).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_LABELS.BAD_REQUEST,
+        message: ERROR_MESSAGES.INVALID_JSON_BODY,
+      });
+    });
+
+    it("should map validation errors to 400", async () => {
+      const message = ERROR_MESSAGES.INVALID_RETENTION(-1);
+      webhookManager.createWebhook.mockRejectedValue(new Error(message));
+      const req = createMockRequest({ body: { retentionHours: -1 } });
+      const res = createMockResponse();
+
+      await createWebhookCreateHandler({ webhookManager, getRetentionHours })(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.WEBHOOK_CREATION_FAILED,
+        message,
+      });
+    });
+  });
+
+  describe("PATCH /webhooks/:id", () => {
+    it("should update expiry and label", async () => {
+      const updated = { id: WEBHOOK_ID, expiresAt: EXPIRES_AT, label: "new" };
+      webhookManager.getWebhookData.mockReturnValue({ expiresAt: EXPIRES_AT });
+      webhookManager.updateWebhook.mockResolvedValue(updated);
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: { extendHours: 1, label: "new" },
+      });
+      const res = createMockResponse();
+
+      await createWebhookUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.updateWebhook).toHaveBeenCalledWith(WEBHOOK_ID, {
+        expiresAt: undefined,
+        extendHours: 1,
+        label: "new",
+      });
+      expect(res.json).toHaveBeenCalledWith(updated);
+    });
+
+    it("should mask secrets of per-webhook overrides in the updated webhook", async () => {
+      webhookManager.getWebhookData.mockReturnValue({ expiresAt: EXPIRES_AT });
+      webhookManager.updateWebhook.mockResolvedValue(
+        assertType(webhookWithSecrets),
+      );
+      const res = createMockResponse();
+
+      await createWebhookUpdateHandler(webhookManager)(
+        createMockRequest({
+          params: { id: WEBHOOK_ID },
+          body: { label: "ci" },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      const [[body]] = jest.mocked(res.json).mock.calls;
+      expect(JSON.stringify(body)).not.toMatch(SECRET_VALUES_PATTERN);
+      expect(body.forwardSigning.secret).toBe(LOG_CONSTS.MASKED_VALUE);
+    });
+
+    it("should return 404 when updating an unknown webhook", async () => {
+      webhookManager.getWebhookData.mockReturnValue(undefined);
+      const req = createMockRequest({
+        params: { id: "wh_missing" },
+        body: { extendHours: 1 },
+      });
+      const res = createMockResponse();
+
+      await createWebhookUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.updateWebhook).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.WEBHOOK_NOT_FOUND,
+        id: "wh_missing",
+      });
+    });
+
+    it("should map validation errors to 400", async () => {
+      webhookManager.getWebhookData.mockReturnValue({ expiresAt: EXPIRES_AT });
+      webhookManager.updateWebhook.mockRejectedValue(
+        new Error(ERROR_MESSAGES.WEBHOOK_EXPIRY_CONFLICT),
+      );
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: { expiresAt: EXPIRES_AT, extendHours: 1 },
+      });
+      const res = createMockResponse();
+
+      await createWebhookUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.WEBHOOK_UPDATE_FAILED,
+        message: ERROR_MESSAGES.WEBHOOK_EXPIRY_CONFLICT,
+      });
+    });
+  });
+
+  describe("DELETE /webhooks/:id", () => {
+    it("should delete the webhook and respond with 204", async () => {
+      webhookManager.deleteWebhook.mockResolvedValue(true);
+      const req = createMockRequest({ params: { id: WEBHOOK_ID } });
+      const res = createMockResponse();
+
+      await createWebhookDeleteHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.deleteWebhook).toHaveBeenCalledWith(WEBHOOK_ID);
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NO_CONTENT);
+      expect(res.send).toHaveBeenCalledTimes(1);
+    });
+
+    it("should return 404 when deleting an unknown webhook", async () => {
+      webhookManager.deleteWebhook.mockResolvedValue(false);
+      const req = createMockRequest({ params: { id: "wh_missing" } });
+      const res = createMockResponse();
+
+      await createWebhookDeleteHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.WEBHOOK_NOT_FOUND,
+        id: "wh_missing",
+      });
+    });
+  });
+
+  describe("GET /webhooks/:id/config", () => {
+    it("should return overrides with the signing secret masked", async () => {
+      webhookManager.getWebhookConfig.mockReturnValue({
+        defaultResponseCode: HTTP_STATUS.OK,
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.STRIPE,
+          secret: "whsec_live",
+        },
+        forwardSigning: {
+          provider: SIGNATURE_PROVIDERS.GITHUB,
+          secret: NEW_SECRET,
+        },
+      });
+      const req = createMockRequest({ params: { id: WEBHOOK_ID } });
+      const res = createMockResponse();
+
+      await createWebhookConfigHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.json).toHaveBeenCalledWith({
+        id: WEBHOOK_ID,
+        config: {
+          defaultResponseCode: HTTP_STATUS.OK,
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.STRIPE,
+            secret: LOG_CONSTS.MASKED_VALUE,
+          },
+          forwardSigning: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secret: LOG_CONSTS.MASKED_VALUE,
+          },
+        },
+      });
+    });
+
+    it("should mask every rotating secret", async () => {
+      webhookManager.getWebhookConfig.mockReturnValue({
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.GITHUB,
+          secrets: [
+            { secret: OLD_SECRET, notAfter: ROTATION_END },
+            { secret: NEW_SECRET },
+          ],
+        },
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigHandler(webhookManager)(
+        createMockRequest({ params: { id: WEBHOOK_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.json).toHaveBeenCalledWith({
+        id: WEBHOOK_ID,
+        config: {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secrets: [
+              { secret: LOG_CONSTS.MASKED_VALUE, notAfter: ROTATION_END },
+              { secret: LOG_CONSTS.MASKED_VALUE },
+            ],
+          },
+        },
+      });
+    });
+
+    it("should mask destination header values", async () => {
+      webhookManager.getWebhookConfig.mockReturnValue({
+        forwardDestinations: [
+          {
+            id: "primary",
+            url: DESTINATION_URL,
+            setHeaders: { authorization: DESTINATION_TOKEN },
+          },
+          { id: "audit", url: DESTINATION_URL },
+        ],
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigHandler(webhookManager)(
+        createMockRequest({ params: { id: WEBHOOK_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.json).toHaveBeenCalledWith({
+        id: WEBHOOK_ID,
+        config: {
+          forwardDestinations: [
+            {
+              id: "primary",
+              url: DESTINATION_URL,
+              setHeaders: { authorization: LOG_CONSTS.MASKED_VALUE },
+            },
+            { id: "audit", url: DESTINATION_URL },
+          ],
+        },
+      });
+    });
+
+    it("should return 404 when reading config of an unknown webhook", async () => {
+      const req = createMockRequest({ params: { id: "wh_missing" } });
+      const res = createMockResponse();
+
+      await createWebhookConfigHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+    });
+  });
+
+  describe("PUT/PATCH /webhooks/:id/config", () => {
+    beforeEach(() => {
+      webhookManager.getWebhookData.mockReturnValue({ expiresAt: EXPIRES_AT });
+    });
+
+    it.each([
+      ["PATCH", {}, false],
+      ["PUT", { replace: true }, true],
+    ])(
+      "should validate and store overrides (%s)",
+      async (_method, options, replace) => {
+        const stored = {
+          defaultResponseCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        };
+        webhookManager.setWebhookConfig.mockResolvedValue(stored);
+        const req = createMockRequest({
+          params: { id: WEBHOOK_ID },
+          body: Buffer.from(
+            JSON.stringify({
+              defaultResponseCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+            }),
+          ),
+        });
+        const res = createMockResponse();
+
+        await createWebhookConfigUpdateHandler(webhookManager, options)(
+          req,
+          res,
+          createMockNextFunction(),
+        );
+
+        expect(webhookManager.setWebhookConfig).toHaveBeenCalledWith(
+          WEBHOOK_ID,
+          stored,
+          { replace },
+        );
+        expect(res.json).toHaveBeenCalledWith({
+          id: WEBHOOK_ID,
+          config: stored,
+        });
+      },
+    );
+
+    it("should keep the stored secret when the masked value is sent back", async () => {
+      webhookManager.getWebhookConfig.mockReturnValue({
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.STRIPE,
+          secret: "whsec_live",
+        },
+      });
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.STRIPE,
+            secret: LOG_CONSTS.MASKED_VALUE,
+          },
+        },
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.setWebhookConfig).toHaveBeenCalledWith(
+        WEBHOOK_ID,
+        {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.STRIPE,
+            secret: "whsec_live",
+          },
+        },
+        { replace: false },
+      );
+    });
+
+    it("should restore masked secrets, matching rotating secrets by position", async () => {
+      webhookManager.getWebhookConfig.mockReturnValue({
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.GITHUB,
+          secrets: [{ secret: OLD_SECRET, notAfter: ROTATION_END }],
+        },
+        forwardSigning: {
+          provider: SIGNATURE_PROVIDERS.GITHUB,
+          secret: OLD_SECRET,
+        },
+      });
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secrets: [
+              { secret: LOG_CONSTS.MASKED_VALUE, notAfter: ROTATION_END },
+              { secret: NEW_SECRET },
+            ],
+          },
+          forwardSigning: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secret: LOG_CONSTS.MASKED_VALUE,
+          },
+        },
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.setWebhookConfig).toHaveBeenCalledWith(
+        WEBHOOK_ID,
+        {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secrets: [
+              { secret: OLD_SECRET, notAfter: ROTATION_END },
+              { secret: NEW_SECRET },
+            ],
+          },
+          forwardSigning: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secret: OLD_SECRET,
+          },
+        },
+        { replace: false },
+      );
+    });
+
+    it("should restore masked destination headers by destination id", async () => {
+      webhookManager.getWebhookConfig.mockReturnValue({
+        forwardDestinations: [
+          {
+            id: "primary",
+            url: DESTINATION_URL,
+            setHeaders: { authorization: DESTINATION_TOKEN },
+          },
+        ],
+      });
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: {
+          forwardDestinations: [
+            { id: "added", url: DESTINATION_URL },
+            {
+              id: "primary",
+              url: DESTINATION_URL,
+              setHeaders: {
+                Authorization: LOG_CONSTS.MASKED_VALUE,
+                "X-Trace": "on",
+              },
+            },
+          ],
+        },
+      });
+
+      await createWebhookConfigUpdateHandler(webhookManager)(
+        req,
+        createMockResponse(),
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.setWebhookConfig).toHaveBeenCalledWith(
+        WEBHOOK_ID,
+        {
+          forwardDestinations: [
+            expect.objectContaining({ id: "added" }),
+            expect.objectContaining({
+              id: "primary",
+              setHeaders: {
+                authorization: DESTINATION_TOKEN,
+                "x-trace": "on",
+              },
+            }),
+          ],
+        },
+        { replace: false },
+      );
+    });
+
+    it("should reject invalid overrides with every validation error", async () => {
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: { authKey: "nope", forwardHeaders: "yes" },
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.setWebhookConfig).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.INVALID_WEBHOOK_CONFIG,
+        errors: [
+          ERROR_MESSAGES.UNSUPPORTED_WEBHOOK_SETTING("authKey"),
+          expect.stringContaining("forwardHeaders"),
+        ],
+      });
+    });
+
+    it("should return 404 when writing config of an unknown webhook", async () => {
+      webhookManager.getWebhookData.mockReturnValue(undefined);
+      const req = createMockRequest({
+        params: { id: "wh_missing" },
+        body: { forwardHeaders: false },
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigUpdateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(webhookManager.setWebhookConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /webhooks/:id/config/validate", () => {
+    it("should report validation results without storing anything", async () => {
+      webhookManager.getWebhookData.mockReturnValue({ expiresAt: EXPIRES_AT });
+      const req = createMockRequest({
+        params: { id: WEBHOOK_ID },
+        body: {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secret: "s3cret",
+          },
+          defaultResponseCode: 999,
+        },
+      });
+      const res = createMockResponse();
+
+      await createWebhookConfigValidateHandler(webhookManager)(
+        req,
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.setWebhookConfig).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        id: WEBHOOK_ID,
+        valid: false,
+        errors: [expect.stringContaining("defaultResponseCode")],
+        config: {
+          signatureVerification: {
+            provider: SIGNATURE_PROVIDERS.GITHUB,
+            secret: LOG_CONSTS.MASKED_VALUE,
+          },
+        },
+      });
+    });
+  });
+
+  describe("POST /webhooks/:id/sequence/reset", () => {
+    it("should reset a single sender key", async () => {
+      webhookManager.resetResponseSequence.mockResolvedValue(1);
+      const res = createMockResponse();
+
+      await createWebhookSequenceResetHandler(webhookManager)(
+        createMockRequest({
+          params: { id: WEBHOOK_ID },
+          query: { key: "order-1" },
+        }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.resetResponseSequence).toHaveBeenCalledWith(
+        WEBHOOK_ID,
+        "order-1",
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        id: WEBHOOK_ID,
+        key: "order-1",
+        cleared: 1,
+      });
+    });
+
+    it("should reset every sender when no key is given", async () => {
+      webhookManager.resetResponseSequence.mockResolvedValue(0);
+      const res = createMockResponse();
+
+      await createWebhookSequenceResetHandler(webhookManager)(
+        createMockRequest({ params: { id: WEBHOOK_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(webhookManager.resetResponseSequence).toHaveBeenCalledWith(
+        WEBHOOK_ID,
+        undefined,
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        id: WEBHOOK_ID,
+        key: null,
+        cleared: 0,
+      });
+    });
+
+    it("should return 404 for unknown webhooks", async () => {
+      const res = createMockResponse();
+
+      await createWebhookSequenceResetHandler(webhookManager)(
+        createMockRequest({ params: { id: WEBHOOK_ID } }),
+        res,
+        createMockNextFunction(),
+      );
+
+      expect(res.status).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND);
+      expect(res.json).toHaveBeenCalledWith({
+        error: ERROR_MESSAGES.WEBHOOK_NOT_FOUND,
+        id: WEBHOOK_ID,
+      });
+    });
+  });
+});
@@ -116,6 +116,23 @@ describe("CircuitBreaker", () => {
     it("should return false for isOpen when state does not exist", () => {
       expect(circuitBreaker.isOpen("https://nonexistent.com")).toBe(false);
     });
+
+    it("should track explicit keys separately from hostnames", () => {
+      const circuitKey = "staging";
+      for (
+        let i = 0;
+        i < FORWARDING_CONSTS.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+        i++
+      ) {
+        circuitBreaker.recordFailure(TARGET_URL, circuitKey);
+      }
+
+      expect(circuitBreaker.isOpen(INVALID_URL, circuitKey)).toBe(true);
+      expect(circuitBreaker.isOpen(TARGET_URL)).toBe(false);
+
+      circuitBreaker.recordSuccess(TARGET_URL, circuitKey);
+      expect(circuitBreaker.isOpen(TARGET_URL, circuitKey)).toBe(false);
+    });
   });
 
   describe("prune", () => {
@@ -0,0 +1,446 @@
+/**
+ * @file tests/unit/services/forward_outbox.test.js
+ * @description Unit tests for the durable forwarding outbox.
+ */
+
+import { jest } from "@jest/globals";
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import { useMockCleanup } from "../../setup/helpers/test-lifecycle.js";
+
+/**
+ * @typedef {import("../../../src/services/ForwardOutbox.js").ForwardOutbox} ForwardOutboxInstance
+ * @typedef {import("../../../src/services/ForwardOutbox.js").OutboxEnqueueInput} OutboxEnqueueInput
+ * @typedef {import("../../../src/typedefs.js").OutboxEntry} OutboxEntry
+ * @typedef {import("../../../src/typedefs.js").OutboxAttemptResult} OutboxAttemptResult
+ */
+
+await setupCommonMocks({ apify: true, logger: true, repositories: true });
+
+const { apifyMock, loggerMock, deliveryRepositoryMock } =
+  await import("../../setup/helpers/shared-mocks.js");
+const keyValueStoreMock = await apifyMock.openKeyValueStore();
+const { ForwardOutbox } =
+  await import("../../../src/services/ForwardOutbox.js");
+const { KVS_KEYS } = await import("../../../src/consts/storage.js");
+const {
+  DELIVERY_STATUSES,
+  FORWARDING_CONSTS,
+  OUTBOX_DEAD_REASONS,
+  OUTBOX_STATUSES,
+} = await import("../../../src/consts/app.js");
+const { HTTP_STATUS, MIME_TYPES } = await import("../../../src/consts/http.js");
+const { LOG_MESSAGES } = await import("../../../src/consts/messages.js");
+const { LOG_CONSTS } = await import("../../../src/consts/logging.js");
+
+const WEBHOOK_ID = "wh_outbox";
+const TARGET_URL = "https://target.example.com/hooks";
+const BODY = Buffer.from(JSON.stringify({ event: "invoice.paid" }));
+const LONG_AGO = "2020-01-01T00:00:00.000Z";
+const RETRY_AFTER_MS = 60000;
+
+/**
+ * @param {Partial<OutboxEnqueueInput>} [overrides]
+ * @returns {OutboxEnqueueInput}
+ */
+const buildInput = (overrides = {}) => ({
+  logId: "log_1",
+  webhookId: WEBHOOK_ID,
+  targetUrl: TARGET_URL,
+  headers: { "content-type": MIME_TYPES.JSON },
+  ...overrides,
+});
+
+/**
+ * @param {Partial<OutboxEntry>} [overrides]
+ * @returns {OutboxEntry}
+ */
+const buildSavedEntry = (overrides = {}) => ({
+  ...buildInput(),
+  id: "obx_saved",
+  bodyKey: "outbox_obx_saved",
+  bodySize: BODY.length,
+  status: OUTBOX_STATUSES.PENDING,
+  attempts: 0,
+  createdAt: new Date().toISOString(),
+  nextAttemptAt: LONG_AGO,
+  ...overrides,
+});
+
+/**
+ * Resolves the outbox index to `saved` and every body key to BODY.
+ * @param {unknown} saved
+ */
+const mockStoredState = (saved) => {
+  keyValueStoreMock.getValue.mockImplementation(async (key) =>
+    key === KVS_KEYS.FORWARD_OUTBOX ? saved : BODY,
+  );
+};
+
+describe("ForwardOutbox", () => {
+  useMockCleanup();
+
+  /** @type {ForwardOutboxInstance} */
+  let outbox;
+  /** @type {jest.Mock<(entry: OutboxEntry, body: Buffer) => Promise<OutboxAttemptResult>>} */
+  let deliver;
+
+  beforeEach(() => {
+    outbox = new ForwardOutbox();
+    deliver = jest.fn(async () => ({ delivered: true }));
+    apifyMock.openKeyValueStore.mockResolvedValue(keyValueStoreMock);
+    mockStoredState(null);
+    keyValueStoreMock.setValue.mockResolvedValue(undefined);
+    deliveryRepositoryMock.insertDelivery.mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    outbox.stop();
+  });
+
+  /**
+   * Starts the poller and waits for the initial run.
+   * @returns {Promise<void>}
+   */
+  const startAndDrain = async () => {
+    outbox.start(deliver);
+    await outbox.processDue();
+  };
+
+  describe("enqueue", () => {
+    it("should store the body separately and persist a scheduled entry", async () => {
+      const before = Date.now();
+      const entry = await outbox.enqueue(buildInput(), BODY);
+
+      expect(entry).toEqual(
+        expect.objectContaining({
+          logId: "log_1",
+          status: OUTBOX_STATUSES.PENDING,
+          attempts: 0,
+          bodySize: BODY.length,
+        }),
+      );
+      expect(entry).not.toHaveProperty("bodyKey");
+      expect(Date.parse(String(entry?.nextAttemptAt))).toBeGreaterThan(before);
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        `${FORWARDING_CONSTS.OUTBOX_BODY_KEY_PREFIX}${entry?.id}`,
+        BODY,
+        { contentType: MIME_TYPES.OCTET_STREAM },
+      );
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.FORWARD_OUTBOX,
+        [expect.objectContaining({ id: entry?.id })],
+      );
+    });
+
+    it("should evict the oldest dead letter when full, and drop forwards when only pending entries remain", async () => {
+      const saved = Array.from(
+        { length: FORWARDING_CONSTS.OUTBOX_MAX_ENTRIES },
+        (_, index) =>
+          buildSavedEntry({
+            id: `obx_${index}`,
+            bodyKey: `outbox_obx_${index}`,
+            nextAttemptAt: new Date(Date.now() + RETRY_AFTER_MS).toISOString(),
+            ...(index === 0 && {
+              status: OUTBOX_STATUSES.DEAD,
+              deadAt: LONG_AGO,
+            }),
+          }),
+      );
+      mockStoredState(saved);
+      await outbox.init();
+
+      expect(await outbox.enqueue(buildInput(), BODY)).not.toBeNull();
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        "outbox_obx_0",
+        null,
+      );
+      expect(outbox.getStats().dead).toBe(0);
+
+      expect(await outbox.enqueue(buildInput(), BODY)).toBeNull();
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        expect.any(Object),
+        LOG_MESSAGES.OUTBOX_FULL,
+      );
+    });
+  });
+
+  describe("init", () => {
+    it("should restore valid entries and skip invalid ones", async () => {
+      mockStoredState([buildSavedEntry(), { id: "obx_bad", status: "lost" }]);
+
+      await outbox.init();
+
+      expect(outbox.getStats()).toEqual({ pending: 1, dead: 0 });
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        { entryId: "obx_bad" },
+        LOG_MESSAGES.OUTBOX_ENTRY_SKIPPED,
+      );
+    });
+  });
+
+  describe("processing", () => {
+    it("should resume due entries on start and remove them once delivered", async () => {
+      mockStoredState([buildSavedEntry()]);
+      await outbox.init();
+
+      await startAndDrain();
+
+      expect(deliver).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "obx_saved" }),
+        BODY,
+      );
+      expect(outbox.getStats()).toEqual({ pending: 0, dead: 0 });
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        "outbox_obx_saved",
+        null,
+      );
+    });
+
+    it("should not attempt entries that are not yet due", async () => {
+      await outbox.enqueue(buildInput(), BODY);
+
+      await startAndDrain();
+
+      expect(deliver).not.toHaveBeenCalled();
+    });
+
+    it("should honour Retry-After when rescheduling a failed attempt", async () => {
+      deliver.mockResolvedValue({
+        delivered: false,
+        statusCode: HTTP_STATUS.TOO_MANY_REQUESTS,
+        error: "HTTP_429",
+        retryAfterMs: RETRY_AFTER_MS,
+      });
+      await outbox.enqueue(buildInput(), BODY, { retryAfterMs: 0 });
+      const before = Date.now();
+
+      await startAndDrain();
+
+      const lastPersist = keyValueStoreMock.setValue.mock.calls.at(-1) ?? [];
+      const [entry] = /** @type {OutboxEntry[]} */ (lastPersist[1]);
+      expect(entry).toEqual(
+        expect.objectContaining({
+          status: OUTBOX_STATUSES.PENDING,
+          attempts: 1,
+          lastStatusCode: HTTP_STATUS.TOO_MANY_REQUESTS,
+          lastError: "HTTP_429",
+        }),
+      );
+      expect(Date.parse(entry.nextAttemptAt)).toBeGreaterThanOrEqual(
+        before + RETRY_AFTER_MS,
+      );
+    });
+
+    it("should dead-letter permanent failures and record the outcome", async () => {
+      deliver.mockResolvedValue({
+        delivered: false,
+        permanent: true,
+        statusCode: HTTP_STATUS.BAD_REQUEST,
+      });
+      await outbox.enqueue(buildInput({ destinationId: "staging" }), BODY, {
+        retryAfterMs: 0,
+      });
+
+      await startAndDrain();
+
+      const { total, items } = outbox.listDeadLetters();
+      expect(total).toBe(1);
+      expect(items[0]).toEqual(
+        expect.objectContaining({
+          status: OUTBOX_STATUSES.DEAD,
+          deadReason: OUTBOX_DEAD_REASONS.PERMANENT_FAILURE,
+          attempts: 1,
+        }),
+      );
+      expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({
+          logId: "log_1",
+          destinationId: "staging",
+          status: DELIVERY_STATUSES.DEAD_LETTERED,
+          statusCode: HTTP_STATUS.BAD_REQUEST,
+          error: OUTBOX_DEAD_REASONS.PERMANENT_FAILURE,
+        }),
+      );
+    });
+
+    it("should dead-letter entries once the attempt budget is spent", async () => {
+      deliver.mockResolvedValue({ delivered: false, retryAfterMs: 0 });
+      await outbox.enqueue(buildInput(), BODY, { retryAfterMs: 0 });
+      outbox.start(deliver);
+
+      for (let i = 0; i < FORWARDING_CONSTS.OUTBOX_MAX_ATTEMPTS; i++) {
+        await outbox.processDue();
+      }
+
+      expect(deliver).toHaveBeenCalledTimes(
+        FORWARDING_CONSTS.OUTBOX_MAX_ATTEMPTS,
+      );
+      expect(outbox.listDeadLetters().items[0].deadReason).toBe(
+        OUTBOX_DEAD_REASONS.MAX_ATTEMPTS,
+      );
+    });
+
+    it("should dead-letter entries older than the max age without attempting them", async () => {
+      mockStoredState([buildSavedEntry({ createdAt: LONG_AGO })]);
+      await outbox.init();
+
+      await startAndDrain();
+
+      expect(deliver).not.toHaveBeenCalled();
+      expect(outbox.listDeadLetters().items[0].deadReason).toBe(
+        OUTBOX_DEAD_REASONS.MAX_AGE,
+      );
+    });
+  });
+
+  describe("inactive webhooks", () => {
+    it("should drop pending and dead entries of deleted webhooks without attempting them", async () => {
+      mockStoredState([
+        buildSavedEntry({
+          id: "obx_gone",
+          bodyKey: "outbox_obx_gone",
+          webhookId: "wh_gone",
+        }),
+        buildSavedEntry({
+          id: "obx_gone_dead",
+          webhookId: "wh_gone",
+          status: OUTBOX_STATUSES.DEAD,
+        }),
+        buildSavedEntry({ id: "obx_live" }),
+      ]);
+      await outbox.init();
+
+      outbox.start(deliver, (webhookId) => webhookId === WEBHOOK_ID);
+      await outbox.processDue();
+
+      expect(deliver).toHaveBeenCalledTimes(1);
+      expect(deliver).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "obx_live" }),
+        BODY,
+      );
+      expect(outbox.getStats()).toEqual({ pending: 0, dead: 0 });
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        "outbox_obx_gone",
+        null,
+      );
+    });
+
+    it("should skip an entry whose webhook is deleted during the batch", async () => {
+      let active = true;
+      deliver.mockImplementationOnce(async () => {
+        active = false;
+        return { delivered: true };
+      });
+      mockStoredState([
+        buildSavedEntry({ id: "obx_first" }),
+        buildSavedEntry({ id: "obx_second" }),
+      ]);
+      await outbox.init();
+
+      outbox.start(deliver, () => active);
+      await outbox.processDue();
+
+      expect(deliver).toHaveBeenCalledTimes(1);
+      expect(outbox.getStats()).toEqual({ pending: 0, dead: 0 });
+    });
+  });
+
+  describe("dead letters", () => {
+    it("should filter and paginate dead letters by webhook", async () => {
+      mockStoredState([
+        buildSavedEntry({
+          id: "obx_a",
+          status: OUTBOX_STATUSES.DEAD,
+          deadAt: "2026-01-01T00:00:00.000Z",
+        }),
+        buildSavedEntry({
+          id: "obx_b",
+          status: OUTBOX_STATUSES.DEAD,
+          deadAt: "2026-01-02T00:00:00.000Z",
+        }),
+        buildSavedEntry({
+          id: "obx_other",
+          webhookId: "wh_other",
+          status: OUTBOX_STATUSES.DEAD,
+        }),
+      ]);
+      await outbox.init();
+
+      const page = outbox.listDeadLetters({
+        webhookId: WEBHOOK_ID,
+        limit: 1,
+      });
+
+      expect(page.total).toBe(1 + 1);
+      expect(page.items.map((entry) => entry.id)).toEqual(["obx_b"]);
+    });
+
+    it("should mask credentials in listed entries but deliver the stored values", async () => {
+      const headers = {
+        "content-type": MIME_TYPES.JSON,
+        authorization: "Bearer sender-token",
+      };
+      const extraHeaders = { "X-Target-Key": "target-secret" };
+      mockStoredState([
+        buildSavedEntry({
+          status: OUTBOX_STATUSES.DEAD,
+          headers,
+          extraHeaders,
+        }),
+      ]);
+      await outbox.init();
+
+      const [listed] = outbox.listDeadLetters().items;
+      expect(listed.headers).toEqual({
+        "content-type": MIME_TYPES.JSON,
+        authorization: LOG_CONSTS.MASKED_VALUE,
+      });
+      expect(listed.extraHeaders).toEqual({
+        "X-Target-Key": LOG_CONSTS.MASKED_VALUE,
+      });
+      expect(await outbox.redrive("obx_saved")).toEqual(
+        expect.objectContaining({ extraHeaders: listed.extraHeaders }),
+      );
+
+      await startAndDrain();
+      expect(deliver).toHaveBeenCalledWith(
+        expect.objectContaining({ headers, extraHeaders }),
+        BODY,
+      );
+    });
+
+    it("should redrive a dead letter with a fresh budget", async () => {
+      mockStoredState([
+        buildSavedEntry({
+          status: OUTBOX_STATUSES.DEAD,
+          attempts: FORWARDING_CONSTS.OUTBOX_MAX_ATTEMPTS,
+          createdAt: LONG_AGO,
+          deadAt: LONG_AGO,
+          deadReason: OUTBOX_DEAD_REASONS.MAX_AGE,
+        }),
+      ]);
+      await outbox.init();
+
+      const entry = await outbox.redrive("obx_saved");
+      expect(entry).toEqual(
+        expect.objectContaining({
+          status: OUTBOX_STATUSES.PENDING,
+          attempts: 0,
+          deadReason: null,
+        }),
+      );
+
+      await startAndDrain();
+      expect(deliver).toHaveBeenCalledTimes(1);
+      expect(outbox.getStats()).toEqual({ pending: 0, dead: 0 });
+    });
+
+    it("should not redrive unknown or pending entries", async () => {
+      mockStoredState([buildSavedEntry()]);
+      await outbox.init();
+
+      expect(await outbox.redrive("obx_saved")).toBeUndefined();
+      expect(await outbox.redrive("obx_missing")).toBeUndefined();
+    });
+  });
+});
@@ -21,6 +21,7 @@ import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
  * @typedef {import("../../../src/typedefs.js").WebhookEvent} WebhookEvent
  * @typedef {import("../../setup/helpers/shared-mocks.js").AxiosMock} AxiosMock
  * @typedef {import("../../../src/typedefs.js").CustomRequest} CustomRequest
+ * @typedef {import("../../../src/typedefs.js").ForwardDestination} ForwardDestination
  */
 
 await setupCommonMocks({
@@ -29,10 +30,17 @@ await setupCommonMocks({
   ssrf: true,
   logger: true,
   consts: true,
+  repositories: true,
 });
 
-const { FORWARDING_CONSTS, APP_CONSTS } =
-  await import("../../../src/consts/app.js");
+const {
+  FORWARDING_CONSTS,
+  APP_CONSTS,
+  DELIVERY_KINDS,
+  DELIVERY_STATUSES,
+  FORWARD_MODES,
+  QUERY_PARAMS,
+} = await import("../../../src/consts/app.js");
 const {
   HTTP_STATUS,
   HTTP_METHODS,
@@ -42,13 +50,15 @@ const {
   HTTP_STATUS_MESSAGES,
   MIME_TYPES,
 } = await import("../../../src/consts/http.js");
-const { ERROR_MESSAGES, ERROR_LABELS } =
+const { ERROR_MESSAGES, ERROR_LABELS, SIGNATURE_ERRORS } =
   await import("../../../src/consts/errors.js");
 const { LOG_MESSAGES } = await import("../../../src/consts/messages.js");
-const { axiosMock, apifyMock, ssrfMock, loggerMock } =
+const { axiosMock, apifyMock, ssrfMock, loggerMock, deliveryRepositoryMock } =
   await import("../../setup/helpers/shared-mocks.js");
 const { ForwardingService } =
   await import("../../../src/services/ForwardingService.js");
+const { SIGNATURE_PROVIDERS } = await import("../../../src/consts/security.js");
+const { verifySignature } = await import("../../../src/utils/signature.js");
 
 const DEFAULT_MAX_RETRIES = 3;
 const SHORT_MAX_RETRIES = 2;
@@ -60,6 +70,8 @@ const TEST_BAD_URL = "https://bad.com";
 const TEST_URL_HOST = "example.com";
 const TEST_URL_HTTP = `http://${TEST_URL_HOST}/hook`;
 const TEST_URL_HTTPS = `https://${TEST_URL_HOST}/hook`;
+const FORWARD_SECRET = "forward-secret";
+const SSRF_BLOCK_REASON = "Private IP";
 
 describe("ForwardingService", () => {
   useMockCleanup();
@@ -189,6 +201,47 @@ describe("ForwardingService", () => {
       expect(reqConfig.headers).toHaveProperty(HTTP_HEADERS.HOST, newHost);
     });
 
+    it("should re-sign the serialized body and replace the original signature", async () => {
+      mockAxiosInstance.request.mockResolvedValue({ status: HTTP_STATUS.OK });
+      const signing = {
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        secret: FORWARD_SECRET,
+      };
+
+      await service.sendSafeRequest(
+        defaultUrl,
+        HTTP_METHODS.POST,
+        { ok: 1 },
+        { "X-Hub-Signature-256": "sha256=original" },
+        { signing },
+      );
+
+      const reqConfig = mockAxiosInstance.request.mock.calls[0][0];
+      expect(reqConfig.data).toBe('{"ok":1}');
+      expect(reqConfig.headers).not.toHaveProperty("X-Hub-Signature-256");
+      expect(
+        verifySignature(signing, reqConfig.data, reqConfig.headers).valid,
+      ).toBe(true);
+    });
+
+    it("should not retry when the signing config is unusable", async () => {
+      await expect(
+        service.sendSafeRequest(
+          defaultUrl,
+          HTTP_METHODS.POST,
+          {},
+          {},
+          {
+            signing: assertType({
+              provider: SIGNATURE_PROVIDERS.CUSTOM,
+              secret: FORWARD_SECRET,
+            }),
+          },
+        ),
+      ).rejects.toThrow(SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED);
+      expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+    });
+
     it("should immediately throw ERROR_MESSAGES.ABORTED if signal is pre-aborted", async () => {
       const abortController = new AbortController();
       abortController.abort();
@@ -650,6 +703,30 @@ describe("ForwardingService", () => {
       );
     });
 
+    it("should sign forwards with options.forwardSigning and the event ID", async () => {
+      mockAxiosInstance.request.mockResolvedValue({ status: HTTP_STATUS.OK });
+      const forwardSigning = {
+        provider: SIGNATURE_PROVIDERS.STANDARD_WEBHOOKS,
+        secret: Buffer.from(FORWARD_SECRET).toString("base64"),
+      };
+
+      await service.forwardWebhook(
+        mockEvent,
+        mockReq,
+        { ...mockOptions, forwardSigning },
+        TEST_URL_HTTP,
+      );
+
+      const reqConfig = mockAxiosInstance.request.mock.calls[0][0];
+      expect(reqConfig.headers[HTTP_HEADERS.STANDARD_WEBHOOK_ID]).toBe(
+        mockEvent.id,
+      );
+      expect(
+        verifySignature(forwardSigning, reqConfig.data, reqConfig.headers)
+          .valid,
+      ).toBe(true);
+    });
+
     it("should push error data to Actor when sending fails", async () => {
       /** @type {CommonError} */
       const err = new Error("Network timeout");
@@ -906,6 +983,558 @@ describe("ForwardingService", () => {
       expect(mockAxiosInstance.request).toHaveBeenCalledTimes(requestedCount);
     });
 
+    describe("delivery records", () => {
+      it("should record a delivered forward with status code, attempts and latency", async () => {
+        mockAxiosInstance.request.mockResolvedValue({
+          status: HTTP_STATUS.ACCEPTED,
+        });
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+
+        expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith({
+          logId: mockEvent.id,
+          webhookId: mockEvent.webhookId,
+          kind: DELIVERY_KINDS.FORWARD,
+          targetUrl: TEST_URL_HTTP,
+          status: DELIVERY_STATUSES.DELIVERED,
+          statusCode: HTTP_STATUS.ACCEPTED,
+          attempts: 1,
+          durationMs: expect.any(Number),
+        });
+      });
+
+      it("should record a failed forward with the target status and sanitized error", async () => {
+        /** @type {CommonError} */
+        const err = new Error(ERROR_LABELS.FORBIDDEN);
+        err.response = { status: HTTP_STATUS.FORBIDDEN };
+        err.isHttpError = true;
+        err.code = `${FORWARDING_CONSTS.HTTP_PREFIX}${HTTP_STATUS.FORBIDDEN}`;
+        mockAxiosInstance.request.mockRejectedValue(err);
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+
+        expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+          expect.objectContaining({
+            status: DELIVERY_STATUSES.FAILED,
+            statusCode: HTTP_STATUS.FORBIDDEN,
+            attempts: 1,
+            error: err.code,
+          }),
+        );
+        expect(apifyMock.pushData).toHaveBeenCalled();
+      });
+
+      it("should record skipped forwards with the reason", async () => {
+        for (let i = 0; i < CIRCUIT_BREAKER_FAILURE_COUNT; i++)
+          service.circuitBreaker.recordFailure(TEST_BAD_URL);
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_BAD_URL,
+        );
+
+        ssrfMock.validateUrlForSsrf.mockResolvedValueOnce({
+          safe: false,
+          error: SSRF_BLOCK_REASON,
+        });
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+
+        mockReq.headers[HTTP_HEADERS.CONTENT_LENGTH] = String(
+          APP_CONSTS.MAX_ALLOWED_PAYLOAD_SIZE + MOCK_CONTENT_LENGTH,
+        );
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+
+        expect(
+          deliveryRepositoryMock.insertDelivery.mock.calls.map(([d]) => [
+            d.status,
+            d.error,
+          ]),
+        ).toEqual([
+          [DELIVERY_STATUSES.CIRCUIT_OPEN, undefined],
+          [DELIVERY_STATUSES.SSRF_BLOCKED, SSRF_BLOCK_REASON],
+          [DELIVERY_STATUSES.PAYLOAD_TOO_LARGE, undefined],
+        ]);
+        expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+      });
+
+      it("should log and swallow failures to record a delivery", async () => {
+        mockAxiosInstance.request.mockResolvedValue({ status: HTTP_STATUS.OK });
+        deliveryRepositoryMock.insertDelivery.mockRejectedValueOnce(
+          new Error("db down"),
+        );
+
+        await expect(
+          service.forwardWebhook(
+            mockEvent,
+            mockReq,
+            mockOptions,
+            TEST_URL_HTTP,
+          ),
+        ).resolves.toBeUndefined();
+
+        expect(loggerMock.error).toHaveBeenCalledWith(
+          expect.objectContaining({ logId: mockEvent.id }),
+          LOG_MESSAGES.DELIVERY_RECORD_FAILED,
+        );
+      });
+    });
+
+    describe("fan-out destinations", () => {
+      const DESTINATION_ID = "staging";
+      const CIRCUIT_KEY = "shared-staging";
+      const DROPPED_HEADER = "x-internal-token";
+      const SOURCE_HEADER = "x-source";
+
+      /** @type {ForwardDestination} */
+      const destination = {
+        id: DESTINATION_ID,
+        url: TEST_URL_HTTPS,
+        enabled: true,
+        match: {},
+        forwardHeaders: false,
+        setHeaders: { [SOURCE_HEADER]: "debugger" },
+        removeHeaders: [DROPPED_HEADER],
+        maxRetries: SHORT_MAX_RETRIES,
+        circuitBreakerKey: CIRCUIT_KEY,
+      };
+
+      it("should apply the destination policy and record its id", async () => {
+        const sendSpy = jest
+          .spyOn(service, "sendSafeRequest")
+          .mockResolvedValue(assertType({ status: HTTP_STATUS.OK }));
+        mockReq.headers[DROPPED_HEADER] = "secret";
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          destination.url,
+          undefined,
+          destination,
+        );
+
+        const [, , , headers, options] = sendSpy.mock.calls[0];
+        expect(headers).not.toHaveProperty(DROPPED_HEADER);
+        expect(options).toEqual(
+          expect.objectContaining({
+            maxRetries: SHORT_MAX_RETRIES,
+            forwardHeaders: false,
+            extraHeaders: destination.setHeaders,
+            circuitBreakerKey: CIRCUIT_KEY,
+          }),
+        );
+        expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+          expect.objectContaining({
+            destinationId: DESTINATION_ID,
+            status: DELIVERY_STATUSES.DELIVERED,
+          }),
+        );
+      });
+
+      it("should send set headers even when original headers are dropped", async () => {
+        mockAxiosInstance.request.mockResolvedValue({ status: HTTP_STATUS.OK });
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          destination.url,
+          undefined,
+          destination,
+        );
+
+        expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+          expect.objectContaining({
+            headers: expect.objectContaining({
+              [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON,
+              [SOURCE_HEADER]: "debugger",
+            }),
+          }),
+        );
+      });
+
+      it("should skip the destination while its circuit key is open", async () => {
+        for (let i = 0; i < CIRCUIT_BREAKER_FAILURE_COUNT; i++)
+          service.circuitBreaker.recordFailure(TEST_BAD_URL, CIRCUIT_KEY);
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          destination.url,
+          undefined,
+          destination,
+        );
+
+        expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+        expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+          expect.objectContaining({
+            destinationId: DESTINATION_ID,
+            status: DELIVERY_STATUSES.CIRCUIT_OPEN,
+          }),
+        );
+        expect(service.circuitBreaker.isOpen(TEST_URL_HTTPS)).toBe(false);
+      });
+    });
+
+    describe("forwarding modes", () => {
+      const SUB_PATH = ["orders", "42"];
+
+      beforeEach(() => {
+        mockReq = createMockRequest({
+          method: HTTP_METHODS.PATCH,
+          params: { id: mockEvent.webhookId, path: SUB_PATH },
+          originalUrl: `/webhook/${mockEvent.webhookId}/orders/42?event=updated&${QUERY_PARAMS.STATUS}=500`,
+          headers: {
+            [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON,
+            "x-event": "order.updated",
+          },
+          body: { test: "data" },
+        });
+        mockAxiosInstance.request.mockResolvedValue({ status: HTTP_STATUS.OK });
+        ssrfMock.validateUrlForSsrf.mockImplementation(async (url) => ({
+          safe: true,
+          href: url,
+          host: TEST_URL_HOST,
+        }));
+      });
+
+      it("should keep POST and the configured URL by default", async () => {
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTPS,
+        );
+
+        expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+          expect.objectContaining({
+            method: HTTP_METHODS.POST,
+            url: TEST_URL_HTTPS,
+          }),
+        );
+      });
+
+      it("should proxy the method, sub-path, and query transparently", async () => {
+        const expectedUrl = `${TEST_URL_HTTPS}/orders/42?event=updated`;
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          { ...mockOptions, forwardMode: FORWARD_MODES.TRANSPARENT },
+          TEST_URL_HTTPS,
+        );
+
+        expect(ssrfMock.validateUrlForSsrf).toHaveBeenCalledWith(expectedUrl);
+        expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+          expect.objectContaining({
+            method: HTTP_METHODS.PATCH,
+            url: expectedUrl,
+          }),
+        );
+        expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+          expect.objectContaining({ targetUrl: expectedUrl }),
+        );
+      });
+
+      it("should render a destination template URL over the webhook mode", async () => {
+        /** @type {ForwardDestination} */
+        const destination = {
+          id: "by-event",
+          url: `https://${TEST_URL_HOST}/{{webhookId}}/{{headers.x-event}}`,
+          mode: FORWARD_MODES.TEMPLATE,
+          enabled: true,
+          match: {},
+        };
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          { ...mockOptions, forwardMode: FORWARD_MODES.TRANSPARENT },
+          destination.url,
+          undefined,
+          destination,
+        );
+
+        expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+          expect.objectContaining({
+            method: HTTP_METHODS.PATCH,
+            url: `https://${TEST_URL_HOST}/${mockEvent.webhookId}/order.updated`,
+          }),
+        );
+      });
+
+      it("should apply the SSRF check to the final URL", async () => {
+        ssrfMock.validateUrlForSsrf.mockResolvedValueOnce({
+          safe: false,
+          error: SSRF_BLOCK_REASON,
+        });
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          { ...mockOptions, forwardMode: FORWARD_MODES.TRANSPARENT },
+          TEST_URL_HTTPS,
+        );
+
+        expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+        expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+          expect.objectContaining({
+            targetUrl: `${TEST_URL_HTTPS}/orders/42?event=updated`,
+            status: DELIVERY_STATUSES.SSRF_BLOCKED,
+          }),
+        );
+      });
+    });
+
+    describe("durable outbox", () => {
+      const RETRY_AFTER_SECONDS = 30;
+      const MS_PER_SECOND = 1000;
+      const AUTH_VALUE = "Bearer token";
+
+      /** @type {{ enqueue: jest.Mock<any> }} */
+      let outbox;
+
+      /**
+       * @param {number} status
+       * @param {Record<string, string>} [headers]
+       * @returns {CommonError}
+       */
+      const httpError = (status, headers = {}) =>
+        assertType({
+          isHttpError: true,
+          code: `${FORWARDING_CONSTS.HTTP_PREFIX}${status}`,
+          response: { status, headers },
+        });
+
+      beforeEach(() => {
+        outbox = { enqueue: jest.fn() };
+        service = new ForwardingService({ outbox: assertType(outbox) });
+        mockAxiosInstance = axiosMock.create();
+        mockReq.headers[HTTP_HEADERS.AUTHORIZATION] = AUTH_VALUE;
+      });
+
+      it("should queue retryable failures with filtered headers and Retry-After", async () => {
+        jest.spyOn(service, "sendSafeRequest").mockRejectedValue(
+          httpError(HTTP_STATUS.SERVICE_UNAVAILABLE, {
+            "retry-after": String(RETRY_AFTER_SECONDS),
+          }),
+        );
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+
+        expect(outbox.enqueue).toHaveBeenCalledWith(
+          expect.objectContaining({
+            logId: mockEvent.id,
+            webhookId: mockEvent.webhookId,
+            targetUrl: TEST_URL_HTTP,
+            method: HTTP_METHODS.POST,
+            headers: { [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON },
+            lastStatusCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+            lastError: `${FORWARDING_CONSTS.HTTP_PREFIX}${HTTP_STATUS.SERVICE_UNAVAILABLE}`,
+          }),
+          Buffer.from(JSON.stringify(mockReq.body)),
+          { retryAfterMs: RETRY_AFTER_SECONDS * MS_PER_SECOND },
+        );
+      });
+
+      it("should queue refused connections but not client errors", async () => {
+        const refused = assertType({ code: "ECONNREFUSED" });
+        jest
+          .spyOn(service, "sendSafeRequest")
+          .mockRejectedValueOnce(refused)
+          .mockRejectedValueOnce(httpError(HTTP_STATUS.BAD_REQUEST));
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+
+        expect(outbox.enqueue).toHaveBeenCalledTimes(1);
+      });
+
+      it("should queue forwards skipped by an open circuit until it half-opens", async () => {
+        for (let i = 0; i < CIRCUIT_BREAKER_FAILURE_COUNT; i++)
+          service.circuitBreaker.recordFailure(TEST_BAD_URL);
+
+        await service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_BAD_URL,
+        );
+
+        expect(outbox.enqueue).toHaveBeenCalledWith(
+          expect.objectContaining({
+            targetUrl: TEST_BAD_URL,
+            lastError: DELIVERY_STATUSES.CIRCUIT_OPEN,
+          }),
+          expect.any(Buffer),
+          {
+            retryAfterMs: FORWARDING_CONSTS.CIRCUIT_BREAKER_RESET_TIMEOUT_MS,
+          },
+        );
+      });
+
+      it("should hand in-flight forwards to the outbox once on suspension", async () => {
+        /** @type {(reason: unknown) => void} */
+        let failSend = () => {};
+        jest.spyOn(service, "sendSafeRequest").mockReturnValue(
+          new Promise((_resolve, reject) => {
+            failSend = reject;
+          }),
+        );
+
+        const forwarding = service.forwardWebhook(
+          mockEvent,
+          mockReq,
+          mockOptions,
+          TEST_URL_HTTP,
+        );
+        await flushPromises();
+        await service.suspendInFlight();
+
+        expect(outbox.enqueue).toHaveBeenCalledWith(
+          expect.objectContaining({ lastError: ERROR_MESSAGES.ABORTED }),
+          expect.any(Buffer),
+          { retryAfterMs: 0 },
+        );
+
+        failSend(httpError(HTTP_STATUS.SERVICE_UNAVAILABLE));
+        await forwarding;
+        expect(outbox.enqueue).toHaveBeenCalledTimes(1);
+      });
+
+      describe("redeliver()", () => {
+        const body = Buffer.from(JSON.stringify({ test: "data" }));
+        /** @type {import("../../../src/typedefs.js").OutboxEntry} */
+        const entry = {
+          id: "obx_1",
+          logId: mockEvent.id,
+          webhookId: mockEvent.webhookId,
+          destinationId: "staging",
+          targetUrl: TEST_URL_HTTP,
+          headers: { [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON },
+          extraHeaders: { "x-source": "debugger" },
+          bodyKey: "outbox_obx_1",
+          bodySize: body.length,
+          status: "pending",
+          attempts: 1,
+          createdAt: new Date().toISOString(),
+          nextAttemptAt: new Date().toISOString(),
+        };
+
+        it("should make a single attempt with the stored body and record it", async () => {
+          mockAxiosInstance.request.mockResolvedValue({
+            status: HTTP_STATUS.OK,
+          });
+
+          const result = await service.redeliver(entry, body);
+
+          expect(result).toEqual({
+            delivered: true,
+            statusCode: HTTP_STATUS.OK,
+          });
+          expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+            expect.objectContaining({
+              method: HTTP_METHODS.POST,
+              data: body,
+              headers: expect.objectContaining({ "x-source": "debugger" }),
+            }),
+          );
+          expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+            expect.objectContaining({
+              destinationId: "staging",
+              status: DELIVERY_STATUSES.DELIVERED,
+              attempts: 1,
+            }),
+          );
+        });
+
+        it("should resend with the method the forward was queued with", async () => {
+          mockAxiosInstance.request.mockResolvedValue({
+            status: HTTP_STATUS.OK,
+          });
+
+          await service.redeliver({ ...entry, method: HTTP_METHODS.PUT }, body);
+
+          expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+            expect.objectContaining({ method: HTTP_METHODS.PUT }),
+          );
+        });
+
+        it("should classify failures for the outbox", async () => {
+          mockAxiosInstance.request
+            .mockResolvedValueOnce({
+              status: HTTP_STATUS.TOO_MANY_REQUESTS,
+              headers: { "retry-after": String(RETRY_AFTER_SECONDS) },
+            })
+            .mockResolvedValueOnce({ status: HTTP_STATUS.BAD_REQUEST });
+
+          expect(await service.redeliver(entry, body)).toEqual(
+            expect.objectContaining({
+              delivered: false,
+              permanent: false,
+              statusCode: HTTP_STATUS.TOO_MANY_REQUESTS,
+              retryAfterMs: RETRY_AFTER_SECONDS * MS_PER_SECOND,
+            }),
+          );
+          expect(await service.redeliver(entry, body)).toEqual(
+            expect.objectContaining({ delivered: false, permanent: true }),
+          );
+          expect(mockAxiosInstance.request).toHaveBeenCalledTimes(1 + 1);
+        });
+
+        it("should treat an SSRF-blocked target as permanent", async () => {
+          ssrfMock.validateUrlForSsrf.mockResolvedValueOnce({
+            safe: false,
+            error: SSRF_BLOCK_REASON,
+          });
+
+          expect(await service.redeliver(entry, body)).toEqual({
+            delivered: false,
+            permanent: true,
+            error: SSRF_BLOCK_REASON,
+          });
+          expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+        });
+      });
+    });
+
     describe("hardening (audit feedback)", () => {
       it("should clear Prior circuit breaker failures on success (recordSuccess)", async () => {
         const url = TEST_URL_HTTPS;
@@ -1063,4 +1692,158 @@ describe("ForwardingService", () => {
       });
     });
   });
+
+  describe("proxyRequest()", () => {
+    const mockEvent = assertType({ id: "ev_proxy", webhookId: "wh_1" });
+    const proxyOptions = {
+      forwardHeaders: true,
+      syncProxyTimeoutMs: APP_CONSTS.DEFAULT_SYNC_PROXY_TIMEOUT_MS,
+    };
+    const upstreamBody = Buffer.from('{"ok":true}');
+
+    /** @type {CustomRequest} */
+    let mockReq;
+    beforeEach(() => {
+      mockReq = createMockRequest({
+        headers: { [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON },
+        body: { test: "data" },
+      });
+    });
+
+    it("should return the raw response without hop-by-hop headers and record a proxy delivery", async () => {
+      mockAxiosInstance.request.mockResolvedValue({
+        status: HTTP_STATUS.CREATED,
+        headers: {
+          [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON,
+          [HTTP_HEADERS.CONTENT_LENGTH]: String(upstreamBody.length),
+          [HTTP_HEADERS.CONNECTION]: "keep-alive",
+          [HTTP_HEADERS.SET_COOKIE]: ["a=1", "b=2"],
+        },
+        data: upstreamBody,
+      });
+
+      const result = await service.proxyRequest(
+        mockEvent,
+        mockReq,
+        proxyOptions,
+        TEST_URL_HTTP,
+      );
+
+      expect(result).toEqual({
+        targetUrl: TEST_URL_HTTP,
+        durationMs: expect.any(Number),
+        response: {
+          status: HTTP_STATUS.CREATED,
+          headers: {
+            [HTTP_HEADERS.CONTENT_TYPE]: MIME_TYPES.JSON,
+            [HTTP_HEADERS.SET_COOKIE]: ["a=1", "b=2"],
+          },
+          body: upstreamBody,
+        },
+      });
+      expect(mockAxiosInstance.request).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: HTTP_METHODS.POST,
+          timeout: APP_CONSTS.DEFAULT_SYNC_PROXY_TIMEOUT_MS,
+          responseType: "arraybuffer",
+          maxContentLength: FORWARDING_CONSTS.PROXY_MAX_RESPONSE_BYTES,
+          signal: expect.any(AbortSignal),
+        }),
+      );
+      expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith({
+        logId: mockEvent.id,
+        webhookId: mockEvent.webhookId,
+        kind: DELIVERY_KINDS.PROXY,
+        targetUrl: TEST_URL_HTTP,
+        status: DELIVERY_STATUSES.DELIVERED,
+        statusCode: HTTP_STATUS.CREATED,
+        attempts: 1,
+        durationMs: expect.any(Number),
+        error: null,
+      });
+    });
+
+    it("should relay non-2xx responses and record them as failed", async () => {
+      mockAxiosInstance.request.mockResolvedValue({
+        status: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        headers: { [HTTP_HEADERS.RETRY_AFTER]: "30" },
+        data: Buffer.from("busy"),
+      });
+
+      const result = await service.proxyRequest(
+        mockEvent,
+        mockReq,
+        proxyOptions,
+        TEST_URL_HTTP,
+      );
+
+      expect(result.response?.status).toBe(HTTP_STATUS.SERVICE_UNAVAILABLE);
+      expect(result.response?.headers).toEqual({
+        [HTTP_HEADERS.RETRY_AFTER.toLowerCase()]: "30",
+      });
+      expect(result.error).toBeUndefined();
+      expect(mockAxiosInstance.request).toHaveBeenCalledTimes(1);
+      expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: DELIVERY_KINDS.PROXY,
+          status: DELIVERY_STATUSES.FAILED,
+          statusCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        }),
+      );
+    });
+
+    it("should return an error without retrying or queueing when the target does not answer", async () => {
+      const outbox = assertType({ enqueue: jest.fn() });
+      service = new ForwardingService({ outbox });
+      /** @type {CommonError} */
+      const err = new Error("timeout of 10000ms exceeded");
+      err.code = FORWARDING_CONSTS.TIMEOUT_CODE;
+      mockAxiosInstance.request.mockRejectedValue(err);
+
+      const result = await service.proxyRequest(
+        mockEvent,
+        mockReq,
+        proxyOptions,
+        TEST_URL_HTTP,
+      );
+
+      expect(result).toEqual({
+        targetUrl: TEST_URL_HTTP,
+        durationMs: expect.any(Number),
+        error: FORWARDING_CONSTS.TIMEOUT_CODE,
+      });
+      expect(mockAxiosInstance.request).toHaveBeenCalledTimes(1);
+      expect(outbox.enqueue).not.toHaveBeenCalled();
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ error: FORWARDING_CONSTS.TIMEOUT_CODE }),
+        LOG_MESSAGES.SYNC_PROXY_FALLBACK,
+      );
+    });
+
+    it("should skip the call when the URL fails SSRF validation", async () => {
+      ssrfMock.validateUrlForSsrf.mockResolvedValue({
+        safe: false,
+        error: SSRF_BLOCK_REASON,
+      });
+
+      const result = await service.proxyRequest(
+        mockEvent,
+        mockReq,
+        proxyOptions,
+        TEST_URL_HTTP,
+      );
+
+      expect(result.error).toBe(DELIVERY_STATUSES.SSRF_BLOCKED);
+      expect(result.response).toBeUndefined();
+      expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+      expect(deliveryRepositoryMock.insertDelivery).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: DELIVERY_KINDS.PROXY,
+          status: DELIVERY_STATUSES.SSRF_BLOCKED,
+          attempts: 0,
+          error: SSRF_BLOCK_REASON,
+        }),
+      );
+    });
+  });
 });
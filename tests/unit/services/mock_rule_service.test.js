@@ -0,0 +1,221 @@
+/**
+ * @file tests/unit/services/mock_rule_service.test.js
+ * @description Unit tests for the MockRuleService class.
+ */
+
+import { jest } from "@jest/globals";
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import { useMockCleanup } from "../../setup/helpers/test-lifecycle.js";
+
+/**
+ * @typedef {import("../../../src/services/MockRuleService.js").MockRuleService} MockRuleServiceInstance
+ * @typedef {import("../../../src/typedefs.js").MockRuleDefinition} MockRuleDefinition
+ */
+
+await setupCommonMocks({ apify: true, logger: true });
+
+const { apifyMock, loggerMock } =
+  await import("../../setup/helpers/shared-mocks.js");
+const keyValueStoreMock = await apifyMock.openKeyValueStore();
+const { MockRuleService } =
+  await import("../../../src/services/MockRuleService.js");
+const { KVS_KEYS } = await import("../../../src/consts/storage.js");
+const { APP_CONSTS, MOCK_RULE_ID_PREFIX } =
+  await import("../../../src/consts/app.js");
+const { HTTP_STATUS, HTTP_METHODS } =
+  await import("../../../src/consts/http.js");
+const { ERROR_MESSAGES } = await import("../../../src/consts/errors.js");
+const { LOG_MESSAGES } = await import("../../../src/consts/messages.js");
+
+const WEBHOOK_ID = "wh_scoped";
+const LOW_PRIORITY = 10;
+const HIGH_PRIORITY = 1;
+
+/**
+ * @param {Partial<MockRuleDefinition>} [overrides]
+ * @returns {MockRuleDefinition}
+ */
+const buildDefinition = (overrides = {}) => ({
+  priority: 0,
+  enabled: true,
+  match: {},
+  response: { status: HTTP_STATUS.OK },
+  ...overrides,
+});
+
+const request = {
+  webhookId: WEBHOOK_ID,
+  method: HTTP_METHODS.POST,
+  path: `/webhook/${WEBHOOK_ID}`,
+  headers: {},
+  query: {},
+  body: {},
+};
+
+describe("MockRuleService", () => {
+  useMockCleanup();
+
+  /** @type {MockRuleServiceInstance} */
+  let service;
+
+  beforeEach(() => {
+    service = new MockRuleService();
+    apifyMock.openKeyValueStore.mockResolvedValue(keyValueStoreMock);
+    keyValueStoreMock.getValue.mockResolvedValue(null);
+    keyValueStoreMock.setValue.mockResolvedValue(undefined);
+  });
+
+  describe("init", () => {
+    it("should restore valid rules and skip invalid ones", async () => {
+      keyValueStoreMock.getValue.mockResolvedValue([
+        { id: "rule_b", priority: LOW_PRIORITY, response: {} },
+        { id: "rule_a", priority: HIGH_PRIORITY, response: {} },
+        { id: "rule_bad", response: { status: "nope" } },
+        { response: {} },
+      ]);
+
+      await service.init();
+
+      expect(keyValueStoreMock.getValue).toHaveBeenCalledWith(
+        KVS_KEYS.MOCK_RULES,
+      );
+      expect(service.listRules().map((r) => r.id)).toEqual([
+        "rule_a",
+        "rule_b",
+      ]);
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ ruleId: "rule_bad" }),
+        LOG_MESSAGES.MOCK_RULE_SKIPPED,
+      );
+    });
+
+    it("should log and keep an empty rule set when the store fails", async () => {
+      apifyMock.openKeyValueStore.mockRejectedValueOnce(new Error("KVS down"));
+
+      await service.init();
+
+      expect(service.listRules()).toEqual([]);
+      expect(loggerMock.error).toHaveBeenCalledWith(
+        expect.any(Object),
+        LOG_MESSAGES.MOCK_RULES_INIT_FAILED,
+      );
+    });
+  });
+
+  describe("CRUD", () => {
+    it("should create a rule with generated metadata and persist it", async () => {
+      const rule = await service.createRule(buildDefinition());
+
+      expect(rule.id.startsWith(MOCK_RULE_ID_PREFIX)).toBe(true);
+      expect(rule).toEqual(
+        expect.objectContaining({
+          hits: 0,
+          lastHitAt: null,
+          createdAt: expect.any(String),
+        }),
+      );
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.MOCK_RULES,
+        [expect.objectContaining({ id: rule.id })],
+      );
+    });
+
+    it("should enforce the rule limit", async () => {
+      for (let i = 0; i < APP_CONSTS.MAX_MOCK_RULES; i++) {
+        await service.createRule(buildDefinition());
+      }
+
+      await expect(service.createRule(buildDefinition())).rejects.toThrow(
+        ERROR_MESSAGES.MOCK_RULE_LIMIT_REACHED(APP_CONSTS.MAX_MOCK_RULES),
+      );
+    });
+
+    it("should replace a definition while keeping id, createdAt, and hits", async () => {
+      const created = await service.createRule(buildDefinition());
+      service.recordHit(created.id);
+
+      const updated = await service.updateRule(
+        created.id,
+        buildDefinition({ enabled: false }),
+      );
+
+      expect(updated).toEqual(
+        expect.objectContaining({
+          id: created.id,
+          createdAt: created.createdAt,
+          enabled: false,
+          hits: 1,
+        }),
+      );
+      expect(
+        await service.updateRule("rule_missing", buildDefinition()),
+      ).toBeUndefined();
+    });
+
+    it("should delete rules and report unknown IDs", async () => {
+      const created = await service.createRule(buildDefinition());
+
+      expect(await service.deleteRule(created.id)).toBe(true);
+      expect(await service.deleteRule(created.id)).toBe(false);
+      expect(service.getRule(created.id)).toBeUndefined();
+    });
+
+    it("should filter by webhook while keeping global rules", async () => {
+      const global = await service.createRule(buildDefinition());
+      const scoped = await service.createRule(
+        buildDefinition({ webhookId: WEBHOOK_ID }),
+      );
+      await service.createRule(buildDefinition({ webhookId: "wh_other" }));
+
+      expect(
+        service.listRules({ webhookId: WEBHOOK_ID }).map((r) => r.id),
+      ).toEqual([global.id, scoped.id]);
+    });
+  });
+
+  describe("reorderRules", () => {
+    it("should apply priorities and return the new evaluation order", async () => {
+      const first = await service.createRule(buildDefinition());
+      const second = await service.createRule(buildDefinition());
+
+      const rules = await service.reorderRules([
+        { id: first.id, priority: LOW_PRIORITY },
+        { id: second.id, priority: HIGH_PRIORITY },
+      ]);
+
+      expect(rules.map((r) => r.id)).toEqual([second.id, first.id]);
+    });
+
+    it("should reject unknown IDs without changing anything", async () => {
+      const first = await service.createRule(buildDefinition());
+      jest.mocked(keyValueStoreMock.setValue).mockClear();
+
+      await expect(
+        service.reorderRules([
+          { id: first.id, priority: LOW_PRIORITY },
+          { id: "rule_missing", priority: HIGH_PRIORITY },
+        ]),
+      ).rejects.toThrow(ERROR_MESSAGES.UNKNOWN_MOCK_RULE_IDS(["rule_missing"]));
+      expect(service.getRule(first.id)?.priority).toBe(0);
+      expect(keyValueStoreMock.setValue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("findMatch and recordHit", () => {
+    it("should return the highest-priority matching rule and count hits", async () => {
+      await service.createRule(buildDefinition({ priority: LOW_PRIORITY }));
+      const preferred = await service.createRule(
+        buildDefinition({ priority: HIGH_PRIORITY }),
+      );
+
+      const match = service.findMatch(request);
+      expect(match?.id).toBe(preferred.id);
+
+      service.recordHit(preferred.id);
+      service.recordHit(preferred.id);
+      expect(service.getRule(preferred.id)).toEqual(
+        expect.objectContaining({ hits: 2, lastHitAt: expect.any(String) }),
+      );
+    });
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * @file tests/unit/services/replay_job_service.test.js
+ * @description Unit tests for bulk replay jobs.
+ */
+
+import { jest } from "@jest/globals";
+import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
+import { useMockCleanup } from "../../setup/helpers/test-lifecycle.js";
+import {
+  assertType,
+  waitForCondition,
+} from "../../setup/helpers/test-utils.js";
+
+/**
+ * @typedef {import("../../../src/services/ReplayJobService.js").ReplayJobService} ReplayJobServiceInstance
+ * @typedef {import("../../../src/services/ReplayJobService.js").ReplayJobInput} ReplayJobInput
+ * @typedef {import("../../../src/services/ReplayJobService.js").ReplayJobReplayFn} ReplayJobReplayFn
+ * @typedef {import("../../../src/services/ReplayJobService.js").ReplayJobListener} ReplayJobListener
+ * @typedef {import("../../../src/typedefs.js").LogEntry} LogEntry
+ */
+
+await setupCommonMocks({ logger: true, repositories: true });
+
+const { logRepositoryMock } =
+  await import("../../setup/helpers/shared-mocks.js");
+const { ReplayJobService } =
+  await import("../../../src/services/ReplayJobService.js");
+const {
+  REPLAY_JOB_CONSTS,
+  REPLAY_JOB_EVENT_TYPES,
+  REPLAY_JOB_ITEM_STATUSES,
+  REPLAY_JOB_STATUSES,
+  REPLAY_JOB_TIMINGS,
+} = await import("../../../src/consts/app.js");
+const { HTTP_STATUS } = await import("../../../src/consts/http.js");
+const { SQL_CONSTS } = await import("../../../src/consts/database.js");
+const { ERROR_MESSAGES } = await import("../../../src/consts/errors.js");
+
+const TARGET = { href: "https://target.example.com/hooks", host: "target" };
+const FAST_RATE = 100;
+const SLOW_RATE = 10;
+const INTERVAL_MS = 100;
+const LOG_COUNT = 3;
+const WAIT_TIMEOUT_MS = 2000;
+// Logs are captured one second apart; at 10x they replay 100ms apart
+const PLAYBACK_SPEED = 10;
+const LONG_AGO = "2020-01-01T00:00:00.000Z";
+
+/**
+ * @param {number} index
+ * @returns {LogEntry}
+ */
+const buildLog = (index) =>
+  assertType({
+    id: `log_${index}`,
+    webhookId: "wh_1",
+    timestamp: `2026-01-01T00:00:0${index}.000Z`,
+    method: "POST",
+    body: { index },
+  });
+
+const LOGS = Array.from({ length: LOG_COUNT }, (_, index) => buildLog(index));
+
+/**
+ * @param {Partial<ReplayJobInput>} [overrides]
+ * @returns {ReplayJobInput}
+ */
+const buildInput = (overrides = {}) => ({
+  target: TARGET,
+  filters: { webhookId: "wh_1" },
+  ratePerSecond: FAST_RATE,
+  concurrency: 1,
+  maxItems: REPLAY_JOB_CONSTS.DEFAULT_MAX_ITEMS,
+  ...overrides,
+});
+
+/**
+ * @returns {{ promise: Promise<void>, resolve: () => void }}
+ */
+const createGate = () => {
+  /** @type {() => void} */
+  let resolve = () => {};
+  const promise = new Promise((done) => {
+    resolve = () => done(undefined);
+  });
+  return { promise: assertType(promise), resolve };
+};
+
+describe("ReplayJobService", () => {
+  useMockCleanup();
+
+  /** @type {ReplayJobServiceInstance} */
+  let service;
+  /** @type {jest.Mock<ReplayJobReplayFn>} */
+  let replay;
+
+  beforeEach(() => {
+    service = new ReplayJobService();
+    replay = jest.fn(async () =>
+      assertType({
+        response: { status: HTTP_STATUS.OK },
+        replayId: "rpl_1",
+        strippedHeaders: [],
+        attempts: 1,
+        durationMs: 5,
+      }),
+    );
+    logRepositoryMock.findLogs.mockResolvedValue({
+      items: LOGS,
+      total: LOGS.length,
+    });
+    logRepositoryMock.getLogById.mockImplementation(async (id) =>
+      assertType(LOGS.find((entry) => entry.id === id) ?? null),
+    );
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  /**
+   * @param {string} id
+   * @param {string} status
+   */
+  const waitForStatus = (id, status) =>
+    waitForCondition(() => service.get(id)?.status === status, WAIT_TIMEOUT_MS);
+
+  it("should replay every selected log in order and record per-item results", async () => {
+    service.start(replay);
+    const job = await service.create(buildInput());
+
+    expect(job).toEqual(
+      expect.objectContaining({
+        status: REPLAY_JOB_STATUSES.RUNNING,
+        targetUrl: TARGET.href,
+        truncated: false,
+        progress: expect.objectContaining({ total: LOG_COUNT }),
+      }),
+    );
+    await waitForStatus(String(job?.id), REPLAY_JOB_STATUSES.COMPLETED);
+
+    expect(replay.mock.calls.map(([entry]) => entry.id)).toEqual(
+      LOGS.map((entry) => entry.id),
+    );
+    expect(replay).toHaveBeenCalledWith(LOGS[0], TARGET);
+    expect(service.get(String(job?.id))?.progress).toEqual({
+      total: LOG_COUNT,
+      pending: 0,
+      delivered: LOG_COUNT,
+      failed: 0,
+      skipped: 0,
+    });
+    expect(service.getItems(String(job?.id))?.items[0]).toEqual(
+      expect.objectContaining({
+        logId: LOGS[0].id,
+        status: REPLAY_JOB_ITEM_STATUSES.DELIVERED,
+        replayId: "rpl_1",
+        statusCode: HTTP_STATUS.OK,
+        attempts: 1,
+      }),
+    );
+  });
+
+  it("should select logs in pages without pagination from the filters and flag truncation", async () => {
+    const maxItems = 2;
+    logRepositoryMock.findLogs.mockResolvedValue({
+      items: LOGS.slice(0, maxItems),
+      total: LOGS.length,
+    });
+
+    const since = { operator: SQL_CONSTS.OPERATORS.GTE, value: LONG_AGO };
+
+    const job = await service.create(
+      buildInput({
+        maxItems,
+        filters: { webhookId: "wh_1", limit: 1, timestamp: [since] },
+      }),
+    );
+
+    expect(logRepositoryMock.findLogs).toHaveBeenCalledTimes(1);
+    expect(logRepositoryMock.findLogs).toHaveBeenCalledWith({
+      webhookId: "wh_1",
+      timestamp: [
+        since,
+        { operator: SQL_CONSTS.OPERATORS.LTE, value: job?.createdAt },
+      ],
+      limit: maxItems,
+      offset: 0,
+      cursor: undefined,
+    });
+    expect(job?.truncated).toBe(true);
+    expect(job?.progress.total).toBe(maxItems);
+  });
+
+  it("should record failed responses, network errors and missing logs", async () => {
+    replay
+      .mockResolvedValueOnce(
+        assertType({
+          response: { status: HTTP_STATUS.SERVICE_UNAVAILABLE },
+          strippedHeaders: [],
+          attempts: 1 + 1,
+          durationMs: 5,
+        }),
+      )
+      .mockRejectedValueOnce(
+        Object.assign(new Error("connect refused"), { code: "ECONNREFUSED" }),
+      );
+    logRepositoryMock.getLogById.mockImplementation(async (id) =>
+      assertType(id === LOGS[1 + 1].id ? null : LOGS.find((l) => l.id === id)),
+    );
+    service.start(replay);
+
+    const job = await service.create(buildInput());
+    await waitForStatus(String(job?.id), REPLAY_JOB_STATUSES.COMPLETED);
+
+    const { items = [] } = service.getItems(String(job?.id)) ?? {};
+    expect(items.map((item) => item.status)).toEqual([
+      REPLAY_JOB_ITEM_STATUSES.FAILED,
+      REPLAY_JOB_ITEM_STATUSES.FAILED,
+      REPLAY_JOB_ITEM_STATUSES.SKIPPED,
+    ]);
+    expect(items[0].statusCode).toBe(HTTP_STATUS.SERVICE_UNAVAILABLE);
+    expect(items[1].error).toBe("ECONNREFUSED");
+    expect(items[1 + 1].error).toBe(ERROR_MESSAGES.EVENT_NOT_FOUND);
+    expect(
+      service.getItems(String(job?.id), {
+        status: REPLAY_JOB_ITEM_STATUSES.SKIPPED,
+      })?.total,
+    ).toBe(1);
+  });
+
+  it("should space replays by the configured rate", async () => {
+    service.start(replay);
+    const startedAt = Date.now();
+
+    const job = await service.create(buildInput({ ratePerSecond: SLOW_RATE }));
+    await waitForStatus(String(job?.id), REPLAY_JOB_STATUSES.COMPLETED);
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(
+      INTERVAL_MS * (LOG_COUNT - 1),
+    );
+  });
+
+  it("should keep at most `concurrency` replays in flight", async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    replay.mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, INTERVAL_MS));
+      inFlight--;
+      return assertType({
+        response: { status: HTTP_STATUS.OK },
+        strippedHeaders: [],
+        attempts: 1,
+        durationMs: INTERVAL_MS,
+      });
+    });
+    service.start(replay);
+
+    const job = await service.create(
+      buildInput({ concurrency: 1 + 1, ratePerSecond: FAST_RATE }),
+    );
+    await waitForStatus(String(job?.id), REPLAY_JOB_STATUSES.COMPLETED);
+
+    expect(maxInFlight).toBe(1 + 1);
+  });
+
+  it("should replay with the original gaps between captured requests, scaled by speed", async () => {
+    /** @type {number[]} */
+    const startedAt = [];
+    replay.mockImplementation(async () => {
+      startedAt.push(Date.now());
+      return assertType({ response: { status: HTTP_STATUS.OK }, attempts: 1 });
+    });
+    service.start(replay);
+
+    const job = await service.create(
+      buildInput({
+        timing: REPLAY_JOB_TIMINGS.ORIGINAL,
+        speed: PLAYBACK_SPEED,
+        ratePerSecond: REPLAY_JOB_CONSTS.MIN_RATE_PER_SECOND,
+      }),
+    );
+    await waitForStatus(String(job?.id), REPLAY_JOB_STATUSES.COMPLETED);
+
+    expect(job).toEqual(
+      expect.objectContaining({
+        timing: REPLAY_JOB_TIMINGS.ORIGINAL,
+        speed: PLAYBACK_SPEED,
+      }),
+    );
+    const { items = [] } = service.getItems(String(job?.id)) ?? {};
+    expect(items.map((item) => item.offsetMs)).toEqual([
+      0,
+      INTERVAL_MS,
+      INTERVAL_MS * (1 + 1),
+    ]);
+    // The rate limit would have spaced them 10 seconds apart
+    expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(INTERVAL_MS - 1);
+    expect(startedAt[LOG_COUNT - 1] - startedAt[0]).toBeLessThan(
+      WAIT_TIMEOUT_MS,
+    );
+  });
+
+  it("should send status, item and finished events to subscribers", async () => {
+    const gate = createGate();
+    replay.mockImplementationOnce(async () => {
+      await gate.promise;
+      return assertType({ response: { status: HTTP_STATUS.OK }, attempts: 1 });
+    });
+    service.start(replay);
+    const job = await service.create(buildInput());
+    const id = String(job?.id);
+    /** @type {jest.Mock<ReplayJobListener>} */
+    const listener = jest.fn();
+    const unsubscribe = service.subscribe(id, listener);
+
+    service.pause(id);
+    service.resume(id);
+    gate.resolve();
+    await waitForStatus(id, REPLAY_JOB_STATUSES.COMPLETED);
+
+    expect(listener.mock.calls.map(([event]) => event.type)).toEqual([
+      REPLAY_JOB_EVENT_TYPES.STATUS,
+      REPLAY_JOB_EVENT_TYPES.STATUS,
+      REPLAY_JOB_EVENT_TYPES.ITEM,
+      REPLAY_JOB_EVENT_TYPES.ITEM,
+      REPLAY_JOB_EVENT_TYPES.ITEM,
+      REPLAY_JOB_EVENT_TYPES.FINISHED,
+    ]);
+    expect(listener).toHaveBeenCalledWith({
+      type: REPLAY_JOB_EVENT_TYPES.ITEM,
+      job: expect.objectContaining({ id }),
+      item: expect.objectContaining({
+        logId: LOGS[0].id,
+        status: REPLAY_JOB_ITEM_STATUSES.DELIVERED,
+      }),
+    });
+    expect(listener).toHaveBeenLastCalledWith({
+      type: REPLAY_JOB_EVENT_TYPES.FINISHED,
+      job: expect.objectContaining({
+        status: REPLAY_JOB_STATUSES.COMPLETED,
+        progress: expect.objectContaining({ delivered: LOG_COUNT }),
+      }),
+    });
+    expect(typeof unsubscribe).toBe("function");
+  });
+
+  it("should limit subscribers and drop ones that throw", async () => {
+    const job = await service.create(buildInput());
+    const id = String(job?.id);
+    const failing = jest.fn(() => {
+      throw new Error("socket closed");
+    });
+
+    service.subscribe(id, failing);
+    for (let i = 1; i < REPLAY_JOB_CONSTS.MAX_EVENT_SUBSCRIBERS; i++) {
+      service.subscribe(id, jest.fn());
+    }
+
+    expect(service.subscribe(id, jest.fn())).toBeNull();
+    expect(service.subscribe("rpj_missing", jest.fn())).toBeUndefined();
+    service.pause(id);
+    service.resume(id);
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  it("should pause, resume and cancel a job", async () => {
+    const gate = createGate();
+    const secondGate = createGate();
+    /** @param {Promise<void>} blocker */
+    const blockedReplay = async (blocker) => {
+      await blocker;
+      return assertType({
+        response: { status: HTTP_STATUS.OK },
+        strippedHeaders: [],
+        attempts: 1,
+        durationMs: 1,
+      });
+    };
+    replay
+      .mockImplementationOnce(() => blockedReplay(gate.promise))
+      .mockImplementationOnce(() => blockedReplay(secondGate.promise));
+    service.start(replay);
+    const job = await service.create(buildInput());
+    const id = String(job?.id);
+
+    expect(service.pause(id)?.status).toBe(REPLAY_JOB_STATUSES.PAUSED);
+    expect(service.pause(id)).toBeUndefined();
+    gate.resolve();
+    await waitForCondition(() => service.get(id)?.progress.delivered === 1);
+    expect(replay).toHaveBeenCalledTimes(1);
+
+    expect(service.resume(id)?.status).toBe(REPLAY_JOB_STATUSES.RUNNING);
+    await waitForCondition(() => replay.mock.calls.length > 1);
+    service.pause(id);
+
+    expect(service.cancel(id)?.status).toBe(REPLAY_JOB_STATUSES.CANCELLED);
+    secondGate.resolve();
+    await waitForCondition(() => Boolean(service.get(id)?.finishedAt));
+    expect(service.get(id)?.progress.pending).toBe(0);
+    expect(service.get(id)?.progress.skipped).toBeGreaterThan(0);
+    expect(service.cancel(id)).toBeUndefined();
+    expect(service.resume(id)).toBeUndefined();
+  });
+
+  it("should refuse new jobs while too many are active", async () => {
+    for (let i = 0; i < REPLAY_JOB_CONSTS.MAX_ACTIVE_JOBS; i++) {
+      await service.create(buildInput());
+    }
+
+    await expect(service.create(buildInput())).resolves.toBeNull();
+    expect(service.list()).toHaveLength(REPLAY_JOB_CONSTS.MAX_ACTIVE_JOBS);
+  });
+
+  it("should fail the job when selecting logs fails", async () => {
+    logRepositoryMock.findLogs.mockRejectedValue(new Error("db down"));
+
+    const job = await service.create(buildInput());
+
+    expect(job).toEqual(
+      expect.objectContaining({
+        status: REPLAY_JOB_STATUSES.FAILED,
+        error: "db down",
+      }),
+    );
+    expect(replay).not.toHaveBeenCalled();
+  });
+
+  it("should return undefined for unknown jobs", () => {
+    expect(service.get("rpj_missing")).toBeUndefined();
+    expect(service.getItems("rpj_missing")).toBeUndefined();
+    expect(service.cancel("rpj_missing")).toBeUndefined();
+  });
+});
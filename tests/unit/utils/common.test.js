@@ -9,6 +9,8 @@ import {
   tryParse,
   parseIfPresent,
   validateStatusCode,
+  isPlainObject,
+  isHttpUrl,
   deepRedact,
   validateUUID,
 } from "../../../src/utils/common.js";
@@ -87,6 +89,32 @@ describe("Common Utils", () => {
     });
   });
 
+  describe("isPlainObject", () => {
+    it("should accept plain objects only", () => {
+      expect(isPlainObject({ a: 1 })).toBe(true);
+      expect(isPlainObject(Object.create(null))).toBe(true);
+      expect(isPlainObject(null)).toBe(false);
+      expect(isPlainObject([])).toBe(false);
+      expect(isPlainObject("object")).toBe(false);
+    });
+  });
+
+  describe("isHttpUrl", () => {
+    it.each(["http://example.com", "https://example.com/hooks?x=1"])(
+      "should accept %s",
+      (url) => {
+        expect(isHttpUrl(url)).toBe(true);
+      },
+    );
+
+    it.each(["ftp://example.com", "/relative/path", "not a url", undefined])(
+      "should reject %s",
+      (url) => {
+        expect(isHttpUrl(url)).toBe(false);
+      },
+    );
+  });
+
   describe("deepRedact", () => {
     const SENSITIVE_VAL = "sensitive-value";
     const PASSWORD_VAL = "password123";
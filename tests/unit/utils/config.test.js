@@ -4,19 +4,28 @@
  */
 
 import { jest } from "@jest/globals";
-import { APP_CONSTS } from "../../../src/consts/app.js";
+import { APP_CONSTS, FORWARD_MODES } from "../../../src/consts/app.js";
 import { HTTP_CONSTS, HTTP_STATUS } from "../../../src/consts/http.js";
 import { LOG_MESSAGES } from "../../../src/consts/messages.js";
+import {
+  ERROR_MESSAGES,
+  SIGNATURE_ERRORS,
+} from "../../../src/consts/errors.js";
 import { setupCommonMocks } from "../../setup/helpers/mock-setup.js";
 import { loggerMock, constsMock } from "../../setup/helpers/shared-mocks.js";
 import { assertType } from "../../setup/helpers/test-utils.js";
-import { SIGNATURE_PROVIDERS } from "../../../src/consts/security.js";
+import {
+  SIGNATURE_PROVIDERS,
+  SIGNATURE_VERIFICATION_MODES,
+} from "../../../src/consts/security.js";
 
 /**
  * @typedef {import('../../../src/utils/config.js')} ConfigUtils
  * @typedef {import('../../../src/typedefs.js').ActorInput} ActorInput
  */
 
+const FORWARD_SECRET = "forward-secret";
+
 // We import the module under test dynamically after setting up mocks
 // to ensure it uses the mocked logger.
 
@@ -165,6 +174,17 @@ describe("Config Utils", () => {
         },
         ENV_VALUES: constsMock.ENV_VALUES,
         ENV_VARS: constsMock.ENV_VARS,
+        DEFAULT_ID_LENGTH: constsMock.DEFAULT_ID_LENGTH,
+        WEBHOOK_CONFIG_OVERRIDES: constsMock.WEBHOOK_CONFIG_OVERRIDES,
+        DEFAULT_RESPONSE_SEQUENCE_KEY: constsMock.DEFAULT_RESPONSE_SEQUENCE_KEY,
+        RESPONSE_SEQUENCE_MODES: constsMock.RESPONSE_SEQUENCE_MODES,
+        SORT_DIRECTIONS: constsMock.SORT_DIRECTIONS,
+        FORWARDING_CONSTS: constsMock.FORWARDING_CONSTS,
+        FORWARD_MODES: constsMock.FORWARD_MODES,
+        CUSTOM_SCRIPT_LIBRARY_CONSTS: constsMock.CUSTOM_SCRIPT_LIBRARY_CONSTS,
+        CUSTOM_SCRIPT_POOL_CONSTS: constsMock.CUSTOM_SCRIPT_POOL_CONSTS,
+        CUSTOM_SCRIPT_UTILS_CONSTS: constsMock.CUSTOM_SCRIPT_UTILS_CONSTS,
+        STREAM_EVENTS: constsMock.STREAM_EVENTS,
       }));
 
       // Re-import module under test to pick up the mock
@@ -266,6 +286,29 @@ describe("Config Utils", () => {
       expect(loggerMock.warn).toHaveBeenCalled();
     });
 
+    it("should default, floor, and clamp the synchronous proxy timeout", () => {
+      const fractionalTimeoutMs = 2500.7;
+
+      expect(configUtils.coerceRuntimeOptions({}).syncProxyTimeoutMs).toBe(
+        APP_CONSTS.DEFAULT_SYNC_PROXY_TIMEOUT_MS,
+      );
+      expect(
+        configUtils.coerceRuntimeOptions({
+          syncProxyTimeoutMs: APP_CONSTS.MIN_SYNC_PROXY_TIMEOUT_MS - 1,
+        }).syncProxyTimeoutMs,
+      ).toBe(APP_CONSTS.DEFAULT_SYNC_PROXY_TIMEOUT_MS);
+      expect(
+        configUtils.coerceRuntimeOptions({
+          syncProxyTimeoutMs: fractionalTimeoutMs,
+        }).syncProxyTimeoutMs,
+      ).toBe(Math.floor(fractionalTimeoutMs));
+      expect(
+        configUtils.coerceRuntimeOptions({
+          syncProxyTimeoutMs: APP_CONSTS.MAX_SAFE_SYNC_PROXY_TIMEOUT_MS + 1,
+        }).syncProxyTimeoutMs,
+      ).toBe(APP_CONSTS.MAX_SAFE_SYNC_PROXY_TIMEOUT_MS);
+    });
+
     it("should handle memory options", () => {
       const useFixedMemory = true;
       const fixedMemoryMbytes = 512;
@@ -300,6 +343,8 @@ describe("Config Utils", () => {
       const result = configUtils.parseWebhookOptions({});
       expect(result.allowedIps).toEqual([]);
       expect(result.forwardHeaders).toEqual(APP_CONSTS.DEFAULT_FORWARD_HEADERS);
+      expect(result.forwardMode).toBe(APP_CONSTS.DEFAULT_FORWARD_MODE);
+      expect(result.syncProxy).toBe(APP_CONSTS.DEFAULT_SYNC_PROXY);
       expect(result.defaultResponseCode).toBe(
         HTTP_CONSTS.DEFAULT_RESPONSE_CODE,
       );
@@ -308,6 +353,17 @@ describe("Config Utils", () => {
       );
     });
 
+    it("should keep a known forwardMode and fall back on unknown ones", () => {
+      expect(
+        configUtils.parseWebhookOptions({
+          forwardMode: FORWARD_MODES.TRANSPARENT,
+        }).forwardMode,
+      ).toBe(FORWARD_MODES.TRANSPARENT);
+      expect(
+        configUtils.parseWebhookOptions({ forwardMode: "proxy" }).forwardMode,
+      ).toBe(FORWARD_MODES.FIXED);
+    });
+
     it("should handle undefined input (default parameter)", () => {
       const result = configUtils.parseWebhookOptions();
       expect(result).toBeDefined();
@@ -347,6 +403,30 @@ describe("Config Utils", () => {
       });
     });
 
+    it("should map top-level rotating secrets and drop invalid entries", () => {
+      const rotatingSecret = {
+        secret: " next-secret ",
+        notBefore: "2026-03-01",
+      };
+      const result = configUtils.parseWebhookOptions({
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.GITHUB,
+          secrets: [{ secret: "nested-secret" }],
+        },
+        signatureVerificationSecret,
+        signatureVerificationSecrets: [
+          rotatingSecret,
+          { secret: "bad-window", notAfter: "whenever" },
+        ],
+      });
+
+      expect(result.signatureVerification).toEqual({
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        secret: signatureVerificationSecret.trim(),
+        secrets: [{ secret: "next-secret", notBefore: "2026-03-01" }],
+      });
+    });
+
     it("should allow a top-level secret without a nested signature config", () => {
       const result = configUtils.parseWebhookOptions({
         signatureVerificationSecret,
@@ -419,5 +499,224 @@ describe("Config Utils", () => {
         provider: SIGNATURE_PROVIDERS.GITHUB,
       });
     });
+
+    it("should keep a valid response sequence and drop an invalid one", () => {
+      const responseSequence = {
+        steps: [{ status: HTTP_STATUS.INTERNAL_SERVER_ERROR }],
+      };
+
+      expect(
+        configUtils.parseWebhookOptions({ responseSequence }).responseSequence,
+      ).toEqual(responseSequence);
+      expect(
+        configUtils.parseWebhookOptions(
+          assertType({ responseSequence: { steps: [] } }),
+        ).responseSequence,
+      ).toBeUndefined();
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        LOG_MESSAGES.RESPONSE_SEQUENCE_IGNORED,
+      );
+    });
+
+    it("should drop invalid signature rules and default the mode", () => {
+      const result = configUtils.parseWebhookOptions(
+        assertType({
+          signatureVerificationRules: [
+            {
+              id: "github-default",
+              verify: { provider: SIGNATURE_PROVIDERS.GITHUB, secret: "s" },
+            },
+            { id: "broken", verify: { provider: "unknown" } },
+          ],
+          signatureVerificationMode: "tryAll",
+        }),
+      );
+
+      expect(result.signatureVerificationRules?.map((r) => r.id)).toEqual([
+        "github-default",
+      ]);
+      expect(result.signatureVerificationMode).toBe(
+        SIGNATURE_VERIFICATION_MODES.FAIL_CLOSED,
+      );
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        {
+          errors: expect.arrayContaining([
+            ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+              1,
+              ERROR_MESSAGES.SIGNATURE_RULE_KEY_REQUIRED,
+            ),
+          ]),
+        },
+        LOG_MESSAGES.SIGNATURE_RULE_SKIPPED,
+      );
+    });
+
+    it("should merge the forward signing secret and drop unusable signers", () => {
+      const forwardSigning = { provider: SIGNATURE_PROVIDERS.GITHUB };
+
+      expect(
+        configUtils.parseWebhookOptions({
+          forwardSigning: assertType(forwardSigning),
+          forwardSigningSecret: ` ${FORWARD_SECRET} `,
+        }).forwardSigning,
+      ).toEqual({ ...forwardSigning, secret: FORWARD_SECRET });
+      expect(
+        configUtils.parseWebhookOptions({
+          forwardSigning: assertType({
+            provider: SIGNATURE_PROVIDERS.CUSTOM,
+            secret: FORWARD_SECRET,
+          }),
+        }).forwardSigning,
+      ).toBeUndefined();
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        { error: SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED },
+        LOG_MESSAGES.FORWARD_SIGNING_IGNORED,
+      );
+    });
+
+    it("should drop invalid forward destinations with a warning", () => {
+      const result = configUtils.parseWebhookOptions(
+        assertType({
+          forwardDestinations: [
+            { id: "staging", url: "https://staging.example.com/hooks" },
+            { id: "tunnel", url: "not a url" },
+          ],
+        }),
+      );
+
+      expect(result.forwardDestinations?.map((d) => d.id)).toEqual(["staging"]);
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        {
+          errors: [
+            ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+              1,
+              ERROR_MESSAGES.INVALID_FIELD("url", "an http(s) URL"),
+            ),
+          ],
+        },
+        LOG_MESSAGES.FORWARD_DESTINATION_SKIPPED,
+      );
+    });
+
+    it("should drop invalid library scripts with a warning", () => {
+      const result = configUtils.parseWebhookOptions(
+        assertType({
+          customScripts: [
+            { id: "normalize", source: "event.normalized = true;" },
+            { id: "normalize", source: "event.again = true;" },
+          ],
+        }),
+      );
+
+      expect(result.customScripts?.map((s) => s.id)).toEqual(["normalize"]);
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        {
+          errors: [
+            ERROR_MESSAGES.INVALID_CUSTOM_SCRIPT(
+              1,
+              ERROR_MESSAGES.DUPLICATE_ID("normalize"),
+            ),
+          ],
+        },
+        LOG_MESSAGES.CUSTOM_SCRIPT_SKIPPED,
+      );
+    });
+  });
+
+  describe("validateWebhookOverrides", () => {
+    const UNKNOWN_STATUS_CODE = 999;
+    const NUMERIC_BODY = 42;
+    const FRACTIONAL_RETRIES = 1.5;
+
+    it("should accept whitelisted overrides and normalize them like Actor input", () => {
+      const result = configUtils.validateWebhookOverrides({
+        defaultResponseCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        defaultResponseBody: { ok: false },
+        maxForwardRetries: APP_CONSTS.MAX_SAFE_FORWARD_RETRIES + 1,
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.STRIPE,
+          secret: "  whsec_test  ",
+        },
+        jsonSchema: '{"type":"object"}',
+        redactBodyPaths: ["body.card"],
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.config).toEqual({
+        defaultResponseCode: HTTP_STATUS.SERVICE_UNAVAILABLE,
+        defaultResponseBody: { ok: false },
+        maxForwardRetries: APP_CONSTS.MAX_SAFE_FORWARD_RETRIES,
+        signatureVerification: {
+          provider: SIGNATURE_PROVIDERS.STRIPE,
+          secret: "whsec_test",
+        },
+        jsonSchema: '{"type":"object"}',
+        redactBodyPaths: ["body.card"],
+      });
+    });
+
+    it("should preserve null values as removal markers", () => {
+      const result = configUtils.validateWebhookOverrides({ forwardUrl: null });
+
+      expect(result).toEqual({
+        valid: true,
+        errors: [],
+        config: { forwardUrl: null },
+      });
+    });
+
+    it("should reject settings outside the per-webhook whitelist", () => {
+      const result = configUtils.validateWebhookOverrides({
+        authKey: "secret",
+        customScript: "event.body = 1;",
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        ERROR_MESSAGES.UNSUPPORTED_WEBHOOK_SETTING("authKey"),
+        ERROR_MESSAGES.UNSUPPORTED_WEBHOOK_SETTING("customScript"),
+      ]);
+      expect(result.config).toEqual({});
+    });
+
+    it.each([
+      ["defaultResponseCode", UNKNOWN_STATUS_CODE],
+      ["defaultResponseBody", NUMERIC_BODY],
+      ["defaultResponseHeaders", { "x-test": 1 }],
+      ["responseDelayMs", -1],
+      ["forwardUrl", "ftp://example.com"],
+      ["forwardHeaders", "yes"],
+      ["forwardMode", "proxy"],
+      ["syncProxy", "true"],
+      ["syncProxyTimeoutMs", 1],
+      ["maxForwardRetries", FRACTIONAL_RETRIES],
+      ["jsonSchema", '{"type":"not-a-type"}'],
+      ["signatureVerification", { provider: "unknown" }],
+      [
+        "forwardSigning",
+        { provider: SIGNATURE_PROVIDERS.SHOPIFY, secret: FORWARD_SECRET },
+      ],
+      ["enableJSONParsing", 1],
+      ["redactBodyPaths", "body.card"],
+      ["maskSensitiveData", "false"],
+      ["responseSequence", { steps: [{ status: UNKNOWN_STATUS_CODE }] }],
+      ["forwardDestinations", [{ id: "no-url" }]],
+    ])("should reject an invalid %s value", (key, value) => {
+      const result = configUtils.validateWebhookOverrides({ [key]: value });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toContain(key);
+      expect(result.config).toEqual({});
+    });
+
+    it("should reject non-object input", () => {
+      expect(configUtils.validateWebhookOverrides(["x"])).toEqual({
+        valid: false,
+        errors: [ERROR_MESSAGES.INVALID_JSON_BODY],
+        config: {},
+      });
+    });
   });
 });
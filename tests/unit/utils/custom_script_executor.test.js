@@ -4,6 +4,11 @@
  */
 
 import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { createHmac } from "node:crypto";
+import {
+  ERROR_MESSAGES,
+  NODE_ERROR_CODES,
+} from "../../../src/consts/errors.js";
 
 describe("Custom Script Executor", () => {
   const COVERAGE_SAFE_EXECUTOR_TEST_TIMEOUT_MS = 60000;
@@ -32,6 +37,15 @@ describe("Custom Script Executor", () => {
       expect(validateCustomScriptSource(source)).toBe(source);
     });
 
+    it("should accept top-level await", async () => {
+      const { validateCustomScriptSource } =
+        await import("../../../src/utils/custom_script_executor.js");
+
+      const source = "event.value = await Promise.resolve(1);";
+
+      expect(validateCustomScriptSource(source)).toBe(source);
+    });
+
     it("should reject invalid JavaScript syntax", async () => {
       const { validateCustomScriptSource } =
         await import("../../../src/utils/custom_script_executor.js");
@@ -189,6 +203,67 @@ describe("Custom Script Executor", () => {
       BUSY_LOOP_TIMEOUT_TEST_TIMEOUT_MS,
     );
 
+    it(
+      "should await async scripts and expose the frozen utils helpers",
+      async () => {
+        const { executeCustomScript } =
+          await import("../../../src/utils/custom_script_executor.js");
+
+        const result = await executeCustomScript({
+          source: [
+            "const [, payload] = req.headers.authorization.split('.');",
+            "event.claims = JSON.parse(utils.encoding.base64UrlDecode(payload));",
+            "event.signature = await Promise.resolve(utils.crypto.hmac('sha256', 'secret', event.body));",
+            "utils.crypto.hmac = () => 'tampered';",
+            "event.frozen = Object.isFrozen(utils.crypto);",
+          ].join("\n"),
+          event: { body: "payload" },
+          req: {
+            headers: {
+              authorization: `jwt.${Buffer.from('{"sub":"user-1"}').toString("base64url")}.sig`,
+            },
+          },
+          timeoutMs: SUCCESS_PATH_WORKER_SCRIPT_TIMEOUT_MS,
+        });
+
+        expect(result.ok).toBe(true);
+        expect(result.event).toEqual(
+          expect.objectContaining({
+            claims: { sub: "user-1" },
+            signature: createHmac("sha256", "secret")
+              .update("payload")
+              .digest("hex"),
+            frozen: true,
+          }),
+        );
+      },
+      COVERAGE_SAFE_EXECUTOR_TEST_TIMEOUT_MS,
+    );
+
+    it(
+      "should time out scripts whose promise never settles",
+      async () => {
+        const { executeCustomScript } =
+          await import("../../../src/utils/custom_script_executor.js");
+
+        const result = await executeCustomScript({
+          source: "event.started = true; await new Promise(() => {});",
+          event: {},
+          req: {},
+          timeoutMs: 25,
+        });
+
+        expect(result.ok).toBe(false);
+        expect(result.error).toEqual(
+          expect.objectContaining({
+            message: ERROR_MESSAGES.SCRIPT_TIMEOUT,
+            code: NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT,
+          }),
+        );
+      },
+      BUSY_LOOP_TIMEOUT_TEST_TIMEOUT_MS,
+    );
+
     it(
       "should handle concurrent executions without cross-talk between events",
       async () => {
@@ -219,5 +294,41 @@ describe("Custom Script Executor", () => {
       },
       CONCURRENT_EXECUTION_TEST_TIMEOUT_MS,
     );
+
+    it(
+      "should reuse a warm worker and its compiled script across executions",
+      async () => {
+        const {
+          executeCustomScript,
+          getCustomScriptPoolStats,
+          closeCustomScriptPool,
+        } = await import("../../../src/utils/custom_script_executor.js");
+        const request = {
+          source: "event.count = (event.count ?? 0) + 1;",
+          event: {},
+          req: {},
+          timeoutMs: SUCCESS_PATH_WORKER_SCRIPT_TIMEOUT_MS,
+        };
+
+        try {
+          const first = await executeCustomScript(request);
+          const second = await executeCustomScript(request);
+
+          expect(first.event?.count).toBe(1);
+          expect(second.event?.count).toBe(1);
+          expect(getCustomScriptPoolStats()).toEqual(
+            expect.objectContaining({
+              workers: 1,
+              executions: 2,
+              workersStarted: 1,
+              scriptCache: { hits: 1, misses: 1 },
+            }),
+          );
+        } finally {
+          await closeCustomScriptPool();
+        }
+      },
+      COVERAGE_SAFE_EXECUTOR_TEST_TIMEOUT_MS,
+    );
   });
 });
@@ -1,41 +1,42 @@
 /**
  * @file tests/unit/utils/custom_script_executor_mocked.test.js
- * @description Mocked unit tests for executor edge paths that require worker failures.
+ * @description Mocked unit tests for the worker pool behind the executor: reuse,
+ * queueing, recycling and worker failure paths.
  */
 
 import { describe, expect, it, jest } from "@jest/globals";
 import { EventEmitter } from "node:events";
 import { STREAM_EVENTS } from "../../../src/consts/app.js";
-import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+import {
+  ERROR_MESSAGES,
+  NODE_ERROR_CODES,
+} from "../../../src/consts/errors.js";
 import { useMockCleanup } from "../../setup/helpers/test-lifecycle.js";
-import { assertType } from "../../setup/helpers/test-utils.js";
 
 /**
  * @typedef {import("node:worker_threads").WorkerOptions} WorkerOptions
  * @typedef {jest.MockedFunction<() => Promise<void>>} TerminateMock
  * @typedef {jest.MockedFunction<() => void>} UnrefMock
- * @typedef {EventEmitter & { terminate: TerminateMock, unref?: UnrefMock }} MockWorkerInstance
+ * @typedef {jest.MockedFunction<(message: Record<string, any>) => void>} PostMessageMock
+ * @typedef {EventEmitter & { terminate: TerminateMock, unref?: UnrefMock, postMessage: PostMessageMock }} MockWorkerInstance
+ * @typedef {typeof import("../../../src/utils/custom_script_executor.js")} ExecutorModule
  */
 
 const WORKER_THREADS_MODULE = "node:worker_threads";
 const SUCCESS_SCRIPT_SOURCE = "event.ok = true;";
-
-/**
- * @typedef {((...args: any[]) => void) & { listener?: (...args: any[]) => void }} WrappedListener
- */
+const SCRIPT_TIMEOUT_MS = 50;
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+const POOL_ENV_VARS = Object.freeze([
+  "CUSTOM_SCRIPT_POOL_SIZE",
+  "CUSTOM_SCRIPT_WORKER_MAX_EXECUTIONS",
+  "CUSTOM_SCRIPT_WATCHDOG_GRACE_MS",
+  "CUSTOM_SCRIPT_WORKER_MAX_OLD_GENERATION_MB",
+  "CUSTOM_SCRIPT_WORKER_MAX_YOUNG_GENERATION_MB",
+]);
+const OK_RESULT = Object.freeze({ ok: true, event: { ok: true }, logs: [] });
 
 /**
  * @param {{ includeUnref?: boolean }} [options]
- * @returns {{
- *   workerInstances: Array<MockWorkerInstance>;
- *   workerOptions: Array<WorkerOptions>;
- *   terminateMock: TerminateMock;
- *   unrefMock: UnrefMock;
- *   MockWorker: new (
- *     _workerUrl: URL | string,
- *     options?: WorkerOptions,
- *   ) => MockWorkerInstance;
- * }}
  */
 function createMockWorkerHarness(options = {}) {
   const { includeUnref = true } = options;
@@ -56,11 +57,13 @@ function createMockWorkerHarness(options = {}) {
     constructor(_workerUrl, options = {}) {
       super();
       this.terminate = terminateMock;
+      /** @type {PostMessageMock} */
+      this.postMessage = jest.fn();
       if (includeUnref) {
         this.unref = unrefMock;
       }
       workerOptions.push(options);
-      workerInstances.push(this);
+      workerInstances.push(/** @type {MockWorkerInstance} */ (this));
     }
   }
 
@@ -73,9 +76,53 @@ function createMockWorkerHarness(options = {}) {
   };
 }
 
-describe("Custom Script Executor worker failure paths", () => {
+/**
+ * Mocks worker_threads and imports a fresh executor, so pool env vars apply.
+ * @param {ReturnType<typeof createMockWorkerHarness>} harness
+ * @param {Record<string, string>} [env]
+ * @returns {Promise<ExecutorModule>}
+ */
+async function loadExecutor(harness, env = {}) {
+  Object.assign(process.env, env);
+  jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
+    Worker: harness.MockWorker,
+  }));
+  return await import("../../../src/utils/custom_script_executor.js");
+}
+
+/**
+ * Answers the task most recently sent to a worker.
+ * @param {MockWorkerInstance} worker
+ * @param {Record<string, unknown>} [result]
+ * @param {{ cached?: boolean, heapUsedBytes?: number }} [extras]
+ */
+function reply(worker, result = OK_RESULT, extras = {}) {
+  const { id } = worker.postMessage.mock.calls.at(-1)?.[0] ?? {};
+  worker.emit(STREAM_EVENTS.MESSAGE, {
+    id,
+    result,
+    cached: false,
+    heapUsedBytes: 0,
+    ...extras,
+  });
+}
+
+/**
+ * @param {ExecutorModule} executor
+ * @param {Record<string, unknown>} [req]
+ */
+const runScript = (executor, req = {}) =>
+  executor.executeCustomScript({
+    source: SUCCESS_SCRIPT_SOURCE,
+    event: {},
+    req,
+    timeoutMs: SCRIPT_TIMEOUT_MS,
+  });
+
+describe("Custom Script Executor worker pool", () => {
   useMockCleanup(() => {
     jest.resetModules();
+    for (const name of POOL_ENV_VARS) delete process.env[name];
   });
 
   it("should return the validated script source when compilation succeeds", async () => {
@@ -106,38 +153,14 @@ describe("Custom Script Executor worker failure paths", () => {
   });
 
   it("should pass the default bounded heap resource limits to Worker", async () => {
-    const { workerInstances, workerOptions, MockWorker } =
-      createMockWorkerHarness();
-
-    delete process.env.CUSTOM_SCRIPT_WORKER_MAX_OLD_GENERATION_MB;
-    delete process.env.CUSTOM_SCRIPT_WORKER_MAX_YOUNG_GENERATION_MB;
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
 
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
+    const pendingResult = runScript(executor);
+    reply(harness.workerInstances[0]);
 
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
-
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
-
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: {},
-      logs: [],
-    });
-
-    await expect(pendingResult).resolves.toEqual({
-      ok: true,
-      event: {},
-      logs: [],
-    });
-    expect(workerOptions[0]?.resourceLimits).toEqual(
+    await expect(pendingResult).resolves.toEqual(OK_RESULT);
+    expect(harness.workerOptions[0]?.resourceLimits).toEqual(
       expect.objectContaining({
         maxOldGenerationSizeMb: 32,
         maxYoungGenerationSizeMb: 16,
@@ -148,410 +171,273 @@ describe("Custom Script Executor worker failure paths", () => {
   });
 
   it("should clamp heap env overrides before passing them to Worker", async () => {
-    const { workerInstances, workerOptions, MockWorker } =
-      createMockWorkerHarness();
-
-    try {
-      process.env.CUSTOM_SCRIPT_WORKER_MAX_OLD_GENERATION_MB = "999";
-      process.env.CUSTOM_SCRIPT_WORKER_MAX_YOUNG_GENERATION_MB = "1";
-
-      jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-        Worker: MockWorker,
-      }));
-
-      const { executeCustomScript } =
-        await import("../../../src/utils/custom_script_executor.js");
-
-      const pendingResult = executeCustomScript({
-        source: SUCCESS_SCRIPT_SOURCE,
-        event: {},
-        req: {},
-        timeoutMs: 50,
-      });
-
-      workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-        ok: true,
-        event: {},
-        logs: [],
-      });
-
-      await expect(pendingResult).resolves.toEqual({
-        ok: true,
-        event: {},
-        logs: [],
-      });
-      expect(workerOptions[0]?.resourceLimits).toEqual(
-        expect.objectContaining({
-          maxOldGenerationSizeMb: 256,
-          maxYoungGenerationSizeMb: 8,
-        }),
-      );
-    } finally {
-      delete process.env.CUSTOM_SCRIPT_WORKER_MAX_OLD_GENERATION_MB;
-      delete process.env.CUSTOM_SCRIPT_WORKER_MAX_YOUNG_GENERATION_MB;
-    }
-  });
-
-  it("should unref supported workers once", async () => {
-    const { workerInstances, unrefMock, MockWorker } =
-      createMockWorkerHarness();
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness, {
+      CUSTOM_SCRIPT_WORKER_MAX_OLD_GENERATION_MB: "999",
+      CUSTOM_SCRIPT_WORKER_MAX_YOUNG_GENERATION_MB: "1",
+    });
 
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
+    const pendingResult = runScript(executor);
+    reply(harness.workerInstances[0]);
 
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
+    await expect(pendingResult).resolves.toEqual(OK_RESULT);
+    expect(harness.workerOptions[0]?.resourceLimits).toEqual(
+      expect.objectContaining({
+        maxOldGenerationSizeMb: 256,
+        maxYoungGenerationSizeMb: 8,
+      }),
+    );
+  });
 
-    expect(unrefMock).toHaveBeenCalledTimes(1);
+  it("should tolerate workers without unref", async () => {
+    const harness = createMockWorkerHarness({ includeUnref: false });
+    const executor = await loadExecutor(harness);
 
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: { ok: true },
-      logs: [],
-    });
+    const pendingResult = runScript(executor);
+    reply(harness.workerInstances[0]);
 
-    await expect(pendingResult).resolves.toEqual({
-      ok: true,
-      event: { ok: true },
-      logs: [],
-    });
+    await expect(pendingResult).resolves.toEqual(OK_RESULT);
+    expect(harness.unrefMock).not.toHaveBeenCalled();
   });
 
-  it("should clear listeners after resolution", async () => {
-    const { workerInstances, MockWorker } = createMockWorkerHarness();
+  it("should reuse one warm worker and send the source hash for compile caching", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
+    const [firstReq, secondReq] = [{ n: 1 }, { n: 2 }];
 
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
+    const first = runScript(executor, firstReq);
+    const [worker] = harness.workerInstances;
+    reply(worker);
+    await expect(first).resolves.toEqual(OK_RESULT);
 
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
+    const second = runScript(executor, secondReq);
+    reply(worker, OK_RESULT, { cached: true });
+    await expect(second).resolves.toEqual(OK_RESULT);
+
+    expect(harness.workerInstances).toHaveLength(1);
+    expect(harness.unrefMock).toHaveBeenCalledTimes(1);
+    expect(harness.terminateMock).not.toHaveBeenCalled();
 
-    const pendingResult = executeCustomScript({
+    const [[firstTask], [secondTask]] = worker.postMessage.mock.calls;
+    expect(firstTask).toEqual({
+      id: expect.any(Number),
+      hash: expect.stringMatching(SHA256_HEX_PATTERN),
       source: SUCCESS_SCRIPT_SOURCE,
       event: {},
-      req: {},
-      timeoutMs: 50,
-    });
-
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(1);
-
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: { ok: true },
-      logs: [],
+      req: firstReq,
+      timeoutMs: SCRIPT_TIMEOUT_MS,
     });
+    expect(secondTask).toEqual(
+      expect.objectContaining({ hash: firstTask.hash, req: secondReq }),
+    );
+    expect(executor.getCustomScriptPoolStats()).toEqual(
+      expect.objectContaining({
+        workers: 1,
+        busy: 0,
+        idle: 1,
+        executions: 2,
+        workersStarted: 1,
+        scriptCache: { hits: 1, misses: 1 },
+      }),
+    );
+  });
 
-    await expect(pendingResult).resolves.toEqual({
-      ok: true,
-      event: { ok: true },
-      logs: [],
+  it("should cap workers at the pool size and queue the rest", async () => {
+    const harness = createMockWorkerHarness();
+    const poolSize = 2;
+    const executor = await loadExecutor(harness, {
+      CUSTOM_SCRIPT_POOL_SIZE: String(poolSize),
     });
 
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(0);
-  });
-
-  it("should ignore late captured listeners after resolution", async () => {
-    const { workerInstances, terminateMock, MockWorker } =
-      createMockWorkerHarness();
+    const pending = [
+      runScript(executor, { n: 1 }),
+      runScript(executor, { n: 2 }),
+      runScript(executor, { n: 3 }),
+    ];
 
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
+    expect(harness.workerInstances).toHaveLength(poolSize);
+    expect(executor.getCustomScriptPoolStats()).toEqual(
+      expect.objectContaining({
+        maxWorkers: poolSize,
+        busy: poolSize,
+        queued: 1,
+      }),
+    );
 
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
+    const [firstWorker, secondWorker] = harness.workerInstances;
+    reply(firstWorker);
+    expect(firstWorker.postMessage).toHaveBeenLastCalledWith(
+      expect.objectContaining({ req: { n: 3 } }),
+    );
+    reply(secondWorker);
+    reply(firstWorker);
 
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
-    const lateMessageListener = /** @type {WrappedListener} */ (
-      workerInstances[0].rawListeners(STREAM_EVENTS.MESSAGE)[0]
-    ).listener;
-    const lateErrorListener = /** @type {WrappedListener} */ (
-      workerInstances[0].rawListeners(STREAM_EVENTS.ERROR)[0]
-    ).listener;
-
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: { ok: true },
-      logs: [],
-    });
+    await expect(Promise.all(pending)).resolves.toHaveLength(pending.length);
+    expect(harness.workerInstances).toHaveLength(poolSize);
+    expect(executor.getCustomScriptPoolStats().queued).toBe(0);
+  });
 
-    await expect(pendingResult).resolves.toEqual({
-      ok: true,
-      event: { ok: true },
-      logs: [],
+  it("should recycle a worker after the configured number of executions", async () => {
+    const harness = createMockWorkerHarness();
+    const maxExecutions = 2;
+    const executor = await loadExecutor(harness, {
+      CUSTOM_SCRIPT_WORKER_MAX_EXECUTIONS: String(maxExecutions),
     });
 
-    expect(lateMessageListener).toBeInstanceOf(Function);
-    expect(lateErrorListener).toBeInstanceOf(Function);
+    for (let run = 0; run < maxExecutions; run += 1) {
+      const pendingResult = runScript(executor);
+      reply(harness.workerInstances[0]);
+      await pendingResult;
+    }
 
-    await lateMessageListener?.call(workerInstances[0], {
-      ok: false,
-      event: { late: true },
-      logs: [],
-    });
-    await lateErrorListener?.call(workerInstances[0], new Error("ignored"));
+    expect(harness.terminateMock).toHaveBeenCalledTimes(1);
+    expect(executor.getCustomScriptPoolStats()).toEqual(
+      expect.objectContaining({
+        workers: 0,
+        recycled: { maxExecutions: 1, heapPressure: 0 },
+      }),
+    );
 
-    expect(terminateMock).toHaveBeenCalledTimes(1);
+    const next = runScript(executor);
+    const replacement = harness.workerInstances.at(-1);
+    expect(replacement).not.toBe(harness.workerInstances[0]);
+    reply(/** @type {MockWorkerInstance} */ (replacement));
+    await expect(next).resolves.toEqual(OK_RESULT);
   });
 
-  it("should ignore clean worker exits until a later message settles the execution", async () => {
-    const { workerInstances, terminateMock, MockWorker } =
-      createMockWorkerHarness();
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
-
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
+  it("should recycle a worker whose heap passed the recycle threshold", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
 
-    workerInstances[0].emit(STREAM_EVENTS.EXIT, 0);
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: { ok: true },
-      logs: [],
+    const pendingResult = runScript(executor);
+    reply(harness.workerInstances[0], OK_RESULT, {
+      heapUsedBytes: Number.MAX_SAFE_INTEGER,
     });
 
-    await expect(pendingResult).resolves.toEqual({
-      ok: true,
-      event: { ok: true },
-      logs: [],
+    await expect(pendingResult).resolves.toEqual(OK_RESULT);
+    expect(harness.terminateMock).toHaveBeenCalledTimes(1);
+    expect(executor.getCustomScriptPoolStats().recycled).toEqual({
+      maxExecutions: 0,
+      heapPressure: 1,
     });
-    expect(terminateMock).not.toHaveBeenCalled();
   });
 
-  it("should tolerate workers without unref and still cleanup listeners on error", async () => {
-    const { workerInstances, terminateMock, unrefMock, MockWorker } =
-      createMockWorkerHarness({ includeUnref: false });
+  it("should reject and replace a worker that emits an error", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
     const workerErrorMessage = "worker failed";
 
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
-
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
-
-    expect(unrefMock).not.toHaveBeenCalled();
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(1);
-
-    workerInstances[0].emit(STREAM_EVENTS.ERROR, new Error(workerErrorMessage));
+    const pendingResult = runScript(executor);
+    const [crashedWorker] = harness.workerInstances;
+    crashedWorker.emit(STREAM_EVENTS.ERROR, new Error(workerErrorMessage));
+    crashedWorker.emit(STREAM_EVENTS.EXIT, 1);
 
     await expect(pendingResult).rejects.toThrow(workerErrorMessage);
-    expect(terminateMock).toHaveBeenCalledTimes(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(0);
-  });
-
-  it("should reject when the worker exits unexpectedly without double-terminating the already-exited worker", async () => {
-    const { workerInstances, terminateMock, MockWorker } =
-      createMockWorkerHarness();
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
+    expect(harness.terminateMock).toHaveBeenCalledTimes(1);
+    expect(executor.getCustomScriptPoolStats()).toEqual(
+      expect.objectContaining({ workers: 0, crashed: 1 }),
+    );
 
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
+    const next = runScript(executor);
+    reply(crashedWorker);
+    reply(harness.workerInstances[1]);
+    await expect(next).resolves.toEqual(OK_RESULT);
+    expect(executor.getCustomScriptPoolStats().executions).toBe(1);
+  });
 
+  it("should reject when the worker exits unexpectedly", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
     const exitCode = 1;
-    workerInstances[0].emit(STREAM_EVENTS.EXIT, exitCode);
+
+    const pendingResult = runScript(executor);
+    harness.workerInstances[0].emit(STREAM_EVENTS.EXIT, exitCode);
 
     await expect(pendingResult).rejects.toThrow(
       ERROR_MESSAGES.SCRIPT_EXECUTION_FAILED(exitCode),
     );
-    expect(terminateMock).not.toHaveBeenCalled();
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(0);
   });
 
-  it("should reject when the worker emits an error and still terminate the worker", async () => {
-    const { workerInstances, terminateMock, MockWorker } =
-      createMockWorkerHarness();
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
-
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
+  it("should terminate a worker that does not answer within the timeout and grace period", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness, {
+      CUSTOM_SCRIPT_WATCHDOG_GRACE_MS: "0",
     });
 
-    const errorMsg = "worker failed";
-    workerInstances[0].emit(STREAM_EVENTS.ERROR, new Error(errorMsg));
+    const pendingResult = runScript(executor);
 
-    await expect(pendingResult).rejects.toThrow(errorMsg);
-    expect(terminateMock).toHaveBeenCalledTimes(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(0);
+    await expect(pendingResult).rejects.toEqual(
+      expect.objectContaining({
+        message: ERROR_MESSAGES.SCRIPT_TIMEOUT,
+        code: NODE_ERROR_CODES.ERR_SCRIPT_EXECUTION_TIMEOUT,
+      }),
+    );
+    expect(harness.terminateMock).toHaveBeenCalledTimes(1);
+    expect(executor.getCustomScriptPoolStats()).toEqual(
+      expect.objectContaining({ workers: 0, timedOut: 1 }),
+    );
   });
 
-  it("should await worker termination when a message resolves with ok false", async () => {
-    const { workerInstances, terminateMock, MockWorker } =
-      createMockWorkerHarness();
-
-    /** @type {() => void} */
-    let resolveTerminate = () => {};
-    /** @type {Promise<void>} */
-    const terminateDeferred = new Promise((resolve) => {
-      resolveTerminate = assertType(resolve);
-    });
-    terminateMock.mockImplementation(async () => {
-      await terminateDeferred;
-    });
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
+  it("should ignore replies that belong to another task", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
 
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
+    const pendingResult = runScript(executor);
+    const [worker] = harness.workerInstances;
+    worker.emit(STREAM_EVENTS.MESSAGE, { id: -1, result: { ok: false } });
+    reply(worker);
 
-    const failedResult = {
-      ok: false,
-      event: { failed: true },
-      logs: [],
-      error: { message: "script failed" },
-    };
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, failedResult);
-
-    const pendingMarker = Symbol("pending");
-    await expect(
-      Promise.race([pendingResult, Promise.resolve(pendingMarker)]),
-    ).resolves.toBe(pendingMarker);
-
-    resolveTerminate();
-
-    await expect(pendingResult).resolves.toEqual(failedResult);
-    expect(terminateMock).toHaveBeenCalledTimes(1);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.MESSAGE)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.ERROR)).toBe(0);
-    expect(workerInstances[0].listenerCount(STREAM_EVENTS.EXIT)).toBe(0);
+    await expect(pendingResult).resolves.toEqual(OK_RESULT);
+    expect(executor.getCustomScriptPoolStats().executions).toBe(1);
   });
 
-  it("should ignore worker terminate failures after the worker has already resolved", async () => {
-    const { workerInstances, terminateMock, MockWorker } =
-      createMockWorkerHarness();
-
-    terminateMock.mockImplementationOnce(async () => {
-      throw new Error("terminate failed");
-    });
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
+  it("should reject executions whose input cannot be sent and keep the worker", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness);
+    const cloneErrorMessage = "could not be cloned";
 
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
-    });
+    const warmUp = runScript(executor);
+    const [worker] = harness.workerInstances;
+    reply(worker);
+    await warmUp;
 
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: { ok: true },
-      logs: [],
+    worker.postMessage.mockImplementationOnce(() => {
+      throw new Error(cloneErrorMessage);
     });
-
-    await expect(pendingResult).resolves.toEqual({
-      ok: true,
-      event: { ok: true },
-      logs: [],
-    });
-    expect(terminateMock).toHaveBeenCalledTimes(1);
+    await expect(runScript(executor)).rejects.toThrow(cloneErrorMessage);
+
+    const next = runScript(executor);
+    reply(worker);
+    await expect(next).resolves.toEqual(OK_RESULT);
+    expect(harness.workerInstances).toHaveLength(1);
+    expect(harness.terminateMock).not.toHaveBeenCalled();
+    expect(executor.getCustomScriptPoolStats().workers).toBe(1);
   });
 
-  it("should reject deterministically when cleanup throws during message handling", async () => {
-    const { workerInstances, MockWorker } = createMockWorkerHarness();
-    const cleanupErrorMessage = "cleanup failed";
-
-    jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-      Worker: MockWorker,
-    }));
-
-    const { executeCustomScript } =
-      await import("../../../src/utils/custom_script_executor.js");
-
-    const pendingResult = executeCustomScript({
-      source: SUCCESS_SCRIPT_SOURCE,
-      event: {},
-      req: {},
-      timeoutMs: 50,
+  it("should reject queued and in-flight executions when the pool closes", async () => {
+    const harness = createMockWorkerHarness();
+    const executor = await loadExecutor(harness, {
+      CUSTOM_SCRIPT_POOL_SIZE: "1",
     });
 
-    jest
-      .spyOn(workerInstances[0], "removeAllListeners")
-      .mockImplementationOnce(() => {
-        throw new Error(cleanupErrorMessage);
-      });
+    const inFlight = runScript(executor);
+    const queued = runScript(executor);
+    await executor.closeCustomScriptPool();
 
-    workerInstances[0].emit(STREAM_EVENTS.MESSAGE, {
-      ok: true,
-      event: { ok: true },
-      logs: [],
-    });
+    await expect(inFlight).rejects.toThrow(ERROR_MESSAGES.SCRIPT_POOL_CLOSED);
+    await expect(queued).rejects.toThrow(ERROR_MESSAGES.SCRIPT_POOL_CLOSED);
+    expect(harness.terminateMock).toHaveBeenCalledTimes(1);
+    expect(executor.getCustomScriptPoolStats()).toEqual(
+      expect.objectContaining({ workers: 0, queued: 0 }),
+    );
+  });
+
+  it("should ignore worker terminate failures", async () => {
+    const harness = createMockWorkerHarness();
+    harness.terminateMock.mockRejectedValueOnce(new Error("terminate failed"));
+    const executor = await loadExecutor(harness);
 
-    await expect(pendingResult).rejects.toThrow(cleanupErrorMessage);
+    runScript(executor).catch(() => undefined);
+    await expect(executor.closeCustomScriptPool()).resolves.toBeUndefined();
   });
 });
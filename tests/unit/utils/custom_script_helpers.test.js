@@ -0,0 +1,200 @@
+/**
+ * @file tests/unit/utils/custom_script_helpers.test.js
+ * @description Unit tests for the `utils` global and async wrapper used by custom scripts.
+ */
+
+import { createHash, createHmac } from "node:crypto";
+import vm from "node:vm";
+import {
+  CUSTOM_SCRIPT_UTILS as utils,
+  wrapCustomScriptSource,
+} from "../../../src/utils/custom_script_helpers.js";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+const SECRET = "whsec_test";
+const PAYLOAD = '{"id":"evt_1"}';
+const ISO_EPOCH = "1970-01-01T00:00:00.000Z";
+const ONE_MINUTE_MS = 60000;
+
+describe("Custom Script Helpers", () => {
+  describe("wrapCustomScriptSource", () => {
+    it("should run the script as an async function that supports top-level await", async () => {
+      const context = vm.createContext({ event: {} });
+
+      // eslint-disable-next-line sonarjs/code-eval
+      const completion = new vm.Script(
+        wrapCustomScriptSource("event.value = await Promise.resolve(1);"),
+      ).runInContext(context);
+      await completion;
+
+      expect(context.event).toEqual({ value: 1 });
+    });
+
+    it("should keep the user's line numbers in errors", () => {
+      // eslint-disable-next-line sonarjs/code-eval
+      const script = new vm.Script(
+        wrapCustomScriptSource("const a = 1;\nnull.boom;"),
+      );
+
+      return expect(script.runInContext(vm.createContext({}))).rejects.toThrow(
+        expect.objectContaining({
+          stack: expect.stringContaining("evalmachine.<anonymous>:2"),
+        }),
+      );
+    });
+
+    it("should tolerate a trailing line comment", () => {
+      const source = wrapCustomScriptSource("event.a = 1; // done");
+
+      // eslint-disable-next-line sonarjs/code-eval
+      expect(() => new vm.Script(source)).not.toThrow();
+    });
+  });
+
+  describe("crypto", () => {
+    it("should hash and sign strings and JSON values", () => {
+      expect(utils.crypto.hash("sha256", PAYLOAD)).toBe(
+        createHash("sha256").update(PAYLOAD).digest("hex"),
+      );
+      expect(utils.crypto.hash("SHA384", { id: "evt_1" }, "base64")).toBe(
+        createHash("sha384").update(PAYLOAD).digest("base64"),
+      );
+      expect(utils.crypto.hmac("sha512", SECRET, PAYLOAD, "base64url")).toBe(
+        createHmac("sha512", SECRET).update(PAYLOAD).digest("base64url"),
+      );
+    });
+
+    it("should reject unsupported algorithms and encodings", () => {
+      expect(() => utils.crypto.hash("sha3-256", PAYLOAD)).toThrow(
+        ERROR_MESSAGES.SCRIPT_UTILS_UNSUPPORTED_ALGORITHM("sha3-256"),
+      );
+      expect(() =>
+        utils.crypto.hmac("sha256", SECRET, PAYLOAD, "latin1"),
+      ).toThrow(ERROR_MESSAGES.SCRIPT_UTILS_UNSUPPORTED_ENCODING("latin1"));
+    });
+
+    it("should compare strings in constant time", () => {
+      expect(utils.crypto.timingSafeEqual("abc", "abc")).toBe(true);
+      expect(utils.crypto.timingSafeEqual("abc", "abd")).toBe(false);
+      expect(utils.crypto.timingSafeEqual("abc", "abcd")).toBe(false);
+    });
+
+    it("should generate UUIDs", () => {
+      expect(utils.crypto.randomUUID()).toMatch(
+        /^[\da-f]{8}-[\da-f]{4}-4[\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}$/,
+      );
+    });
+  });
+
+  describe("encoding", () => {
+    it("should round-trip base64, base64url, and hex", () => {
+      const text = "héllo?>";
+
+      expect(
+        utils.encoding.base64Decode(utils.encoding.base64Encode(text)),
+      ).toBe(text);
+      expect(
+        utils.encoding.base64UrlDecode(utils.encoding.base64UrlEncode(text)),
+      ).toBe(text);
+      expect(utils.encoding.hexEncode("hi")).toBe("6869");
+      expect(utils.encoding.hexDecode("6869")).toBe("hi");
+    });
+  });
+
+  describe("url", () => {
+    it("should parse URLs including their query", () => {
+      expect(
+        utils.url.parse("https://api.example.com:8443/v1/hooks?a=1&a=2#top"),
+      ).toEqual({
+        href: "https://api.example.com:8443/v1/hooks?a=1&a=2#top",
+        protocol: "https:",
+        host: "api.example.com:8443",
+        hostname: "api.example.com",
+        port: "8443",
+        pathname: "/v1/hooks",
+        search: "?a=1&a=2",
+        hash: "#top",
+        query: { a: ["1", "2"] },
+      });
+      expect(utils.url.parse("/relative/path")).toBeNull();
+    });
+
+    it("should parse form bodies and skip prototype keys", () => {
+      const query = utils.url.parseQuery(
+        "?name=Ada+Lovelace&tag=a&tag=b&__proto__=x",
+      );
+
+      expect(query).toEqual({ name: "Ada Lovelace", tag: ["a", "b"] });
+      expect(Object.getPrototypeOf(query)).toBe(Object.prototype);
+    });
+
+    it("should build query strings, repeating array values", () => {
+      expect(
+        utils.url.buildQuery({ q: "a b", tag: ["x", "y"], skip: undefined }),
+      ).toBe("q=a+b&tag=x&tag=y");
+    });
+  });
+
+  describe("json", () => {
+    it("should get nested values by JSON path", () => {
+      const body = { data: { items: [{ id: "a" }] } };
+
+      expect(utils.json.get(body, "$.data.items[0].id")).toBe("a");
+      expect(utils.json.get(body, "$.data.missing.id")).toBeUndefined();
+    });
+
+    it("should set values, creating objects and arrays along the path", () => {
+      /** @type {Record<string, any>} */
+      const target = { data: {} };
+
+      expect(utils.json.set(target, "$.data.items[0]['x-id']", 1)).toBe(target);
+      expect(target).toEqual({ data: { items: [{ "x-id": 1 }] } });
+    });
+
+    it.each(["$.__proto__.polluted", "$.a.constructor.prototype", "$"])(
+      "should refuse the unsafe path %s",
+      (path) => {
+        expect(() => utils.json.set({}, path, true)).toThrow(
+          ERROR_MESSAGES.SCRIPT_UTILS_UNSAFE_PATH(path),
+        );
+        expect(Object.prototype).not.toHaveProperty("polluted");
+      },
+    );
+  });
+
+  describe("time", () => {
+    it("should convert between dates, ISO strings, and epoch seconds", () => {
+      expect(utils.time.toIso(0)).toBe(ISO_EPOCH);
+      expect(utils.time.toUnix(ISO_EPOCH)).toBe(0);
+      expect(
+        utils.time.fromUnix(ONE_MINUTE_MS / APP_CONSTS.MS_PER_SECOND),
+      ).toBe("1970-01-01T00:01:00.000Z");
+      expect(utils.time.addMs(ISO_EPOCH, -ONE_MINUTE_MS)).toBe(
+        "1969-12-31T23:59:00.000Z",
+      );
+      expect(utils.time.diffMs(ISO_EPOCH, "1970-01-01T00:01:00Z")).toBe(
+        ONE_MINUTE_MS,
+      );
+      expect(Date.parse(utils.time.now())).not.toBeNaN();
+    });
+
+    it("should return null instead of throwing on invalid dates", () => {
+      expect(utils.time.toIso("not a date")).toBeNull();
+      expect(utils.time.toUnix(null)).toBeNull();
+      expect(utils.time.fromUnix("soon")).toBeNull();
+      expect(utils.time.addMs(ISO_EPOCH, Number.NaN)).toBeNull();
+      expect(utils.time.diffMs(true, ISO_EPOCH)).toBeNull();
+    });
+  });
+
+  it("should be frozen all the way down", () => {
+    expect(Object.isFrozen(utils)).toBe(true);
+    expect(Object.isFrozen(utils.crypto)).toBe(true);
+    expect(Object.isFrozen(utils.crypto.hash)).toBe(true);
+    expect(() => {
+      "use strict";
+      /** @type {any} */ (utils.json).get = () => "tampered";
+    }).toThrow(TypeError);
+  });
+});
@@ -4,6 +4,9 @@
  */
 
 import { beforeEach, describe, expect, it, jest } from "@jest/globals";
+import { EventEmitter } from "node:events";
+import actualVm from "node:vm";
+import { STREAM_EVENTS } from "../../../src/consts/app.js";
 import { HTTP_STATUS } from "../../../src/consts/http.js";
 import { LOG_MESSAGES } from "../../../src/consts/messages.js";
 import { LogLevel } from "../../../src/utils/logger.js";
@@ -12,6 +15,8 @@ const WORKER_THREADS_MODULE = "node:worker_threads";
 const VM_MODULE = "node:vm";
 const WORKER_MODULE_PATH = "../../../src/utils/custom_script_worker.js";
 const NON_ERROR_THROWN_VALUE = 123;
+const TASK_ID = 7;
+const SCRIPT_HASH = "hash-1";
 
 /**
  * @typedef {{
@@ -27,38 +32,61 @@ const NON_ERROR_THROWN_VALUE = 123;
  */
 
 /**
+ * Loads the worker module and sends it each task, as the pool would.
  * @param {{
  *   workerData: Record<string, unknown>,
  *   vmFactory?: () => Promise<Record<string, unknown>> | Record<string, unknown>,
+ *   tasks?: Array<Record<string, unknown>>,
  * }} options
  * @returns {Promise<jest.Mock>}
  */
-async function runWorkerModule({ workerData, vmFactory }) {
+async function runWorkerModule({ workerData, vmFactory, tasks }) {
   const postMessage = jest.fn();
+  const parentPort = Object.assign(new EventEmitter(), { postMessage });
 
   jest.unstable_mockModule(WORKER_THREADS_MODULE, () => ({
-    parentPort: { postMessage },
-    workerData,
+    parentPort,
   }));
 
   if (vmFactory) {
     jest.unstable_mockModule(VM_MODULE, vmFactory);
   } else {
-    const actualVmModule = await import(VM_MODULE);
-    const actualVmDefault = actualVmModule.default ?? actualVmModule;
+    // Earlier tests leave their vm mock registered, so restore the real one
     jest.unstable_mockModule(VM_MODULE, () => ({
-      ...actualVmModule,
-      default: actualVmDefault,
+      ...actualVm,
+      default: actualVm,
     }));
   }
 
   await jest.isolateModulesAsync(async () => {
     await import(WORKER_MODULE_PATH);
   });
+  for (const task of tasks ?? [workerData]) {
+    parentPort.emit(STREAM_EVENTS.MESSAGE, {
+      id: TASK_ID,
+      hash: SCRIPT_HASH,
+      ...task,
+    });
+  }
+  // Tasks settle asynchronously; let their replies go out
+  await new Promise((resolve) => setImmediate(resolve));
 
   return postMessage;
 }
 
+/**
+ * @param {Record<string, unknown>} result
+ * @param {boolean} [cached]
+ */
+function workerReply(result, cached = false) {
+  return {
+    id: TASK_ID,
+    result,
+    cached,
+    heapUsedBytes: expect.any(Number),
+  };
+}
+
 describe("Custom Script Worker", () => {
   beforeEach(() => {
     jest.resetModules();
@@ -109,30 +137,32 @@ describe("Custom Script Worker", () => {
     });
 
     expect(postMessage).toHaveBeenCalledTimes(1);
-    expect(postMessage).toHaveBeenCalledWith({
-      ok: true,
-      event: {
-        accepted: true,
-        headers: { existing: true, seen: "yes" },
-        query: { checked: true },
-        params: { id: 123 },
-        responseHeaders: { "x-result": "ok" },
-      },
-      logs: [
-        {
-          level: LogLevel.DEBUG,
-          args: ["debug", { nested: true }],
-        },
-        {
-          level: LogLevel.WARN,
-          args: [expect.stringContaining("fallback")],
-        },
-        {
-          level: LogLevel.INFO,
-          args: [HTTP_STATUS.CREATED],
+    expect(postMessage).toHaveBeenCalledWith(
+      workerReply({
+        ok: true,
+        event: {
+          accepted: true,
+          headers: { existing: true, seen: "yes" },
+          query: { checked: true },
+          params: { id: 123 },
+          responseHeaders: { "x-result": "ok" },
         },
-      ],
-    });
+        logs: [
+          {
+            level: LogLevel.DEBUG,
+            args: ["debug", { nested: true }],
+          },
+          {
+            level: LogLevel.WARN,
+            args: [expect.stringContaining("fallback")],
+          },
+          {
+            level: LogLevel.INFO,
+            args: [HTTP_STATUS.CREATED],
+          },
+        ],
+      }),
+    );
   });
 
   it("should serialize non-Error thrown values into a generic execution error", async () => {
@@ -161,14 +191,16 @@ describe("Custom Script Worker", () => {
     });
 
     expect(postMessage).toHaveBeenCalledTimes(1);
-    expect(postMessage).toHaveBeenCalledWith({
-      ok: false,
-      logs: [],
-      error: {
-        name: "Error",
-        message: String(NON_ERROR_THROWN_VALUE),
-      },
-    });
+    expect(postMessage).toHaveBeenCalledWith(
+      workerReply({
+        ok: false,
+        logs: [],
+        error: {
+          name: "Error",
+          message: String(NON_ERROR_THROWN_VALUE),
+        },
+      }),
+    );
   });
 
   it("should serialize same-realm Error objects with stack and code details", async () => {
@@ -201,27 +233,29 @@ describe("Custom Script Worker", () => {
     });
 
     expect(postMessage).toHaveBeenCalledTimes(1);
-    expect(postMessage).toHaveBeenCalledWith({
-      ok: false,
-      logs: [
-        {
-          level: LogLevel.ERROR,
-          args: [
-            expect.objectContaining({
-              name: "Error",
-              message: "logged vm failure",
-              stack: expect.any(String),
-            }),
-          ],
-        },
-      ],
-      error: expect.objectContaining({
-        name: "Error",
-        message: "vm failure",
-        code: "E_VM",
-        stack: expect.any(String),
+    expect(postMessage).toHaveBeenCalledWith(
+      workerReply({
+        ok: false,
+        logs: [
+          {
+            level: LogLevel.ERROR,
+            args: [
+              expect.objectContaining({
+                name: "Error",
+                message: "logged vm failure",
+                stack: expect.any(String),
+              }),
+            ],
+          },
+        ],
+        error: expect.objectContaining({
+          name: "Error",
+          message: "vm failure",
+          code: "E_VM",
+          stack: expect.any(String),
+        }),
       }),
-    });
+    );
   });
 
   it("should fall back to the unknown error message when the thrown value is nullish", async () => {
@@ -250,13 +284,37 @@ describe("Custom Script Worker", () => {
     });
 
     expect(postMessage).toHaveBeenCalledTimes(1);
-    expect(postMessage).toHaveBeenCalledWith({
-      ok: false,
-      logs: [],
-      error: {
-        name: "Error",
-        message: LOG_MESSAGES.UNKNOWN_ERROR,
-      },
-    });
+    expect(postMessage).toHaveBeenCalledWith(
+      workerReply({
+        ok: false,
+        logs: [],
+        error: {
+          name: "Error",
+          message: LOG_MESSAGES.UNKNOWN_ERROR,
+        },
+      }),
+    );
+  });
+
+  it("should reuse the compiled script for a known hash but give every task a fresh context", async () => {
+    const source =
+      "event.leaked = typeof previous !== 'undefined'; var previous = true;";
+    const tasks = [
+      { source, event: {}, req: {}, timeoutMs: 50 },
+      { source, event: {}, req: {}, timeoutMs: 50 },
+    ];
+    const postMessage = await runWorkerModule({ workerData: {}, tasks });
+
+    expect(postMessage).toHaveBeenCalledTimes(tasks.length);
+    expect(postMessage.mock.calls.map(([message]) => message)).toEqual([
+      workerReply(expect.objectContaining({ ok: true })),
+      workerReply(
+        expect.objectContaining({
+          ok: true,
+          event: expect.objectContaining({ leaked: false }),
+        }),
+        true,
+      ),
+    ]);
   });
 });
@@ -0,0 +1,171 @@
+/**
+ * @file tests/unit/utils/custom_scripts.test.js
+ * @description Unit tests for script library normalization and selection.
+ */
+
+import {
+  normalizeCustomScripts,
+  selectCustomScripts,
+} from "../../../src/utils/custom_scripts.js";
+import { CUSTOM_SCRIPT_LIBRARY_CONSTS } from "../../../src/consts/app.js";
+import { HTTP_METHODS } from "../../../src/consts/http.js";
+import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").CustomScriptDefinition} CustomScriptDefinition
+ * @typedef {import("../../../src/typedefs.js").MockRequest} MockRequest
+ */
+
+const STRIPE_ID = "normalize-stripe";
+const GITHUB_ID = "tag-github-pushes";
+const STRIPE_WEBHOOK_ID = "wh_stripe";
+const SOURCE = "event.normalized = true;";
+
+const stripeScript = {
+  id: STRIPE_ID,
+  source: SOURCE,
+  webhookIds: [` ${STRIPE_WEBHOOK_ID} `],
+  match: { body: { "$.type": "invoice.paid" } },
+};
+const githubScript = {
+  id: GITHUB_ID,
+  source: "event.$tags = ['github'];",
+  match: { headers: { "X-GitHub-Event": "push" } },
+};
+
+/**
+ * @param {unknown[]} input
+ * @returns {CustomScriptDefinition[]}
+ */
+const buildScripts = (input) => {
+  const { scripts, errors } = normalizeCustomScripts(input);
+  expect(errors).toEqual([]);
+  return scripts;
+};
+
+/**
+ * @param {Partial<MockRequest>} [overrides]
+ * @returns {MockRequest}
+ */
+const buildRequest = (overrides = {}) => ({
+  webhookId: STRIPE_WEBHOOK_ID,
+  method: HTTP_METHODS.POST,
+  path: `/webhook/${STRIPE_WEBHOOK_ID}`,
+  headers: { "x-github-event": "push" },
+  query: {},
+  body: { type: "invoice.paid" },
+  ...overrides,
+});
+
+describe("Custom Script Library Utils", () => {
+  describe("normalizeCustomScripts", () => {
+    it("should apply defaults and normalize ids and match conditions", () => {
+      const [stripe, github] = buildScripts([
+        { ...stripeScript, id: ` ${STRIPE_ID} ` },
+        githubScript,
+      ]);
+
+      expect(stripe).toEqual({
+        id: STRIPE_ID,
+        source: SOURCE,
+        enabled: true,
+        webhookIds: [STRIPE_WEBHOOK_ID],
+        match: { body: stripeScript.match.body },
+      });
+      expect(github.match).toEqual({ headers: { "x-github-event": "push" } });
+    });
+
+    it("should accept scripts that use top-level await", () => {
+      expect(
+        buildScripts([
+          { id: "async", source: "event.a = await Promise.resolve(1);" },
+        ]),
+      ).toHaveLength(1);
+    });
+
+    it("should drop invalid entries and duplicate ids with indexed errors", () => {
+      const { scripts, errors } = normalizeCustomScripts([
+        stripeScript,
+        { ...githubScript, id: STRIPE_ID },
+        { id: "broken", source: "event.a = ;" },
+        { id: CUSTOM_SCRIPT_LIBRARY_CONSTS.DEFAULT_SCRIPT_ID, source: SOURCE },
+        { id: "bad-scope", source: SOURCE, webhookIds: "wh_1", extra: 1 },
+        { id: "bad-match", source: SOURCE, match: { body: { type: 1 } } },
+        { id: "no-source", enabled: "yes" },
+      ]);
+
+      expect(scripts.map((script) => script.id)).toEqual([STRIPE_ID]);
+      expect(errors).toEqual([
+        ERROR_MESSAGES.INVALID_CUSTOM_SCRIPT(
+          1,
+          ERROR_MESSAGES.DUPLICATE_ID(STRIPE_ID),
+        ),
+        expect.stringContaining(ERROR_MESSAGES.SCRIPT_SOURCE_INVALID("")),
+        expect.stringContaining(
+          ERROR_MESSAGES.CUSTOM_SCRIPT_ID_RESERVED(
+            CUSTOM_SCRIPT_LIBRARY_CONSTS.DEFAULT_SCRIPT_ID,
+          ),
+        ),
+        expect.stringContaining(ERROR_MESSAGES.UNSUPPORTED_FIELD("extra")),
+        expect.stringContaining(
+          ERROR_MESSAGES.INVALID_FIELD("webhookIds", "an array of webhook IDs"),
+        ),
+        expect.stringContaining("match.body must be"),
+        expect.stringContaining(ERROR_MESSAGES.REQUIRED_FIELD("source")),
+        expect.stringContaining(
+          ERROR_MESSAGES.INVALID_FIELD("enabled", "a boolean"),
+        ),
+      ]);
+    });
+
+    it("should reject non-array input and entries past the limit", () => {
+      expect(normalizeCustomScripts({}).errors).toEqual([
+        ERROR_MESSAGES.INVALID_WEBHOOK_SETTING("customScripts", "an array"),
+      ]);
+      expect(normalizeCustomScripts(null)).toEqual({
+        scripts: [],
+        errors: [],
+      });
+
+      const tooMany = Array.from(
+        { length: CUSTOM_SCRIPT_LIBRARY_CONSTS.MAX_SCRIPTS + 1 },
+        (_, index) => ({ id: `script-${index}`, source: SOURCE }),
+      );
+      const { scripts, errors } = normalizeCustomScripts(tooMany);
+      expect(scripts).toHaveLength(CUSTOM_SCRIPT_LIBRARY_CONSTS.MAX_SCRIPTS);
+      expect(errors).toHaveLength(1);
+    });
+  });
+
+  describe("selectCustomScripts", () => {
+    it("should return every matching enabled script in chain order", () => {
+      const scripts = buildScripts([
+        githubScript,
+        { id: "everything", source: SOURCE },
+        stripeScript,
+        { id: "disabled", source: SOURCE, enabled: false },
+      ]);
+
+      expect(
+        selectCustomScripts(scripts, buildRequest()).map((script) => script.id),
+      ).toEqual([GITHUB_ID, "everything", STRIPE_ID]);
+    });
+
+    it("should skip scripts scoped to another webhook or whose match fails", () => {
+      const scripts = buildScripts([stripeScript, githubScript]);
+
+      expect(
+        selectCustomScripts(
+          scripts,
+          buildRequest({ webhookId: "wh_other", headers: {} }),
+        ),
+      ).toEqual([]);
+      expect(
+        selectCustomScripts(
+          scripts,
+          buildRequest({ body: JSON.stringify({ type: "invoice.voided" }) }),
+        ).map((script) => script.id),
+      ).toEqual([GITHUB_ID]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @file tests/unit/utils/discord_verification.test.js
+ * @description Unit tests for Discord interactions (Ed25519) signature verification.
+ */
+
+import crypto from "crypto";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createDiscordSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Discord Signature Verification", () => {
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.DISCORD;
+  const PAYLOAD = '{"type":1,"application_id":"123"}';
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ed25519");
+  // Discord shows the application public key as 32 raw bytes in hex
+  const APPLICATION_KEY = Buffer.from(
+    String(publicKey.export({ format: "jwk" }).x),
+    "base64url",
+  ).toString("hex");
+  const config = { provider: PROVIDER, secret: APPLICATION_KEY };
+  const now = () => String(Math.floor(Date.now() / APP_CONSTS.MS_PER_SECOND));
+
+  /**
+   * @param {string} timestamp
+   * @returns {Record<string, string>}
+   */
+  const buildHeaders = (timestamp) => ({
+    [HTTP_HEADERS.DISCORD_TIMESTAMP]: timestamp,
+    [HTTP_HEADERS.DISCORD_SIGNATURE]: createDiscordSignature(
+      timestamp,
+      PAYLOAD,
+      privateKey,
+    ),
+  });
+
+  test("should verify with the hex application public key", () => {
+    expect(verifySignature(config, PAYLOAD, buildHeaders(now()))).toEqual({
+      valid: true,
+      provider: PROVIDER,
+      keyId: SIGNATURE_CONSTS.SECRET_KEY_ID,
+    });
+  });
+
+  test("should fail when the payload is modified", () => {
+    const result = verifySignature(
+      config,
+      PAYLOAD.replace("123", "456"),
+      buildHeaders(now()),
+    );
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should require both signature headers", () => {
+    const result = verifySignature(config, PAYLOAD, {
+      [HTTP_HEADERS.DISCORD_TIMESTAMP]: now(),
+    });
+    expect(result.error).toContain(SIGNATURE_ERRORS.MISSING_HEADER);
+  });
+
+  test("should reject a stale timestamp", () => {
+    const stale = String(
+      Number(now()) - SIGNATURE_CONSTS.TOLERANCE_SECONDS - 1,
+    );
+    expect(
+      verifySignature(config, PAYLOAD, buildHeaders(stale)).error,
+    ).toContain(SIGNATURE_ERRORS.TIMESTAMP_TOLERANCE);
+  });
+
+  test("should not verify streamed payloads", () => {
+    expect(createStreamVerifier(config, buildHeaders(now()))).toEqual(
+      expect.objectContaining({
+        hmac: null,
+        error: SIGNATURE_ERRORS.STREAMING_UNSUPPORTED(PROVIDER),
+      }),
+    );
+  });
+});
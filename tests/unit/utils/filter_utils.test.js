@@ -10,7 +10,10 @@ import {
   matchesRange,
   matchesIp,
   parseObjectFilter,
+  parseLogFilters,
 } from "../../../src/utils/filter_utils.js";
+import { SORT_DIRECTIONS } from "../../../src/consts/app.js";
+import { PAGINATION_CONSTS } from "../../../src/consts/database.js";
 import { assertType } from "../../setup/helpers/test-utils.js";
 
 describe("Filter Utils", () => {
@@ -250,4 +253,53 @@ describe("Filter Utils", () => {
       expect(matchObject(deepItem, assertType({ "a.b.d": 1 }))).toBe(false);
     });
   });
+
+  describe("parseLogFilters", () => {
+    it("should parse GET /logs query parameters into repository filters", () => {
+      const filters = parseLogFilters({
+        webhookId: "wh_1",
+        method: "post",
+        statusCode: { gte: String(HTTP_STATUS.INTERNAL_SERVER_ERROR) },
+        isMocked: "false",
+        headers: { "X-Event": "Invoice" },
+        sort: "statusCode:asc,timestamp",
+        limit: "abc",
+        offset: "-5",
+      });
+
+      expect(filters).toEqual(
+        expect.objectContaining({
+          webhookId: "wh_1",
+          method: HTTP_METHODS.POST,
+          statusCode: [
+            { operator: "gte", value: HTTP_STATUS.INTERNAL_SERVER_ERROR },
+          ],
+          isMocked: false,
+          headers: { "x-event": "invoice" },
+          sort: [
+            { field: "statusCode", dir: SORT_DIRECTIONS.ASC },
+            { field: "timestamp", dir: SORT_DIRECTIONS.DESC },
+          ],
+          limit: PAGINATION_CONSTS.DEFAULT_PAGE_LIMIT,
+          offset: 0,
+        }),
+      );
+      expect(filters.signatureValid).toBeUndefined();
+    });
+
+    it("should merge startTime and endTime into timestamp conditions and drop the offset for cursors", () => {
+      const filters = parseLogFilters({
+        startTime: "2026-01-01T00:00:00Z",
+        endTime: "2026-01-02T00:00:00Z",
+        cursor: "abc",
+      });
+
+      expect(filters.timestamp).toEqual([
+        { operator: "gte", value: "2026-01-01T00:00:00.000Z" },
+        { operator: "lte", value: "2026-01-02T00:00:00.000Z" },
+      ]);
+      expect(filters.cursor).toBe("abc");
+      expect(filters.offset).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,201 @@
+/**
+ * @file tests/unit/utils/forward_destinations.test.js
+ * @description Unit tests for fan-out destination normalization and selection.
+ */
+
+import {
+  normalizeForwardDestinations,
+  selectForwardDestinations,
+} from "../../../src/utils/forward_destinations.js";
+import {
+  APP_CONSTS,
+  FORWARDING_CONSTS,
+  FORWARD_MODES,
+} from "../../../src/consts/app.js";
+import { HTTP_METHODS } from "../../../src/consts/http.js";
+import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").ForwardDestination} ForwardDestination
+ * @typedef {import("../../../src/typedefs.js").MockRequest} MockRequest
+ */
+
+const STAGING_ID = "staging";
+const LAKE_ID = "data-lake";
+const STAGING_URL = "https://staging.example.com/hooks";
+const LAKE_URL = "https://ingest.example.com/events";
+const INVOICE_PAID = "invoice.paid";
+const FTP_DESTINATION_INDEX = 2;
+const BAD_RETRIES_DESTINATION_INDEX = 3;
+
+const stagingDestination = { id: STAGING_ID, url: STAGING_URL };
+const lakeDestination = {
+  id: LAKE_ID,
+  url: LAKE_URL,
+  match: {
+    method: "post",
+    headers: { "X-Event-Source": "billing" },
+    body: { "$.type": INVOICE_PAID, "$.amount": { $gt: 100 } },
+  },
+};
+
+/**
+ * @param {unknown[]} input
+ * @returns {ForwardDestination[]}
+ */
+const buildDestinations = (input) => {
+  const { destinations, errors } = normalizeForwardDestinations(input);
+  expect(errors).toEqual([]);
+  return destinations;
+};
+
+/**
+ * @param {Partial<MockRequest>} [overrides]
+ * @returns {MockRequest}
+ */
+const buildRequest = (overrides = {}) => ({
+  method: HTTP_METHODS.POST,
+  path: "/webhook/wh_fanout",
+  headers: { "x-event-source": "billing-eu" },
+  query: {},
+  body: { type: INVOICE_PAID, amount: 250 },
+  ...overrides,
+});
+
+describe("Forward Destination Utils", () => {
+  describe("normalizeForwardDestinations", () => {
+    it("should apply defaults and normalize header policy fields", () => {
+      const [destination] = buildDestinations([
+        {
+          id: ` ${STAGING_ID} `,
+          url: STAGING_URL,
+          setHeaders: { "X-Source": "debugger" },
+          removeHeaders: [" Authorization "],
+          maxRetries: APP_CONSTS.MAX_SAFE_FORWARD_RETRIES + 1,
+          circuitBreakerKey: " shared ",
+        },
+      ]);
+
+      expect(destination).toEqual({
+        id: STAGING_ID,
+        url: STAGING_URL,
+        enabled: true,
+        match: {},
+        setHeaders: { "x-source": "debugger" },
+        removeHeaders: ["authorization"],
+        maxRetries: APP_CONSTS.MAX_SAFE_FORWARD_RETRIES,
+        circuitBreakerKey: "shared",
+      });
+    });
+
+    it("should normalize match conditions with the mock rule syntax", () => {
+      const [destination] = buildDestinations([lakeDestination]);
+
+      expect(destination.match).toEqual({
+        method: [HTTP_METHODS.POST],
+        headers: { "x-event-source": "billing" },
+        body: lakeDestination.match.body,
+      });
+    });
+
+    it("should keep a valid mode and reject unknown ones", () => {
+      const { destinations, errors } = normalizeForwardDestinations([
+        { ...stagingDestination, mode: FORWARD_MODES.TRANSPARENT },
+        { id: LAKE_ID, url: LAKE_URL, mode: "proxy" },
+      ]);
+
+      expect(destinations).toEqual([
+        expect.objectContaining({ mode: FORWARD_MODES.TRANSPARENT }),
+      ]);
+      expect(errors).toEqual([
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          1,
+          ERROR_MESSAGES.INVALID_FIELD_CHOICE(
+            "mode",
+            Object.values(FORWARD_MODES),
+          ),
+        ),
+      ]);
+    });
+
+    it("should drop invalid entries and duplicate ids with indexed errors", () => {
+      const { destinations, errors } = normalizeForwardDestinations([
+        stagingDestination,
+        { id: STAGING_ID, url: LAKE_URL },
+        { id: "ftp", url: "ftp://example.com", match: { body: { type: 1 } } },
+        { id: "bad-retries", url: LAKE_URL, maxRetries: -1, extra: true },
+      ]);
+
+      expect(destinations.map((d) => d.id)).toEqual([STAGING_ID]);
+      expect(errors).toEqual([
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          1,
+          ERROR_MESSAGES.DUPLICATE_ID(STAGING_ID),
+        ),
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          FTP_DESTINATION_INDEX,
+          ERROR_MESSAGES.INVALID_FIELD("url", "an http(s) URL"),
+        ),
+        expect.stringContaining("match.body must be"),
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          BAD_RETRIES_DESTINATION_INDEX,
+          ERROR_MESSAGES.UNSUPPORTED_FIELD("extra"),
+        ),
+        ERROR_MESSAGES.INVALID_FORWARD_DESTINATION(
+          BAD_RETRIES_DESTINATION_INDEX,
+          ERROR_MESSAGES.INVALID_FIELD("maxRetries", "a non-negative integer"),
+        ),
+      ]);
+    });
+
+    it("should reject non-array input and entries past the limit", () => {
+      expect(normalizeForwardDestinations({}).errors).toEqual([
+        ERROR_MESSAGES.INVALID_WEBHOOK_SETTING(
+          "forwardDestinations",
+          "an array",
+        ),
+      ]);
+      expect(normalizeForwardDestinations(undefined)).toEqual({
+        destinations: [],
+        errors: [],
+      });
+
+      const tooMany = Array.from(
+        { length: FORWARDING_CONSTS.MAX_DESTINATIONS + 1 },
+        (_, index) => ({ id: `dest-${index}`, url: STAGING_URL }),
+      );
+      const { destinations, errors } = normalizeForwardDestinations(tooMany);
+      expect(destinations).toHaveLength(FORWARDING_CONSTS.MAX_DESTINATIONS);
+      expect(errors).toHaveLength(1);
+    });
+  });
+
+  describe("selectForwardDestinations", () => {
+    it("should return every matching enabled destination in order", () => {
+      const destinations = buildDestinations([
+        stagingDestination,
+        lakeDestination,
+        { id: "disabled", url: STAGING_URL, enabled: false },
+      ]);
+
+      expect(
+        selectForwardDestinations(destinations, buildRequest()).map(
+          (d) => d.id,
+        ),
+      ).toEqual([STAGING_ID, LAKE_ID]);
+    });
+
+    it("should skip destinations whose method, header, or body predicate fails", () => {
+      const destinations = buildDestinations([lakeDestination]);
+
+      for (const request of [
+        buildRequest({ method: HTTP_METHODS.PUT }),
+        buildRequest({ headers: { "x-event-source": "crm" } }),
+        buildRequest({ body: { type: INVOICE_PAID, amount: 50 } }),
+        buildRequest({ body: JSON.stringify({ type: "invoice.voided" }) }),
+      ]) {
+        expect(selectForwardDestinations(destinations, request)).toEqual([]);
+      }
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @file tests/unit/utils/forward_target.test.js
+ * @description Unit tests for forwarding modes (fixed, transparent, template).
+ */
+
+import {
+  getRawQuery,
+  getWebhookSubPath,
+  resolveForwardTarget,
+} from "../../../src/utils/forward_target.js";
+import { FORWARD_MODES, QUERY_PARAMS } from "../../../src/consts/app.js";
+import { HTTP_METHODS } from "../../../src/consts/http.js";
+
+const BASE_URL = "https://dest.example.com/hooks";
+const WEBHOOK_ID = "wh_1";
+
+/** @type {import("../../../src/utils/forward_target.js").ForwardRequest} */
+const request = {
+  webhookId: WEBHOOK_ID,
+  logId: "log_1",
+  method: HTTP_METHODS.PUT,
+  subPath: "/orders/42",
+  rawQuery: `event=created&tag=a&tag=b&${QUERY_PARAMS.STATUS}=500&${QUERY_PARAMS.AUTH_KEY}=secret`,
+  headers: { "x-event": "order.updated" },
+  query: { type: "a b" },
+  body: { region: "eu/west" },
+};
+
+describe("Forward Target Utils", () => {
+  describe("getWebhookSubPath", () => {
+    it("should join and re-encode route segments", () => {
+      expect(getWebhookSubPath(["orders", "a/b", "42"])).toBe(
+        "/orders/a%2Fb/42",
+      );
+      expect(getWebhookSubPath("orders/42")).toBe("/orders/42");
+      expect(getWebhookSubPath(undefined)).toBe("");
+    });
+
+    it("should drop dot segments", () => {
+      expect(getWebhookSubPath(["..", "admin", ".", "users"])).toBe(
+        "/admin/users",
+      );
+      expect(getWebhookSubPath("../../admin")).toBe("/admin");
+      expect(getWebhookSubPath(["..."])).toBe("/...");
+    });
+  });
+
+  describe("getRawQuery", () => {
+    it("should return the query string without the leading ?", () => {
+      expect(getRawQuery("/webhook/wh_1?a=1&b=2")).toBe("a=1&b=2");
+      expect(getRawQuery("/webhook/wh_1")).toBe("");
+      expect(getRawQuery(undefined)).toBe("");
+    });
+  });
+
+  describe("resolveForwardTarget", () => {
+    it("should POST to the configured URL in fixed mode", () => {
+      expect(resolveForwardTarget(BASE_URL, undefined, request)).toEqual({
+        url: BASE_URL,
+        method: HTTP_METHODS.POST,
+      });
+      expect(
+        resolveForwardTarget(BASE_URL, FORWARD_MODES.FIXED, request),
+      ).toEqual({ url: BASE_URL, method: HTTP_METHODS.POST });
+    });
+
+    it("should keep the method, append the sub-path, and merge the query in transparent mode", () => {
+      const { url, method } = resolveForwardTarget(
+        `${BASE_URL}/?event=pinned`,
+        FORWARD_MODES.TRANSPARENT,
+        request,
+      );
+
+      expect(method).toBe(HTTP_METHODS.PUT);
+      expect(url).toBe(
+        "https://dest.example.com/hooks/orders/42?event=pinned&tag=a&tag=b",
+      );
+    });
+
+    it.each(["/../../admin", "/%2e%2E/%2e%2e/admin", "/.%2e/./admin"])(
+      "should keep the sub-path %s below the configured path in transparent mode",
+      (subPath) => {
+        const { url } = resolveForwardTarget(
+          BASE_URL,
+          FORWARD_MODES.TRANSPARENT,
+          { ...request, subPath, rawQuery: "" },
+        );
+
+        expect(url).toBe("https://dest.example.com/hooks/admin");
+      },
+    );
+
+    it("should leave unparseable URLs for the SSRF check to reject", () => {
+      expect(
+        resolveForwardTarget("not a url", FORWARD_MODES.TRANSPARENT, request)
+          .url,
+      ).toBe("not a url");
+    });
+
+    it("should render encoded placeholders in template mode", () => {
+      const { url, method } = resolveForwardTarget(
+        `${BASE_URL}/{{webhookId}}/{{headers.x-event}}?region={{body.region}}&type={{query.type}}`,
+        FORWARD_MODES.TEMPLATE,
+        request,
+      );
+
+      expect(method).toBe(HTTP_METHODS.PUT);
+      expect(url).toBe(
+        `${BASE_URL}/${WEBHOOK_ID}/order.updated?region=eu%2Fwest&type=a%20b`,
+      );
+    });
+
+    it.each([
+      [{ id: ".." }, "/tenants/acme/orders/{{body.id}}"],
+      [{ id: ".", next: "." }, "/tenants/acme/orders/{{body.id}}{{body.next}}"],
+      [
+        { id: "..", next: ".." },
+        "/tenants/acme/orders/{{body.id}}/{{body.next}}",
+      ],
+    ])(
+      "should not let the rendered value %j climb the path in template mode",
+      (body, path) => {
+        const { url } = resolveForwardTarget(
+          `https://api.example.com${path}`,
+          FORWARD_MODES.TEMPLATE,
+          { ...request, body },
+        );
+
+        expect(new URL(url).pathname).toMatch(/^\/tenants\/acme\/orders\//);
+      },
+    );
+
+    it("should never render placeholders into the host", () => {
+      const template = "https://{{headers.x-event}}.example.com/{{webhookId}}";
+
+      expect(
+        resolveForwardTarget(template, FORWARD_MODES.TEMPLATE, request).url,
+      ).toBe(`https://{{headers.x-event}}.example.com/${WEBHOOK_ID}`);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @file tests/unit/utils/har.test.js
+ * @description Unit tests for converting logs into HAR entries.
+ */
+
+import {
+  createHarPrefix,
+  HAR_SUFFIX,
+  toHarEntry,
+} from "../../../src/utils/har.js";
+import { LOG_EXPORT_CONSTS } from "../../../src/consts/app.js";
+import {
+  ENCODINGS,
+  HTTP_METHODS,
+  HTTP_STATUS,
+  MIME_TYPES,
+} from "../../../src/consts/http.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").LogEntry} LogEntry
+ */
+
+const ORIGIN = "https://debugger.example.com";
+const PROCESSING_TIME = 12;
+
+/**
+ * @param {Partial<LogEntry>} overrides
+ * @returns {LogEntry}
+ */
+const buildLog = (overrides = {}) => ({
+  id: "log_1",
+  webhookId: "wh_1",
+  timestamp: "2026-01-01T00:00:00.000Z",
+  method: HTTP_METHODS.POST,
+  requestUrl: "/webhook/wh_1?tag=a&tag=b",
+  headers: { "content-type": MIME_TYPES.JSON, "x-tags": ["a", "b"] },
+  query: { tag: ["a", "b"] },
+  body: { ok: true },
+  contentType: MIME_TYPES.JSON,
+  size: 11,
+  statusCode: HTTP_STATUS.CREATED,
+  responseHeaders: { "Content-Type": MIME_TYPES.TEXT },
+  responseBody: "Created",
+  processingTime: PROCESSING_TIME,
+  ...overrides,
+});
+
+describe("HAR Utils", () => {
+  it("should convert a log into a HAR entry", () => {
+    expect(toHarEntry(buildLog(), ORIGIN)).toEqual({
+      startedDateTime: "2026-01-01T00:00:00.000Z",
+      time: PROCESSING_TIME,
+      request: {
+        method: HTTP_METHODS.POST,
+        url: `${ORIGIN}/webhook/wh_1?tag=a&tag=b`,
+        httpVersion: LOG_EXPORT_CONSTS.HAR_HTTP_VERSION,
+        cookies: [],
+        headers: [
+          { name: "content-type", value: MIME_TYPES.JSON },
+          { name: "x-tags", value: "a" },
+          { name: "x-tags", value: "b" },
+        ],
+        queryString: [
+          { name: "tag", value: "a" },
+          { name: "tag", value: "b" },
+        ],
+        postData: { mimeType: MIME_TYPES.JSON, text: '{"ok":true}' },
+        headersSize: LOG_EXPORT_CONSTS.HAR_UNKNOWN,
+        bodySize: 11,
+      },
+      response: {
+        status: HTTP_STATUS.CREATED,
+        statusText: "Created",
+        httpVersion: LOG_EXPORT_CONSTS.HAR_HTTP_VERSION,
+        cookies: [],
+        headers: [{ name: "Content-Type", value: MIME_TYPES.TEXT }],
+        content: { size: 7, mimeType: MIME_TYPES.TEXT, text: "Created" },
+        redirectURL: "",
+        headersSize: LOG_EXPORT_CONSTS.HAR_UNKNOWN,
+        bodySize: LOG_EXPORT_CONSTS.HAR_UNKNOWN,
+      },
+      cache: {},
+      timings: { send: 0, wait: PROCESSING_TIME, receive: 0 },
+      _logId: "log_1",
+      _webhookId: "wh_1",
+    });
+  });
+
+  it("should mark base64 bodies and omit empty ones", () => {
+    const encoded = toHarEntry(
+      buildLog({ body: "AAE=", bodyEncoding: ENCODINGS.BASE64 }),
+      ORIGIN,
+    );
+    expect(encoded.request.postData).toEqual({
+      mimeType: MIME_TYPES.JSON,
+      text: "AAE=",
+      _encoding: ENCODINGS.BASE64,
+    });
+
+    const empty = toHarEntry(
+      buildLog({ body: "", responseHeaders: null, responseBody: undefined }),
+      ORIGIN,
+    );
+    expect(empty.request.postData).toBeUndefined();
+    expect(empty.response.content).toEqual({
+      size: 0,
+      mimeType: "",
+      text: "",
+    });
+  });
+
+  it("should frame streamed entries as one HAR document", () => {
+    const entry = toHarEntry(buildLog(), ORIGIN);
+    const document = JSON.parse(
+      `${createHarPrefix("1.2.3")}${JSON.stringify(entry)}${HAR_SUFFIX}`,
+    );
+
+    expect(document).toEqual({
+      log: {
+        version: LOG_EXPORT_CONSTS.HAR_VERSION,
+        creator: { name: LOG_EXPORT_CONSTS.HAR_CREATOR, version: "1.2.3" },
+        entries: [entry],
+      },
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @file tests/unit/utils/json_patch.test.js
+ * @description Unit tests for JSON Patch, JSON Merge Patch and the structural diff.
+ */
+
+import {
+  applyJsonPatch,
+  applyMergePatch,
+  diffJson,
+  jsonEqual,
+  validateJsonPatch,
+} from "../../../src/utils/json_patch.js";
+import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+const AMOUNT = 100;
+const NEW_AMOUNT = 250;
+
+describe("JSON Patch Utils", () => {
+  const document = {
+    amount: AMOUNT,
+    "a/b": "slash",
+    items: [{ sku: "A" }, { sku: "B" }],
+    meta: { source: "web" },
+  };
+
+  describe("applyJsonPatch", () => {
+    it("should apply every RFC 6902 operation in order without mutating the input", () => {
+      const snapshot = structuredClone(document);
+
+      const result = applyJsonPatch(document, [
+        { op: "test", path: "/amount", value: AMOUNT },
+        { op: "replace", path: "/amount", value: NEW_AMOUNT },
+        { op: "add", path: "/items/-", value: { sku: "C" } },
+        { op: "add", path: "/items/0", value: { sku: "Z" } },
+        { op: "remove", path: "/items/1" },
+        { op: "copy", from: "/meta/source", path: "/origin" },
+        { op: "move", from: "/a~1b", path: "/meta/slash" },
+      ]);
+
+      expect(result).toEqual({
+        amount: NEW_AMOUNT,
+        items: [{ sku: "Z" }, { sku: "B" }, { sku: "C" }],
+        meta: { source: "web", slash: "slash" },
+        origin: "web",
+      });
+      expect(document).toEqual(snapshot);
+    });
+
+    it("should replace the whole document at the root pointer", () => {
+      expect(
+        applyJsonPatch(document, [{ op: "replace", path: "", value: 1 }]),
+      ).toBe(1);
+    });
+
+    it("should fail with the index of the failing operation", () => {
+      expect(() =>
+        applyJsonPatch(document, [
+          { op: "add", path: "/ok", value: true },
+          { op: "test", path: "/amount", value: NEW_AMOUNT },
+        ]),
+      ).toThrow(
+        ERROR_MESSAGES.INVALID_JSON_PATCH(
+          1,
+          ERROR_MESSAGES.JSON_PATCH_TEST_FAILED,
+        ),
+      );
+      expect(() =>
+        applyJsonPatch(document, [{ op: "remove", path: "/missing/deep" }]),
+      ).toThrow(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND("missing"));
+      expect(() =>
+        applyJsonPatch(document, [
+          { op: "replace", path: "/items/5", value: 1 },
+        ]),
+      ).toThrow(ERROR_MESSAGES.JSON_PATCH_PATH_NOT_FOUND("5"));
+    });
+  });
+
+  describe("validateJsonPatch", () => {
+    it("should report malformed operations", () => {
+      expect(validateJsonPatch({})).toBe(ERROR_MESSAGES.JSON_PATCH_NOT_ARRAY);
+      expect(validateJsonPatch([{ op: "add", path: "/a" }])).toBe(
+        ERROR_MESSAGES.INVALID_JSON_PATCH(0, "add requires value"),
+      );
+      expect(validateJsonPatch([{ op: "move", path: "/a" }])).toContain(
+        "from JSON Pointer",
+      );
+      expect(validateJsonPatch([{ op: "remove", path: "a" }])).toContain(
+        "JSON Pointer",
+      );
+      expect(validateJsonPatch([{ op: "remove", path: "/a" }])).toBeNull();
+    });
+  });
+
+  describe("applyMergePatch", () => {
+    it("should merge objects, remove null members and replace other values", () => {
+      expect(
+        applyMergePatch(document, {
+          amount: NEW_AMOUNT,
+          items: [],
+          meta: { source: null, replay: true },
+        }),
+      ).toEqual({
+        amount: NEW_AMOUNT,
+        "a/b": "slash",
+        items: [],
+        meta: { replay: true },
+      });
+      expect(applyMergePatch(document, ["x"])).toEqual(["x"]);
+      expect(applyMergePatch("text", { a: 1 })).toEqual({ a: 1 });
+    });
+  });
+
+  describe("diffJson", () => {
+    it("should produce a patch that turns one value into the other", () => {
+      const after = {
+        amount: NEW_AMOUNT,
+        items: [{ sku: "A" }],
+        meta: { source: "web", replay: true },
+        "a/b": "slash",
+      };
+
+      const diff = diffJson(document, after);
+
+      expect(diff).toEqual([
+        {
+          op: "replace",
+          path: "/amount",
+          value: NEW_AMOUNT,
+          oldValue: AMOUNT,
+        },
+        { op: "remove", path: "/items/1", oldValue: { sku: "B" } },
+        { op: "add", path: "/meta/replay", value: true },
+      ]);
+      expect(applyJsonPatch(document, diff)).toEqual(after);
+    });
+
+    it("should escape keys and return no operations for equal values", () => {
+      expect(diffJson({ "a/b": 1 }, { "a/b": 1 })).toEqual([]);
+      expect(diffJson({ "a/b": 1 }, {})).toEqual([
+        { op: "remove", path: "/a~1b", oldValue: 1 },
+      ]);
+      expect(diffJson("a", { a: 1 })).toEqual([
+        { op: "replace", path: "", value: { a: 1 }, oldValue: "a" },
+      ]);
+    });
+  });
+
+  describe("jsonEqual", () => {
+    it("should ignore key order but not array order", () => {
+      expect(jsonEqual({ a: 1, b: [1, 1 + 1] }, { b: [1, 1 + 1], a: 1 })).toBe(
+        true,
+      );
+      expect(jsonEqual([1, 1 + 1], [1 + 1, 1])).toBe(false);
+      expect(jsonEqual({ a: undefined }, {})).toBe(false);
+    });
+  });
+});
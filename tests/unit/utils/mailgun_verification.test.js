@@ -0,0 +1,90 @@
+/**
+ * @file tests/unit/utils/mailgun_verification.test.js
+ * @description Unit tests for Mailgun signature verification.
+ */
+
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createMailgunSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Mailgun Signature Verification", () => {
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.MAILGUN;
+  const SIGNING_KEY = "key-7e55d003b34b8a7f4ac3e5d6c1a7b0f2";
+  const TOKEN = "a8ce0edb2dd8301dee6c2405235584e45aa91d1e9f979f3de0";
+  const config = { provider: PROVIDER, secret: SIGNING_KEY };
+  const now = () => String(Math.floor(Date.now() / APP_CONSTS.MS_PER_SECOND));
+
+  /**
+   * @param {string} timestamp
+   * @param {string} [signingKey]
+   * @returns {{ timestamp: string, token: string, signature: string }}
+   */
+  const buildSignature = (timestamp, signingKey = SIGNING_KEY) => ({
+    timestamp,
+    token: TOKEN,
+    signature: createMailgunSignature(timestamp, TOKEN, signingKey),
+  });
+
+  test("should verify the signature object of a JSON webhook", () => {
+    const body = JSON.stringify({
+      signature: buildSignature(now()),
+      "event-data": { event: "delivered" },
+    });
+    expect(verifySignature(config, body, {})).toEqual({
+      valid: true,
+      provider: PROVIDER,
+    });
+  });
+
+  test("should verify form-encoded fields", () => {
+    const body = new URLSearchParams({
+      ...buildSignature(now()),
+      event: "opened",
+    }).toString();
+    expect(verifySignature(config, Buffer.from(body), {}).valid).toBe(true);
+  });
+
+  test("should fail with a different signing key", () => {
+    const body = JSON.stringify({
+      signature: buildSignature(now(), "key-other"),
+    });
+    expect(verifySignature(config, body, {}).error).toBe(
+      SIGNATURE_ERRORS.MISMATCH,
+    );
+  });
+
+  test("should reject a stale timestamp", () => {
+    const stale = String(
+      Number(now()) - SIGNATURE_CONSTS.TOLERANCE_SECONDS - 1,
+    );
+    const body = JSON.stringify({ signature: buildSignature(stale) });
+    expect(verifySignature(config, body, {}).error).toContain(
+      SIGNATURE_ERRORS.TIMESTAMP_TOLERANCE,
+    );
+  });
+
+  test("should report missing signature fields", () => {
+    expect(verifySignature(config, '{"event-data":{}}', {}).error).toBe(
+      SIGNATURE_ERRORS.MISSING_BODY_SIGNATURE,
+    );
+  });
+
+  test("should refuse streaming verification", () => {
+    expect(createStreamVerifier(config, {}).error).toBe(
+      SIGNATURE_ERRORS.STREAMING_UNSUPPORTED(PROVIDER),
+    );
+  });
+});
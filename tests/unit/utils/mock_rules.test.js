@@ -0,0 +1,313 @@
+/**
+ * @file tests/unit/utils/mock_rules.test.js
+ * @description Unit tests for mock rule validation, matching, and response rendering.
+ */
+
+import { jest } from "@jest/globals";
+import {
+  validateMockRule,
+  matchesMockRule,
+  findMatchingMockRule,
+  renderMockResponse,
+  resolveJsonPath,
+} from "../../../src/utils/mock_rules.js";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { HTTP_STATUS, HTTP_METHODS } from "../../../src/consts/http.js";
+import { ERROR_MESSAGES } from "../../../src/consts/errors.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").MockRuleDefinition} MockRuleDefinition
+ * @typedef {import("../../../src/typedefs.js").MockRequest} MockRequest
+ */
+
+const WEBHOOK_ID = "wh_mock_1";
+const ORDER_AMOUNT = 42;
+const RESPONSE_DELAY_MS = 250;
+const HIGH_PRIORITY = -10;
+const ITEM_PRICE = 5;
+
+/**
+ * @param {Partial<MockRequest>} [overrides]
+ * @returns {MockRequest}
+ */
+const buildRequest = (overrides = {}) => ({
+  webhookId: WEBHOOK_ID,
+  method: HTTP_METHODS.POST,
+  path: `/webhook/${WEBHOOK_ID}`,
+  headers: { "x-event-type": "order.created" },
+  query: { source: "Shop" },
+  body: { data: { id: "ord_1", amount: ORDER_AMOUNT, items: [{ sku: "A" }] } },
+  ...overrides,
+});
+
+/**
+ * @param {Record<string, any>} input
+ * @returns {MockRuleDefinition}
+ */
+const buildRule = (input) => {
+  const { valid, errors, rule } = validateMockRule(input);
+  expect(errors).toEqual([]);
+  expect(valid).toBe(true);
+  return rule;
+};
+
+describe("Mock Rule Utils", () => {
+  describe("validateMockRule", () => {
+    it("should apply defaults and normalize matchers", () => {
+      const { valid, rule } = validateMockRule({
+        match: { method: "post", headers: { "X-Event-Type": "order" } },
+        response: {},
+      });
+
+      expect(valid).toBe(true);
+      expect(rule).toEqual({
+        priority: 0,
+        enabled: true,
+        match: {
+          method: [HTTP_METHODS.POST],
+          headers: { "x-event-type": "order" },
+        },
+        response: { status: HTTP_STATUS.OK },
+      });
+    });
+
+    it("should ignore read-only fields so listed rules can be sent back", () => {
+      const { valid } = validateMockRule({
+        id: "rule_1",
+        createdAt: "2024-01-01T00:00:00.000Z",
+        hits: 3,
+        response: { status: HTTP_STATUS.CREATED },
+      });
+
+      expect(valid).toBe(true);
+    });
+
+    it("should reject a non-object body", () => {
+      expect(validateMockRule([]).errors).toEqual([
+        ERROR_MESSAGES.INVALID_JSON_BODY,
+      ]);
+    });
+
+    it("should collect every invalid field", () => {
+      const { valid, errors } = validateMockRule({
+        priority: "high",
+        unknown: true,
+        match: { path: "(", body: { "$.a": { $regex: "x" } }, extra: 1 },
+        response: { status: 999, delay: -1, headers: { "x-n": 1 } },
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          ERROR_MESSAGES.UNSUPPORTED_MOCK_RULE_FIELD("unknown"),
+          ERROR_MESSAGES.UNSUPPORTED_MOCK_RULE_FIELD("match.extra"),
+          ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD("priority", "an integer"),
+          ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD(
+            "response.status",
+            "a known HTTP status code",
+          ),
+          ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD(
+            "response.delay",
+            `a number from 0 to ${APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS}`,
+          ),
+        ]),
+      );
+      expect(errors.some((e) => e.includes("match.path"))).toBe(true);
+      expect(errors.some((e) => e.includes("match.body"))).toBe(true);
+      expect(errors.some((e) => e.includes("response.headers"))).toBe(true);
+    });
+
+    it("should reject a delay above the safe response delay cap", () => {
+      const { valid, errors } = validateMockRule({
+        response: {
+          status: HTTP_STATUS.OK,
+          delay: APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS + 1,
+        },
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD(
+          "response.delay",
+          `a number from 0 to ${APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS}`,
+        ),
+      ]);
+    });
+
+    it("should require a response object", () => {
+      const { errors } = validateMockRule({ match: {} });
+
+      expect(errors).toEqual([
+        ERROR_MESSAGES.INVALID_MOCK_RULE_FIELD("response", "an object"),
+      ]);
+    });
+
+    it("should reject response bodies above the size limit", () => {
+      const { errors } = validateMockRule({
+        response: { body: "x".repeat(APP_CONSTS.MAX_MOCK_RESPONSE_BYTES + 1) },
+      });
+
+      expect(errors).toEqual([
+        ERROR_MESSAGES.MOCK_RESPONSE_TOO_LARGE(
+          APP_CONSTS.MAX_MOCK_RESPONSE_BYTES,
+        ),
+      ]);
+    });
+  });
+
+  describe("resolveJsonPath", () => {
+    const target = { data: { items: [{ price: ITEM_PRICE }], "x-key": "v" } };
+
+    it.each([
+      ["$.data.items[0].price", ITEM_PRICE],
+      ["$.data['x-key']", "v"],
+      ["$.data.missing", undefined],
+      ["$.data.constructor", undefined],
+    ])("should resolve %s", (path, expected) => {
+      expect(resolveJsonPath(target, path)).toBe(expected);
+    });
+  });
+
+  describe("matchesMockRule", () => {
+    it("should match on method, path, headers, query, and body predicates", () => {
+      const rule = buildRule({
+        match: {
+          method: ["POST", "PUT"],
+          path: "^/webhook/wh_",
+          headers: { "X-Event-Type": "order" },
+          query: { source: "shop" },
+          body: {
+            "$.data.amount": { $gt: 0, $lte: 100 },
+            "$.data.items[0].sku": "A",
+          },
+        },
+        response: {},
+      });
+
+      expect(matchesMockRule(rule, buildRequest())).toBe(true);
+    });
+
+    it.each([
+      ["method", { method: HTTP_METHODS.GET }],
+      ["path", { path: "/other" }],
+      ["headers", { headers: {} }],
+      ["query", { query: {} }],
+      ["body", { body: { data: { amount: 0 } } }],
+    ])("should not match when the %s differs", (_field, overrides) => {
+      const rule = buildRule({
+        match: {
+          method: "POST",
+          path: "^/webhook/",
+          headers: { "x-event-type": "order" },
+          query: { source: "shop" },
+          body: { "$.data.amount": { $gt: 0 } },
+        },
+        response: {},
+      });
+
+      expect(matchesMockRule(rule, buildRequest(overrides))).toBe(false);
+    });
+
+    it("should parse raw JSON buffers for body predicates", () => {
+      const rule = buildRule({
+        match: { body: { "$.type": "invoice", "$.paid": true } },
+        response: {},
+      });
+      const body = Buffer.from(JSON.stringify({ type: "invoice", paid: true }));
+
+      expect(matchesMockRule(rule, buildRequest({ body }))).toBe(true);
+    });
+
+    it("should compile the path pattern when the rule is validated, not per request", () => {
+      const rule = buildRule({
+        match: { path: "^/webhook/wh_" },
+        response: {},
+      });
+      const RegExpSpy = jest.spyOn(globalThis, "RegExp");
+      try {
+        expect(matchesMockRule(rule, buildRequest())).toBe(true);
+        expect(matchesMockRule(rule, buildRequest({ path: "/other" }))).toBe(
+          false,
+        );
+        expect(RegExpSpy).not.toHaveBeenCalled();
+
+        // Matchers that skipped validation are compiled on first use
+        const restored = { ...rule, match: { ...rule.match } };
+        matchesMockRule(restored, buildRequest());
+        matchesMockRule(restored, buildRequest());
+        expect(RegExpSpy).toHaveBeenCalledTimes(1);
+      } finally {
+        RegExpSpy.mockRestore();
+      }
+    });
+
+    it("should skip disabled rules and rules scoped to another webhook", () => {
+      const disabled = buildRule({ enabled: false, response: {} });
+      const scoped = buildRule({ webhookId: "wh_other", response: {} });
+
+      expect(matchesMockRule(disabled, buildRequest())).toBe(false);
+      expect(matchesMockRule(scoped, buildRequest())).toBe(false);
+    });
+  });
+
+  describe("findMatchingMockRule", () => {
+    it("should return the first matching rule in order", () => {
+      const first = buildRule({
+        priority: HIGH_PRIORITY,
+        match: { method: "GET" },
+        response: {},
+      });
+      const second = buildRule({ response: {} });
+      const third = buildRule({ response: {} });
+
+      expect(findMatchingMockRule([first, second, third], buildRequest())).toBe(
+        second,
+      );
+    });
+  });
+
+  describe("renderMockResponse", () => {
+    it("should render request and system placeholders", () => {
+      const rule = buildRule({
+        response: {
+          status: HTTP_STATUS.CREATED,
+          headers: { "x-order-id": "{{request.body.data.id}}" },
+          body: {
+            orderId: "{{request.body.data.id}}",
+            amount: "{{request.body.data.amount}}",
+            message:
+              "Got {{request.headers.x-event-type}} from {{request.query.source}}",
+            timestamp: "{{system.timestamp}}",
+            requestId: "{{system.randomId}}",
+          },
+          delay: RESPONSE_DELAY_MS,
+        },
+      });
+
+      const response = renderMockResponse(rule, buildRequest());
+
+      expect(response).toEqual({
+        status: HTTP_STATUS.CREATED,
+        headers: { "x-order-id": "ord_1" },
+        body: {
+          orderId: "ord_1",
+          amount: ORDER_AMOUNT,
+          message: "Got order.created from Shop",
+          timestamp: expect.any(String),
+          requestId: expect.any(String),
+        },
+        delay: RESPONSE_DELAY_MS,
+      });
+    });
+
+    it("should keep header values as strings", () => {
+      const rule = buildRule({
+        response: { headers: { "x-amount": "{{request.body.data.amount}}" } },
+      });
+
+      expect(renderMockResponse(rule, buildRequest()).headers).toEqual({
+        "x-amount": String(ORDER_AMOUNT),
+      });
+    });
+  });
+});
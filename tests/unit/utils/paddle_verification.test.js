@@ -0,0 +1,105 @@
+/**
+ * @file tests/unit/utils/paddle_verification.test.js
+ * @description Unit tests for Paddle signature verification.
+ */
+
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PREFIXES,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  finalizeStreamVerification,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createPaddleSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Paddle Signature Verification", () => {
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.PADDLE;
+  const SECRET = "paddle-endpoint-secret";
+  const PAYLOAD =
+    '{"event_type":"transaction.completed","data":{"id":"txn_01"}}';
+  const config = { provider: PROVIDER, secret: SECRET };
+  const now = () => Math.floor(Date.now() / APP_CONSTS.MS_PER_SECOND);
+
+  test("should verify a valid signature", () => {
+    const headers = {
+      [HTTP_HEADERS.PADDLE_SIGNATURE]: createPaddleSignature(
+        now(),
+        PAYLOAD,
+        SECRET,
+      ),
+    };
+    expect(verifySignature(config, PAYLOAD, headers)).toEqual({
+      valid: true,
+      provider: PROVIDER,
+    });
+  });
+
+  test("should accept any h1 hash during secret rotation", () => {
+    const ts = now();
+    const current = createPaddleSignature(ts, PAYLOAD, SECRET);
+    const previous = createPaddleSignature(ts, PAYLOAD, "old-secret")
+      .split(";")
+      .pop();
+    const headers = {
+      [HTTP_HEADERS.PADDLE_SIGNATURE]: current.replace(";", `;${previous};`),
+    };
+    expect(verifySignature(config, PAYLOAD, headers).valid).toBe(true);
+  });
+
+  test("should fail when the payload is modified", () => {
+    const headers = {
+      [HTTP_HEADERS.PADDLE_SIGNATURE]: createPaddleSignature(
+        now(),
+        PAYLOAD,
+        SECRET,
+      ),
+    };
+    const result = verifySignature(config, `${PAYLOAD} `, headers);
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should reject a stale timestamp", () => {
+    const stale = now() - SIGNATURE_CONSTS.TOLERANCE_SECONDS - 1;
+    const headers = {
+      [HTTP_HEADERS.PADDLE_SIGNATURE]: createPaddleSignature(
+        stale,
+        PAYLOAD,
+        SECRET,
+      ),
+    };
+    const result = verifySignature(config, PAYLOAD, headers);
+    expect(result.error).toContain(SIGNATURE_ERRORS.TIMESTAMP_TOLERANCE);
+  });
+
+  test("should reject a header without ts or h1", () => {
+    const result = verifySignature(config, PAYLOAD, {
+      [HTTP_HEADERS.PADDLE_SIGNATURE]: `${SIGNATURE_PREFIXES.PADDLE_TIMESTAMP}${now()}`,
+    });
+    expect(result.error).toBe(
+      `${SIGNATURE_ERRORS.INVALID_FORMAT}: ${HTTP_HEADERS.PADDLE_SIGNATURE}`,
+    );
+  });
+
+  test("should verify streamed payloads", () => {
+    const verifier = createStreamVerifier(config, {
+      [HTTP_HEADERS.PADDLE_SIGNATURE]: createPaddleSignature(
+        now(),
+        PAYLOAD,
+        SECRET,
+      ),
+    });
+    verifier.hmac?.update(PAYLOAD);
+    expect(finalizeStreamVerification(verifier)).toBe(true);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * @file tests/unit/utils/public_keys.test.js
+ * @description Unit tests for public key loading and key-based signature verification.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { ENCODINGS, HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  DSA_ENCODINGS,
+  HASH_ALGORITHMS,
+  SIGNATURE_ENCODINGS,
+  SIGNATURE_PREFIXES,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createKeyStreamVerifier,
+  findValidatingKey,
+  hasVerificationKey,
+  loadVerificationKeys,
+  parsePublicKey,
+} from "../../../src/utils/public_keys.js";
+import {
+  createStreamVerifier,
+  finalizeStreamVerification,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { assertType } from "../../setup/helpers/test-utils.js";
+
+/**
+ * @typedef {import("../../../src/utils/public_keys.js").VerificationKey} VerificationKey
+ * @typedef {import("crypto").KeyObject} KeyObject
+ */
+
+const PAYLOAD = '{"action":"opened"}';
+const DATA = Buffer.from(PAYLOAD);
+const OLD_KID = "2025-01";
+const NEW_KID = "2026-01";
+const SHA256 = HASH_ALGORITHMS.SHA256;
+const HEX = assertType(SIGNATURE_ENCODINGS.HEX);
+
+const oldPair = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+const newPair = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+const rsaPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const edPair = crypto.generateKeyPairSync("ed25519");
+
+/**
+ * @param {KeyObject} key
+ * @returns {string}
+ */
+const toPem = (key) => String(key.export({ format: "pem", type: "spki" }));
+
+/**
+ * @param {KeyObject} privateKey
+ * @param {import("crypto").DSAEncoding} [dsaEncoding]
+ * @returns {string}
+ */
+const sign = (privateKey, dsaEncoding) =>
+  crypto.sign(SHA256, DATA, { key: privateKey, dsaEncoding }).toString(HEX);
+
+/** @type {VerificationKey[]} */
+const rotatingKeys = [
+  { kid: OLD_KID, key: oldPair.publicKey },
+  { kid: NEW_KID, key: newPair.publicKey },
+];
+
+describe("Public Key Utils", () => {
+  describe("parsePublicKey", () => {
+    it.each([
+      ["a PEM key", toPem(rsaPair.publicKey)],
+      [
+        "a base64 DER key",
+        oldPair.publicKey
+          .export({ format: "der", type: "spki" })
+          .toString(ENCODINGS.BASE64),
+      ],
+      ["a JWK", oldPair.publicKey.export({ format: "jwk" })],
+      [
+        "a raw hex Ed25519 key",
+        Buffer.from(
+          String(edPair.publicKey.export({ format: "jwk" }).x),
+          "base64url",
+        ).toString("hex"),
+      ],
+    ])("should parse %s", (_label, input) => {
+      expect(parsePublicKey(input)?.type).toBe("public");
+    });
+
+    it("should return null for unusable input", () => {
+      expect(parsePublicKey("not-a-key")).toBeNull();
+      expect(parsePublicKey({ kty: "EC" })).toBeNull();
+    });
+  });
+
+  describe("hasVerificationKey", () => {
+    it("should accept a secret, public keys, or a JWKS file", () => {
+      expect(hasVerificationKey({ secret: "s" })).toBe(true);
+      expect(hasVerificationKey({ publicKeys: [OLD_KID] })).toBe(true);
+      expect(hasVerificationKey({ jwksFile: "keys.json" })).toBe(true);
+      expect(hasVerificationKey({ publicKeys: [] })).toBe(false);
+      expect(hasVerificationKey(undefined)).toBe(false);
+    });
+  });
+
+  describe("loadVerificationKeys", () => {
+    /** @type {string} */
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-debugger-jwks-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { force: true, recursive: true });
+    });
+
+    /**
+     * @param {object[]} keys
+     * @returns {string}
+     */
+    const writeJwks = (keys) => {
+      const file = path.join(dir, "jwks.json");
+      fs.writeFileSync(file, JSON.stringify({ keys }));
+      return file;
+    };
+
+    it("should take key IDs from the entry, the JWK, or the position", () => {
+      const { keys, error } = loadVerificationKeys({
+        publicKeys: [
+          { kid: OLD_KID, key: toPem(oldPair.publicKey) },
+          { ...newPair.publicKey.export({ format: "jwk" }), kid: NEW_KID },
+          toPem(rsaPair.publicKey),
+        ],
+      });
+
+      expect(error).toBeUndefined();
+      expect(keys.map((k) => k.kid)).toEqual([OLD_KID, NEW_KID, "2"]);
+    });
+
+    it("should report which entry is unusable", () => {
+      expect(
+        loadVerificationKeys({ publicKeys: [toPem(oldPair.publicKey), "x"] }),
+      ).toEqual({
+        keys: [],
+        error: `${SIGNATURE_ERRORS.INVALID_PUBLIC_KEY}: publicKeys[1]`,
+      });
+    });
+
+    it("should load signing keys from a JWKS file and skip the rest", () => {
+      const jwksFile = writeJwks([
+        { ...oldPair.publicKey.export({ format: "jwk" }), kid: OLD_KID },
+        { ...newPair.publicKey.export({ format: "jwk" }), use: "enc" },
+        { kty: "oct", k: "c2VjcmV0", kid: "hmac" },
+      ]);
+
+      expect(loadVerificationKeys({ jwksFile }).keys.map((k) => k.kid)).toEqual(
+        [OLD_KID],
+      );
+    });
+
+    it("should pick up a rotated JWKS file", () => {
+      const jwksFile = writeJwks([
+        { ...oldPair.publicKey.export({ format: "jwk" }), kid: OLD_KID },
+      ]);
+      loadVerificationKeys({ jwksFile });
+
+      writeJwks([
+        { ...newPair.publicKey.export({ format: "jwk" }), kid: NEW_KID },
+      ]);
+      const later = new Date(Date.now() + APP_CONSTS.MS_PER_SECOND);
+      fs.utimesSync(jwksFile, later, later);
+
+      expect(loadVerificationKeys({ jwksFile }).keys.map((k) => k.kid)).toEqual(
+        [NEW_KID],
+      );
+    });
+
+    it("should fail with a generic error for unusable JWKS files", () => {
+      const jwksFile = path.join(dir, "invalid.json");
+      fs.writeFileSync(jwksFile, "{ not json");
+
+      expect(loadVerificationKeys({ jwksFile }).error).toBe(
+        SIGNATURE_ERRORS.INVALID_JWKS,
+      );
+      expect(
+        loadVerificationKeys({ jwksFile: path.join(dir, "missing.json") })
+          .error,
+      ).toBe(SIGNATURE_ERRORS.INVALID_JWKS);
+      expect(loadVerificationKeys({ jwksFile: writeJwks([]) }).error).toBe(
+        SIGNATURE_ERRORS.INVALID_JWKS,
+      );
+    });
+  });
+
+  describe("findValidatingKey", () => {
+    const options = { algorithm: SHA256, encoding: HEX };
+
+    it("should report the key that validated during rotation", () => {
+      expect(
+        findValidatingKey(
+          rotatingKeys,
+          DATA,
+          [sign(newPair.privateKey)],
+          options,
+        ),
+      ).toBe(NEW_KID);
+      expect(
+        findValidatingKey(
+          rotatingKeys,
+          DATA,
+          ["00", sign(oldPair.privateKey)],
+          options,
+        ),
+      ).toBe(OLD_KID);
+    });
+
+    it("should verify RSA, Ed25519, and raw ECDSA signatures", () => {
+      expect(
+        findValidatingKey(
+          [{ kid: "rsa", key: rsaPair.publicKey }],
+          DATA,
+          [sign(rsaPair.privateKey)],
+          options,
+        ),
+      ).toBe("rsa");
+      expect(
+        findValidatingKey(
+          [{ kid: "ed", key: edPair.publicKey }],
+          DATA,
+          [crypto.sign(null, DATA, edPair.privateKey).toString(HEX)],
+          options,
+        ),
+      ).toBe("ed");
+      expect(
+        findValidatingKey(
+          rotatingKeys,
+          DATA,
+          [sign(oldPair.privateKey, DSA_ENCODINGS.IEEE_P1363)],
+          { ...options, dsaEncoding: DSA_ENCODINGS.IEEE_P1363 },
+        ),
+      ).toBe(OLD_KID);
+    });
+
+    it("should return undefined when no key validates", () => {
+      expect(
+        findValidatingKey(
+          rotatingKeys,
+          DATA,
+          [sign(rsaPair.privateKey)],
+          options,
+        ),
+      ).toBeUndefined();
+    });
+  });
+
+  describe("createKeyStreamVerifier", () => {
+    it("should verify streamed content and report the key", () => {
+      const verifier = createKeyStreamVerifier(
+        rotatingKeys,
+        [sign(newPair.privateKey)],
+        { algorithm: SHA256, encoding: HEX },
+      );
+      verifier?.update(PAYLOAD.slice(0, 1), ENCODINGS.UTF8);
+      verifier?.update(Buffer.from(PAYLOAD.slice(1)));
+
+      expect(verifier?.finalize()).toEqual({ keyId: NEW_KID });
+    });
+
+    it("should refuse Ed25519 keys, which need the whole message", () => {
+      expect(
+        createKeyStreamVerifier([{ kid: "ed", key: edPair.publicKey }], [], {
+          algorithm: SHA256,
+          encoding: HEX,
+        }),
+      ).toBeNull();
+    });
+  });
+
+  describe("verifySignature with public keys", () => {
+    const config = {
+      provider: SIGNATURE_PROVIDERS.GITHUB,
+      publicKeys: [
+        { kid: OLD_KID, key: toPem(oldPair.publicKey) },
+        { kid: NEW_KID, key: toPem(newPair.publicKey) },
+      ],
+    };
+    const headers = {
+      [HTTP_HEADERS.HUB_SIGNATURE_256]: `${SIGNATURE_PREFIXES.SHA256}${sign(newPair.privateKey)}`,
+    };
+
+    it("should verify without a shared secret and report the key ID", () => {
+      expect(verifySignature(config, PAYLOAD, headers)).toEqual({
+        valid: true,
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        keyId: NEW_KID,
+      });
+    });
+
+    it("should reject signatures from retired keys", () => {
+      const result = verifySignature(
+        { ...config, publicKeys: config.publicKeys.slice(0, 1) },
+        PAYLOAD,
+        headers,
+      );
+      expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+    });
+
+    it("should surface key loading errors", () => {
+      const result = verifySignature(
+        { ...config, jwksFile: path.join(os.tmpdir(), "missing-jwks.json") },
+        PAYLOAD,
+        headers,
+      );
+      expect(result.error).toBe(SIGNATURE_ERRORS.INVALID_JWKS);
+    });
+
+    it("should verify streamed payloads and expose the key ID", () => {
+      const verifier = createStreamVerifier(config, headers);
+      verifier.hmac?.update(PAYLOAD);
+
+      expect(finalizeStreamVerification(verifier)).toBe(true);
+      expect(verifier.keyId).toBe(NEW_KID);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @file tests/unit/utils/response_sequence.test.js
+ * @description Unit tests for response sequence validation and step selection.
+ */
+
+import {
+  getSequenceKey,
+  isValidResponseSequence,
+  selectSequenceStep,
+} from "../../../src/utils/response_sequence.js";
+import {
+  APP_CONSTS,
+  DEFAULT_RESPONSE_SEQUENCE_KEY,
+  RESPONSE_SEQUENCE_MODES,
+} from "../../../src/consts/app.js";
+import { HTTP_STATUS } from "../../../src/consts/http.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").ResponseSequence} ResponseSequence
+ */
+
+const KEY_HEADER = "Idempotency-Key";
+const THIRD_CALL = 2;
+const FIFTH_CALL = 4;
+
+/** @type {ResponseSequence} */
+const sequence = {
+  steps: [
+    { status: HTTP_STATUS.INTERNAL_SERVER_ERROR },
+    {
+      status: HTTP_STATUS.TOO_MANY_REQUESTS,
+      headers: { "retry-after": "1" },
+    },
+    { status: HTTP_STATUS.OK, body: { ok: true } },
+  ],
+};
+
+describe("Response Sequence Utils", () => {
+  describe("isValidResponseSequence", () => {
+    it("should accept a complete sequence", () => {
+      expect(
+        isValidResponseSequence({
+          ...sequence,
+          keyHeader: KEY_HEADER,
+          onComplete: RESPONSE_SEQUENCE_MODES.LOOP,
+        }),
+      ).toBe(true);
+    });
+
+    it.each([
+      ["a non-object", []],
+      ["missing steps", {}],
+      ["empty steps", { steps: [] }],
+      ["an unknown field", { ...sequence, mode: "x" }],
+      ["an invalid status", { steps: [{ status: 99 }] }],
+      ["an unknown step field", { steps: [{ status: 200, code: 1 }] }],
+      ["non-string headers", { steps: [{ status: 200, headers: { a: 1 } }] }],
+      ["a negative delay", { steps: [{ status: 200, delayMs: -1 }] }],
+      [
+        "a delay above the safe response delay cap",
+        {
+          steps: [
+            {
+              status: HTTP_STATUS.OK,
+              delayMs: APP_CONSTS.MAX_SAFE_RESPONSE_DELAY_MS + 1,
+            },
+          ],
+        },
+      ],
+      ["a blank keyHeader", { ...sequence, keyHeader: " " }],
+      ["an unknown onComplete", { ...sequence, onComplete: "stop" }],
+      [
+        "too many steps",
+        {
+          steps: Array.from(
+            { length: APP_CONSTS.MAX_RESPONSE_SEQUENCE_STEPS + 1 },
+            () => ({ status: HTTP_STATUS.OK }),
+          ),
+        },
+      ],
+    ])("should reject %s", (_label, value) => {
+      expect(isValidResponseSequence(value)).toBe(false);
+    });
+  });
+
+  describe("getSequenceKey", () => {
+    it("should use the configured header case-insensitively", () => {
+      expect(
+        getSequenceKey(
+          { ...sequence, keyHeader: KEY_HEADER },
+          { "idempotency-key": "abc" },
+        ),
+      ).toBe("abc");
+    });
+
+    it("should fall back to the shared key", () => {
+      expect(getSequenceKey(sequence, { "idempotency-key": "abc" })).toBe(
+        DEFAULT_RESPONSE_SEQUENCE_KEY,
+      );
+      expect(getSequenceKey({ ...sequence, keyHeader: KEY_HEADER }, {})).toBe(
+        DEFAULT_RESPONSE_SEQUENCE_KEY,
+      );
+    });
+  });
+
+  describe("selectSequenceStep", () => {
+    it("should walk the steps and then repeat the last one", () => {
+      const statuses = [0, 1, THIRD_CALL, FIFTH_CALL].map(
+        (call) => selectSequenceStep(sequence, call).step.status,
+      );
+
+      expect(statuses).toEqual([
+        HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        HTTP_STATUS.TOO_MANY_REQUESTS,
+        HTTP_STATUS.OK,
+        HTTP_STATUS.OK,
+      ]);
+    });
+
+    it("should start over in loop mode", () => {
+      const looping = { ...sequence, onComplete: RESPONSE_SEQUENCE_MODES.LOOP };
+
+      expect(selectSequenceStep(looping, FIFTH_CALL)).toEqual({
+        index: 1,
+        step: sequence.steps[1],
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @file tests/unit/utils/retry_schedule.test.js
+ * @description Unit tests for outbox backoff and Retry-After parsing.
+ */
+
+import {
+  computeRetryDelay,
+  parseRetryAfter,
+} from "../../../src/utils/retry_schedule.js";
+
+const BASE_MS = 1000;
+const MAX_MS = 10000;
+const NOW = Date.parse("2026-01-01T00:00:00.000Z");
+const MS_PER_SECOND = 1000;
+const ALMOST_ONE = 0.999;
+const RETRY_AFTER_SECONDS = 120;
+const ONE_MINUTE_MS = Date.parse("2026-01-01T00:01:00.000Z") - NOW;
+
+describe("Retry Schedule Utils", () => {
+  describe("computeRetryDelay", () => {
+    it("should double the delay per attempt and keep at least half of it", () => {
+      const lowest = { baseMs: BASE_MS, maxMs: MAX_MS, random: () => 0 };
+      const highest = {
+        baseMs: BASE_MS,
+        maxMs: MAX_MS,
+        random: () => ALMOST_ONE,
+      };
+
+      expect(computeRetryDelay(1, lowest)).toBe(BASE_MS / (1 + 1));
+      expect(computeRetryDelay(1 + 1, lowest)).toBe(BASE_MS);
+      expect(computeRetryDelay(1 + 1, highest)).toBeLessThan(BASE_MS * (1 + 1));
+      expect(computeRetryDelay(1 + 1, highest)).toBeGreaterThan(BASE_MS);
+    });
+
+    it("should cap the delay at maxMs", () => {
+      const attempt = 20;
+      const delay = computeRetryDelay(attempt, {
+        baseMs: BASE_MS,
+        maxMs: MAX_MS,
+        random: () => ALMOST_ONE,
+      });
+
+      expect(delay).toBeLessThanOrEqual(MAX_MS);
+      expect(delay).toBeGreaterThanOrEqual(MAX_MS / (1 + 1));
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    it("should parse delay-seconds", () => {
+      expect(parseRetryAfter(String(RETRY_AFTER_SECONDS), NOW)).toBe(
+        RETRY_AFTER_SECONDS * MS_PER_SECOND,
+      );
+      expect(parseRetryAfter(["1"], NOW)).toBe(MS_PER_SECOND);
+    });
+
+    it("should parse an HTTP date relative to now and clamp past dates", () => {
+      expect(parseRetryAfter("Thu, 01 Jan 2026 00:01:00 GMT", NOW)).toBe(
+        ONE_MINUTE_MS,
+      );
+      expect(parseRetryAfter("Wed, 31 Dec 2025 23:00:00 GMT", NOW)).toBe(0);
+    });
+
+    it("should return null for missing or malformed values", () => {
+      expect(parseRetryAfter(undefined, NOW)).toBeNull();
+      expect(parseRetryAfter("soon", NOW)).toBeNull();
+      expect(parseRetryAfter("-5", NOW)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file tests/unit/utils/script_outcome.test.js
+ * @description Unit tests for reading custom script outcome keys off an event.
+ */
+
+import {
+  createScriptOutcome,
+  extractScriptOutcome,
+} from "../../../src/utils/script_outcome.js";
+import {
+  SCRIPT_OUTCOME_CONSTS,
+  SCRIPT_OUTCOME_KEYS,
+} from "../../../src/consts/app.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").WebhookEvent} WebhookEvent
+ */
+
+const FORWARD_TO = "https://billing.example.com/hooks";
+const DELAY_MS = 250;
+
+/**
+ * @param {Record<string, unknown>} keys
+ * @returns {WebhookEvent}
+ */
+const eventWith = (keys) =>
+  /** @type {WebhookEvent} */ (
+    /** @type {unknown} */ ({ id: "evt_1", webhookId: "wh_1", ...keys })
+  );
+
+describe("Script Outcome", () => {
+  it("should return the default outcome when no keys are set", () => {
+    const event = eventWith({});
+
+    const { outcome, invalidKeys } = extractScriptOutcome(event);
+
+    expect(outcome).toEqual(createScriptOutcome());
+    expect(invalidKeys).toEqual([]);
+  });
+
+  it("should read every outcome key and strip it from the event", () => {
+    const event = eventWith({
+      [SCRIPT_OUTCOME_KEYS.DROP]: true,
+      [SCRIPT_OUTCOME_KEYS.SKIP_FORWARD]: true,
+      [SCRIPT_OUTCOME_KEYS.FORWARD_TO]: FORWARD_TO,
+      [SCRIPT_OUTCOME_KEYS.DELAY_MS]: DELAY_MS,
+      [SCRIPT_OUTCOME_KEYS.ALERT]: false,
+      [SCRIPT_OUTCOME_KEYS.TAGS]: [" billing ", "priority", "billing"],
+    });
+
+    const { outcome, invalidKeys } = extractScriptOutcome(event);
+
+    expect(outcome).toEqual({
+      drop: true,
+      skipForward: true,
+      forwardTo: FORWARD_TO,
+      delayMs: DELAY_MS,
+      alert: false,
+      tags: ["billing", "priority"],
+    });
+    expect(invalidKeys).toEqual([]);
+    expect(event).toEqual({ id: "evt_1", webhookId: "wh_1" });
+  });
+
+  it("should clamp the delay to the configured maximum", () => {
+    const { outcome } = extractScriptOutcome(
+      eventWith({
+        [SCRIPT_OUTCOME_KEYS.DELAY_MS]: SCRIPT_OUTCOME_CONSTS.MAX_DELAY_MS + 1,
+      }),
+    );
+
+    expect(outcome.delayMs).toBe(SCRIPT_OUTCOME_CONSTS.MAX_DELAY_MS);
+  });
+
+  it("should ignore null and undefined values without reporting them", () => {
+    const { outcome, invalidKeys } = extractScriptOutcome(
+      eventWith({
+        [SCRIPT_OUTCOME_KEYS.FORWARD_TO]: null,
+        [SCRIPT_OUTCOME_KEYS.ALERT]: undefined,
+      }),
+    );
+
+    expect(outcome).toEqual(createScriptOutcome());
+    expect(invalidKeys).toEqual([]);
+  });
+
+  it.each([
+    [SCRIPT_OUTCOME_KEYS.DROP, "yes"],
+    [SCRIPT_OUTCOME_KEYS.SKIP_FORWARD, 1],
+    [SCRIPT_OUTCOME_KEYS.FORWARD_TO, "ftp://files.example.com"],
+    [SCRIPT_OUTCOME_KEYS.FORWARD_TO, "not a url"],
+    [SCRIPT_OUTCOME_KEYS.DELAY_MS, -1],
+    [SCRIPT_OUTCOME_KEYS.DELAY_MS, Number.POSITIVE_INFINITY],
+    [SCRIPT_OUTCOME_KEYS.ALERT, "true"],
+    [SCRIPT_OUTCOME_KEYS.TAGS, "billing"],
+    [SCRIPT_OUTCOME_KEYS.TAGS, ["ok", ""]],
+    [
+      SCRIPT_OUTCOME_KEYS.TAGS,
+      ["x".repeat(SCRIPT_OUTCOME_CONSTS.MAX_TAG_LENGTH + 1)],
+    ],
+    [
+      SCRIPT_OUTCOME_KEYS.TAGS,
+      Array.from(
+        { length: SCRIPT_OUTCOME_CONSTS.MAX_TAGS + 1 },
+        (_, i) => `t${i}`,
+      ),
+    ],
+  ])(
+    "should report an invalid %s value and leave it unapplied",
+    (key, value) => {
+      const event = eventWith({ [key]: value });
+
+      const { outcome, invalidKeys } = extractScriptOutcome(event);
+
+      expect(invalidKeys).toEqual([key]);
+      expect(outcome).toEqual(createScriptOutcome());
+      expect(Object.hasOwn(event, key)).toBe(false);
+    },
+  );
+});
@@ -0,0 +1,112 @@
+/**
+ * @file tests/unit/utils/sendgrid_verification.test.js
+ * @description Unit tests for SendGrid (ECDSA) signature verification.
+ */
+
+import crypto from "crypto";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { ENCODINGS, HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  finalizeStreamVerification,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createSendGridSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("SendGrid Signature Verification", () => {
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.SENDGRID;
+  const PAYLOAD =
+    '[{"email":"example@test.com","event":"processed","sg_event_id":"rbtnWrG1DVDGGGFHFyun0A=="}]';
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "prime256v1",
+  });
+  // SendGrid shows the verification key as base64 DER without PEM armour
+  const VERIFICATION_KEY = publicKey
+    .export({ format: "der", type: "spki" })
+    .toString(ENCODINGS.BASE64);
+  const config = { provider: PROVIDER, secret: VERIFICATION_KEY };
+  const now = () => String(Math.floor(Date.now() / APP_CONSTS.MS_PER_SECOND));
+
+  /**
+   * @param {string} timestamp
+   * @param {string} [payload]
+   * @returns {Record<string, string>}
+   */
+  const buildHeaders = (timestamp, payload = PAYLOAD) => ({
+    [HTTP_HEADERS.SENDGRID_TIMESTAMP]: timestamp,
+    [HTTP_HEADERS.SENDGRID_SIGNATURE]: createSendGridSignature(
+      timestamp,
+      payload,
+      privateKey,
+    ),
+  });
+
+  test("should verify with a base64 DER verification key", () => {
+    expect(verifySignature(config, PAYLOAD, buildHeaders(now()))).toEqual({
+      valid: true,
+      provider: PROVIDER,
+      keyId: SIGNATURE_CONSTS.SECRET_KEY_ID,
+    });
+  });
+
+  test("should verify with a PEM public key", () => {
+    const pem = String(publicKey.export({ format: "pem", type: "spki" }));
+    const result = verifySignature(
+      { ...config, secret: pem },
+      PAYLOAD,
+      buildHeaders(now()),
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  test("should fail when the payload is modified", () => {
+    const result = verifySignature(
+      config,
+      PAYLOAD.replace("processed", "dropped"),
+      buildHeaders(now()),
+    );
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should treat a malformed signature as a mismatch", () => {
+    const result = verifySignature(config, PAYLOAD, {
+      ...buildHeaders(now()),
+      [HTTP_HEADERS.SENDGRID_SIGNATURE]: "bm90LWEtc2lnbmF0dXJl",
+    });
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should reject a stale timestamp", () => {
+    const stale = String(
+      Number(now()) - SIGNATURE_CONSTS.TOLERANCE_SECONDS - 1,
+    );
+    expect(
+      verifySignature(config, PAYLOAD, buildHeaders(stale)).error,
+    ).toContain(SIGNATURE_ERRORS.TIMESTAMP_TOLERANCE);
+  });
+
+  test("should report an unusable public key", () => {
+    const result = verifySignature(
+      { ...config, secret: "not-a-key" },
+      PAYLOAD,
+      buildHeaders(now()),
+    );
+    expect(result.error).toBe(SIGNATURE_ERRORS.INVALID_PUBLIC_KEY);
+  });
+
+  test("should verify streamed payloads", () => {
+    const verifier = createStreamVerifier(config, buildHeaders(now()));
+    verifier.hmac?.update(PAYLOAD);
+    expect(finalizeStreamVerification(verifier)).toBe(true);
+  });
+});
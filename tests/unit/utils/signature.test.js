@@ -29,8 +29,12 @@ import { assertType } from "../../setup/helpers/test-utils.js";
 await setupCommonMocks();
 
 await jest.resetModules();
-const { verifySignature, createStreamVerifier, finalizeStreamVerification } =
-  await import("../../../src/utils/signature.js");
+const {
+  verifySignature,
+  createStreamVerifier,
+  finalizeStreamVerification,
+  signPayload,
+} = await import("../../../src/utils/signature.js");
 
 describe("Signature Utils (Real Crypto)", () => {
   const SECRET = "test-secret";
@@ -604,6 +608,80 @@ describe("Signature Utils (Real Crypto)", () => {
     });
   });
 
+  describe("signPayload", () => {
+    const TIMESTAMP = 1767225600;
+
+    it("should produce the documented Stripe and GitHub header formats", () => {
+      const stripe = signPayload(
+        { provider: SIGNATURE_PROVIDERS.STRIPE, secret: SECRET },
+        PAYLOAD,
+        { timestamp: TIMESTAMP },
+      );
+      const github = signPayload(
+        { provider: SIGNATURE_PROVIDERS.GITHUB, secret: SECRET },
+        Buffer.from(PAYLOAD),
+      );
+
+      expect(stripe).toEqual({
+        [HTTP_HEADERS.STRIPE_SIGNATURE]: createStripeSignature(
+          TIMESTAMP,
+          PAYLOAD,
+          SECRET,
+        ),
+      });
+      expect(github).toEqual({
+        [HTTP_HEADERS.HUB_SIGNATURE_256]: createGitHubSignature(
+          PAYLOAD,
+          SECRET,
+        ),
+      });
+    });
+
+    it.each([
+      [
+        "Standard Webhooks",
+        {
+          provider: SIGNATURE_PROVIDERS.STANDARD_WEBHOOKS,
+          secret: `${SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_SECRET}${Buffer.from(SECRET).toString(ENCODINGS.BASE64)}`,
+        },
+      ],
+      [
+        "a custom scheme",
+        {
+          provider: SIGNATURE_PROVIDERS.CUSTOM,
+          secret: SECRET,
+          headerName: customHeaderName,
+          timestampKey: customTimestampKey,
+          algorithm: HASH_ALGORITHMS.SHA1,
+          encoding: SIGNATURE_ENCODINGS.BASE64,
+        },
+      ],
+    ])("should sign bodies that verify with %s", (_label, config) => {
+      const headers = signPayload(assertType(config), PAYLOAD, {
+        id: "msg_1",
+      });
+
+      expect(verifySignature(assertType(config), PAYLOAD, headers)).toEqual(
+        expect.objectContaining({ valid: true }),
+      );
+    });
+
+    it("should reject schemes it cannot produce", () => {
+      expect(() =>
+        signPayload(
+          { provider: SIGNATURE_PROVIDERS.SHOPIFY, secret: SECRET },
+          PAYLOAD,
+        ),
+      ).toThrow(SIGNATURE_ERRORS.UNKNOWN_PROVIDER);
+      expect(() =>
+        signPayload(
+          { provider: SIGNATURE_PROVIDERS.CUSTOM, secret: SECRET },
+          PAYLOAD,
+        ),
+      ).toThrow(SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED);
+    });
+  });
+
   describe("Advanced Security & Concurrency", () => {
     it("should handle concurrency safely without sharing state", async () => {
       const iterations = 50;
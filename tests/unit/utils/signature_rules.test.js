@@ -0,0 +1,295 @@
+/**
+ * @file tests/unit/utils/signature_rules.test.js
+ * @description Unit tests for conditional signature rule normalization and selection.
+ */
+
+import {
+  matchesSignatureRule,
+  normalizeSignatureVerificationRules,
+  resolveSignatureVerification,
+  selectSignatureRule,
+} from "../../../src/utils/signature_rules.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PROVIDERS,
+  SIGNATURE_VERIFICATION_MODES,
+} from "../../../src/consts/security.js";
+import { HTTP_METHODS } from "../../../src/consts/http.js";
+import {
+  ERROR_MESSAGES,
+  SIGNATURE_ERRORS,
+} from "../../../src/consts/errors.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureVerificationRule} SignatureVerificationRule
+ * @typedef {import("../../../src/typedefs.js").SignatureRuleRequest} SignatureRuleRequest
+ */
+
+const HIGH_PRIORITY = 100;
+const LOW_PRIORITY = 10;
+const GITHUB_RULE_ID = "github-default";
+const SHOPIFY_RULE_ID = "shopify-default";
+const GITHUB_EVENT_HEADER = "x-github-event";
+const CUSTOM_RULE_INDEX = 2;
+const UNKNOWN_FIELD_RULE_INDEX = 3;
+
+const githubRule = {
+  id: GITHUB_RULE_ID,
+  priority: HIGH_PRIORITY,
+  when: { headers: { "X-GitHub-Event": "*" } },
+  verify: { provider: SIGNATURE_PROVIDERS.GITHUB, secret: " gh-secret " },
+};
+const shopifyRule = {
+  id: SHOPIFY_RULE_ID,
+  priority: LOW_PRIORITY,
+  when: { headers: { "x-shopify-topic": "*" } },
+  verify: { provider: SIGNATURE_PROVIDERS.SHOPIFY, secret: "shop-secret" },
+};
+
+/**
+ * @param {unknown[]} input
+ * @returns {SignatureVerificationRule[]}
+ */
+const buildRules = (input) => {
+  const { rules, errors } = normalizeSignatureVerificationRules(input);
+  expect(errors).toEqual([]);
+  return rules;
+};
+
+/**
+ * @param {Partial<SignatureRuleRequest>} [overrides]
+ * @returns {SignatureRuleRequest}
+ */
+const buildRequest = (overrides = {}) => ({
+  method: HTTP_METHODS.POST,
+  path: "/webhook/wh_shared",
+  headers: { [GITHUB_EVENT_HEADER]: "push" },
+  query: {},
+  body: { type: "invoice" },
+  ...overrides,
+});
+
+describe("Signature Rule Utils", () => {
+  describe("normalizeSignatureVerificationRules", () => {
+    it("should apply defaults, lowercase headers, and trim secrets", () => {
+      const [rule] = buildRules([
+        { ...githubRule, priority: undefined, when: { method: "post" } },
+      ]);
+
+      expect(rule).toEqual({
+        id: GITHUB_RULE_ID,
+        priority: 0,
+        enabled: true,
+        when: { method: [HTTP_METHODS.POST] },
+        verify: { provider: SIGNATURE_PROVIDERS.GITHUB, secret: "gh-secret" },
+      });
+      expect(buildRules([githubRule])[0].when.headers).toEqual({
+        [GITHUB_EVENT_HEADER]: "*",
+      });
+    });
+
+    it("should drop invalid and duplicate rules and report why", () => {
+      const { rules, errors } = normalizeSignatureVerificationRules([
+        githubRule,
+        { ...shopifyRule, verify: { provider: "unknown" } },
+        { id: "custom", verify: { provider: "custom", secret: "s" } },
+        { ...githubRule, when: { cookie: "x" } },
+      ]);
+
+      expect(rules.map((r) => r.id)).toEqual([GITHUB_RULE_ID]);
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+            1,
+            ERROR_MESSAGES.SIGNATURE_RULE_KEY_REQUIRED,
+          ),
+          ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+            CUSTOM_RULE_INDEX,
+            SIGNATURE_ERRORS.CUSTOM_HEADER_REQUIRED,
+          ),
+          ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+            UNKNOWN_FIELD_RULE_INDEX,
+            ERROR_MESSAGES.UNSUPPORTED_FIELD("when.cookie"),
+          ),
+        ]),
+      );
+      expect(errors.some((e) => e.includes("verify.provider"))).toBe(true);
+    });
+
+    it("should reject duplicate IDs and rules past the limit", () => {
+      const tooMany = Array.from(
+        { length: SIGNATURE_CONSTS.MAX_RULES + 1 },
+        (_, i) => ({ ...shopifyRule, id: `rule-${i}` }),
+      );
+
+      expect(
+        normalizeSignatureVerificationRules([githubRule, githubRule]).errors,
+      ).toEqual([
+        ERROR_MESSAGES.INVALID_SIGNATURE_RULE(
+          1,
+          ERROR_MESSAGES.DUPLICATE_ID(GITHUB_RULE_ID),
+        ),
+      ]);
+      expect(normalizeSignatureVerificationRules(tooMany).rules).toHaveLength(
+        SIGNATURE_CONSTS.MAX_RULES,
+      );
+    });
+
+    it("should treat a missing value as no rules", () => {
+      expect(normalizeSignatureVerificationRules(undefined)).toEqual({
+        rules: [],
+        errors: [],
+      });
+    });
+  });
+
+  describe("matchesSignatureRule", () => {
+    const [rule] = buildRules([
+      {
+        ...githubRule,
+        when: {
+          method: ["POST", "PUT"],
+          path: "/webhook/*",
+          headers: { [GITHUB_EVENT_HEADER]: "*", "x-tenant": "acme" },
+          query: { source: "gh" },
+          body: { "$.type": "invoice" },
+        },
+      },
+    ]);
+    const matching = buildRequest({
+      headers: { [GITHUB_EVENT_HEADER]: "push", "x-tenant": "acme" },
+      query: { source: "gh" },
+    });
+
+    it("should match method, path prefix, headers, query, and body", () => {
+      expect(matchesSignatureRule(rule, matching)).toBe(true);
+      expect(
+        matchesSignatureRule(rule, {
+          ...matching,
+          body: Buffer.from('{"type":"invoice"}'),
+        }),
+      ).toBe(true);
+    });
+
+    it.each([
+      ["method", { method: HTTP_METHODS.GET }],
+      ["path", { path: "/other/wh_shared" }],
+      ["header value", { headers: { [GITHUB_EVENT_HEADER]: "push" } }],
+      ["query", { query: {} }],
+      ["body", { body: { type: "refund" } }],
+      ["unavailable body", { body: undefined }],
+    ])("should not match a different %s", (_label, overrides) => {
+      expect(matchesSignatureRule(rule, { ...matching, ...overrides })).toBe(
+        false,
+      );
+    });
+
+    it("should match paths exactly without a trailing wildcard", () => {
+      const [exact] = buildRules([
+        { ...githubRule, when: { path: "/webhook/wh_shared" } },
+      ]);
+
+      expect(matchesSignatureRule(exact, buildRequest())).toBe(true);
+      expect(
+        matchesSignatureRule(
+          exact,
+          buildRequest({ path: "/webhook/wh_shared2" }),
+        ),
+      ).toBe(false);
+    });
+
+    it("should skip disabled rules", () => {
+      const [disabled] = buildRules([{ ...githubRule, enabled: false }]);
+
+      expect(matchesSignatureRule(disabled, buildRequest())).toBe(false);
+    });
+  });
+
+  describe("selectSignatureRule", () => {
+    it("should select the highest-priority matching rule", () => {
+      const rules = buildRules([
+        shopifyRule,
+        githubRule,
+        { ...shopifyRule, id: "catch-all", when: {} },
+      ]);
+
+      expect(selectSignatureRule(rules, buildRequest())).toEqual({
+        matched: true,
+        ruleId: GITHUB_RULE_ID,
+        verifyConfig: rules[1].verify,
+      });
+    });
+
+    it("should fail on equal-priority matches instead of trying both", () => {
+      const rules = buildRules([
+        githubRule,
+        { ...githubRule, id: "github-legacy" },
+      ]);
+
+      expect(selectSignatureRule(rules, buildRequest())).toEqual({
+        matched: false,
+        error: SIGNATURE_ERRORS.AMBIGUOUS_RULES([
+          GITHUB_RULE_ID,
+          "github-legacy",
+        ]),
+      });
+    });
+
+    it("should report no match", () => {
+      expect(
+        selectSignatureRule(buildRules([shopifyRule]), buildRequest()),
+      ).toEqual({ matched: false });
+    });
+  });
+
+  describe("resolveSignatureVerification", () => {
+    const legacy = { provider: SIGNATURE_PROVIDERS.STRIPE, secret: "whsec" };
+
+    it("should keep the single-provider config when no rules exist", () => {
+      expect(
+        resolveSignatureVerification(
+          { signatureVerification: legacy },
+          buildRequest(),
+        ),
+      ).toEqual({ config: legacy });
+    });
+
+    it("should use the matched rule", () => {
+      const rules = buildRules([githubRule, shopifyRule]);
+
+      expect(
+        resolveSignatureVerification(
+          { signatureVerification: legacy, signatureVerificationRules: rules },
+          buildRequest({ headers: { "x-shopify-topic": "orders/create" } }),
+        ),
+      ).toEqual({ config: rules[1].verify, ruleId: SHOPIFY_RULE_ID });
+    });
+
+    it("should fail closed by default when no rule matches", () => {
+      expect(
+        resolveSignatureVerification(
+          { signatureVerificationRules: buildRules([shopifyRule]) },
+          buildRequest(),
+        ),
+      ).toEqual({ error: SIGNATURE_ERRORS.NO_MATCHING_RULE });
+    });
+
+    it("should fall back to the single provider in skipVerification mode", () => {
+      const options = {
+        signatureVerificationRules: buildRules([shopifyRule]),
+        signatureVerificationMode:
+          SIGNATURE_VERIFICATION_MODES.SKIP_VERIFICATION,
+      };
+
+      expect(
+        resolveSignatureVerification(
+          { ...options, signatureVerification: legacy },
+          buildRequest(),
+        ),
+      ).toEqual({ config: legacy });
+      expect(resolveSignatureVerification(options, buildRequest())).toEqual({
+        config: undefined,
+      });
+    });
+  });
+});
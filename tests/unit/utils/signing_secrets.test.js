@@ -0,0 +1,217 @@
+/**
+ * @file tests/unit/utils/signing_secrets.test.js
+ * @description Unit tests for rotating signing secrets and their validity windows.
+ */
+
+import { jest } from "@jest/globals";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import {
+  ERROR_MESSAGES,
+  SIGNATURE_ERRORS,
+} from "../../../src/consts/errors.js";
+import { ENCODINGS, HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PREFIXES,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  getActiveSigningSecrets,
+  normalizeSigningSecrets,
+} from "../../../src/utils/signing_secrets.js";
+import {
+  createStreamVerifier,
+  finalizeStreamVerification,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import {
+  createGitHubSignature,
+  createStandardWebhooksSignature,
+} from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SigningSecret} SigningSecret
+ */
+
+const OLD_SECRET = "old-signing-secret";
+const NEW_SECRET = "new-signing-secret";
+const PAYLOAD = '{"action":"opened"}';
+const ROTATION_START = "2026-03-01T00:00:00Z";
+const ROTATION_END = "2026-03-08T00:00:00Z";
+const DURING_ROTATION = Date.parse("2026-03-04T00:00:00Z");
+const AFTER_ROTATION = Date.parse("2026-03-09T00:00:00Z");
+const INVERTED_WINDOW_INDEX = 2;
+
+/** @type {SigningSecret[]} */
+const rotation = [
+  { secret: OLD_SECRET, notAfter: ROTATION_END },
+  { secret: NEW_SECRET, notBefore: ROTATION_START },
+];
+
+describe("Signing Secret Utils", () => {
+  describe("normalizeSigningSecrets", () => {
+    it("should trim secrets and accept bare strings", () => {
+      expect(
+        normalizeSigningSecrets([
+          ` ${OLD_SECRET} `,
+          { secret: NEW_SECRET, notBefore: ROTATION_START },
+        ]),
+      ).toEqual({
+        secrets: [
+          { secret: OLD_SECRET },
+          { secret: NEW_SECRET, notBefore: ROTATION_START },
+        ],
+        errors: [],
+      });
+    });
+
+    it("should drop invalid entries without echoing secret values", () => {
+      const { secrets, errors } = normalizeSigningSecrets([
+        { secret: " " },
+        { secret: OLD_SECRET, notBefore: "next week" },
+        {
+          secret: NEW_SECRET,
+          notBefore: ROTATION_END,
+          notAfter: ROTATION_START,
+        },
+        { secret: NEW_SECRET },
+      ]);
+
+      expect(secrets).toEqual([{ secret: NEW_SECRET }]);
+      expect(errors).toEqual([
+        ERROR_MESSAGES.INVALID_SIGNING_SECRET(
+          0,
+          ERROR_MESSAGES.REQUIRED_FIELD("secret"),
+        ),
+        ERROR_MESSAGES.INVALID_SIGNING_SECRET(
+          1,
+          ERROR_MESSAGES.INVALID_FIELD("notBefore", "an ISO 8601 date"),
+        ),
+        ERROR_MESSAGES.INVALID_SIGNING_SECRET(
+          INVERTED_WINDOW_INDEX,
+          ERROR_MESSAGES.INVALID_FIELD("notAfter", "later than notBefore"),
+        ),
+      ]);
+      expect(errors.join(" ")).not.toContain(OLD_SECRET);
+    });
+
+    it("should reject non-arrays and cap the list", () => {
+      expect(normalizeSigningSecrets("secret").errors).toEqual([
+        ERROR_MESSAGES.INVALID_SIGNING_SECRETS,
+      ]);
+      expect(
+        normalizeSigningSecrets(
+          Array.from({ length: SIGNATURE_CONSTS.MAX_SECRETS + 1 }, (_, i) =>
+            String(i),
+          ),
+        ).secrets,
+      ).toHaveLength(SIGNATURE_CONSTS.MAX_SECRETS);
+    });
+  });
+
+  describe("getActiveSigningSecrets", () => {
+    it("should fall back to the single secret without an index", () => {
+      expect(getActiveSigningSecrets({ secret: OLD_SECRET })).toEqual([
+        { secret: OLD_SECRET },
+      ]);
+      expect(getActiveSigningSecrets({})).toEqual([]);
+    });
+
+    it("should apply validity windows and keep list positions", () => {
+      const config = { secret: "ignored", secrets: rotation };
+
+      expect(getActiveSigningSecrets(config, DURING_ROTATION)).toEqual([
+        { secret: OLD_SECRET, index: 0 },
+        { secret: NEW_SECRET, index: 1 },
+      ]);
+      expect(getActiveSigningSecrets(config, AFTER_ROTATION)).toEqual([
+        { secret: NEW_SECRET, index: 1 },
+      ]);
+    });
+  });
+
+  describe("verifySignature with rotating secrets", () => {
+    const config = { provider: SIGNATURE_PROVIDERS.GITHUB, secrets: rotation };
+
+    /**
+     * @param {string} secret
+     * @returns {Record<string, string>}
+     */
+    const signedWith = (secret) => ({
+      [HTTP_HEADERS.HUB_SIGNATURE_256]: createGitHubSignature(PAYLOAD, secret),
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: DURING_ROTATION });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it("should accept every active secret and report which one matched", () => {
+      expect(verifySignature(config, PAYLOAD, signedWith(OLD_SECRET))).toEqual({
+        valid: true,
+        provider: SIGNATURE_PROVIDERS.GITHUB,
+        secretIndex: 0,
+      });
+      expect(
+        verifySignature(config, PAYLOAD, signedWith(NEW_SECRET)).secretIndex,
+      ).toBe(1);
+    });
+
+    it("should reject a secret outside its window", () => {
+      jest.setSystemTime(AFTER_ROTATION);
+
+      expect(
+        verifySignature(config, PAYLOAD, signedWith(OLD_SECRET)).error,
+      ).toBe(SIGNATURE_ERRORS.MISMATCH);
+    });
+
+    it("should fail when no secret is active", () => {
+      const expired = { ...config, secrets: rotation.slice(0, 1) };
+      jest.setSystemTime(AFTER_ROTATION);
+
+      expect(
+        verifySignature(expired, PAYLOAD, signedWith(OLD_SECRET)).error,
+      ).toBe(SIGNATURE_ERRORS.NO_ACTIVE_SECRET);
+      expect(createStreamVerifier(expired, signedWith(OLD_SECRET)).error).toBe(
+        SIGNATURE_ERRORS.NO_ACTIVE_SECRET,
+      );
+    });
+
+    it("should report the matched secret for streamed payloads", () => {
+      const verifier = createStreamVerifier(config, signedWith(NEW_SECRET));
+      verifier.hmac?.update(PAYLOAD);
+
+      expect(finalizeStreamVerification(verifier)).toBe(true);
+      expect(verifier.secretIndex).toBe(1);
+    });
+
+    it("should derive provider keys for each secret", () => {
+      const id = "msg_rotation";
+      const timestamp = String(
+        Math.floor(DURING_ROTATION / APP_CONSTS.MS_PER_SECOND),
+      );
+      /** @param {string} raw */
+      const toWhsec = (raw) =>
+        `${SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_SECRET}${Buffer.from(raw).toString(ENCODINGS.BASE64)}`;
+      const newSecret = toWhsec(NEW_SECRET);
+      const result = verifySignature(
+        {
+          provider: SIGNATURE_PROVIDERS.STANDARD_WEBHOOKS,
+          secrets: [{ secret: toWhsec(OLD_SECRET) }, { secret: newSecret }],
+        },
+        PAYLOAD,
+        {
+          [HTTP_HEADERS.STANDARD_WEBHOOK_ID]: id,
+          [HTTP_HEADERS.STANDARD_WEBHOOK_TIMESTAMP]: timestamp,
+          [HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE]:
+            createStandardWebhooksSignature(id, timestamp, PAYLOAD, newSecret),
+        },
+      );
+
+      expect(result).toEqual(expect.objectContaining({ secretIndex: 1 }));
+    });
+  });
+});
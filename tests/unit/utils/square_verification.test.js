@@ -0,0 +1,82 @@
+/**
+ * @file tests/unit/utils/square_verification.test.js
+ * @description Unit tests for Square signature verification.
+ */
+
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { HTTP_HEADERS } from "../../../src/consts/http.js";
+import { SIGNATURE_PROVIDERS } from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  finalizeStreamVerification,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createSquareSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Square Signature Verification", () => {
+  // Values from the Square SDK webhook helper tests: https://github.com/square/square-nodejs-sdk
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.SQUARE;
+  const DOC_SIGNATURE_KEY = "Ibxx_5AKakO-3qeNVR61Dw";
+  const DOC_URL = "https://webhook.site/679a4f3a-dcfa-49ee-bac5-9d0edad886b9";
+  const DOC_PAYLOAD =
+    '{"merchant_id":"MLEFBHHSJGVHD","type":"webhooks.test_notification","event_id":"ac3ac95b-f97d-458c-a6e6-18981597e05f","created_at":"2022-07-13T20:30:59.037339943Z","data":{"type":"webhooks","id":"bc368e64-01aa-407e-b46e-3231809b1129"}}';
+  const DOC_SIGNATURE = "GF4YkrJgGBDZ9NIYbNXBnMzqb2HoL4RW/S6vkZ9/2N4=";
+  const config = { provider: PROVIDER, secret: DOC_SIGNATURE_KEY };
+  const headers = { [HTTP_HEADERS.SQUARE_SIGNATURE]: DOC_SIGNATURE };
+
+  test("should verify the example from the Square SDK", () => {
+    expect(
+      verifySignature(config, DOC_PAYLOAD, headers, { url: DOC_URL }),
+    ).toEqual({ valid: true, provider: PROVIDER });
+  });
+
+  test("should fail when the notification URL differs", () => {
+    const result = verifySignature(config, DOC_PAYLOAD, headers, {
+      url: `${DOC_URL}/`,
+    });
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should use the configured URL when the Actor sits behind a proxy", () => {
+    const result = verifySignature(
+      { ...config, url: DOC_URL },
+      DOC_PAYLOAD,
+      headers,
+      { url: "http://localhost:8080/webhook/wh_1" },
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  test("should report a missing header or URL", () => {
+    expect(
+      verifySignature(config, DOC_PAYLOAD, {}, { url: DOC_URL }).error,
+    ).toBe(
+      `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.SQUARE_SIGNATURE}`,
+    );
+    expect(verifySignature(config, DOC_PAYLOAD, headers).error).toBe(
+      SIGNATURE_ERRORS.MISSING_URL,
+    );
+  });
+
+  test("should verify streamed payloads", () => {
+    const payload = '{"type":"payment.created"}';
+    const verifier = createStreamVerifier(
+      config,
+      {
+        [HTTP_HEADERS.SQUARE_SIGNATURE]: createSquareSignature(
+          DOC_URL,
+          payload,
+          DOC_SIGNATURE_KEY,
+        ),
+      },
+      { url: DOC_URL },
+    );
+    verifier.hmac?.update(payload);
+    expect(finalizeStreamVerification(verifier)).toBe(true);
+  });
+});
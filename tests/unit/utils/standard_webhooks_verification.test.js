@@ -0,0 +1,112 @@
+/**
+ * @file tests/unit/utils/standard_webhooks_verification.test.js
+ * @description Unit tests for Standard Webhooks (Svix) signature verification.
+ */
+
+import { jest } from "@jest/globals";
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PREFIXES,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  finalizeStreamVerification,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createStandardWebhooksSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Standard Webhooks Signature Verification", () => {
+  // Values from the Standard Webhooks reference test suite: https://github.com/standard-webhooks/standard-webhooks
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.STANDARD_WEBHOOKS;
+  const DOC_SECRET = "whsec_MfKQ9r8GKYqrTwjUPD8ILPZIo2LaLaSw";
+  const DOC_MSG_ID = "msg_p5jXN8AQM9LWM0D4loKWxJek";
+  const DOC_TIMESTAMP = 1614265330;
+  const DOC_PAYLOAD = '{"test": 2432232314}';
+  const DOC_SIGNATURE = "v1,g0hM9SsE+OTPJTGt/tmIKtSyZlE3uFJELVlNIOLJ1OE=";
+  const config = { provider: PROVIDER, secret: DOC_SECRET };
+  const headers = {
+    [HTTP_HEADERS.STANDARD_WEBHOOK_ID]: DOC_MSG_ID,
+    [HTTP_HEADERS.STANDARD_WEBHOOK_TIMESTAMP]: String(DOC_TIMESTAMP),
+    [HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE]: DOC_SIGNATURE,
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: DOC_TIMESTAMP * APP_CONSTS.MS_PER_SECOND });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should verify the reference test vector", () => {
+    expect(verifySignature(config, DOC_PAYLOAD, headers)).toEqual({
+      valid: true,
+      provider: PROVIDER,
+    });
+  });
+
+  test("should accept svix-prefixed headers", () => {
+    const svixHeaders = {
+      [HTTP_HEADERS.SVIX_ID]: DOC_MSG_ID,
+      [HTTP_HEADERS.SVIX_TIMESTAMP]: String(DOC_TIMESTAMP),
+      [HTTP_HEADERS.SVIX_SIGNATURE]: DOC_SIGNATURE,
+    };
+    expect(verifySignature(config, DOC_PAYLOAD, svixHeaders).valid).toBe(true);
+  });
+
+  test("should accept any of several signatures and ignore other versions", () => {
+    const rotated = createStandardWebhooksSignature(
+      DOC_MSG_ID,
+      DOC_TIMESTAMP,
+      DOC_PAYLOAD,
+      "whsec_b2xkLXNlY3JldA==",
+    );
+    const multiHeaders = {
+      ...headers,
+      [HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE]: `v2,ignored ${rotated} ${DOC_SIGNATURE}`,
+    };
+    expect(verifySignature(config, DOC_PAYLOAD, multiHeaders).valid).toBe(true);
+  });
+
+  test("should fail when the message ID is changed", () => {
+    const result = verifySignature(config, DOC_PAYLOAD, {
+      ...headers,
+      [HTTP_HEADERS.STANDARD_WEBHOOK_ID]: "msg_other",
+    });
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should reject a stale timestamp", () => {
+    jest.setSystemTime(
+      (DOC_TIMESTAMP + SIGNATURE_CONSTS.TOLERANCE_SECONDS + 1) *
+        APP_CONSTS.MS_PER_SECOND,
+    );
+    const result = verifySignature(config, DOC_PAYLOAD, headers);
+    expect(result.error).toContain(SIGNATURE_ERRORS.TIMESTAMP_TOLERANCE);
+  });
+
+  test("should reject a header without v1 signatures", () => {
+    const result = verifySignature(config, DOC_PAYLOAD, {
+      ...headers,
+      [HTTP_HEADERS.STANDARD_WEBHOOK_SIGNATURE]: DOC_SIGNATURE.slice(
+        SIGNATURE_PREFIXES.STANDARD_WEBHOOKS_V1.length,
+      ),
+    });
+    expect(result.error).toBe(SIGNATURE_ERRORS.INVALID_FORMAT);
+  });
+
+  test("should verify streamed payloads", () => {
+    const verifier = createStreamVerifier(config, headers);
+    verifier.hmac?.update(DOC_PAYLOAD);
+    expect(finalizeStreamVerification(verifier)).toBe(true);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @file tests/unit/utils/template.test.js
+ * @description Unit tests for the logic-less response template renderer.
+ */
+
+import { validateHeaderValue } from "http";
+import {
+  createResponseTemplateContext,
+  hasTemplatePlaceholders,
+  parseTemplateBody,
+  renderBodyTemplate,
+  renderTemplate,
+  renderTemplateHeaders,
+  renderUrlTemplate,
+  resolveTemplatePath,
+} from "../../../src/utils/template.js";
+
+const ITEM_COUNT = 3;
+const ID_PLACEHOLDER = "{{request.body.id}}";
+const UUID_PATTERN =
+  /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/;
+
+describe("Template Utils", () => {
+  const context = {
+    request: {
+      body: { id: "evt_1", count: ITEM_COUNT, nested: { ok: true } },
+      headers: { "x-request-id": "abc" },
+    },
+  };
+
+  describe("resolveTemplatePath", () => {
+    it("should resolve nested own properties", () => {
+      expect(resolveTemplatePath(context, "request.body.id")).toBe("evt_1");
+    });
+
+    it("should fall back to keys that contain dots", () => {
+      const query = { "hub.challenge": "1158201444", hub: { mode: "x" } };
+
+      expect(resolveTemplatePath({ query }, "query.hub.challenge")).toBe(
+        "1158201444",
+      );
+      expect(resolveTemplatePath({ query }, "query.hub.mode")).toBe("x");
+    });
+
+    it("should not reach prototype members", () => {
+      expect(
+        resolveTemplatePath(context, "request.constructor"),
+      ).toBeUndefined();
+      expect(resolveTemplatePath(context, "__proto__")).toBeUndefined();
+    });
+  });
+
+  describe("renderTemplate", () => {
+    it("should keep the resolved type for a single placeholder", () => {
+      expect(renderTemplate("{{request.body.count}}", context)).toBe(
+        ITEM_COUNT,
+      );
+      expect(renderTemplate("{{ request.body.nested }}", context)).toEqual({
+        ok: true,
+      });
+    });
+
+    it("should interpolate placeholders embedded in text", () => {
+      expect(
+        renderTemplate(
+          "id={{request.body.id}} n={{request.body.nested}} h={{request.headers.x-request-id}}",
+          context,
+        ),
+      ).toBe('id=evt_1 n={"ok":true} h=abc');
+    });
+
+    it("should render unknown paths as empty strings", () => {
+      expect(renderTemplate("{{request.body.missing}}", context)).toBe("");
+      expect(renderTemplate("a{{nope}}b", context)).toBe("ab");
+    });
+
+    it("should render arrays and objects deeply without touching keys", () => {
+      expect(
+        renderTemplate(
+          { [ID_PLACEHOLDER]: [ID_PLACEHOLDER, 1, null] },
+          context,
+        ),
+      ).toEqual({ [ID_PLACEHOLDER]: ["evt_1", 1, null] });
+    });
+  });
+
+  describe("renderBodyTemplate", () => {
+    it("should escape values rendered into JSON text", () => {
+      const rendered = renderBodyTemplate('{"echo":"{{body.text}}"}', {
+        body: { text: 'say "hi"' },
+      });
+
+      expect(rendered).toBe('{"echo":"say \\"hi\\""}');
+      expect(JSON.parse(String(rendered))).toEqual({ echo: 'say "hi"' });
+    });
+
+    it("should render plain text and objects like renderTemplate", () => {
+      expect(renderBodyTemplate("{{query.challenge}}", context)).toBe("");
+      expect(
+        renderBodyTemplate("{{ query.challenge }}", {
+          query: { challenge: "abc" },
+        }),
+      ).toBe("abc");
+      expect(renderBodyTemplate({ id: ID_PLACEHOLDER }, context)).toEqual({
+        id: "evt_1",
+      });
+    });
+  });
+
+  describe("renderTemplateHeaders", () => {
+    it("should always produce string values", () => {
+      expect(
+        renderTemplateHeaders(
+          {
+            "x-count": "{{request.body.count}}",
+            "x-id": ID_PLACEHOLDER,
+          },
+          context,
+        ),
+      ).toEqual({ "x-count": String(ITEM_COUNT), "x-id": "evt_1" });
+    });
+
+    it("should strip characters that are invalid in header values", () => {
+      const rendered = renderTemplateHeaders(
+        { "x-echo": "{{request.query.echo}}", "x-raw": "a\u0000b" },
+        {
+          ...context,
+          request: { query: { echo: "ok\r\nSet-Cookie: session=1\u2028" } },
+        },
+      );
+
+      expect(rendered).toEqual({
+        "x-echo": "okSet-Cookie: session=1",
+        "x-raw": "ab",
+      });
+      expect(() =>
+        Object.entries(rendered).forEach(([name, value]) =>
+          validateHeaderValue(name, value),
+        ),
+      ).not.toThrow();
+    });
+  });
+
+  describe("renderUrlTemplate", () => {
+    it("should percent-encode each rendered value as one component", () => {
+      expect(
+        renderUrlTemplate("/events/{{request.headers.x-request-id}}?n={{n}}", {
+          ...context,
+          n: "a/b&c=d",
+        }),
+      ).toBe("/events/abc?n=a%2Fb%26c%3Dd");
+      expect(renderUrlTemplate("/{{missing}}", context)).toBe("/");
+    });
+  });
+
+  describe("hasTemplatePlaceholders", () => {
+    it.each([
+      ["{{body.id}}", true],
+      ["id: {{ headers.x-id }}", true],
+      [{ nested: ["{{uuid}}"] }, true],
+      ["{ not a placeholder }", false],
+      [{ status: "ok" }, false],
+      [undefined, false],
+    ])("should detect placeholders in %p", (template, expected) => {
+      expect(hasTemplatePlaceholders(template)).toBe(expected);
+    });
+  });
+
+  describe("parseTemplateBody", () => {
+    it("should parse JSON buffers and strings and keep other text", () => {
+      expect(parseTemplateBody(Buffer.from('{"a":1}'))).toEqual({ a: 1 });
+      expect(parseTemplateBody("plain text")).toBe("plain text");
+    });
+  });
+
+  describe("createResponseTemplateContext", () => {
+    it("should expose body, headers, query, uuid, and now", () => {
+      const ctx = createResponseTemplateContext({
+        body: '{"id":"evt_1"}',
+        headers: { "x-request-id": "abc" },
+      });
+
+      expect(ctx).toEqual({
+        body: { id: "evt_1" },
+        headers: { "x-request-id": "abc" },
+        query: {},
+        uuid: expect.stringMatching(UUID_PATTERN),
+        now: expect.any(String),
+      });
+      expect(Number.isNaN(Date.parse(ctx.now))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @file tests/unit/utils/twilio_verification.test.js
+ * @description Unit tests for Twilio signature verification.
+ */
+
+import crypto from "crypto";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  HASH_ALGORITHMS,
+  SIGNATURE_CONSTS,
+  SIGNATURE_ENCODINGS,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import {
+  createStreamVerifier,
+  verifySignature,
+} from "../../../src/utils/signature.js";
+import { createTwilioSignature } from "../../setup/helpers/signature-utils.js";
+import { assertType } from "../../setup/helpers/test-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Twilio Signature Verification", () => {
+  // Values from Twilio Documentation: https://www.twilio.com/docs/usage/webhooks/webhooks-security
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.TWILIO;
+  const DOC_AUTH_TOKEN = "12345";
+  const DOC_URL = "https://mycompany.com/myapp.php?foo=1&bar=2";
+  const DOC_PARAMS = {
+    CallSid: "CA1234567890ABCDE",
+    Caller: "+12349013030",
+    Digits: "1234",
+    From: "+12349013030",
+    To: "+18005551212",
+  };
+  const DOC_SIGNATURE = "0/KCTR6DLpKmkAf8muzZqo1nDgQ=";
+  const DOC_BODY = new URLSearchParams(DOC_PARAMS).toString();
+  const config = { provider: PROVIDER, secret: DOC_AUTH_TOKEN };
+
+  test("should verify the example from Twilio docs", () => {
+    const result = verifySignature(
+      config,
+      DOC_BODY,
+      { [HTTP_HEADERS.TWILIO_SIGNATURE]: DOC_SIGNATURE },
+      { url: DOC_URL },
+    );
+    expect(result).toEqual({ valid: true, provider: PROVIDER });
+  });
+
+  test("should sort parameters regardless of body order", () => {
+    const reversed = new URLSearchParams(
+      Object.entries(DOC_PARAMS).reverse(),
+    ).toString();
+    const headers = {
+      [HTTP_HEADERS.TWILIO_SIGNATURE]: createTwilioSignature(
+        DOC_URL,
+        DOC_PARAMS,
+        DOC_AUTH_TOKEN,
+      ),
+    };
+
+    expect(
+      verifySignature(config, reversed, headers, { url: DOC_URL }).valid,
+    ).toBe(true);
+  });
+
+  test("should prefer the configured URL over the request URL", () => {
+    const result = verifySignature(
+      { ...config, url: DOC_URL },
+      DOC_BODY,
+      { [HTTP_HEADERS.TWILIO_SIGNATURE]: DOC_SIGNATURE },
+      { url: "https://internal.example/webhook/wh_1" },
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  test("should fail when a parameter is tampered", () => {
+    const result = verifySignature(
+      config,
+      DOC_BODY.replace("1234", "9999"),
+      { [HTTP_HEADERS.TWILIO_SIGNATURE]: DOC_SIGNATURE },
+      { url: DOC_URL },
+    );
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should check the bodySHA256 parameter for JSON bodies", () => {
+    const body = JSON.stringify({ status: "delivered" });
+    const bodyHash = crypto
+      .createHash(HASH_ALGORITHMS.SHA256)
+      .update(body)
+      .digest(assertType(SIGNATURE_ENCODINGS.HEX));
+    const url = `https://mycompany.com/status?${SIGNATURE_CONSTS.TWILIO_BODY_HASH_PARAM}=${bodyHash}`;
+    const headers = {
+      [HTTP_HEADERS.TWILIO_SIGNATURE]: createTwilioSignature(
+        url,
+        {},
+        DOC_AUTH_TOKEN,
+      ),
+    };
+
+    expect(verifySignature(config, body, headers, { url }).valid).toBe(true);
+    expect(verifySignature(config, `${body} `, headers, { url }).error).toBe(
+      SIGNATURE_ERRORS.BODY_HASH_MISMATCH,
+    );
+  });
+
+  test("should report a missing header or URL", () => {
+    expect(verifySignature(config, DOC_BODY, {}, { url: DOC_URL }).error).toBe(
+      `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.TWILIO_SIGNATURE}`,
+    );
+    expect(
+      verifySignature(config, DOC_BODY, {
+        [HTTP_HEADERS.TWILIO_SIGNATURE]: DOC_SIGNATURE,
+      }).error,
+    ).toBe(SIGNATURE_ERRORS.MISSING_URL);
+  });
+
+  test("should refuse streaming verification", () => {
+    const verifier = createStreamVerifier(
+      config,
+      { [HTTP_HEADERS.TWILIO_SIGNATURE]: DOC_SIGNATURE },
+      { url: DOC_URL },
+    );
+    expect(verifier.hmac).toBeNull();
+    expect(verifier.error).toBe(
+      SIGNATURE_ERRORS.STREAMING_UNSUPPORTED(PROVIDER),
+    );
+  });
+});
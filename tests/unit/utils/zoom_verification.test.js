@@ -0,0 +1,83 @@
+/**
+ * @file tests/unit/utils/zoom_verification.test.js
+ * @description Unit tests for Zoom signature verification.
+ */
+
+import { APP_CONSTS } from "../../../src/consts/app.js";
+import { SIGNATURE_ERRORS } from "../../../src/consts/errors.js";
+import { HTTP_HEADERS } from "../../../src/consts/http.js";
+import {
+  SIGNATURE_CONSTS,
+  SIGNATURE_PREFIXES,
+  SIGNATURE_PROVIDERS,
+} from "../../../src/consts/security.js";
+import { verifySignature } from "../../../src/utils/signature.js";
+import { createZoomSignature } from "../../setup/helpers/signature-utils.js";
+
+/**
+ * @typedef {import("../../../src/typedefs.js").SignatureProvider} SignatureProvider
+ */
+
+describe("Zoom Signature Verification", () => {
+  /** @type {SignatureProvider} */
+  const PROVIDER = SIGNATURE_PROVIDERS.ZOOM;
+  const SECRET_TOKEN = "zoom-secret-token";
+  const PAYLOAD =
+    '{"event":"meeting.started","payload":{"object":{"id":"1234567890"}}}';
+  const config = { provider: PROVIDER, secret: SECRET_TOKEN };
+
+  /**
+   * @param {number} timestamp
+   * @param {string} [signature]
+   * @returns {Record<string, string>}
+   */
+  const buildHeaders = (
+    timestamp,
+    signature = createZoomSignature(timestamp, PAYLOAD, SECRET_TOKEN),
+  ) => ({
+    [HTTP_HEADERS.ZOOM_TIMESTAMP]: String(timestamp),
+    [HTTP_HEADERS.ZOOM_SIGNATURE]: signature,
+  });
+  const now = () => Math.floor(Date.now() / APP_CONSTS.MS_PER_SECOND);
+
+  test("should verify a valid signature", () => {
+    expect(verifySignature(config, PAYLOAD, buildHeaders(now()))).toEqual({
+      valid: true,
+      provider: PROVIDER,
+    });
+  });
+
+  test("should fail with the wrong secret token", () => {
+    const result = verifySignature(
+      { ...config, secret: "other-token" },
+      PAYLOAD,
+      buildHeaders(now()),
+    );
+    expect(result.error).toBe(SIGNATURE_ERRORS.MISMATCH);
+  });
+
+  test("should reject a stale timestamp", () => {
+    const stale = now() - SIGNATURE_CONSTS.TOLERANCE_SECONDS - 1;
+    const result = verifySignature(config, PAYLOAD, buildHeaders(stale));
+    expect(result.error).toContain(SIGNATURE_ERRORS.TIMESTAMP_TOLERANCE);
+  });
+
+  test("should reject a signature without the v0= prefix", () => {
+    const ts = now();
+    const unprefixed = createZoomSignature(ts, PAYLOAD, SECRET_TOKEN).slice(
+      SIGNATURE_PREFIXES.V0.length,
+    );
+    const result = verifySignature(
+      config,
+      PAYLOAD,
+      buildHeaders(ts, unprefixed),
+    );
+    expect(result.error).toBe(SIGNATURE_ERRORS.INVALID_FORMAT);
+  });
+
+  test("should report missing headers", () => {
+    expect(verifySignature(config, PAYLOAD, {}).error).toBe(
+      `${SIGNATURE_ERRORS.MISSING_HEADER}: ${HTTP_HEADERS.ZOOM_TIMESTAMP} or ${HTTP_HEADERS.ZOOM_SIGNATURE}`,
+    );
+  });
+});
@@ -24,13 +24,20 @@ await setupCommonMocks({
   consts: true,
 });
 
-const { apifyMock, logRepositoryMock, loggerMock, constsMock, duckDbMock } =
-  await import("../setup/helpers/shared-mocks.js");
+const {
+  apifyMock,
+  logRepositoryMock,
+  deliveryRepositoryMock,
+  loggerMock,
+  constsMock,
+  duckDbMock,
+} = await import("../setup/helpers/shared-mocks.js");
 const keyValueStoreMock = await apifyMock.openKeyValueStore();
 const { WebhookManager } = await import("../../src/webhook_manager.js");
 const { APP_CONSTS, WEBHOOK_ID_PREFIX, ENV_VARS, ENV_VALUES } =
   await import("../../src/consts/app.js");
 const { KVS_KEYS } = await import("../../src/consts/storage.js");
+const { HTTP_STATUS } = await import("../../src/consts/http.js");
 const { ERROR_MESSAGES } = await import("../../src/consts/errors.js");
 const { LOG_MESSAGES } = await import("../../src/consts/messages.js");
 const ONE_HOUR_MS = constsMock.APP_CONSTS.MS_PER_HOUR;
@@ -39,6 +46,12 @@ const INVALID_RETENTION_NEG = -5;
 const INVALID_ZERO = 0;
 const INVALID_COUNT_NEG = -1;
 const INVALID_COUNT_FLOAT = 0.5;
+const CREATE_RETENTION_HOURS = 2;
+const EXTEND_HOURS = 3;
+const PATCH_EXPIRY_HOURS = 5;
+const MALFORMED_EXPIRY = "not-a-date";
+const OVERRIDE_DELAY_MS = 10;
+const OVERRIDE_FORWARD_URL = "https://example.com/hook";
 
 describe("WebhookManager", () => {
   useMockCleanup();
@@ -330,10 +343,13 @@ describe("WebhookManager", () => {
         null,
       );
 
-      // Should have deleted logs by Webhook ID
+      // Should have deleted logs and their deliveries by Webhook ID
       expect(logRepositoryMock.deleteLogsByWebhookId).toHaveBeenCalledWith(
         "wh_expired",
       );
+      expect(
+        deliveryRepositoryMock.deleteDeliveriesByWebhookId,
+      ).toHaveBeenCalledWith("wh_expired");
 
       // Webhook manager state should be saved
       expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
@@ -639,6 +655,428 @@ describe("WebhookManager", () => {
     });
   });
 
+  describe("Runtime management (createWebhook / updateWebhook / deleteWebhook)", () => {
+    it("should create a labelled webhook and persist it", async () => {
+      const webhook = await manager.createWebhook({
+        retentionHours: CREATE_RETENTION_HOURS,
+        label: "  ci-run-42  ",
+      });
+
+      expect(webhook.id).toMatch(new RegExp(`^${WEBHOOK_ID_PREFIX}`));
+      expect(webhook.label).toBe("ci-run-42");
+      expect(new Date(webhook.expiresAt).getTime()).toBe(
+        Date.now() + CREATE_RETENTION_HOURS * ONE_HOUR_MS,
+      );
+      expect(manager.isValid(String(webhook.id))).toBe(true);
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.STATE,
+        expect.objectContaining({
+          [String(webhook.id)]: {
+            expiresAt: webhook.expiresAt,
+            label: "ci-run-42",
+          },
+        }),
+      );
+    });
+
+    it("should default retention and omit empty labels", async () => {
+      const webhook = await manager.createWebhook({ label: "   " });
+
+      expect(webhook).not.toHaveProperty("label");
+      expect(new Date(webhook.expiresAt).getTime()).toBe(
+        Date.now() + APP_CONSTS.DEFAULT_RETENTION_HOURS * ONE_HOUR_MS,
+      );
+    });
+
+    it("should reject invalid retention and labels on create", async () => {
+      await expect(
+        manager.createWebhook({ retentionHours: INVALID_ZERO }),
+      ).rejects.toThrow(ERROR_MESSAGES.INVALID_RETENTION(INVALID_ZERO));
+      await expect(
+        // @ts-expect-error - Testing invalid input
+        manager.createWebhook({ label: 42 }),
+      ).rejects.toThrow(
+        ERROR_MESSAGES.INVALID_WEBHOOK_LABEL(
+          APP_CONSTS.MAX_WEBHOOK_LABEL_LENGTH,
+        ),
+      );
+      await expect(
+        manager.createWebhook({
+          label: "x".repeat(APP_CONSTS.MAX_WEBHOOK_LABEL_LENGTH + 1),
+        }),
+      ).rejects.toThrow(
+        ERROR_MESSAGES.INVALID_WEBHOOK_LABEL(
+          APP_CONSTS.MAX_WEBHOOK_LABEL_LENGTH,
+        ),
+      );
+      expect(manager.webhookCount).toBe(0);
+    });
+
+    it("should return undefined when updating an unknown webhook", async () => {
+      await expect(
+        manager.updateWebhook("wh_missing", { extendHours: 1 }),
+      ).resolves.toBeUndefined();
+      expect(keyValueStoreMock.setValue).not.toHaveBeenCalled();
+    });
+
+    it("should set an absolute expiry and label", async () => {
+      manager.addWebhookForTest("wh_patch", {
+        expiresAt: new Date(Date.now() + ONE_HOUR_MS).toISOString(),
+      });
+      const target = new Date(
+        Date.now() + PATCH_EXPIRY_HOURS * ONE_HOUR_MS,
+      ).toISOString();
+
+      const updated = await manager.updateWebhook("wh_patch", {
+        expiresAt: target,
+        label: "renamed",
+      });
+
+      expect(updated).toEqual({
+        id: "wh_patch",
+        expiresAt: target,
+        label: "renamed",
+      });
+      expect(manager.getWebhookData("wh_patch")).toEqual({
+        expiresAt: target,
+        label: "renamed",
+      });
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.STATE,
+        expect.objectContaining({
+          wh_patch: { expiresAt: target, label: "renamed" },
+        }),
+      );
+    });
+
+    it("should extend from the current expiry and clear the label", async () => {
+      const current = Date.now() + ONE_HOUR_MS;
+      manager.addWebhookForTest("wh_extend", {
+        expiresAt: new Date(current).toISOString(),
+        label: "old",
+      });
+
+      const updated = await manager.updateWebhook("wh_extend", {
+        extendHours: EXTEND_HOURS,
+        label: "",
+      });
+
+      expect(updated).toEqual({
+        id: "wh_extend",
+        expiresAt: new Date(current + EXTEND_HOURS * ONE_HOUR_MS).toISOString(),
+      });
+    });
+
+    it("should extend an expired webhook relative to now", async () => {
+      manager.addWebhookForTest("wh_stale", {
+        expiresAt: new Date(Date.now() - ONE_HOUR_MS).toISOString(),
+      });
+
+      await manager.updateWebhook("wh_stale", { extendHours: 1 });
+
+      expect(manager.isValid("wh_stale")).toBe(true);
+      expect(manager.getWebhookData("wh_stale")?.expiresAt).toBe(
+        new Date(Date.now() + ONE_HOUR_MS).toISOString(),
+      );
+    });
+
+    it("should reject invalid update payloads without mutating state", async () => {
+      const original = new Date(Date.now() + ONE_HOUR_MS).toISOString();
+      manager.addWebhookForTest("wh_bad", { expiresAt: original });
+      const past = new Date(Date.now() - ONE_HOUR_MS).toISOString();
+
+      await expect(
+        manager.updateWebhook("wh_bad", { expiresAt: MALFORMED_EXPIRY }),
+      ).rejects.toThrow(ERROR_MESSAGES.INVALID_EXPIRES_AT(MALFORMED_EXPIRY));
+      await expect(
+        manager.updateWebhook("wh_bad", { expiresAt: past }),
+      ).rejects.toThrow(ERROR_MESSAGES.EXPIRES_AT_IN_PAST(past));
+      await expect(
+        manager.updateWebhook("wh_bad", { extendHours: INVALID_RETENTION_NEG }),
+      ).rejects.toThrow(
+        ERROR_MESSAGES.INVALID_EXTEND_HOURS(INVALID_RETENTION_NEG),
+      );
+      await expect(
+        manager.updateWebhook("wh_bad", {
+          expiresAt: original,
+          extendHours: 1,
+        }),
+      ).rejects.toThrow(ERROR_MESSAGES.WEBHOOK_EXPIRY_CONFLICT);
+
+      expect(manager.getWebhookData("wh_bad")).toEqual({
+        expiresAt: original,
+      });
+      expect(keyValueStoreMock.setValue).not.toHaveBeenCalled();
+    });
+
+    it("should delete a webhook together with its logs and payloads", async () => {
+      manager.addWebhookForTest("wh_delete", {
+        expiresAt: new Date(Date.now() + ONE_HOUR_MS).toISOString(),
+      });
+      logRepositoryMock.findOffloadedPayloads.mockResolvedValue([
+        { key: "offload_del" },
+      ]);
+
+      await expect(manager.deleteWebhook("wh_delete")).resolves.toBe(true);
+
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        "offload_del",
+        null,
+      );
+      expect(logRepositoryMock.deleteLogsByWebhookId).toHaveBeenCalledWith(
+        "wh_delete",
+      );
+      expect(manager.webhookCount).toBe(0);
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.STATE,
+        {},
+      );
+      expect(loggerMock.info).toHaveBeenCalledWith(
+        { webhookId: "wh_delete" },
+        LOG_MESSAGES.WEBHOOK_DELETED,
+      );
+    });
+
+    it("should still drop the webhook when purging its data fails", async () => {
+      manager.addWebhookForTest("wh_purge_fail", {
+        expiresAt: new Date(Date.now() + ONE_HOUR_MS).toISOString(),
+      });
+      logRepositoryMock.findOffloadedPayloads.mockRejectedValueOnce(
+        new Error("DB down"),
+      );
+
+      await expect(manager.deleteWebhook("wh_purge_fail")).resolves.toBe(true);
+
+      expect(manager.webhookCount).toBe(0);
+      expect(loggerMock.error).toHaveBeenCalledWith(
+        expect.objectContaining({ webhookId: "wh_purge_fail" }),
+        LOG_MESSAGES.CLEANUP_WEBHOOK_FAILED,
+      );
+    });
+
+    it("should return false when deleting an unknown webhook", async () => {
+      await expect(manager.deleteWebhook("wh_missing")).resolves.toBe(false);
+      expect(logRepositoryMock.deleteLogsByWebhookId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Per-webhook configuration (getWebhookConfig / setWebhookConfig)", () => {
+    const expiresAt = "2024-01-02T00:00:00.000Z";
+
+    beforeEach(() => {
+      manager.addWebhookForTest("wh_cfg", {
+        expiresAt,
+        label: "stripe",
+        defaultResponseCode: HTTP_STATUS.OK,
+      });
+    });
+
+    it("should return only whitelisted override keys", () => {
+      expect(manager.getWebhookConfig("wh_cfg")).toEqual({
+        defaultResponseCode: HTTP_STATUS.OK,
+      });
+      expect(manager.getWebhookConfig("wh_missing")).toBeUndefined();
+    });
+
+    it("should merge overrides, drop nulls and ignore unknown keys", async () => {
+      const result = await manager.setWebhookConfig("wh_cfg", {
+        defaultResponseCode: null,
+        forwardUrl: OVERRIDE_FORWARD_URL,
+        expiresAt: "1999-01-01T00:00:00.000Z",
+      });
+
+      expect(result).toEqual({ forwardUrl: OVERRIDE_FORWARD_URL });
+      expect(manager.getWebhookData("wh_cfg")).toEqual({
+        expiresAt,
+        label: "stripe",
+        forwardUrl: OVERRIDE_FORWARD_URL,
+      });
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.STATE,
+        expect.objectContaining({
+          wh_cfg: expect.objectContaining({
+            forwardUrl: OVERRIDE_FORWARD_URL,
+          }),
+        }),
+      );
+    });
+
+    it("should replace all overrides when requested", async () => {
+      const result = await manager.setWebhookConfig(
+        "wh_cfg",
+        { responseDelayMs: OVERRIDE_DELAY_MS },
+        { replace: true },
+      );
+
+      expect(result).toEqual({ responseDelayMs: OVERRIDE_DELAY_MS });
+      expect(manager.getWebhookData("wh_cfg")).toEqual({
+        expiresAt,
+        label: "stripe",
+        responseDelayMs: OVERRIDE_DELAY_MS,
+      });
+    });
+
+    it("should return undefined for unknown webhooks", async () => {
+      await expect(
+        manager.setWebhookConfig("wh_missing", {
+          responseDelayMs: OVERRIDE_DELAY_MS,
+        }),
+      ).resolves.toBeUndefined();
+      expect(keyValueStoreMock.setValue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Response sequences", () => {
+    const SEQ_ID = "wh_seq";
+    const SENDER_KEY = "order-1";
+    const OTHER_KEY = "order-2";
+    const THIRD_CALL_INDEX = 2;
+    const TWO_CALLS = 2;
+    const SEQ_EXPIRES_AT = "2024-01-02T00:00:00.000Z";
+
+    beforeEach(() => {
+      manager.addWebhookForTest(SEQ_ID, {
+        expiresAt: SEQ_EXPIRES_AT,
+      });
+    });
+
+    it("should count calls per sender key and persist the cursors", async () => {
+      expect(manager.advanceResponseSequence(SEQ_ID, SENDER_KEY)).toBe(0);
+      expect(manager.advanceResponseSequence(SEQ_ID, SENDER_KEY)).toBe(1);
+      expect(manager.advanceResponseSequence(SEQ_ID, OTHER_KEY)).toBe(0);
+      expect(manager.advanceResponseSequence(SEQ_ID, SENDER_KEY)).toBe(
+        THIRD_CALL_INDEX,
+      );
+      await jest.runAllTimersAsync();
+
+      expect(keyValueStoreMock.setValue).toHaveBeenLastCalledWith(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+        { [SEQ_ID]: { [OTHER_KEY]: 1, [SENDER_KEY]: 3 } },
+      );
+    });
+
+    it("should count prototype member names as ordinary sender keys", async () => {
+      const keys = ["constructor", "__proto__", "toString"];
+
+      keys.forEach((key) => {
+        expect(manager.advanceResponseSequence(SEQ_ID, key)).toBe(0);
+      });
+      keys.forEach((key) => {
+        expect(manager.advanceResponseSequence(SEQ_ID, key)).toBe(1);
+      });
+      await jest.runAllTimersAsync();
+
+      const expected = Object.fromEntries(keys.map((key) => [key, TWO_CALLS]));
+      expect(manager.getResponseSequenceState(SEQ_ID)).toEqual(expected);
+      expect(keyValueStoreMock.setValue).toHaveBeenLastCalledWith(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+        { [SEQ_ID]: expected },
+      );
+    });
+
+    it("should coalesce cursor writes and flush them on persist", async () => {
+      manager.advanceResponseSequence(SEQ_ID, SENDER_KEY);
+      manager.advanceResponseSequence(SEQ_ID, SENDER_KEY);
+      manager.advanceResponseSequence(SEQ_ID, OTHER_KEY);
+      await jest.advanceTimersByTimeAsync(
+        APP_CONSTS.RESPONSE_SEQUENCE_PERSIST_DELAY_MS - 1,
+      );
+      expect(keyValueStoreMock.setValue).not.toHaveBeenCalledWith(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+        expect.anything(),
+      );
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledTimes(1);
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+        { [SEQ_ID]: { [SENDER_KEY]: 2, [OTHER_KEY]: 1 } },
+      );
+
+      manager.advanceResponseSequence(SEQ_ID, OTHER_KEY);
+      await manager.persist();
+      expect(keyValueStoreMock.setValue).toHaveBeenCalledWith(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+        { [SEQ_ID]: { [SENDER_KEY]: 2, [OTHER_KEY]: 2 } },
+      );
+    });
+
+    it("should restore cursors for known webhooks on init", async () => {
+      const state = { [SEQ_ID]: { expiresAt: SEQ_EXPIRES_AT } };
+      keyValueStoreMock.getValue.mockImplementation(async (key) =>
+        key === KVS_KEYS.STATE
+          ? state
+          : JSON.parse(
+              `{"${SEQ_ID}":{"${SENDER_KEY}":1,"__proto__":2,"bad":"x"},"wh_gone":{"${SENDER_KEY}":1}}`,
+            ),
+      );
+
+      const restored = new WebhookManager();
+      await restored.init();
+
+      expect(restored.getResponseSequenceState(SEQ_ID)).toEqual(
+        JSON.parse(`{"${SENDER_KEY}":1,"__proto__":2}`),
+      );
+      expect(restored.advanceResponseSequence(SEQ_ID, "__proto__")).toBe(
+        TWO_CALLS,
+      );
+      expect(restored.getResponseSequenceState("wh_gone")).toEqual({});
+    });
+
+    it("should reset one sender or every sender", async () => {
+      manager.advanceResponseSequence(SEQ_ID, SENDER_KEY);
+      manager.advanceResponseSequence(SEQ_ID, OTHER_KEY);
+
+      await expect(
+        manager.resetResponseSequence(SEQ_ID, SENDER_KEY),
+      ).resolves.toBe(1);
+      expect(manager.getResponseSequenceState(SEQ_ID)).toEqual({
+        [OTHER_KEY]: 1,
+      });
+
+      await expect(manager.resetResponseSequence(SEQ_ID)).resolves.toBe(1);
+      expect(manager.advanceResponseSequence(SEQ_ID, OTHER_KEY)).toBe(0);
+      await expect(
+        manager.resetResponseSequence("wh_missing"),
+      ).resolves.toBeUndefined();
+    });
+
+    it("should restart the sequence when its config changes", async () => {
+      manager.advanceResponseSequence(SEQ_ID, SENDER_KEY);
+
+      await manager.setWebhookConfig(SEQ_ID, {
+        responseSequence: { steps: [{ status: HTTP_STATUS.OK }] },
+      });
+
+      expect(manager.getResponseSequenceState(SEQ_ID)).toEqual({});
+    });
+
+    it("should evict the least recently used sender above the key limit", async () => {
+      for (let i = 0; i <= APP_CONSTS.MAX_RESPONSE_SEQUENCE_KEYS; i++) {
+        manager.advanceResponseSequence(SEQ_ID, `key_${i}`);
+      }
+      await jest.runAllTimersAsync();
+
+      const state = manager.getResponseSequenceState(SEQ_ID);
+      expect(Object.keys(state)).toHaveLength(
+        APP_CONSTS.MAX_RESPONSE_SEQUENCE_KEYS,
+      );
+      expect(state).not.toHaveProperty("key_0");
+    });
+
+    it("should drop cursors when the webhook is deleted", async () => {
+      manager.advanceResponseSequence(SEQ_ID, SENDER_KEY);
+
+      await manager.deleteWebhook(SEQ_ID);
+
+      expect(manager.getResponseSequenceState(SEQ_ID)).toEqual({});
+      expect(keyValueStoreMock.setValue).toHaveBeenLastCalledWith(
+        KVS_KEYS.RESPONSE_SEQUENCES,
+        {},
+      );
+    });
+  });
+
   describe("Test Mode Utility Functions", () => {
     /** @type {string | undefined} */
     let previousEnv;